@@ -108,7 +108,11 @@ let tmpDir =
  * @param  {Boolean}   cleaner.enabled          Whether or not the cleaning job should run.
  * @param  {Number}    cleaner.interval         Files that haven't been accessed in this amount (of seconds) should be removed.
  * @param  {String}    localStorageDirectory    The directory where the local storage backend can store its files. By default, the files get stored on the same level as the Hilary directory. Note: the absolute path to this directory should also be configured in the Nginx config file. This directory will not be used when Amazon S3 file storage is used.
+ * @param  {Boolean}   localStorageStreaming    Whether the application should stream the files of the local storage backend itself, including byte ranges, rather than handing them off to the web server. Enable this when the web server has not been configured to serve the local storage directory.
  * @param  {String}    limit                    The maximum file upload size, accepted formats look like "5mb", "200kb", "1gb". You should also adjust your front-end proxy (e.g., Nginx, Apache) to also handle files of this size
+ * @param  {Object}    resumableUploads             Holds configuration properties for files that are uploaded in chunks.
+ * @param  {String}    resumableUploads.directory   The directory where the chunks of a file are collected until the upload is complete. When running multiple app servers, either share this directory between them (e.g., an NFS mount) or configure the load balancer to route all requests of a user to the same app server. An upload that reaches an app server that doesn't share the directory with the one it was started on is rejected with a 421 response.
+ * @param  {Number}    resumableUploads.expires     Uploads that haven't received a chunk in this amount (of seconds) are abandoned and removed.
  */
 config.files = {
   tmpDir,
@@ -118,7 +122,12 @@ config.files = {
     interval: 2 * 60 * 60
   },
   limit: '4096mb',
-  localStorageDirectory: Path.join(tmpDir, 'files')
+  localStorageDirectory: Path.join(tmpDir, 'files'),
+  localStorageStreaming: false,
+  resumableUploads: {
+    directory: Path.join(tmpDir, 'uploads', 'resumable'),
+    expires: 24 * 60 * 60
+  }
 };
 
 /**
@@ -175,6 +184,11 @@ config.telemetry = {
  *
  * Configuration namespace for search.
  *
+ * When the server starts up with a search schema that changed how an existing field is indexed or renamed one, the index
+ * is destroyed, recreated with the new schema and all resources are reindexed. Other app servers that start up at the
+ * same time wait for this to finish. Search results are incomplete until that reindex has completed, so plan upgrades
+ * that change the search schema accordingly. Fields that are new to the schema are simply added to the existing index.
+ *
  * @param  {Object[]}  hosts                    The elastic search hosts/ports with which to communicate. Each element of this array is a hash that has 2 keys: 'host' and 'port'.
  * @param  {Object}    index                    Holds configuration properties for the OAE search index.
  * @param  {String}    index.name               The unique name of the index.
@@ -278,6 +292,13 @@ config.mq = {
  * @param  {Object}      office                         Holds the configuration for anything Office related
  * @param  {String}      office.binary                  The path to the 'soffice' binary that starts up Libre Office. ex: On OS X it is `/Applications/LibreOffice.app/Contents/MacOS/soffice` with a default install
  * @param  {Number}      office.timeout                 Defines the timeout (in ms) when the Office process should be killed
+ * @param  {Object}      media                          Holds the configuration for anything audio and video related
+ * @param  {String}      media.ffmpegBinary             The path to the 'ffmpeg' binary that is used to transcode audio and video files and to extract poster frames and waveforms
+ * @param  {String}      media.ffprobeBinary            The path to the 'ffprobe' binary that is used to retrieve the duration and resolution of audio and video files
+ * @param  {Number}      media.timeout                  Defines the timeout (in ms) when an ffmpeg or ffprobe process should be killed
+ * @param  {Object}      ocr                            Holds the configuration for the text recognition of scanned PDF files and images. Tenants need to enable the recognition in their preview processor configuration
+ * @param  {String}      ocr.binary                     The path to the 'tesseract' binary that recognises the text. When it can't be executed, no text will be recognised
+ * @param  {Number}      ocr.timeout                    Defines the timeout (in ms) when the tesseract process should be killed
  * @param  {Object}      pdfPreview                     Holds the configuration for pdfjs
  * @param  {String}      pdfPreview.viewportScale       Defines the scale for the viewport when generating svg from PDFs
  * @param  {Object}      screenShotting                 Holds the configuration for puppeteer.js
@@ -294,6 +315,15 @@ config.previews = {
     binary: 'soffice',
     timeout: 120000
   },
+  media: {
+    ffmpegBinary: 'ffmpeg',
+    ffprobeBinary: 'ffprobe',
+    timeout: 1800000
+  },
+  ocr: {
+    binary: 'tesseract',
+    timeout: 120000
+  },
   pdfPreview: {
     viewportScale: '1.6'
   },
@@ -340,6 +370,19 @@ config.signing = {
  * @param  {Object}     [mail.weekly]                   Configuration for the weekly email aggregate collection cycle
  * @param  {Number}     [mail.weekly.day]               On which day emails should be sent for weekly aggregates. Zero-based where `0` is sunday. Default is `5`
  * @param  {Number}     [mail.weekly.hour]              On which hour emails should be sent for weekly aggregates. You should probably keep this different to the `mail.daily.hour` value in order to spread the load
+ * @param  {Object}     [webPush]                       Configuration for delivering notifications as Web Push messages to the browsers users subscribed with
+ * @param  {Boolean}    [webPush.enabled]               Whether or not notifications should be delivered as Web Push messages. Defaults to `false`
+ * @param  {String}     [webPush.subject]               A `mailto:` or `https:` url push services can use to contact the administrators of this server
+ * @param  {String}     [webPush.publicKey]             The public VAPID key of this server. A key pair can be generated with `node_modules/.bin/web-push generate-vapid-keys`
+ * @param  {String}     [webPush.privateKey]            The private VAPID key of this server
+ * @param  {Number}     [webPush.ttl]                   How long (in seconds) a push service should keep trying to deliver a message to a browser that is offline. Defaults to 1 day
+ * @param  {Boolean}    [webPush.allowInsecure]         Whether or not browsers can subscribe with a plain http push service endpoint, or one on a loopback or private network. This should only be enabled for stand-ins of push services during development and testing. Defaults to `false`
+ * @param  {Object}     [webhooks]                      Configuration for delivering activities to the webhooks tenant administrators registered
+ * @param  {Number}     [webhooks.maxAttempts]          How many times an activity is posted to a webhook before its delivery is considered failed. Defaults to 5
+ * @param  {Number}     [webhooks.retryDelay]           How long (in seconds) to wait before posting an activity to a webhook again after the first failed attempt. The delay doubles with every further failed attempt. Defaults to 1 minute
+ * @param  {Number}     [webhooks.timeout]              How long (in seconds) to wait for a webhook to respond. Defaults to 10 seconds
+ * @param  {Number}     [webhooks.pollingFrequency]     How often (in seconds) the deliveries that are due to be retried are queued again. The retries are stored, so they are not lost when the app servers restart. A delivery is made at least once, a webhook can use the `X-OAE-Delivery` header to ignore a delivery it received before. Set to -1 to disable polling. Defaults to 30 seconds
+ * @param  {Boolean}    [webhooks.allowPrivateHosts]    Whether or not webhooks can be on a loopback or private network. As the response of each delivery is shown in the delivery log, tenant administrators could otherwise probe the services on our own network. This should only be enabled for receivers of webhooks during development and testing. Defaults to `false`
  * @param  {Object}     [redis]                         Configuration for dedicated redis server. If not specified, will use the same pool as the rest of the container (i.e., as specified by `config.redis`)
  * @param  {String}     [redis.host]                    The host of the dedicated redis server
  * @param  {Number}     [redis.port]                    The port of the dedicated redis server
@@ -368,6 +411,21 @@ config.activity = {
       hour: 12 // Noon
     }
   },
+  webPush: {
+    enabled: false,
+    subject: 'mailto:noreply@example.com',
+    publicKey: null,
+    privateKey: null,
+    ttl: 24 * 60 * 60, // 1 day (in seconds)
+    allowInsecure: false
+  },
+  webhooks: {
+    maxAttempts: 5,
+    retryDelay: 60, // 1 minute (in seconds)
+    timeout: 10, // 10 seconds
+    pollingFrequency: 30, // 30 seconds
+    allowPrivateHosts: false
+  },
   redis: null
 };
 
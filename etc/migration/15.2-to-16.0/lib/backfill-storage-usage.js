@@ -0,0 +1,156 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+
+import { logger } from 'oae-logger';
+
+import * as AuthzAPI from 'oae-authz';
+import * as AuthzUtil from 'oae-authz/lib/util';
+import * as ContentDAO from 'oae-content/lib/internal/dao';
+import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
+
+import { AuthzConstants } from 'oae-authz/lib/constants';
+
+const log = logger('storage-usage-backfill');
+
+// The batch size of content items to backfill
+const BATCH_SIZE = 30;
+
+/**
+ * Charge the revisions of a file to the storage usage of the user who uploaded them and of the groups that manage
+ * the file. Files that have been charged before are skipped, which makes it safe to run the backfill again
+ *
+ * @param  {String}     contentId           The id of the file to charge
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Boolean}    callback.charged    Whether the file was charged
+ * @api private
+ */
+const _chargeFile = function(contentId, callback) {
+  PrincipalsDAO.getStorageUsageForResource(contentId, (err, usage) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!_.isEmpty(usage)) {
+      return callback(null, false);
+    }
+
+    AuthzAPI.getAllAuthzMembers(contentId, (err, members) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const groupIds = _.chain(members)
+        .where({ role: AuthzConstants.role.MANAGER })
+        .pluck('id')
+        .filter(AuthzUtil.isGroupId)
+        .value();
+
+      ContentDAO.Revisions.getAllRevisionsForContent([contentId], (err, revisionsByContent) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const revisions = _.filter(revisionsByContent[contentId], revision => {
+          return revision.size && revision.createdBy;
+        });
+        eachSeries(
+          revisions,
+          (revision, done) => {
+            const chargeIds = _.uniq([revision.createdBy].concat(groupIds));
+            PrincipalsDAO.updateStorageUsage(contentId, chargeIds, parseInt(revision.size, 10), done);
+          },
+          err => {
+            if (err) {
+              return callback(err);
+            }
+
+            return callback(null, !_.isEmpty(revisions));
+          }
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Create the function that charges each batch of content items that is iterated
+ *
+ * @param  {Object}     stats   The stats object whose stats to update as the backfill occurs. This object is updated in place
+ * @return {Function}           The function to pass into `iterateAll` that charges a batch of content items
+ * @api private
+ */
+const _chargeBatch = function(stats) {
+  return function(contentRows, callback) {
+    eachSeries(
+      contentRows,
+      (contentRow, done) => {
+        if (contentRow.resourceSubType !== 'file') {
+          stats.nSkipped++;
+          return done();
+        }
+
+        _chargeFile(contentRow.contentId, (err, charged) => {
+          if (err) {
+            log().warn({ err, contentId: contentRow.contentId }, 'Failed to backfill the storage usage of a file');
+            stats.nFailed++;
+          } else if (charged) {
+            stats.nCharged++;
+          } else {
+            stats.nSkipped++;
+          }
+
+          return done();
+        });
+      },
+      () => {
+        log().info({ stats }, 'Finished backfilling a batch of %s content items', contentRows.length);
+        return callback();
+      }
+    );
+  };
+};
+
+/**
+ * Add the files that were uploaded before storage quotas were introduced to the storage usage of the principals on
+ * whose behalf they were uploaded. Each revision is charged to the user who uploaded it and to the groups that
+ * manage the file now, as the groups that managed the file at the time of the upload are no longer known.
+ *
+ * The backfill should be run once, right after upgrading. Files that already had their storage usage tracked are
+ * skipped, so running it while users upload files only leaves out the older versions of files that get a new
+ * version during the backfill
+ *
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ * @param  {Object}     callback.stats              The backfill stats
+ * @param  {Number}     callback.stats.nCharged     The number of files whose storage usage was backfilled
+ * @param  {Number}     callback.stats.nSkipped     The number of content items that were skipped (not a file, or already tracked)
+ * @param  {Number}     callback.stats.nFailed      The number of files that could not be backfilled
+ */
+const doMigration = function(callback) {
+  const stats = { nCharged: 0, nSkipped: 0, nFailed: 0 };
+  ContentDAO.Content.iterateAll(['contentId', 'resourceSubType'], BATCH_SIZE, _chargeBatch(stats), err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, stats);
+  });
+};
+
+export { doMigration };
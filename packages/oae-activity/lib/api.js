@@ -21,6 +21,7 @@ import * as LibraryAuthz from 'oae-library/lib/api.authz';
 import { logger } from 'oae-logger';
 import * as OAE from 'oae-util/lib/oae';
 import * as OaeUtil from 'oae-util/lib/util';
+import { PrincipalsConstants } from 'oae-principals/lib/constants';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
 import * as Redis from 'oae-util/lib/redis';
 import { Validator as validator } from 'oae-authz/lib/validator';
@@ -32,17 +33,21 @@ const {
   isLoggedInUser,
   isUserId,
   isPrincipalId,
+  isResourceId,
   isNotEmpty,
   isANumber,
+  isBoolean,
   isObject
 } = validator;
 
 import { both } from 'ramda';
 import isIn from 'validator/lib/isIn';
+import isLength from 'validator/lib/isLength';
+import isUrl from 'validator/lib/isURL';
 
 import { setUpConfig } from 'oae-config';
 import { ActivityConstants } from 'oae-activity/lib/constants';
-import { ActivityStream } from 'oae-activity/lib/model';
+import { ActivityPreferences, ActivityStream } from 'oae-activity/lib/model';
 import * as MQ from 'oae-util/lib/mq';
 import ActivityEmitter from './internal/emitter';
 import * as ActivityEmail from './internal/email';
@@ -52,7 +57,9 @@ import * as ActivityRouter from './internal/router';
 import * as ActivitySystemConfig from './internal/config';
 import * as ActivityTransformer from './internal/transformer';
 import * as ActivityDAO from './internal/dao';
+import * as ActivityHosts from './internal/hosts';
 import * as ActivityAggregator from './internal/aggregator';
+import * as ActivityWebhooks from './internal/webhooks';
 
 const log = logger('oae-activity-api');
 const ActivityConfig = setUpConfig('oae-activity');
@@ -66,6 +73,9 @@ let collectionPollingTimer = null;
 // Keeps track of the mail polling timer so that it may be cleared if mail processing is disabled
 let mailPollingTimer = null;
 
+// Keeps track of the webhook retry polling timer so that it may be cleared if activity processing is disabled
+let webhooksPollingTimer = null;
+
 /**
  * ## ActivityAPI
  *
@@ -125,16 +135,43 @@ const refreshConfiguration = function(config, callback) {
     mailPollingTimer = setInterval(ActivityEmail.collectAllBuckets, mailPollingFrequencyInMs);
   }
 
+  // Reset the polling interval of the deliveries to webhooks that should be retried
+  clearInterval(webhooksPollingTimer);
+  if (config.processActivityJobs && config.webhooks.pollingFrequency > 0) {
+    const webhooksPollingFrequencyInMs = config.webhooks.pollingFrequency * 1000;
+    webhooksPollingTimer = setInterval(
+      ActivityWebhooks.queueDueRetries,
+      webhooksPollingFrequencyInMs
+    );
+  }
+
   // Enable / Disable the worker binding, if necessary
   if (config.processActivityJobs && !boundWorker) {
     boundWorker = true;
     // Bind directly to the `routeActivity` router method
-    return MQ.subscribe(ActivityConstants.mq.TASK_ACTIVITY, ActivityRouter.routeActivity, callback);
+    return MQ.subscribe(ActivityConstants.mq.TASK_ACTIVITY, ActivityRouter.routeActivity, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // The nodes that route activities also deliver them to the webhooks
+      return MQ.subscribe(
+        ActivityConstants.mq.TASK_WEBHOOK_DELIVERY,
+        ActivityWebhooks.deliver,
+        callback
+      );
+    });
   }
 
   if (!config.processActivityJobs && boundWorker) {
     boundWorker = false;
-    return MQ.unsubscribe(ActivityConstants.mq.TASK_ACTIVITY, callback);
+    return MQ.unsubscribe(ActivityConstants.mq.TASK_ACTIVITY, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return MQ.unsubscribe(ActivityConstants.mq.TASK_WEBHOOK_DELIVERY, callback);
+    });
   }
 
   return callback();
@@ -147,6 +184,7 @@ const refreshConfiguration = function(config, callback) {
 OAE.registerPreShutdownHandler('oae-activity', null, callback => {
   log().info('Clearing the activity collection poller');
   clearInterval(collectionPollingTimer);
+  clearInterval(webhooksPollingTimer);
   return callback();
 });
 
@@ -493,6 +531,7 @@ const registerActivityType = function(activityType, options) {
  * @param  {Function}               [options.propagation.callback]                              Standard callback function. The propagation function must fire this with the array of propagation rules when it has completed
  * @param  {Object}                 [options.propagation.callback.err]                          An error that occurred while determining the propagation rules, if any
  * @param  {Object[]}               [options.propagation.callback.propagation]                  The array of propagation rules to apply to the entity. For more information on the format of these objects, see the method summary
+ * @param  {String|Function}        [options.activityStreams2Type]                              The Activity Streams 2.0 type (e.g., `Document`) of the entities when an activity stream is requested as Activity Streams 2.0. This can also be a function that returns the type for an entity that was transformed by the `activitystreams` transformer. If unspecified, the entities will be of the generic `Object` type
  */
 const registerActivityEntityType = function(activityEntityType, options) {
   ActivityRegistry.registerActivityEntityType(activityEntityType, options);
@@ -674,6 +713,610 @@ const markNotificationsRead = function(ctx, callback) {
   ActivityNotifications.markNotificationsRead(ctx.user(), callback);
 };
 
+/**
+ * Get the notification and email preferences a user has set for specific activity types and resources
+ *
+ * @param  {Context}                ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}                 userId                  The id of the user whose preferences to get
+ * @param  {Function}               callback                Standard callback function
+ * @param  {Object}                 callback.err            An error that occurred, if any
+ * @param  {ActivityPreferences}    callback.preferences    The notification and email preferences of the user
+ */
+const getActivityPreferences = function(ctx, userId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to get activity preferences'
+    })(ctx);
+
+    unless(isUserId, {
+      code: 400,
+      msg: 'A valid user id must be provided'
+    })(userId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  const { tenantAlias } = AuthzUtil.getResourceFromId(userId);
+  if (ctx.user().id !== userId && !ctx.user().isAdmin(tenantAlias)) {
+    return callback({
+      code: 401,
+      msg: 'You are not allowed to get the activity preferences of this user'
+    });
+  }
+
+  ActivityDAO.getActivityPreferences([userId], (err, preferencesByUserId) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, preferencesByUserId[userId]);
+  });
+};
+
+/**
+ * Update the notification and email preferences a user has set for specific activity types and resources. Each
+ * preference that is provided replaces the existing preference for that activity type or resource, a preference
+ * that is `null` or empty removes it. Preferences that are not provided are left untouched.
+ *
+ * A preference for a resource applies to all activities whose object or target is that resource and takes precedence
+ * over a preference for the type of the activity, which in turn takes precedence over the `emailPreference` of the user.
+ *
+ * @param  {Context}                ctx                             Standard context object containing the current user and the current tenant
+ * @param  {String}                 userId                          The id of the user whose preferences to update
+ * @param  {Object}                 preferences                     The preferences to update
+ * @param  {Object}                 [preferences.activityTypes]     The preferences to update, keyed by activity type
+ * @param  {Object}                 [preferences.resources]         The preferences to update, keyed by resource id
+ * @param  {Function}               callback                        Standard callback function
+ * @param  {Object}                 callback.err                    An error that occurred, if any
+ * @param  {ActivityPreferences}    callback.preferences            The updated notification and email preferences of the user
+ */
+const updateActivityPreferences = function(ctx, userId, preferences, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to update activity preferences'
+    })(ctx);
+
+    unless(isUserId, {
+      code: 400,
+      msg: 'A valid user id must be provided'
+    })(userId);
+
+    unless(isObject, {
+      code: 400,
+      msg: 'The activity preferences must be an object'
+    })(preferences);
+  } catch (error) {
+    return callback(error);
+  }
+
+  const { tenantAlias } = AuthzUtil.getResourceFromId(userId);
+  if (ctx.user().id !== userId && !ctx.user().isAdmin(tenantAlias)) {
+    return callback({
+      code: 401,
+      msg: 'You are not allowed to update the activity preferences of this user'
+    });
+  }
+
+  const { scopes } = ActivityConstants.preferences;
+  const registeredActivityTypes = _.keys(ActivityRegistry.getRegisteredActivityTypes());
+  const emailPreferences = _.values(PrincipalsConstants.emailPreferences);
+
+  // Validate the preferences and only keep the fields we know about
+  const preferencesToSave = new ActivityPreferences();
+  try {
+    _.each(scopes, scope => {
+      unless(bothCheck(!OaeUtil.isUnspecified(preferences[scope]), isObject), {
+        code: 400,
+        msg: 'The activity type and resource preferences must be objects'
+      })(preferences[scope]);
+
+      _.each(preferences[scope], (preference, key) => {
+        unless(bothCheck(scope === scopes.ACTIVITY_TYPE, isIn), {
+          code: 400,
+          msg: 'An unknown activity type was provided'
+        })(key, registeredActivityTypes);
+
+        unless(bothCheck(scope === scopes.RESOURCE, isResourceId), {
+          code: 400,
+          msg: 'An invalid resource id was provided'
+        })(key);
+
+        preference = preference || {};
+        unless(isObject, {
+          code: 400,
+          msg: 'A preference must be an object'
+        })(preference);
+
+        const email = preference.email || undefined;
+        unless(bothCheck(!OaeUtil.isUnspecified(email), isIn), {
+          code: 400,
+          msg: 'An invalid email preference was provided'
+        })(email, emailPreferences);
+
+        const notification = OaeUtil.castToBoolean(
+          preference.notification === '' ? undefined : preference.notification
+        );
+        unless(bothCheck(!OaeUtil.isUnspecified(notification), isBoolean), {
+          code: 400,
+          msg: 'An invalid notification preference was provided'
+        })(notification);
+
+        preferencesToSave[scope][key] = { email, notification };
+      });
+    });
+  } catch (error) {
+    return callback(error);
+  }
+
+  ActivityDAO.saveActivityPreferences(userId, preferencesToSave, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return getActivityPreferences(ctx, userId, callback);
+  });
+};
+
+/**
+ * Mute a resource for the current user. Activities about a muted resource are no longer routed to the activity,
+ * notification and email streams of the user, but the membership and permissions of the user on the resource are
+ * left untouched
+ *
+ * @param  {Context}        ctx             Standard context object containing the current user and the current tenant
+ * @param  {String}         resourceId      The id of the resource to mute
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred, if any
+ */
+const muteResource = function(ctx, resourceId, callback) {
+  _setResourceMuted(ctx, resourceId, true, callback);
+};
+
+/**
+ * Unmute a resource that was muted by the current user
+ *
+ * @param  {Context}        ctx             Standard context object containing the current user and the current tenant
+ * @param  {String}         resourceId      The id of the resource to unmute
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred, if any
+ */
+const unmuteResource = function(ctx, resourceId, callback) {
+  _setResourceMuted(ctx, resourceId, false, callback);
+};
+
+/**
+ * Mute or unmute a resource for the current user
+ *
+ * @param  {Context}        ctx             Standard context object containing the current user and the current tenant
+ * @param  {String}         resourceId      The id of the resource to mute or unmute
+ * @param  {Boolean}        muted           Whether the resource should be muted
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred, if any
+ * @api private
+ */
+const _setResourceMuted = function(ctx, resourceId, muted, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to mute or unmute a resource'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A valid resource id must be provided'
+    })(resourceId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ActivityDAO.setResourceMuted(ctx.user().id, resourceId, muted, callback);
+};
+
+/**
+ * Get the ids of the resources a user has muted
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         userId                  The id of the user whose muted resources to get
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {String[]}       callback.resourceIds    The ids of the resources the user has muted
+ */
+const getMutedResources = function(ctx, userId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to get the muted resources'
+    })(ctx);
+
+    unless(isUserId, {
+      code: 400,
+      msg: 'A valid user id must be provided'
+    })(userId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  const { tenantAlias } = AuthzUtil.getResourceFromId(userId);
+  if (ctx.user().id !== userId && !ctx.user().isAdmin(tenantAlias)) {
+    return callback({
+      code: 401,
+      msg: 'You are not allowed to get the muted resources of this user'
+    });
+  }
+
+  ActivityDAO.getMutedResourceIds(userId, callback);
+};
+
+/**
+ * Get the public VAPID key of this server. Browsers need this key to subscribe to the web push messages that deliver
+ * notifications
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.publicKey  The public VAPID key of this server, encoded as URL-safe base64
+ */
+const getWebPushPublicKey = function(ctx, callback) {
+  const { webPush } = ActivitySystemConfig.getConfig();
+  if (!webPush.enabled) {
+    return callback({ code: 404, msg: 'Web push notifications are not enabled' });
+  }
+
+  return callback(null, webPush.publicKey);
+};
+
+/**
+ * Subscribe the browser of the current user to web push messages for their notifications. Notifications that are
+ * routed to the user will be sent to the push service endpoint of the subscription, encrypted with its keys
+ *
+ * @param  {Context}    ctx                         Standard context object containing the current user and the current tenant
+ * @param  {Object}     subscription                The web push subscription, as created by the browser's push manager
+ * @param  {String}     subscription.endpoint       The url of the push service endpoint to which messages should be sent
+ * @param  {Object}     subscription.keys           The keys with which messages should be encrypted
+ * @param  {String}     subscription.keys.p256dh    The public P-256 ECDH key of the browser, encoded as URL-safe base64
+ * @param  {String}     subscription.keys.auth      The authentication secret of the browser, encoded as URL-safe base64
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ */
+const subscribeWebPush = function(ctx, subscription, callback) {
+  const getKey = getNestedObject(subscription);
+  const { webPush } = ActivitySystemConfig.getConfig();
+  const protocols = webPush.allowInsecure ? ['http', 'https'] : ['https'];
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to subscribe to web push notifications'
+    })(ctx);
+
+    unless(isObject, {
+      code: 400,
+      msg: 'A web push subscription must be provided'
+    })(subscription);
+
+    unless(isUrl, {
+      code: 400,
+      msg: 'A valid push service endpoint must be provided'
+    })(String(subscription.endpoint || ''), {
+      protocols,
+      // eslint-disable-next-line camelcase
+      require_protocol: true,
+      // eslint-disable-next-line camelcase
+      require_tld: false
+    });
+
+    unless(_isBase64KeyOfLength, {
+      code: 400,
+      msg: 'A valid p256dh key must be provided'
+    })(getKey(['keys', 'p256dh']), 65);
+
+    unless(_isBase64KeyOfLength, {
+      code: 400,
+      msg: 'A valid auth secret must be provided'
+    })(getKey(['keys', 'auth']), 16);
+  } catch (error) {
+    return callback(error);
+  }
+
+  if (!webPush.enabled) {
+    return callback({ code: 404, msg: 'Web push notifications are not enabled' });
+  }
+
+  // Messages are posted to the endpoint from within our network, so it should not be possible to point them at
+  // our own servers. Stand-ins for push services on a private network can only be used when explicitly allowed
+  const checkHost = webPush.allowInsecure ? (endpoint, done) => done() : _checkPushServiceHost;
+  checkHost(subscription.endpoint, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    const subscriptionToSave = {
+      endpoint: subscription.endpoint,
+      keys: _.pick(subscription.keys, 'p256dh', 'auth')
+    };
+    ActivityDAO.saveWebPushSubscription(ctx.user().id, subscriptionToSave, callback);
+  });
+};
+
+/**
+ * Check that the host of a push service endpoint does not resolve to a loopback, private or otherwise reserved address.
+ * This only spares users a subscription that could never be used, the address is checked again whenever a message
+ * is sent as the host could resolve to another address by then
+ *
+ * @param  {String}     endpoint        The url of the push service endpoint
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const _checkPushServiceHost = function(endpoint, callback) {
+  ActivityHosts.checkPublicUrl(endpoint, err => {
+    if (ActivityHosts.isReservedAddressError(err)) {
+      return callback({
+        code: 400,
+        msg: 'A push service endpoint can not be on a private network'
+      });
+    }
+
+    if (err) {
+      return callback({
+        code: 400,
+        msg: 'The host of the push service endpoint could not be resolved'
+      });
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Unsubscribe a browser of the current user from web push messages
+ *
+ * @param  {Context}    ctx             Standard context object containing the current user and the current tenant
+ * @param  {String}     endpoint        The url of the push service endpoint of the subscription to remove
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const unsubscribeWebPush = function(ctx, endpoint, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to unsubscribe from web push notifications'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A push service endpoint must be provided'
+    })(endpoint);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ActivityDAO.deleteWebPushSubscription(ctx.user().id, endpoint, callback);
+};
+
+/**
+ * Check whether a value is a URL-safe base64 encoded key of a given number of bytes
+ *
+ * @param  {String}     value       The value to check
+ * @param  {Number}     length      The number of bytes the key should have
+ * @return {Boolean}                `true` if the value is a base64 encoded key of the given length
+ * @api private
+ */
+const _isBase64KeyOfLength = function(value, length) {
+  return (
+    _.isString(value) && /^[\w-]+=*$/.test(value) && Buffer.from(value, 'base64').length === length
+  );
+};
+
+/**
+ * Register a webhook to which the activities of the current tenant should be delivered. Each activity whose actor,
+ * object or target belongs to the tenant is posted to the webhook as a JSON body, signed with the secret of the webhook
+ *
+ * @param  {Context}            ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}             url                 The url to which the activities should be posted
+ * @param  {String[]}           [activityTypes]     The types of the activities that should be delivered. By default, all activities are delivered
+ * @param  {String}             secret              The secret with which the deliveries are signed. This should be at least 16 characters long
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {ActivityWebhook}    callback.webhook    The webhook that was registered
+ */
+const createWebhook = function(ctx, url, activityTypes, secret, callback) {
+  activityTypes = _.uniq(OaeUtil.toArray(activityTypes));
+  const registeredActivityTypes = _.keys(ActivityRegistry.getRegisteredActivityTypes());
+
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to register a webhook'
+    })(ctx);
+
+    unless(isUrl, {
+      code: 400,
+      msg: 'A valid webhook url must be provided'
+    })(String(url || ''), { protocols: ['http', 'https'], require_tld: false }); // eslint-disable-line camelcase
+
+    _.each(activityTypes, activityType => {
+      unless(isIn, {
+        code: 400,
+        msg: 'An unknown activity type was provided'
+      })(activityType, registeredActivityTypes);
+    });
+
+    unless(isLength, {
+      code: 400,
+      msg: 'A secret of at least 16 characters must be provided'
+    })(String(secret || ''), { min: 16, max: 1000 });
+  } catch (error) {
+    return callback(error);
+  }
+
+  const tenantAlias = ctx.tenant().alias;
+  if (!ctx.user().isAdmin(tenantAlias)) {
+    return callback({ code: 401, msg: 'Only tenant administrators can manage webhooks' });
+  }
+
+  // Activities are posted to the webhook from within our network and the response of each delivery is shown in the
+  // delivery log, so it should not be possible to point webhooks at our own servers
+  const { webhooks } = ActivitySystemConfig.getConfig();
+  const checkHost = webhooks.allowPrivateHosts ? (url, done) => done() : _checkWebhookHost;
+  checkHost(url, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ActivityDAO.createWebhook(
+      tenantAlias,
+      url,
+      activityTypes,
+      secret,
+      ctx.user().id,
+      (err, webhook) => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, _.omit(webhook, 'secret'));
+      }
+    );
+  });
+};
+
+/**
+ * Check that the host of a webhook url does not resolve to a loopback, private or otherwise reserved address. The
+ * address is checked again on every delivery
+ *
+ * @param  {String}     url             The url of the webhook
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const _checkWebhookHost = function(url, callback) {
+  ActivityHosts.checkPublicUrl(url, err => {
+    if (ActivityHosts.isReservedAddressError(err)) {
+      return callback({ code: 400, msg: 'A webhook can not be on a private network' });
+    }
+
+    if (err) {
+      return callback({ code: 400, msg: 'The host of the webhook url could not be resolved' });
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Get the webhooks that were registered for the current tenant
+ *
+ * @param  {Context}            ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {ActivityWebhook[]}  callback.webhooks   The webhooks of the current tenant
+ */
+const getWebhooks = function(ctx, callback) {
+  const tenantAlias = ctx.tenant().alias;
+  if (!ctx.user() || !ctx.user().isAdmin(tenantAlias)) {
+    return callback({ code: 401, msg: 'Only tenant administrators can manage webhooks' });
+  }
+
+  ActivityDAO.getWebhooks([tenantAlias], (err, webhooks) => {
+    if (err) {
+      return callback(err);
+    }
+
+    webhooks = _.chain(webhooks)
+      .map(webhook => {
+        return _.omit(webhook, 'secret');
+      })
+      .sortBy('created')
+      .value();
+    return callback(null, webhooks);
+  });
+};
+
+/**
+ * Remove a webhook. Activities that are still waiting to be delivered to the webhook will not be delivered
+ *
+ * @param  {Context}    ctx             Standard context object containing the current user and the current tenant
+ * @param  {String}     webhookId       The id of the webhook to remove
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const deleteWebhook = function(ctx, webhookId, callback) {
+  _getManageableWebhook(ctx, webhookId, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ActivityDAO.deleteWebhook(webhookId, callback);
+  });
+};
+
+/**
+ * Get the delivery log of a webhook, most recent deliveries first
+ *
+ * @param  {Context}                    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}                     webhookId               The id of the webhook whose delivery log to get
+ * @param  {String}                     [start]                 The id of the delivery from which to start (exclusive). By default, will start with the most recent delivery
+ * @param  {Number}                     [limit]                 The maximum number of deliveries to return. Default: 25
+ * @param  {Function}                   callback                Standard callback function
+ * @param  {Object}                     callback.err            An error that occurred, if any
+ * @param  {ActivityWebhookDelivery[]}  callback.deliveries     The deliveries in the delivery log
+ * @param  {String}                     callback.nextToken      The value that can be used as the `start` parameter to get the next page of deliveries
+ */
+const getWebhookDeliveries = function(ctx, webhookId, start, limit, callback) {
+  limit = OaeUtil.getNumberParam(limit, 25, 1, 100);
+  _getManageableWebhook(ctx, webhookId, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ActivityDAO.getWebhookDeliveries(webhookId, start, limit, callback);
+  });
+};
+
+/**
+ * Get a webhook the current user is allowed to manage
+ *
+ * @param  {Context}            ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}             webhookId           The id of the webhook to get
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {ActivityWebhook}    callback.webhook    The webhook
+ * @api private
+ */
+const _getManageableWebhook = function(ctx, webhookId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be logged in to manage webhooks'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A valid webhook id must be provided'
+    })(webhookId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  const { tenantAlias } = AuthzUtil.getResourceFromId(webhookId);
+  if (!ctx.user().isAdmin(tenantAlias)) {
+    return callback({ code: 401, msg: 'Only tenant administrators can manage webhooks' });
+  }
+
+  ActivityDAO.getWebhook(webhookId, (err, webhook) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!webhook) {
+      return callback({ code: 404, msg: 'The webhook could not be found' });
+    }
+
+    return callback(null, webhook);
+  });
+};
+
 /**
  * @function isActivityFeedDisabled
  * @param  {Context}       ctx              Standard context object containing the current user and the current tenant
@@ -876,6 +1519,18 @@ export {
   getActivityStream,
   getNotificationStream,
   markNotificationsRead,
+  getActivityPreferences,
+  updateActivityPreferences,
+  muteResource,
+  unmuteResource,
+  getMutedResources,
+  getWebPushPublicKey,
+  subscribeWebPush,
+  unsubscribeWebPush,
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDeliveries,
   postActivity,
   ActivityEmitter as emitter
 };
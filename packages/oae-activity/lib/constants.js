@@ -23,7 +23,8 @@ ActivityConstants.entityTypes = {
 
 ActivityConstants.mq = {
   TASK_ACTIVITY: 'oae-activity/activity',
-  TASK_ACTIVITY_PROCESSING: 'oae-activity/activity-processing'
+  TASK_ACTIVITY_PROCESSING: 'oae-activity/activity-processing',
+  TASK_WEBHOOK_DELIVERY: 'oae-activity/webhook-delivery'
 };
 
 ActivityConstants.properties = {
@@ -62,7 +63,9 @@ ActivityConstants.verbs = {
   FOLLOW: 'follow',
   INVITE: 'invite',
   JOIN: 'join',
+  MENTION: 'mention',
   POST: 'post',
+  REACT: 'react',
   SHARE: 'share',
   REQUEST: 'ask',
   REJECT: 'reject',
@@ -77,10 +80,56 @@ ActivityConstants.events = {
   UPDATED_USER: 'updatedUser'
 };
 
+ActivityConstants.preferences = {
+  // The kinds of things for which a user can override their notification and email preferences. A resource
+  // preference takes precedence over an activity type preference, which takes precedence over the user's
+  // overall `emailPreference`
+  scopes: {
+    ACTIVITY_TYPE: 'activityTypes',
+    RESOURCE: 'resources'
+  }
+};
+
+ActivityConstants.webhooks = {
+  // How long (in seconds) the delivery log of a webhook is kept
+  DELIVERY_LOG_TTL: 7 * 24 * 60 * 60,
+  status: {
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+    PENDING: 'pending',
+    RETRYING: 'retrying'
+  }
+};
+
 ActivityConstants.streams = {
   ACTIVITY: 'activity',
   NOTIFICATION: 'notification',
   EMAIL: 'email'
 };
 
+ActivityConstants.activityStreams2 = {
+  CONTEXT: 'https://www.w3.org/ns/activitystreams',
+  // The special collection that addresses an activity to everyone
+  PUBLIC: 'https://www.w3.org/ns/activitystreams#Public',
+  mediaTypes: {
+    ACTIVITY_JSON: 'application/activity+json',
+    JSON_LD: 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"'
+  },
+  // The Activity Streams 2.0 activity types of the verbs. Activities whose verb has no equivalent are of the generic
+  // `Activity` type
+  verbs: {
+    [ActivityConstants.verbs.ACCEPT]: 'Accept',
+    [ActivityConstants.verbs.ADD]: 'Add',
+    [ActivityConstants.verbs.CREATE]: 'Create',
+    [ActivityConstants.verbs.FOLLOW]: 'Follow',
+    [ActivityConstants.verbs.INVITE]: 'Invite',
+    [ActivityConstants.verbs.JOIN]: 'Join',
+    [ActivityConstants.verbs.POST]: 'Create',
+    [ActivityConstants.verbs.REACT]: 'Like',
+    [ActivityConstants.verbs.REJECT]: 'Reject',
+    [ActivityConstants.verbs.SHARE]: 'Announce',
+    [ActivityConstants.verbs.UPDATE]: 'Update'
+  }
+};
+
 export { ActivityConstants };
@@ -28,6 +28,14 @@ import * as Notifications from './internal/notifications';
 // eslint-disable-next-line no-unused-vars
 import * as Email from './internal/email';
 
+// Bind the web push event listeners
+// eslint-disable-next-line no-unused-vars
+import * as WebPush from './internal/webpush';
+
+// Bind the webhook event listeners
+// eslint-disable-next-line no-unused-vars
+import * as Webhooks from './internal/webhooks';
+
 export function init(config, callback) {
   ActivityAPI.refreshConfiguration(config.activity, err => {
     if (err) {
@@ -0,0 +1,180 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import querystring from 'querystring';
+import util from 'util';
+import _ from 'underscore';
+
+import * as AuthzUtil from 'oae-authz/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+import * as TenantsUtil from 'oae-tenants/lib/util';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import * as ActivityRegistry from './registry';
+
+/**
+ * Convert a page of an activity stream into a W3C Activity Streams 2.0 `OrderedCollectionPage`. The activity stream
+ * of a principal is considered to be an `OrderedCollection` that lives at `/api/activity/<principalId>` on the tenant
+ * of the principal
+ *
+ * @param  {String}                 principalId         The id of the principal whose activity stream was retrieved
+ * @param  {String}                 [start]             The activity paging token from which the activities were retrieved
+ * @param  {Number}                 limit               The maximum number of activities that were retrieved
+ * @param  {ActivityStream}         activityStream      The activity stream, transformed with the `activitystreams` transformer
+ * @return {Object}                                     The Activity Streams 2.0 JSON-LD representation of the page of the activity stream
+ */
+const toOrderedCollectionPage = function(principalId, start, limit, activityStream) {
+  const tenant = TenantsAPI.getTenant(AuthzUtil.getResourceFromId(principalId).tenantAlias);
+  const collectionId = TenantsUtil.getBaseUrl(tenant) + '/api/activity/' + principalId;
+  const page = {
+    '@context': ActivityConstants.activityStreams2.CONTEXT,
+    id: _getPageId(collectionId, start, limit),
+    type: 'OrderedCollectionPage',
+    partOf: collectionId,
+    orderedItems: _.map(activityStream.items, activity => {
+      return _toActivity(collectionId, activity);
+    })
+  };
+
+  if (activityStream.nextToken) {
+    page.next = _getPageId(collectionId, activityStream.nextToken, limit);
+  }
+
+  return page;
+};
+
+/**
+ * Get the id of a page of an activity stream
+ *
+ * @param  {String}     collectionId    The id of the activity stream
+ * @param  {String}     [start]         The activity paging token from which the page starts
+ * @param  {Number}     limit           The maximum number of activities on the page
+ * @return {String}                     The id of the page
+ * @api private
+ */
+const _getPageId = function(collectionId, start, limit) {
+  const query = start ? { start, limit } : { limit };
+  return util.format('%s?%s', collectionId, querystring.stringify(query));
+};
+
+/**
+ * Convert an activity into an Activity Streams 2.0 activity. An activity is only addressed to the public when all of
+ * the entities that are involved in it are public
+ *
+ * @param  {String}     collectionId    The id of the activity stream that holds the activity
+ * @param  {Activity}   activity        The activity to convert
+ * @return {Object}                     The Activity Streams 2.0 activity
+ * @api private
+ */
+const _toActivity = function(collectionId, activity) {
+  const entities = _.chain([activity.actor, activity.object, activity.target])
+    .compact()
+    .map(entity => {
+      return entity.objectType === 'collection'
+        ? entity[ActivityConstants.properties.OAE_COLLECTION]
+        : entity;
+    })
+    .flatten()
+    .value();
+  const isPublic = _.every(entities, entity => {
+    return entity[ActivityConstants.properties.OAE_VISIBILITY] === 'public';
+  });
+
+  return _.omit(
+    {
+      id:
+        collectionId +
+        '#' +
+        encodeURIComponent(activity[ActivityConstants.properties.OAE_ACTIVITY_ID]),
+      type: ActivityConstants.activityStreams2.verbs[activity.verb] || 'Activity',
+      actor: _toObject(activity.actor),
+      object: _toObject(activity.object),
+      target: _toObject(activity.target),
+      published: new Date(activity.published).toISOString(),
+      to: isPublic ? [ActivityConstants.activityStreams2.PUBLIC] : undefined
+    },
+    _.isUndefined
+  );
+};
+
+/**
+ * Convert an activity entity into an Activity Streams 2.0 object. The type of the object is determined by the
+ * `activityStreams2Type` option with which its entity type was registered. A collection of entities, as created by
+ * aggregation, is converted into an array of objects
+ *
+ * @param  {ActivityEntity}     [entity]    The activity entity to convert
+ * @return {Object|Object[]}                The Activity Streams 2.0 object(s)
+ * @api private
+ */
+const _toObject = function(entity) {
+  if (!entity) {
+    return undefined;
+  }
+
+  if (entity.objectType === 'collection') {
+    return _.map(entity[ActivityConstants.properties.OAE_COLLECTION], _toObject);
+  }
+
+  const entityType = ActivityRegistry.getRegisteredActivityEntityTypes()[entity.objectType] || {};
+  let type = entityType.activityStreams2Type || 'Object';
+  if (_.isFunction(type)) {
+    type = type(entity) || 'Object';
+  }
+
+  return _.omit(
+    {
+      id: _getStableId(entity),
+      type,
+      name: entity.displayName,
+      summary: entity.summary,
+      content: entity.content,
+      url: entity.url,
+      image: entity.image
+        ? _.extend({ type: 'Image' }, _.pick(entity.image, 'url', 'width', 'height'))
+        : undefined,
+      published: entity.published ? new Date(entity.published).toISOString() : undefined,
+      attributedTo: _toObject(entity.author),
+      inReplyTo: _toObject(entity.inReplyTo)
+    },
+    _.isUndefined
+  );
+};
+
+/**
+ * Get the id of an entity that does not depend on the tenant on which the activity stream was retrieved. The id of a
+ * transformed entity is a url on the current tenant, which is moved to the tenant the entity belongs to
+ *
+ * @param  {ActivityEntity}     entity      The activity entity for which to get the id
+ * @return {String}                         The stable id of the entity. `undefined` if the entity has no url as its id
+ * @api private
+ */
+const _getStableId = function(entity) {
+  if (!/^https?:\/\//.test(entity.id)) {
+    return undefined;
+  }
+
+  const oaeId = entity[ActivityConstants.properties.OAE_ID];
+  const tenant =
+    AuthzUtil.isResourceId(oaeId) &&
+    TenantsAPI.getTenant(AuthzUtil.getResourceFromId(oaeId).tenantAlias);
+  if (!tenant) {
+    return entity.id;
+  }
+
+  const { pathname, search } = new URL(entity.id);
+  return TenantsUtil.getBaseUrl(tenant) + pathname + search;
+};
+
+export { toOrderedCollectionPage };
@@ -37,6 +37,11 @@ const DEFAULT_MAIL_WEEKLY_HOUR = 12; // Noon
 const MINIMUM_MAIL_POLLING_FREQUENCY = 60; // 1 minute
 const MAXIMUM_MAIL_POLLING_FREQUENCY = 3600; // 1 hour
 const DEFAULT_MAIL_GRACE_PERIOD = 60; // 1 minute
+const DEFAULT_WEB_PUSH_TTL = 24 * 60 * 60; // 1 day (in seconds)
+const DEFAULT_WEBHOOK_MAX_ATTEMPTS = 5;
+const DEFAULT_WEBHOOK_RETRY_DELAY = 60; // 1 minute (in seconds)
+const DEFAULT_WEBHOOK_TIMEOUT = 10; // 10 seconds
+const DEFAULT_WEBHOOK_POLLING_FREQUENCY = 30; // 30 seconds
 
 let config = {};
 
@@ -50,6 +55,8 @@ const refreshConfiguration = function(_config) {
   _config.mail = _config.mail || {};
   _config.mail.daily = _config.mail.daily || {};
   _config.mail.weekly = _config.mail.weekly || {};
+  _config.webPush = _config.webPush || {};
+  _config.webhooks = _config.webhooks || {};
 
   config = {
     processActivityJobs: _config.processActivityJobs !== false,
@@ -99,6 +106,35 @@ const refreshConfiguration = function(_config) {
         hour: OaeUtil.getNumberParam(_config.mail.weekly.hour, DEFAULT_MAIL_WEEKLY_HOUR)
       }
     },
+    webPush: {
+      // Messages can only be sent when the VAPID keys of this server are configured
+      enabled: Boolean(
+        _config.webPush.enabled && _config.webPush.publicKey && _config.webPush.privateKey
+      ),
+      subject: _config.webPush.subject,
+      publicKey: _config.webPush.publicKey,
+      privateKey: _config.webPush.privateKey,
+      ttl: OaeUtil.getNumberParam(_config.webPush.ttl, DEFAULT_WEB_PUSH_TTL),
+      allowInsecure: _config.webPush.allowInsecure === true
+    },
+    webhooks: {
+      maxAttempts: OaeUtil.getNumberParam(
+        _config.webhooks.maxAttempts,
+        DEFAULT_WEBHOOK_MAX_ATTEMPTS,
+        1
+      ),
+      retryDelay: OaeUtil.getNumberParam(
+        _config.webhooks.retryDelay,
+        DEFAULT_WEBHOOK_RETRY_DELAY,
+        0
+      ),
+      timeout: OaeUtil.getNumberParam(_config.webhooks.timeout, DEFAULT_WEBHOOK_TIMEOUT, 1),
+      pollingFrequency: OaeUtil.getNumberParam(
+        _config.webhooks.pollingFrequency,
+        DEFAULT_WEBHOOK_POLLING_FREQUENCY
+      ),
+      allowPrivateHosts: _config.webhooks.allowPrivateHosts === true
+    },
     redis: _config.redis ? _.extend({}, _config.redis) : null
   };
 
@@ -114,6 +150,12 @@ const refreshConfiguration = function(_config) {
     log().warn(msg);
   }
 
+  if (_config.webPush.enabled && !config.webPush.enabled) {
+    log().warn(
+      'Web Push notifications have been enabled but "config.activity.webPush.publicKey" or "config.activity.webPush.privateKey" has not been set. No Web Push messages will be sent'
+    );
+  }
+
   return getConfig();
 };
 
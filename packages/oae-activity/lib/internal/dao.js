@@ -18,12 +18,14 @@ import util from 'util';
 import _ from 'underscore';
 import ShortId from 'shortid';
 
+import * as AuthzUtil from 'oae-authz/lib/util';
 import * as Cassandra from 'oae-util/lib/cassandra';
 
 import { logger } from 'oae-logger';
 import * as OaeUtil from 'oae-util/lib/util';
 
 import { ActivityConstants } from 'oae-activity/lib/constants';
+import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivitySystemConfig from './config';
 
 const log = logger('oae-activity');
@@ -985,6 +987,504 @@ const unqueueUsersForEmail = function(bucketId, userIds, callback) {
   Cassandra.runBatchQuery(queries, callback);
 };
 
+/// //////////////
+// PREFERENCES //
+/// //////////////
+
+/**
+ * Get the notification and email preferences of a set of users
+ *
+ * @param  {String[]}   userIds                         The ids of the users whose preferences to get
+ * @param  {Function}   callback                        Standard callback function
+ * @param  {Object}     callback.err                    An error that occurred, if any
+ * @param  {Object}     callback.preferencesByUserId    The `ActivityPreferences` of each user, keyed by user id. Users who have no preferences get empty preferences
+ */
+const getActivityPreferences = function(userIds, callback) {
+  const preferencesByUserId = _.chain(userIds)
+    .map(userId => {
+      return [userId, new ActivityModel.ActivityPreferences()];
+    })
+    .object()
+    .value();
+  if (_.isEmpty(userIds)) {
+    return callback(null, preferencesByUserId);
+  }
+
+  Cassandra.runQuery(
+    'SELECT * FROM "ActivityPreferences" WHERE "userId" IN ?',
+    [userIds],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      _.each(rows, row => {
+        const preference = _.omit(
+          {
+            email: row.get('email'),
+            muted: row.get('muted'),
+            notification: row.get('notification')
+          },
+          _.isNull
+        );
+        if (!_.isEmpty(preference)) {
+          preferencesByUserId[row.get('userId')][row.get('scope')][row.get('key')] = preference;
+        }
+      });
+
+      return callback(null, preferencesByUserId);
+    }
+  );
+};
+
+/**
+ * Store notification and email preferences for a user. Every given preference replaces the `email` and `notification`
+ * preference that was stored for the same activity type or resource. A preference that is `null` or has neither an
+ * `email` nor a `notification` field removes them. Whether or not a resource is muted is left untouched
+ *
+ * @param  {String}                 userId          The id of the user whose preferences to store
+ * @param  {ActivityPreferences}    preferences     The preferences to store
+ * @param  {Function}               callback        Standard callback function
+ * @param  {Object}                 callback.err    An error that occurred, if any
+ */
+const saveActivityPreferences = function(userId, preferences, callback) {
+  const queries = [];
+  _.each(ActivityConstants.preferences.scopes, scope => {
+    _.each(preferences[scope], (preference, key) => {
+      preference = preference || {};
+      queries.push({
+        query:
+          'UPDATE "ActivityPreferences" SET "email" = ?, "notification" = ? WHERE "userId" = ? AND "scope" = ? AND "key" = ?',
+        parameters: [
+          OaeUtil.isUnspecified(preference.email) ? null : preference.email,
+          OaeUtil.isUnspecified(preference.notification) ? null : preference.notification,
+          userId,
+          scope,
+          key
+        ]
+      });
+    });
+  });
+
+  if (_.isEmpty(queries)) {
+    return callback();
+  }
+
+  Cassandra.runBatchQuery(queries, callback);
+};
+
+/**
+ * Mute or unmute a resource for a user
+ *
+ * @param  {String}     userId          The id of the user for whom to mute or unmute the resource
+ * @param  {String}     resourceId      The id of the resource to mute or unmute
+ * @param  {Boolean}    muted           Whether the resource should be muted
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const setResourceMuted = function(userId, resourceId, muted, callback) {
+  Cassandra.runQuery(
+    'UPDATE "ActivityPreferences" SET "muted" = ? WHERE "userId" = ? AND "scope" = ? AND "key" = ?',
+    [muted ? true : null, userId, ActivityConstants.preferences.scopes.RESOURCE, resourceId],
+    callback
+  );
+};
+
+/**
+ * Get the ids of the resources a user has muted
+ *
+ * @param  {String}     userId                  The id of the user whose muted resources to get
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {String[]}   callback.resourceIds    The ids of the resources the user has muted
+ */
+const getMutedResourceIds = function(userId, callback) {
+  Cassandra.runQuery(
+    'SELECT "key", "muted" FROM "ActivityPreferences" WHERE "userId" = ? AND "scope" = ?',
+    [userId, ActivityConstants.preferences.scopes.RESOURCE],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const resourceIds = _.chain(rows)
+        .filter(row => {
+          return row.get('muted') === true;
+        })
+        .map(row => {
+          return row.get('key');
+        })
+        .value();
+      return callback(null, resourceIds);
+    }
+  );
+};
+
+/// /////////////////////////
+// WEB PUSH SUBSCRIPTIONS //
+/// /////////////////////////
+
+/**
+ * Store a web push subscription of a user. A subscription for the same push service endpoint is replaced
+ *
+ * @param  {String}     userId                  The id of the user who subscribed
+ * @param  {Object}     subscription            The web push subscription, as created by the browser's push manager
+ * @param  {String}     subscription.endpoint   The url of the push service endpoint to which messages should be sent
+ * @param  {Object}     subscription.keys       The `p256dh` public key and `auth` secret with which messages should be encrypted
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ */
+const saveWebPushSubscription = function(userId, subscription, callback) {
+  Cassandra.runQuery(
+    'INSERT INTO "ActivityWebPushSubscriptions" ("userId", "endpoint", "p256dh", "auth") VALUES (?, ?, ?, ?)',
+    [userId, subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth],
+    callback
+  );
+};
+
+/**
+ * Get the web push subscriptions of a set of users
+ *
+ * @param  {String[]}   userIds                             The ids of the users whose subscriptions to get
+ * @param  {Function}   callback                            Standard callback function
+ * @param  {Object}     callback.err                        An error that occurred, if any
+ * @param  {Object}     callback.subscriptionsByUserId      The web push subscriptions of each user, keyed by user id. Users without subscriptions are not included
+ */
+const getWebPushSubscriptions = function(userIds, callback) {
+  if (_.isEmpty(userIds)) {
+    return callback(null, {});
+  }
+
+  Cassandra.runQuery(
+    'SELECT * FROM "ActivityWebPushSubscriptions" WHERE "userId" IN ?',
+    [userIds],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const subscriptionsByUserId = {};
+      _.each(rows, row => {
+        const userId = row.get('userId');
+        subscriptionsByUserId[userId] = subscriptionsByUserId[userId] || [];
+        subscriptionsByUserId[userId].push({
+          endpoint: row.get('endpoint'),
+          keys: {
+            p256dh: row.get('p256dh'),
+            auth: row.get('auth')
+          }
+        });
+      });
+
+      return callback(null, subscriptionsByUserId);
+    }
+  );
+};
+
+/**
+ * Remove a web push subscription of a user
+ *
+ * @param  {String}     userId          The id of the user whose subscription to remove
+ * @param  {String}     endpoint        The url of the push service endpoint of the subscription to remove
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const deleteWebPushSubscription = function(userId, endpoint, callback) {
+  Cassandra.runQuery(
+    'DELETE FROM "ActivityWebPushSubscriptions" WHERE "userId" = ? AND "endpoint" = ?',
+    [userId, endpoint],
+    callback
+  );
+};
+
+/// ///////////
+// WEBHOOKS //
+/// ///////////
+
+/**
+ * Register a webhook to which the activities of a tenant should be delivered
+ *
+ * @param  {String}             tenantAlias             The alias of the tenant whose activities should be delivered to the webhook
+ * @param  {String}             url                     The url to which the activities should be posted
+ * @param  {String[]}           activityTypes           The types of the activities that should be delivered. If empty, all activities are delivered
+ * @param  {String}             secret                  The secret with which the deliveries are signed
+ * @param  {String}             createdBy               The id of the user who registers the webhook
+ * @param  {Function}           callback                Standard callback function
+ * @param  {Object}             callback.err            An error that occurred, if any
+ * @param  {ActivityWebhook}    callback.webhook        The webhook that was registered, including its `secret`
+ */
+const createWebhook = function(tenantAlias, url, activityTypes, secret, createdBy, callback) {
+  const webhookId = AuthzUtil.toId('wh', tenantAlias, ShortId.generate());
+  const created = Date.now();
+  Cassandra.runQuery(
+    'INSERT INTO "ActivityWebhooks" ("tenantAlias", "webhookId", "url", "activityTypes", "secret", "createdBy", "created") VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      tenantAlias,
+      webhookId,
+      url,
+      JSON.stringify(activityTypes),
+      secret,
+      createdBy,
+      created.toString()
+    ],
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      const webhook = new ActivityModel.ActivityWebhook(
+        webhookId,
+        tenantAlias,
+        url,
+        activityTypes,
+        createdBy,
+        created
+      );
+      return callback(null, _.extend(webhook, { secret }));
+    }
+  );
+};
+
+/**
+ * Get a webhook
+ *
+ * @param  {String}             webhookId           The id of the webhook to get
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {ActivityWebhook}    callback.webhook    The webhook, including its `secret`. `null` if the webhook does not exist
+ */
+const getWebhook = function(webhookId, callback) {
+  const { tenantAlias } = AuthzUtil.getResourceFromId(webhookId);
+  Cassandra.runQuery(
+    'SELECT * FROM "ActivityWebhooks" WHERE "tenantAlias" = ? AND "webhookId" = ?',
+    [tenantAlias, webhookId],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (_.isEmpty(rows)) {
+        return callback(null, null);
+      }
+
+      return callback(null, _rowToWebhook(rows[0]));
+    }
+  );
+};
+
+/**
+ * Get the webhooks that were registered for a set of tenants
+ *
+ * @param  {String[]}           tenantAliases       The aliases of the tenants whose webhooks to get
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {ActivityWebhook[]}  callback.webhooks   The webhooks of the tenants, including their `secret`
+ */
+const getWebhooks = function(tenantAliases, callback) {
+  if (_.isEmpty(tenantAliases)) {
+    return callback(null, []);
+  }
+
+  Cassandra.runQuery(
+    'SELECT * FROM "ActivityWebhooks" WHERE "tenantAlias" IN ?',
+    [tenantAliases],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, _.map(rows, _rowToWebhook));
+    }
+  );
+};
+
+/**
+ * Remove a webhook. The delivery log of the webhook expires by itself
+ *
+ * @param  {String}     webhookId       The id of the webhook to remove
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const deleteWebhook = function(webhookId, callback) {
+  const { tenantAlias } = AuthzUtil.getResourceFromId(webhookId);
+  Cassandra.runQuery(
+    'DELETE FROM "ActivityWebhooks" WHERE "tenantAlias" = ? AND "webhookId" = ?',
+    [tenantAlias, webhookId],
+    callback
+  );
+};
+
+/**
+ * Store the state of a delivery in the delivery log of a webhook. Entries in the delivery log expire after
+ * `ActivityConstants.webhooks.DELIVERY_LOG_TTL` seconds
+ *
+ * @param  {String}                     webhookId       The id of the webhook to which the activity is delivered
+ * @param  {ActivityWebhookDelivery}    delivery        The delivery to store
+ * @param  {Function}                   callback        Standard callback function
+ * @param  {Object}                     callback.err    An error that occurred, if any
+ */
+const saveWebhookDelivery = function(webhookId, delivery, callback) {
+  const lastAttempt = delivery.lastAttempt ? delivery.lastAttempt.toString() : null;
+  const nextAttempt = delivery.nextAttempt ? delivery.nextAttempt.toString() : null;
+  Cassandra.runQuery(
+    'INSERT INTO "ActivityWebhookDeliveries" ("webhookId", "deliveryId", "activityId", "activityType", "status", "attempts", "statusCode", "error", "lastAttempt", "nextAttempt") VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) USING TTL ' +
+      ActivityConstants.webhooks.DELIVERY_LOG_TTL,
+    [
+      webhookId,
+      delivery.id,
+      delivery.activityId,
+      delivery.activityType,
+      delivery.status,
+      delivery.attempts,
+      delivery.statusCode || null,
+      delivery.error || null,
+      lastAttempt,
+      nextAttempt
+    ],
+    callback
+  );
+};
+
+/**
+ * Get the delivery log of a webhook, most recent deliveries first
+ *
+ * @param  {String}                     webhookId               The id of the webhook whose delivery log to get
+ * @param  {String}                     [start]                 The id of the delivery from which to start (exclusive). By default, will start with the most recent delivery
+ * @param  {Number}                     [limit]                 The maximum number of deliveries to return. Default: 25
+ * @param  {Function}                   callback                Standard callback function
+ * @param  {Object}                     callback.err            An error that occurred, if any
+ * @param  {ActivityWebhookDelivery[]}  callback.deliveries     The deliveries in the delivery log
+ * @param  {String}                     callback.nextToken      The value that can be used as the `start` parameter to get the next page of deliveries
+ */
+const getWebhookDeliveries = function(webhookId, start, limit, callback) {
+  limit = OaeUtil.getNumberParam(limit, 25, 1);
+  Cassandra.runPagedQuery(
+    'ActivityWebhookDeliveries',
+    'webhookId',
+    webhookId,
+    'deliveryId',
+    start,
+    limit,
+    { reversed: true },
+    (err, rows, nextToken) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const deliveries = _.map(rows, row => {
+        const lastAttempt = row.get('lastAttempt');
+        const nextAttempt = row.get('nextAttempt');
+        return new ActivityModel.ActivityWebhookDelivery(
+          row.get('deliveryId'),
+          row.get('activityId'),
+          row.get('activityType'),
+          row.get('status'),
+          row.get('attempts'),
+          row.get('statusCode') || undefined,
+          row.get('error') || undefined,
+          lastAttempt ? OaeUtil.getNumberParam(lastAttempt) : undefined,
+          nextAttempt ? OaeUtil.getNumberParam(nextAttempt) : undefined
+        );
+      });
+      return callback(null, deliveries, nextToken);
+    }
+  );
+};
+
+/**
+ * Store a delivery that should be retried. The delivery task is kept until it has been queued again, so retries
+ * survive a restart of the app servers
+ *
+ * @param  {Object}     task                The delivery task to retry, as it was queued
+ * @param  {Number}     nextAttempt         When the delivery should be retried, in millis since the epoch
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const saveWebhookRetry = function(task, nextAttempt, callback) {
+  Cassandra.runQuery(
+    'INSERT INTO "ActivityWebhookRetries" ("deliveryId", "webhookId", "nextAttempt", "task") VALUES (?, ?, ?, ?) USING TTL ' +
+      ActivityConstants.webhooks.DELIVERY_LOG_TTL,
+    [task.delivery.id, task.webhookId, nextAttempt.toString(), JSON.stringify(task)],
+    callback
+  );
+};
+
+/**
+ * Get the delivery tasks that should be retried by now
+ *
+ * @param  {Number}     now                 The current time, in millis since the epoch
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object[]}   callback.tasks      The delivery tasks that are due to be retried
+ */
+const getDueWebhookRetries = function(now, callback) {
+  const tasks = [];
+
+  /*!
+   * Collect the tasks of the retries whose next attempt has passed
+   *
+   * @see Cassandra#iterateAll
+   */
+  const _onEach = function(rows, done) {
+    _.each(rows, row => {
+      if (OaeUtil.getNumberParam(row.get('nextAttempt')) <= now) {
+        tasks.push(JSON.parse(row.get('task')));
+      }
+    });
+
+    return done();
+  };
+
+  Cassandra.iterateAll(
+    ['deliveryId', 'nextAttempt', 'task'],
+    'ActivityWebhookRetries',
+    'deliveryId',
+    { batchSize: 100 },
+    _onEach,
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, tasks);
+    }
+  );
+};
+
+/**
+ * Remove a delivery that no longer needs to be retried
+ *
+ * @param  {String}     deliveryId          The id of the delivery
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const deleteWebhookRetry = function(deliveryId, callback) {
+  Cassandra.runQuery(
+    'DELETE FROM "ActivityWebhookRetries" WHERE "deliveryId" = ?',
+    [deliveryId],
+    callback
+  );
+};
+
+/**
+ * Convert a row of the `ActivityWebhooks` table into a webhook
+ *
+ * @param  {Row}                row     The Cassandra row to convert
+ * @return {ActivityWebhook}            The webhook the row represents, including its `secret`
+ * @api private
+ */
+const _rowToWebhook = function(row) {
+  const webhook = new ActivityModel.ActivityWebhook(
+    row.get('webhookId'),
+    row.get('tenantAlias'),
+    row.get('url'),
+    JSON.parse(row.get('activityTypes') || '[]'),
+    row.get('createdBy'),
+    OaeUtil.getNumberParam(row.get('created'))
+  );
+  return _.extend(webhook, { secret: row.get('secret') });
+};
+
 /// ////////////////
 // NOTIFICATIONS //
 /// ////////////////
@@ -1219,6 +1719,22 @@ export {
   saveQueuedUserIdsForEmail,
   getQueuedUserIdsForEmail,
   unqueueUsersForEmail,
+  getActivityPreferences,
+  saveActivityPreferences,
+  setResourceMuted,
+  getMutedResourceIds,
+  saveWebPushSubscription,
+  getWebPushSubscriptions,
+  deleteWebPushSubscription,
+  createWebhook,
+  getWebhook,
+  getWebhooks,
+  deleteWebhook,
+  saveWebhookDelivery,
+  getWebhookDeliveries,
+  saveWebhookRetry,
+  getDueWebhookRetries,
+  deleteWebhookRetry,
   clearNotificationsUnreadCount,
   incrementNotificationsUnreadCounts
 };
@@ -42,6 +42,7 @@ import * as ActivityTransformer from './transformer';
 import ActivityEmitter from './emitter';
 import * as ActivityDAO from './dao';
 import * as ActivityBuckets from './buckets';
+import * as ActivityPreferences from './preferences';
 import * as ActivityAggregator from './aggregator';
 
 const Telemetry = telemetry('activity-email');
@@ -60,6 +61,13 @@ const TWO_DAYS_IN_MS = 2 * 24 * ONE_HOUR_IN_MS;
 // The amount of milliseconds that go in two weeks
 const TWO_WEEKS_IN_MS = 14 * 24 * ONE_HOUR_IN_MS;
 
+// The email preferences that result in emails being sent, from the most to the least frequent
+const EMAIL_PREFERENCES_BY_FREQUENCY = [
+  PrincipalsConstants.emailPreferences.IMMEDIATE,
+  PrincipalsConstants.emailPreferences.DAILY,
+  PrincipalsConstants.emailPreferences.WEEKLY
+];
+
 // Keeps track of users that are scheduled for email when delivered activities are fired. This is
 // helpful to synchronize things like tests so we know when email should be collected
 const scheduledEmailsCounter = new Counter();
@@ -98,32 +106,63 @@ ActivityEmitter.on(ActivityConstants.events.DELIVERED_ACTIVITIES, deliveredActiv
 
     // Filter out recipients that should not get emails
     const recipientsToQueue = _.filter(recipients, emailRecipient => {
-      return (
-        !emailRecipient.deleted &&
-        emailRecipient.email &&
-        emailRecipient.emailPreference !== PrincipalsConstants.emailPreferences.NEVER
-      );
-    });
-
-    const emailBuckets = {};
-    _.each(recipientsToQueue, recipient => {
-      const bucketId = _createEmailBucketIdForRecipient(recipient);
-      emailBuckets[bucketId] = emailBuckets[bucketId] || [];
-      emailBuckets[bucketId].push(recipient.id);
+      return !emailRecipient.deleted && emailRecipient.email;
     });
 
-    ActivityDAO.saveQueuedUserIdsForEmail(emailBuckets, err => {
+    // Get the preferences of the recipients, as they might want to be emailed about some activities more or less
+    // often than their email preference says
+    const userIds = _.chain(recipientsToQueue)
+      .pluck('id')
+      .filter(AuthzUtil.isUserId)
+      .value();
+    ActivityDAO.getActivityPreferences(userIds, (err, preferencesByUserId) => {
       if (err) {
         scheduledEmailsCounter.decr();
         return log().error(
-          { err, deliveredActivities },
-          'Unable to store the IDs of the users who need to receive mail'
+          { err, userIds },
+          'Failed to get the activity preferences of the users in this activity'
         );
       }
 
-      log().trace({ recipientsToQueue }, 'Queued mail for users');
-      Telemetry.incr('queued.count', recipientsToQueue.length);
-      scheduledEmailsCounter.decr();
+      // Queue each recipient in the bucket of every email preference they have for the delivered activities
+      const emailBuckets = {};
+      const queuedRecipientIds = [];
+      _.each(recipientsToQueue, recipient => {
+        const emailPreferences = _.chain(deliveredActivities[recipient.id].email.activities)
+          .map(activity => {
+            return ActivityPreferences.getEmailPreference(
+              preferencesByUserId[recipient.id],
+              activity,
+              recipient.emailPreference
+            );
+          })
+          .uniq()
+          .without(PrincipalsConstants.emailPreferences.NEVER)
+          .value();
+        if (!_.isEmpty(emailPreferences)) {
+          queuedRecipientIds.push(recipient.id);
+        }
+
+        _.each(emailPreferences, emailPreference => {
+          const bucketId = _createEmailBucketIdForRecipient(recipient, emailPreference);
+          emailBuckets[bucketId] = emailBuckets[bucketId] || [];
+          emailBuckets[bucketId].push(recipient.id);
+        });
+      });
+
+      ActivityDAO.saveQueuedUserIdsForEmail(emailBuckets, err => {
+        if (err) {
+          scheduledEmailsCounter.decr();
+          return log().error(
+            { err, deliveredActivities },
+            'Unable to store the IDs of the users who need to receive mail'
+          );
+        }
+
+        log().trace({ emailBuckets }, 'Queued mail for users');
+        Telemetry.incr('queued.count', queuedRecipientIds.length);
+        scheduledEmailsCounter.decr();
+      });
     });
   });
 });
@@ -386,7 +425,7 @@ const collectMails = function(bucketNumber, emailPreference, dayOfWeek, hour, ca
 
   // Get the timestamp which we consider to be the cut-off point for activities. Older activities will not be included
   const oldestActivityTimestamp = _getCollectionCycleStart(emailPreference);
-  _collectMails(bucketId, oldestActivityTimestamp, null, (err, recipients) => {
+  _collectMails(bucketId, emailPreference, oldestActivityTimestamp, null, (err, recipients) => {
     if (err) {
       return callback(err);
     }
@@ -403,13 +442,15 @@ const collectMails = function(bucketNumber, emailPreference, dayOfWeek, hour, ca
  * Steps:
  *   1.  Get all the users whom we need to mail in this iteration. These are the user IDs in the bucket
  *   2.  Collect all the activities from the users their email streams
- *   3.  Filter the activity streams to those that have no activities within the grace period
- *   4.  Stop aggregating for those email activity streams. This is to ensure that later emails don't include old activities
- *   5.  Unqueue the users from the email buckets
- *   6.  Remove the activities from the activity streams as they are no longer required
- *   7.  Construct the actual emails and send them out
+ *   3.  Get the users and their preferences and select the activities that are due for the email preference of the bucket
+ *   4.  Filter the activity streams to those that have no due activities within the grace period
+ *   5.  Stop aggregating for those email activity streams. This is to ensure that later emails don't include old activities
+ *   6.  Unqueue the users from the email buckets
+ *   7.  Remove the due activities from the activity streams as they are no longer required
+ *   8.  Construct the actual emails and send them out
  *
  * @param  {String}     bucketId                    The bucket to collect
+ * @param  {String}     emailPreference             The email preference of the bucket. One of {@see PrincipalsConstants.emailPreferences}
  * @param  {Number}     oldestActivityTimestamp     The timestamp for the oldest activity that should be included in the current collection cycle
  * @param  {String}     [start]                     The user id to start paging from
  * @param  {Function}   callback                    Standard callback function
@@ -418,6 +459,7 @@ const collectMails = function(bucketNumber, emailPreference, dayOfWeek, hour, ca
  */
 const _collectMails = function(
   bucketId,
+  emailPreference,
   oldestActivityTimestamp,
   start,
   callback,
@@ -450,6 +492,7 @@ const _collectMails = function(
         .object()
         .value();
 
+      // 2. Collect the activities from the email streams
       ActivityDAO.getActivitiesFromStreams(
         _.keys(recipientIdsByActivityStreamIds),
         oldestActivityTimestamp,
@@ -458,119 +501,146 @@ const _collectMails = function(
             return callback(err);
           }
 
-          // Will hold the activities (keyed per stream) who have no activities within the grace period
-          const activitiesPerMailableStreams = {};
-
-          // Will hold the user IDs that should receive an email during this collection phase
-          const recipientIdsToMail = [];
-
-          // 3. Filter the activity streams to those who have no activities within the grace period
-          const threshold = Date.now() - ActivitySystemConfig.getConfig().mail.gracePeriod * 1000;
-          _.each(activitiesPerStream, (activities, activityStreamId) => {
-            const hasRecentActivity = _.find(activities, activity => {
-              return activity.published > threshold;
-            });
-
-            if (!hasRecentActivity) {
-              // Keep track of the activities for which we'll send out an e-mail
-              activitiesPerMailableStreams[activityStreamId] = activities;
-
-              // Keep track of the id of the user for which we'll send out an e-mail
-              recipientIdsToMail.push(recipientIdsByActivityStreamIds[activityStreamId]);
+          // 3. Get all the recipient profiles and their preferences
+          _getEmailRecipientResources(recipientIds, (err, recipients) => {
+            if (err) {
+              log().error({ err, recipientIds }, 'Failed to get the recipients when sending email');
+              return callback(err);
             }
-          });
 
-          // 4. Reset aggregation for the those streams we'll be sending out an email for
-          // so that the next e-mail doesn't contain the same activities
-          ActivityDAO.resetAggregationForActivityStreams(
-            _.keys(activitiesPerMailableStreams),
-            err => {
+            const userIds = _.filter(recipientIds, AuthzUtil.isUserId);
+            ActivityDAO.getActivityPreferences(userIds, (err, preferencesByUserId) => {
               if (err) {
                 return callback(err);
               }
 
-              // 5. Remove the users we'll email from the buckets
-              ActivityDAO.unqueueUsersForEmail(bucketId, recipientIdsToMail, err => {
-                if (err) {
-                  return callback(err);
-                }
-
-                // 6. Delete these activities as we will be pushing them out
-                const activitiesPerStreamToDelete = {};
-                _.each(activitiesPerMailableStreams, (activities, activityStreamId) => {
-                  activitiesPerStreamToDelete[activityStreamId] = _.pluck(
-                    activities,
-                    ActivityConstants.properties.OAE_ACTIVITY_ID
+              const recipientsById = _.indexBy(recipients, 'id');
+
+              // Will hold the due activities (keyed per stream) who have no due activities within the grace period
+              const activitiesPerMailableStreams = {};
+
+              // Will hold the user IDs that should be unqueued during this collection phase
+              const recipientIdsToMail = [];
+
+              // 4. Filter the activity streams to those who have no due activities within the grace period
+              const threshold =
+                Date.now() - ActivitySystemConfig.getConfig().mail.gracePeriod * 1000;
+              _.each(activitiesPerStream, (activities, activityStreamId) => {
+                const recipientId = recipientIdsByActivityStreamIds[activityStreamId];
+                const recipient = recipientsById[recipientId];
+
+                // Activities whose email preference is less frequent than the email preference of the bucket stay in
+                // the stream until the bucket of their own email preference is collected
+                const dueActivities = _.filter(activities, activity => {
+                  return (
+                    recipient &&
+                    _isDueForEmailPreference(
+                      ActivityPreferences.getEmailPreference(
+                        preferencesByUserId[recipientId],
+                        activity,
+                        recipient.emailPreference
+                      ),
+                      emailPreference
+                    )
                   );
                 });
-                ActivityDAO.deleteActivities(activitiesPerStreamToDelete, err => {
+
+                const hasRecentActivity = _.find(dueActivities, activity => {
+                  return activity.published > threshold;
+                });
+
+                if (!hasRecentActivity) {
+                  // Keep track of the activities for which we'll send out an e-mail
+                  if (!_.isEmpty(dueActivities)) {
+                    activitiesPerMailableStreams[activityStreamId] = dueActivities;
+                  }
+
+                  // Keep track of the id of the user for which we'll send out an e-mail
+                  recipientIdsToMail.push(recipientId);
+                }
+              });
+
+              // 5. Reset aggregation for the those streams we'll be sending out an email for
+              // so that the next e-mail doesn't contain the same activities
+              ActivityDAO.resetAggregationForActivityStreams(
+                _.keys(activitiesPerMailableStreams),
+                err => {
                   if (err) {
                     return callback(err);
                   }
 
-                  // Get all the recipient profiles
-                  _getEmailRecipientResources(recipientIdsToMail, (err, recipients) => {
+                  // 6. Remove the users we'll email from the buckets
+                  ActivityDAO.unqueueUsersForEmail(bucketId, recipientIdsToMail, err => {
                     if (err) {
-                      log().error(
-                        { err, recipientIds: recipientIdsToMail },
-                        'Failed to get the recipients when sending email'
-                      );
                       return callback(err);
                     }
 
-                    // Keep track of whom we need to email
-                    const recipientsToMail = _.filter(recipients, recipient => {
-                      // Although it's very unlikely that a user who changed their email preferences would end up here,
-                      // we take it into account as it would be really unfortunate to send them any further email. Additionally,
-                      // if the email stream for the user was empty (because they marked their notifications as read), we can't
-                      // send them any mail either
-                      const emailActivityStreamId = ActivityUtil.createActivityStreamId(
-                        recipient.id,
-                        ActivityConstants.streams.EMAIL
-                      );
-                      return (
-                        recipient.emailPreference !== PrincipalsConstants.emailPreferences.NEVER &&
-                        !_.isEmpty(activitiesPerMailableStreams[emailActivityStreamId])
-                      );
-                    });
-
-                    // Transform the recipients array so the activities are included
-                    const toMail = _.map(recipientsToMail, recipient => {
-                      const emailActivityStreamId = ActivityUtil.createActivityStreamId(
-                        recipient.id,
-                        ActivityConstants.streams.EMAIL
+                    // 7. Delete these activities as we will be pushing them out
+                    const activitiesPerStreamToDelete = {};
+                    _.each(activitiesPerMailableStreams, (activities, activityStreamId) => {
+                      activitiesPerStreamToDelete[activityStreamId] = _.pluck(
+                        activities,
+                        ActivityConstants.properties.OAE_ACTIVITY_ID
                       );
-                      return {
-                        recipient,
-                        activities: activitiesPerMailableStreams[emailActivityStreamId]
-                      };
                     });
-
-                    // 7. Send out the emails
-                    _mailAll(toMail, err => {
+                    ActivityDAO.deleteActivities(activitiesPerStreamToDelete, err => {
                       if (err) {
                         return callback(err);
                       }
 
-                      _collectedRecipients = _collectedRecipients.concat(recipientsToMail);
+                      // Keep track of whom we need to email. If the email stream for the user had no due activities
+                      // (because they marked their notifications as read or don't want to be emailed about them yet),
+                      // we can't send them any mail
+                      const recipientsToMail = _.filter(recipients, recipient => {
+                        const emailActivityStreamId = ActivityUtil.createActivityStreamId(
+                          recipient.id,
+                          ActivityConstants.streams.EMAIL
+                        );
+                        return (
+                          _.contains(recipientIdsToMail, recipient.id) &&
+                          !_.isEmpty(activitiesPerMailableStreams[emailActivityStreamId])
+                        );
+                      });
 
-                      if (nextToken) {
-                        _collectMails(
-                          bucketId,
-                          oldestActivityTimestamp,
-                          nextToken,
-                          callback,
-                          _collectedRecipients
+                      // Transform the recipients array so the activities are included
+                      const toMail = _.map(recipientsToMail, recipient => {
+                        const emailActivityStreamId = ActivityUtil.createActivityStreamId(
+                          recipient.id,
+                          ActivityConstants.streams.EMAIL
                         );
-                      } else {
-                        return callback(null, _collectedRecipients);
-                      }
+                        return {
+                          recipient,
+                          activities: activitiesPerMailableStreams[emailActivityStreamId]
+                        };
+                      });
+
+                      // 8. Send out the emails
+                      _mailAll(toMail, err => {
+                        if (err) {
+                          return callback(err);
+                        }
+
+                        _collectedRecipients = _collectedRecipients.concat(recipientsToMail);
+
+                        if (nextToken) {
+                          _collectMails(
+                            bucketId,
+                            emailPreference,
+                            oldestActivityTimestamp,
+                            nextToken,
+                            callback,
+                            _collectedRecipients
+                          );
+                        } else {
+                          return callback(null, _collectedRecipients);
+                        }
+                      });
                     });
                   });
-                });
-              });
-            }
-          );
+                }
+              );
+            });
+          });
         }
       );
     }
@@ -940,11 +1010,13 @@ const _isEmailRecipientId = function(routeId) {
 /**
  * Given a recipient (email resource or user), return the approriate email bucket ID
  *
- * @param  {Resource}   recipient   The recipient profile for which to generate an email bucket id
- * @return {String}                 The ID of the email bucket that this user should go in
+ * @param  {Resource}   recipient           The recipient profile for which to generate an email bucket id
+ * @param  {String}     [emailPreference]   The email preference for which to generate an email bucket id. Defaults to the email preference of the recipient
+ * @return {String}                         The ID of the email bucket that this user should go in
  * @api private
  */
-const _createEmailBucketIdForRecipient = function(recipient) {
+const _createEmailBucketIdForRecipient = function(recipient, emailPreference) {
+  emailPreference = emailPreference || recipient.emailPreference;
   const timezone = TenantConfig.getValue(recipient.tenant.alias, 'timezone', 'timezone');
   const bucketNumber = _getBucketNumber(recipient.id);
 
@@ -953,7 +1025,7 @@ const _createEmailBucketIdForRecipient = function(recipient) {
   let dayOfWeek = null;
 
   // Anything else than immediate delivery needs to be scheduled appropriately
-  if (recipient.emailPreference !== PrincipalsConstants.emailPreferences.IMMEDIATE) {
+  if (emailPreference !== PrincipalsConstants.emailPreferences.IMMEDIATE) {
     /*!
      * Take the given timezone into account for daily and/or weekly mails. We try to deliver an e-mail
      * at the configured hour in the given timezone. In order to do this we need the timezone offset
@@ -975,7 +1047,7 @@ const _createEmailBucketIdForRecipient = function(recipient) {
 
     // Add (or subtract) the offset, if the result is a negative hour, we'll need to send out the email on the day
     // before the configured day, if it's 24 or higher we'll need to send it a day later
-    hour = mailConfig[recipient.emailPreference].hour - offsetInHours;
+    hour = mailConfig[emailPreference].hour - offsetInHours;
     if (hour < 0) {
       // Rather than doing -1, we do +6 as Javascript can't handle negative modulos
       dayOfWeek = (mailConfig.weekly.day + 6) % 7;
@@ -990,7 +1062,7 @@ const _createEmailBucketIdForRecipient = function(recipient) {
     hour = (24 + hour) % 24;
   }
 
-  return _createEmailBucketId(bucketNumber, recipient.emailPreference, dayOfWeek, hour);
+  return _createEmailBucketId(bucketNumber, emailPreference, dayOfWeek, hour);
 };
 
 /**
@@ -1015,6 +1087,23 @@ const _getCollectionCycleStart = function(emailPreference) {
   }
 };
 
+/**
+ * Determine whether an activity is due for delivery when collecting the email bucket of an email preference. Activities
+ * are delivered when the bucket of their own email preference, or of a less frequent one, is collected
+ *
+ * @param  {String}     activityEmailPreference     The email preference the recipient has for the activity. One of {@see PrincipalsConstants.emailPreferences}
+ * @param  {String}     bucketEmailPreference       The email preference of the bucket that is being collected. One of {@see PrincipalsConstants.emailPreferences}
+ * @return {Boolean}                                Whether the activity should be included in the email that is being collected
+ * @api private
+ */
+const _isDueForEmailPreference = function(activityEmailPreference, bucketEmailPreference) {
+  const activityFrequency = EMAIL_PREFERENCES_BY_FREQUENCY.indexOf(activityEmailPreference);
+  return (
+    activityFrequency !== -1 &&
+    activityFrequency <= EMAIL_PREFERENCES_BY_FREQUENCY.indexOf(bucketEmailPreference)
+  );
+};
+
 /**
  * Given a bucket number, an email preference and an hour, return the appropriate email bucket
  *
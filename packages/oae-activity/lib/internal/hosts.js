@@ -0,0 +1,188 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import util from 'util';
+import _ from 'underscore';
+import request from 'request';
+
+// The code of the error with which a host that resolves to a reserved address is refused
+const RESERVED_ADDRESS = 'ERESERVEDADDRESS';
+
+/**
+ * Check whether an IP address is a loopback, private, link-local or otherwise reserved address
+ *
+ * @param  {String}     address     The IPv4 or IPv6 address to check
+ * @return {Boolean}                `true` if the address is not publicly routable
+ */
+const isReservedAddress = function(address) {
+  address = address.toLowerCase();
+
+  // Check IPv4-mapped IPv6 addresses as the IPv4 address they map to. These can be written in dotted (`::ffff:127.0.0.1`)
+  // or in hexadecimal (`::ffff:7f00:1`) notation
+  const mappedAddress = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const hexMappedAddress = address.match(/^::ffff:([\da-f]{1,4}):([\da-f]{1,4})$/);
+  if (mappedAddress) {
+    address = mappedAddress[1];
+  } else if (hexMappedAddress) {
+    const high = parseInt(hexMappedAddress[1], 16);
+    const low = parseInt(hexMappedAddress[2], 16);
+    address = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+
+  if (net.isIPv4(address)) {
+    const [a, b] = _.map(address.split('.'), Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+
+  // The unspecified and loopback addresses, unique local addresses (fc00::/7) and link-local addresses (fe80::/10)
+  return (
+    address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address)
+  );
+};
+
+/**
+ * Check whether an error was caused by a host that resolved to a reserved address
+ *
+ * @param  {Error}      err     The error to check
+ * @return {Boolean}            `true` if the error was caused by a host that resolved to a reserved address
+ */
+const isReservedAddressError = function(err) {
+  return Boolean(err && err.code === RESERVED_ADDRESS);
+};
+
+/**
+ * Resolve a hostname like `dns.lookup` does, but fail when it resolves to a reserved address. When this is used as
+ * the `lookup` of a request, the address is checked when the connection is made. Checking a host some time before
+ * connecting to it is not enough, as the host could resolve to another address by then
+ *
+ * @param  {String}             hostname            The hostname to resolve
+ * @param  {Object|Number}      [options]           The options or the address family of `dns.lookup`
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Error}              callback.err        An error that occurred, if any
+ * @param  {String|Object[]}    callback.address    The address the hostname resolved to, or all of them when the `all` option was set
+ * @param  {Number}             [callback.family]   The family of the address the hostname resolved to
+ */
+const lookupPublicAddress = function(hostname, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  } else if (_.isNumber(options)) {
+    options = { family: options };
+  }
+
+  // eslint-disable-next-line node/prefer-promises/dns
+  dns.lookup(hostname, _.extend({}, options, { all: true }), (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const reserved = _.find(addresses, ({ address }) => isReservedAddress(address));
+    if (reserved) {
+      return callback(_createReservedAddressError(hostname, reserved.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that the host of a url does not resolve to a reserved address
+ *
+ * @param  {String}     url             The url whose host to check
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Error}      callback.err    An error that occurred, if any. Use `isReservedAddressError` to tell a reserved address apart from a host that could not be resolved
+ */
+const checkPublicUrl = function(url, callback) {
+  const hostname = _getHostname(url);
+  if (net.isIP(hostname)) {
+    return callback(
+      isReservedAddress(hostname) ? _createReservedAddressError(hostname, hostname) : null
+    );
+  }
+
+  lookupPublicAddress(hostname, { all: true }, err => callback(err));
+};
+
+/**
+ * Make a request that refuses to connect to a reserved address. The address is checked when the connection is made
+ * and redirects are not followed, as they could point anywhere
+ *
+ * @param  {Object}         opts                The options of the request
+ * @param  {String}         opts.url            The url to request
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Error}          callback.err        An error that occurred, if any
+ * @param  {Response}       callback.response   The response of the request
+ * @param  {String}         callback.body       The body of the response
+ */
+const requestPublicUrl = function(opts, callback) {
+  // An IP address is connected to as is, without a lookup
+  const hostname = _getHostname(opts.url);
+  if (net.isIP(hostname) && isReservedAddress(hostname)) {
+    return process.nextTick(callback, _createReservedAddressError(hostname, hostname));
+  }
+
+  return request(
+    _.extend({}, opts, { lookup: lookupPublicAddress, followRedirect: false }),
+    callback
+  );
+};
+
+/**
+ * Get the hostname of a url. The brackets around an IPv6 address are removed
+ *
+ * @param  {String}     url     The url whose hostname to get
+ * @return {String}             The hostname of the url
+ * @api private
+ */
+const _getHostname = function(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+};
+
+/**
+ * Create the error with which a host that resolves to a reserved address is refused
+ *
+ * @param  {String}     hostname    The host that was refused
+ * @param  {String}     address     The reserved address the host resolved to
+ * @return {Error}                  The error with which the host is refused
+ * @api private
+ */
+const _createReservedAddressError = function(hostname, address) {
+  const err = new Error(util.format('%s resolves to the reserved address %s', hostname, address));
+  err.code = RESERVED_ADDRESS;
+  return err;
+};
+
+export {
+  isReservedAddress,
+  isReservedAddressError,
+  lookupPublicAddress,
+  checkPublicUrl,
+  requestPublicUrl
+};
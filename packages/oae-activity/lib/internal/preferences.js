@@ -0,0 +1,136 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import { PrincipalsConstants } from 'oae-principals/lib/constants';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+
+/**
+ * Get how often a user wants to be emailed about an activity
+ *
+ * @param  {ActivityPreferences}    preferences                 The notification and email preferences of the user
+ * @param  {Activity}               activity                    The activity for which to get the email preference
+ * @param  {String}                 defaultEmailPreference      The email preference to fall back to when the user has no preference for the activity, usually the `emailPreference` of the user
+ * @return {String}                                             The email preference for the activity. One of `PrincipalsConstants.emailPreferences`
+ */
+const getEmailPreference = function(preferences, activity, defaultEmailPreference) {
+  if (isMuted(preferences, activity)) {
+    return PrincipalsConstants.emailPreferences.NEVER;
+  }
+
+  const email = _getPreference(preferences, activity, 'email');
+  return _.isUndefined(email) ? defaultEmailPreference : email;
+};
+
+/**
+ * Determine whether a user wants an activity to be added to their notification stream
+ *
+ * @param  {ActivityPreferences}    preferences     The notification and email preferences of the user
+ * @param  {Activity}               activity        The activity for which to check the notification preference
+ * @return {Boolean}                                `true` if the activity should be added to the user's notification stream
+ */
+const isNotificationEnabled = function(preferences, activity) {
+  return (
+    !isMuted(preferences, activity) &&
+    _getPreference(preferences, activity, 'notification') !== false
+  );
+};
+
+/**
+ * Determine whether a user muted the object or the target of an activity
+ *
+ * @param  {ActivityPreferences}    preferences     The notification and email preferences of the user
+ * @param  {Activity}               activity        The activity for which to check whether it is muted
+ * @return {Boolean}                                `true` if the user muted a resource the activity is about
+ */
+const isMuted = function(preferences, activity) {
+  return _.some(_getResourcePreferences(preferences, activity), preference => {
+    return preference.muted === true;
+  });
+};
+
+/**
+ * Get the most specific value a user set for a preference field. The preferences for the target of the activity are
+ * checked first, followed by those of the object and those of the activity type
+ *
+ * @param  {ActivityPreferences}    preferences     The notification and email preferences of the user
+ * @param  {Activity}               activity        The activity for which to get the preference
+ * @param  {String}                 field           The preference field to get. One of `email` or `notification`
+ * @return {String|Boolean}                         The value of the preference field, or `undefined` if the user did not set it
+ * @api private
+ */
+const _getPreference = function(preferences, activity, field) {
+  if (!preferences) {
+    return undefined;
+  }
+
+  const resourcePreference = _.find(_getResourcePreferences(preferences, activity), preference => {
+    return !_.isUndefined(preference[field]);
+  });
+  if (resourcePreference) {
+    return resourcePreference[field];
+  }
+
+  const activityType = activity[ActivityConstants.properties.OAE_ACTIVITY_TYPE];
+  const activityTypePreference = preferences.activityTypes[activityType] || {};
+  return activityTypePreference[field];
+};
+
+/**
+ * Get the preferences a user has set for the target and the object of an activity, in that order
+ *
+ * @param  {ActivityPreferences}    [preferences]   The notification and email preferences of the user
+ * @param  {Activity}               activity        The activity for which to get the resource preferences
+ * @return {Object[]}                               The preferences the user has set for the resources of the activity
+ * @api private
+ */
+const _getResourcePreferences = function(preferences, activity) {
+  if (!preferences) {
+    return [];
+  }
+
+  return _.chain([activity.target, activity.object])
+    .map(_getEntities)
+    .flatten()
+    .map(entity => {
+      return preferences.resources[entity[ActivityConstants.properties.OAE_ID]];
+    })
+    .compact()
+    .value();
+};
+
+/**
+ * Get the set of entities for a given `object` or `target` entity. If the entity is an aggregate, the entities
+ * of the `oae:collection` will be returned
+ *
+ * @param  {Object}             [entity]    The entity to return. Either an `ActivityEntity` or an `oae:collection` of `ActivityEntity` objects
+ * @return {ActivityEntity[]}               An array of `ActivityEntity` objects
+ * @api private
+ */
+const _getEntities = function(entity) {
+  if (!entity) {
+    return [];
+  }
+
+  if (entity.objectType !== 'collection') {
+    return [entity];
+  }
+
+  return entity[ActivityConstants.properties.OAE_COLLECTION];
+};
+
+export { getEmailPreference, isNotificationEnabled, isMuted };
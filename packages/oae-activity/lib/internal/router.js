@@ -18,6 +18,7 @@ import _ from 'underscore';
 
 import * as AuthzUtil from 'oae-authz/lib/util';
 import { logger } from 'oae-logger';
+import { PrincipalsConstants } from 'oae-principals/lib/constants';
 import { telemetry } from 'oae-telemetry';
 import * as TenantsUtil from 'oae-tenants/lib/util';
 
@@ -26,6 +27,7 @@ import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivityUtil from 'oae-activity/lib/util';
 import ActivityEmitter from './emitter';
 import * as ActivityRegistry from './registry';
+import * as ActivityPreferences from './preferences';
 import * as ActivitySystemConfig from './config';
 
 import * as ActivityDAO from './dao';
@@ -487,8 +489,15 @@ const _produceAllRoutes = function(activitySeed, actor, object, target, callback
                                   return callback(err);
                                 }
 
-                                // Return the final list of routes
-                                return callback(null, includedRoutes);
+                                // Finally drop the notification and email routes of users who don't want them
+                                return _applyPreferences(
+                                  activitySeed,
+                                  actor,
+                                  object,
+                                  target,
+                                  includedRoutes,
+                                  callback
+                                );
                               }
                             );
                           }
@@ -506,6 +515,78 @@ const _produceAllRoutes = function(activitySeed, actor, object, target, callback
   });
 };
 
+/**
+ * Remove the notification and email routes of users whose preferences say they don't want to be notified or emailed
+ * about the activity, as well as the activity, notification and email routes of users who muted a resource the
+ * activity is about. How often the remaining email routes are emailed is determined when the email buckets are
+ * collected
+ *
+ * @param  {ActivitySeed}   activitySeed        The activity seed that was used to post the activity
+ * @param  {ActivityEntity} actor               The actor entity that was produced for the activity
+ * @param  {ActivityEntity} [object]            The object entity that was produced for the activity
+ * @param  {ActivityEntity} [target]            The target entity that was produced for the activity
+ * @param  {Object[]}       routes              The routes that were produced for the activity
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object[]}       callback.routes     The routes the users want the activity to be delivered to
+ * @api private
+ */
+const _applyPreferences = function(activitySeed, actor, object, target, routes, callback) {
+  const isPreferenceRoute = function(route) {
+    if (!AuthzUtil.isUserId(route.resourceId)) {
+      return false;
+    }
+
+    if (route.streamType === ActivityConstants.streams.ACTIVITY) {
+      // Muting a resource never hides what users did themselves from their own activity stream
+      return route.resourceId !== actor[ActivityConstants.properties.OAE_ID];
+    }
+
+    return (
+      route.streamType === ActivityConstants.streams.NOTIFICATION ||
+      route.streamType === ActivityConstants.streams.EMAIL
+    );
+  };
+
+  const userIds = _.chain(routes)
+    .filter(isPreferenceRoute)
+    .pluck('resourceId')
+    .uniq()
+    .value();
+  if (_.isEmpty(userIds)) {
+    return callback(null, routes);
+  }
+
+  ActivityDAO.getActivityPreferences(userIds, (err, preferencesByUserId) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const activity = { object, target };
+    activity[ActivityConstants.properties.OAE_ACTIVITY_TYPE] = activitySeed.activityType;
+
+    const includedRoutes = _.filter(routes, route => {
+      if (!isPreferenceRoute(route)) {
+        return true;
+      }
+
+      const preferences = preferencesByUserId[route.resourceId];
+      if (route.streamType === ActivityConstants.streams.ACTIVITY) {
+        return !ActivityPreferences.isMuted(preferences, activity);
+      }
+
+      if (route.streamType === ActivityConstants.streams.NOTIFICATION) {
+        return ActivityPreferences.isNotificationEnabled(preferences, activity);
+      }
+
+      const emailPreference = ActivityPreferences.getEmailPreference(preferences, activity, null);
+      return emailPreference !== PrincipalsConstants.emailPreferences.NEVER;
+    });
+
+    return callback(null, includedRoutes);
+  });
+};
+
 /**
  * Given the entities of an activity, return whether the
  * activity can be routed to a public activity stream
@@ -0,0 +1,377 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import util from 'util';
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+import request from 'request';
+import ShortId from 'shortid';
+
+import { AuthzConstants } from 'oae-authz/lib/constants';
+import * as AuthzUtil from 'oae-authz/lib/util';
+import Counter from 'oae-util/lib/counter';
+import * as Locking from 'oae-util/lib/locking';
+import { logger } from 'oae-logger';
+import * as MQ from 'oae-util/lib/mq';
+import * as Signature from 'oae-util/lib/signature';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import { ActivityWebhookDelivery } from 'oae-activity/lib/model';
+import * as ActivitySystemConfig from './config';
+import * as ActivityDAO from './dao';
+import * as ActivityHosts from './hosts';
+import ActivityEmitter from './emitter';
+
+const log = logger('oae-activity-webhooks');
+
+// Tracks the deliveries that are queued or being posted. This is ONLY useful in a local development environment
+// where one application node is firing and handling all deliveries
+const webhooksCounter = new Counter();
+
+// The lock that ensures only one app server at a time queues the deliveries that are due to be retried
+const RETRY_LOCK_KEY = 'oae-activity:webhooks:retry';
+
+/*!
+ * When an activity is routed, it is queued for delivery to the webhooks of the tenants of its actor, object and target
+ */
+ActivityEmitter.on(ActivityConstants.events.ROUTED_ACTIVITIES, routedActivities => {
+  // The same activity is routed to many streams, we only need to deliver it once
+  const activities = _.chain(routedActivities)
+    .map(_.values)
+    .flatten()
+    .indexBy(ActivityConstants.properties.OAE_ACTIVITY_ID)
+    .values()
+    .value();
+
+  _.each(activities, _queueDeliveries);
+});
+
+/**
+ * Queue the delivery of an activity to each webhook that wants to receive it. A webhook only receives an activity
+ * when all of its entities that belong to another tenant are public, so a tenant never learns about the private
+ * resources of other tenants
+ *
+ * @param  {Activity}   activity    The activity that was routed
+ * @api private
+ */
+const _queueDeliveries = function(activity) {
+  const activityType = activity[ActivityConstants.properties.OAE_ACTIVITY_TYPE];
+  const tenantAliases = _getTenantAliases(activity);
+
+  // Keep track of the async operation
+  webhooksCounter.incr();
+
+  ActivityDAO.getWebhooks(tenantAliases, (err, webhooks) => {
+    if (err) {
+      log().error({ err, tenantAliases }, 'Could not get the webhooks to deliver an activity to');
+      return webhooksCounter.decr();
+    }
+
+    const matchingWebhooks = _.filter(webhooks, webhook => {
+      return (
+        (_.isEmpty(webhook.activityTypes) || _.contains(webhook.activityTypes, activityType)) &&
+        _isVisibleToTenant(activity, webhook.tenantAlias)
+      );
+    });
+    _.each(matchingWebhooks, webhook => {
+      webhooksCounter.incr();
+
+      const delivery = new ActivityWebhookDelivery(
+        util.format('%s:%s', Date.now(), ShortId.generate()),
+        activity[ActivityConstants.properties.OAE_ACTIVITY_ID],
+        activityType,
+        ActivityConstants.webhooks.status.PENDING,
+        0
+      );
+      ActivityDAO.saveWebhookDelivery(webhook.id, delivery, err => {
+        if (err) {
+          log().error(
+            { err, webhookId: webhook.id },
+            'Could not log the delivery of an activity to a webhook'
+          );
+          return webhooksCounter.decr();
+        }
+
+        const task = { webhookId: webhook.id, delivery, activity };
+        MQ.submit(ActivityConstants.mq.TASK_WEBHOOK_DELIVERY, JSON.stringify(task), err => {
+          if (err) {
+            log().error(
+              { err, webhookId: webhook.id },
+              'Could not queue the delivery of an activity to a webhook'
+            );
+            webhooksCounter.decr();
+          }
+        });
+      });
+    });
+
+    webhooksCounter.decr();
+  });
+};
+
+/**
+ * Post an activity to a webhook. The JSON body is signed with the secret of the webhook, so the receiving party can
+ * verify it was sent by us. When the webhook does not accept the activity it is stored to be retried after a delay
+ * that doubles with every failed attempt, until the configured maximum number of attempts has been made. Activities are
+ * not posted to webhooks on a private network unless these are explicitly allowed
+ *
+ * @param  {Object}                     task                The delivery task that was queued
+ * @param  {String}                     task.webhookId      The id of the webhook to which to post the activity
+ * @param  {ActivityWebhookDelivery}    task.delivery       The delivery as it is kept in the delivery log of the webhook
+ * @param  {Activity}                   task.activity       The activity to post
+ * @param  {Function}                   callback            Standard callback function
+ * @param  {Object}                     callback.err        An error that occurred, if any
+ */
+const deliver = function(task, callback) {
+  const { webhookId, activity } = task;
+  const { webhooks: config } = ActivitySystemConfig.getConfig();
+
+  ActivityDAO.getWebhook(webhookId, (err, webhook) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!webhook) {
+      // The webhook was removed since the activity was queued for it
+      webhooksCounter.decr();
+      return callback();
+    }
+
+    const body = JSON.stringify({
+      id: task.delivery.id,
+      webhookId,
+      tenantAlias: webhook.tenantAlias,
+      activity
+    });
+    const timestamp = Date.now().toString();
+    const opts = {
+      method: 'POST',
+      url: webhook.url,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-OAE-Webhook': webhookId,
+        'X-OAE-Delivery': task.delivery.id,
+        'X-OAE-Timestamp': timestamp,
+        'X-OAE-Signature':
+          'sha256=' + Signature.signWithSecret(webhook.secret, timestamp + '.' + body)
+      },
+      body,
+      timeout: config.timeout * 1000
+    };
+
+    const delivery = _.extend({}, task.delivery, {
+      attempts: task.delivery.attempts + 1,
+      lastAttempt: Date.now()
+    });
+
+    // The host of the webhook is checked again when connecting to it, as it could resolve to an address on our own
+    // network by now
+    const send = config.allowPrivateHosts ? request : ActivityHosts.requestPublicUrl;
+    send(opts, (err, response) => {
+      delivery.statusCode = response ? response.statusCode : undefined;
+      delivery.error = err ? err.message : undefined;
+
+      const isDelivered = !err && response.statusCode >= 200 && response.statusCode < 300;
+      delivery.nextAttempt = undefined;
+      if (isDelivered) {
+        delivery.status = ActivityConstants.webhooks.status.DELIVERED;
+      } else if (delivery.attempts < config.maxAttempts) {
+        delivery.status = ActivityConstants.webhooks.status.RETRYING;
+        delivery.nextAttempt = Date.now() + config.retryDelay * 2 ** (delivery.attempts - 1) * 1000;
+      } else {
+        delivery.status = ActivityConstants.webhooks.status.FAILED;
+        log().warn({ webhookId, delivery }, 'Giving up on delivering an activity to a webhook');
+      }
+
+      ActivityDAO.saveWebhookDelivery(webhookId, delivery, err => {
+        if (err) {
+          log().error(
+            { err, webhookId, delivery },
+            'Could not log the delivery of an activity to a webhook'
+          );
+        }
+
+        if (delivery.status !== ActivityConstants.webhooks.status.RETRYING) {
+          webhooksCounter.decr();
+          return callback();
+        }
+
+        ActivityDAO.saveWebhookRetry(
+          _.extend({}, task, { delivery }),
+          delivery.nextAttempt,
+          err => {
+            if (err) {
+              log().error(
+                { err, webhookId, delivery },
+                'Could not store the retry of a delivery to a webhook'
+              );
+            }
+
+            webhooksCounter.decr();
+            return callback();
+          }
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Queue the deliveries whose next attempt is due again. Only one app server at a time queues the due deliveries. A
+ * retry is only removed once it has been queued, so a delivery is made at least once
+ *
+ * @param  {Function}   [callback]          Standard callback function
+ * @param  {Object}     [callback.err]      An error that occurred, if any
+ * @param  {Number}     [callback.queued]   The number of deliveries that were queued again
+ */
+const queueDueRetries = function(callback) {
+  callback =
+    callback ||
+    function(err) {
+      if (err) {
+        log().error(
+          { err },
+          'Could not queue the deliveries to webhooks that are due to be retried'
+        );
+      }
+    };
+
+  const { webhooks: config } = ActivitySystemConfig.getConfig();
+  Locking.acquire(RETRY_LOCK_KEY, Math.max(config.pollingFrequency, 1), (err, lock) => {
+    if (err) {
+      // Another app server is already queueing the due deliveries
+      return callback(null, 0);
+    }
+
+    ActivityDAO.getDueWebhookRetries(Date.now(), (err, tasks) => {
+      if (err) {
+        return Locking.release(lock, () => {
+          return callback(err);
+        });
+      }
+
+      let queued = 0;
+      eachSeries(
+        tasks,
+        (task, done) => {
+          webhooksCounter.incr();
+          MQ.submit(ActivityConstants.mq.TASK_WEBHOOK_DELIVERY, JSON.stringify(task), err => {
+            if (err) {
+              log().error(
+                { err, webhookId: task.webhookId },
+                'Could not queue the delivery of an activity to a webhook'
+              );
+              webhooksCounter.decr();
+              return done();
+            }
+
+            queued++;
+            ActivityDAO.deleteWebhookRetry(task.delivery.id, err => {
+              if (err) {
+                log().error(
+                  { err, webhookId: task.webhookId },
+                  'Could not remove the retry of a delivery to a webhook'
+                );
+              }
+
+              return done();
+            });
+          });
+        },
+        () => {
+          Locking.release(lock, () => {
+            return callback(null, queued);
+          });
+        }
+      );
+    });
+  });
+};
+
+/**
+ * Get the aliases of the tenants whose webhooks should receive an activity. These are the tenants of the actor, the
+ * object and the target of the activity
+ *
+ * @param  {Activity}   activity    The activity for which to get the tenants
+ * @return {String[]}               The aliases of the tenants whose webhooks should receive the activity
+ * @api private
+ */
+const _getTenantAliases = function(activity) {
+  return _.chain(_getEntities(activity))
+    .pluck(ActivityConstants.properties.OAE_ID)
+    .filter(AuthzUtil.isResourceId)
+    .map(resourceId => {
+      return AuthzUtil.getResourceFromId(resourceId).tenantAlias;
+    })
+    .uniq()
+    .value();
+};
+
+/**
+ * Determine whether a tenant is allowed to see all the entities of an activity. The entities of the tenant itself
+ * can always be seen, the entities of other tenants only when they are public. Entities of other tenants that have
+ * no visibility of their own (e.g., comments) can't be seen, as their visibility is that of a resource that might
+ * not be part of the activity
+ *
+ * @param  {Activity}   activity        The activity to check
+ * @param  {String}     tenantAlias     The alias of the tenant that would receive the activity
+ * @return {Boolean}                    `true` if the tenant is allowed to see all the entities of the activity
+ * @api private
+ */
+const _isVisibleToTenant = function(activity, tenantAlias) {
+  return _.every(_getEntities(activity), entity => {
+    const resourceId = entity[ActivityConstants.properties.OAE_ID];
+    if (
+      !AuthzUtil.isResourceId(resourceId) ||
+      AuthzUtil.getResourceFromId(resourceId).tenantAlias === tenantAlias
+    ) {
+      return true;
+    }
+
+    return entity[ActivityConstants.properties.OAE_VISIBILITY] === AuthzConstants.visibility.PUBLIC;
+  });
+};
+
+/**
+ * Get the actor, object and target entities of an activity. The entities of a collection are returned individually
+ *
+ * @param  {Activity}   activity    The activity whose entities to get
+ * @return {Object[]}               The entities of the activity
+ * @api private
+ */
+const _getEntities = function(activity) {
+  return _.chain([activity.actor, activity.object, activity.target])
+    .compact()
+    .map(entity => {
+      return entity[ActivityConstants.properties.OAE_COLLECTION] || [entity];
+    })
+    .flatten(true)
+    .value();
+};
+
+/**
+ * Perform an action when there are no deliveries to webhooks in progress. This is useful to determine when the
+ * deliveries are no longer being processed, for purposes of synchronization of processing for tests.
+ *
+ * This is ONLY useful in a local development environment where one application node is firing and handling all
+ * deliveries.
+ *
+ * @param  {Function}   handler     The function to invoke when there are 0 deliveries in progress
+ */
+const whenWebhooksEmpty = function(handler) {
+  webhooksCounter.whenZero(handler);
+};
+
+export { deliver, queueDueRetries, whenWebhooksEmpty };
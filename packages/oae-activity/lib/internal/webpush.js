@@ -0,0 +1,198 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import request from 'request';
+import WebPush from 'web-push';
+
+import Counter from 'oae-util/lib/counter';
+import { logger } from 'oae-logger';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import * as ActivitySystemConfig from './config';
+import * as ActivityDAO from './dao';
+import * as ActivityHosts from './hosts';
+import ActivityEmitter from './emitter';
+
+const log = logger('oae-activity-webpush');
+
+// The status codes with which a push service indicates that a subscription has expired or was revoked by the user
+const GONE_STATUS_CODES = [404, 410];
+
+// How long (in milliseconds) we wait for a push service to accept a message
+const REQUEST_TIMEOUT = 10000;
+
+// Tracks the delivery of web push messages for synchronization to determine when there are no
+// messages being sent
+const webPushCounter = new Counter();
+
+/*!
+ * When a batch of activities is delivered, the users who received notifications are sent a web push message on each
+ * of the subscriptions they registered. The router has already dropped the notifications of users whose preferences
+ * say they don't want them, so every delivered notification can be pushed
+ */
+ActivityEmitter.on(ActivityConstants.events.DELIVERED_ACTIVITIES, deliveredActivities => {
+  const { webPush } = ActivitySystemConfig.getConfig();
+  if (!webPush.enabled) {
+    return;
+  }
+
+  const notificationsByUserId = {};
+  _.each(deliveredActivities, (streams, resourceId) => {
+    const activityInfo = streams[ActivityConstants.streams.NOTIFICATION];
+    if (activityInfo) {
+      notificationsByUserId[resourceId] = activityInfo;
+    }
+  });
+
+  if (_.isEmpty(notificationsByUserId)) {
+    return;
+  }
+
+  // Keep track of the async operation
+  webPushCounter.incr();
+
+  ActivityDAO.getWebPushSubscriptions(
+    _.keys(notificationsByUserId),
+    (err, subscriptionsByUserId) => {
+      if (err) {
+        log().error(
+          { err, userIds: _.keys(notificationsByUserId) },
+          'Could not get the web push subscriptions'
+        );
+        return webPushCounter.decr();
+      }
+
+      _.each(subscriptionsByUserId, (subscriptions, userId) => {
+        const payload = _createPayload(userId, notificationsByUserId[userId]);
+        _.each(subscriptions, subscription => {
+          _sendMessage(webPush, userId, subscription, payload);
+        });
+      });
+
+      webPushCounter.decr();
+    }
+  );
+});
+
+/**
+ * Create the payload of the web push message that notifies a user of new notifications. Push services limit the size
+ * of a message to a few kilobytes, so only the identifying properties of the activities are sent. A service worker can
+ * get the full notifications through the REST API
+ *
+ * @param  {String}     userId                          The id of the user who received the notifications
+ * @param  {Object}     activityInfo                    The notifications that were delivered to the user
+ * @param  {Number}     activityInfo.numNewActivities   The number of new notifications
+ * @param  {Activity[]} activityInfo.activities         The notifications that were delivered
+ * @return {String}                                     The JSON payload of the web push message
+ * @api private
+ */
+const _createPayload = function(userId, activityInfo) {
+  const activities = _.map(activityInfo.activities, activity => {
+    return _.pick(
+      activity,
+      ActivityConstants.properties.OAE_ACTIVITY_TYPE,
+      ActivityConstants.properties.OAE_ACTIVITY_ID,
+      'verb',
+      'published'
+    );
+  });
+
+  return JSON.stringify({
+    resourceId: userId,
+    streamType: ActivityConstants.streams.NOTIFICATION,
+    numNewActivities: activityInfo.numNewActivities,
+    activities
+  });
+};
+
+/**
+ * Send an encrypted web push message to a subscription of a user. The message is encrypted and signed with the VAPID
+ * keys of this server by the web push library, but sent by ourselves so push services that are reached over plain
+ * http, such as stand-ins, can be used as well. Messages are not sent to push services on a private network unless
+ * insecure push service endpoints are allowed. When the push service reports that the subscription no longer exists,
+ * the subscription is removed
+ *
+ * @param  {Object}     webPush         The web push configuration of the activity system, containing the VAPID details
+ * @param  {String}     userId          The id of the user to whom the message should be sent
+ * @param  {Object}     subscription    The web push subscription to which the message should be sent
+ * @param  {String}     payload         The payload of the message
+ * @api private
+ */
+const _sendMessage = function(webPush, userId, subscription, payload) {
+  const { endpoint } = subscription;
+
+  let requestDetails = null;
+  try {
+    requestDetails = WebPush.generateRequestDetails(subscription, payload, {
+      TTL: webPush.ttl,
+      vapidDetails: _.pick(webPush, 'subject', 'publicKey', 'privateKey')
+    });
+  } catch (error) {
+    return log().warn({ err: error, userId, endpoint }, 'Could not encrypt a web push message');
+  }
+
+  webPushCounter.incr();
+
+  const opts = {
+    method: requestDetails.method,
+    url: requestDetails.endpoint,
+    headers: requestDetails.headers,
+    body: requestDetails.body,
+    timeout: REQUEST_TIMEOUT
+  };
+
+  // The endpoint was checked when the user subscribed, but its host could resolve to an address on our own network
+  // by now. Stand-ins for push services on a private network can only be used when explicitly allowed
+  const send = webPush.allowInsecure ? request : ActivityHosts.requestPublicUrl;
+  send(opts, (err, response) => {
+    if (err) {
+      log().warn({ err, userId, endpoint }, 'Could not send a web push message');
+      return webPushCounter.decr();
+    }
+
+    if (!_.contains(GONE_STATUS_CODES, response.statusCode)) {
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        log().warn(
+          { statusCode: response.statusCode, userId, endpoint },
+          'The push service refused a web push message'
+        );
+      }
+
+      return webPushCounter.decr();
+    }
+
+    // The subscription has expired or the user revoked it, so there's no point in sending it any more messages
+    ActivityDAO.deleteWebPushSubscription(userId, endpoint, err => {
+      if (err) {
+        log().error({ err, userId, endpoint }, 'Could not remove a web push subscription');
+      }
+
+      webPushCounter.decr();
+    });
+  });
+};
+
+/**
+ * Perform an action when there are no web push messages being sent. This is useful to determine when the messages
+ * are no longer being sent, for purposes of gracefully stopping the server or synchronization of processing for tests.
+ *
+ * @param  {Function}   handler     The function to invoke when there are 0 web push messages being sent
+ */
+const whenWebPushEmpty = function(handler) {
+  webPushCounter.whenZero(handler);
+};
+
+export { whenWebPushEmpty };
@@ -10,8 +10,18 @@ import { createColumnFamilies } from 'oae-util/lib/cassandra';
 const ensureSchema = function(callback) {
   createColumnFamilies(
     {
+      ActivityPreferences:
+        'CREATE TABLE "ActivityPreferences" ("userId" text, "scope" text, "key" text, "email" text, "muted" boolean, "notification" boolean, PRIMARY KEY ("userId", "scope", "key"))',
       ActivityStreams:
         'CREATE TABLE "ActivityStreams" ("activityStreamId" text, "activityId" text, "activity" text, PRIMARY KEY ("activityStreamId", "activityId")) WITH COMPACT STORAGE',
+      ActivityWebhookDeliveries:
+        'CREATE TABLE "ActivityWebhookDeliveries" ("webhookId" text, "deliveryId" text, "activityId" text, "activityType" text, "status" text, "attempts" int, "statusCode" int, "error" text, "lastAttempt" text, "nextAttempt" text, PRIMARY KEY ("webhookId", "deliveryId"))',
+      ActivityWebhookRetries:
+        'CREATE TABLE "ActivityWebhookRetries" ("deliveryId" text PRIMARY KEY, "webhookId" text, "nextAttempt" text, "task" text)',
+      ActivityWebhooks:
+        'CREATE TABLE "ActivityWebhooks" ("tenantAlias" text, "webhookId" text, "url" text, "activityTypes" text, "secret" text, "createdBy" text, "created" text, PRIMARY KEY ("tenantAlias", "webhookId"))',
+      ActivityWebPushSubscriptions:
+        'CREATE TABLE "ActivityWebPushSubscriptions" ("userId" text, "endpoint" text, "p256dh" text, "auth" text, PRIMARY KEY ("userId", "endpoint"))',
       EmailBuckets:
         'CREATE TABLE "EmailBuckets" ("bucketId" text, "userId" text, PRIMARY KEY ("bucketId", "userId"))'
     },
@@ -172,6 +172,69 @@ const ActivityStream = function(activities, nextToken) {
   return { items: activities, nextToken };
 };
 
+/**
+ * The notification and email preferences a user has set for specific activity types and resources. Each preference
+ * is an object holding an `email` preference (one of `PrincipalsConstants.emailPreferences`) and/or a `notification`
+ * flag. Fields that are not set fall back to the next, less specific, preference
+ *
+ * @param  {Object}     activityTypes   The preferences of the user, keyed by activity type
+ * @param  {Object}     resources       The preferences of the user, keyed by resource id
+ */
+const ActivityPreferences = function(activityTypes, resources) {
+  return { activityTypes: activityTypes || {}, resources: resources || {} };
+};
+
+/**
+ * A webhook a tenant administrator registered to have the activities of their tenant delivered to
+ *
+ * @param  {String}     id              The id of the webhook
+ * @param  {String}     tenantAlias     The alias of the tenant whose activities are delivered to the webhook
+ * @param  {String}     url             The url to which the activities are posted
+ * @param  {String[]}   activityTypes   The types of the activities that are delivered to the webhook. If empty, all activities are delivered
+ * @param  {String}     createdBy       The id of the user who registered the webhook
+ * @param  {Number}     created         When the webhook was registered, in millis since the epoch
+ */
+const ActivityWebhook = function(id, tenantAlias, url, activityTypes, createdBy, created) {
+  return { id, tenantAlias, url, activityTypes, createdBy, created };
+};
+
+/**
+ * The delivery of an activity to a webhook, as it is kept in the delivery log of the webhook
+ *
+ * @param  {String}     id              The id of the delivery
+ * @param  {String}     activityId      The id of the activity that is delivered
+ * @param  {String}     activityType    The type of the activity that is delivered
+ * @param  {String}     status          The status of the delivery. One of `ActivityConstants.webhooks.status`
+ * @param  {Number}     attempts        How many times the activity has been posted to the webhook
+ * @param  {Number}     [statusCode]    The status code with which the webhook responded to the last attempt, if any
+ * @param  {String}     [error]         Why the last attempt failed, if it did
+ * @param  {Number}     [lastAttempt]   When the activity was last posted to the webhook, in millis since the epoch
+ * @param  {Number}     [nextAttempt]   When the activity will be posted to the webhook again, in millis since the epoch. Only set while the delivery is being retried
+ */
+const ActivityWebhookDelivery = function(
+  id,
+  activityId,
+  activityType,
+  status,
+  attempts,
+  statusCode,
+  error,
+  lastAttempt,
+  nextAttempt
+) {
+  return {
+    id,
+    activityId,
+    activityType,
+    status,
+    attempts,
+    statusCode,
+    error,
+    lastAttempt,
+    nextAttempt
+  };
+};
+
 /// ///////////////
 // ASSOCIATIONS //
 /// ///////////////
@@ -335,5 +398,8 @@ export {
   Activity,
   ActivityEntity,
   ActivityStream,
+  ActivityPreferences,
+  ActivityWebhook,
+  ActivityWebhookDelivery,
   AssociationsSession
 };
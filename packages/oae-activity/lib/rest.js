@@ -13,12 +13,15 @@
  * permissions and limitations under the License.
  */
 
+import _ from 'underscore';
 import sockjs from 'sockjs';
 
 import * as OAE from 'oae-util/lib/oae';
 import * as OaeUtil from 'oae-util/lib/util';
 
 import * as ActivityAPI from 'oae-activity';
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import * as ActivityStreams2 from './internal/activitystreams2';
 import * as ActivityPush from './internal/push';
 
 /// ///////////////////
@@ -27,7 +30,8 @@ import * as ActivityPush from './internal/push';
 
 /**
  * Request handler to get the activity stream of the given stream ID. It will fetch the activities and send out
- * the response.
+ * the response. When the `Accept` header of the request prefers Activity Streams 2.0 over plain JSON, the activities
+ * are sent as an Activity Streams 2.0 `OrderedCollectionPage` rather than in the requested `format`
  *
  * @param  {String}     resourceId          The ID of the activity stream to fetch
  * @param  {Request}    req                 The express request object
@@ -37,18 +41,40 @@ import * as ActivityPush from './internal/push';
 const _handleGetActivities = function(resourceId, req, res) {
   const limit = OaeUtil.getNumberParam(req.query.limit, 10, 1, 25);
   const { start } = req.query;
+  const mediaType = req.accepts([
+    'application/json',
+    ActivityConstants.activityStreams2.mediaTypes.ACTIVITY_JSON,
+    ActivityConstants.activityStreams2.mediaTypes.JSON_LD
+  ]);
+  const isActivityStreams2 = Boolean(mediaType) && mediaType !== 'application/json';
+  const format = isActivityStreams2
+    ? ActivityConstants.transformerTypes.ACTIVITYSTREAMS
+    : req.query.format;
+
   ActivityAPI.getActivityStream(
     req.ctx,
     resourceId,
     start,
     limit,
-    req.query.format,
+    format,
     (err, activityStream) => {
       if (err) {
         return res.status(err.code).send(err.msg);
       }
 
-      res.status(200).send(activityStream);
+      res.vary('Accept');
+      if (!isActivityStreams2) {
+        return res.status(200).send(activityStream);
+      }
+
+      const page = ActivityStreams2.toOrderedCollectionPage(
+        resourceId,
+        start,
+        limit,
+        activityStream
+      );
+      res.type(mediaType);
+      res.status(200).send(page);
     }
   );
 };
@@ -58,6 +84,9 @@ const _handleGetActivities = function(resourceId, req, res) {
  *
  * Get the activity stream for the current user
  *
+ * The activities are returned as a W3C Activity Streams 2.0 `OrderedCollectionPage` when the `Accept` header asks for
+ * `application/activity+json` or `application/ld+json; profile="https://www.w3.org/ns/activitystreams"`
+ *
  * @Server      tenant
  * @Method      GET
  * @Path        /activity
@@ -84,6 +113,9 @@ OAE.tenantRouter.on('get', '/api/activity', (req, res) => {
  *
  * Get the `activty` activity stream for a resource
  *
+ * The activities are returned as a W3C Activity Streams 2.0 `OrderedCollectionPage` when the `Accept` header asks for
+ * `application/activity+json` or `application/ld+json; profile="https://www.w3.org/ns/activitystreams"`
+ *
  * @Server      tenant
  * @Method      GET
  * @Path        /activity/{resourceId}
@@ -105,6 +137,80 @@ OAE.tenantRouter.on('get', '/api/activity/:resourceId', (req, res) => {
   _handleGetActivities(req.params.resourceId, req, res);
 });
 
+/**
+ * @REST postActivityResourceIdMute
+ *
+ * Mute a resource for the current user. Activities about the resource will no longer show up in the activity stream,
+ * notifications and emails of the current user
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /activity/{resourceId}/mute
+ * @PathParam   {string}            resourceId          The id of the resource to mute
+ * @Return      {void}
+ * @HttpResponse                    200                 Resource muted
+ * @HttpResponse                    400                 A valid resource id must be provided
+ * @HttpResponse                    401                 You must be logged in to mute or unmute a resource
+ */
+OAE.tenantRouter.on('post', '/api/activity/:resourceId/mute', (req, res) => {
+  ActivityAPI.muteResource(req.ctx, req.params.resourceId, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).end();
+  });
+});
+
+/**
+ * @REST postActivityResourceIdUnmute
+ *
+ * Unmute a resource that was muted by the current user
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /activity/{resourceId}/unmute
+ * @PathParam   {string}            resourceId          The id of the resource to unmute
+ * @Return      {void}
+ * @HttpResponse                    200                 Resource unmuted
+ * @HttpResponse                    400                 A valid resource id must be provided
+ * @HttpResponse                    401                 You must be logged in to mute or unmute a resource
+ */
+OAE.tenantRouter.on('post', '/api/activity/:resourceId/unmute', (req, res) => {
+  ActivityAPI.unmuteResource(req.ctx, req.params.resourceId, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).end();
+  });
+});
+
+/**
+ * @REST getActivityUserIdMuted
+ *
+ * Get the resources a user has muted
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /activity/{userId}/muted
+ * @PathParam   {string}            userId              The id of the user whose muted resources to get
+ * @Return      {MutedResources}                        The ids of the resources the user has muted
+ * @HttpResponse                    200                 Muted resources returned
+ * @HttpResponse                    400                 A valid user id must be provided
+ * @HttpResponse                    401                 You must be logged in to get the muted resources
+ * @HttpResponse                    401                 You are not allowed to get the muted resources of this user
+ */
+OAE.tenantRouter.on('get', '/api/activity/:userId/muted', (req, res) => {
+  ActivityAPI.getMutedResources(req.ctx, req.params.userId, (err, resourceIds) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send({ results: resourceIds });
+  });
+});
+
 /// ///////////////////////
 // NOTIFICATION STREAMS //
 /// ///////////////////////
@@ -167,6 +273,263 @@ OAE.tenantRouter.on('post', '/api/notifications/markRead', (req, res) => {
   });
 });
 
+/**
+ * @REST getNotificationsPreferences
+ *
+ * Get the notification and email preferences the current user has set for specific activity types and resources
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /notifications/preferences
+ * @Return      {ActivityPreferences}                   The notification and email preferences of the current user
+ * @HttpResponse                    200                 Preferences returned
+ * @HttpResponse                    401                 You must be logged in to get activity preferences
+ */
+OAE.tenantRouter.on('get', '/api/notifications/preferences', (req, res) => {
+  const userId = req.ctx.user() ? req.ctx.user().id : null;
+  ActivityAPI.getActivityPreferences(req.ctx, userId, (err, preferences) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(preferences);
+  });
+});
+
+/**
+ * @REST postNotificationsPreferences
+ *
+ * Update the notification and email preferences the current user has set for specific activity types and resources.
+ * Resource preferences take precedence over activity type preferences, which take precedence over the email preference
+ * of the user. An empty preference removes it
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /notifications/preferences
+ * @FormParam   {Object}            [activityTypes]     The preferences to update, keyed by activity type. e.g., `activityTypes[content-comment][email]=immediate`
+ * @FormParam   {Object}            [resources]         The preferences to update, keyed by resource id. e.g., `resources[d:cam:abc123][notification]=false`
+ * @Return      {ActivityPreferences}                   The updated notification and email preferences of the current user
+ * @HttpResponse                    200                 Preferences updated
+ * @HttpResponse                    400                 An invalid email preference was provided
+ * @HttpResponse                    400                 An invalid notification preference was provided
+ * @HttpResponse                    400                 An invalid resource id was provided
+ * @HttpResponse                    400                 An unknown activity type was provided
+ * @HttpResponse                    401                 You must be logged in to update activity preferences
+ */
+OAE.tenantRouter.on('post', '/api/notifications/preferences', (req, res) => {
+  const userId = req.ctx.user() ? req.ctx.user().id : null;
+  const preferences = _.pick(req.body, 'activityTypes', 'resources');
+  ActivityAPI.updateActivityPreferences(req.ctx, userId, preferences, (err, preferences) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(preferences);
+  });
+});
+
+/**
+ * @REST getNotificationsWebpush
+ *
+ * Get the public VAPID key browsers need to subscribe to the web push messages that deliver notifications
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /notifications/webpush
+ * @Return      {WebPushConfiguration}                  The public VAPID key of the server
+ * @HttpResponse                    200                 Public key returned
+ * @HttpResponse                    404                 Web push notifications are not enabled
+ */
+OAE.tenantRouter.on('get', '/api/notifications/webpush', (req, res) => {
+  ActivityAPI.getWebPushPublicKey(req.ctx, (err, publicKey) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send({ publicKey });
+  });
+});
+
+/**
+ * @REST postNotificationsWebpushSubscribe
+ *
+ * Subscribe a browser of the current user to web push messages for their notifications
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /notifications/webpush/subscribe
+ * @FormParam   {string}            endpoint            The url of the push service endpoint of the subscription
+ * @FormParam   {Object}            keys                The `p256dh` key and `auth` secret of the subscription, encoded as URL-safe base64. e.g., `keys[auth]=8eDyX_uCN0XRhSbY5hs7Hg`
+ * @Return      {void}
+ * @HttpResponse                    200                 Subscribed to web push notifications
+ * @HttpResponse                    400                 A valid auth secret must be provided
+ * @HttpResponse                    400                 A valid p256dh key must be provided
+ * @HttpResponse                    400                 A valid push service endpoint must be provided
+ * @HttpResponse                    400                 A push service endpoint can not be on a private network
+ * @HttpResponse                    400                 The host of the push service endpoint could not be resolved
+ * @HttpResponse                    401                 You must be logged in to subscribe to web push notifications
+ * @HttpResponse                    404                 Web push notifications are not enabled
+ */
+OAE.tenantRouter.on('post', '/api/notifications/webpush/subscribe', (req, res) => {
+  const subscription = _.pick(req.body, 'endpoint', 'keys');
+  ActivityAPI.subscribeWebPush(req.ctx, subscription, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).end();
+  });
+});
+
+/**
+ * @REST postNotificationsWebpushUnsubscribe
+ *
+ * Unsubscribe a browser of the current user from web push messages
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /notifications/webpush/unsubscribe
+ * @FormParam   {string}            endpoint            The url of the push service endpoint of the subscription
+ * @Return      {void}
+ * @HttpResponse                    200                 Unsubscribed from web push notifications
+ * @HttpResponse                    400                 A push service endpoint must be provided
+ * @HttpResponse                    401                 You must be logged in to unsubscribe from web push notifications
+ */
+OAE.tenantRouter.on('post', '/api/notifications/webpush/unsubscribe', (req, res) => {
+  ActivityAPI.unsubscribeWebPush(req.ctx, req.body.endpoint, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).end();
+  });
+});
+
+/// ///////////
+// WEBHOOKS //
+/// ///////////
+
+/**
+ * @REST getWebhooks
+ *
+ * Get the webhooks that were registered for the current tenant
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /webhooks
+ * @Return      {ActivityWebhooks}                      The webhooks of the current tenant
+ * @HttpResponse                    200                 Webhooks returned
+ * @HttpResponse                    401                 Only tenant administrators can manage webhooks
+ */
+OAE.tenantRouter.on('get', '/api/webhooks', (req, res) => {
+  ActivityAPI.getWebhooks(req.ctx, (err, webhooks) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send({ results: webhooks });
+  });
+});
+
+/**
+ * @REST postWebhooksCreate
+ *
+ * Register a webhook to which the activities of the current tenant should be delivered. Each delivery is a JSON `POST`
+ * whose `X-OAE-Signature` header holds `sha256=` followed by the hex-encoded HMAC-SHA256 of the `X-OAE-Timestamp`
+ * header, a period and the body, computed with the secret of the webhook
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /webhooks/create
+ * @FormParam   {string}            url                 The url to which the activities should be posted
+ * @FormParam   {string}            secret              The secret with which the deliveries are signed. At least 16 characters long
+ * @FormParam   {string[]}          [activityTypes]     The types of the activities that should be delivered. By default, all activities are delivered
+ * @Return      {ActivityWebhook}                       The webhook that was registered
+ * @HttpResponse                    200                 Webhook registered
+ * @HttpResponse                    400                 A secret of at least 16 characters must be provided
+ * @HttpResponse                    400                 A valid webhook url must be provided
+ * @HttpResponse                    400                 A webhook can not be on a private network
+ * @HttpResponse                    400                 An unknown activity type was provided
+ * @HttpResponse                    400                 The host of the webhook url could not be resolved
+ * @HttpResponse                    401                 Only tenant administrators can manage webhooks
+ * @HttpResponse                    401                 You must be logged in to register a webhook
+ */
+OAE.tenantRouter.on('post', '/api/webhooks/create', (req, res) => {
+  ActivityAPI.createWebhook(
+    req.ctx,
+    req.body.url,
+    req.body.activityTypes,
+    req.body.secret,
+    (err, webhook) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(webhook);
+    }
+  );
+});
+
+/**
+ * @REST deleteWebhooksWebhookId
+ *
+ * Remove a webhook
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /webhooks/{webhookId}
+ * @PathParam   {string}            webhookId           The id of the webhook to remove
+ * @Return      {void}
+ * @HttpResponse                    200                 Webhook removed
+ * @HttpResponse                    400                 A valid webhook id must be provided
+ * @HttpResponse                    401                 Only tenant administrators can manage webhooks
+ * @HttpResponse                    401                 You must be logged in to manage webhooks
+ * @HttpResponse                    404                 The webhook could not be found
+ */
+OAE.tenantRouter.on('delete', '/api/webhooks/:webhookId', (req, res) => {
+  ActivityAPI.deleteWebhook(req.ctx, req.params.webhookId, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).end();
+  });
+});
+
+/**
+ * @REST getWebhooksWebhookIdDeliveries
+ *
+ * Get the delivery log of a webhook, most recent deliveries first
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /webhooks/{webhookId}/deliveries
+ * @PathParam   {string}            webhookId           The id of the webhook whose delivery log to get
+ * @QueryParam  {number}            [limit]             The maximum number of deliveries to return. Default: 25
+ * @QueryParam  {string}            [start]             The delivery paging token from which to start fetching deliveries
+ * @Return      {ActivityWebhookDeliveries}             The deliveries in the delivery log of the webhook
+ * @HttpResponse                    200                 Delivery log returned
+ * @HttpResponse                    400                 A valid webhook id must be provided
+ * @HttpResponse                    401                 Only tenant administrators can manage webhooks
+ * @HttpResponse                    401                 You must be logged in to manage webhooks
+ * @HttpResponse                    404                 The webhook could not be found
+ */
+OAE.tenantRouter.on('get', '/api/webhooks/:webhookId/deliveries', (req, res) => {
+  ActivityAPI.getWebhookDeliveries(
+    req.ctx,
+    req.params.webhookId,
+    req.query.start,
+    req.query.limit,
+    (err, deliveries, nextToken) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send({ results: deliveries, nextToken });
+    }
+  );
+});
+
 /// /////////////////////
 // PUSH NOTIFICATIONS //
 /// /////////////////////
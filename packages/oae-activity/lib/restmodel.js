@@ -164,6 +164,23 @@
  * @Property    {number}                    width                       The width of the activity image in pixels
  */
 
+/**
+ * @RESTModel ActivityPreference
+ *
+ * @Required    []
+ * @Property    {string}                    email                       How often activities should be emailed. Falls back to the less specific preferences when not set   [daily,immediate,never,weekly]
+ * @Property    {boolean}                   muted                       Whether activities about the resource are left out of the activity stream, notifications and emails. Only set for resource preferences
+ * @Property    {boolean}                   notification                Whether activities should be added to the notification stream. Falls back to the less specific preferences when not set
+ */
+
+/**
+ * @RESTModel ActivityPreferences
+ *
+ * @Required    [activityTypes,resources]
+ * @Property    {Object}                    activityTypes               The preferences of the user, keyed by activity type. Each value is an `ActivityPreference`
+ * @Property    {Object}                    resources                   The preferences of the user, keyed by resource id. These take precedence over the activity type preferences
+ */
+
 /**
  * @RESTModel ActivityStream
  *
@@ -188,6 +205,48 @@
  * @Property    {string}                    url                         The URL to the user profile
  */
 
+/**
+ * @RESTModel ActivityWebhook
+ *
+ * @Required    [activityTypes,created,createdBy,id,tenantAlias,url]
+ * @Property    {string[]}                  activityTypes               The types of the activities that are delivered to the webhook. If empty, all activities are delivered
+ * @Property    {number}                    created                     The timestamp (millis since epoch) at which the webhook was registered
+ * @Property    {string}                    createdBy                   The id of the user who registered the webhook
+ * @Property    {string}                    id                          The id of the webhook
+ * @Property    {string}                    tenantAlias                 The alias of the tenant whose activities are delivered to the webhook
+ * @Property    {string}                    url                         The url to which the activities are posted
+ */
+
+/**
+ * @RESTModel ActivityWebhookDeliveries
+ *
+ * @Required    [nextToken,results]
+ * @Property    {string}                    nextToken                   The delivery paging token needed to retrieve the next set of deliveries
+ * @Property    {ActivityWebhookDelivery[]} results                     The deliveries in the delivery log, most recent first
+ */
+
+/**
+ * @RESTModel ActivityWebhookDelivery
+ *
+ * @Required    [activityId,activityType,attempts,id,status]
+ * @Property    {string}                    activityId                  The id of the activity that is delivered
+ * @Property    {string}                    activityType                The type of the activity that is delivered
+ * @Property    {number}                    attempts                    How many times the activity has been posted to the webhook
+ * @Property    {string}                    error                       Why the last attempt failed, if it failed before the webhook responded
+ * @Property    {string}                    id                          The id of the delivery. Also sent in the `X-OAE-Delivery` header
+ * @Property    {number}                    lastAttempt                 The timestamp (millis since epoch) at which the activity was last posted to the webhook
+ * @Property    {number}                    nextAttempt                 The timestamp (millis since epoch) at which the activity will be posted to the webhook again, while the delivery is being retried
+ * @Property    {string}                    status                      The status of the delivery                                          [delivered,failed,pending,retrying]
+ * @Property    {number}                    statusCode                  The status code with which the webhook responded to the last attempt
+ */
+
+/**
+ * @RESTModel ActivityWebhooks
+ *
+ * @Required    [results]
+ * @Property    {ActivityWebhook[]}         results                     The webhooks of the tenant
+ */
+
 /**
  * @RESTModel Actor
  *
@@ -204,6 +263,13 @@
  * @Property    {string}                    objectType                  The object type                 [collection]
  */
 
+/**
+ * @RESTModel MutedResources
+ *
+ * @Required    [results]
+ * @Property    {string[]}                  results                     The ids of the resources the user has muted
+ */
+
 /**
  * @RESTModel NotificationsRead
  *
@@ -233,3 +299,10 @@
  * @Property    {ActivityGroup}             (activityGroup)             Used when the target is a group
  * @Property    {ActivityUser}              (activityUser)              Used when the target is a user
  */
+
+/**
+ * @RESTModel WebPushConfiguration
+ *
+ * @Required    [publicKey]
+ * @Property    {string}                    publicKey                   The public VAPID key of the server, encoded as URL-safe base64. Used as the `applicationServerKey` when subscribing to web push messages
+ */
@@ -41,7 +41,8 @@ const refreshConfiguration = function(config, callback) {
   config = _.extend(
     {
       collectionPollingFrequency: -1,
-      numberOfProcessingBuckets: 1
+      numberOfProcessingBuckets: 1,
+      webhooks: { pollingFrequency: -1 }
     },
     config
   );
@@ -20,6 +20,7 @@ import * as ConfigTestsUtil from 'oae-config/lib/test/util';
 import { Context } from 'oae-context/lib/api';
 import * as FollowingTestsUtil from 'oae-following/lib/test/util';
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
 import * as ActivityAggregator from 'oae-activity/lib/internal/aggregator';
 import * as ActivityAPI from 'oae-activity';
@@ -2794,6 +2795,112 @@ describe('Activity', () => {
         );
       });
     });
+
+    /**
+     * Test that verifies a public activity stream can be requested as an Activity Streams 2.0 ordered collection
+     */
+    it('verify activity streams can be requested as Activity Streams 2.0', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, jack, jane) => {
+        assert.ok(!err);
+
+        const baseUrl = 'http://' + global.oaeTests.tenants.cam.host;
+        const collectionId = baseUrl + '/api/activity/' + jack.user.id;
+
+        RestAPI.Content.createLink(
+          jack.restContext,
+          'A',
+          'A',
+          'public',
+          'http://www.google.ca',
+          [],
+          [],
+          [],
+          (err, link) => {
+            assert.ok(!err);
+
+            RestAPI.Content.shareContent(jack.restContext, link.id, [jane.user.id], err => {
+              assert.ok(!err);
+
+              ActivityTestUtil.collectAndGetActivityStream(jack.restContext, null, null, err => {
+                assert.ok(!err);
+
+                // Anonymous users get the public activities of jack as Activity Streams 2.0
+                const anonymousRestContext = TestsUtil.createTenantRestContext(global.oaeTests.tenants.cam.host);
+                anonymousRestContext.additionalHeaders = { accept: 'application/activity+json' };
+                RestUtil.performRestRequest(
+                  anonymousRestContext,
+                  '/api/activity/' + jack.user.id,
+                  'GET',
+                  { limit: 1 },
+                  (err, page, response) => {
+                    assert.ok(!err);
+                    assert.strictEqual(response.headers['content-type'].indexOf('application/activity+json'), 0);
+                    assert.ok(_.contains(response.headers.vary.split(/,\s*/), 'Accept'));
+
+                    assert.strictEqual(page['@context'], 'https://www.w3.org/ns/activitystreams');
+                    assert.strictEqual(page.type, 'OrderedCollectionPage');
+                    assert.strictEqual(page.partOf, collectionId);
+                    assert.strictEqual(page.id, collectionId + '?limit=1');
+                    assert.strictEqual(page.next.indexOf(collectionId + '?start='), 0);
+                    assert.strictEqual(page.orderedItems.length, 1);
+
+                    // The most recent activity is the share with jane
+                    const share = page.orderedItems[0];
+                    assert.strictEqual(share.type, 'Announce');
+                    assert.strictEqual(share.id.indexOf(collectionId + '#'), 0);
+                    assert.ok(share.published);
+                    assert.deepStrictEqual(share.to, ['https://www.w3.org/ns/activitystreams#Public']);
+                    assert.strictEqual(share.actor.type, 'Person');
+                    assert.strictEqual(share.actor.id, baseUrl + '/api/user/' + jack.user.id);
+                    assert.strictEqual(share.actor.name, jack.user.displayName);
+                    assert.strictEqual(share.object.type, 'Page');
+                    assert.strictEqual(share.object.id, baseUrl + '/api/content/' + link.id);
+                    assert.strictEqual(share.object.name, link.displayName);
+                    assert.strictEqual(share.target.type, 'Person');
+                    assert.strictEqual(share.target.id, baseUrl + '/api/user/' + jane.user.id);
+
+                    // The next page holds the creation of the link, which refers to the link by the same id
+                    anonymousRestContext.additionalHeaders = {
+                      accept: 'application/ld+json; profile="https://www.w3.org/ns/activitystreams"'
+                    };
+                    RestUtil.performRestRequest(
+                      anonymousRestContext,
+                      page.next.slice(baseUrl.length),
+                      'GET',
+                      null,
+                      (err, nextPage, response) => {
+                        assert.ok(!err);
+                        assert.strictEqual(response.headers['content-type'].indexOf('application/ld+json'), 0);
+                        assert.strictEqual(nextPage.id, page.next);
+                        assert.strictEqual(nextPage.partOf, collectionId);
+                        assert.ok(!nextPage.next);
+                        assert.strictEqual(nextPage.orderedItems.length, 1);
+                        assert.strictEqual(nextPage.orderedItems[0].type, 'Create');
+                        assert.strictEqual(nextPage.orderedItems[0].object.id, share.object.id);
+
+                        // Plain JSON still gets the activities in the OAE activity model
+                        anonymousRestContext.additionalHeaders = { accept: 'application/json' };
+                        RestAPI.Activity.getActivityStream(
+                          anonymousRestContext,
+                          jack.user.id,
+                          null,
+                          (err, activityStream) => {
+                            assert.ok(!err);
+                            assert.strictEqual(activityStream.items.length, 2);
+                            assert.strictEqual(activityStream.items[0]['oae:activityType'], 'content-share');
+                            return callback();
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              });
+            });
+          }
+        );
+      });
+    });
   });
 
   describe('Activity Stream Aggregation', () => {
@@ -22,6 +22,7 @@ import * as ContentTestUtil from 'oae-content/lib/test/util';
 import * as EmailTestUtil from 'oae-email/lib/test/util';
 import * as PrincipalsTestUtil from 'oae-principals/lib/test/util';
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as Sanitization from 'oae-util/lib/sanitization';
 import * as TenantsTestUtil from 'oae-tenants/lib/test/util';
 import * as TestsUtil from 'oae-tests';
@@ -2079,6 +2080,64 @@ describe('Activity Email', () => {
     });
   });
 
+  /**
+   * Test that verifies the email preference a user has for an activity type overrides their email preference
+   */
+  it('verify activity type email preferences override the email preference of the user', callback => {
+    TestsUtil.generateTestUsers(camAdminRestContext, 3, (err, users, simong, nico, branden) => {
+      assert.ok(!err);
+
+      // Nico only wants weekly emails, except for content that is shared with him
+      RestAPI.User.updateUser(nico.restContext, nico.user.id, { emailPreference: 'weekly' }, err => {
+        assert.ok(!err);
+        RestUtil.performRestRequest(
+          nico.restContext,
+          '/api/notifications/preferences',
+          'POST',
+          { activityTypes: { 'content-create': { email: 'immediate' } } },
+          err => {
+            assert.ok(!err);
+
+            // Branden wants immediate emails, except for content that is shared with him
+            RestUtil.performRestRequest(
+              branden.restContext,
+              '/api/notifications/preferences',
+              'POST',
+              { activityTypes: { 'content-create': { email: 'never' } } },
+              err => {
+                assert.ok(!err);
+
+                // The next email collection cycle should only handle `immediate` deliveries
+                refreshConfiguration(null, false, false, {}, config => {
+                  RestAPI.Content.createLink(
+                    simong.restContext,
+                    'Google',
+                    'Google',
+                    'public',
+                    'http://www.google.ca',
+                    [],
+                    [nico.user.id, branden.user.id],
+                    [],
+                    err => {
+                      assert.ok(!err);
+
+                      // Only Nico should get an email
+                      EmailTestUtil.collectAndFetchAllEmails(messages => {
+                        assert.strictEqual(messages.length, 1);
+                        assert.strictEqual(messages[0].to[0].address, nico.user.email);
+                        return callback();
+                      });
+                    }
+                  );
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+
   /**
    * Test that verifies when two activities that contain aggregates and who can aggregate
    * when sending mail, do actually aggregate. This can occur when a user has selected
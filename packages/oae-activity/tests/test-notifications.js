@@ -20,6 +20,7 @@ import { ContentConstants } from 'oae-content/lib/constants';
 import * as EmailTestsUtil from 'oae-email/lib/test/util';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
 
 import { ActivityConstants } from 'oae-activity/lib/constants';
@@ -542,6 +543,370 @@ describe('Notifications', () => {
     });
   });
 
+  describe('Notification Preferences', () => {
+    /**
+     * Get the notification and email preferences of the current user through the REST API
+     *
+     * @param  {RestContext}            restContext             The context of the current user
+     * @param  {Function}               callback                Standard callback function
+     * @param  {Object}                 callback.err            An error that occurred, if any
+     * @param  {ActivityPreferences}    callback.preferences    The preferences of the current user
+     */
+    const _getPreferences = function(restContext, callback) {
+      RestUtil.performRestRequest(restContext, '/api/notifications/preferences', 'GET', null, callback);
+    };
+
+    /**
+     * Update the notification and email preferences of the current user through the REST API
+     *
+     * @param  {RestContext}            restContext             The context of the current user
+     * @param  {Object}                 preferences             The `activityTypes` and `resources` preferences to update
+     * @param  {Function}               callback                Standard callback function
+     * @param  {Object}                 callback.err            An error that occurred, if any
+     * @param  {ActivityPreferences}    callback.preferences    The updated preferences of the current user
+     */
+    const _updatePreferences = function(restContext, preferences, callback) {
+      RestUtil.performRestRequest(restContext, '/api/notifications/preferences', 'POST', preferences, callback);
+    };
+
+    /**
+     * Test that verifies the validation of notification preferences and that they can be set, retrieved and removed
+     */
+    it('verify updating and getting notification preferences', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, simong) => {
+        assert.ok(!err);
+
+        _getPreferences(anonymousCamRestContext, err => {
+          assert.ok(err);
+          assert.strictEqual(err.code, 401);
+
+          _updatePreferences(anonymousCamRestContext, { activityTypes: { 'content-comment': { email: 'daily' } } }, err => {
+            assert.ok(err);
+            assert.strictEqual(err.code, 401);
+
+            // A user has no preferences until they set some
+            _getPreferences(simong.restContext, (err, preferences) => {
+              assert.ok(!err);
+              assert.deepStrictEqual(preferences, { activityTypes: {}, resources: {} });
+
+              _updatePreferences(simong.restContext, { activityTypes: { 'not-an-activity': { email: 'daily' } } }, err => {
+                assert.ok(err);
+                assert.strictEqual(err.code, 400);
+
+                _updatePreferences(simong.restContext, { activityTypes: { 'content-comment': { email: 'hourly' } } }, err => {
+                  assert.ok(err);
+                  assert.strictEqual(err.code, 400);
+
+                  _updatePreferences(simong.restContext, { resources: { 'not-a-resource': { notification: false } } }, err => {
+                    assert.ok(err);
+                    assert.strictEqual(err.code, 400);
+
+                    _updatePreferences(simong.restContext, { resources: { 'g:cam:abc': { notification: 'maybe' } } }, err => {
+                      assert.ok(err);
+                      assert.strictEqual(err.code, 400);
+
+                      _updatePreferences(
+                        simong.restContext,
+                        {
+                          activityTypes: { 'content-comment': { email: 'immediate' } },
+                          resources: { 'g:cam:abc': { email: 'never', notification: false } }
+                        },
+                        (err, preferences) => {
+                          assert.ok(!err);
+                          assert.deepStrictEqual(preferences.activityTypes, { 'content-comment': { email: 'immediate' } });
+                          assert.deepStrictEqual(preferences.resources, {
+                            'g:cam:abc': { email: 'never', notification: false }
+                          });
+
+                          // Updating one preference leaves the others untouched, and an empty preference removes it
+                          _updatePreferences(simong.restContext, { resources: { 'g:cam:abc': '' } }, (err, preferences) => {
+                            assert.ok(!err);
+                            assert.deepStrictEqual(preferences.resources, {});
+
+                            _getPreferences(simong.restContext, (err, preferences) => {
+                              assert.ok(!err);
+                              assert.deepStrictEqual(preferences, {
+                                activityTypes: { 'content-comment': { email: 'immediate' } },
+                                resources: {}
+                              });
+                              return callback();
+                            });
+                          });
+                        }
+                      );
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies a user does not get notifications about a resource for which they turned notifications off
+     */
+    it('verify a resource preference stops notifications about that resource', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 3, (err, users, mrvisser, simong, nico) => {
+        assert.ok(!err);
+
+        RestAPI.Content.createLink(
+          mrvisser.restContext,
+          'Google',
+          'Google',
+          'private',
+          'http://www.google.ca',
+          [],
+          [simong.user.id, nico.user.id],
+          [],
+          (err, link) => {
+            assert.ok(!err);
+
+            // Deliver the content-create notifications before Simon changes his preferences
+            ActivityTestsUtil.collectAndGetNotificationStream(simong.restContext, null, (err, notificationStream) => {
+              assert.ok(!err);
+              assert.strictEqual(notificationStream.items.length, 1);
+
+              const preferences = { resources: {} };
+              preferences.resources[link.id] = { notification: false };
+              _updatePreferences(simong.restContext, preferences, err => {
+                assert.ok(!err);
+
+                RestAPI.Content.createComment(mrvisser.restContext, link.id, 'Comment', null, err => {
+                  assert.ok(!err);
+
+                  // Simon should not have been notified about the comment
+                  ActivityTestsUtil.collectAndGetNotificationStream(
+                    simong.restContext,
+                    null,
+                    (err, notificationStream) => {
+                      assert.ok(!err);
+                      assert.strictEqual(notificationStream.items.length, 1);
+                      assert.strictEqual(
+                        notificationStream.items[0]['oae:activityType'],
+                        ContentConstants.activity.ACTIVITY_CONTENT_CREATE
+                      );
+
+                      // Nico did not change his preferences and should have been notified
+                      ActivityTestsUtil.collectAndGetNotificationStream(
+                        nico.restContext,
+                        null,
+                        (err, notificationStream) => {
+                          assert.ok(!err);
+                          assert.strictEqual(notificationStream.items.length, 2);
+                          assert.strictEqual(
+                            notificationStream.items[0]['oae:activityType'],
+                            ContentConstants.activity.ACTIVITY_CONTENT_COMMENT
+                          );
+                          return callback();
+                        }
+                      );
+                    }
+                  );
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Muted resources', () => {
+    /**
+     * Mute or unmute a resource for the current user through the REST API
+     *
+     * @param  {RestContext}    restContext     The context of the current user
+     * @param  {String}         resourceId      The id of the resource to mute or unmute
+     * @param  {Boolean}        muted           Whether the resource should be muted
+     * @param  {Function}       callback        Standard callback function
+     * @param  {Object}         callback.err    An error that occurred, if any
+     */
+    const _setMuted = function(restContext, resourceId, muted, callback) {
+      const action = muted ? 'mute' : 'unmute';
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/activity/' + encodeURIComponent(resourceId) + '/' + action,
+        'POST',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Get the resources a user has muted through the REST API
+     *
+     * @param  {RestContext}    restContext                 The context of the current user
+     * @param  {String}         userId                      The id of the user whose muted resources to get
+     * @param  {Function}       callback                    Standard callback function
+     * @param  {Object}         callback.err                An error that occurred, if any
+     * @param  {Object}         callback.mutedResources     An object whose `results` are the ids of the muted resources
+     */
+    const _getMuted = function(restContext, userId, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/activity/' + encodeURIComponent(userId) + '/muted',
+        'GET',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies the validation of muting, unmuting and listing muted resources
+     */
+    it('verify muting, unmuting and listing muted resources', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        _setMuted(anonymousCamRestContext, 'g:cam:abc', true, err => {
+          assert.ok(err);
+          assert.strictEqual(err.code, 401);
+
+          _setMuted(simong.restContext, 'not-a-resource', true, err => {
+            assert.ok(err);
+            assert.strictEqual(err.code, 400);
+
+            _setMuted(simong.restContext, 'g:cam:abc', true, err => {
+              assert.ok(!err);
+
+              _getMuted(simong.restContext, simong.user.id, (err, mutedResources) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(mutedResources.results, ['g:cam:abc']);
+
+                // Other users cannot see what Simon muted, but tenant administrators can
+                _getMuted(nico.restContext, simong.user.id, err => {
+                  assert.ok(err);
+                  assert.strictEqual(err.code, 401);
+
+                  _getMuted(camAdminRestContext, simong.user.id, (err, mutedResources) => {
+                    assert.ok(!err);
+                    assert.deepStrictEqual(mutedResources.results, ['g:cam:abc']);
+
+                    // Only the muted resources of a valid user can be requested
+                    _getMuted(simong.restContext, 'not-a-user', err => {
+                      assert.ok(err);
+                      assert.strictEqual(err.code, 400);
+
+                      _setMuted(simong.restContext, 'g:cam:abc', false, err => {
+                        assert.ok(!err);
+
+                        _getMuted(simong.restContext, simong.user.id, (err, mutedResources) => {
+                          assert.ok(!err);
+                          assert.deepStrictEqual(mutedResources.results, []);
+                          return callback();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies activities about a muted resource are not routed to the activity stream and the notifications
+     * of the user who muted it, while that user remains a member of the resource
+     */
+    it('verify activities about a muted resource are not routed to the user who muted it', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 3, (err, users, mrvisser, simong, nico) => {
+        assert.ok(!err);
+
+        RestAPI.Content.createLink(
+          mrvisser.restContext,
+          'Google',
+          'Google',
+          'private',
+          'http://www.google.ca',
+          [],
+          [simong.user.id, nico.user.id],
+          [],
+          (err, link) => {
+            assert.ok(!err);
+
+            // Deliver the content-create activities before Simon mutes the link
+            ActivityTestsUtil.collectAndGetActivityStream(simong.restContext, simong.user.id, null, (err, activityStream) => {
+              assert.ok(!err);
+              assert.strictEqual(activityStream.items.length, 1);
+
+              _setMuted(simong.restContext, link.id, true, err => {
+                assert.ok(!err);
+
+                RestAPI.Content.createComment(mrvisser.restContext, link.id, 'Comment', null, err => {
+                  assert.ok(!err);
+
+                  // Simon should neither see the comment in his activity stream nor be notified about it
+                  ActivityTestsUtil.collectAndGetActivityStream(
+                    simong.restContext,
+                    simong.user.id,
+                    null,
+                    (err, activityStream) => {
+                      assert.ok(!err);
+                      assert.strictEqual(activityStream.items.length, 1);
+                      assert.strictEqual(
+                        activityStream.items[0]['oae:activityType'],
+                        ContentConstants.activity.ACTIVITY_CONTENT_CREATE
+                      );
+
+                      ActivityTestsUtil.collectAndGetNotificationStream(
+                        simong.restContext,
+                        null,
+                        (err, notificationStream) => {
+                          assert.ok(!err);
+                          assert.strictEqual(notificationStream.items.length, 1);
+
+                          // Nico did not mute the link and should have received the comment
+                          ActivityTestsUtil.collectAndGetActivityStream(
+                            nico.restContext,
+                            nico.user.id,
+                            null,
+                            (err, activityStream) => {
+                              assert.ok(!err);
+                              assert.strictEqual(activityStream.items.length, 2);
+                              assert.strictEqual(
+                                activityStream.items[0]['oae:activityType'],
+                                ContentConstants.activity.ACTIVITY_CONTENT_COMMENT
+                              );
+
+                              // Simon is still a member of the link and can still comment on it
+                              RestAPI.Content.createComment(simong.restContext, link.id, 'Comment', null, err => {
+                                assert.ok(!err);
+
+                                // Activities of Simon himself still show up in his activity stream
+                                ActivityTestsUtil.collectAndGetActivityStream(
+                                  simong.restContext,
+                                  simong.user.id,
+                                  null,
+                                  (err, activityStream) => {
+                                    assert.ok(!err);
+                                    assert.strictEqual(activityStream.items.length, 2);
+                                    assert.strictEqual(
+                                      activityStream.items[0]['oae:activityType'],
+                                      ContentConstants.activity.ACTIVITY_CONTENT_COMMENT
+                                    );
+                                    return callback();
+                                  }
+                                );
+                              });
+                            }
+                          );
+                        }
+                      );
+                    }
+                  );
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
   describe('Mail deduplication', () => {
     /*!
      * Flush the mail queue so other tests don't impact the mail deduplication tests
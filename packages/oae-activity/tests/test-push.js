@@ -14,12 +14,19 @@
  */
 
 import assert from 'assert';
+import crypto from 'crypto';
+import util from 'util';
 import _ from 'underscore';
 
+import WebPush from 'web-push';
+
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
 
+import * as ActivityDAO from 'oae-activity/lib/internal/dao';
 import * as ActivityTestUtil from 'oae-activity/lib/test/util';
+import * as ActivityWebPush from 'oae-activity/lib/internal/webpush';
 
 describe('Activity push', () => {
   // Rest context that can be used every time we need to make a request as a tenant admin
@@ -1115,4 +1122,426 @@ describe('Activity push', () => {
       });
     });
   });
+
+  describe('Web Push', () => {
+    let anonymousCamRestContext = null;
+    let server = null;
+    let pushServiceUrl = null;
+    // The messages our push service stand-in received, keyed by subscription
+    let messages = null;
+    // The status codes with which our push service stand-in responds, keyed by subscription
+    let statusCodes = null;
+    // The web push configuration with which the tests run
+    let webPush = null;
+
+    /**
+     * Enable web push with a key pair that is unique to the test run and start a stand-in for the push service of a
+     * browser. As the stand-in listens on plain http on localhost, insecure push service endpoints need to be allowed
+     */
+    before(callback => {
+      anonymousCamRestContext = TestsUtil.createTenantRestContext(global.oaeTests.tenants.cam.host);
+      webPush = _.extend(
+        { enabled: true, subject: 'mailto:noreply@example.com', allowInsecure: true },
+        WebPush.generateVAPIDKeys()
+      );
+      ActivityTestUtil.refreshConfiguration({ webPush }, err => {
+        assert.ok(!err);
+        TestsUtil.createTestServer((app, _server, port) => {
+          server = _server;
+          pushServiceUrl = util.format('http://localhost:%s/push/', port);
+
+          app.post('/push/:subscriptionId', (req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+              messages[req.params.subscriptionId] = messages[req.params.subscriptionId] || [];
+              messages[req.params.subscriptionId].push({
+                headers: req.headers,
+                body: Buffer.concat(chunks)
+              });
+              return res.sendStatus(statusCodes[req.params.subscriptionId] || 201);
+            });
+          });
+
+          return callback();
+        });
+      });
+    });
+
+    beforeEach(() => {
+      messages = {};
+      statusCodes = {};
+    });
+
+    /**
+     * Stop the push service stand-in and disable web push again
+     */
+    after(callback => {
+      server.close(() => {
+        ActivityTestUtil.refreshConfiguration(null, callback);
+      });
+    });
+
+    /**
+     * Create a subscription the way the push manager of a browser does, with a fresh key pair and authentication secret
+     *
+     * @param  {String}     subscriptionId      The id by which our push service stand-in knows the subscription
+     * @return {Object}                         The web push subscription
+     */
+    const _createSubscription = function(subscriptionId) {
+      const ecdh = crypto.createECDH('prime256v1');
+      ecdh.generateKeys();
+      return {
+        endpoint: pushServiceUrl + subscriptionId,
+        keys: {
+          p256dh: _toUrlSafeBase64(ecdh.getPublicKey()),
+          auth: _toUrlSafeBase64(crypto.randomBytes(16))
+        }
+      };
+    };
+
+    /**
+     * Encode a buffer as URL-safe base64 without padding
+     *
+     * @param  {Buffer}     buffer      The buffer to encode
+     * @return {String}                 The URL-safe base64 encoded buffer
+     */
+    const _toUrlSafeBase64 = function(buffer) {
+      return buffer
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+    };
+
+    /**
+     * Subscribe the current user to web push messages through the REST API
+     *
+     * @param  {RestContext}    restContext     The context of the current user
+     * @param  {Object}         subscription    The web push subscription
+     * @param  {Function}       callback        Standard callback function
+     * @param  {Object}         callback.err    An error that occurred, if any
+     */
+    const _subscribe = function(restContext, subscription, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/notifications/webpush/subscribe',
+        'POST',
+        subscription,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies the validation of web push subscriptions and that they can be removed
+     */
+    it('verify subscribing to and unsubscribing from web push messages', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, simong) => {
+        assert.ok(!err);
+
+        // The public key of the server is needed to subscribe
+        RestUtil.performRestRequest(
+          anonymousCamRestContext,
+          '/api/notifications/webpush',
+          'GET',
+          null,
+          (err, data) => {
+            assert.ok(!err);
+            assert.ok(_.isString(data.publicKey));
+
+            const subscription = _createSubscription(simong.user.id);
+            _subscribe(anonymousCamRestContext, subscription, err => {
+              assert.ok(err);
+              assert.strictEqual(err.code, 401);
+
+              _subscribe(
+                simong.restContext,
+                _.extend({}, subscription, { endpoint: 'not a url' }),
+                err => {
+                  assert.ok(err);
+                  assert.strictEqual(err.code, 400);
+
+                  _subscribe(
+                    simong.restContext,
+                    _.extend({}, subscription, { keys: { auth: subscription.keys.auth } }),
+                    err => {
+                      assert.ok(err);
+                      assert.strictEqual(err.code, 400);
+
+                      _subscribe(
+                        simong.restContext,
+                        _.extend({}, subscription, {
+                          keys: { p256dh: subscription.keys.p256dh, auth: 'abc' }
+                        }),
+                        err => {
+                          assert.ok(err);
+                          assert.strictEqual(err.code, 400);
+
+                          _subscribe(simong.restContext, subscription, err => {
+                            assert.ok(!err);
+
+                            ActivityDAO.getWebPushSubscriptions(
+                              [simong.user.id],
+                              (err, subscriptionsByUserId) => {
+                                assert.ok(!err);
+                                assert.deepStrictEqual(subscriptionsByUserId[simong.user.id], [
+                                  subscription
+                                ]);
+
+                                RestUtil.performRestRequest(
+                                  simong.restContext,
+                                  '/api/notifications/webpush/unsubscribe',
+                                  'POST',
+                                  { endpoint: subscription.endpoint },
+                                  err => {
+                                    assert.ok(!err);
+
+                                    ActivityDAO.getWebPushSubscriptions(
+                                      [simong.user.id],
+                                      (err, subscriptionsByUserId) => {
+                                        assert.ok(!err);
+                                        assert.ok(!subscriptionsByUserId[simong.user.id]);
+                                        return callback();
+                                      }
+                                    );
+                                  }
+                                );
+                              }
+                            );
+                          });
+                        }
+                      );
+                    }
+                  );
+                }
+              );
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies browsers can only subscribe with https push service endpoints that are not on a private network
+     */
+    it('verify insecure push service endpoints are rejected', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, simong) => {
+        assert.ok(!err);
+
+        ActivityTestUtil.refreshConfiguration(
+          { webPush: _.extend({}, webPush, { allowInsecure: false }) },
+          err => {
+            assert.ok(!err);
+
+            // Plain http endpoints and endpoints on loopback, private and link-local addresses are not allowed
+            const endpoints = [
+              pushServiceUrl + simong.user.id,
+              'https://localhost/push/' + simong.user.id,
+              'https://127.0.0.1/push/' + simong.user.id,
+              'https://10.0.0.1/push/' + simong.user.id,
+              'https://192.168.1.1/push/' + simong.user.id,
+              'https://169.254.169.254/latest/meta-data',
+              'https://[::1]/push/' + simong.user.id,
+              'https://[::ffff:127.0.0.1]/push/' + simong.user.id,
+              'https://[fd00::1]/push/' + simong.user.id
+            ];
+
+            /*!
+             * Verify the remaining endpoints can not be subscribed with, one at a time
+             */
+            const _assertRejected = function(endpoints, done) {
+              if (_.isEmpty(endpoints)) {
+                return done();
+              }
+
+              const endpoint = endpoints.shift();
+              _subscribe(
+                simong.restContext,
+                _.extend(_createSubscription(simong.user.id), { endpoint }),
+                err => {
+                  assert.ok(err, endpoint);
+                  assert.strictEqual(err.code, 400);
+                  return _assertRejected(endpoints, done);
+                }
+              );
+            };
+
+            _assertRejected(endpoints, () => {
+              ActivityDAO.getWebPushSubscriptions(
+                [simong.user.id],
+                (err, subscriptionsByUserId) => {
+                  assert.ok(!err);
+                  assert.ok(!subscriptionsByUserId[simong.user.id]);
+
+                  // Allow the endpoints of our stand-in again for the other tests
+                  return ActivityTestUtil.refreshConfiguration({ webPush }, callback);
+                }
+              );
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies notifications are delivered as encrypted web push messages to the users who want them
+     */
+    it('verify notifications are delivered as encrypted web push messages', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 3, (err, users, mrvisser, simong, nico) => {
+        assert.ok(!err);
+
+        _subscribe(simong.restContext, _createSubscription(simong.user.id), err => {
+          assert.ok(!err);
+          _subscribe(nico.restContext, _createSubscription(nico.user.id), err => {
+            assert.ok(!err);
+
+            // Nico doesn't want to be notified about content that is shared with him
+            RestUtil.performRestRequest(
+              nico.restContext,
+              '/api/notifications/preferences',
+              'POST',
+              { activityTypes: { 'content-create': { notification: false } } },
+              err => {
+                assert.ok(!err);
+
+                RestAPI.Content.createLink(
+                  mrvisser.restContext,
+                  'Google',
+                  'Google',
+                  'private',
+                  'http://www.google.ca',
+                  [],
+                  [simong.user.id, nico.user.id],
+                  [],
+                  (err, link) => {
+                    assert.ok(!err);
+
+                    ActivityTestUtil.collectAndGetNotificationStream(
+                      simong.restContext,
+                      null,
+                      err => {
+                        assert.ok(!err);
+
+                        ActivityWebPush.whenWebPushEmpty(() => {
+                          // Simon's browser should have received an encrypted message signed with the VAPID keys
+                          assert.strictEqual(messages[simong.user.id].length, 1);
+                          const message = messages[simong.user.id][0];
+                          assert.strictEqual(message.headers['content-encoding'], 'aes128gcm');
+                          assert.ok(message.headers.authorization.indexOf('vapid ') === 0);
+                          assert.ok(message.headers.ttl);
+                          assert.strictEqual(message.body.toString().indexOf(link.id), -1);
+
+                          // Nico's browser should not have received anything
+                          assert.ok(!messages[nico.user.id]);
+                          return callback();
+                        });
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies a subscription is removed when the push service reports it no longer exists
+     */
+    it('verify a subscription is removed when the push service reports it is gone', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, mrvisser, simong) => {
+        assert.ok(!err);
+
+        statusCodes[simong.user.id] = 410;
+        _subscribe(simong.restContext, _createSubscription(simong.user.id), err => {
+          assert.ok(!err);
+
+          RestAPI.Content.createLink(
+            mrvisser.restContext,
+            'Google',
+            'Google',
+            'private',
+            'http://www.google.ca',
+            [],
+            [simong.user.id],
+            [],
+            err => {
+              assert.ok(!err);
+
+              ActivityTestUtil.collectAndGetNotificationStream(simong.restContext, null, err => {
+                assert.ok(!err);
+
+                ActivityWebPush.whenWebPushEmpty(() => {
+                  assert.strictEqual(messages[simong.user.id].length, 1);
+
+                  ActivityDAO.getWebPushSubscriptions(
+                    [simong.user.id],
+                    (err, subscriptionsByUserId) => {
+                      assert.ok(!err);
+                      assert.ok(!subscriptionsByUserId[simong.user.id]);
+                      return callback();
+                    }
+                  );
+                });
+              });
+            }
+          );
+        });
+      });
+    });
+
+    /**
+     * Test that verifies messages are not sent to a push service whose host resolves to a private network by the time
+     * the message is sent, even though the subscription was accepted
+     */
+    it('verify messages are not sent to push services on a private network', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, mrvisser, simong) => {
+        assert.ok(!err);
+
+        // The subscription is accepted while insecure endpoints are allowed, which is as if the host of the endpoint
+        // resolved to a public address at that time
+        _subscribe(simong.restContext, _createSubscription(simong.user.id), err => {
+          assert.ok(!err);
+
+          ActivityTestUtil.refreshConfiguration(
+            { webPush: _.extend({}, webPush, { allowInsecure: false }) },
+            err => {
+              assert.ok(!err);
+
+              RestAPI.Content.createLink(
+                mrvisser.restContext,
+                'Google',
+                'Google',
+                'private',
+                'http://www.google.ca',
+                [],
+                [simong.user.id],
+                [],
+                err => {
+                  assert.ok(!err);
+
+                  ActivityTestUtil.collectAndGetNotificationStream(
+                    simong.restContext,
+                    null,
+                    err => {
+                      assert.ok(!err);
+
+                      ActivityWebPush.whenWebPushEmpty(() => {
+                        // The stand-in listens on localhost, so it should not have been connected to
+                        assert.ok(!messages[simong.user.id]);
+
+                        // Allow the endpoints of our stand-in again for the other tests
+                        return ActivityTestUtil.refreshConfiguration({ webPush }, callback);
+                      });
+                    }
+                  );
+                }
+              );
+            }
+          );
+        });
+      });
+    });
+  });
 });
@@ -0,0 +1,665 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import assert from 'assert';
+import util from 'util';
+import _ from 'underscore';
+
+import * as MqTestsUtil from 'oae-util/lib/test/mq-util';
+import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
+import * as Signature from 'oae-util/lib/signature';
+import * as TenantsTestUtil from 'oae-tenants/lib/test/util';
+import * as TestsUtil from 'oae-tests';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import * as ActivityTestUtil from 'oae-activity/lib/test/util';
+import * as ActivityWebhooks from 'oae-activity/lib/internal/webhooks';
+
+describe('Webhooks', () => {
+  // The secret with which the webhooks of the tests sign their deliveries
+  const SECRET = 'a secret that is shared with the receiver';
+
+  let tenantHost = null;
+  let tenantAdminRestContext = null;
+  let server = null;
+  let hooksUrl = null;
+  // The deliveries our receiving server received, keyed by the name of the webhook
+  let deliveries = null;
+  // The status codes with which our receiving server responds to consecutive deliveries, keyed by the name of the webhook
+  let statusCodes = null;
+  // The webhooks configuration with which the tests run
+  const webhooksConfig = {
+    maxAttempts: 3,
+    retryDelay: 0,
+    pollingFrequency: -1,
+    allowPrivateHosts: true
+  };
+
+  /**
+   * Make failed deliveries due for a retry immediately, create a tenant whose activities can be delivered without
+   * interference of other tests and start a server that receives the deliveries. The tests queue the retries
+   * themselves rather than having them polled. As the receiving server listens on localhost, webhooks on a private
+   * network need to be allowed
+   */
+  before(callback => {
+    ActivityTestUtil.refreshConfiguration({ webhooks: webhooksConfig }, err => {
+      assert.ok(!err);
+
+      tenantHost = TenantsTestUtil.generateTestTenantHost();
+      TestsUtil.createTenantWithAdmin(
+        TenantsTestUtil.generateTestTenantAlias(),
+        tenantHost,
+        (err, tenant, restContext) => {
+          assert.ok(!err);
+          tenantAdminRestContext = restContext;
+
+          TestsUtil.createTestServer((app, _server, port) => {
+            server = _server;
+            hooksUrl = util.format('http://localhost:%s/hooks/', port);
+
+            app.post('/hooks/:name', (req, res) => {
+              deliveries[req.params.name] = deliveries[req.params.name] || [];
+              deliveries[req.params.name].push({ headers: req.headers, body: req.body });
+              return res.sendStatus((statusCodes[req.params.name] || []).shift() || 200);
+            });
+
+            return callback();
+          });
+        }
+      );
+    });
+  });
+
+  beforeEach(() => {
+    deliveries = {};
+    statusCodes = {};
+  });
+
+  /**
+   * Stop the receiving server and restore the default activity configuration
+   */
+  after(callback => {
+    server.close(() => {
+      ActivityTestUtil.refreshConfiguration(null, callback);
+    });
+  });
+
+  /**
+   * Register a webhook that posts to our receiving server
+   *
+   * @param  {RestContext}        restContext         The context with which to register the webhook
+   * @param  {String}             name                The name under which the receiving server keeps the deliveries of the webhook
+   * @param  {Object}             [opts]              Overrides for the `url`, `secret` and `activityTypes` of the webhook
+   * @param  {Function}           callback            Standard callback function
+   * @param  {Object}             callback.err        An error that occurred, if any
+   * @param  {ActivityWebhook}    callback.webhook    The webhook that was registered
+   */
+  const _createWebhook = function(restContext, name, opts, callback) {
+    const params = _.extend({ url: hooksUrl + name, secret: SECRET }, opts);
+    RestUtil.performRestRequest(restContext, '/api/webhooks/create', 'POST', params, callback);
+  };
+
+  /**
+   * Remove a webhook
+   *
+   * @param  {RestContext}    restContext     The context with which to remove the webhook
+   * @param  {String}         webhookId       The id of the webhook to remove
+   * @param  {Function}       callback        Standard callback function
+   * @param  {Object}         callback.err    An error that occurred, if any
+   */
+  const _deleteWebhook = function(restContext, webhookId, callback) {
+    RestUtil.performRestRequest(
+      restContext,
+      '/api/webhooks/' + encodeURIComponent(webhookId),
+      'DELETE',
+      null,
+      callback
+    );
+  };
+
+  /**
+   * Get the delivery log of a webhook
+   *
+   * @param  {RestContext}                restContext             The context with which to get the delivery log
+   * @param  {String}                     webhookId               The id of the webhook whose delivery log to get
+   * @param  {Function}                   callback                Standard callback function
+   * @param  {Object}                     callback.err            An error that occurred, if any
+   * @param  {ActivityWebhookDelivery[]}  callback.deliveries     The deliveries in the delivery log
+   */
+  const _getDeliveries = function(restContext, webhookId, callback) {
+    RestUtil.performRestRequest(
+      restContext,
+      util.format('/api/webhooks/%s/deliveries', encodeURIComponent(webhookId)),
+      'GET',
+      null,
+      (err, data) => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, data.results);
+      }
+    );
+  };
+
+  /**
+   * Create a link and wait until the resulting activity has been delivered to all webhooks
+   *
+   * @param  {RestContext}    restContext     The context with which to create the link
+   * @param  {Function}       callback        Standard callback function
+   * @param  {Content}        callback.link   The link that was created
+   */
+  const _createLinkAndWaitForDeliveries = function(restContext, callback) {
+    RestAPI.Content.createLink(
+      restContext,
+      'Google',
+      'Google',
+      'public',
+      'http://www.google.ca',
+      [],
+      [],
+      [],
+      (err, link) => {
+        assert.ok(!err);
+
+        MqTestsUtil.whenBothTasksEmpty(ActivityConstants.mq.TASK_ACTIVITY, () => {
+          ActivityWebhooks.whenWebhooksEmpty(() => {
+            return callback(link);
+          });
+        });
+      }
+    );
+  };
+
+  /**
+   * Test that verifies only tenant administrators can register, list and remove webhooks
+   */
+  it('verify tenant administrators can register, list and remove webhooks', callback => {
+    const anonymousRestContext = TestsUtil.createTenantRestContext(tenantHost);
+    TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+      assert.ok(!err);
+
+      // Only tenant administrators can register webhooks
+      _createWebhook(anonymousRestContext, 'validation', null, err => {
+        assert.ok(err);
+        assert.strictEqual(err.code, 401);
+        _createWebhook(mrvisser.restContext, 'validation', null, err => {
+          assert.ok(err);
+          assert.strictEqual(err.code, 401);
+
+          // The url, activity types and secret are validated
+          _createWebhook(tenantAdminRestContext, 'validation', { url: 'not a url' }, err => {
+            assert.ok(err);
+            assert.strictEqual(err.code, 400);
+            _createWebhook(
+              tenantAdminRestContext,
+              'validation',
+              { activityTypes: ['not-an-activity'] },
+              err => {
+                assert.ok(err);
+                assert.strictEqual(err.code, 400);
+                _createWebhook(
+                  tenantAdminRestContext,
+                  'validation',
+                  { secret: 'too short' },
+                  err => {
+                    assert.ok(err);
+                    assert.strictEqual(err.code, 400);
+
+                    _createWebhook(
+                      tenantAdminRestContext,
+                      'validation',
+                      { activityTypes: ['content-create'] },
+                      (err, webhook) => {
+                        assert.ok(!err);
+                        assert.ok(webhook.id);
+                        assert.strictEqual(webhook.url, hooksUrl + 'validation');
+                        assert.deepStrictEqual(webhook.activityTypes, ['content-create']);
+                        assert.ok(!webhook.secret);
+
+                        // Only tenant administrators can list the webhooks
+                        RestUtil.performRestRequest(
+                          mrvisser.restContext,
+                          '/api/webhooks',
+                          'GET',
+                          null,
+                          err => {
+                            assert.ok(err);
+                            assert.strictEqual(err.code, 401);
+                            RestUtil.performRestRequest(
+                              tenantAdminRestContext,
+                              '/api/webhooks',
+                              'GET',
+                              null,
+                              (err, data) => {
+                                assert.ok(!err);
+                                assert.strictEqual(data.results.length, 1);
+                                assert.strictEqual(data.results[0].id, webhook.id);
+                                assert.ok(!data.results[0].secret);
+
+                                // Only tenant administrators can remove the webhooks
+                                _deleteWebhook(mrvisser.restContext, webhook.id, err => {
+                                  assert.ok(err);
+                                  assert.strictEqual(err.code, 401);
+                                  _deleteWebhook(tenantAdminRestContext, webhook.id, err => {
+                                    assert.ok(!err);
+                                    _deleteWebhook(tenantAdminRestContext, webhook.id, err => {
+                                      assert.ok(err);
+                                      assert.strictEqual(err.code, 404);
+
+                                      RestUtil.performRestRequest(
+                                        tenantAdminRestContext,
+                                        '/api/webhooks',
+                                        'GET',
+                                        null,
+                                        (err, data) => {
+                                          assert.ok(!err);
+                                          assert.strictEqual(data.results.length, 0);
+                                          return callback();
+                                        }
+                                      );
+                                    });
+                                  });
+                                });
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
+  /**
+   * Test that verifies activities are delivered as signed JSON posts to the webhooks whose filter they match
+   */
+  it('verify matching activities are delivered as signed JSON posts', callback => {
+    TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+      assert.ok(!err);
+
+      _createWebhook(
+        tenantAdminRestContext,
+        'created',
+        { activityTypes: ['content-create'] },
+        (err, createdWebhook) => {
+          assert.ok(!err);
+          _createWebhook(
+            tenantAdminRestContext,
+            'shared',
+            { activityTypes: ['content-share'] },
+            (err, sharedWebhook) => {
+              assert.ok(!err);
+
+              _createLinkAndWaitForDeliveries(mrvisser.restContext, link => {
+                // Only the webhook that is interested in created content should have received the activity
+                assert.ok(!deliveries.shared);
+                assert.strictEqual(deliveries.created.length, 1);
+
+                const { headers, body } = deliveries.created[0];
+                assert.strictEqual(headers['x-oae-webhook'], createdWebhook.id);
+                assert.strictEqual(headers['x-oae-delivery'], body.id);
+                assert.strictEqual(body.webhookId, createdWebhook.id);
+                assert.strictEqual(
+                  body.activity[ActivityConstants.properties.OAE_ACTIVITY_TYPE],
+                  'content-create'
+                );
+                assert.strictEqual(
+                  body.activity.object[ActivityConstants.properties.OAE_ID],
+                  link.id
+                );
+
+                // The receiver can verify the delivery was signed with the shared secret
+                const signature = headers['x-oae-signature'].replace(/^sha256=/, '');
+                const payload = headers['x-oae-timestamp'] + '.' + JSON.stringify(body);
+                assert.ok(Signature.verifyWithSecret(SECRET, payload, signature));
+                assert.ok(
+                  !Signature.verifyWithSecret(
+                    'another secret that is long enough',
+                    payload,
+                    signature
+                  )
+                );
+
+                // The delivery log shows the activity was delivered
+                _getDeliveries(
+                  tenantAdminRestContext,
+                  createdWebhook.id,
+                  (err, createdDeliveries) => {
+                    assert.ok(!err);
+                    assert.strictEqual(createdDeliveries.length, 1);
+                    assert.strictEqual(createdDeliveries[0].id, body.id);
+                    assert.strictEqual(createdDeliveries[0].activityType, 'content-create');
+                    assert.strictEqual(
+                      createdDeliveries[0].status,
+                      ActivityConstants.webhooks.status.DELIVERED
+                    );
+                    assert.strictEqual(createdDeliveries[0].attempts, 1);
+                    assert.strictEqual(createdDeliveries[0].statusCode, 200);
+
+                    _getDeliveries(
+                      tenantAdminRestContext,
+                      sharedWebhook.id,
+                      (err, sharedDeliveries) => {
+                        assert.ok(!err);
+                        assert.strictEqual(sharedDeliveries.length, 0);
+
+                        _deleteWebhook(tenantAdminRestContext, createdWebhook.id, err => {
+                          assert.ok(!err);
+                          _deleteWebhook(tenantAdminRestContext, sharedWebhook.id, err => {
+                            assert.ok(!err);
+                            return callback();
+                          });
+                        });
+                      }
+                    );
+                  }
+                );
+              });
+            }
+          );
+        }
+      );
+    });
+  });
+
+  /**
+   * Queue the deliveries that are due to be retried and wait until they have been posted
+   *
+   * @param  {Function}   callback    Standard callback function
+   */
+  const _retryAndWaitForDeliveries = function(callback) {
+    ActivityWebhooks.queueDueRetries(err => {
+      assert.ok(!err);
+      ActivityWebhooks.whenWebhooksEmpty(callback);
+    });
+  };
+
+  /**
+   * Test that verifies deliveries that are not accepted are retried until the maximum number of attempts is reached
+   */
+  it('verify failed deliveries are retried until they are accepted or the maximum number of attempts is reached', callback => {
+    TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+      assert.ok(!err);
+
+      _createWebhook(
+        tenantAdminRestContext,
+        'flaky',
+        { activityTypes: ['content-create'] },
+        (err, flakyWebhook) => {
+          assert.ok(!err);
+          _createWebhook(
+            tenantAdminRestContext,
+            'broken',
+            { activityTypes: ['content-create'] },
+            (err, brokenWebhook) => {
+              assert.ok(!err);
+
+              // The flaky webhook accepts the third attempt, the broken webhook never accepts a delivery
+              statusCodes.flaky = [500, 503];
+              statusCodes.broken = [500, 500, 500, 500];
+
+              _createLinkAndWaitForDeliveries(mrvisser.restContext, () => {
+                assert.strictEqual(deliveries.flaky.length, 1);
+                assert.strictEqual(deliveries.broken.length, 1);
+
+                // The delivery log shows when the failed delivery will be retried
+                _getDeliveries(tenantAdminRestContext, flakyWebhook.id, (err, flakyDeliveries) => {
+                  assert.ok(!err);
+                  assert.strictEqual(flakyDeliveries.length, 1);
+                  assert.strictEqual(
+                    flakyDeliveries[0].status,
+                    ActivityConstants.webhooks.status.RETRYING
+                  );
+                  assert.strictEqual(flakyDeliveries[0].attempts, 1);
+                  assert.strictEqual(flakyDeliveries[0].statusCode, 500);
+                  assert.ok(flakyDeliveries[0].nextAttempt <= Date.now());
+
+                  _retryAndWaitForDeliveries(() => {
+                    _retryAndWaitForDeliveries(() => {
+                      // Each attempt is made for the same delivery
+                      assert.strictEqual(deliveries.flaky.length, 3);
+                      assert.strictEqual(
+                        _.chain(deliveries.flaky)
+                          .pluck('body')
+                          .pluck('id')
+                          .uniq()
+                          .value().length,
+                        1
+                      );
+                      assert.strictEqual(deliveries.broken.length, 3);
+
+                      _getDeliveries(
+                        tenantAdminRestContext,
+                        flakyWebhook.id,
+                        (err, flakyDeliveries) => {
+                          assert.ok(!err);
+                          assert.strictEqual(flakyDeliveries.length, 1);
+                          assert.strictEqual(
+                            flakyDeliveries[0].status,
+                            ActivityConstants.webhooks.status.DELIVERED
+                          );
+                          assert.strictEqual(flakyDeliveries[0].attempts, 3);
+                          assert.strictEqual(flakyDeliveries[0].statusCode, 200);
+                          assert.ok(!flakyDeliveries[0].nextAttempt);
+
+                          _getDeliveries(
+                            tenantAdminRestContext,
+                            brokenWebhook.id,
+                            (err, brokenDeliveries) => {
+                              assert.ok(!err);
+                              assert.strictEqual(brokenDeliveries.length, 1);
+                              assert.strictEqual(
+                                brokenDeliveries[0].status,
+                                ActivityConstants.webhooks.status.FAILED
+                              );
+                              assert.strictEqual(brokenDeliveries[0].attempts, 3);
+                              assert.strictEqual(brokenDeliveries[0].statusCode, 500);
+
+                              // Nothing is left to be retried
+                              _retryAndWaitForDeliveries(() => {
+                                assert.strictEqual(deliveries.flaky.length, 3);
+                                assert.strictEqual(deliveries.broken.length, 3);
+
+                                _deleteWebhook(tenantAdminRestContext, flakyWebhook.id, err => {
+                                  assert.ok(!err);
+                                  _deleteWebhook(tenantAdminRestContext, brokenWebhook.id, err => {
+                                    assert.ok(!err);
+                                    return callback();
+                                  });
+                                });
+                              });
+                            }
+                          );
+                        }
+                      );
+                    });
+                  });
+                });
+              });
+            }
+          );
+        }
+      );
+    });
+  });
+
+  /**
+   * Test that verifies activities that involve another tenant are only delivered when the entities of that tenant
+   * are public
+   */
+  it('verify activities are only delivered when the entities of other tenants are public', callback => {
+    const camAdminRestContext = TestsUtil.createTenantAdminRestContext(
+      global.oaeTests.tenants.cam.host
+    );
+    TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, simong) => {
+      assert.ok(!err);
+      TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+        assert.ok(!err);
+
+        _createWebhook(
+          tenantAdminRestContext,
+          'shares',
+          { activityTypes: ['content-share'] },
+          (err, webhook) => {
+            assert.ok(!err);
+
+            RestAPI.Content.createLink(
+              simong.restContext,
+              'Private',
+              null,
+              'private',
+              'http://www.google.ca',
+              [],
+              [],
+              [],
+              (err, privateLink) => {
+                assert.ok(!err);
+                RestAPI.Content.createLink(
+                  simong.restContext,
+                  'Public',
+                  null,
+                  'public',
+                  'http://www.google.ca',
+                  [],
+                  [],
+                  [],
+                  (err, publicLink) => {
+                    assert.ok(!err);
+
+                    // Share both links with a user of the tenant that registered the webhook
+                    RestAPI.Content.shareContent(
+                      simong.restContext,
+                      privateLink.id,
+                      [mrvisser.user.id],
+                      err => {
+                        assert.ok(!err);
+                        RestAPI.Content.shareContent(
+                          simong.restContext,
+                          publicLink.id,
+                          [mrvisser.user.id],
+                          err => {
+                            assert.ok(!err);
+
+                            MqTestsUtil.whenBothTasksEmpty(
+                              ActivityConstants.mq.TASK_ACTIVITY,
+                              () => {
+                                ActivityWebhooks.whenWebhooksEmpty(() => {
+                                  // Only the share of the public link is delivered
+                                  assert.strictEqual(deliveries.shares.length, 1);
+                                  assert.strictEqual(
+                                    deliveries.shares[0].body.activity.object[
+                                      ActivityConstants.properties.OAE_ID
+                                    ],
+                                    publicLink.id
+                                  );
+
+                                  return _deleteWebhook(
+                                    tenantAdminRestContext,
+                                    webhook.id,
+                                    callback
+                                  );
+                                });
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+
+  /**
+   * Test that verifies webhooks on a private network can not be registered and that activities are not delivered to
+   * webhooks whose host resolves to a private network by the time they are delivered
+   */
+  it('verify activities are not delivered to webhooks on a private network', callback => {
+    TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+      assert.ok(!err);
+
+      // The webhook is registered while private hosts are allowed, which is as if its host resolved to a public
+      // address at that time
+      _createWebhook(tenantAdminRestContext, 'private', null, (err, webhook) => {
+        assert.ok(!err);
+
+        const privateConfig = _.extend({}, webhooksConfig, { allowPrivateHosts: false });
+        ActivityTestUtil.refreshConfiguration({ webhooks: privateConfig }, err => {
+          assert.ok(!err);
+
+          // Webhooks on loopback, private and link-local addresses can not be registered
+          const urls = [
+            hooksUrl + 'private',
+            'http://127.0.0.1/hooks/private',
+            'http://10.0.0.1/hooks/private',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/hooks/private'
+          ];
+
+          /*!
+           * Verify the remaining urls can not be registered, one at a time
+           */
+          const _assertRejected = function(urls, done) {
+            if (_.isEmpty(urls)) {
+              return done();
+            }
+
+            const url = urls.shift();
+            _createWebhook(tenantAdminRestContext, 'private', { url }, err => {
+              assert.ok(err, url);
+              assert.strictEqual(err.code, 400);
+              return _assertRejected(urls, done);
+            });
+          };
+
+          _assertRejected(urls, () => {
+            _createLinkAndWaitForDeliveries(mrvisser.restContext, () => {
+              // Our receiving server should not have been connected to
+              assert.ok(!deliveries.private);
+
+              // The delivery log only shows that the webhook was refused
+              _getDeliveries(tenantAdminRestContext, webhook.id, (err, privateDeliveries) => {
+                assert.ok(!err);
+                assert.strictEqual(privateDeliveries.length, 1);
+                assert.strictEqual(privateDeliveries[0].attempts, 1);
+                assert.ok(!privateDeliveries[0].statusCode);
+                assert.ok(privateDeliveries[0].error.indexOf('reserved address') !== -1);
+
+                // Allow our receiving server again for the other tests
+                ActivityTestUtil.refreshConfiguration({ webhooks: webhooksConfig }, err => {
+                  assert.ok(!err);
+                  return _deleteWebhook(tenantAdminRestContext, webhook.id, callback);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -84,6 +84,7 @@ ActivityAPI.registerActivityEntityType('email', {
       return callback(null, transformedEntities);
     }
   },
+  activityStreams2Type: 'Person',
   propagation(associationsCtx, entity, callback) {
     /*!
      * TODO: We say an email entity can only be propagated to itself, due to lack of obfuscation
@@ -92,3 +92,16 @@ export const visibility = {
     ])
   }
 };
+
+export const uploads = {
+  name: 'Resumable Uploads',
+  description: 'Limits for files that are uploaded in chunks',
+  elements: {
+    maxSize: new Fields.Text(
+      'Maximum File Size',
+      'The maximum size in megabytes of a file that is uploaded in chunks',
+      '4096',
+      { globalAdminOnly: true }
+    )
+  }
+};
@@ -32,6 +32,10 @@ export const storage = {
         {
           name: 'Amazon S3',
           value: 'amazons3'
+        },
+        {
+          name: 'Remote (WebDAV or HTTP)',
+          value: 'remote'
         }
       ],
       { tenantOverride: false, suppress: true, globalAdminOnly: true }
@@ -56,6 +60,26 @@ export const storage = {
       'The Amazon S3 Bucket to store file bodies in',
       'oae-files',
       { tenantOverride: false, suppress: true, globalAdminOnly: true }
+    ),
+    'remote-url': new Fields.Text(
+      'Remote Storage URL',
+      'The URL of the WebDAV or HTTP endpoint to store file bodies in',
+      '',
+      { suppress: true, globalAdminOnly: true }
+    ),
+    'remote-username': new Fields.Text('Remote Storage Username', 'The username for the remote storage', '', {
+      suppress: true,
+      globalAdminOnly: true
+    }),
+    'remote-password': new Fields.Text('Remote Storage Password', 'The password for the remote storage', '', {
+      suppress: true,
+      globalAdminOnly: true
+    }),
+    'remote-webdav': new Fields.Bool(
+      'Remote Storage Is WebDAV',
+      'Whether collections should be created on the remote storage before a file body is stored in them',
+      true,
+      { suppress: true, globalAdminOnly: true }
     )
   }
 };
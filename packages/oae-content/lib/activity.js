@@ -19,6 +19,7 @@ import * as ActivityAPI from 'oae-activity';
 import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivityUtil from 'oae-activity/lib/util';
 import * as AuthzUtil from 'oae-authz/lib/util';
+import * as MessageBoxActivity from 'oae-messagebox/lib/activity';
 import * as MessageBoxAPI from 'oae-messagebox';
 import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
@@ -297,6 +298,87 @@ ContentAPI.emitter.on(
   }
 );
 
+/// /////////////////////////////////
+// CONTENT-LOCK and CONTENT-UNLOCK //
+/// /////////////////////////////////
+
+ActivityAPI.registerActivityType(ContentConstants.activity.ACTIVITY_CONTENT_LOCK, {
+  groupBy: [{ object: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self'],
+        object: ['self', 'members']
+      }
+    },
+    notification: {
+      router: {
+        object: ['managers']
+      }
+    }
+  }
+});
+
+ActivityAPI.registerActivityType(ContentConstants.activity.ACTIVITY_CONTENT_UNLOCK, {
+  groupBy: [{ object: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self'],
+        object: ['self', 'members']
+      }
+    },
+    notification: {
+      router: {
+        object: ['managers'],
+        // When a manager overrides the lock of another user, that user is notified as well
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a content-lock activity when a user checks out a file
+ */
+ContentAPI.emitter.on(ContentConstants.events.LOCKED_CONTENT, (ctx, content) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('content', content.id, { content });
+  const activitySeed = new ActivityModel.ActivitySeed(
+    ContentConstants.activity.ACTIVITY_CONTENT_LOCK,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
+});
+
+/*!
+ * Post a content-unlock activity when a file is checked in. If the file was checked out by another user, that user
+ * becomes the target of the activity
+ */
+ContentAPI.emitter.on(ContentConstants.events.UNLOCKED_CONTENT, (ctx, content, lockedBy) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('content', content.id, { content });
+  const targetResource = lockedBy === ctx.user().id ? null : new ActivityModel.ActivitySeedResource('user', lockedBy);
+  const activitySeed = new ActivityModel.ActivitySeed(
+    ContentConstants.activity.ACTIVITY_CONTENT_UNLOCK,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
+});
+
 /// //////////////////
 // CONTENT-COMMENT //
 /// //////////////////
@@ -331,7 +413,8 @@ ActivityAPI.registerActivityType(ContentConstants.activity.ACTIVITY_CONTENT_COMM
 });
 
 /*!
- * Post a content-comment activity when a user comments on a content item
+ * Post a content-comment activity when a user comments on a content item, and a mention activity for each
+ * user that is mentioned in the comment
  */
 ContentAPI.emitter.on(ContentConstants.events.CREATED_COMMENT, (ctx, message, content) => {
   const millis = Date.now();
@@ -354,6 +437,106 @@ ContentAPI.emitter.on(ContentConstants.events.CREATED_COMMENT, (ctx, message, co
     targetResource
   );
   ActivityAPI.postActivity(ctx, activitySeed);
+  MessageBoxActivity.postMentionActivities(ctx, message, objectResource);
+});
+
+/// /////////////////////////
+// CONTENT-COMMENT-UPDATE //
+/// /////////////////////////
+
+ActivityAPI.registerActivityType(ContentConstants.activity.ACTIVITY_CONTENT_COMMENT_UPDATE, {
+  groupBy: [{ target: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self']
+      }
+    },
+    message: {
+      transient: true,
+      router: {
+        // Route the activity to the piece of content so the edit shows up for anyone viewing it
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a content-comment-update activity when a user edits their comment on a content item
+ */
+ContentAPI.emitter.on(ContentConstants.events.UPDATED_COMMENT, (ctx, message, content) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('content-comment', message.id, {
+    contentId: content.id,
+    message
+  });
+  const targetResource = new ActivityModel.ActivitySeedResource('content', content.id, {
+    content
+  });
+  const activitySeed = new ActivityModel.ActivitySeed(
+    ContentConstants.activity.ACTIVITY_CONTENT_COMMENT_UPDATE,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
+});
+
+/// ///////////////////
+// CONTENT-REACTION //
+/// ///////////////////
+
+ActivityAPI.registerActivityType(ContentConstants.activity.ACTIVITY_CONTENT_REACTION, {
+  // "Branden Visser and 3 others reacted to your document"
+  groupBy: [{ object: true, target: true }],
+  streams: {
+    notification: {
+      router: {
+        // Notify the author of the content item or comment that was reacted to
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a content-reaction activity when a user reacts to a content item or one of its comments
+ */
+ContentAPI.emitter.on(ContentConstants.events.ADDED_REACTION, (ctx, content, comment /* reaction */) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+
+  let objectResource = null;
+  let authorId = null;
+  if (comment) {
+    objectResource = new ActivityModel.ActivitySeedResource('content-comment', comment.id, {
+      contentId: content.id,
+      message: comment
+    });
+    authorId = comment.createdBy.id;
+  } else {
+    objectResource = new ActivityModel.ActivitySeedResource('content', content.id, { content });
+    authorId = content.createdBy;
+  }
+
+  const targetResource = new ActivityModel.ActivitySeedResource('user', authorId);
+  const activitySeed = new ActivityModel.ActivitySeed(
+    ContentConstants.activity.ACTIVITY_CONTENT_REACTION,
+    millis,
+    ActivityConstants.verbs.REACT,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
 });
 
 /// ///////////////////////////////////////////////////////////////////////
@@ -677,12 +860,41 @@ const _contentCommentInternalTransformer = function(ctx, activityEntities, callb
   return callback(null, transformedActivityEntities);
 };
 
+/*!
+ * Get the Activity Streams 2.0 type of a transformed content entity. Links are web pages, files are typed by
+ * their mimetype and collaborative documents and spreadsheets are documents
+ * @see ActivityAPI#registerActivityEntityType
+ */
+const _getActivityStreams2ContentType = function(entity) {
+  if (entity[ContentConstants.activity.PROP_OAE_CONTENT_TYPE] === 'link') {
+    return 'Page';
+  }
+
+  const mimeType = entity[ContentConstants.activity.PROP_OAE_CONTENT_MIMETYPE] || '';
+  if (entity[ContentConstants.activity.PROP_OAE_CONTENT_TYPE] === 'file') {
+    if (mimeType.indexOf('image/') === 0) {
+      return 'Image';
+    }
+
+    if (mimeType.indexOf('video/') === 0) {
+      return 'Video';
+    }
+
+    if (mimeType.indexOf('audio/') === 0) {
+      return 'Audio';
+    }
+  }
+
+  return 'Document';
+};
+
 ActivityAPI.registerActivityEntityType('content', {
   producer: _contentProducer,
   transformer: {
     activitystreams: _contentTransformer,
     internal: _contentInternalTransformer
   },
+  activityStreams2Type: _getActivityStreams2ContentType,
   propagation(associationsCtx, entity, callback) {
     ActivityUtil.getStandardResourcePropagation(entity.content.visibility, AuthzConstants.joinable.NO, callback);
   }
@@ -694,6 +906,7 @@ ActivityAPI.registerActivityEntityType('content-comment', {
     activitystreams: _contentCommentTransformer,
     internal: _contentCommentInternalTransformer
   },
+  activityStreams2Type: 'Note',
   propagation(associationsCtx, entity, callback) {
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
   }
@@ -13,6 +13,7 @@
  * permissions and limitations under the License.
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import util from 'util';
@@ -28,15 +29,24 @@ import * as AuthzUtil from 'oae-authz/lib/util';
 import { setUpConfig } from 'oae-config';
 import * as EmitterAPI from 'oae-emitter';
 import * as LibraryAPI from 'oae-library';
+import * as Locking from 'oae-util/lib/locking';
+import * as MQ from 'oae-util/lib/mq';
 import { logger } from 'oae-logger';
 
 import { getFoldersByIds } from 'oae-folders/lib/internal/dao';
 import * as MessageBoxAPI from 'oae-messagebox';
+import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
+import * as PrincipalsQuotaAPI from 'oae-principals/lib/api.quota';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
 import * as ResourceActions from 'oae-resource/lib/actions';
+import * as ResourceReactions from 'oae-resource/lib/reactions';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
+import * as ResourceTags from 'oae-resource/lib/tags';
+import * as ResourceTrash from 'oae-resource/lib/trash';
 import * as Signature from 'oae-util/lib/signature';
+import * as TenantsAPI from 'oae-tenants';
 import { MessageBoxConstants } from 'oae-messagebox/lib/constants';
 import { Context } from 'oae-context';
 import isUrl from 'validator/lib/isURL';
@@ -51,6 +61,7 @@ const {
   isANumber,
   isResourceId,
   isLoggedInUser,
+  isGlobalAdministratorUser,
   isNotNull,
   isShortString,
   isNotEmpty,
@@ -62,8 +73,12 @@ const {
 import { both, curry, __, equals, not, and, compose, forEach, forEachObjIndexed } from 'ramda';
 import { AuthzConstants } from 'oae-authz/lib/constants';
 import { ContentConstants } from './constants';
+import * as ContentBodies from './internal/bodies';
 import * as ContentDAO from './internal/dao';
 import * as ContentMembersLibrary from './internal/membersLibrary';
+import * as ContentDiff from './internal/diff';
+import * as ContentStorage from './internal/storage';
+import * as ContentUploads from './internal/uploads';
 import * as ContentUtil from './internal/util';
 import * as Ethercalc from './internal/ethercalc';
 import * as Etherpad from './internal/etherpad';
@@ -78,12 +93,16 @@ const DISPLAY_NAME = 'displayName';
 const DESCRIPTION = 'description';
 const VISIBILITY = 'visibility';
 const LINK = 'link';
+const TAGS = 'tags';
+const PUBLISH_AT = 'publishAt';
+const EXPIRE_AT = 'expireAt';
 
 /**
  * ### Events
  *
  * The `ContentAPI`, as enumerated in `ContentConstants.events`, emits the following events:
  *
+ * `addedReaction(ctx, content, comment, reaction)`: A user reacted to a content item or to one of its comments. The `ctx`, the `content` item, the `comment` that received the reaction (if any) and the `reaction` are provided.
  * `createdComment(ctx, comment, content)`: A new comment was posted for a content item. The `ctx`, `comment` and commented `content` object are provided.
  * `createdContent(ctx, content)`: A new content item was created. The `ctx` and the `content` object that was created are both provided.
  * `deletedComment(ctx, comment, content, deleteType)`: An existing comment has been deleted on a content item. The `ctx`, `content` and target `comment` object are provided.
@@ -94,6 +113,7 @@ const LINK = 'link';
  * `getContentLibrary(ctx, principalId, visibility, start, limit, contentObjects)`: A content library was retrieved.
  * `getContentProfile(ctx, content)`: A content profile was retrieved. The `ctx` and the `content` are both provided.
  * `restoredContent(ctx, newContentObj, oldContentObj, restoredRevision)`: An older revision for a content item has been restored.
+ * `updatedComment(ctx, comment, content)`: The body of a comment on a content item was edited. The `ctx`, the updated `comment` and the commented `content` object are provided.
  * `updatedContent(ctx, newContentObj, oldContentObj)`: A content item was updated. The `ctx`, the updated content object and the content before was updated are provided.
  * `updatedContentBody(ctx, newContentObj, oldContentObj, revision)`: A content item's file body was updated. The `ctx` of the request, the `newContentObj` object after being updated, the `oldContentObj` object before the update, and the revision object.
  * `updatedContentMembers(ctx, content, memberUpdates, addedMemberIds, updatedMemberIds, removedMemberIds)`: A content's members list was updated. The `ctx`, full `content` object of the updated content, and the hash of principalId -> role that outlines the changes that were made are provided, as well as arrays containing the ids of the added members, updated members and removed members that resulted from the change
@@ -144,8 +164,8 @@ const getContent = function(ctx, contentId, callback) {
 
 /**
  * Get a full content item profile. Next to the basic content profile, this will include the created date, the profile of
- * the user who originally created the content, and a isManager property specifying whether or not the current user can
- * manage the content.
+ * the user who originally created the content, the reactions on the content, and a isManager property specifying whether
+ * or not the current user can manage the content.
  *
  * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
  * @param  {String}         contentId                   The id of the content item to get
@@ -186,7 +206,7 @@ const getFullContentProfile = function(ctx, contentId, callback) {
 };
 
 /**
- * Add the `isManager` flag, `createdBy` user object, `canShare` flag as well as `latestRevision` and `isEditor` in case it's a collaborative document.
+ * Add the `isManager` flag, `createdBy` user object, `reactions`, `canShare` flag as well as `latestRevision` and `isEditor` in case it's a collaborative document.
  *
  * @param  {Context}    ctx                         Standard context object containing the current user and the current tenant
  * @param  {Content}    contentObj                  The content object to add the extra profile information on.
@@ -199,57 +219,79 @@ const _getFullContentProfile = function(ctx, contentObj, isManager, callback) {
   // Store the isManager property.
   contentObj.isManager = isManager;
 
-  // Get the user object for the createdBy property
-  PrincipalsUtil.getPrincipal(ctx, contentObj.createdBy, (err, createdBy) => {
+  // Get the user objects for the createdBy property and the user who checked out the file, if any
+  const lockedBy = contentObj.lock ? contentObj.lock.lockedBy : null;
+  PrincipalsUtil.getPrincipals(ctx, _.compact([contentObj.createdBy, lockedBy]), (err, principals) => {
     if (err) {
       return callback(err);
     }
 
-    contentObj.createdBy = createdBy;
+    if (!principals[contentObj.createdBy]) {
+      return callback({ code: 404, msg: 'Could not find principal with id ' + contentObj.createdBy });
+    }
 
-    // Check if the user can share this content item
-    let canShare = true;
-    AuthzPermissions.canShare(ctx, contentObj, null, AuthzConstants.role.VIEWER, err => {
-      if (err && err.code !== 401) {
-        return callback(err);
-      }
+    contentObj.createdBy = principals[contentObj.createdBy];
+    if (lockedBy) {
+      contentObj.lock = _.extend({}, contentObj.lock, { lockedBy: principals[lockedBy] });
+    }
 
+    // Add the reactions on the content item
+    ResourceReactions.augmentWithReactions(ctx, [contentObj], err => {
       if (err) {
-        canShare = false;
-      }
-
-      // Specify on the return value if the current user can share the content item
-      contentObj.canShare = canShare;
-
-      // For any other than collabdoc or collabsheet, we simply return with the share information
-      if (
-        !ContentUtils.isResourceACollabDoc(contentObj.resourceSubType) &&
-        !ContentUtils.isResourceACollabSheet(contentObj.resourceSubType)
-      ) {
-        emitter.emit(ContentConstants.events.GET_CONTENT_PROFILE, ctx, contentObj);
-        return callback(null, contentObj);
+        return callback(err);
       }
 
-      // If the content item is a collaborative document, add the latest revision data and isEditor
-      _getRevision(ctx, contentObj, contentObj.latestRevisionId, (err, revision) => {
+      // Managers can see when the content item will be published or will expire
+      OaeUtil.invokeIfNecessary(isManager, ResourceSchedule.augmentWithSchedule, contentObj, err => {
         if (err) {
           return callback(err);
         }
 
-        contentObj.latestRevision = revision;
-        AuthzPermissions.canEdit(ctx, contentObj, err => {
+        // Check if the user can share this content item
+        let canShare = true;
+        AuthzPermissions.canShare(ctx, contentObj, null, AuthzConstants.role.VIEWER, err => {
           if (err && err.code !== 401) {
             return callback(err);
           }
 
           if (err) {
-            contentObj.isEditor = false;
-          } else {
-            contentObj.isEditor = true;
+            canShare = false;
+          }
+
+          // Specify on the return value if the current user can share the content item
+          contentObj.canShare = canShare;
+
+          // For any other than collabdoc or collabsheet, we simply return with the share information
+          if (
+            !ContentUtils.isResourceACollabDoc(contentObj.resourceSubType) &&
+            !ContentUtils.isResourceACollabSheet(contentObj.resourceSubType)
+          ) {
+            emitter.emit(ContentConstants.events.GET_CONTENT_PROFILE, ctx, contentObj);
+            return callback(null, contentObj);
           }
 
-          emitter.emit(ContentConstants.events.GET_CONTENT_PROFILE, ctx, contentObj);
-          return callback(null, contentObj);
+          // If the content item is a collaborative document, add the latest revision data and isEditor
+          _getRevision(ctx, contentObj, contentObj.latestRevisionId, (err, revision) => {
+            if (err) {
+              return callback(err);
+            }
+
+            contentObj.latestRevision = revision;
+            AuthzPermissions.canEdit(ctx, contentObj, err => {
+              if (err && err.code !== 401) {
+                return callback(err);
+              }
+
+              if (err) {
+                contentObj.isEditor = false;
+              } else {
+                contentObj.isEditor = true;
+              }
+
+              emitter.emit(ContentConstants.events.GET_CONTENT_PROFILE, ctx, contentObj);
+              return callback(null, contentObj);
+            });
+          });
         });
       });
     });
@@ -270,11 +312,24 @@ const _getFullContentProfile = function(ctx, contentObj, isManager, callback) {
  * @param  {String}         link                    The URL for the link
  * @param  {Object}         [additionalMembers]     Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager"
  * @param  {String[]}       [folders]               The ids of the folders to which this link should be added
+ * @param  {String[]}       [tags]                  The tags to apply to the link
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the link gets its visibility and becomes private. The link is private until it is published
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Content}        callback.content        The created link
  */
-const createLink = function(ctx, displayName, description, visibility, link, additionalMembers, folders, callback) {
+const createLink = function(
+  ctx,
+  displayName,
+  description,
+  visibility,
+  link,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
   callback = callback || function() {};
 
   // Setting content to default if no visibility setting is provided
@@ -313,6 +368,8 @@ const createLink = function(ctx, displayName, description, visibility, link, add
     visibility,
     additionalMembers,
     folders,
+    tags,
+    schedule,
     { link },
     {},
     (err, content, revision, memberChangeInfo) => {
@@ -341,16 +398,40 @@ const createLink = function(ctx, displayName, description, visibility, link, add
  * @param  {Object}         file                    A file object as returned by express
  * @param  {Object}         [additionalMembers]     Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager"
  * @param  {String[]}       [folders]               The ids of the folders to which this file should be added
+ * @param  {String[]}       [tags]                  The tags to apply to the file
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the file gets its visibility and becomes private. The file is private until it is published
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Content}        callback.content        The created file
  */
-const createFile = function(ctx, displayName, description, visibility, file, additionalMembers, folders, callback) {
+const createFile = function(
+  ctx,
+  displayName,
+  description,
+  visibility,
+  file,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
   // Wrap the callback function into a function that cleans up the file in case something went wrong
   const cleanUpCallback = _getCleanUpCallback({ file }, callback);
 
   // Try to create the file
-  return _createFile(ctx, displayName, description, visibility, file, additionalMembers, folders, cleanUpCallback);
+  return _createFile(
+    ctx,
+    displayName,
+    description,
+    visibility,
+    file,
+    additionalMembers,
+    folders,
+    tags,
+    schedule,
+    cleanUpCallback
+  );
 };
 
 /**
@@ -429,16 +510,30 @@ const _cleanupUploadedFiles = function(files, callback) {
  * @param  {Object}         file                    A file object as returned by express
  * @param  {Object}         [additionalMembers]     Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager"
  * @param  {String[]}       [folders]               The ids of the folders to which this file should be added
+ * @param  {String[]}       [tags]                  The tags to apply to the file
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the file gets its visibility and becomes private. The file is private until it is published
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Content}        callback.content        The created file
  * @api private
  */
-const _createFile = function(ctx, displayName, description, visibility, file, additionalMembers, folders, callback) {
+const _createFile = function(
+  ctx,
+  displayName,
+  description,
+  visibility,
+  file,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
   callback = callback || function() {};
 
   // Setting content to default if no visibility setting is provided
   visibility = visibility || Config.getValue(ctx.tenant().alias, 'visibility', 'files');
+  tags = ResourceTags.sanitizeTags(tags);
 
   try {
     unless(isLoggedInUser, {
@@ -486,6 +581,10 @@ const _createFile = function(ctx, displayName, description, visibility, file, ad
       code: 400,
       msg: 'Missing name on the file object'
     })(file.name);
+
+    // Validate the tags and the schedule before the file gets stored
+    ResourceTags.validateTags(ctx.tenant().alias, tags);
+    ResourceSchedule.extractCreationSchedule(visibility, schedule);
   } catch (error) {
     return callback(error);
   }
@@ -500,58 +599,76 @@ const _createFile = function(ctx, displayName, description, visibility, file, ad
   // be determined, the mime utility falls back to application/octet-stream.
   file.type = mime.getType(file.name);
 
-  // We store the uploaded file in a location identified by the content id, then further identified by the revision id
-  const options = { resourceId: contentId, prefix: revisionId };
-  ContentUtil.getStorageBackend(ctx).store(ctx.tenant().alias, file, options, (err, uri) => {
+  // The file counts towards the storage quota of the current user and of the groups that will manage it
+  _getStorageChargeIds(ctx, null, additionalMembers, (err, chargeIds) => {
     if (err) {
       return callback(err);
     }
 
-    // Create the content and revision object.
-    const otherValues = {
-      mime: file.type,
-      size: file.size.toString(),
-      filename: file.name
-    };
-    const revisionData = _.extend({}, otherValues, { uri });
-    _createContent(
-      ctx,
-      contentId,
-      revisionId,
-      'file',
-      displayName,
-      description,
-      visibility,
-      additionalMembers,
-      folders,
-      otherValues,
-      revisionData,
-      (err, content, revision, memberChangeInfo) => {
+    // The space the file takes up is reserved before it is stored, so uploads that happen at the same time can't
+    // exceed a storage quota together
+    PrincipalsQuotaAPI.reserveStorage(contentId, chargeIds, file.size, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      const _cancelReservation = _createStorageReservationCanceller(contentId, chargeIds, file.size, callback);
+
+      // Store the uploaded file, or reference the file body that was stored for an identical upload
+      ContentBodies.storeFileBody(ctx, contentId, revisionId, file, (err, uri, hash) => {
         if (err) {
-          return callback(err);
+          return _cancelReservation(err);
         }
 
-        content.filename = file.name;
-        content.size = file.size;
-        content.mime = file.type;
-
-        emitter.emit(
-          ContentConstants.events.CREATED_CONTENT,
+        // Create the content and revision object.
+        const otherValues = {
+          mime: file.type,
+          size: file.size.toString(),
+          filename: file.name
+        };
+        const revisionData = _.extend({}, otherValues, { uri, hash });
+        _createContent(
           ctx,
-          content,
-          revision,
-          memberChangeInfo,
+          contentId,
+          revisionId,
+          'file',
+          displayName,
+          description,
+          visibility,
+          additionalMembers,
           folders,
-          errs => {
-            if (errs) {
-              return callback(_.first(errs));
+          tags,
+          schedule,
+          otherValues,
+          revisionData,
+          (err, content, revision, memberChangeInfo) => {
+            if (err) {
+              return _cancelReservation(err);
             }
 
-            return callback(null, content);
+            content.filename = file.name;
+            content.size = file.size;
+            content.mime = file.type;
+
+            emitter.emit(
+              ContentConstants.events.CREATED_CONTENT,
+              ctx,
+              content,
+              revision,
+              memberChangeInfo,
+              folders,
+              errs => {
+                if (errs) {
+                  return callback(_.first(errs));
+                }
+
+                return callback(null, content);
+              }
+            );
           }
         );
-      }
-    );
+      });
+    });
   });
 };
 
@@ -564,11 +681,23 @@ const _createFile = function(ctx, displayName, description, visibility, file, ad
  * @param  {String}         [visibility]            The visibility of the collaborative document. One of `public`, `loggedin`, `private`
  * @param  {Object}         [additionalMembers]     Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer", "editor" and "manager"
  * @param  {String[]}       [folders]               The ids of the folders to which this collaborative document should be added
+ * @param  {String[]}       [tags]                  The tags to apply to the collaborative document
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the collaborative document gets its visibility and becomes private. The collaborative document is private until it is published
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Content}        callback.content        The created collaborative document
  */
-const createCollabDoc = function(ctx, displayName, description, visibility, additionalMembers, folders, callback) {
+const createCollabDoc = function(
+  ctx,
+  displayName,
+  description,
+  visibility,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
   callback = callback || function() {};
 
   // Setting content to default if no visibility setting is provided
@@ -591,6 +720,8 @@ const createCollabDoc = function(ctx, displayName, description, visibility, addi
       visibility,
       additionalMembers,
       folders,
+      tags,
+      schedule,
       ids,
       {},
       (err, content, revision, memberChangeInfo) => {
@@ -630,10 +761,22 @@ const createCollabDoc = function(ctx, displayName, description, visibility, addi
  * @param  {String} [visibility]            The visibility of the collaborative spreadsheet.One of`public`, `loggedin`, `private`
  * @param  {Object} [additionalMembers]     Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have.Possible values are "viewer", "editor" and "manager"
  * @param  {String[]} [folders]               The ids of the folders to which this collaborative spreadsheet should be added
+ * @param  {String[]} [tags]                  The tags to apply to the collaborative spreadsheet
+ * @param  {Object} [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the collaborative spreadsheet gets its visibility and becomes private. The collaborative spreadsheet is private until it is published
  * @param  {Function} callback                Standard callback function* @param  { Object } callback.err            An error that occurred, if any
  * @param  {Content} callback.content        The created collaborative spreadsheet
  */
-const createCollabSheet = function(ctx, displayName, description, visibility, additionalMembers, folders, callback) {
+const createCollabSheet = function(
+  ctx,
+  displayName,
+  description,
+  visibility,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
   callback = callback || function() {};
 
   // Setting content to default if no visibility setting is provided
@@ -655,6 +798,8 @@ const createCollabSheet = function(ctx, displayName, description, visibility, ad
       visibility,
       additionalMembers,
       folders,
+      tags,
+      schedule,
       { ethercalcRoomId: roomId },
       {},
       function(err, content, revision, memberChangeInfo) {
@@ -692,6 +837,8 @@ const createCollabSheet = function(ctx, displayName, description, visibility, ad
  * @param  {String}         visibility          The visibility of the collaborative document. One of `public`, `loggedin`, `private`
  * @param  {Object}         roles               Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager", as well as "editor" for collabdocs and collabsheets
  * @param  {String}         folderIds             The ids of the folders to which this content item should be added
+ * @param  {String[]}       [tags]              The tags to apply to the content item
+ * @param  {Object}         [schedule]          The `publishAt` and `expireAt` timestamps in milliseconds at which the content item gets its visibility and becomes private
  * @param  {Object}         otherValues         JSON object where the keys represent other metadata values that need to be stored, and the values represent the metadata values
  * @param  {Object}         revisionData        JSON object where the keys represent revision columns that need to be stored, and the values represent the revision values
  * @param  {Function}       callback            Standard callback function
@@ -710,6 +857,8 @@ const _createContent = function(
   visibility,
   roles,
   folderIds,
+  tags,
+  schedule,
   otherValues,
   revisionData,
   callback
@@ -720,9 +869,10 @@ const _createContent = function(
   description = description || '';
   // Make sure the otherValues and roles are valid objects
   roles = roles || {};
-  otherValues = otherValues || {};
+  otherValues = _.extend({}, otherValues, { tags: ResourceTags.sanitizeTags(tags) });
 
   // Parameter validation
+  let creationSchedule = null;
   try {
     unless(isResourceId, {
       code: 400,
@@ -771,6 +921,11 @@ const _createContent = function(
         msg: util.format('Invalid role "%s" specified. Must be one of %s', role, validRoles.join(', '))
       })(role, validRoles);
     }, roles);
+
+    ResourceTags.validateTags(ctx.tenant().alias, otherValues.tags);
+
+    // A content item that will be published later on is created privately
+    creationSchedule = ResourceSchedule.extractCreationSchedule(visibility, schedule);
   } catch (error) {
     return callback(error);
   }
@@ -793,7 +948,7 @@ const _createContent = function(
       resourceSubType,
       displayName,
       description,
-      visibility,
+      creationSchedule.visibility,
       otherValues,
       revisionData
     );
@@ -802,13 +957,21 @@ const _createContent = function(
         return callback(err);
       }
 
-      // Add the content item to the specified folders, if any
-      _addContentItemToFolders(ctx, content, folders, err => {
+      ResourceSchedule.setSchedule(ctx, content, creationSchedule.schedule, err => {
         if (err) {
-          log().warn({ err, contentId: content.id, folders }, 'Could not add a content item to a folder');
+          return callback(err);
         }
 
-        return callback(null, content, revision, memberChangeInfo);
+        _.extend(content, creationSchedule.schedule);
+
+        // Add the content item to the specified folders, if any
+        _addContentItemToFolders(ctx, content, folders, err => {
+          if (err) {
+            log().warn({ err, contentId: content.id, folders }, 'Could not add a content item to a folder');
+          }
+
+          return callback(null, content, revision, memberChangeInfo);
+        });
       });
     });
   });
@@ -1263,7 +1426,8 @@ const joinCollabDoc = function(ctx, contentId, callback) {
 /// //////////////////////////////
 
 /**
- * Delete a content item
+ * Delete a content item. The content item is put in the trash, from which its managers can restore it until it is
+ * permanently removed
  *
  * @param  {Context}   ctx               Standard context object containing the current user and the current tenant
  * @param  {String}    contentId         The id of the content item to delete
@@ -1288,44 +1452,167 @@ const deleteContent = function(ctx, contentId, callback) {
     return callback(error);
   }
 
-  const done = (ctx, contentObj, members, callback) => {
-    emitter.emit(ContentConstants.events.DELETED_CONTENT, ctx, contentObj, members, function(err) {
+  // Fist check whether or not the current user is a manager of the piece of content
+  _canManage(ctx, contentId, (err, contentObj) => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentDAO.Content.getAllContentMembers(contentObj.id, (err, members) => {
       if (err) {
-        return callback(_.first(err));
+        return callback(err);
       }
 
-      return callback();
+      const managerIds = _.chain(members)
+        .where({ role: AuthzConstants.role.MANAGER })
+        .pluck('id')
+        .value();
+      ResourceTrash.addToTrash(ctx, contentObj, managerIds, null, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        // Hide the content item, the members keep their role so it can be restored
+        ContentDAO.Content.markContentDeleted(contentObj, (err, members) => {
+          if (err) {
+            return callback(err);
+          }
+
+          emitter.emit(ContentConstants.events.DELETED_CONTENT, ctx, contentObj, members, errs => {
+            if (errs) {
+              return callback(_.first(errs));
+            }
+
+            return callback();
+          });
+        });
+      });
     });
-  };
+  });
+};
 
-  // Fist check whether or not the current user is a manager of the piece of content
-  _canManage(ctx, contentId, (err, contentObj) => {
+/**
+ * Restore a content item from the trash
+ *
+ * @param  {Context}   ctx               Standard context object containing the current user and the current tenant
+ * @param  {String}    contentId         The id of the content item to restore
+ * @param  {Function}  callback          Standard callback function
+ * @param  {Object}    callback.err      An error that occurred, if any
+ * @param  {Content}   callback.content  The full profile of the restored content item
+ */
+const restoreContent = function(ctx, contentId, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You have to be logged in to be able to restore a content item'
+    })(ctx);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ContentDAO.Content.getDeletedContent(contentId, (err, contentObj) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The members kept their role while the content item was in the trash, so its managers can restore it
+    AuthzPermissions.canManage(ctx, contentObj, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      ContentDAO.Content.restoreContent(contentObj, (err, members) => {
+        if (err) {
+          return callback(err);
+        }
+
+        ResourceTrash.removeFromTrash(contentObj.id, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          emitter.emit(ContentConstants.events.RESTORED_CONTENT, ctx, contentObj, members, errs => {
+            if (errs) {
+              return callback(_.first(errs));
+            }
+
+            return getFullContentProfile(ctx, contentObj.id, callback);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Permanently remove a content item that has been in the trash for longer than the retention period
+ *
+ * @param  {String}    contentId         The id of the content item to remove
+ * @param  {Function}  callback          Standard callback function
+ * @param  {Object}    callback.err      An error that occurred, if any
+ * @api private
+ */
+const _purgeContent = function(contentId, callback) {
+  ContentDAO.Content.getDeletedContent(contentId, (err, contentObj) => {
     if (err) {
       return callback(err);
     }
 
-    // Delete the content
-    ContentDAO.Content.deleteContent(contentObj, (err, members) => {
+    ContentDAO.Content.deleteContent(contentObj, err => {
       if (err) {
         return callback(err);
       }
 
-      if (ContentUtils.isResourceACollabSheet(contentObj.resourceSubType)) {
-        Ethercalc.deleteRoom(contentObj.ethercalcRoomId, function(err) {
+      if (contentObj.resourceSubType === 'file') {
+        return _releaseFileBodies(contentObj, err => {
           if (err) {
             return callback(err);
           }
 
-          log().info({ contentId }, 'Deleted an Ethercalc room');
-          done(ctx, contentObj, members, callback);
+          // The files no longer count towards the storage quota of the principals that uploaded them
+          PrincipalsQuotaAPI.releaseStorage(contentObj.id, callback);
         });
-      } else {
-        done(ctx, contentObj, members, callback);
       }
+
+      if (!ContentUtils.isResourceACollabSheet(contentObj.resourceSubType)) {
+        return callback();
+      }
+
+      Ethercalc.deleteRoom(contentObj.ethercalcRoomId, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        log().info({ contentId }, 'Deleted an Ethercalc room');
+        return callback();
+      });
     });
   });
 };
 
+/**
+ * Release the file bodies that are referenced by the revisions of a purged file
+ *
+ * @param  {Content}   contentObj        The file that was purged
+ * @param  {Function}  callback          Standard callback function
+ * @param  {Object}    callback.err      An error that occurred, if any
+ * @api private
+ */
+const _releaseFileBodies = function(contentObj, callback) {
+  ContentDAO.Revisions.getAllRevisionsForContent([contentObj.id], (err, revisionsByContent) => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentBodies.releaseFileBodies(contentObj, revisionsByContent[contentObj.id], callback);
+  });
+};
+
 /// /////////////////////////
 // Content access control //
 /// /////////////////////////
@@ -1817,8 +2104,12 @@ const _updateFileBody = function(ctx, contentId, file, callback) {
       return callback({ code: 400, msg: 'This content object is not a file.' });
     }
 
-    // Create a revision id ahead of time for the new revision, so we know where to store the file body for it
-    const revisionId = _generateRevisionId(contentId);
+    // Only the user who checked out the file can upload new versions of it. This is checked again right before the
+    // new version is recorded, as the file can be checked out while the new version is being stored
+    const checkedOutErr = _getCheckedOutError(ctx, contentObj);
+    if (checkedOutErr) {
+      return callback(checkedOutErr);
+    }
 
     // Detect the mimetype of the file using the file extension, as the one that Express gives us is pulled
     // from the HTTP request. This makes it an untrustworthy piece of information as some browsers are
@@ -1826,71 +2117,432 @@ const _updateFileBody = function(ctx, contentId, file, callback) {
     // be determined, the mime utility falls back to application/octet-stream.
     file.type = mime.getType(file.name);
 
-    // Store the file, using the current time as the folder name
-    const options = { resourceId: contentObj.id, prefix: revisionId };
-    ContentUtil.getStorageBackend(ctx).store(ctx.tenant().alias, file, options, (err, uri) => {
+    _storeNewFileBody(ctx, contentObj, file, (err, updatedContentObj, previousContentObj, revision) => {
       if (err) {
         return callback(err);
       }
 
-      // Create the revision
-      const opts = {
-        mime: file.type,
-        size: file.size.toString(),
-        filename: file.name,
-        uri
-      };
-
-      ContentDAO.Revisions.createRevision(revisionId, contentObj.id, ctx.user().id, opts, (err, revision) => {
-        if (err) {
-          return callback(err);
-        }
-
-        // Set the new filesize, filename and mimetype on the Content object so the UI
-        // can retrieve all the relevant metadata in 1 Cassandra query
-        opts.latestRevisionId = revision.revisionId;
+      emitter.emit(ContentConstants.events.UPDATED_CONTENT_BODY, ctx, updatedContentObj, previousContentObj, revision);
 
-        // We have to set the previews status back to pending
-        opts.previews = { status: ContentConstants.previews.PENDING };
-        ContentDAO.Content.updateContent(contentObj, opts, true, (err, updatedContentObj) => {
-          if (err) {
-            return callback(err);
-          }
-
-          emitter.emit(ContentConstants.events.UPDATED_CONTENT_BODY, ctx, updatedContentObj, contentObj, revision);
-
-          // Output a full content profile
-          return _getFullContentProfile(ctx, updatedContentObj, true, callback);
-        });
-      });
+      // Output a full content profile
+      return _getFullContentProfile(ctx, updatedContentObj, true, callback);
     });
   });
 };
 
 /**
- * Attaches preview items to, or set the status of, a revision of a piece of content. This can only be used by a global admin and should technically only
- *  be executed by the preview processor.
+ * Store a new version of a file and make it the latest revision of the file. The storage the new version takes up
+ * is reserved beforehand and given back when the new version can't be stored. The file body is stored without
+ * holding the lock of the file, which is only held to check whether the file has been checked out by someone else
+ * and to record the new version
  *
- * @param  {Context}     ctx                 Standard context object containing the current user and the current tenant
- * @param  {String}      contentId           The ID of the content item.
- * @param  {String}      revisionId          The revision ID of the content item.
- * @param  {String}      status              The result of the preview processing operation. It should be one of the values of ContentConstants.previews.
- * @param  {Object}      [files]             An object whose key that represents the preview "name" (e.g., page1.html, large.png, etc...) and the value is either an ExpressJS File object or a string representing an external URL at which to reference a preview item. When listing preview items, the items will be ordered ALPHABETICALLY according to the keys in this object.
- * @param  {Object}      [sizes]             Each key maps a filename to a preview size.
- * @param  {Object}      [contentMetadata]   An object that holds optional content metadata, data like displayName for example can be passed in here.
- * @param  {Object}      [previewMetadata]   An object that holds optional preview metadata, data like pageCount for example can be passed in here.
- * @param  {Function}    callback            Standard callback function
- * @param  {Object}      callback.err        An error that occurred, if any
+ * @param  {Context}    ctx                         Standard context object containing the current user and the current tenant
+ * @param  {Content}    contentObj                  The file to store a new version for
+ * @param  {File}       file                        An expressjs File object that holds the data of the new version
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ * @param  {Content}    callback.updatedContentObj  The file with the new version as its latest revision
+ * @param  {Content}    callback.contentObj         The file as it was right before the new version was recorded
+ * @param  {Revision}   callback.revision           The revision of the new version
+ * @api private
  */
-const setPreviewItems = function(
-  ctx,
-  contentId,
-  revisionId,
-  status,
-  files,
-  sizes,
-  contentMetadata,
-  previewMetadata,
+const _storeNewFileBody = function(ctx, contentObj, file, callback) {
+  // Create a revision id ahead of time for the new revision, so we know where to store the file body for it
+  const revisionId = _generateRevisionId(contentObj.id);
+
+  // The new version counts towards the storage quota of the current user and of the groups that manage the file
+  _getStorageChargeIds(ctx, contentObj.id, null, (err, chargeIds) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The space the new version takes up is reserved before it is stored, so uploads that happen at the same time
+    // can't exceed a storage quota together
+    PrincipalsQuotaAPI.reserveStorage(contentObj.id, chargeIds, file.size, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      const _cancelReservation = _createStorageReservationCanceller(contentObj.id, chargeIds, file.size, callback);
+
+      // Store the file, or reference the file body that was stored for an identical upload
+      ContentBodies.storeFileBody(ctx, contentObj.id, revisionId, file, (err, uri, hash) => {
+        if (err) {
+          return _cancelReservation(err);
+        }
+
+        // Create the revision
+        const opts = {
+          mime: file.type,
+          size: file.size.toString(),
+          filename: file.name,
+          uri
+        };
+
+        // The checksum is only kept on the revision, the content item has no use for it
+        const revisionOpts = _.extend({ hash }, opts);
+        let revisionCreated = false;
+        _withContentLock(
+          contentObj.id,
+          (lockedContentObj, done) => {
+            // The file could have been checked out by someone else while the new version was being stored
+            const checkedOutErr = _getCheckedOutError(ctx, lockedContentObj);
+            if (checkedOutErr) {
+              return done(checkedOutErr);
+            }
+
+            ContentDAO.Revisions.createRevision(
+              revisionId,
+              lockedContentObj.id,
+              ctx.user().id,
+              revisionOpts,
+              (err, revision) => {
+                if (err) {
+                  return done(err);
+                }
+
+                revisionCreated = true;
+
+                // Set the new filesize, filename and mimetype on the Content object so the UI
+                // can retrieve all the relevant metadata in 1 Cassandra query
+                opts.latestRevisionId = revision.revisionId;
+
+                // We have to set the previews status back to pending
+                opts.previews = { status: ContentConstants.previews.PENDING };
+                ContentDAO.Content.updateContent(lockedContentObj, opts, true, (err, updatedContentObj) => {
+                  if (err) {
+                    return done(err);
+                  }
+
+                  return done(null, updatedContentObj, lockedContentObj, revision);
+                });
+              }
+            );
+          },
+          (err, updatedContentObj, previousContentObj, revision) => {
+            // Once the revision has been created, the storage it takes up stays reserved
+            if (err && !revisionCreated) {
+              return _cancelReservation(err);
+            }
+
+            if (err) {
+              return callback(err);
+            }
+
+            return callback(null, updatedContentObj, previousContentObj, revision);
+          }
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Check out a file, so no one but the current user can upload new versions of it until it is checked in again or
+ * the lock expires. A user who already holds the lock can check the file out again to extend the lock
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId           The id of the file to check out
+ * @param  {Number}     [duration]          The number of minutes for which to lock the file, up to `ContentConstants.locks.MAX_DURATION`. Defaults to `ContentConstants.locks.DEFAULT_DURATION`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Content}    callback.content    The full content profile of the checked out file
+ */
+const lockContent = function(ctx, contentId, duration, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You have to be logged in to be able to check out a file'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+
+    const durationIsDefined = Boolean(duration);
+    unless(bothCheck(durationIsDefined, compose(isInt, String)), {
+      code: 400,
+      msg: 'The duration of the lock must be a number of minutes'
+    })(duration);
+
+    unless(bothCheck(durationIsDefined, isOneOrGreater), {
+      code: 400,
+      msg: 'The duration of the lock must be at least 1 minute'
+    })(duration);
+  } catch (error) {
+    return callback(error);
+  }
+
+  duration = OaeUtil.getNumberParam(
+    duration,
+    ContentConstants.locks.DEFAULT_DURATION,
+    1,
+    ContentConstants.locks.MAX_DURATION
+  );
+
+  // Only the users who can upload new versions of a file can check it out
+  _canManage(ctx, contentId, (err, content) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (content.resourceSubType !== 'file') {
+      return callback({ code: 400, msg: 'Only files can be checked out' });
+    }
+
+    _withContentLock(
+      contentId,
+      (contentObj, done) => {
+        if (contentObj.lock && contentObj.lock.lockedBy !== ctx.user().id) {
+          return done({ code: 401, msg: 'This file has been checked out by another user' });
+        }
+
+        const expires = Date.now() + duration * 60 * 1000;
+        ContentDAO.Content.lockContent(contentId, ctx.user().id, expires, err => {
+          if (err) {
+            return done(err);
+          }
+
+          contentObj.lock = { lockedBy: ctx.user().id, expires };
+          return done(null, contentObj);
+        });
+      },
+      (err, lockedContentObj) => {
+        if (err) {
+          return callback(err);
+        }
+
+        ContentUtil.augmentContent(ctx, lockedContentObj);
+        emitter.emit(ContentConstants.events.LOCKED_CONTENT, ctx, lockedContentObj);
+        return _getFullContentProfile(ctx, lockedContentObj, true, callback);
+      }
+    );
+  });
+};
+
+/**
+ * Check in a file that has been checked out. The user who checked out the file can always check it in. Managers of
+ * the file can check it in on behalf of another user to release a lock that is no longer needed
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId           The id of the file to check in
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Content}    callback.content    The full content profile of the checked in file
+ */
+const unlockContent = function(ctx, contentId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You have to be logged in to be able to check in a file'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ContentDAO.Content.getContent(contentId, (err, contentObj) => {
+    if (err) {
+      return callback(err);
+    }
+
+    AuthzPermissions.canManage(ctx, contentObj, err => {
+      if (err && err.code !== 401) {
+        return callback(err);
+      }
+
+      const isManager = !err;
+      _withContentLock(
+        contentId,
+        (contentObj, done) => {
+          // Managers can override the lock of another user
+          const lockedBy = contentObj.lock ? contentObj.lock.lockedBy : null;
+          if (!isManager && lockedBy !== ctx.user().id) {
+            return done({ code: 401, msg: 'Only the user who checked out this file or a manager can check it in' });
+          }
+
+          if (!lockedBy) {
+            return done({ code: 400, msg: 'This file has not been checked out' });
+          }
+
+          ContentDAO.Content.unlockContent(contentId, err => {
+            if (err) {
+              return done(err);
+            }
+
+            delete contentObj.lock;
+            return done(null, contentObj, lockedBy);
+          });
+        },
+        (err, unlockedContentObj, lockedBy) => {
+          if (err) {
+            return callback(err);
+          }
+
+          ContentUtil.augmentContent(ctx, unlockedContentObj);
+          emitter.emit(ContentConstants.events.UNLOCKED_CONTENT, ctx, unlockedContentObj, lockedBy);
+          return _getFullContentProfile(ctx, unlockedContentObj, isManager, callback);
+        }
+      );
+    });
+  });
+};
+
+/**
+ * Get the error to return when the current user tries to change the body of a file that has been checked out by
+ * another user
+ *
+ * @param  {Context}    ctx         Standard context object containing the current user and the current tenant
+ * @param  {Content}    contentObj  The content item whose body is about to change
+ * @return {Object}                 An error with code 401 if the file has been checked out by another user, `null` otherwise
+ * @api private
+ */
+const _getCheckedOutError = function(ctx, contentObj) {
+  if (contentObj.lock && contentObj.lock.lockedBy !== ctx.user().id) {
+    return {
+      code: 401,
+      msg: 'This file has been checked out by another user and cannot be changed until it is checked in'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Get the ids of the principals whose storage quota a file uploaded by the current user counts towards. These are
+ * the current user and the groups that manage the file
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     [contentId]             The id of the file, if the upload is a new version of an existing file
+ * @param  {Object}     [additionalMembers]     The members that will be added to a new file, keyed by principal id with their role as the value
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {String[]}   callback.principalIds   The ids of the principals whose storage quota the file counts towards
+ * @api private
+ */
+const _getStorageChargeIds = function(ctx, contentId, additionalMembers, callback) {
+  OaeUtil.invokeIfNecessary(contentId, AuthzAPI.getAllAuthzMembers, contentId, (err, members) => {
+    if (err) {
+      return callback(err);
+    }
+
+    let managerIds = _.chain(additionalMembers)
+      .pick(role => role === AuthzConstants.role.MANAGER)
+      .keys()
+      .value();
+    if (contentId) {
+      managerIds = _.pluck(_.where(members, { role: AuthzConstants.role.MANAGER }), 'id');
+    }
+
+    const groupIds = _.filter(managerIds, AuthzUtil.isGroupId);
+    return callback(null, _.uniq([ctx.user().id].concat(groupIds)));
+  });
+};
+
+/**
+ * Create a function that gives back the storage that was reserved for a file that could not be stored, before it
+ * passes on the error that prevented the file from being stored
+ *
+ * @param  {String}     contentId           The id of the file for which the storage was reserved
+ * @param  {String[]}   principalIds        The ids of the principals for whom the storage was reserved
+ * @param  {Number}     bytes               The number of bytes that were reserved
+ * @param  {Function}   callback            Invoked with the error that prevented the file from being stored
+ * @return {Function}                       A function that takes the error that prevented the file from being stored
+ * @api private
+ */
+const _createStorageReservationCanceller = function(contentId, principalIds, bytes, callback) {
+  return function(err) {
+    PrincipalsQuotaAPI.cancelStorageReservation(contentId, principalIds, bytes, cancelErr => {
+      if (cancelErr) {
+        log().warn({ err: cancelErr, contentId }, 'Unable to cancel the storage reservation of a file');
+      }
+
+      return callback(err);
+    });
+  };
+};
+
+/**
+ * Update the lock or the body of a content item while holding an exclusive, short-lived lock on it. This ensures two
+ * users can't check out the same file at the same time, and that a new version of a file can't be recorded while
+ * someone else checks it out. The content item is retrieved again once the exclusive lock has been acquired, so the
+ * update works with its latest lock state. The update should be quick, as the exclusive lock expires after
+ * `ContentConstants.locks.UPDATE_LOCK_DURATION` seconds. When someone else holds the exclusive lock, acquiring it is
+ * attempted again a few times before giving up
+ *
+ * @param  {String}     contentId           The id of the content item to update
+ * @param  {Function}   update              Invoked with the content item and a `done` function that should be invoked with the results of the update
+ * @param  {Function}   callback            Invoked with the results of the update once the exclusive lock has been released
+ * @param  {Number}     [_attempt]          The number of times acquiring the exclusive lock has been attempted before. Only used internally
+ * @api private
+ */
+const _withContentLock = function(contentId, update, callback, _attempt) {
+  _attempt = _attempt || 0;
+  const lockKey = util.format('oae-content:lock:%s', contentId);
+  Locking.acquire(lockKey, ContentConstants.locks.UPDATE_LOCK_DURATION, (err, lock) => {
+    if (err && _attempt + 1 < ContentConstants.locks.UPDATE_LOCK_ATTEMPTS) {
+      return setTimeout(
+        _withContentLock,
+        ContentConstants.locks.UPDATE_LOCK_RETRY_DELAY,
+        contentId,
+        update,
+        callback,
+        _attempt + 1
+      );
+    }
+
+    if (err) {
+      return callback({
+        code: 400,
+        msg: 'This file is being changed by someone else, please try again'
+      });
+    }
+
+    ContentDAO.Content.getContent(contentId, (err, contentObj) => {
+      if (err) {
+        return Locking.release(lock, () => {
+          return callback(err);
+        });
+      }
+
+      update(contentObj, (...results) => {
+        Locking.release(lock, () => {
+          return callback(...results);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Attaches preview items to, or set the status of, a revision of a piece of content. This can only be used by a global admin and should technically only
+ *  be executed by the preview processor.
+ *
+ * @param  {Context}     ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}      contentId           The ID of the content item.
+ * @param  {String}      revisionId          The revision ID of the content item.
+ * @param  {String}      status              The result of the preview processing operation. It should be one of the values of ContentConstants.previews.
+ * @param  {Object}      [files]             An object whose key that represents the preview "name" (e.g., page1.html, large.png, etc...) and the value is either an ExpressJS File object or a string representing an external URL at which to reference a preview item. When listing preview items, the items will be ordered ALPHABETICALLY according to the keys in this object.
+ * @param  {Object}      [sizes]             Each key maps a filename to a preview size.
+ * @param  {Object}      [contentMetadata]   An object that holds optional content metadata, data like displayName for example can be passed in here.
+ * @param  {Object}      [previewMetadata]   An object that holds optional preview metadata, data like pageCount for example can be passed in here.
+ * @param  {Function}    callback            Standard callback function
+ * @param  {Object}      callback.err        An error that occurred, if any
+ */
+const setPreviewItems = function(
+  ctx,
+  contentId,
+  revisionId,
+  status,
+  files,
+  sizes,
+  contentMetadata,
+  previewMetadata,
   callback
 ) {
   files = files || {};
@@ -1967,8 +2619,15 @@ const setPreviewItems = function(
           previewMetadata,
           fileData,
           err => {
-            emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
-            return callback(err);
+            if (err) {
+              emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
+              return callback(err);
+            }
+
+            _recordFileBodyPreviews(contentObj, revision, status, err => {
+              emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
+              return callback(err);
+            });
           }
         );
       }
@@ -2017,10 +2676,16 @@ const setPreviewItems = function(
                 return callback(err);
               }
 
-              // Indicate that we've just updated a preview
-              emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
+              _recordFileBodyPreviews(contentObj, revision, status, err => {
+                if (err) {
+                  return callback(err);
+                }
 
-              return callback();
+                // Indicate that we've just updated a preview
+                emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
+
+                return callback();
+              });
             }
           );
         }
@@ -2067,29 +2732,130 @@ const setPreviewItems = function(
 };
 
 /**
- * Verifies the signature for a preview item that is associated to a piece of content.
- * If the signature is valid, an object will be returned that the REST handlers can use
- * to redirect the user to the actual file.
+ * Remember which revision holds the previews that were generated for a file body, so that identical uploads can reuse them
  *
- * @param  {Context}            ctx                             Standard context object containing the current user and the current tenant
- * @param  {String}             contentId                       The content ID that the preview item is associated with
- * @param  {String}             revisionId                      The revision ID that the preview item is associated with
- * @param  {String}             previewItem                     The preview item that needs to be retrieved
- * @param  {Object}             signatureData                   The signature data to check, as created by `Signature.createExpiringResourceSignature`
- * @param  {Function}           callback                        Standard callback function
- * @param  {Object}             callback.err                    An error that occurred, if any
- * @param  {Object}             callback.downloadInfo           An object containing information necessary for downloading the preview
- * @param  {String}             callback.downloadInfo.filename  The filename to suggest to the client for the download
- * @param  {DownloadStrategy}   callback.downloadInfo.strategy  The DownloadStrategy that details how to download the preview
+ * @param  {Content}     contentObj          The content item whose previews were stored
+ * @param  {Revision}    revision            The revision whose previews were stored
+ * @param  {String}      status              The result of the preview processing operation
+ * @param  {Function}    callback            Standard callback function
+ * @param  {Object}      callback.err        An error that occurred, if any
+ * @api private
  */
-const getSignedPreviewDownloadInfo = function(ctx, contentId, revisionId, previewItem, signatureData, callback) {
-  try {
-    unless(isResourceId, {
-      code: 400,
-      msg: 'Missing content ID'
-    })(contentId);
+const _recordFileBodyPreviews = function(contentObj, revision, status, callback) {
+  const isProcessed = _.contains([ContentConstants.previews.DONE, ContentConstants.previews.IGNORED], status);
+  if (!revision.hash || !isProcessed) {
+    return callback();
+  }
 
-    unless(isResourceId, {
+  const update = { previewsRevisionId: revision.revisionId };
+  ContentDAO.Bodies.updateFileBody(contentObj.tenant.alias, revision.hash, update, callback);
+};
+
+/**
+ * Give a new file revision the previews that were already generated for an identical file body, so that the file
+ * body does not have to be processed again
+ *
+ * @param  {String}      contentId           The id of the content item to which the revision belongs
+ * @param  {Revision}    revision            The revision that was created for the uploaded file body
+ * @param  {Function}    callback            Standard callback function
+ * @param  {Object}      callback.err        An error that occurred, if any
+ * @param  {Boolean}     callback.reused     Whether the previews of an identical file body were reused
+ */
+const reusePreviews = function(contentId, revision, callback) {
+  if (!revision.hash) {
+    return callback(null, false);
+  }
+
+  ContentDAO.Content.getContent(contentId, (err, contentObj) => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentDAO.Bodies.getFileBody(contentObj.tenant.alias, revision.hash, (err, body) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!body || !body.previewsRevisionId || body.previewsRevisionId === revision.revisionId) {
+        return callback(null, false);
+      }
+
+      ContentDAO.Revisions.getRevision(body.previewsRevisionId, (err, processedRevision) => {
+        // The revision whose previews were generated may have been purged along with its content item
+        if (err && err.code === 404) {
+          return callback(null, false);
+        }
+
+        if (err) {
+          return callback(err);
+        }
+
+        const previews = processedRevision.previews || {};
+        const isProcessed = _.contains(
+          [ContentConstants.previews.DONE, ContentConstants.previews.IGNORED],
+          previews.status
+        );
+        if (!isProcessed) {
+          return callback(null, false);
+        }
+
+        ContentDAO.Previews.getContentPreviews(processedRevision.revisionId, (err, previewItems) => {
+          if (err) {
+            return callback(err);
+          }
+
+          const fileData = {};
+          _.each(previewItems, previewItem => {
+            fileData[previewItem.filename] = previewItem.size + '#' + previewItem.uri;
+          });
+
+          ContentDAO.Previews.storeMetadata(
+            contentObj,
+            revision.revisionId,
+            previews.status,
+            previews.thumbnailUri,
+            {},
+            _.omit(previews, 'status', 'total', 'thumbnailUri'),
+            fileData,
+            err => {
+              if (err) {
+                return callback(err);
+              }
+
+              emitter.emit(ContentConstants.events.UPDATED_CONTENT_PREVIEW, contentObj);
+              return callback(null, true);
+            }
+          );
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Verifies the signature for a preview item that is associated to a piece of content.
+ * If the signature is valid, an object will be returned that the REST handlers can use
+ * to redirect the user to the actual file.
+ *
+ * @param  {Context}            ctx                             Standard context object containing the current user and the current tenant
+ * @param  {String}             contentId                       The content ID that the preview item is associated with
+ * @param  {String}             revisionId                      The revision ID that the preview item is associated with
+ * @param  {String}             previewItem                     The preview item that needs to be retrieved
+ * @param  {Object}             signatureData                   The signature data to check, as created by `Signature.createExpiringResourceSignature`
+ * @param  {Function}           callback                        Standard callback function
+ * @param  {Object}             callback.err                    An error that occurred, if any
+ * @param  {Object}             callback.downloadInfo           An object containing information necessary for downloading the preview
+ * @param  {String}             callback.downloadInfo.filename  The filename to suggest to the client for the download
+ * @param  {DownloadStrategy}   callback.downloadInfo.strategy  The DownloadStrategy that details how to download the preview
+ */
+const getSignedPreviewDownloadInfo = function(ctx, contentId, revisionId, previewItem, signatureData, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'Missing content ID'
+    })(contentId);
+
+    unless(isResourceId, {
       code: 400,
       msg: 'Missing revision ID'
     })(revisionId);
@@ -2157,7 +2923,7 @@ const getPreviewItems = function(ctx, contentId, revisionId, callback) {
  *
  * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
  * @param  {String}         contentId               The id of the content item to update
- * @param  {Object}         profileFields           Object where the keys represent the profile fields that need to be updated and the values represent the new values for those profile fields e.g. {'displayName': 'New content name', 'description': 'New content description', 'visibility': 'private'}
+ * @param  {Object}         profileFields           Object where the keys represent the profile fields that need to be updated and the values represent the new values for those profile fields e.g. {'displayName': 'New content name', 'description': 'New content description', 'visibility': 'private', 'tags': ['biology']}. The `publishAt` and `expireAt` fields schedule when the content item becomes visible with the given visibility and when it becomes private again
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Content}        callback.newContentObj  The updated content item
@@ -2166,6 +2932,10 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
   callback = callback || function() {};
 
   const fieldNames = profileFields ? _.keys(profileFields) : [];
+  if (_.contains(fieldNames, TAGS)) {
+    profileFields.tags = ResourceTags.sanitizeTags(profileFields.tags);
+  }
+
   // Parameter validation
   try {
     unless(isResourceId, {
@@ -2183,7 +2953,7 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
       unless(isIn, {
         code: 400,
         msg: fieldName + ' is not a recognized content profile field'
-      })(fieldName, [DISPLAY_NAME, DESCRIPTION, VISIBILITY, LINK]);
+      })(fieldName, [DISPLAY_NAME, DESCRIPTION, VISIBILITY, LINK, TAGS, PUBLISH_AT, EXPIRE_AT]);
 
       const fieldIsDisplayName = equals(fieldName, DISPLAY_NAME);
       const fieldIsDescription = and(equals(fieldName, DESCRIPTION), profileFields.description);
@@ -2208,6 +2978,10 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
         code: 400,
         msg: 'A valid link should be provided'
       })(profileFields.link);
+
+      if (equals(fieldName, TAGS)) {
+        ResourceTags.validateTags(AuthzUtil.getResourceFromId(contentId).tenantAlias, profileFields.tags);
+      }
     });
 
     const fieldIsVisibility = Boolean(profileFields.visibility);
@@ -2216,6 +2990,8 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
       msg: 'An invalid content visibility option has been provided. This can be "private", "loggedin" or "public"'
     })(profileFields.visibility, _.values(AuthzConstants.visibility));
 
+    ResourceSchedule.validateSchedule(profileFields);
+
     unless(isLoggedInUser, {
       code: 401,
       msg: 'You have to be logged in to be able to update a content item'
@@ -2230,6 +3006,16 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
       return callback(err);
     }
 
+    // Take the publication and expiry dates out of the fields that are stored on the content item
+    let scheduleUpdate = null;
+    try {
+      scheduleUpdate = ResourceSchedule.extractSchedule(oldContentObj, profileFields);
+    } catch (error) {
+      return callback(error);
+    }
+
+    profileFields = scheduleUpdate.profileFields;
+
     if (profileFields.link) {
       if (oldContentObj.resourceSubType !== 'link') {
         return callback({ code: 400, msg: 'This piece of content is not a link' });
@@ -2246,10 +3032,16 @@ const updateContentMetadata = function(ctx, contentId, profileFields, callback)
         return callback(err);
       }
 
-      emitter.emit(ContentConstants.events.UPDATED_CONTENT, ctx, newContentObj, oldContentObj);
+      ResourceSchedule.setSchedule(ctx, newContentObj, scheduleUpdate.schedule, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        emitter.emit(ContentConstants.events.UPDATED_CONTENT, ctx, newContentObj, oldContentObj);
 
-      // Add the isManager, createdBy, .. properties.
-      _getFullContentProfile(ctx, newContentObj, true, callback);
+        // Add the isManager, createdBy, .. properties.
+        _getFullContentProfile(ctx, newContentObj, true, callback);
+      });
     });
   });
 };
@@ -2310,28 +3102,35 @@ const createComment = function(ctx, contentId, body, replyToCreatedTimestamp, ca
       return callback(err);
     }
 
-    MessageBoxAPI.createMessage(
-      contentId,
-      ctx.user().id,
-      body,
-      { replyToCreated: replyToCreatedTimestamp },
-      (err, message) => {
-        if (err) {
-          return callback(err);
-        }
+    // Resolve the users that are mentioned in the message, so they can be notified
+    MessageBoxUtil.getMentionedUsers(ctx, body, (err, mentionedUsers) => {
+      if (err) {
+        return callback(err);
+      }
 
-        // Get a UI-appropriate representation of the current user
-        PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+      MessageBoxAPI.createMessage(
+        contentId,
+        ctx.user().id,
+        body,
+        { replyToCreated: replyToCreatedTimestamp, mentions: _.pluck(mentionedUsers, 'id') },
+        (err, message) => {
           if (err) {
             return callback(err);
           }
 
-          message.createdBy = createdBy;
-          emitter.emit(ContentConstants.events.CREATED_COMMENT, ctx, message, contentObj);
-          return callback(null, message);
-        });
-      }
-    );
+          // Get a UI-appropriate representation of the current user
+          PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+            if (err) {
+              return callback(err);
+            }
+
+            message.createdBy = createdBy;
+            emitter.emit(ContentConstants.events.CREATED_COMMENT, ctx, message, contentObj);
+            return callback(null, message);
+          });
+        }
+      );
+    });
   });
 };
 
@@ -2396,28 +3195,36 @@ const getComments = function(ctx, contentId, start, limit, callback) {
           }
         });
 
-        return callback(err, comments, nextToken);
+        // Add the reactions on each comment
+        ResourceReactions.augmentWithReactions(ctx, comments, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          return callback(null, comments, nextToken);
+        });
       });
     });
   });
 };
 
 /**
- * Delete a comment from a content item. Managers of the content can delete all comments whilst people that have access
- * to the content can only delete their own comments. Therefore, anonymous users will never be able to delete comments.
+ * Edit the body of a comment on a content item. Only the author of a comment can edit it. The previous body of the
+ * comment is kept in its edit history.
  *
  * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
- * @param  {String}     contentId               The id of the content item from which to delete the comment
- * @param  {String}     commentCreatedDate      The timestamp of the comment that should be deleted
+ * @param  {String}     contentId               The id of the content item that holds the comment
+ * @param  {String}     commentCreatedDate      The timestamp of the comment that should be edited
+ * @param  {String}     body                    The new body of the comment
  * @param  {Function}   callback                Standard callback function
  * @param  {Object}     callback.err            An error that occurred, if any
- * @param  {Comment}    [callback.softDeleted]  When the comment has been soft deleted (because it has replies), a stripped down comment object representing the deleted comment will be returned, with the `deleted` parameter set to `false`. If the comment has been deleted from Cassandra, no comment object will be returned.
+ * @param  {Comment}    callback.comment        The updated comment
  */
-const deleteComment = function(ctx, contentId, commentCreatedDate, callback) {
+const updateComment = function(ctx, contentId, commentCreatedDate, body, callback) {
   try {
     unless(isLoggedInUser, {
       code: 401,
-      msg: 'Only authorized users can delete comments'
+      msg: 'Only authorized users can edit comments'
     })(ctx);
 
     unless(isResourceId, {
@@ -2429,6 +3236,16 @@ const deleteComment = function(ctx, contentId, commentCreatedDate, callback) {
       code: 400,
       msg: 'A valid integer comment created timestamp must be specified'
     })(commentCreatedDate);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A comment must be provided'
+    })(body);
+
+    unless(isLongString, {
+      code: 400,
+      msg: 'A comment can only be 100000 characters long'
+    })(body);
   } catch (error) {
     return callback(error);
   }
@@ -2438,131 +3255,400 @@ const deleteComment = function(ctx, contentId, commentCreatedDate, callback) {
       return callback(err);
     }
 
-    MessageBoxAPI.getMessages(contentId, [commentCreatedDate], null, (err, messages) => {
+    MessageBoxAPI.getMessages(contentId, [commentCreatedDate], { scrubDeleted: false }, (err, messages) => {
       if (err) {
         return callback(err);
       }
 
-      if (_.isEmpty(messages) || !messages[0]) {
+      if (!messages[0] || messages[0].deleted) {
         return callback({ code: 404, msg: 'The specified comment does not exist' });
       }
 
-      // Ensure the user has access to manage the message
-      const message = messages[0];
-      AuthzPermissions.canManageMessage(ctx, content, message, err => {
+      if (messages[0].createdBy !== ctx.user().id) {
+        return callback({ code: 401, msg: 'You can only edit your own comments' });
+      }
+
+      MessageBoxAPI.updateMessageBody(contentId, messages[0].created, body, (err, comment) => {
         if (err) {
           return callback(err);
         }
 
-        return _deleteComment(ctx, content, message, callback);
+        // Get a UI-appropriate representation of the current user
+        PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+          if (err) {
+            return callback(err);
+          }
+
+          comment.createdBy = createdBy;
+          emitter.emit(ContentConstants.events.UPDATED_COMMENT, ctx, comment, content);
+          return callback(null, comment);
+        });
       });
     });
   });
 };
 
 /**
- * Delete the comment (either hard or soft, depending on if there are any replies) with the given timestamp from the
- * message box with the given id.
+ * Get the edit history of a comment on a content item. Everyone who has access to the content item can retrieve it.
  *
  * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
- * @param  {Content}        content                 The content object on which a comment should be deleted
- * @param  {Message}        commentToDelete         The comment to delete
+ * @param  {String}         contentId               The id of the content item that holds the comment
+ * @param  {String}         commentCreatedDate      The timestamp of the comment whose edit history to get
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
- * @param  {Message}        [callback.comment]      If the comment was soft-deleted, this will be the model of the scrubbed deleted comment
+ * @param  {MessageEdit[]}  callback.edits          The previous versions of the body of the comment, from the oldest to the most recent edit
  */
-const _deleteComment = function(ctx, content, commentToDelete, callback) {
-  const messageBoxId = content.id;
-  // Delete the comment using the "leaf" method, which will SOFT delete if the message has replies, or HARD delete if it does not
-  MessageBoxAPI.deleteMessage(
-    messageBoxId,
-    commentToDelete.created,
-    { deleteType: MessageBoxConstants.deleteTypes.LEAF },
-    (err, deleteType, deletedComment) => {
+const getCommentEdits = function(ctx, contentId, commentCreatedDate, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer comment created timestamp must be specified'
+    })(commentCreatedDate);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  getContent(ctx, contentId, (err, content) => {
+    if (err) {
+      return callback(err);
+    }
+
+    MessageBoxAPI.getMessages(contentId, [commentCreatedDate], null, (err, messages) => {
       if (err) {
         return callback(err);
       }
 
-      // If the comment was hard deleted, it is not returned from the delete message endpoint. However if there is a soft delete and
-      // it is returned, we want to return the new version of the comment
-      deletedComment = deletedComment || commentToDelete;
-
-      // Notify consumers that the comment was deleted
-      emitter.emit(ContentConstants.events.DELETED_COMMENT, ctx, deletedComment, content, deleteType);
-
-      if (deleteType === MessageBoxConstants.deleteTypes.SOFT) {
-        // If a soft-delete occurred, we want to inform the consumer of the soft-delete message model
-        return callback(null, deletedComment);
+      if (!messages[0] || messages[0].deleted) {
+        return callback({ code: 404, msg: 'The specified comment does not exist' });
       }
 
-      return callback();
-    }
-  );
+      return MessageBoxAPI.getMessageEdits(contentId, messages[0].created, callback);
+    });
+  });
 };
 
-/// ////////////////////////
-// Library functionality //
-/// ////////////////////////
-
 /**
- * Get the content library items for a user or group. If the user requests their own library or the library of a group they're a member of,
- * the full list will be returned. If the user is logged in but not a manager of the library, the :loggedin stream will be returned, containing
- * only content that's visible to logged in people or the public. In case of an anonymous user, the :public stream will be returned, containing
- * only content that is public
+ * Add a reaction of the current user to a content item or, when a comment timestamp is specified, to one of the
+ * comments on the content item. The author of the content item or comment will be notified
  *
- * @param  {Context}        ctx                 Standard context object containing the current user and the current tenant
- * @param  {String}         principalId         The id of the principal whose content library to fetch
- * @param  {String}         start               The content paging token from which to start fetching content items. If not provided, the first x elements will be returned
- * @param  {Number}         limit               The maximum number of results to return. Default: 10
- * @param  {Function}       callback            Standard callback function
- * @param  {Object}         callback.err        An error that occurred, if any
- * @param  {Content[]}      callback.content    The content library items for the specified user or group
- * @param  {String}         callback.nextToken  The value to provide in the `start` parameter to get the next set of results
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId               The id of the content item to react to
+ * @param  {String}     [commentCreatedDate]    The timestamp of the comment to react to. Not specifying this will react to the content item itself
+ * @param  {String}     reaction                The reaction to add. One of `ResourceConstants.reactions.TYPES`
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the content item or comment after the reaction was added
  */
-const getContentLibraryItems = function(ctx, principalId, start, limit, callback) {
-  limit = OaeUtil.getNumberParam(limit, 10, 1);
-
+const addReaction = function(ctx, contentId, commentCreatedDate, reaction, callback) {
   try {
-    unless(isPrincipalId, {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to content'
+    })(ctx);
+
+    unless(isResourceId, {
       code: 400,
-      msg: 'A user or group id must be provided'
-    })(principalId);
+      msg: 'A content id must be provided'
+    })(contentId);
 
-    unless(isANumber, {
+    unless(bothCheck(Boolean(commentCreatedDate), isInt), {
       code: 400,
-      msg: 'A valid limit should be passed in'
-    })(limit);
+      msg: 'A valid integer comment created timestamp must be specified'
+    })(commentCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
   } catch (error) {
     return callback(error);
   }
 
-  // Get the principal
-  PrincipalsDAO.getPrincipal(principalId, (err, principal) => {
+  getContent(ctx, contentId, (err, content) => {
     if (err) {
       return callback(err);
     }
 
-    // Determine which library visibility we need to fetch
-    LibraryAPI.Authz.resolveTargetLibraryAccess(ctx, principal.id, principal, (err, hasAccess, visibility) => {
+    AuthzPermissions.canInteract(ctx, content, err => {
       if (err) {
         return callback(err);
       }
 
-      if (!hasAccess) {
-        return callback({ code: 401, msg: 'You do not have access to this library' });
-      }
+      _getReactionComment(ctx, contentId, commentCreatedDate, (err, comment) => {
+        if (err) {
+          return callback(err);
+        }
 
-      ContentDAO.Content.getContentLibraryItems(
-        principalId,
-        visibility,
-        start,
-        limit,
-        (err, contentObjects, nextToken) => {
+        const targetId = comment ? comment.id : content.id;
+        ResourceReactions.addReaction(ctx, targetId, reaction, (err, reactions, added) => {
           if (err) {
             return callback(err);
           }
 
-          _.each(contentObjects, contentObj => {
+          // Only notify the author the first time a user reacts with this reaction
+          if (added) {
+            emitter.emit(ContentConstants.events.ADDED_REACTION, ctx, content, comment, reaction);
+          }
+
+          return callback(null, reactions);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Remove a reaction of the current user from a content item or, when a comment timestamp is specified, from one of the
+ * comments on the content item
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId               The id of the content item from which to remove the reaction
+ * @param  {String}     [commentCreatedDate]    The timestamp of the comment from which to remove the reaction. Not specifying this will remove the reaction from the content item itself
+ * @param  {String}     reaction                The reaction to remove
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the content item or comment after the reaction was removed
+ */
+const removeReaction = function(ctx, contentId, commentCreatedDate, reaction, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to content'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+
+    unless(bothCheck(Boolean(commentCreatedDate), isInt), {
+      code: 400,
+      msg: 'A valid integer comment created timestamp must be specified'
+    })(commentCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Users that can no longer interact with the content item can still take back their reactions
+  getContent(ctx, contentId, (err, content) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _getReactionComment(ctx, contentId, commentCreatedDate, (err, comment) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const targetId = comment ? comment.id : content.id;
+      return ResourceReactions.removeReaction(ctx, targetId, reaction, callback);
+    });
+  });
+};
+
+/**
+ * Get the comment that is being reacted to, with the profile of its author set as `createdBy`
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId               The id of the content item that holds the comment
+ * @param  {String}     [commentCreatedDate]    The timestamp of the comment. If not specified, no comment is returned
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Comment}    [callback.comment]      The comment that is being reacted to
+ * @api private
+ */
+const _getReactionComment = function(ctx, contentId, commentCreatedDate, callback) {
+  if (!commentCreatedDate) {
+    return callback();
+  }
+
+  MessageBoxAPI.getMessages(contentId, [commentCreatedDate], { scrubDeleted: false }, (err, messages) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!messages[0] || messages[0].deleted) {
+      return callback({ code: 404, msg: 'The specified comment does not exist' });
+    }
+
+    const comment = messages[0];
+    PrincipalsUtil.getPrincipal(ctx, comment.createdBy, (err, createdBy) => {
+      if (err) {
+        return callback(err);
+      }
+
+      comment.createdBy = createdBy;
+      return callback(null, comment);
+    });
+  });
+};
+
+/**
+ * Delete a comment from a content item. Managers of the content can delete all comments whilst people that have access
+ * to the content can only delete their own comments. Therefore, anonymous users will never be able to delete comments.
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId               The id of the content item from which to delete the comment
+ * @param  {String}     commentCreatedDate      The timestamp of the comment that should be deleted
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Comment}    [callback.softDeleted]  When the comment has been soft deleted (because it has replies), a stripped down comment object representing the deleted comment will be returned, with the `deleted` parameter set to `false`. If the comment has been deleted from Cassandra, no comment object will be returned.
+ */
+const deleteComment = function(ctx, contentId, commentCreatedDate, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authorized users can delete comments'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A content id must be provided'
+    })(contentId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer comment created timestamp must be specified'
+    })(commentCreatedDate);
+  } catch (error) {
+    return callback(error);
+  }
+
+  getContent(ctx, contentId, (err, content) => {
+    if (err) {
+      return callback(err);
+    }
+
+    MessageBoxAPI.getMessages(contentId, [commentCreatedDate], null, (err, messages) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (_.isEmpty(messages) || !messages[0]) {
+        return callback({ code: 404, msg: 'The specified comment does not exist' });
+      }
+
+      // Ensure the user has access to manage the message
+      const message = messages[0];
+      AuthzPermissions.canManageMessage(ctx, content, message, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        return _deleteComment(ctx, content, message, callback);
+      });
+    });
+  });
+};
+
+/**
+ * Delete the comment (either hard or soft, depending on if there are any replies) with the given timestamp from the
+ * message box with the given id.
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {Content}        content                 The content object on which a comment should be deleted
+ * @param  {Message}        commentToDelete         The comment to delete
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {Message}        [callback.comment]      If the comment was soft-deleted, this will be the model of the scrubbed deleted comment
+ */
+const _deleteComment = function(ctx, content, commentToDelete, callback) {
+  const messageBoxId = content.id;
+  // Delete the comment using the "leaf" method, which will SOFT delete if the message has replies, or HARD delete if it does not
+  MessageBoxAPI.deleteMessage(
+    messageBoxId,
+    commentToDelete.created,
+    { deleteType: MessageBoxConstants.deleteTypes.LEAF },
+    (err, deleteType, deletedComment) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // If the comment was hard deleted, it is not returned from the delete message endpoint. However if there is a soft delete and
+      // it is returned, we want to return the new version of the comment
+      deletedComment = deletedComment || commentToDelete;
+
+      // Notify consumers that the comment was deleted
+      emitter.emit(ContentConstants.events.DELETED_COMMENT, ctx, deletedComment, content, deleteType);
+
+      if (deleteType === MessageBoxConstants.deleteTypes.SOFT) {
+        // If a soft-delete occurred, we want to inform the consumer of the soft-delete message model
+        return callback(null, deletedComment);
+      }
+
+      return callback();
+    }
+  );
+};
+
+/// ////////////////////////
+// Library functionality //
+/// ////////////////////////
+
+/**
+ * Get the content library items for a user or group. If the user requests their own library or the library of a group they're a member of,
+ * the full list will be returned. If the user is logged in but not a manager of the library, the :loggedin stream will be returned, containing
+ * only content that's visible to logged in people or the public. In case of an anonymous user, the :public stream will be returned, containing
+ * only content that is public
+ *
+ * @param  {Context}        ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}         principalId         The id of the principal whose content library to fetch
+ * @param  {String}         start               The content paging token from which to start fetching content items. If not provided, the first x elements will be returned
+ * @param  {Number}         limit               The maximum number of results to return. Default: 10
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Content[]}      callback.content    The content library items for the specified user or group
+ * @param  {String}         callback.nextToken  The value to provide in the `start` parameter to get the next set of results
+ */
+const getContentLibraryItems = function(ctx, principalId, start, limit, callback) {
+  limit = OaeUtil.getNumberParam(limit, 10, 1);
+
+  try {
+    unless(isPrincipalId, {
+      code: 400,
+      msg: 'A user or group id must be provided'
+    })(principalId);
+
+    unless(isANumber, {
+      code: 400,
+      msg: 'A valid limit should be passed in'
+    })(limit);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the principal
+  PrincipalsDAO.getPrincipal(principalId, (err, principal) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Determine which library visibility we need to fetch
+    LibraryAPI.Authz.resolveTargetLibraryAccess(ctx, principal.id, principal, (err, hasAccess, visibility) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!hasAccess) {
+        return callback({ code: 401, msg: 'You do not have access to this library' });
+      }
+
+      ContentDAO.Content.getContentLibraryItems(
+        principalId,
+        visibility,
+        start,
+        limit,
+        (err, contentObjects, nextToken) => {
+          if (err) {
+            return callback(err);
+          }
+
+          _.each(contentObjects, contentObj => {
             ContentUtil.augmentContent(ctx, contentObj);
           });
 
@@ -2729,49 +3815,242 @@ const getRevision = function(ctx, contentId, revisionId, callback) {
 };
 
 /**
- * Get the download strategy information for downloading a revision
+ * Compare a revision of a content item with an older revision. Collaborative documents are compared
+ * line by line and the result is rendered as HTML, collaborative spreadsheets are compared cell by
+ * cell and text files are compared line by line
  *
- * @param  {Context}            ctx                             Standard context object containing the current user and the current tenant
- * @param  {String}             contentId                       The id of the content item for which we want to get the revision download information
- * @param  {String}             [revisionId]                    The id of the revision whose download information to retrieve. If unspecified, the latest revision download information will be retrieved
- * @param  {Function}           callback                        Standard callback function
- * @param  {Object}             callback.err                    An error that occurred, if any
- * @param  {Object}             callback.downloadInfo           An object containing information necessary for downloading the revision
- * @param  {String}             callback.downloadInfo.filename  The filename to suggest to the client for the download
- * @param  {DownloadStrategy}   callback.downloadInfo.strategy  The DownloadStrategy that details how to download the revision
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         contentId               The id of the content item whose revisions to compare
+ * @param  {String}         revisionId              The id of the revision whose changes to get
+ * @param  {String}         [fromRevisionId]        The id of the revision to compare with. If unspecified, the revision will be compared with the revision that preceded it
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {RevisionDiff}   callback.diff           The differences between both revisions
  */
-const getRevisionDownloadInfo = function(ctx, contentId, revisionId, callback) {
+const getRevisionDiff = function(ctx, contentId, revisionId, fromRevisionId, callback) {
   try {
     unless(isResourceId, {
       code: 400,
       msg: 'A valid contentId must be provided'
     })(contentId);
 
-    unless(bothCheck(Boolean(revisionId), isResourceId), {
+    unless(isResourceId, {
       code: 400,
       msg: 'A valid revisionId must be provided'
     })(revisionId);
+
+    unless(bothCheck(Boolean(fromRevisionId), isResourceId), {
+      code: 400,
+      msg: 'A valid revisionId to compare with must be provided'
+    })(fromRevisionId);
   } catch (error) {
     return callback(error);
   }
 
   // Check if the user has access to this content item
-  getContent(ctx, contentId, (err, content) => {
+  getContent(ctx, contentId, (err, contentObj) => {
     if (err) {
       return callback(err);
     }
 
-    if (content.resourceSubType !== 'file') {
-      return callback({ code: 400, msg: 'Only file content items can be downloaded' });
+    if (contentObj.resourceSubType === 'link') {
+      return callback({ code: 400, msg: 'The revisions of a link cannot be compared' });
     }
 
-    // Ensure we can resolve a revision id
-    revisionId = revisionId || content.latestRevisionId;
-    if (!revisionId) {
-      return callback({
-        code: 400,
-        msg: 'No revision id provided and content item does not have a latest revision id'
-      });
+    _getRevisionOfContent(contentObj, revisionId, (err, revision) => {
+      if (err) {
+        return callback(err);
+      }
+
+      _getRevisionToCompareWith(contentObj, revision, fromRevisionId, (err, fromRevision) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const diff = {
+          contentId: contentObj.id,
+          from: fromRevision ? fromRevision.revisionId : null,
+          to: revision.revisionId
+        };
+        fromRevision = fromRevision || {};
+
+        if (ContentUtils.isResourceACollabDoc(contentObj.resourceSubType)) {
+          diff.html = Etherpad.getHTMLDiff(fromRevision.etherpadHtml, revision.etherpadHtml);
+          return callback(null, diff);
+        }
+
+        if (ContentUtils.isResourceACollabSheet(contentObj.resourceSubType)) {
+          diff.cells = Ethercalc.getCellDiff(fromRevision.ethercalcSnapshot, revision.ethercalcSnapshot);
+          return callback(null, diff);
+        }
+
+        _getRevisionLines(ctx, fromRevision, (err, fromLines) => {
+          if (err) {
+            return callback(err);
+          }
+
+          _getRevisionLines(ctx, revision, (err, lines) => {
+            if (err) {
+              return callback(err);
+            }
+
+            diff.lines = ContentDiff.diffLines(fromLines, lines);
+            return callback(null, diff);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get a revision, making sure it belongs to the given content item
+ *
+ * @param  {Content}        contentObj          The content item the revision should belong to
+ * @param  {String}         revisionId          The id of the revision to get
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Revision}       callback.revision   The revision
+ * @api private
+ */
+const _getRevisionOfContent = function(contentObj, revisionId, callback) {
+  ContentDAO.Revisions.getRevision(revisionId, (err, revision) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (revision.contentId !== contentObj.id) {
+      return callback({
+        code: 400,
+        msg: 'This revision ID is not associated with the specified piece of content.'
+      });
+    }
+
+    return callback(null, revision);
+  });
+};
+
+/**
+ * Get the revision to compare a revision with. When no revision is specified, the revision that
+ * preceded the given revision is used
+ *
+ * @param  {Content}        contentObj              The content item the revisions belong to
+ * @param  {Revision}       revision                The revision whose changes will be determined
+ * @param  {String}         [fromRevisionId]        The id of the revision to compare with
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {Revision}       [callback.fromRevision] The revision to compare with. If the revision is the first revision of the content item and no other revision was specified, this will be empty
+ * @api private
+ */
+const _getRevisionToCompareWith = function(contentObj, revision, fromRevisionId, callback) {
+  if (fromRevisionId) {
+    return _getRevisionOfContent(contentObj, fromRevisionId, callback);
+  }
+
+  // Revisions are paged from the most recent to the oldest, so the next page after the revision holds the one before it
+  ContentDAO.Revisions.getRevisions(contentObj.id, String(revision.created), 1, null, (err, revisions) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, _.first(revisions));
+  });
+};
+
+/**
+ * Get the lines of the file that was uploaded for a revision. Only text files can be split into lines
+ *
+ * @param  {Context}        ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Revision}       revision            The revision whose file to read. If it has no file, it is considered empty
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {String[]}       callback.lines      The lines of the file
+ * @api private
+ */
+const _getRevisionLines = function(ctx, revision, callback) {
+  if (!revision.uri) {
+    return callback(null, []);
+  }
+
+  const mimeType = revision.mime || '';
+  if (!mimeType.startsWith('text/') && !_.contains(ContentConstants.diff.TEXT_MIMETYPES, mimeType)) {
+    return callback({ code: 400, msg: 'Only the revisions of text files can be compared' });
+  }
+
+  if (OaeUtil.getNumberParam(revision.size, 0) > ContentConstants.diff.MAX_FILE_SIZE) {
+    return callback({ code: 400, msg: 'The revisions of this file are too large to be compared' });
+  }
+
+  const { tenantAlias } = AuthzUtil.getResourceFromId(revision.contentId);
+  ContentUtil.getStorageBackend(ctx, revision.uri).get(tenantAlias, revision.uri, (err, file) => {
+    if (err) {
+      return callback(err);
+    }
+
+    fs.readFile(file.path, 'utf8', (readErr, data) => {
+      // In all cases, the temporary copy of the file should be removed again
+      fs.unlink(file.path, err => {
+        if (err) {
+          log().warn({ err, path: file.path }, 'Could not remove the temporary copy of a revision');
+        }
+
+        if (readErr) {
+          log().error({ err: readErr, revisionId: revision.revisionId }, 'Could not read the file of a revision');
+          return callback({ code: 500, msg: 'Could not read the file of the revision' });
+        }
+
+        return callback(null, data.split(/\r?\n/));
+      });
+    });
+  });
+};
+
+/**
+ * Get the download strategy information for downloading a revision
+ *
+ * @param  {Context}            ctx                             Standard context object containing the current user and the current tenant
+ * @param  {String}             contentId                       The id of the content item for which we want to get the revision download information
+ * @param  {String}             [revisionId]                    The id of the revision whose download information to retrieve. If unspecified, the latest revision download information will be retrieved
+ * @param  {Function}           callback                        Standard callback function
+ * @param  {Object}             callback.err                    An error that occurred, if any
+ * @param  {Object}             callback.downloadInfo                   An object containing information necessary for downloading the revision
+ * @param  {String}             callback.downloadInfo.filename          The filename to suggest to the client for the download
+ * @param  {DownloadStrategy}   callback.downloadInfo.strategy          The DownloadStrategy that details how to download the revision
+ * @param  {String}             callback.downloadInfo.etag              The entity tag that identifies the body of the revision
+ * @param  {Number}             callback.downloadInfo.lastModified      The timestamp (millis since epoch) at which the revision was created
+ */
+const getRevisionDownloadInfo = function(ctx, contentId, revisionId, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A valid contentId must be provided'
+    })(contentId);
+
+    unless(bothCheck(Boolean(revisionId), isResourceId), {
+      code: 400,
+      msg: 'A valid revisionId must be provided'
+    })(revisionId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Check if the user has access to this content item
+  getContent(ctx, contentId, (err, content) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (content.resourceSubType !== 'file') {
+      return callback({ code: 400, msg: 'Only file content items can be downloaded' });
+    }
+
+    // Ensure we can resolve a revision id
+    revisionId = revisionId || content.latestRevisionId;
+    if (!revisionId) {
+      return callback({
+        code: 400,
+        msg: 'No revision id provided and content item does not have a latest revision id'
+      });
     }
 
     // Get the revision that the user wishes to download
@@ -2791,9 +4070,15 @@ const getRevisionDownloadInfo = function(ctx, contentId, revisionId, callback) {
       // Emit an event indicating that a content item is downloaded
       emitter.emit(ContentConstants.events.DOWNLOADED_CONTENT, ctx, content, revision);
 
+      // The body of a revision never changes, so the revision identifies it for conditional and range requests
       return callback(null, {
         filename: revision.filename,
-        strategy: ContentUtil.getStorageBackend(ctx, revision.uri).getDownloadStrategy(ctx.tenant().alias, revision.uri)
+        strategy: ContentUtil.getStorageBackend(ctx, revision.uri).getDownloadStrategy(
+          ctx.tenant().alias,
+          revision.uri
+        ),
+        etag: util.format('"%s"', revision.revisionId),
+        lastModified: parseInt(revision.created, 10)
       });
     });
   });
@@ -2916,33 +4201,51 @@ const restoreRevision = function(ctx, contentId, revisionId, callback) {
         });
       }
 
-      // Create a new revision by copying from the specified revision
-      const newRevisionId = _generateRevisionId(contentId);
-      ContentDAO.Revisions.createRevision(newRevisionId, contentId, ctx.user().id, revision, (err, newRevision) => {
-        if (err) {
-          return callback(err);
-        }
+      _withContentLock(
+        contentId,
+        (lockedContentObj, done) => {
+          // Restoring a revision changes the body of the file, which only the user who checked it out can do
+          const checkedOutErr = _getCheckedOutError(ctx, lockedContentObj);
+          if (checkedOutErr) {
+            return done(checkedOutErr);
+          }
 
-        /*!
-         * We need to update the content item in the Content CF.
-         * We do so by copying all the non-standard fields from the revision
-         * to the Content CF.
-         */
-        const blacklist = [
-          'revisionId',
-          'contentId',
-          'createdBy',
-          'created',
-          'etherpadHtml',
-          'previewsId',
-          'downloadPath'
-        ];
-        const updates = _.omit(revision, blacklist);
-
-        // We also need to update the latest revisionID in the content CF.
-        updates.latestRevisionId = newRevisionId;
-
-        ContentDAO.Content.updateContent(contentObj, updates, true, (err, newContentObj) => {
+          // Create a new revision by copying from the specified revision
+          const newRevisionId = _generateRevisionId(contentId);
+          ContentDAO.Revisions.createRevision(newRevisionId, contentId, ctx.user().id, revision, (err, newRevision) => {
+            if (err) {
+              return done(err);
+            }
+
+            /*!
+             * We need to update the content item in the Content CF.
+             * We do so by copying all the non-standard fields from the revision
+             * to the Content CF.
+             */
+            const blacklist = [
+              'revisionId',
+              'contentId',
+              'createdBy',
+              'created',
+              'etherpadHtml',
+              'previewsId',
+              'downloadPath'
+            ];
+            const updates = _.omit(revision, blacklist);
+
+            // We also need to update the latest revisionID in the content CF.
+            updates.latestRevisionId = newRevisionId;
+
+            ContentDAO.Content.updateContent(lockedContentObj, updates, true, (err, newContentObj) => {
+              if (err) {
+                return done(err);
+              }
+
+              return done(null, newContentObj, lockedContentObj, newRevision);
+            });
+          });
+        },
+        (err, newContentObj, contentObj, newRevision) => {
           if (err) {
             return callback(err);
           }
@@ -2966,8 +4269,8 @@ const restoreRevision = function(ctx, contentId, revisionId, callback) {
           } else {
             return callback(null, newRevision);
           }
-        });
-      });
+        }
+      );
     });
   });
 };
@@ -2982,6 +4285,7 @@ const restoreRevision = function(ctx, contentId, revisionId, callback) {
  * @param  {Object}             callback.downloadInfo           An object containing information necessary for downloading the signed download
  * @param  {String}             callback.downloadInfo.filename  The filename to suggest to the client for the download
  * @param  {DownloadStrategy}   callback.downloadInfo.strategy  The DownloadStrategy that details how to download the file
+ * @param  {String}             callback.downloadInfo.etag      The entity tag that identifies the file
  */
 const verifySignedDownloadQueryString = function(ctx, qs, callback) {
   const uri = ContentUtil.verifySignedDownloadQueryString(qs);
@@ -2990,7 +4294,531 @@ const verifySignedDownloadQueryString = function(ctx, qs, callback) {
   }
 
   const downloadStrategy = ContentUtil.getStorageBackend(ctx, uri).getDownloadStrategy(ctx.tenant().alias, uri);
-  return callback(null, { strategy: downloadStrategy, filename: path.basename(uri) });
+
+  // Files are never changed once they've been stored, so their uri identifies their contents
+  const etag = util.format(
+    '"%s"',
+    crypto
+      .createHash('sha1')
+      .update(uri)
+      .digest('hex')
+  );
+  return callback(null, { strategy: downloadStrategy, filename: path.basename(uri), etag });
+};
+
+/// ///////////////////////
+// Resumable uploads //
+/// ///////////////////////
+
+/**
+ * Start an upload of a file that is sent in chunks. Once all chunks have been appended with `appendUploadChunk`, the
+ * upload can be completed with `completeUpload` into a new file or a new version of an existing file. Uploads that
+ * haven't received a chunk for a while expire
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     filename            The name of the file that will be uploaded
+ * @param  {Number}     size                The size of the file in bytes
+ * @param  {String}     [contentId]         The id of the file for which the upload is a new version, if any
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.upload     The upload that was started
+ */
+const createUpload = function(ctx, filename, size, contentId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You have to be logged in to be able to upload a file'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'Missing file name'
+    })(filename);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'The size of the file must be a positive number'
+    })(String(size), { min: 1 });
+
+    unless(bothCheck(Boolean(contentId), isResourceId), {
+      code: 400,
+      msg: 'A valid content id must be provided'
+    })(contentId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  size = parseInt(size, 10);
+  const maxSize = OaeUtil.getNumberParam(Config.getValue(ctx.tenant().alias, 'uploads', 'maxSize'), 0, 0);
+  if (size > maxSize * 1024 * 1024) {
+    return callback({
+      code: 413,
+      msg: util.format('The file is larger than the maximum upload size of %s MB', maxSize)
+    });
+  }
+
+  OaeUtil.invokeIfNecessary(contentId, _canManage, ctx, contentId, (err, contentObj) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (contentObj && contentObj.resourceSubType !== 'file') {
+      return callback({ code: 400, msg: 'This content object is not a file.' });
+    }
+
+    // Reject uploads that won't fit in the storage quota before any of it is sent. The quota is checked again
+    // when the upload is completed, as the groups that will manage a new file are only known at that point
+    _getStorageChargeIds(ctx, contentId, null, (err, chargeIds) => {
+      if (err) {
+        return callback(err);
+      }
+
+      PrincipalsQuotaAPI.checkStorageQuota(chargeIds, size, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        const upload = {
+          id: ShortId.generate(),
+          tenantAlias: ctx.tenant().alias,
+          createdBy: ctx.user().id,
+          contentId: contentId || null,
+          storageId: ContentUploads.getStorageId(),
+          filename,
+          size,
+          offset: 0,
+          created: Date.now()
+        };
+        ContentDAO.Uploads.storeUpload(upload, ContentUploads.getExpires(), err => {
+          if (err) {
+            return callback(err);
+          }
+
+          return callback(null, upload);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get an upload that is in progress. Its offset indicates where the next chunk should start
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     uploadId            The id of the upload to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.upload     The upload
+ */
+const getUpload = function(ctx, uploadId, callback) {
+  _getOwnUpload(ctx, uploadId, callback);
+};
+
+/**
+ * Append a chunk to an upload. The chunk has to start at the current offset of the upload, which guarantees that a
+ * chunk that is sent again after a connection failure isn't appended twice
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     uploadId            The id of the upload to append the chunk to
+ * @param  {Number}     offset              The offset in bytes in the file at which the chunk starts
+ * @param  {Stream}     chunk               A readable stream that holds the chunk
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.upload     The upload with its new offset
+ */
+const appendUploadChunk = function(ctx, uploadId, offset, chunk, callback) {
+  try {
+    unless(isInt, {
+      code: 400,
+      msg: 'The offset of the chunk must be a number'
+    })(String(offset), { min: 0 });
+  } catch (error) {
+    return callback(error);
+  }
+
+  _getOwnUpload(ctx, uploadId, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Chunks are written one at a time, so two chunks that are sent for the same offset can't both be appended
+    _lockUpload(uploadId, (err, unlock) => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Get the upload again now it can no longer change underneath us
+      _getOwnUpload(ctx, uploadId, (err, upload) => {
+        if (err) {
+          return unlock(() => {
+            return callback(err);
+          });
+        }
+
+        if (upload.offset !== parseInt(offset, 10)) {
+          return unlock(() => {
+            return callback({
+              code: 409,
+              msg: util.format('The chunk should start at offset %s of the upload', upload.offset)
+            });
+          });
+        }
+
+        // The chunk stream fails when the request is closed before the chunk has been received completely, which
+        // releases the lock straight away
+        ContentUploads.appendChunk(upload, chunk, (err, newOffset) => {
+          if (err) {
+            return unlock(() => {
+              return callback(err);
+            });
+          }
+
+          upload.offset = newOffset;
+          ContentDAO.Uploads.storeUpload(upload, ContentUploads.getExpires(), err => {
+            unlock(() => {
+              if (err) {
+                return callback(err);
+              }
+
+              return callback(null, upload);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Complete an upload of which all chunks have been received. An upload that was started for an existing file becomes
+ * a new version of that file, any other upload becomes a new file. The upload remains available when the file can't
+ * be created, so completing it can be retried
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         uploadId                The id of the upload to complete
+ * @param  {String}         [displayName]           The display name of the new file. Ignored for a new version
+ * @param  {String}         [description]           A longer description for the new file. Ignored for a new version
+ * @param  {String}         [visibility]            The visibility of the new file. Ignored for a new version
+ * @param  {Object}         [additionalMembers]     Object where the keys represent principal ids that need to be added to the new file and the values represent the role that principal will have. Ignored for a new version
+ * @param  {String[]}       [folders]               The ids of the folders to which the new file should be added. Ignored for a new version
+ * @param  {String[]}       [tags]                  The tags to apply to the new file. Ignored for a new version
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the new file gets its visibility and becomes private. Ignored for a new version
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {Content}        callback.content        The new file, or the file that received a new version
+ */
+const completeUpload = function(
+  ctx,
+  uploadId,
+  displayName,
+  description,
+  visibility,
+  additionalMembers,
+  folders,
+  tags,
+  schedule,
+  callback
+) {
+  // Completing an upload can't overlap with a chunk being written to it, or with another completion of it
+  _lockUpload(uploadId, (err, unlock) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const _callback = function(...args) {
+      unlock(() => {
+        return callback(...args);
+      });
+    };
+
+    _getOwnUpload(ctx, uploadId, (err, upload) => {
+      if (err) {
+        return _callback(err);
+      }
+
+      if (upload.offset !== upload.size) {
+        return _callback({
+          code: 400,
+          msg: util.format('The upload is not complete, %s of %s bytes have been received', upload.offset, upload.size)
+        });
+      }
+
+      ContentUploads.getFile(upload, (err, file) => {
+        if (err) {
+          return _callback(err);
+        }
+
+        /*!
+         * Remove the upload once its file has been stored
+         */
+        const _removeUpload = function(err, contentObj) {
+          if (err) {
+            return _callback(err);
+          }
+
+          ContentDAO.Uploads.deleteUpload(upload.id, err => {
+            if (err) {
+              return _callback(err);
+            }
+
+            ContentUploads.remove(upload.id, err => {
+              if (err) {
+                return _callback(err);
+              }
+
+              return _callback(null, contentObj);
+            });
+          });
+        };
+
+        if (upload.contentId) {
+          return updateFileBody(ctx, upload.contentId, file, _removeUpload);
+        }
+
+        return createFile(
+          ctx,
+          displayName,
+          description,
+          visibility,
+          file,
+          additionalMembers,
+          folders,
+          tags,
+          schedule,
+          _removeUpload
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Abandon an upload and remove the chunks it received
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     uploadId            The id of the upload to abandon
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const deleteUpload = function(ctx, uploadId, callback) {
+  _getOwnUpload(ctx, uploadId, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentDAO.Uploads.deleteUpload(uploadId, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return ContentUploads.remove(uploadId, callback);
+    });
+  });
+};
+
+/**
+ * Get an upload that was started by the current user
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     uploadId            The id of the upload to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.upload     The upload
+ * @api private
+ */
+const _getOwnUpload = function(ctx, uploadId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You have to be logged in to be able to upload a file'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'An upload id must be provided'
+    })(uploadId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ContentDAO.Uploads.getUpload(uploadId, (err, upload) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!upload) {
+      return callback({ code: 404, msg: 'The upload could not be found or has expired' });
+    }
+
+    if (upload.createdBy !== ctx.user().id) {
+      return callback({ code: 401, msg: 'You are not allowed to access this upload' });
+    }
+
+    return callback(null, upload);
+  });
+};
+
+/**
+ * Acquire the lock on an upload that is held while a chunk is written to it or while it is completed. The lock expires
+ * soon after it was last refreshed, and is refreshed until it is released
+ *
+ * @param  {String}     uploadId            The id of the upload to lock
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Function}   callback.unlock     Invoke this function with a callback to release the lock
+ * @api private
+ */
+const _lockUpload = function(uploadId, callback) {
+  Locking.acquire(
+    util.format('oae-content:upload:%s', uploadId),
+    ContentConstants.uploads.LOCK_DURATION,
+    (err, lock) => {
+      if (err) {
+        return callback({ code: 409, msg: 'The upload is already being written to or completed' });
+      }
+
+      const refreshInterval = setInterval(() => {
+        Locking.refresh(lock, ContentConstants.uploads.LOCK_DURATION, err => {
+          if (err) {
+            log().warn({ err, uploadId }, 'Unable to refresh the lock on an upload');
+          }
+        });
+      }, ContentConstants.uploads.LOCK_REFRESH_INTERVAL * 1000);
+
+      const unlock = function(done) {
+        clearInterval(refreshInterval);
+        Locking.release(lock, () => {
+          return done();
+        });
+      };
+
+      return callback(null, unlock);
+    }
+  );
+};
+
+/// //////////////////////
+// Storage migration //
+/// //////////////////////
+
+/**
+ * Queue the migration of the file bodies and preview files of a tenant to the storage backend that is currently
+ * configured for the tenant. The progress of the migration can be followed with `getStorageMigration`. A new migration
+ * can't be started while a previous one is still queued or running, unless the previous one has made no progress for
+ * longer than `ContentConstants.storageMigration.STALE_TIMEOUT`, as the process that ran it is then assumed to be dead
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     tenantAlias             The alias of the tenant whose storage should be migrated
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.migration      The storage migration that was queued
+ */
+const migrateStorage = function(ctx, tenantAlias, callback) {
+  try {
+    unless(isGlobalAdministratorUser, {
+      code: 401,
+      msg: 'Only global administrators can migrate the storage of a tenant'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A tenant alias must be provided'
+    })(tenantAlias);
+  } catch (error) {
+    return callback(error);
+  }
+
+  if (!TenantsAPI.getTenant(tenantAlias)) {
+    return callback({ code: 404, msg: util.format('A tenant with the alias "%s" could not be found', tenantAlias) });
+  }
+
+  ContentDAO.Storage.getStorageMigration(tenantAlias, (err, migration) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const { QUEUED, RUNNING } = ContentConstants.storageMigration.status;
+    const staleTime = Date.now() - ContentConstants.storageMigration.STALE_TIMEOUT * 1000;
+    if (migration && _.contains([QUEUED, RUNNING], migration.status)) {
+      if (migration.updated > staleTime) {
+        return callback({ code: 400, msg: 'The storage of this tenant is already being migrated' });
+      }
+
+      log().warn({ tenantAlias, migration }, 'Restarting a storage migration that stopped making progress');
+    }
+
+    const backend = Config.getValue(tenantAlias, 'storage', 'backend');
+    ContentDAO.Storage.createStorageMigration(tenantAlias, backend, QUEUED, (err, migration) => {
+      if (err) {
+        return callback(err);
+      }
+
+      MQ.submit(ContentConstants.queue.STORAGE_MIGRATION, JSON.stringify({ tenantAlias }), err => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, migration);
+      });
+    });
+  });
+};
+
+/**
+ * Get the status and progress of the storage migration of a tenant
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     tenantAlias             The alias of the tenant whose storage migration should be retrieved
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.migration      The storage migration of the tenant
+ */
+const getStorageMigration = function(ctx, tenantAlias, callback) {
+  try {
+    unless(isGlobalAdministratorUser, {
+      code: 401,
+      msg: 'Only global administrators can view the storage migration of a tenant'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A tenant alias must be provided'
+    })(tenantAlias);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ContentDAO.Storage.getStorageMigration(tenantAlias, (err, migration) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!migration) {
+      return callback({ code: 404, msg: 'The storage of this tenant has never been migrated' });
+    }
+
+    return callback(null, migration);
+  });
+};
+
+/**
+ * Handle a storage migration task that was queued by `migrateStorage`
+ *
+ * @param  {Object}     data                The task data
+ * @param  {String}     data.tenantAlias    The alias of the tenant whose storage should be migrated
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const handleStorageMigration = function(data, callback) {
+  callback =
+    callback ||
+    function(err) {
+      if (err) {
+        log().error({ err, data }, 'Error handling a storage migration');
+      }
+    };
+
+  return ContentStorage.migrateStorage(data.tenantAlias, callback);
 };
 
 /// ////////////////////
@@ -3081,6 +4909,18 @@ const _generateRevisionId = function(contentId) {
   return AuthzUtil.toId('rev', tenantAlias, ShortId.generate());
 };
 
+// Content items that have been in the trash for longer than the retention period are permanently removed
+ResourceTrash.registerResourceType('content', { purge: _purgeContent });
+
+// Content items can be published and expire at a scheduled date
+ResourceSchedule.registerResourceType('content', {
+  setVisibility(ctx, contentId, visibility, callback) {
+    updateContentMetadata(ctx, contentId, { visibility }, err => {
+      return callback(err);
+    });
+  }
+});
+
 export {
   getContent,
   getFullContentProfile,
@@ -3091,6 +4931,7 @@ export {
   handlePublish,
   joinCollabDoc,
   deleteContent,
+  restoreContent,
   shareContent,
   setContentPermissions,
   removeContentFromLibrary,
@@ -3098,19 +4939,35 @@ export {
   getContentInvitations,
   resendContentInvitation,
   updateFileBody,
+  lockContent,
+  unlockContent,
   setPreviewItems,
+  reusePreviews,
+  createUpload,
+  getUpload,
+  appendUploadChunk,
+  completeUpload,
+  deleteUpload,
   getSignedPreviewDownloadInfo,
   getPreviewItems,
   updateContentMetadata,
   createComment,
   getComments,
+  updateComment,
+  getCommentEdits,
+  addReaction,
+  removeReaction,
   deleteComment,
   getContentLibraryItems,
   getRevisions,
   getRevision,
+  getRevisionDiff,
   getRevisionDownloadInfo,
   restoreRevision,
   verifySignedDownloadQueryString,
   ethercalcPublish,
+  migrateStorage,
+  getStorageMigration,
+  handleStorageMigration,
   emitter
 };
@@ -37,7 +37,8 @@ const store = function(tenantAlias, file, options, callback) {};
 /**
  * Retrieves a file and stores it under a temporary file.
  * It's the caller's responsibility to remove this file.
- * Note that this should *NOT* be used when an HTTP download request is being served.
+ * Note that this should *NOT* be used when an HTTP download request is being served, unless the download strategy
+ * of the file asks for it to be streamed from its storage URI.
  *
  * @param  {String}      tenantAlias             The tenant alias where the request originated.
  * @param  {String}      uri                 The uri to retrieve
@@ -28,6 +28,7 @@ import * as BackendUtil from './util';
 const log = logger('local-storage');
 
 let _rootDir = null;
+let _streamDownloads = false;
 
 /**
  * An implementation that will store files on a local directory.
@@ -39,12 +40,14 @@ let _rootDir = null;
 /**
  * Initializes the local storage backend with its root directory.
  *
- * @param  {String}     rootDir         The directory where files can be stored
- * @param  {Function}   callback        Standard callback function
- * @param  {Object}     callback.err    An error that occurred, if any
+ * @param  {String}     rootDir             The directory where files can be stored
+ * @param  {Boolean}    [streamDownloads]   Whether the application should stream downloads itself rather than handing them off to the web server
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
  */
-const init = function(rootDir, callback) {
+const init = function(rootDir, streamDownloads, callback) {
   _rootDir = Path.resolve(rootDir);
+  _streamDownloads = streamDownloads === true;
   _ensureDirectoryExists(_rootDir, err => {
     if (err) {
       log().error({ dir: _rootDir, err }, 'Could not create/find the local storage directory');
@@ -153,6 +156,14 @@ const remove = function(tenantAlias, uri, callback) {
  * @borrows Interface.getDownloadStrategy as Local.getDownloadStrategy
  */
 const getDownloadStrategy = function(tenantAlias, uri) {
+  // Without a web server that serves the local storage directory, the application streams the file itself
+  if (_streamDownloads) {
+    return new DownloadStrategy(
+      ContentConstants.backend.DOWNLOAD_STRATEGY_STREAM,
+      Path.join(getRootDirectory(), BackendUtil.splitUri(uri).location)
+    );
+  }
+
   return new DownloadStrategy(
     ContentConstants.backend.DOWNLOAD_STRATEGY_INTERNAL,
     '/files/' + BackendUtil.splitUri(uri).location
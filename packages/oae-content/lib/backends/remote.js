@@ -13,14 +13,32 @@
  * permissions and limitations under the License.
  */
 
+import fs from 'fs';
+import Path from 'path';
+import util from 'util';
+import mime from 'mime';
+import request from 'request';
+import eachSeries from 'async/eachSeries';
+
+import { setUpConfig } from 'oae-config';
+import * as IO from 'oae-util/lib/io';
+import { logger } from 'oae-logger';
+import * as TempFile from 'oae-util/lib/tempfile';
+
 import { ContentConstants } from '../constants';
 import { DownloadStrategy } from '../model';
 import * as BackendUtil from './util';
 
+const Config = setUpConfig('oae-content');
+const log = logger('remote-storage');
+
 /**
- * This backend isn't actually able to to store or retrieve anything.
- * It's primary use is to "add" content that lives on a remote server
- * and link to it.
+ * A backend that stores files on a WebDAV server or any other HTTP endpoint that accepts PUT, GET and DELETE
+ * requests. The endpoint and its credentials are configured per tenant in the `oae-content/storage` config.
+ *
+ * It also deals with content that lives on a remote server and was only linked to. Those URIs hold the full
+ * URL of the remote file (e.g., `remote:http://www.apereo.org/favicon.ico`) rather than a location relative
+ * to the configured endpoint.
  */
 
 /// ///////////////////
@@ -31,30 +49,307 @@ import * as BackendUtil from './util';
  * @borrows Interface.store as Remote.store
  */
 const store = function(tenantAlias, file, options, callback) {
-  callback({ code: 501, msg: 'Not implemented' });
+  // Generate the uri for this file
+  const uri = BackendUtil.generateUri(file, options);
+
+  const baseUrl = _getBaseUrl(tenantAlias);
+  if (!baseUrl) {
+    log().error({ tenantAlias }, 'Tried to store a file without a configured remote storage url');
+    return _removeTempFile(file, () => {
+      return callback({ code: 500, msg: 'No remote storage url has been configured' });
+    });
+  }
+
+  _ensureCollectionsExist(tenantAlias, uri, err => {
+    if (err) {
+      return _removeTempFile(file, () => {
+        return callback(err);
+      });
+    }
+
+    log().trace('Uploading %s to the remote storage', uri);
+
+    let called = false;
+    const done = function(err) {
+      if (called) {
+        return;
+      }
+
+      called = true;
+      _removeTempFile(file, () => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, 'remote:' + uri);
+      });
+    };
+
+    const stream = fs.createReadStream(file.path);
+    stream.once('error', err => {
+      IO.destroyStream(stream);
+      log().error({ err }, 'Could not read %s', file.path);
+      return done({ code: 500, msg: 'Unable to read the file' });
+    });
+
+    const opts = _getRequestOptions(tenantAlias, 'PUT', uri);
+    opts.headers = {
+      'Content-Length': file.size,
+      'Content-Type': mime.getType(file.path) || 'application/octet-stream'
+    };
+    stream.pipe(
+      request(opts, (err, response) => {
+        if (err) {
+          log().error({ err }, 'Could not upload %s to the remote storage', uri);
+          return done({ code: 500, msg: 'Unable to upload the file' });
+        }
+
+        if (!_isSuccess(response)) {
+          log().error({ statusCode: response.statusCode }, 'The remote storage refused to store %s', uri);
+          return done({ code: 500, msg: 'Unable to upload the file' });
+        }
+
+        return done();
+      })
+    );
+  });
 };
 
 /**
  * @borrows Interface.get as Remote.get
  */
 const get = function(tenantAlias, uri, callback) {
-  callback({ code: 501, msg: 'Not implemented' });
+  const { location } = BackendUtil.splitUri(uri);
+  const opts = _isExternalUrl(location)
+    ? { method: 'GET', url: location }
+    : _getRequestOptions(tenantAlias, 'GET', location);
+
+  // Download it to a temp folder
+  const tmp = TempFile.createTempFile({ suffix: Path.basename(location) });
+  const writeStream = fs.createWriteStream(tmp.path);
+
+  let called = false;
+  const done = function(err) {
+    if (called) {
+      return;
+    }
+
+    called = true;
+    if (err) {
+      IO.destroyStream(writeStream);
+      return tmp.remove(() => {
+        return callback(err);
+      });
+    }
+
+    // Get the file size and pass it on
+    return tmp.update(callback);
+  };
+
+  writeStream.once('error', err => {
+    log().error({ err }, 'Could not save %s to disk', uri);
+    return done({ code: 500, msg: 'Unable to save the file' });
+  });
+  writeStream.once('close', () => {
+    return done();
+  });
+
+  log().trace('Downloading %s from the remote storage', location);
+  request(opts)
+    .on('error', err => {
+      log().error({ err }, 'Could not download %s', uri);
+      return done({ code: 500, msg: 'Unable to download the file' });
+    })
+    .on('response', function(response) {
+      // The body of an error response is of no use, so the connection isn't kept busy with it
+      if (response.statusCode === 404) {
+        this.abort();
+        return done({ code: 404, msg: 'The file could not be found on the remote storage' });
+      }
+
+      if (!_isSuccess(response)) {
+        this.abort();
+        log().error({ statusCode: response.statusCode }, 'The remote storage refused to return %s', uri);
+        return done({ code: 500, msg: 'Unable to download the file' });
+      }
+
+      this.pipe(writeStream);
+    });
 };
 
 /**
  * @borrows Interface.remove as Remote.remove
  */
 const remove = function(tenantAlias, uri, callback) {
-  callback({ code: 501, msg: 'Not implemented' });
+  const { location } = BackendUtil.splitUri(uri);
+
+  // Files that were only linked to are not ours to remove
+  if (_isExternalUrl(location)) {
+    return callback();
+  }
+
+  log().trace('Removing %s from the remote storage', location);
+  request(_getRequestOptions(tenantAlias, 'DELETE', location), (err, response) => {
+    if (err) {
+      log().error({ err }, 'Error removing %s', location);
+      return callback({ code: 500, msg: 'Unable to remove the file: ' + err });
+    }
+
+    // If no file existed at the given location, we do not pass back an error
+    // as the intent was to remove a file at that location
+    if (response.statusCode === 404) {
+      log().warn({ uri }, 'Tried to remove a file that was no longer there');
+      return callback();
+    }
+
+    if (!_isSuccess(response)) {
+      log().error({ statusCode: response.statusCode }, 'The remote storage refused to remove %s', location);
+      return callback({ code: 500, msg: 'Unable to remove the file' });
+    }
+
+    return callback();
+  });
 };
 
 /**
+ * Files that were only linked to are downloaded directly from their remote server. Files that were stored on the
+ * remote storage are retrieved with the credentials of the tenant and streamed to the user by the application, as
+ * the remote storage can't be reached without them.
+ *
  * @borrows Interface.getDownloadStrategy as Remote.getDownloadStrategy
  */
 const getDownloadStrategy = function(tenantAlias, uri) {
-  // The URI will look something like: remote:http://www.google.com. To get the target URL we simply strip out the
-  // scheme portion of the URI
-  return new DownloadStrategy(ContentConstants.backend.DOWNLOAD_STRATEGY_DIRECT, BackendUtil.splitUri(uri).location);
+  // A linked URI will look something like: remote:http://www.google.com. To get the target URL we simply strip out
+  // the scheme portion of the URI
+  const { location } = BackendUtil.splitUri(uri);
+  if (_isExternalUrl(location)) {
+    return new DownloadStrategy(ContentConstants.backend.DOWNLOAD_STRATEGY_DIRECT, location);
+  }
+
+  return new DownloadStrategy(ContentConstants.backend.DOWNLOAD_STRATEGY_STREAM, uri);
+};
+
+/// //////////////////
+// Private methods //
+/// //////////////////
+
+/**
+ * Create the collections in which a file will be stored when the remote storage is a WebDAV server. WebDAV
+ * servers refuse to store a file in a collection that doesn't exist yet
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant for which the file is stored
+ * @param  {String}     location        The location of the file relative to the remote storage url
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const _ensureCollectionsExist = function(tenantAlias, location, callback) {
+  if (!Config.getValue(tenantAlias, 'storage', 'remote-webdav')) {
+    return callback();
+  }
+
+  // A location like `c/camtest/ab/file.png` needs the collections `c/`, `c/camtest/` and `c/camtest/ab/`
+  const parts = location.split('/').slice(0, -1);
+  const collections = parts.map((part, i) => parts.slice(0, i + 1).join('/') + '/');
+  eachSeries(
+    collections,
+    (collection, done) => {
+      request(_getRequestOptions(tenantAlias, 'MKCOL', collection), (err, response) => {
+        if (err) {
+          log().error({ err }, 'Could not create the collection %s on the remote storage', collection);
+          return done({ code: 500, msg: 'Unable to upload the file' });
+        }
+
+        // A 405 indicates that the collection already exists
+        if (!_isSuccess(response) && response.statusCode !== 405) {
+          log().error({ statusCode: response.statusCode }, 'Could not create the collection %s', collection);
+          return done({ code: 500, msg: 'Unable to upload the file' });
+        }
+
+        return done();
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Get the options for a request to the remote storage of a tenant
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant whose remote storage should be requested
+ * @param  {String}     method          The HTTP method of the request
+ * @param  {String}     location        The location of the file or collection relative to the remote storage url
+ * @return {Object}                     The options that can be passed into `request`
+ * @api private
+ */
+const _getRequestOptions = function(tenantAlias, method, location) {
+  const opts = {
+    method,
+    url: util.format('%s/%s', _getBaseUrl(tenantAlias), location)
+  };
+
+  const username = Config.getValue(tenantAlias, 'storage', 'remote-username');
+  if (username) {
+    opts.auth = {
+      user: username,
+      pass: Config.getValue(tenantAlias, 'storage', 'remote-password'),
+      sendImmediately: true
+    };
+  }
+
+  return opts;
+};
+
+/**
+ * Get the url of the remote storage of a tenant, without a trailing slash
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant whose remote storage url should be retrieved
+ * @return {String}                     The url of the remote storage
+ * @api private
+ */
+const _getBaseUrl = function(tenantAlias) {
+  return (Config.getValue(tenantAlias, 'storage', 'remote-url') || '').replace(/\/+$/, '');
+};
+
+/**
+ * Whether the location of a remote URI is the full URL of a file that was linked to rather than a location on the
+ * remote storage
+ *
+ * @param  {String}     location    The location part of a remote URI
+ * @return {Boolean}                `true` if the location is a full URL
+ * @api private
+ */
+const _isExternalUrl = function(location) {
+  return /^https?:\/\//i.test(location);
+};
+
+/**
+ * Whether the remote storage responded with a success status code
+ *
+ * @param  {Response}   response    The response of the remote storage
+ * @return {Boolean}                `true` if the status code is a 2xx one
+ * @api private
+ */
+const _isSuccess = function(response) {
+  return response.statusCode >= 200 && response.statusCode < 300;
+};
+
+/**
+ * Remove the temporary file that was uploaded
+ *
+ * @param  {Object}     file        The file that was uploaded
+ * @param  {Function}   callback    Standard callback function
+ * @api private
+ */
+const _removeTempFile = function(file, callback) {
+  fs.unlink(file.path, err => {
+    if (err) {
+      // We ignore the unlink error, as the file might've actually ended up on the remote storage
+      log().warn({ err }, 'Could not remove the temporary file.');
+    }
+
+    return callback();
+  });
 };
 
 export { store, get, remove, getDownloadStrategy };
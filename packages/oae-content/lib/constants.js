@@ -28,17 +28,22 @@ ContentConstants.role = {
 ContentConstants.resourceSubTypes = ['collabdoc', 'collabsheet', 'link', 'file'];
 
 ContentConstants.events = {
+  ADDED_REACTION: 'addedReaction',
   CREATED_COMMENT: 'createdComment',
   CREATED_CONTENT: 'createdContent',
   DELETED_COMMENT: 'deletedComment',
   DELETED_CONTENT: 'deletedContent',
   DOWNLOADED_CONTENT: 'downloadedContent',
+  RESTORED_CONTENT: 'restoredDeletedContent',
   RESTORED_REVISION: 'restoredContent',
+  UPDATED_COMMENT: 'updatedComment',
   UPDATED_CONTENT: 'updatedContent',
   EDITED_COLLABDOC: 'editedCollabdoc',
   EDITED_COLLABSHEET: 'editedCollabsheet',
   GET_CONTENT_LIBRARY: 'getContentLibrary',
   GET_CONTENT_PROFILE: 'getContentProfile',
+  LOCKED_CONTENT: 'lockedContent',
+  UNLOCKED_CONTENT: 'unlockedContent',
   UPDATED_CONTENT_BODY: 'updatedContentBody',
   UPDATED_CONTENT_MEMBERS: 'updatedContentMembers',
   UPDATED_CONTENT_PREVIEW: 'updatedContentPreview'
@@ -58,9 +63,13 @@ ContentConstants.activity = {
   ACTIVITY_CONTENT_UPDATE_VISIBILITY: 'content-update-visibility',
   ACTIVITY_CONTENT_REVISION: 'content-revision',
   ACTIVITY_CONTENT_RESTORED_REVISION: 'content-restored-revision',
+  ACTIVITY_CONTENT_LOCK: 'content-lock',
+  ACTIVITY_CONTENT_UNLOCK: 'content-unlock',
   ACTIVITY_CONTENT_SHARE: 'content-share',
   ACTIVITY_CONTENT_ADD_TO_LIBRARY: 'content-add-to-library',
   ACTIVITY_CONTENT_COMMENT: 'content-comment',
+  ACTIVITY_CONTENT_COMMENT_UPDATE: 'content-comment-update',
+  ACTIVITY_CONTENT_REACTION: 'content-reaction',
 
   PROP_OAE_CONTENT_ID: 'oae:contentId',
   PROP_OAE_CONTENT_TYPE: 'oae:resourceSubType',
@@ -70,6 +79,36 @@ ContentConstants.activity = {
   PROP_OAE_WIDE_IMAGE: 'oae:wideImage'
 };
 
+ContentConstants.locks = {
+  // The number of minutes for which a file is checked out when no duration is specified
+  DEFAULT_DURATION: 8 * 60,
+  // The maximum number of minutes for which a file can be checked out in one go
+  MAX_DURATION: 7 * 24 * 60,
+  // The number of seconds after which the short-lived lock that is held while a file is checked out, checked in or
+  // gets a new version expires
+  UPDATE_LOCK_DURATION: 15,
+  // The number of times acquiring that short-lived lock is attempted, and the number of milliseconds between attempts
+  UPDATE_LOCK_ATTEMPTS: 10,
+  UPDATE_LOCK_RETRY_DELAY: 200
+};
+
+ContentConstants.diff = {
+  // The maximum number of line pairs that will be compared to find the lines two revisions have in common
+  MAX_COMPARISONS: 4000000,
+  // The maximum size in bytes of a file revision that can be compared
+  MAX_FILE_SIZE: 1024 * 1024,
+  // The mimetypes, other than `text/*`, of files whose revisions can be compared line by line
+  TEXT_MIMETYPES: [
+    'application/javascript',
+    'application/json',
+    'application/x-latex',
+    'application/x-sh',
+    'application/x-tex',
+    'application/xml',
+    'application/yaml'
+  ]
+};
+
 ContentConstants.library = {
   CONTENT_LIBRARY_INDEX_NAME: 'content:content',
   MEMBERS_LIBRARY_INDEX_NAME: 'content:members'
@@ -79,6 +118,7 @@ ContentConstants.backend = {
   DOWNLOAD_STRATEGY_DIRECT: 'direct',
   DOWNLOAD_STRATEGY_INTERNAL: 'internal',
   DOWNLOAD_STRATEGY_REDIRECT: 'redirect',
+  DOWNLOAD_STRATEGY_STREAM: 'stream',
   DOWNLOAD_STRATEGY_TEST: 'test'
 };
 
@@ -93,5 +133,36 @@ ContentConstants.queue = {
   ETHERCALC_PUBLISH: 'oae-content/ethercalc-publish',
   ETHERCALC_PUBLISH_PROCESSING: 'oae-content/ethercalc-publish-processing',
   ETHERCALC_EDIT: 'oae-content/ethercalc-edit',
-  ETHERCALC_EDIT_PROCESSING: 'oae-content/ethercalc-edit-processing'
+  ETHERCALC_EDIT_PROCESSING: 'oae-content/ethercalc-edit-processing',
+  STORAGE_MIGRATION: 'oae-content/storage-migration'
+};
+
+ContentConstants.storageMigration = {
+  // The number of revisions whose files are migrated in one go
+  BATCH_SIZE: 20,
+  // The maximum number of failures that are kept for the status of a migration
+  MAX_FAILURES: 100,
+  // How long (in seconds) a queued or running migration can go without making any progress before it is considered
+  // to have died with the process that ran it, after which a new migration can be started
+  STALE_TIMEOUT: 60 * 60,
+  status: {
+    DONE: 'done',
+    FAILED: 'failed',
+    QUEUED: 'queued',
+    RUNNING: 'running'
+  }
+};
+
+ContentConstants.fileBodies = {
+  // The status of a file body that is no longer referenced and is being removed from its storage backend
+  STATUS_REMOVING: 'removing'
+};
+
+ContentConstants.uploads = {
+  // The number of seconds after which the lock that is held while a chunk is written to an upload, or while the upload
+  // is completed, expires. The lock is refreshed for as long as that is in progress, so an upload is only blocked for a
+  // short while when an app server dies while holding its lock
+  LOCK_DURATION: 30,
+  // The number of seconds after which the lock on an upload is refreshed
+  LOCK_REFRESH_INTERVAL: 10
 };
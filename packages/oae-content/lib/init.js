@@ -22,6 +22,7 @@ import * as MQ from 'oae-util/lib/mq';
 import * as Etherpad from './internal/etherpad';
 import * as Ethercalc from './internal/ethercalc';
 import * as LocalStorage from './backends/local';
+import * as ContentUploads from './internal/uploads';
 import * as ContentAPI from './api';
 import { ContentConstants } from './constants';
 import * as ContentSearch from './search';
@@ -69,30 +70,46 @@ export function init(config, callback) {
         Cleaner.start(config.files.uploadDir, config.files.cleaner.interval);
       }
 
-      LocalStorage.init(config.files.localStorageDirectory, err => {
+      LocalStorage.init(config.files.localStorageDirectory, config.files.localStorageStreaming, err => {
         if (err) {
           return callback(err);
         }
 
-        // Handle "publish" messages that are sent from Etherpad via Redis. These messages
-        // indicate that a user made edits and has closed the document
-        MQ.subscribe(ContentConstants.queue.ETHERPAD_PUBLISH, ContentAPI.handlePublish, err => {
+        ContentUploads.init(config.files.resumableUploads, err => {
           if (err) {
             return callback(err);
           }
 
-          // Same for Ethercalc - no ack because ack breaks Ethercalc
-          MQ.subscribe(ContentConstants.queue.ETHERCALC_EDIT, Ethercalc.setEditedBy, function(err) {
+          if (config.files.cleaner.enabled) {
+            // Remove the files of uploads that haven't received a chunk for longer than they are kept
+            Cleaner.start(ContentUploads.getDirectory(), config.files.resumableUploads.expires);
+          }
+
+          // Handle "publish" messages that are sent from Etherpad via Redis. These messages
+          // indicate that a user made edits and has closed the document
+          MQ.subscribe(ContentConstants.queue.ETHERPAD_PUBLISH, ContentAPI.handlePublish, err => {
             if (err) {
               return callback(err);
             }
 
-            MQ.subscribe(ContentConstants.queue.ETHERCALC_PUBLISH, ContentAPI.ethercalcPublish, err => {
+            // Same for Ethercalc - no ack because ack breaks Ethercalc
+            MQ.subscribe(ContentConstants.queue.ETHERCALC_EDIT, Ethercalc.setEditedBy, function(err) {
               if (err) {
                 return callback(err);
               }
 
-              return callback();
+              MQ.subscribe(ContentConstants.queue.ETHERCALC_PUBLISH, ContentAPI.ethercalcPublish, err => {
+                if (err) {
+                  return callback(err);
+                }
+
+                // Migrate the file bodies of a tenant when a global administrator asks for it
+                return MQ.subscribe(
+                  ContentConstants.queue.STORAGE_MIGRATION,
+                  ContentAPI.handleStorageMigration,
+                  callback
+                );
+              });
             });
           });
         });
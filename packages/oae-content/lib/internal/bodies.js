@@ -0,0 +1,321 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+
+import { logger } from 'oae-logger';
+import * as IO from 'oae-util/lib/io';
+
+import { ContentConstants } from 'oae-content/lib/constants';
+import * as ContentDAO from './dao';
+import * as ContentUtil from './util';
+
+const log = logger('oae-content-bodies');
+
+/**
+ * Store an uploaded file body. When a file body with the same checksum has already been uploaded to the tenant, the
+ * upload is discarded and the stored file body is referenced instead
+ *
+ * Two identical files that are uploaded at the same time can both end up being stored. Only the first one is recorded
+ * as the file body for their checksum, the other one is removed from the storage backend again. A file body that is
+ * being removed because it is no longer referenced is treated as absent, and is replaced by the uploaded file
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     contentId           The id of the content item to which the file is uploaded
+ * @param  {String}     revisionId          The id of the revision that is created for the uploaded file
+ * @param  {Object}     file                The uploaded file holding its `name`, `path` and `size`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.uri        The storage URI of the file body
+ * @param  {String}     callback.hash       The checksum of the file body
+ */
+const storeFileBody = function(ctx, contentId, revisionId, file, callback) {
+  const tenantAlias = ctx.tenant().alias;
+  IO.getChecksum(file.path, (err, hash) => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentDAO.Bodies.getFileBody(tenantAlias, hash, (err, body) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!_isStored(body)) {
+        return _storeNewFileBody(ctx, tenantAlias, hash, contentId, revisionId, file, callback);
+      }
+
+      _addReference(tenantAlias, hash, contentId, body.uri, (err, isStillStored) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // The file body started being removed before it was referenced, so the upload is stored instead
+        if (!isStillStored) {
+          return _storeNewFileBody(ctx, tenantAlias, hash, contentId, revisionId, file, callback);
+        }
+
+        // The file body has already been stored, so the upload is no longer needed
+        fs.unlink(file.path, err => {
+          if (err) {
+            log().warn({ err, path: file.path }, 'Unable to remove an uploaded file whose body was already stored');
+          }
+
+          return callback(null, body.uri, hash);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Release the file bodies the revisions of a content item reference. File bodies that are no longer referenced by
+ * any content item are removed from the storage backend. File bodies that were uploaded before they were tracked by
+ * their checksum are left in place
+ *
+ * A file body is marked as being removed before it is checked whether it is referenced again. An upload of the same
+ * file body references it before it checks whether it is being removed, so at least one of them notices the other
+ *
+ * @param  {Content}    contentObj          The content item whose file bodies should be released
+ * @param  {Revision[]} revisions           The revisions of the content item
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const releaseFileBodies = function(contentObj, revisions, callback) {
+  const tenantAlias = contentObj.tenant.alias;
+  const hashes = _.chain(revisions)
+    .pluck('hash')
+    .compact()
+    .uniq()
+    .value();
+
+  eachSeries(
+    hashes,
+    (hash, done) => {
+      ContentDAO.Bodies.removeReference(tenantAlias, hash, contentObj.id, (err, isReferenced) => {
+        if (err || isReferenced) {
+          return done(err);
+        }
+
+        ContentDAO.Bodies.getFileBody(tenantAlias, hash, (err, body) => {
+          if (err || !body || !body.uri) {
+            return done(err);
+          }
+
+          ContentDAO.Bodies.markFileBodyRemoving(tenantAlias, hash, body.uri, (err, marked) => {
+            if (err || !marked) {
+              return done(err);
+            }
+
+            // A content item could have started referencing the file body before it was marked as being removed
+            ContentDAO.Bodies.isReferenced(tenantAlias, hash, (err, isReferenced) => {
+              if (err) {
+                return done(err);
+              }
+
+              if (isReferenced) {
+                return ContentDAO.Bodies.cancelFileBodyRemoval(tenantAlias, hash, body.uri, done);
+              }
+
+              _removeFileBody(tenantAlias, hash, body.uri, done);
+            });
+          });
+        });
+      });
+    },
+    callback
+  );
+};
+
+/**
+ * Store an uploaded file body for which no file body has been stored yet, and record it
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file is uploaded
+ * @param  {String}     hash                The checksum of the uploaded file
+ * @param  {String}     contentId           The id of the content item to which the file is uploaded
+ * @param  {String}     revisionId          The id of the revision that is created for the uploaded file
+ * @param  {Object}     file                The uploaded file holding its `name`, `path` and `size`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.uri        The storage URI of the file body
+ * @param  {String}     callback.hash       The checksum of the file body
+ * @api private
+ */
+const _storeNewFileBody = function(ctx, tenantAlias, hash, contentId, revisionId, file, callback) {
+  // We store the uploaded file in a location identified by the content id, then further identified by the revision id
+  const options = { resourceId: contentId, prefix: revisionId };
+  ContentUtil.getStorageBackend(ctx).store(tenantAlias, file, options, (err, uri) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return _recordFileBody(tenantAlias, hash, contentId, uri, callback);
+  });
+};
+
+/**
+ * Record a file body that has just been stored. When another file body has been recorded for the same checksum in
+ * the meantime, that one is referenced instead and the file that was just stored is removed again
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     contentId           The id of the content item that references the file body
+ * @param  {String}     uri                 The storage URI of the file body that was just stored
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.uri        The storage URI of the file body
+ * @param  {String}     callback.hash       The checksum of the file body
+ * @api private
+ */
+const _recordFileBody = function(tenantAlias, hash, contentId, uri, callback) {
+  const _referenceStoredFileBody = function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    return _addReference(tenantAlias, hash, contentId, uri, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, uri, hash);
+    });
+  };
+
+  ContentDAO.Bodies.createFileBody(tenantAlias, hash, uri, (err, existingBody) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!existingBody) {
+      return _referenceStoredFileBody();
+    }
+
+    if (!existingBody.uri) {
+      // The file body was recorded without being stored, so the file that was just stored becomes its body
+      return ContentDAO.Bodies.updateFileBody(tenantAlias, hash, { uri }, _referenceStoredFileBody);
+    }
+
+    if (existingBody.status === ContentConstants.fileBodies.STATUS_REMOVING) {
+      // The recorded file body is being removed, so the file that was just stored replaces it. When the removal
+      // completed or was cancelled in the meantime, the file body is recorded again
+      return ContentDAO.Bodies.replaceRemovingFileBody(tenantAlias, hash, uri, (err, replaced) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!replaced) {
+          return _recordFileBody(tenantAlias, hash, contentId, uri, callback);
+        }
+
+        return _referenceStoredFileBody();
+      });
+    }
+
+    // An identical file was stored at the same time and has been recorded first, so the file that was just stored is
+    // no longer needed unless the recorded file body started being removed before it was referenced
+    _addReference(tenantAlias, hash, contentId, existingBody.uri, (err, isStillStored) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!isStillStored) {
+        return _recordFileBody(tenantAlias, hash, contentId, uri, callback);
+      }
+
+      ContentUtil.getStorageBackend(null, uri).remove(tenantAlias, uri, err => {
+        if (err) {
+          log().warn({ err, uri }, 'Unable to remove a stored file whose body was stored at the same time');
+        }
+
+        return callback(null, existingBody.uri, hash);
+      });
+    });
+  });
+};
+
+/**
+ * Record a reference from a content item to a file body, and check whether the file body is still stored at the
+ * given URI afterwards. A file body that started being removed before the reference was recorded should not be used
+ *
+ * @param  {String}     tenantAlias                 The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                        The checksum of the file body
+ * @param  {String}     contentId                   The id of the content item that references the file body
+ * @param  {String}     uri                         The storage URI of the file body
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ * @param  {Boolean}    callback.isStillStored      Whether the file body is still stored at the given URI and is not being removed
+ * @api private
+ */
+const _addReference = function(tenantAlias, hash, contentId, uri, callback) {
+  ContentDAO.Bodies.addReference(tenantAlias, hash, contentId, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ContentDAO.Bodies.getFileBody(tenantAlias, hash, (err, body) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, _isStored(body) && body.uri === uri);
+    });
+  });
+};
+
+/**
+ * Determine whether a file body has been stored and is not being removed
+ *
+ * @param  {Object}     [body]      The file body to check
+ * @return {Boolean}                Whether the file body has been stored and is not being removed
+ * @api private
+ */
+const _isStored = function(body) {
+  return Boolean(body && body.uri && body.status !== ContentConstants.fileBodies.STATUS_REMOVING);
+};
+
+/**
+ * Remove a file body that is no longer referenced from its storage backend
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the file body
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _removeFileBody = function(tenantAlias, hash, uri, callback) {
+  let backend = null;
+  try {
+    backend = ContentUtil.getStorageBackend(null, uri);
+  } catch (error) {
+    log().warn({ err: error, uri }, 'Unable to find the storage backend of an unreferenced file body');
+    return ContentDAO.Bodies.deleteFileBody(tenantAlias, hash, uri, callback);
+  }
+
+  backend.remove(tenantAlias, uri, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    log().info({ tenantAlias, uri }, 'Removed a file body that is no longer referenced');
+    return ContentDAO.Bodies.deleteFileBody(tenantAlias, hash, uri, callback);
+  });
+};
+
+export { storeFileBody, releaseFileBodies };
@@ -0,0 +1,275 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import * as Cassandra from 'oae-util/lib/cassandra';
+
+import { ContentConstants } from 'oae-content/lib/constants';
+
+/**
+ * File bodies are stored once per tenant for each distinct checksum. Every content item that has a revision pointing
+ * to a file body holds a reference to it, so the file body can be removed once the last of those content items is purged.
+ * A file body that is being removed has the `removing` status, which only changes through conditional updates so a
+ * removal and a new upload of the same file body can't both think they own it
+ */
+
+/// ////////////
+// Retrieval //
+/// ////////////
+
+/**
+ * Get the file body with a given checksum
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.body       The file body holding its `uri`, its `status` and the `previewsRevisionId` of the revision whose previews were generated for it, or `null` if no such file body has been stored
+ */
+const getFileBody = function(tenantAlias, hash, callback) {
+  Cassandra.runQuery(
+    'SELECT * FROM "FileBodies" WHERE "tenantAlias" = ? AND "hash" = ?',
+    [tenantAlias, hash],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (_.isEmpty(rows)) {
+        return callback(null, null);
+      }
+
+      return callback(null, Cassandra.rowToHash(rows[0]));
+    }
+  );
+};
+
+/// ////////////
+// Modifiers //
+/// ////////////
+
+/**
+ * Record a file body that has been stored, unless a file body with the same checksum has already been recorded
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the file body
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.body       The file body that had already been recorded for the checksum, or `null` if the provided file body was recorded
+ */
+const createFileBody = function(tenantAlias, hash, uri, callback) {
+  Cassandra.runQuery(
+    'INSERT INTO "FileBodies" ("tenantAlias", "hash", "uri") VALUES (?, ?, ?) IF NOT EXISTS',
+    [tenantAlias, hash, uri],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (_.isEmpty(rows) || rows[0].get('[applied]')) {
+        return callback(null, null);
+      }
+
+      return callback(null, _.omit(Cassandra.rowToHash(rows[0]), '[applied]'));
+    }
+  );
+};
+
+/**
+ * Update the properties of a file body
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {Object}     updates             The `uri` and/or `previewsRevisionId` of the file body to update
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const updateFileBody = function(tenantAlias, hash, updates, callback) {
+  const query = Cassandra.constructUpsertCQL('FileBodies', ['tenantAlias', 'hash'], [tenantAlias, hash], updates);
+  Cassandra.runQuery(query.query, query.parameters, callback);
+};
+
+/**
+ * Mark a file body as being removed, provided it is still stored at the given URI
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the file body that is being removed
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Boolean}    callback.marked     Whether the file body was marked as being removed
+ */
+const markFileBodyRemoving = function(tenantAlias, hash, uri, callback) {
+  _runConditionalQuery(
+    'UPDATE "FileBodies" SET "status" = ? WHERE "tenantAlias" = ? AND "hash" = ? IF "uri" = ?',
+    [ContentConstants.fileBodies.STATUS_REMOVING, tenantAlias, hash, uri],
+    callback
+  );
+};
+
+/**
+ * Cancel the removal of a file body that is referenced again, provided it is still stored at the given URI
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the file body that was being removed
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const cancelFileBodyRemoval = function(tenantAlias, hash, uri, callback) {
+  _runConditionalQuery(
+    'UPDATE "FileBodies" SET "status" = null WHERE "tenantAlias" = ? AND "hash" = ? IF "uri" = ?',
+    [tenantAlias, hash, uri],
+    err => {
+      return callback(err);
+    }
+  );
+};
+
+/**
+ * Replace a file body that is being removed by a newly stored one with the same checksum
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the newly stored file body
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Boolean}    callback.replaced   Whether the file body was still being removed and has been replaced
+ */
+const replaceRemovingFileBody = function(tenantAlias, hash, uri, callback) {
+  _runConditionalQuery(
+    'UPDATE "FileBodies" SET "uri" = ?, "status" = null WHERE "tenantAlias" = ? AND "hash" = ? IF "status" = ?',
+    [uri, tenantAlias, hash, ContentConstants.fileBodies.STATUS_REMOVING],
+    callback
+  );
+};
+
+/**
+ * Remove the record of a file body that was being removed, provided it has not been replaced in the meantime
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     uri                 The storage URI of the file body that was removed
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const deleteFileBody = function(tenantAlias, hash, uri, callback) {
+  _runConditionalQuery(
+    'DELETE FROM "FileBodies" WHERE "tenantAlias" = ? AND "hash" = ? IF "uri" = ? AND "status" = ?',
+    [tenantAlias, hash, uri, ContentConstants.fileBodies.STATUS_REMOVING],
+    err => {
+      return callback(err);
+    }
+  );
+};
+
+/**
+ * Record that a content item references a file body
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                The checksum of the file body
+ * @param  {String}     contentId           The id of the content item that references the file body
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const addReference = function(tenantAlias, hash, contentId, callback) {
+  Cassandra.runQuery(
+    'INSERT INTO "FileBodyReferences" ("tenantAlias", "hash", "contentId") VALUES (?, ?, ?)',
+    [tenantAlias, hash, contentId],
+    callback
+  );
+};
+
+/**
+ * Remove the reference a content item holds to a file body
+ *
+ * @param  {String}     tenantAlias             The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                    The checksum of the file body
+ * @param  {String}     contentId               The id of the content item that no longer references the file body
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Boolean}    callback.isReferenced   Whether other content items still reference the file body
+ */
+const removeReference = function(tenantAlias, hash, contentId, callback) {
+  Cassandra.runQuery(
+    'DELETE FROM "FileBodyReferences" WHERE "tenantAlias" = ? AND "hash" = ? AND "contentId" = ?',
+    [tenantAlias, hash, contentId],
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return isReferenced(tenantAlias, hash, callback);
+    }
+  );
+};
+
+/**
+ * Determine whether any content item references a file body
+ *
+ * @param  {String}     tenantAlias             The alias of the tenant to which the file body was uploaded
+ * @param  {String}     hash                    The checksum of the file body
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Boolean}    callback.isReferenced   Whether any content item references the file body
+ */
+const isReferenced = function(tenantAlias, hash, callback) {
+  Cassandra.runQuery(
+    'SELECT "contentId" FROM "FileBodyReferences" WHERE "tenantAlias" = ? AND "hash" = ? LIMIT 1',
+    [tenantAlias, hash],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, !_.isEmpty(rows));
+    }
+  );
+};
+
+/**
+ * Run a conditional query and determine whether it was applied
+ *
+ * @param  {String}     query               The conditional query to run
+ * @param  {Array}      parameters          The parameters of the query
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Boolean}    callback.applied    Whether the conditions of the query were met and it was applied
+ * @api private
+ */
+const _runConditionalQuery = function(query, parameters, callback) {
+  Cassandra.runQuery(query, parameters, (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, !_.isEmpty(rows) && rows[0].get('[applied]') === true);
+  });
+};
+
+export {
+  getFileBody,
+  createFileBody,
+  updateFileBody,
+  markFileBodyRemoving,
+  cancelFileBodyRemoval,
+  replaceRemovingFileBody,
+  deleteFileBody,
+  addReference,
+  removeReference,
+  isReferenced
+};
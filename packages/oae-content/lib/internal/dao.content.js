@@ -29,6 +29,7 @@ import * as Cassandra from 'oae-util/lib/cassandra';
 import * as LibraryAPI from 'oae-library';
 import { logger } from 'oae-logger';
 import * as OaeUtil from 'oae-util/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
 
 import { Content } from 'oae-content/lib/model';
 import { ContentConstants } from 'oae-content/lib/constants';
@@ -54,7 +55,8 @@ const getContent = function(contentId, callback) {
       return callback(err);
     }
 
-    if (_.isEmpty(rows)) {
+    // Content items that are in the trash can no longer be retrieved
+    if (_.isEmpty(rows) || rows[0].get('deleted')) {
       return callback({ code: 404, msg: "Couldn't find content: " + contentId }, null);
     }
 
@@ -62,6 +64,28 @@ const getContent = function(contentId, callback) {
   });
 };
 
+/**
+ * Get the basic profile of a content item that has been deleted and is in the trash
+ *
+ * @param  {String}         contentId           The id of the deleted content item to retrieve
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Content}        callback.content    Retrieved content object
+ */
+const getDeletedContent = function(contentId, callback) {
+  Cassandra.runQuery('SELECT * FROM "Content" WHERE "contentId" = ?', [contentId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows) || !rows[0].get('deleted')) {
+      return callback({ code: 404, msg: "Couldn't find deleted content: " + contentId }, null);
+    }
+
+    return callback(null, _rowToContent(rows[0]));
+  });
+};
+
 /**
  * Get multiple content basic profiles at the same time based on their content ids.
  *
@@ -84,8 +108,8 @@ const getMultipleContentItems = function(contentIds, fields, callback) {
     // Ensure fields is a proper array
     fields = OaeUtil.toArray(fields);
 
-    // Always fetch the content id
-    fields = _.union(fields, ['contentId']);
+    // Always fetch the content id and whether the content item has been deleted
+    fields = _.union(fields, ['contentId', 'deleted']);
     query = util.format('SELECT "%s" FROM "Content" WHERE "contentId" IN ?', fields.join('","'));
   } else {
     query = 'SELECT * FROM "Content" WHERE "contentId" IN ?';
@@ -101,6 +125,11 @@ const getMultipleContentItems = function(contentIds, fields, callback) {
     // Index each content item by their id to look up for the final ordered array
     const contentItemsById = {};
     _.each(rows, row => {
+      // Content items that are in the trash are treated as if they no longer exist
+      if (row.get('deleted')) {
+        return;
+      }
+
       const content = _rowToContent(row);
       contentItemsById[content.id] = content;
     });
@@ -209,7 +238,8 @@ const createContent = function(
         parameters.created,
         parameters.lastModified,
         revision.revisionId,
-        { status: 'pending' }
+        { status: 'pending' },
+        parameters.tags
       );
       return callback(null, contentObj, revision);
     });
@@ -260,7 +290,36 @@ const updateContent = function(contentObj, profileUpdates, librariesUpdate, call
 };
 
 /**
- * Deletes a piece of content from the database and removes it from all the managers/members
+ * Check out a file by storing the user who holds the lock and the time at which the lock expires. Note that this
+ * doesn't update the last modified timestamp of the content item, as the file itself doesn't change
+ *
+ * @param  {String}     contentId           The id of the file to lock
+ * @param  {String}     lockedBy            The id of the user who holds the lock
+ * @param  {Number}     expires             The timestamp (millis since epoch) at which the lock expires
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const lockContent = function(contentId, lockedBy, expires, callback) {
+  Cassandra.runQuery(
+    'UPDATE "Content" SET "lockedBy" = ?, "lockExpires" = ? WHERE "contentId" = ?',
+    [lockedBy, expires.toString(), contentId],
+    callback
+  );
+};
+
+/**
+ * Release the lock on a file, if any
+ *
+ * @param  {String}     contentId           The id of the file to unlock
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const unlockContent = function(contentId, callback) {
+  Cassandra.runQuery('DELETE "lockedBy", "lockExpires" FROM "Content" WHERE "contentId" = ?', [contentId], callback);
+};
+
+/**
+ * Permanently deletes a piece of content from the database and removes it from all the managers/members
  * their libraries.
  *
  * @param  {Content}                contentObj              The piece of content that should be removed
@@ -321,6 +380,77 @@ const deleteContent = function(contentObj, callback) {
   });
 };
 
+/**
+ * Mark a content item as deleted and remove it from the libraries of its members. The members keep their role on the
+ * content item so it can be restored later on
+ *
+ * @param  {Content}        contentObj          The content object to mark as deleted
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object[]}       callback.members    The members of the content item. Each member has an `id` and a `role`
+ */
+const markContentDeleted = function(contentObj, callback) {
+  Cassandra.runQuery(
+    'UPDATE "Content" SET "deleted" = ? WHERE "contentId" = ?',
+    [Date.now().toString(), contentObj.id],
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      getAllContentMembers(contentObj.id, (err, members) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const libraryRemoveEntries = _.map(members, member => {
+          return { id: member.id, rank: contentObj.lastModified, resource: contentObj };
+        });
+        LibraryAPI.Index.remove(ContentConstants.library.CONTENT_LIBRARY_INDEX_NAME, libraryRemoveEntries, err => {
+          if (err) {
+            log().warn({ err, contentId: contentObj.id }, 'Failed to remove a deleted content item from libraries');
+          }
+
+          return callback(null, members);
+        });
+      });
+    }
+  );
+};
+
+/**
+ * Restore a content item that was marked as deleted and add it back to the libraries of its members
+ *
+ * @param  {Content}        contentObj          The deleted content object to restore
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object[]}       callback.members    The members of the content item. Each member has an `id` and a `role`
+ */
+const restoreContent = function(contentObj, callback) {
+  Cassandra.runQuery('DELETE "deleted" FROM "Content" WHERE "contentId" = ?', [contentObj.id], err => {
+    if (err) {
+      return callback(err);
+    }
+
+    getAllContentMembers(contentObj.id, (err, members) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const libraryInsertEntries = _.map(members, member => {
+        return { id: member.id, rank: contentObj.lastModified, resource: contentObj };
+      });
+      LibraryAPI.Index.insert(ContentConstants.library.CONTENT_LIBRARY_INDEX_NAME, libraryInsertEntries, err => {
+        if (err) {
+          log().warn({ err, contentId: contentObj.id }, 'Failed to add a restored content item back to libraries');
+        }
+
+        return callback(null, members);
+      });
+    });
+  });
+};
+
 /// ////////////
 // Libraries //
 /// ////////////
@@ -541,12 +671,19 @@ const _rowToContent = function(row) {
     hash.created,
     hash.lastModified,
     hash.latestRevisionId,
-    hash.previews
+    hash.previews,
+    ResourceTags.parseTags(hash.tags)
   );
   if (isResourceAFile(contentObj.resourceSubType)) {
     contentObj.filename = hash.filename;
     contentObj.size = hash.size ? parseInt(hash.size, 10) : 0;
     contentObj.mime = hash.mime;
+
+    // An expired lock is as good as no lock at all
+    const lockExpires = OaeUtil.getNumberParam(hash.lockExpires);
+    if (hash.lockedBy && lockExpires > Date.now()) {
+      contentObj.lock = { lockedBy: hash.lockedBy, expires: lockExpires };
+    }
   } else if (isResourceALink(contentObj.resourceSubType)) {
     contentObj.link = hash.link;
   } else if (isResourceACollabDoc(contentObj.resourceSubType)) {
@@ -579,11 +716,16 @@ const _parsePreviews = function(hash) {
 
 export {
   getContent,
+  getDeletedContent,
   getMultipleContentItems,
   getAllContentMembers,
   createContent,
   updateContent,
+  lockContent,
+  unlockContent,
   deleteContent,
+  markContentDeleted,
+  restoreContent,
   getContentLibraryItems,
   iterateAll,
   updateContentLibraries
@@ -13,10 +13,13 @@
  * permissions and limitations under the License.
  */
 
+import * as Bodies from './dao.bodies';
 import * as Content from './dao.content';
 import * as Etherpad from './dao.etherpad';
 import * as Ethercalc from './dao.ethercalc';
 import * as Previews from './dao.previews';
 import * as Revisions from './dao.revisions';
+import * as Storage from './dao.storage';
+import * as Uploads from './dao.uploads';
 
-export { Content, Etherpad, Ethercalc, Previews, Revisions };
+export { Bodies, Content, Etherpad, Ethercalc, Previews, Revisions, Storage, Uploads };
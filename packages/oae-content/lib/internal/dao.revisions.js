@@ -193,6 +193,39 @@ const getRevision = function(revisionId, callback) {
   });
 };
 
+/**
+ * Iterate through all the revisions. This will return just the raw revision properties that are specified in the `properties`
+ * parameter, and only `batchSize` revisions at a time. On each iteration of `batchSize` revisions, the `onEach` callback
+ * will be invoked, and the next batch will not be fetched until you have invoked the `onEach.done` function parameter
+ *
+ * @param  {String[]}   [properties]        The names of the revision properties to return in the revision objects. If not specified (or is empty array), it returns just the `revisionId`s
+ * @param  {Number}     [batchSize]         The number of revisions to fetch at a time. Defaults to 100
+ * @param  {Function}   onEach              Invoked with each batch of revisions that are fetched from storage
+ * @param  {Object[]}   onEach.revisionRows An array of objects holding the raw revision rows that were fetched from storage
+ * @param  {Function}   onEach.done         The function to invoke when processing of the current batch is complete
+ * @param  {Object}     onEach.done.err     An error that occurred, if any, while processing the current batch. If you specify this error, iteration will finish and the completion callback will be invoked
+ * @param  {Function}   [callback]          Invoked when all rows have been iterated, or an error has occurred
+ * @param  {Object}     [callback.err]      An error that occurred, while iterating rows, if any
+ * @see Cassandra#iterateAll
+ */
+const iterateAll = function(properties, batchSize, onEach, callback) {
+  if (!properties || properties.length === 0) {
+    properties = ['revisionId'];
+  }
+
+  /*!
+   * Handles each batch from the cassandra iterateAll method.
+   *
+   * @see Cassandra#iterateAll
+   */
+  const _iterateAllOnEach = function(rows, done) {
+    // Convert the rows to a hash and delegate action to the caller onEach method
+    return onEach(_.map(rows, Cassandra.rowToHash), done);
+  };
+
+  Cassandra.iterateAll(properties, 'Revisions', 'revisionId', { batchSize }, _iterateAllOnEach, callback);
+};
+
 /// ////////////
 // Modifiers //
 /// ////////////
@@ -282,4 +315,4 @@ const _rowToRevision = function(row) {
   return new Revision(hash.contentId, hash.revisionId, hash.createdBy, hash.created, hash);
 };
 
-export { getRevisions, getMultipleRevisions, getAllRevisionsForContent, getRevision, createRevision };
+export { getRevisions, getMultipleRevisions, getAllRevisionsForContent, getRevision, iterateAll, createRevision };
@@ -0,0 +1,244 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import util from 'util';
+import _ from 'underscore';
+
+import * as Cassandra from 'oae-util/lib/cassandra';
+import * as OaeUtil from 'oae-util/lib/util';
+
+// The columns of the revisions and content items that can hold a storage URI
+const URI_COLUMNS = ['uri', 'largeUri', 'mediumUri', 'smallUri', 'thumbnailUri', 'wideUri'];
+
+/// ////////////
+// Retrieval //
+/// ////////////
+
+/**
+ * Get the status of the storage migration of a tenant
+ *
+ * @param  {String}     tenantAlias             The alias of the tenant for which to get the storage migration
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.migration      The storage migration of the tenant, or `null` if its storage was never migrated
+ */
+const getStorageMigration = function(tenantAlias, callback) {
+  Cassandra.runQuery('SELECT * FROM "StorageMigrations" WHERE "tenantAlias" = ?', [tenantAlias], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows)) {
+      return callback(null, null);
+    }
+
+    return callback(null, _rowToStorageMigration(rows[0]));
+  });
+};
+
+/// ////////////
+// Modifiers //
+/// ////////////
+
+/**
+ * Reset the storage migration of a tenant so a new migration towards a storage backend can be tracked
+ *
+ * @param  {String}     tenantAlias             The alias of the tenant whose storage will be migrated
+ * @param  {String}     backend                 The name of the storage backend to which the files will be migrated
+ * @param  {String}     status                  The status of the new migration
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.migration      The new storage migration
+ */
+const createStorageMigration = function(tenantAlias, backend, status, callback) {
+  const migration = {
+    tenantAlias,
+    status,
+    backend,
+    started: null,
+    updated: Date.now(),
+    finished: null,
+    revisions: 0,
+    files: 0,
+    failed: 0,
+    failures: []
+  };
+
+  // Explicitly insert the empty columns so nothing of a previous migration is left behind
+  Cassandra.runQuery(
+    'INSERT INTO "StorageMigrations" ("tenantAlias", "status", "backend", "started", "updated", "finished", "revisions", "files", "failed", "failures") VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [tenantAlias, status, backend, null, String(migration.updated), null, '0', '0', '0', '[]'],
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, migration);
+    }
+  );
+};
+
+/**
+ * Update the status and progress of the storage migration of a tenant. Unless specified otherwise, the time at which
+ * the migration was last updated is set to the current time
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant whose storage migration should be updated
+ * @param  {Object}     updates             The properties of the storage migration that should be updated
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const updateStorageMigration = function(tenantAlias, updates, callback) {
+  updates = _.extend({ updated: Date.now() }, updates);
+  const values = _.mapObject(updates, (value, name) => {
+    return name === 'failures' ? JSON.stringify(value) : String(value);
+  });
+  const query = Cassandra.constructUpsertCQL('StorageMigrations', 'tenantAlias', tenantAlias, values);
+  Cassandra.runQuery(query.query, query.parameters, callback);
+};
+
+/**
+ * Replace the storage URIs that are referenced by a revision, its preview items and its content item
+ *
+ * @param  {String}     revisionId      The id of the revision whose URIs should be replaced
+ * @param  {String}     contentId       The id of the content item to which the revision belongs
+ * @param  {Object}     uris            The new URIs, keyed by the URIs they replace
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const replaceUris = function(revisionId, contentId, uris, callback) {
+  const columns = _.map(URI_COLUMNS.concat('previews'), column => util.format('"%s"', column)).join(', ');
+  Cassandra.runQuery(
+    util.format('SELECT %s FROM "Revisions" WHERE "revisionId" = ?', columns),
+    [revisionId],
+    (err, revisionRows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      Cassandra.runQuery(
+        util.format('SELECT %s FROM "Content" WHERE "contentId" = ?', columns),
+        [contentId],
+        (err, contentRows) => {
+          if (err) {
+            return callback(err);
+          }
+
+          Cassandra.runQuery(
+            'SELECT "name", "value" FROM "PreviewItems" WHERE "revisionId" = ?',
+            [revisionId],
+            (err, previewItemRows) => {
+              if (err) {
+                return callback(err);
+              }
+
+              const queries = [];
+
+              // Only update rows that still exist, as an upsert would otherwise bring a removed row back
+              const revisionUpdate = _.isEmpty(revisionRows) ? {} : _getUriUpdates(revisionRows[0], uris);
+              if (!_.isEmpty(revisionUpdate)) {
+                queries.push(Cassandra.constructUpsertCQL('Revisions', 'revisionId', revisionId, revisionUpdate));
+              }
+
+              const contentUpdate = _.isEmpty(contentRows) ? {} : _getUriUpdates(contentRows[0], uris);
+              if (!_.isEmpty(contentUpdate)) {
+                queries.push(Cassandra.constructUpsertCQL('Content', 'contentId', contentId, contentUpdate));
+              }
+
+              // Preview items are stored as `size#uri`
+              _.each(previewItemRows, row => {
+                const value = row.get('value').split('#');
+                const uri = value.slice(1).join('#');
+                if (uris[uri]) {
+                  queries.push({
+                    query: 'INSERT INTO "PreviewItems" ("revisionId", "name", "value") VALUES (?, ?, ?)',
+                    parameters: [revisionId, row.get('name'), value[0] + '#' + uris[uri]]
+                  });
+                }
+              });
+
+              if (_.isEmpty(queries)) {
+                return callback();
+              }
+
+              return Cassandra.runBatchQuery(queries, callback);
+            }
+          );
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Get the column updates that replace the storage URIs held by a revision or content row
+ *
+ * @param  {Row}        row         The revision or content row that holds the URI columns and the previews
+ * @param  {Object}     uris        The new URIs, keyed by the URIs they replace
+ * @return {Object}                 The columns that should be updated, keyed by their name
+ * @api private
+ */
+const _getUriUpdates = function(row, uris) {
+  const hash = Cassandra.rowToHash(row);
+  const updates = {};
+  _.each(URI_COLUMNS, column => {
+    if (uris[hash[column]]) {
+      updates[column] = uris[hash[column]];
+    }
+  });
+
+  // The previews object holds URIs for each of the preview sizes
+  if (hash.previews) {
+    let replaced = false;
+    const previews = _.mapObject(JSON.parse(hash.previews), value => {
+      if (_.isString(value) && uris[value]) {
+        replaced = true;
+        return uris[value];
+      }
+
+      return value;
+    });
+
+    if (replaced) {
+      updates.previews = JSON.stringify(previews);
+    }
+  }
+
+  return updates;
+};
+
+/**
+ * Convert a Cassandra row to a storage migration
+ *
+ * @param  {Row}        row     The Cassandra row of the storage migration
+ * @return {Object}             The storage migration
+ * @api private
+ */
+const _rowToStorageMigration = function(row) {
+  const hash = Cassandra.rowToHash(row);
+  return {
+    tenantAlias: hash.tenantAlias,
+    status: hash.status,
+    backend: hash.backend,
+    started: OaeUtil.getNumberParam(hash.started),
+    updated: OaeUtil.getNumberParam(hash.updated),
+    finished: OaeUtil.getNumberParam(hash.finished),
+    revisions: OaeUtil.getNumberParam(hash.revisions, 0),
+    files: OaeUtil.getNumberParam(hash.files, 0),
+    failed: OaeUtil.getNumberParam(hash.failed, 0),
+    failures: hash.failures ? JSON.parse(hash.failures) : []
+  };
+};
+
+export { getStorageMigration, createStorageMigration, updateStorageMigration, replaceUris };
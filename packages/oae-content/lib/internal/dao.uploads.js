@@ -0,0 +1,101 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import * as Cassandra from 'oae-util/lib/cassandra';
+
+/// ////////////
+// Retrieval //
+/// ////////////
+
+/**
+ * Get an upload that is in progress
+ *
+ * @param  {String}     uploadId            The id of the upload to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.upload     The upload, or `null` if it does not exist or has expired
+ */
+const getUpload = function(uploadId, callback) {
+  Cassandra.runQuery('SELECT * FROM "Uploads" WHERE "uploadId" = ?', [uploadId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows)) {
+      return callback(null, null);
+    }
+
+    return callback(null, _rowToUpload(rows[0]));
+  });
+};
+
+/// ////////////
+// Modifiers //
+/// ////////////
+
+/**
+ * Store an upload. All of its columns are written every time so they expire together
+ *
+ * @param  {Object}     upload              The upload to store
+ * @param  {Number}     ttl                 The number of seconds after which the upload expires
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const storeUpload = function(upload, ttl, callback) {
+  const values = _.chain(upload)
+    .pick('tenantAlias', 'createdBy', 'contentId', 'storageId', 'filename', 'size', 'offset', 'created')
+    .omit(_.isNull)
+    .mapObject(String)
+    .value();
+  const query = Cassandra.constructUpsertCQL('Uploads', 'uploadId', upload.id, values, ttl);
+  Cassandra.runQuery(query.query, query.parameters, callback);
+};
+
+/**
+ * Delete an upload
+ *
+ * @param  {String}     uploadId            The id of the upload to delete
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const deleteUpload = function(uploadId, callback) {
+  Cassandra.runQuery('DELETE FROM "Uploads" WHERE "uploadId" = ?', [uploadId], callback);
+};
+
+/**
+ * Convert a Cassandra row into an upload
+ *
+ * @param  {Row}        row     The Cassandra row to convert
+ * @return {Object}             The upload held by the row
+ * @api private
+ */
+const _rowToUpload = function(row) {
+  const hash = Cassandra.rowToHash(row);
+  return {
+    id: hash.uploadId,
+    tenantAlias: hash.tenantAlias,
+    createdBy: hash.createdBy,
+    contentId: hash.contentId || null,
+    storageId: hash.storageId,
+    filename: hash.filename,
+    size: parseInt(hash.size, 10),
+    offset: parseInt(hash.offset, 10),
+    created: parseInt(hash.created, 10)
+  };
+};
+
+export { getUpload, storeUpload, deleteUpload };
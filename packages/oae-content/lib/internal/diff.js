@@ -0,0 +1,125 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import { ContentConstants } from '../constants';
+
+/**
+ * Compute the differences between two lists of lines. Lines that both lists have in common are
+ * matched up using their longest common subsequence. When the part of the lists that differs is too
+ * big to match up, it is reported as removed and added in its entirety
+ *
+ * @param  {String[]}   oldLines    The lines of the old version
+ * @param  {String[]}   newLines    The lines of the new version
+ * @return {Object[]}               The changes, in order. Each change has a `type` that is one of `equal`, `added` or `removed` and holds the `value` of the line
+ */
+const diffLines = function(oldLines, newLines) {
+  oldLines = oldLines || [];
+  newLines = newLines || [];
+
+  // Lines at the start and the end that haven't changed don't need to take part in the comparison
+  let prefixLength = 0;
+  const maxPrefixLength = Math.min(oldLines.length, newLines.length);
+  while (prefixLength < maxPrefixLength && oldLines[prefixLength] === newLines[prefixLength]) {
+    prefixLength++;
+  }
+
+  let suffixLength = 0;
+  const maxSuffixLength = maxPrefixLength - prefixLength;
+  while (
+    suffixLength < maxSuffixLength &&
+    oldLines[oldLines.length - 1 - suffixLength] === newLines[newLines.length - 1 - suffixLength]
+  ) {
+    suffixLength++;
+  }
+
+  const oldMiddle = oldLines.slice(prefixLength, oldLines.length - suffixLength);
+  const newMiddle = newLines.slice(prefixLength, newLines.length - suffixLength);
+
+  return _.flatten(
+    [
+      _toChanges('equal', oldLines.slice(0, prefixLength)),
+      _diffMiddle(oldMiddle, newMiddle),
+      _toChanges('equal', oldLines.slice(oldLines.length - suffixLength))
+    ],
+    true
+  );
+};
+
+/**
+ * Compute the differences between two lists of lines that differ at both their start and end
+ *
+ * @param  {String[]}   oldLines    The lines of the old version
+ * @param  {String[]}   newLines    The lines of the new version
+ * @return {Object[]}               The changes, in order
+ * @api private
+ */
+const _diffMiddle = function(oldLines, newLines) {
+  if (
+    _.isEmpty(oldLines) ||
+    _.isEmpty(newLines) ||
+    oldLines.length * newLines.length > ContentConstants.diff.MAX_COMPARISONS
+  ) {
+    return _.flatten([_toChanges('removed', oldLines), _toChanges('added', newLines)], true);
+  }
+
+  // Build the table of longest common subsequence lengths for every pair of suffixes
+  const lengths = _.map(_.range(oldLines.length + 1), () => {
+    return new Uint32Array(newLines.length + 1);
+  });
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  // Walk the table to find the changes
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      changes.push({ type: 'equal', value: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', value: oldLines[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', value: newLines[j] });
+      j++;
+    }
+  }
+
+  return _.flatten([changes, _toChanges('removed', oldLines.slice(i)), _toChanges('added', newLines.slice(j))], true);
+};
+
+/**
+ * Convert a list of lines into changes of the same type
+ *
+ * @param  {String}     type        The type of the changes. One of `equal`, `added` or `removed`
+ * @param  {String[]}   lines       The lines to convert
+ * @return {Object[]}               The changes
+ * @api private
+ */
+const _toChanges = function(type, lines) {
+  return _.map(lines, value => {
+    return { type, value };
+  });
+};
+
+export { diffLines };
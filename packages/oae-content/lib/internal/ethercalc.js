@@ -14,6 +14,7 @@
  */
 
 import url from 'url';
+import util from 'util';
 import EthercalcClient from 'ethercalc-client';
 
 import _ from 'underscore';
@@ -331,6 +332,85 @@ const isContentEqual = function(one, other) {
   return $one(TABLE_ELEMENT).html() === $other(TABLE_ELEMENT).html();
 };
 
+/**
+ * Determine which cells changed between two versions of a spreadsheet in socialcalc format
+ *
+ * @param  {String}     [one]       The socialcalc snapshot of the old version of the spreadsheet
+ * @param  {String}     [other]     The socialcalc snapshot of the new version of the spreadsheet
+ * @return {Object[]}               The changed cells, ordered by column and row. Each change holds the `cell` coordinate (e.g., `A1`) and the value of the cell `before` and `after` the change. A cell that was added has no `before` value and a cell that was removed has no `after` value
+ */
+const getCellDiff = function(one, other) {
+  const oldCells = _getCellValues(one);
+  const newCells = _getCellValues(other);
+
+  return _.chain(_.union(_.keys(oldCells), _.keys(newCells)))
+    .filter(cell => {
+      return oldCells[cell] !== newCells[cell];
+    })
+    .sortBy(cell => {
+      // Pad the row number so cells are ordered by column first and row next, e.g., A2 before A10
+      const [, column, row] = cell.match(/^([A-Z]+)(\d+)$/);
+      return util.format('%s%s', column.padStart(4, ' '), row.padStart(8, '0'));
+    })
+    .map(cell => {
+      return { cell, before: oldCells[cell], after: newCells[cell] };
+    })
+    .value();
+};
+
+/**
+ * Get the values of the cells in a spreadsheet in socialcalc format. Cells are stored on lines in the
+ * format `cell:<coordinate>:<type>:<value>[:<attribute>:<value>...]`, e.g., `cell:A1:t:test` for a
+ * text cell or `cell:B2:vtf:n:3:A1+2` for a formula. Formulas are returned as the formula that was
+ * entered rather than the value it evaluates to
+ *
+ * @param  {String}     [snapshot]  The socialcalc snapshot of the spreadsheet
+ * @return {Object}                 The value of each cell keyed by the coordinate of the cell
+ * @api private
+ */
+const _getCellValues = function(snapshot) {
+  const cells = {};
+  _.each((snapshot || '').split(/\r?\n/), line => {
+    const parts = line.split(':');
+    if (parts[0] !== 'cell' || !/^[A-Z]+\d+$/.test(parts[1])) {
+      return;
+    }
+
+    const [, cell, type] = parts;
+    let value = null;
+    if (type === 'v' || type === 't') {
+      value = parts[3];
+    } else if (type === 'vt') {
+      value = parts[4];
+    } else if (type === 'vtf') {
+      value = '=' + parts[5];
+    } else if (type === 'vtc') {
+      value = parts[5];
+    }
+
+    // Cells that only hold formatting don't have a value
+    if (value) {
+      cells[cell] = _decodeSocialCalcValue(value);
+    }
+  });
+
+  return cells;
+};
+
+/**
+ * Decode a value that was encoded in socialcalc format, where colons, new lines and backslashes
+ * are escaped
+ *
+ * @param  {String}     value       The encoded value
+ * @return {String}                 The decoded value
+ * @api private
+ */
+const _decodeSocialCalcValue = function(value) {
+  return value.replace(/\\([cnb])/g, (match, code) => {
+    return { c: ':', n: '\n', b: '\\' }[code];
+  });
+};
+
 /**
  * Record which user has edited an Ethercalc room
  *
@@ -398,5 +478,6 @@ export {
   getRoomUrl,
   isContentEmpty,
   isContentEqual,
+  getCellDiff,
   setEditedBy
 };
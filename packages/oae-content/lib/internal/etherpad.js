@@ -21,6 +21,8 @@ import cheerio from 'cheerio';
 import { logger } from 'oae-logger';
 import * as etherpad from 'etherpad-lite-client';
 
+import * as ContentDiff from './diff';
+
 const log = logger('etherpad');
 
 let etherpadServers = [];
@@ -365,6 +367,57 @@ const isContentEmpty = function(content) {
   );
 };
 
+/**
+ * Render the differences between two versions of an etherpad document as HTML. Each line of the
+ * document is compared as a whole. Lines that were removed are wrapped in a `del` element and lines
+ * that were added are wrapped in an `ins` element
+ *
+ * @param  {String}     [one]       The content of the old version of the etherpad document
+ * @param  {String}     [other]     The content of the new version of the etherpad document
+ * @return {String}                 The HTML that shows the differences between both versions
+ */
+const getHTMLDiff = function(one, other) {
+  const changes = ContentDiff.diffLines(_getLines(one), _getLines(other));
+  const html = _.map(changes, change => {
+    if (change.type === 'removed') {
+      return util.format('<del>%s</del><br>', change.value);
+    }
+
+    if (change.type === 'added') {
+      return util.format('<ins>%s</ins><br>', change.value);
+    }
+
+    return change.value + '<br>';
+  });
+
+  return _wrapInHtmlBody(html.join(''));
+};
+
+/**
+ * Split the body of an etherpad document into its lines
+ *
+ * @param  {String}     [content]   The content of the etherpad document
+ * @return {String[]}               The HTML of each line in the document
+ * @api private
+ */
+const _getLines = function(content) {
+  if (isContentEmpty(content)) {
+    return [];
+  }
+
+  const $ = _createEtherpadContent$(content);
+  const lines = $('body')
+    .html()
+    .split(/<br\s*\/?>/i);
+
+  // Etherpad always ends a document with a line break, which doesn't start a new line
+  if (_.last(lines).trim() === '') {
+    lines.pop();
+  }
+
+  return lines;
+};
+
 /**
  * Get an etherpad client that can talk to an etherpad API.
  *
@@ -480,5 +533,6 @@ export {
   getPadUrl,
   isContentEqual,
   isContentEmpty,
+  getHTMLDiff,
   getClient
 };
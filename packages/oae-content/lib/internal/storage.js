@@ -0,0 +1,352 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import Path from 'path';
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+
+import { logger } from 'oae-logger';
+import * as IO from 'oae-util/lib/io';
+
+import * as AuthzUtil from 'oae-authz/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+import { Context } from 'oae-context';
+
+import { ContentConstants } from '../constants';
+import * as BackendUtil from '../backends/util';
+import * as ContentDAO from './dao';
+import * as ContentUtil from './util';
+
+const log = logger('oae-content-storage');
+
+// The revision columns that can hold a storage URI
+const REVISION_COLUMNS = [
+  'revisionId',
+  'contentId',
+  'uri',
+  'hash',
+  'previews',
+  'largeUri',
+  'mediumUri',
+  'smallUri',
+  'thumbnailUri',
+  'wideUri'
+];
+
+/**
+ * Copy the file bodies and preview files of all the revisions of a tenant to the storage backend that is configured
+ * for the tenant. Each copied file is verified against the checksum of the original before the URIs of the revision,
+ * its preview items and its content item are replaced. The original files are left in place so that download links
+ * that were handed out before the migration keep working. Files that fail to migrate keep their original URI and are
+ * reported as failures in the status of the migration
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant whose storage should be migrated
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const migrateStorage = function(tenantAlias, callback) {
+  ContentDAO.Storage.getStorageMigration(tenantAlias, (err, migration) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!migration) {
+      log().warn({ tenantAlias }, 'Received a storage migration task for a migration that was never queued');
+      return callback();
+    }
+
+    const ctx = new Context(TenantsAPI.getTenant(tenantAlias));
+    let targetBackend = null;
+    try {
+      targetBackend = ContentUtil.getStorageBackend(ctx, migration.backend + ':');
+    } catch (error) {
+      return _finishStorageMigration(tenantAlias, migration, { code: 400, msg: error.message }, callback);
+    }
+
+    migration.status = ContentConstants.storageMigration.status.RUNNING;
+    migration.started = Date.now();
+    const statusUpdate = _.pick(migration, 'status', 'started');
+    ContentDAO.Storage.updateStorageMigration(tenantAlias, statusUpdate, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      log().info({ tenantAlias, backend: migration.backend }, 'Starting the storage migration of a tenant');
+
+      /*!
+       * Migrate the files of each revision of the tenant and keep track of the progress
+       */
+      const _onEach = function(revisionRows, done) {
+        revisionRows = _.filter(revisionRows, row => {
+          return AuthzUtil.getResourceFromId(row.revisionId).tenantAlias === tenantAlias;
+        });
+
+        eachSeries(
+          revisionRows,
+          (revisionRow, next) => {
+            _migrateRevision(ctx, targetBackend, migration, revisionRow, next);
+          },
+          err => {
+            if (err) {
+              return done(err);
+            }
+
+            const progress = _.pick(migration, 'revisions', 'files', 'failed', 'failures');
+            return ContentDAO.Storage.updateStorageMigration(tenantAlias, progress, done);
+          }
+        );
+      };
+
+      ContentDAO.Revisions.iterateAll(REVISION_COLUMNS, ContentConstants.storageMigration.BATCH_SIZE, _onEach, err => {
+        return _finishStorageMigration(tenantAlias, migration, err, callback);
+      });
+    });
+  });
+};
+
+/**
+ * Copy the files of a revision to the target storage backend and replace their URIs
+ *
+ * @param  {Context}    ctx                 Standard context object containing the tenant whose storage is migrated
+ * @param  {Backend}    targetBackend       The storage backend to which the files should be copied
+ * @param  {Object}     migration           The storage migration whose progress should be tracked
+ * @param  {Object}     revisionRow         The raw revision row that holds the URIs of the revision
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred while replacing the URIs, if any
+ * @api private
+ */
+const _migrateRevision = function(ctx, targetBackend, migration, revisionRow, callback) {
+  ContentDAO.Previews.getContentPreviews(revisionRow.revisionId, (err, previewItems) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const previews = revisionRow.previews ? JSON.parse(revisionRow.previews) : {};
+    const uris = _.chain(revisionRow)
+      .pick('uri', 'largeUri', 'mediumUri', 'smallUri', 'thumbnailUri', 'wideUri')
+      .values()
+      .concat(_.values(previews), _.pluck(previewItems, 'uri'))
+      .filter(uri => {
+        return _shouldMigrate(uri, migration.backend);
+      })
+      .uniq()
+      .value();
+
+    const newUris = {};
+    eachSeries(
+      uris,
+      (uri, done) => {
+        _migrateFile(ctx, targetBackend, revisionRow.contentId, uri, (err, newUri) => {
+          if (err) {
+            log().warn({ err, revisionId: revisionRow.revisionId, uri }, 'Failed to migrate a file');
+            migration.failed++;
+            if (migration.failures.length < ContentConstants.storageMigration.MAX_FAILURES) {
+              migration.failures.push({ revisionId: revisionRow.revisionId, uri, msg: err.msg });
+            }
+          } else {
+            migration.files++;
+            newUris[uri] = newUri;
+          }
+
+          return done();
+        });
+      },
+      () => {
+        migration.revisions++;
+        if (_.isEmpty(newUris)) {
+          return callback();
+        }
+
+        ContentDAO.Storage.replaceUris(revisionRow.revisionId, revisionRow.contentId, newUris, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          return _replaceFileBodyUri(ctx.tenant().alias, revisionRow, newUris, callback);
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Point the file body of a revision to its migrated URI, so identical uploads reference the migrated file body
+ *
+ * @param  {String}     tenantAlias         The alias of the tenant whose storage is migrated
+ * @param  {Object}     revisionRow         The raw revision row that holds the URI and checksum of the file body
+ * @param  {Object}     uris                The new URIs, keyed by the URIs they replace
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _replaceFileBodyUri = function(tenantAlias, revisionRow, uris, callback) {
+  if (!revisionRow.hash || !uris[revisionRow.uri]) {
+    return callback();
+  }
+
+  ContentDAO.Bodies.getFileBody(tenantAlias, revisionRow.hash, (err, body) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Another revision with the same file body may already have replaced it
+    if (!body || body.uri !== revisionRow.uri) {
+      return callback();
+    }
+
+    return ContentDAO.Bodies.updateFileBody(tenantAlias, revisionRow.hash, { uri: uris[revisionRow.uri] }, callback);
+  });
+};
+
+/**
+ * Copy a file to the target storage backend and verify that the copy matches the original
+ *
+ * @param  {Context}    ctx                 Standard context object containing the tenant whose storage is migrated
+ * @param  {Backend}    targetBackend       The storage backend to which the file should be copied
+ * @param  {String}     contentId           The id of the content item to which the file belongs
+ * @param  {String}     uri                 The URI of the file that should be copied
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.uri        The URI of the file on the target storage backend
+ * @api private
+ */
+const _migrateFile = function(ctx, targetBackend, contentId, uri, callback) {
+  const tenantAlias = ctx.tenant().alias;
+  let sourceBackend = null;
+  try {
+    sourceBackend = ContentUtil.getStorageBackend(ctx, uri);
+  } catch (error) {
+    return callback({ code: 400, msg: error.message });
+  }
+
+  sourceBackend.get(tenantAlias, uri, (err, file) => {
+    if (err) {
+      return callback(err);
+    }
+
+    IO.getChecksum(file.path, (err, checksum) => {
+      if (err) {
+        return file.remove(() => {
+          return callback(err);
+        });
+      }
+
+      // Store the file at the same location it had on the original storage backend. The backend removes the temporary file
+      const { location } = BackendUtil.splitUri(uri);
+      const filename = Path.basename(location);
+      const storeFile = { name: filename, path: file.path, size: file.size };
+      targetBackend.store(tenantAlias, storeFile, _getStorageOptions(contentId, location), (err, newUri) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // Verify the stored file by retrieving it from the target storage backend
+        targetBackend.get(tenantAlias, newUri, (err, storedFile) => {
+          if (err) {
+            return callback(err);
+          }
+
+          IO.getChecksum(storedFile.path, (err, storedChecksum) => {
+            storedFile.remove(() => {
+              if (err) {
+                return callback(err);
+              }
+
+              if (storedChecksum !== checksum) {
+                return targetBackend.remove(tenantAlias, newUri, () => {
+                  return callback({ code: 500, msg: 'The checksum of the migrated file does not match the original' });
+                });
+              }
+
+              return callback(null, newUri);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Mark the storage migration of a tenant as finished
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant whose storage was migrated
+ * @param  {Object}     migration       The storage migration that finished
+ * @param  {Object}     [migrationErr]  The error that stopped the migration, if any
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const _finishStorageMigration = function(tenantAlias, migration, migrationErr, callback) {
+  if (migrationErr) {
+    log().error({ err: migrationErr, tenantAlias }, 'The storage migration of a tenant failed');
+    migration.failures.push({ msg: migrationErr.msg || String(migrationErr) });
+  } else {
+    log().info({ tenantAlias, files: migration.files, failed: migration.failed }, 'Finished the storage migration');
+  }
+
+  const { DONE, FAILED } = ContentConstants.storageMigration.status;
+  const update = _.pick(migration, 'revisions', 'files', 'failed', 'failures');
+  update.status = migrationErr ? FAILED : DONE;
+  update.finished = Date.now();
+  ContentDAO.Storage.updateStorageMigration(tenantAlias, update, err => {
+    return callback(migrationErr || err);
+  });
+};
+
+/**
+ * Whether a URI references a file that should be copied to the target storage backend. Files that were only linked
+ * to have a remote URI with the full URL of the file and can't be copied
+ *
+ * @param  {String}     uri         The URI to check
+ * @param  {String}     backend     The name of the target storage backend
+ * @return {Boolean}                `true` if the file should be copied
+ * @api private
+ */
+const _shouldMigrate = function(uri, backend) {
+  if (!_.isString(uri) || !uri.includes(':')) {
+    return false;
+  }
+
+  const { storageType, location } = BackendUtil.splitUri(uri);
+  return storageType !== backend && !/^https?:\/\//i.test(location);
+};
+
+/**
+ * Get the storage options that reproduce the location of a file. Content files are stored under a hashed resource
+ * id, followed by a prefix and the file name. As file bodies can be shared between content items, the resource id
+ * is taken from the location rather than from the content item the revision belongs to
+ *
+ * @param  {String}     contentId       The id of the content item to which the file belongs
+ * @param  {String}     location        The location of the file on its original storage backend
+ * @return {Object}                     The options that can be passed into the `store` method of a storage backend
+ * @api private
+ */
+const _getStorageOptions = function(contentId, location) {
+  // The hashed resource id takes up the first 7 parts of the location, e.g. `c/camtest/ab/cd/ef/gh/abcdefgh`
+  const parts = location.split('/');
+  if (parts.length < 8) {
+    return { resourceId: contentId, filename: _.last(parts) };
+  }
+
+  const options = { resourceId: AuthzUtil.toId(parts[0], parts[1], parts[6]), filename: _.last(parts) };
+  if (parts.length > 8) {
+    options.prefix = parts.slice(7, -1).join('/');
+  }
+
+  return options;
+};
+
+export { migrateStorage };
@@ -0,0 +1,330 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import Path from 'path';
+import { pipeline, Transform } from 'stream';
+
+import ShortId from 'shortid';
+
+import { logger } from 'oae-logger';
+
+const log = logger('oae-content-uploads');
+
+let _directory = null;
+let _expires = null;
+let _storageId = null;
+
+/**
+ * Initialize the directory in which the chunks of resumable uploads are collected.
+ *
+ * The directory is identified by a storage id that is kept in it. When the directory is shared between app servers
+ * (e.g., an NFS mount) they all have the same storage id and any of them can receive the chunks of an upload. Otherwise
+ * an upload can only be continued on the app server on which it was started, which is enforced by comparing the storage
+ * id of the upload with the one of the app server
+ *
+ * @param  {Object}     uploadsConfig               The resumable uploads configuration
+ * @param  {String}     uploadsConfig.directory     The directory in which the chunks of an upload are collected
+ * @param  {Number}     uploadsConfig.expires       The number of seconds after which an upload that receives no chunks expires
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ */
+const init = function(uploadsConfig, callback) {
+  const directory = Path.resolve(uploadsConfig.directory);
+  _directory = Path.join(directory, 'chunks');
+  _expires = uploadsConfig.expires;
+  fs.mkdir(_directory, { recursive: true }, err => {
+    if (err && err.code !== 'EEXIST') {
+      log().error({ err, directory: _directory }, 'Could not create the directory for resumable uploads');
+      return callback(err);
+    }
+
+    _ensureStorageId(directory, (err, storageId) => {
+      if (err) {
+        log().error({ err, directory }, 'Could not determine the storage id of the directory for resumable uploads');
+        return callback(err);
+      }
+
+      _storageId = storageId;
+      return callback();
+    });
+  });
+};
+
+/**
+ * Get the directory in which the chunks of resumable uploads are collected
+ *
+ * @return {String}     The directory in which the chunks of resumable uploads are collected
+ */
+const getDirectory = function() {
+  return _directory;
+};
+
+/**
+ * Get the id of the storage in which this app server collects the chunks of resumable uploads
+ *
+ * @return {String}     The storage id of the directory for resumable uploads
+ */
+const getStorageId = function() {
+  return _storageId;
+};
+
+/**
+ * Get the number of seconds after which an upload that receives no chunks expires
+ *
+ * @return {Number}     The number of seconds after which an upload that receives no chunks expires
+ */
+const getExpires = function() {
+  return _expires;
+};
+
+/**
+ * Append a chunk to the file of an upload. A chunk is either written completely or not at all, so a client can
+ * simply send a chunk again when it was interrupted
+ *
+ * @param  {Object}     upload              The upload to which the chunk belongs
+ * @param  {Stream}     chunk               A readable stream that holds the chunk
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Number}     callback.offset     The new offset of the upload
+ */
+const appendChunk = function(upload, chunk, callback) {
+  const storageErr = _checkStorage(upload);
+  if (storageErr) {
+    return callback(storageErr);
+  }
+
+  const path = _getPath(upload.id);
+  _getFileSize(path, (err, size) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The file can only be shorter than the offset when it was removed by the cleaner
+    if (size < upload.offset) {
+      return callback({ code: 404, msg: 'The upload has expired' });
+    }
+
+    // Discard whatever was left behind by a chunk that could not be written completely
+    _truncate(path, size, upload.offset, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      const remaining = upload.size - upload.offset;
+      let length = 0;
+      let tooLarge = false;
+      const counter = new Transform({
+        transform(data, encoding, done) {
+          length += data.length;
+          if (length > remaining) {
+            tooLarge = true;
+            return done(new Error('The chunk is larger than the remaining size of the upload'));
+          }
+
+          return done(null, data);
+        }
+      });
+
+      pipeline(chunk, counter, fs.createWriteStream(path, { flags: 'a' }), err => {
+        if (err) {
+          return _truncate(path, upload.offset + length, upload.offset, () => {
+            if (tooLarge) {
+              return callback({ code: 413, msg: 'The chunk is larger than the remaining size of the upload' });
+            }
+
+            log().warn({ err, uploadId: upload.id }, 'A chunk of an upload could not be received completely');
+            return callback({ code: 400, msg: 'The chunk could not be received completely' });
+          });
+        }
+
+        // The cleaner removes files that haven't been accessed for a while, which appending to them does not change
+        const now = new Date();
+        fs.utimes(path, now, now, err => {
+          if (err) {
+            log().warn({ err, path }, 'Could not update the access time of an upload');
+          }
+
+          return callback(null, upload.offset + length);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Create a file that holds the complete body of an upload. The file is a link to the file of the upload, so the
+ * upload remains available when the file is removed because it could not be stored
+ *
+ * @param  {Object}     upload              The upload whose body to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.file       The file holding its `name`, `path` and `size`
+ */
+const getFile = function(upload, callback) {
+  const storageErr = _checkStorage(upload);
+  if (storageErr) {
+    return callback(storageErr);
+  }
+
+  const path = _getPath(upload.id);
+  const linkPath = path + '-' + Date.now();
+  fs.link(path, linkPath, err => {
+    if (err && err.code === 'ENOENT') {
+      return callback({ code: 404, msg: 'The upload has expired' });
+    }
+
+    if (err) {
+      log().error({ err, path }, 'Could not link the file of an upload');
+      return callback({ code: 500, msg: 'Could not complete the upload' });
+    }
+
+    return callback(null, { name: upload.filename, path: linkPath, size: upload.size });
+  });
+};
+
+/**
+ * Remove the file of an upload
+ *
+ * @param  {String}     uploadId            The id of the upload whose file to remove
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const remove = function(uploadId, callback) {
+  fs.unlink(_getPath(uploadId), err => {
+    if (err && err.code !== 'ENOENT') {
+      log().error({ err, uploadId }, 'Could not remove the file of an upload');
+      return callback({ code: 500, msg: 'Could not remove the upload' });
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Check whether the chunks of an upload are collected in the storage of this app server
+ *
+ * @param  {Object}     upload      The upload to check
+ * @return {Object}                 An error when the upload was started on an app server that uses another storage
+ * @api private
+ */
+const _checkStorage = function(upload) {
+  if (upload.storageId === _storageId) {
+    return null;
+  }
+
+  log().warn(
+    { uploadId: upload.id, storageId: upload.storageId, localStorageId: _storageId },
+    'Received a request for an upload that was started on another app server'
+  );
+  return { code: 421, msg: 'The upload can only be continued on the server on which it was started' };
+};
+
+/**
+ * Get the storage id that is kept in a directory, generating it when the directory doesn't have one yet. The id is
+ * written to a temporary file first and then linked into place, so app servers that share the directory and start
+ * up at the same time all end up with the same id
+ *
+ * @param  {String}     directory           The directory whose storage id to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.storageId  The storage id of the directory
+ * @api private
+ */
+const _ensureStorageId = function(directory, callback) {
+  const path = Path.join(directory, 'storage-id');
+  const tmpPath = path + '-' + ShortId.generate();
+  fs.writeFile(tmpPath, ShortId.generate(), err => {
+    if (err) {
+      return callback(err);
+    }
+
+    fs.link(tmpPath, path, linkErr => {
+      fs.unlink(tmpPath, err => {
+        if (linkErr && linkErr.code !== 'EEXIST') {
+          return callback(linkErr);
+        }
+
+        if (err) {
+          return callback(err);
+        }
+
+        fs.readFile(path, 'utf8', callback);
+      });
+    });
+  });
+};
+
+/**
+ * Get the path of the file in which the chunks of an upload are collected
+ *
+ * @param  {String}     uploadId    The id of the upload
+ * @return {String}                 The path of the file of the upload
+ * @api private
+ */
+const _getPath = function(uploadId) {
+  return Path.join(_directory, uploadId);
+};
+
+/**
+ * Get the size of a file, which is 0 when the file does not exist yet
+ *
+ * @param  {String}     path                The path of the file
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Number}     callback.size       The size of the file in bytes
+ * @api private
+ */
+const _getFileSize = function(path, callback) {
+  fs.stat(path, (err, stats) => {
+    if (err && err.code === 'ENOENT') {
+      return callback(null, 0);
+    }
+
+    if (err) {
+      log().error({ err, path }, 'Could not get the size of an upload');
+      return callback({ code: 500, msg: 'Could not get the size of the upload' });
+    }
+
+    return callback(null, stats.size);
+  });
+};
+
+/**
+ * Truncate a file to a given length when it is longer
+ *
+ * @param  {String}     path                The path of the file
+ * @param  {Number}     size                The current size of the file in bytes
+ * @param  {Number}     length              The length in bytes to truncate the file to
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _truncate = function(path, size, length, callback) {
+  if (size <= length) {
+    return callback();
+  }
+
+  fs.truncate(path, length, err => {
+    if (err) {
+      log().error({ err, path }, 'Could not truncate the file of an upload');
+      return callback({ code: 500, msg: 'Could not write the chunk' });
+    }
+
+    return callback();
+  });
+};
+
+export { init, getDirectory, getStorageId, getExpires, appendChunk, getFile, remove };
@@ -24,15 +24,41 @@ const ensureSchema = function(callback) {
       const queries = [
         { cql: 'ALTER TABLE "Content" ADD "ethercalcRoomId" text;', parameters: [] },
         { cql: 'ALTER TABLE "Revisions" ADD "ethercalcSnapshot" text;', parameters: [] },
-        { cql: 'ALTER TABLE "Revisions" ADD "ethercalcHtml" text;', parameters: [] }
+        { cql: 'ALTER TABLE "Revisions" ADD "ethercalcHtml" text;', parameters: [] },
+        { cql: 'ALTER TABLE "Content" ADD "tags" text;', parameters: [] },
+        { cql: 'ALTER TABLE "Content" ADD "lockedBy" text;', parameters: [] },
+        { cql: 'ALTER TABLE "Content" ADD "lockExpires" text;', parameters: [] },
+        { cql: 'ALTER TABLE "Content" ADD "deleted" text;', parameters: [] },
+        { cql: 'ALTER TABLE "Revisions" ADD "hash" text;', parameters: [] }
       ];
       async.eachSeries(
         queries,
         (eachQuery, done) => {
-          runQuery(eachQuery.cql, eachQuery.parameters, done);
+          // Adding a column that already exists fails, which should not prevent the remaining columns from being added
+          runQuery(eachQuery.cql, eachQuery.parameters, () => {
+            done();
+          });
         },
         () => {
-          callback();
+          createColumnFamilies(
+            {
+              FileBodies:
+                'CREATE TABLE "FileBodies" ("tenantAlias" text, "hash" text, "uri" text, "previewsRevisionId" text, "status" text, PRIMARY KEY ("tenantAlias", "hash"))',
+              FileBodyReferences:
+                'CREATE TABLE "FileBodyReferences" ("tenantAlias" text, "hash" text, "contentId" text, PRIMARY KEY (("tenantAlias", "hash"), "contentId"))',
+              Uploads:
+                'CREATE TABLE "Uploads" ("uploadId" text PRIMARY KEY, "tenantAlias" text, "createdBy" text, "contentId" text, "storageId" text, "filename" text, "size" text, "offset" text, "created" text)',
+              StorageMigrations:
+                'CREATE TABLE "StorageMigrations" ("tenantAlias" text PRIMARY KEY, "status" text, "backend" text, "started" text, "updated" text, "finished" text, "revisions" text, "files" text, "failed" text, "failures" text)'
+            },
+            () => {
+              // File bodies that were recorded before they could be marked as being removed don't have a status yet.
+              // Adding the column fails when it already exists
+              runQuery('ALTER TABLE "FileBodies" ADD "status" text;', [], () => {
+                callback();
+              });
+            }
+          );
         }
       );
     }
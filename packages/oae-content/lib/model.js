@@ -37,6 +37,7 @@ import * as TenantsAPI from 'oae-tenants';
  * @param  {Number}     lastModified        The timestamp (millis since epoch) at which the content item was last modified
  * @param  {String}     latestRevisionId    The id of the current content item revision
  * @param  {Object}     previews            The thumbnails for the content item
+ * @param  {String[]}   [tags]              The tags that have been applied to the content item
  */
 const Content = function(
   tenantAlias,
@@ -49,7 +50,8 @@ const Content = function(
   created,
   lastModified,
   latestRevisionId,
-  previews
+  previews,
+  tags
 ) {
   const that = {};
   const { resourceId } = AuthzUtil.getResourceFromId(id);
@@ -67,6 +69,7 @@ const Content = function(
   that.resourceType = 'content';
   that.latestRevisionId = latestRevisionId;
   that.previews = _.isObject(previews) ? previews : {};
+  that.tags = tags || [];
 
   if (resourceSubType === 'file') {
     that.downloadPath = _getDownloadPath(id, latestRevisionId);
@@ -112,6 +115,10 @@ const Revision = function(contentId, revisionId, createdBy, created, opts) {
  *  * **DOWNLOAD_STRATEGY_REDIRECT:**   The user should be securely redirected toward an external URL. The value of the target indicates the target
  *                                      URL of the redirect
  *
+ *  * **DOWNLOAD_STRATEGY_STREAM:**     The file should be streamed to the consumer by the application itself, which supports byte range requests.
+ *                                      The value of the target indicates the absolute path of the file on the application server, or the storage
+ *                                      URI of a file that should first be retrieved from its storage backend
+ *
  *  * **DOWNLOAD_STRATEGY_DIRECT:**     The user should be linked directly to an external URL without passing through the application. The value of
  *                                      the target indicates the URL of the direct link. Note that since this is "insecure", and external reference
  *                                      should have its own authentication method (e.g., a signature in the target URL) which secures the resource
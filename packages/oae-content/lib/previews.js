@@ -14,12 +14,15 @@
  */
 
 import * as PreviewProcessorAPI from 'oae-preview-processor';
+import { logger } from 'oae-logger';
 
 import { ContentConstants } from 'oae-content/lib/constants';
 import * as ContentAPI from './api';
 
+const log = logger('oae-content');
+
 ContentAPI.emitter.on(ContentConstants.events.CREATED_CONTENT, (ctx, content, revision) => {
-  PreviewProcessorAPI.submitForProcessing(content.id, revision.revisionId);
+  _submitForProcessing(content.id, revision);
 });
 
 ContentAPI.emitter.on(ContentConstants.events.UPDATED_CONTENT, (ctx, newContentObj, oldContentObj) => {
@@ -33,10 +36,25 @@ ContentAPI.emitter.on(ContentConstants.events.UPDATED_CONTENT, (ctx, newContentO
 });
 
 // A collaborative document gets published or a new file body gets uploaded.
-ContentAPI.emitter.on(
-  ContentConstants.events.UPDATED_CONTENT_BODY,
-  // eslint-disable-next-line no-unused-vars
-  (ctx, newContentObj, oldContentObj, revision) => {
-    PreviewProcessorAPI.submitForProcessing(newContentObj.id, newContentObj.latestRevisionId);
-  }
-);
+ContentAPI.emitter.on(ContentConstants.events.UPDATED_CONTENT_BODY, (ctx, newContentObj, oldContentObj, revision) => {
+  _submitForProcessing(newContentObj.id, revision);
+});
+
+/**
+ * Submit a revision for preview processing, unless its file body has already been processed for another revision
+ *
+ * @param  {String}     contentId   The id of the content item to which the revision belongs
+ * @param  {Revision}   revision    The revision to process
+ * @api private
+ */
+const _submitForProcessing = function(contentId, revision) {
+  ContentAPI.reusePreviews(contentId, revision, (err, reused) => {
+    if (err) {
+      log().warn({ err, contentId, revisionId: revision.revisionId }, 'Unable to reuse the previews of a file body');
+    }
+
+    if (!reused) {
+      PreviewProcessorAPI.submitForProcessing(contentId, revision.revisionId);
+    }
+  });
+};
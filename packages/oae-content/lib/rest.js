@@ -13,6 +13,7 @@
  * permissions and limitations under the License.
  */
 
+import Path from 'path';
 import * as querystring from 'querystring';
 import {
   isResourceACollabDoc,
@@ -29,6 +30,7 @@ import * as OaeUtil from 'oae-util/lib/util';
 
 import * as ContentAPI from './api';
 import { ContentConstants } from './constants';
+import * as ContentUtil from './internal/util';
 
 /**
  * Verify the signature information provided by a signed download request and
@@ -44,7 +46,7 @@ const _handleSignedDownload = function(req, res) {
       return res.status(err.code).send(err.msg);
     }
 
-    return _handleDownload(res, downloadInfo, true);
+    return _handleDownload(req, res, downloadInfo, true);
   });
 };
 
@@ -63,6 +65,9 @@ const _handleSignedDownload = function(req, res) {
  * @FormParam   {string[]}          [editors]           Unique identifier(s) for users and groups to add as editors of the collaborative document
  * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as members of the collaborative document
  * @FormParam   {string[]}          [folders]           Unique identifier(s) for folders to which the collaborative document should be added
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the collaborative document becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the collaborative document gets its visibility. The collaborative document is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the collaborative document
  * @FormParam   {string}            [visibility]        The visibility of the collaborative document. Defaults to the configured tenant default     [loggedin,private,public]
  * @Return      {BasicContent}                          The created collaborative document
  * @HttpResponse                    201                 Document created
@@ -74,6 +79,10 @@ const _handleSignedDownload = function(req, res) {
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this content item
  * @HttpResponse                    400                 One or more target members being granted access do not exist
  * @HttpResponse                    400                 The additional members should be specified as an object
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 You have to be logged in to be able to create a content item
  */
 
@@ -92,6 +101,9 @@ const _handleSignedDownload = function(req, res) {
  * @FormParam   {string[]}          [editors]           Unique identifier(s) for users and groups to add as editors of the collaborative spreadsheet
  * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as members of the collaborative spreadsheet
  * @FormParam   {string[]}          [folders]           Unique identifier(s) for folders to which the collaborative spreadsheet should be added
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the collaborative spreadsheet becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the collaborative spreadsheet gets its visibility. The collaborative spreadsheet is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the collaborative spreadsheet
  * @FormParam   {string}            [visibility]        The visibility of the collaborative spreadsheet. Defaults to the configured tenant default     [loggedin,private,public]
  * @Return      {BasicContent}                          The created collaborative spreadsheet
  * @HttpResponse                    201                 Spreadsheet created
@@ -103,6 +115,10 @@ const _handleSignedDownload = function(req, res) {
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this content item
  * @HttpResponse                    400                 One or more target members being granted access do not exist
  * @HttpResponse                    400                 The additional members should be specified as an object
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 You have to be logged in to be able to create a content item
  */
 
@@ -121,6 +137,9 @@ const _handleSignedDownload = function(req, res) {
  * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the file. The user creating the file will be added as a manager automatically
  * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as members of the file
  * @FormParam   {string[]}          [folders]           Unique identifier(s) for folders to which the file should be added
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the file becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the file gets its visibility. The file is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the file
  * @FormParam   {string}            [visibility]        The visibility of the file. Defaults to the configured tenant default               [loggedin,private,public]
  * @Return      {BasicContent}                          The created file
  * @HttpResponse                    201                 File uploaded
@@ -132,6 +151,10 @@ const _handleSignedDownload = function(req, res) {
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this content item
  * @HttpResponse                    400                 One or more target members being granted access do not exist
  * @HttpResponse                    400                 The additional members should be specified as an object
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 Anonymous users are not allowed to upload files
  * @HttpResponse                    401                 You have to be logged in to be able to create a content item
  */
@@ -151,6 +174,9 @@ const _handleSignedDownload = function(req, res) {
  * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the link. The user creating the link will be added as a manager automatically
  * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as members of the link
  * @FormParam   {string[]}          [folders]           Unique identifier(s) for folders to which the link should be added
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the link becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the link gets its visibility. The link is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the link
  * @FormParam   {string}            [visibility]        The visibility of the link. Defaults to the configured tenant default                       [loggedin,private,public]
  * @Return      {BasicContent}                          The created link
  * @HttpResponse                    201                 Link created
@@ -163,26 +189,17 @@ const _handleSignedDownload = function(req, res) {
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this content item
  * @HttpResponse                    400                 One or more target members being granted access do not exist
  * @HttpResponse                    400                 The additional members should be specified as an object
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 You have to be logged in to be able to create a content item
  */
 OAE.tenantRouter.on('post', '/api/content/create', (req, res) => {
   // Ensure proper arrays for the multi-value parameters
-  req.body.managers = OaeUtil.toArray(req.body.managers);
-  req.body.editors = OaeUtil.toArray(req.body.editors);
-  req.body.viewers = OaeUtil.toArray(req.body.viewers);
   req.body.folders = OaeUtil.toArray(req.body.folders);
-
-  // Construct a hash for additional members that maps each user to their role
-  const additionalMembers = {};
-  _.each(req.body.managers, userId => {
-    additionalMembers[userId] = AuthzConstants.role.MANAGER;
-  });
-  _.each(req.body.editors, userId => {
-    additionalMembers[userId] = AuthzConstants.role.EDITOR;
-  });
-  _.each(req.body.viewers, userId => {
-    additionalMembers[userId] = AuthzConstants.role.VIEWER;
-  });
+  req.body.tags = OaeUtil.toArray(req.body.tags);
+  const additionalMembers = _getAdditionalMembers(req);
 
   let uploadedFile = null;
   if (req.files && req.files.file) {
@@ -199,6 +216,8 @@ OAE.tenantRouter.on('post', '/api/content/create', (req, res) => {
     uploadedFile,
     additionalMembers,
     req.body.folders,
+    req.body.tags,
+    _.pick(req.body, 'publishAt', 'expireAt'),
     (err, contentObj) => {
       if (err) {
         return res.status(err.code).send(err.msg);
@@ -216,6 +235,27 @@ OAE.tenantRouter.on('post', '/api/content/create', (req, res) => {
   );
 });
 
+/**
+ * Construct a hash for the additional members of a new content item that maps each principal to their role
+ *
+ * @param  {Request}    req     The express request that holds the `managers`, `editors` and `viewers` of the content item
+ * @return {Object}             Object where the keys represent principal ids and the values represent the role they will have
+ * @api private
+ */
+const _getAdditionalMembers = function(req) {
+  const additionalMembers = {};
+  _.each(OaeUtil.toArray(req.body.managers), principalId => {
+    additionalMembers[principalId] = AuthzConstants.role.MANAGER;
+  });
+  _.each(OaeUtil.toArray(req.body.editors), principalId => {
+    additionalMembers[principalId] = AuthzConstants.role.EDITOR;
+  });
+  _.each(OaeUtil.toArray(req.body.viewers), principalId => {
+    additionalMembers[principalId] = AuthzConstants.role.VIEWER;
+  });
+  return additionalMembers;
+};
+
 /**
  * Create a piece of content
  *
@@ -228,6 +268,8 @@ OAE.tenantRouter.on('post', '/api/content/create', (req, res) => {
  * @param  {File}           [uploadedFile]          The file object when creating a content item of resourceSubType `file`
  * @param  {String[]}       folderIds               The ids of folders where the content item should be added to
  * @param  {Object}         additionalMembers       Object where the keys represent principal ids that need to be added to the content upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager", as well as "editor" for collabdocs or collabsheets
+ * @param  {String[]}       tags                    The tags to apply to the content item
+ * @param  {Object}         schedule                The `publishAt` and `expireAt` timestamps of the content item, if any
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error object, if any
  * @param  {Content}        callback.content        The created content object
@@ -243,6 +285,8 @@ const _createContent = function(
   uploadedFile,
   additionalMembers,
   folderIds,
+  tags,
+  schedule,
   callback
 ) {
   // Link creation
@@ -255,6 +299,8 @@ const _createContent = function(
       link,
       additionalMembers,
       folderIds,
+      tags,
+      schedule,
       callback
     );
 
@@ -270,6 +316,8 @@ const _createContent = function(
       uploadedFile,
       additionalMembers,
       folderIds,
+      tags,
+      schedule,
       callback
     );
 
@@ -284,6 +332,8 @@ const _createContent = function(
       visibility,
       additionalMembers,
       folderIds,
+      tags,
+      schedule,
       callback
     );
 
@@ -299,6 +349,8 @@ const _createContent = function(
       visibility,
       additionalMembers,
       folderIds,
+      tags,
+      schedule,
       callback
     );
   }
@@ -309,6 +361,193 @@ const _createContent = function(
   });
 };
 
+/*!
+ * The resumable upload routes are registered before the routes of individual content items, as those would
+ * otherwise consider `uploads` to be a content id
+ */
+
+/**
+ * @REST postContentUploads
+ *
+ * Start an upload of a file that is sent in chunks
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/uploads
+ * @FormParam   {string}            filename            The name of the file that will be uploaded
+ * @FormParam   {number}            size                The size of the file in bytes
+ * @FormParam   {string}            [contentId]         The id of the file for which the upload is a new version
+ * @Return      {Upload}                                The upload that was started
+ * @HttpResponse                    201                 Upload started
+ * @HttpResponse                    400                 A valid content id must be provided
+ * @HttpResponse                    400                 Missing file name
+ * @HttpResponse                    400                 The size of the file must be a positive number
+ * @HttpResponse                    400                 This content object is not a file.
+ * @HttpResponse                    401                 You are not allowed to manage this piece of content
+ * @HttpResponse                    401                 You have to be logged in to be able to upload a file
+ * @HttpResponse                    404                 Content not available
+ * @HttpResponse                    413                 The file is larger than the maximum upload size of ... MB
+ */
+OAE.tenantRouter.on('post', '/api/content/uploads', (req, res) => {
+  ContentAPI.createUpload(req.ctx, req.body.filename, req.body.size, req.body.contentId, (err, upload) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    _setUploadHeaders(res, upload);
+    res.set('Location', '/api/content/uploads/' + upload.id);
+    return res.status(201).send(upload);
+  });
+});
+
+/**
+ * @REST getContentUploadsUploadId
+ *
+ * Get an upload that is in progress. The offset at which the next chunk should start is also returned in the
+ * `Upload-Offset` header, so a `HEAD` request can be used to resume an upload
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /content/uploads/{uploadId}
+ * @PathParam   {string}            uploadId            The id of the upload
+ * @Return      {Upload}                                The upload
+ * @HttpResponse                    200                 Upload available
+ * @HttpResponse                    401                 You are not allowed to access this upload
+ * @HttpResponse                    401                 You have to be logged in to be able to upload a file
+ * @HttpResponse                    404                 The upload could not be found or has expired
+ */
+OAE.tenantRouter.on('get', '/api/content/uploads/:uploadId', (req, res) => {
+  ContentAPI.getUpload(req.ctx, req.params.uploadId, (err, upload) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    _setUploadHeaders(res, upload);
+    return res.status(200).send(upload);
+  });
+});
+
+/**
+ * @REST putContentUploadsUploadId
+ *
+ * Append a chunk to an upload. The request body holds the bytes of the chunk and the `Upload-Offset` header the
+ * offset in the file at which the chunk starts, which has to match the current offset of the upload
+ *
+ * @Server      tenant
+ * @Method      PUT
+ * @Path        /content/uploads/{uploadId}
+ * @PathParam   {string}            uploadId            The id of the upload
+ * @HttpResponse                    204                 Chunk appended, the new offset is returned in the `Upload-Offset` header
+ * @HttpResponse                    400                 The chunk could not be received completely
+ * @HttpResponse                    400                 The offset of the chunk must be a number
+ * @HttpResponse                    401                 You are not allowed to access this upload
+ * @HttpResponse                    401                 You have to be logged in to be able to upload a file
+ * @HttpResponse                    404                 The upload could not be found or has expired
+ * @HttpResponse                    404                 The upload has expired
+ * @HttpResponse                    409                 The chunk should start at offset ... of the upload
+ * @HttpResponse                    409                 The upload is already being written to or completed
+ * @HttpResponse                    413                 The chunk is larger than the remaining size of the upload
+ * @HttpResponse                    421                 The upload can only be continued on the server on which it was started
+ */
+OAE.tenantRouter.on('put', '/api/content/uploads/:uploadId', (req, res) => {
+  ContentAPI.appendUploadChunk(req.ctx, req.params.uploadId, req.get('Upload-Offset'), req, (err, upload) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    _setUploadHeaders(res, upload);
+    return res.status(204).end();
+  });
+});
+
+/**
+ * @REST postContentUploadsUploadIdComplete
+ *
+ * Complete an upload of which all chunks have been received. An upload that was started for an existing file becomes
+ * a new version of that file, any other upload becomes a new file
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/uploads/{uploadId}/complete
+ * @PathParam   {string}            uploadId            The id of the upload
+ * @FormParam   {string}            [displayName]       The display name of the new file
+ * @FormParam   {string}            [description]       A longer description for the new file
+ * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the new file. The user creating the file will be added as a manager automatically
+ * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as members of the new file
+ * @FormParam   {string[]}          [folders]           Unique identifier(s) for folders to which the new file should be added
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the new file becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the new file gets its visibility. The new file is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the new file
+ * @FormParam   {string}            [visibility]        The visibility of the new file. Defaults to the configured tenant default       [loggedin,private,public]
+ * @Return      {Content}                               The new file, or the file that received a new version
+ * @HttpResponse                    200                 Upload completed
+ * @HttpResponse                    400                 A display name must be provided
+ * @HttpResponse                    400                 The upload is not complete, ... of ... bytes have been received
+ * @HttpResponse                    401                 You are not allowed to access this upload
+ * @HttpResponse                    401                 You have to be logged in to be able to upload a file
+ * @HttpResponse                    404                 The upload could not be found or has expired
+ * @HttpResponse                    404                 The upload has expired
+ * @HttpResponse                    409                 The upload is already being written to or completed
+ * @HttpResponse                    421                 The upload can only be continued on the server on which it was started
+ */
+OAE.tenantRouter.on('post', '/api/content/uploads/:uploadId/complete', (req, res) => {
+  ContentAPI.completeUpload(
+    req.ctx,
+    req.params.uploadId,
+    req.body.displayName,
+    req.body.description,
+    req.body.visibility,
+    _getAdditionalMembers(req),
+    OaeUtil.toArray(req.body.folders),
+    OaeUtil.toArray(req.body.tags),
+    _.pick(req.body, 'publishAt', 'expireAt'),
+    (err, contentObj) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      return res.status(200).send(contentObj);
+    }
+  );
+});
+
+/**
+ * @REST deleteContentUploadsUploadId
+ *
+ * Abandon an upload and remove the chunks it received
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /content/uploads/{uploadId}
+ * @PathParam   {string}            uploadId            The id of the upload
+ * @HttpResponse                    200                 Upload abandoned
+ * @HttpResponse                    401                 You are not allowed to access this upload
+ * @HttpResponse                    401                 You have to be logged in to be able to upload a file
+ * @HttpResponse                    404                 The upload could not be found or has expired
+ */
+OAE.tenantRouter.on('delete', '/api/content/uploads/:uploadId', (req, res) => {
+  ContentAPI.deleteUpload(req.ctx, req.params.uploadId, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).end();
+  });
+});
+
+/**
+ * Expose the size and offset of an upload in the headers of a response, the way resumable upload clients expect them
+ *
+ * @param  {Response}   res         The express response
+ * @param  {Object}     upload      The upload whose size and offset to expose
+ * @api private
+ */
+const _setUploadHeaders = function(res, upload) {
+  res.set('Upload-Offset', String(upload.offset));
+  res.set('Upload-Length', String(upload.size));
+  res.set('Cache-Control', 'no-store');
+};
+
 /**
  * @REST deleteContentContentId
  *
@@ -334,6 +573,32 @@ OAE.tenantRouter.on('delete', '/api/content/:contentId', (req, res) => {
   });
 });
 
+/**
+ * @REST postContentContentIdRestore
+ *
+ * Restore a content item from the trash
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/{contentId}/restore
+ * @PathParam   {string}                contentId           The id of the content item to restore
+ * @Return      {Content}                                   The restored content item
+ * @HttpResponse                        200                 Content restored
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        401                 The current user does not have access to manage this resource
+ * @HttpResponse                        401                 You have to be logged in to be able to restore a content item
+ * @HttpResponse                        404                 Couldn't find deleted content
+ */
+OAE.tenantRouter.on('post', '/api/content/:contentId/restore', (req, res) => {
+  ContentAPI.restoreContent(req.ctx, req.params.contentId, (err, contentObj) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(contentObj);
+  });
+});
+
 /**
  * @REST getContentContentId
  *
@@ -368,7 +633,10 @@ OAE.tenantRouter.on('get', '/api/content/:contentId', (req, res) => {
  * @PathParam   {string}                contentId           The id of the content item to update
  * @FormParam   {string}                [description]       Updated description for the content item
  * @FormParam   {string}                [displayName]       Updated display name for the content item
+ * @FormParam   {number}                [expireAt]          The timestamp in milliseconds at which the content item becomes private. An empty value clears the expiry date
  * @FormParam   {string}                [link]              Updated URL for a link
+ * @FormParam   {number}                [publishAt]         The timestamp in milliseconds at which the content item gets its visibility. The content item is private until then. An empty value clears the publication date
+ * @FormParam   {string[]}              [tags]              Updated tags for the content item
  * @FormParam   {string}                [visibility]        Updated visibility for the discussion           [loggedin,private,public]
  * @Return      {Content}                                   The updated content item
  * @HttpResponse                        200                 Content updated
@@ -378,8 +646,12 @@ OAE.tenantRouter.on('get', '/api/content/:contentId', (req, res) => {
  * @HttpResponse                        400                 A display name can be at most 1000 characters long
  * @HttpResponse                        400                 A description can only be 10000 characters long
  * @HttpResponse                        400                 A valid link should be provided
+ * @HttpResponse                        400                 The tag "..." is not part of the controlled vocabulary
  * @HttpResponse                        400                 An invalid content visibility option has been provided. This can be "private", "loggedin" or "public"
  * @HttpResponse                        400                 This piece of content is not a link
+ * @HttpResponse                        400                 publishAt should be a date in the future
+ * @HttpResponse                        400                 A resource should expire after it has been published
+ * @HttpResponse                        400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                        400                 You should at least specify a new displayName, description, visibility or link
  * @HttpResponse                        401                 You are not allowed to manage this piece of content
  * @HttpResponse                        401                 You have to be logged in to be able to update a content item
@@ -405,10 +677,14 @@ OAE.tenantRouter.on('post', '/api/content/:contentId', (req, res) => {
  * @PathParam   {string}                contentId           The id of the file to download
  * @Return      {File}                                      The latest revision of the file
  * @HttpResponse                        200                 Content provided
+ * @HttpResponse                        204                 Content is served by the web server
+ * @HttpResponse                        206                 Part of the content provided
  * @HttpResponse                        302                 Redirecting to content
+ * @HttpResponse                        304                 Content has not been modified
  * @HttpResponse                        400                 A valid contentId must be provided
  * @HttpResponse                        400                 Only file content items can be downloaded
  * @HttpResponse                        404                 Content not available
+ * @HttpResponse                        416                 The requested range is not available
  */
 OAE.tenantRouter.on('get', '/api/content/:contentId/download', (req, res) => {
   ContentAPI.getRevisionDownloadInfo(req.ctx, req.params.contentId, null, (err, downloadInfo) => {
@@ -416,7 +692,7 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/download', (req, res) => {
       return res.status(err.code).send(err.msg);
     }
 
-    return _handleDownload(res, downloadInfo, false);
+    return _handleDownload(req, res, downloadInfo, false);
   });
 });
 
@@ -432,13 +708,17 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/download', (req, res) => {
  * @PathParam   {string}                revisionId          The id of the revision to download
  * @Return      {File}                                      The specified revision of the file
  * @HttpResponse                        200                 Content provided
+ * @HttpResponse                        204                 Content is served by the web server
+ * @HttpResponse                        206                 Part of the content provided
  * @HttpResponse                        302                 Redirecting to content
+ * @HttpResponse                        304                 Content has not been modified
  * @HttpResponse                        400                 A valid contentId must be provided
  * @HttpResponse                        400                 If provided, the revisionId must be valid and pointing to an existing revision
  * @HttpResponse                        400                 No revision id provided and content item does not have a latest revision id
  * @HttpResponse                        400                 Only file content items can be downloaded
  * @HttpResponse                        400                 The revision id provided is not associated with the specified content item
  * @HttpResponse                        404                 Content not available
+ * @HttpResponse                        416                 The requested range is not available
  */
 OAE.tenantRouter.on('get', '/api/content/:contentId/download/:revisionId', (req, res) => {
   ContentAPI.getRevisionDownloadInfo(req.ctx, req.params.contentId, req.params.revisionId, (err, downloadInfo) => {
@@ -446,7 +726,7 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/download/:revisionId', (req,
       return res.status(err.code).send(err.msg);
     }
 
-    return _handleDownload(res, downloadInfo, true);
+    return _handleDownload(req, res, downloadInfo, true);
   });
 });
 
@@ -464,6 +744,7 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/download/:revisionId', (req,
  * @HttpResponse                    200                     New version accepted
  * @HttpResponse                    400                     A content id must be provided
  * @HttpResponse                    400                     This content object is not a file
+ * @HttpResponse                    401                     This file has been checked out by another user and cannot be changed until it is checked in
  * @HttpResponse                    401                     You are not allowed to manage this piece of content
  * @HttpResponse                    401                     You have to be logged in to be able to update a content item
  * @HttpResponse                    404                     Content not available
@@ -485,6 +766,63 @@ OAE.tenantRouter.on('post', '/api/content/:contentId/newversion', (req, res) =>
   });
 });
 
+/**
+ * @REST postContentContentIdLock
+ *
+ * Check out a file, so no one else can upload new versions of it until it is checked in again
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/{contentId}/lock
+ * @PathParam   {string}            contentId               The id of the file to check out
+ * @FormParam   {number}            [duration]              The number of minutes for which to check out the file. Defaults to 8 hours
+ * @Return      {ContentFile}                               The checked out file
+ * @HttpResponse                    200                     File checked out
+ * @HttpResponse                    400                     A content id must be provided
+ * @HttpResponse                    400                     Only files can be checked out
+ * @HttpResponse                    400                     The duration of the lock must be a number of minutes
+ * @HttpResponse                    401                     This file has been checked out by another user
+ * @HttpResponse                    401                     You have to be logged in to be able to check out a file
+ * @HttpResponse                    404                     Content not available
+ */
+OAE.tenantRouter.on('post', '/api/content/:contentId/lock', (req, res) => {
+  ContentAPI.lockContent(req.ctx, req.params.contentId, req.body.duration, (err, contentObj) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(contentObj);
+  });
+});
+
+/**
+ * @REST deleteContentContentIdLock
+ *
+ * Check in a file that has been checked out. Managers of the file can check in a file that was checked out by
+ * another user
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /content/{contentId}/lock
+ * @PathParam   {string}            contentId               The id of the file to check in
+ * @Return      {ContentFile}                               The checked in file
+ * @HttpResponse                    200                     File checked in
+ * @HttpResponse                    400                     A content id must be provided
+ * @HttpResponse                    400                     This file has not been checked out
+ * @HttpResponse                    401                     Only the user who checked out this file or a manager can check it in
+ * @HttpResponse                    401                     You have to be logged in to be able to check in a file
+ * @HttpResponse                    404                     Content not available
+ */
+OAE.tenantRouter.on('delete', '/api/content/:contentId/lock', (req, res) => {
+  ContentAPI.unlockContent(req.ctx, req.params.contentId, (err, contentObj) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(contentObj);
+  });
+});
+
 /**
  * @REST postContentContentIdJoin
  *
@@ -653,7 +991,7 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/revisions/:revisionId/previe
         return res.status(err.code).send(err.msg);
       }
 
-      return _handleDownload(res, downloadInfo, true);
+      return _handleDownload(req, res, downloadInfo, true);
     }
   );
 });
@@ -712,6 +1050,39 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/revisions/:revisionId', (req
   });
 });
 
+/**
+ * @REST getContentContentIdRevisionsRevisionIdDiff
+ *
+ * Compare a revision with an older revision
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /content/{contentId}/revisions/{revisionId}/diff
+ * @PathParam   {string}            contentId           The id of the content item to compare the revisions of
+ * @PathParam   {string}            revisionId          The id of the revision whose changes to get
+ * @QueryParam  {string}            [from]              The id of the revision to compare with. Defaults to the revision that preceded it
+ * @Return      {RevisionDiff}                          The differences between both revisions
+ * @HttpResponse                    200                 Differences available
+ * @HttpResponse                    400                 A valid contentId must be provided
+ * @HttpResponse                    400                 A valid revisionId must be provided
+ * @HttpResponse                    400                 A valid revisionId to compare with must be provided
+ * @HttpResponse                    400                 Only the revisions of text files can be compared
+ * @HttpResponse                    400                 The revisions of a link cannot be compared
+ * @HttpResponse                    400                 The revisions of this file are too large to be compared
+ * @HttpResponse                    400                 This revision ID is not associated with the specified piece of content.
+ * @HttpResponse                    401                 You don't have access to this piece of content
+ * @HttpResponse                    404                 Content not available
+ */
+OAE.tenantRouter.on('get', '/api/content/:contentId/revisions/:revisionId/diff', (req, res) => {
+  ContentAPI.getRevisionDiff(req.ctx, req.params.contentId, req.params.revisionId, req.query.from, (err, diff) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(diff);
+  });
+});
+
 /**
  * @REST postContentContentIdRevisionsRevisionIdRestore
  *
@@ -728,6 +1099,7 @@ OAE.tenantRouter.on('get', '/api/content/:contentId/revisions/:revisionId', (req
  * @HttpResponse                    400                 A valid revisionId must be provided
  * @HttpResponse                    400                 The contentId specified is not the owner of the specified revisionId
  * @HttpResponse                    401                 Manager rights are required to restore a revision
+ * @HttpResponse                    401                 This file has been checked out by another user and cannot be changed until it is checked in
  * @HttpResponse                    404                 Content not available
  */
 OAE.tenantRouter.on('post', '/api/content/:contentId/revisions/:revisionId/restore', (req, res) => {
@@ -1008,6 +1380,192 @@ OAE.tenantRouter.on('delete', '/api/content/:contentId/messages/:created', (req,
   });
 });
 
+/**
+ * @REST putContentContentIdMessagesCreated
+ *
+ * Edit the body of a comment on a content item
+ *
+ * @Server      tenant
+ * @Method      PUT
+ * @Path        /content/{contentId}/messages/{created}
+ * @PathParam   {string}                contentId           The id of the content item that holds the comment
+ * @PathParam   {string}                created             The timestamp of the comment that should be edited
+ * @FormParam   {string}                body                The new body of the comment
+ * @Return      {Message}                                   The updated comment
+ * @HttpResponse                        200                 Comment updated
+ * @HttpResponse                        400                 A comment can only be 100000 characters long
+ * @HttpResponse                        400                 A comment must be provided
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A valid integer comment created timestamp must be specified
+ * @HttpResponse                        401                 Only authorized users can edit comments
+ * @HttpResponse                        401                 You can only edit your own comments
+ * @HttpResponse                        404                 The specified comment does not exist
+ */
+OAE.tenantRouter.on('put', '/api/content/:contentId/messages/:created', (req, res) => {
+  ContentAPI.updateComment(req.ctx, req.params.contentId, req.params.created, req.body.body, (err, comment) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(comment);
+  });
+});
+
+/**
+ * @REST getContentContentIdMessagesCreatedEdits
+ *
+ * Get the edit history of a comment on a content item
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /content/{contentId}/messages/{created}/edits
+ * @PathParam   {string}                contentId           The id of the content item that holds the comment
+ * @PathParam   {string}                created             The timestamp of the comment whose edit history to get
+ * @Return      {MessageEdit[]}                             The previous versions of the body of the comment, from the oldest to the most recent edit
+ * @HttpResponse                        200                 Edit history available
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A valid integer comment created timestamp must be specified
+ * @HttpResponse                        401                 You don't have access to this content
+ * @HttpResponse                        404                 The specified comment does not exist
+ */
+OAE.tenantRouter.on('get', '/api/content/:contentId/messages/:created/edits', (req, res) => {
+  ContentAPI.getCommentEdits(req.ctx, req.params.contentId, req.params.created, (err, edits) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(edits);
+  });
+});
+
+/**
+ * @REST postContentContentIdReactions
+ *
+ * React to a content item
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/{contentId}/reactions
+ * @PathParam   {string}                contentId           The id of the content item to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the content item
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to content
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Content not available
+ */
+OAE.tenantRouter.on('post', '/api/content/:contentId/reactions', (req, res) => {
+  ContentAPI.addReaction(req.ctx, req.params.contentId, null, req.body.reaction, (err, reactions) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(reactions);
+  });
+});
+
+/**
+ * @REST deleteContentContentIdReactionsReaction
+ *
+ * Remove a reaction from a content item
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /content/{contentId}/reactions/{reaction}
+ * @PathParam   {string}                contentId           The id of the content item from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the content item
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to content
+ * @HttpResponse                        401                 You don't have access to this content
+ * @HttpResponse                        404                 Content not available
+ */
+OAE.tenantRouter.on('delete', '/api/content/:contentId/reactions/:reaction', (req, res) => {
+  ContentAPI.removeReaction(req.ctx, req.params.contentId, null, req.params.reaction, (err, reactions) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(reactions);
+  });
+});
+
+/**
+ * @REST postContentContentIdMessagesCreatedReactions
+ *
+ * React to a comment on a content item
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /content/{contentId}/messages/{created}/reactions
+ * @PathParam   {string}                contentId           The id of the content item that holds the comment
+ * @PathParam   {number}                created             The timestamp of the comment to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the comment
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A valid integer comment created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to content
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Content not available
+ * @HttpResponse                        404                 The specified comment does not exist
+ */
+OAE.tenantRouter.on('post', '/api/content/:contentId/messages/:created/reactions', (req, res) => {
+  ContentAPI.addReaction(req.ctx, req.params.contentId, req.params.created, req.body.reaction, (err, reactions) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(reactions);
+  });
+});
+
+/**
+ * @REST deleteContentContentIdMessagesCreatedReactionsReaction
+ *
+ * Remove a reaction from a comment on a content item
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /content/{contentId}/messages/{created}/reactions/{reaction}
+ * @PathParam   {string}                contentId           The id of the content item that holds the comment
+ * @PathParam   {number}                created             The timestamp of the comment from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the comment
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A content id must be provided
+ * @HttpResponse                        400                 A valid integer comment created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to content
+ * @HttpResponse                        401                 You don't have access to this content
+ * @HttpResponse                        404                 Content not available
+ * @HttpResponse                        404                 The specified comment does not exist
+ */
+OAE.tenantRouter.on('delete', '/api/content/:contentId/messages/:created/reactions/:reaction', (req, res) => {
+  ContentAPI.removeReaction(
+    req.ctx,
+    req.params.contentId,
+    req.params.created,
+    req.params.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
 /**
  * @REST getContentLibraryPrincipalId
  *
@@ -1087,30 +1645,126 @@ OAE.tenantRouter.on('delete', '/api/content/library/:principalId/:contentId', (r
  * @QueryParam  {string}                signature           The access control signature
  * @Return      {File}                                      The content item
  * @HttpResponse                        200                 Content provided
+ * @HttpResponse                        204                 Content is served by the web server
+ * @HttpResponse                        206                 Part of the content provided
  * @HttpResponse                        302                 Redirecting to content
+ * @HttpResponse                        304                 Content has not been modified
  * @HttpResponse                        401                 Invalid signature data for the provided download url
  * @HttpResponse                        404                 Content not available
+ * @HttpResponse                        416                 The requested range is not available
  */
 OAE.globalAdminRouter.on('get', '/api/download/signed', _handleSignedDownload);
 OAE.tenantRouter.on('get', '/api/download/signed', _handleSignedDownload);
 
+/**
+ * @REST postContentStorageMigration
+ *
+ * Migrate the file bodies and preview files of a tenant to the storage backend that is configured for the tenant
+ *
+ * @Server      admin
+ * @Method      POST
+ * @Path        /content/storage/migration
+ * @FormParam   {string}            tenantAlias         The alias of the tenant whose storage should be migrated
+ * @Return      {StorageMigration}                      The storage migration that was queued
+ * @HttpResponse                    200                 Storage migration queued
+ * @HttpResponse                    400                 A tenant alias must be provided
+ * @HttpResponse                    400                 The storage of this tenant is already being migrated
+ * @HttpResponse                    401                 Only global administrators can migrate the storage of a tenant
+ * @HttpResponse                    404                 A tenant with the alias could not be found
+ */
+OAE.globalAdminRouter.on('post', '/api/content/storage/migration', (req, res) => {
+  ContentAPI.migrateStorage(req.ctx, req.body.tenantAlias, (err, migration) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(migration);
+  });
+});
+
+/**
+ * @REST getContentStorageMigrationTenantAlias
+ *
+ * Get the status and progress of the storage migration of a tenant
+ *
+ * @Server      admin
+ * @Method      GET
+ * @Path        /content/storage/migration/{tenantAlias}
+ * @PathParam   {string}            tenantAlias         The alias of the tenant whose storage migration should be retrieved
+ * @Return      {StorageMigration}                      The storage migration of the tenant
+ * @HttpResponse                    200                 Storage migration available
+ * @HttpResponse                    401                 Only global administrators can view the storage migration of a tenant
+ * @HttpResponse                    404                 The storage of this tenant has never been migrated
+ */
+OAE.globalAdminRouter.on('get', '/api/content/storage/migration/:tenantAlias', (req, res) => {
+  ContentAPI.getStorageMigration(req.ctx, req.params.tenantAlias, (err, migration) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(migration);
+  });
+});
+
 /**
  * Send the correct HTTP response according to a download strategy. Note that the "direct" download strategy is not being handled here
  * as the direct strategy should not be requested to the application for action, instead its target is delivered to the user verbatim
  * with no signature.
  *
- * @param  {Response}           res                     The Express Response object
- * @param  {Object}             downloadInfo            An object that represents an item that can be downloaded from the application
- * @param  {String}             downloadInfo.filename   The file name of the download
- * @param  {DownloadStrategy}   downloadInfo.strategy   How the application should deliver the download
- * @param  {Boolean}            [expiresMax]            Whether a far future expires response header should be set
+ * @param  {Request}            req                         The Express Request object
+ * @param  {Response}           res                         The Express Response object
+ * @param  {Object}             downloadInfo                An object that represents an item that can be downloaded from the application
+ * @param  {String}             downloadInfo.filename       The file name of the download
+ * @param  {DownloadStrategy}   downloadInfo.strategy       How the application should deliver the download
+ * @param  {String}             [downloadInfo.etag]         The entity tag that identifies the download
+ * @param  {Number}             [downloadInfo.lastModified] The timestamp (millis since epoch) at which the download was last modified
+ * @param  {Boolean}            [expiresMax]                Whether a far future expires response header should be set
  * @api private
  */
-const _handleDownload = function(res, downloadInfo, expiresMax) {
+const _handleDownload = function(req, res, downloadInfo, expiresMax) {
   const downloadStrategy = downloadInfo.strategy;
 
+  // A redirect strategy will invoke a redirect to the target
+  if (downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_REDIRECT) {
+    // We can't guarantee that the backend won't want to update some details about the target over time. e.g., update some tracking
+    // variables over time for analytics or additional security. Therefore, we do a temporary redirect (302)
+    res.setHeader('Location', downloadStrategy.target);
+    return res.status(302).end();
+  }
+
+  // Allow clients to revalidate their cached copy and to resume downloads
+  if (downloadInfo.etag) {
+    res.setHeader('ETag', downloadInfo.etag);
+  }
+
+  if (downloadInfo.lastModified) {
+    res.setHeader('Last-Modified', new Date(downloadInfo.lastModified).toUTCString());
+  }
+
+  if (expiresMax) {
+    // Add the cache headers manually as some webservers are not
+    // able to deal with setting cache headers and internal redirects
+    // @see https://github.com/oaeproject/Hilary/issues/995
+    res.setHeader('Expires', 'Thu, 31 Dec 2037 23:55:55 GMT');
+    res.setHeader('Cache-Control', 'max-age=315360000');
+  }
+
+  // The app server will send the file to the client itself. The test strategy should *NOT* be used in production and is only
+  // really here for easier unit testing purposes
+  if (
+    downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_STREAM ||
+    downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_TEST
+  ) {
+    return _streamDownload(req, res, downloadInfo);
+  }
+
   // A 204 suggest that the LB (nginx, apache, lighthttpd, ..) will be handling the download via the x-sendfile mechanism
   if (downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_INTERNAL) {
+    // There's no need to hand off a download the client already has
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
     // Nginx internal download
     res.setHeader('X-Accel-Redirect', downloadStrategy.target);
 
@@ -1120,31 +1774,69 @@ const _handleDownload = function(res, downloadInfo, expiresMax) {
     // Lighthttpd internal download
     res.setHeader('X-LIGHTTPD-send-file', downloadStrategy.target);
 
-    if (expiresMax) {
-      // Add the cache headers manually as some webservers are not
-      // able to deal with setting cache headers and internal redirects
-      // @see https://github.com/oaeproject/Hilary/issues/995
-      res.setHeader('Expires', 'Thu, 31 Dec 2037 23:55:55 GMT');
-      res.setHeader('Cache-Control', 'max-age=315360000');
-    }
+    // The web server serves byte ranges of the file
+    res.setHeader('Accept-Ranges', 'bytes');
 
     res.setHeader('Content-Disposition', 'attachment; filename="' + querystring.escape(downloadInfo.filename) + '"');
-    res.status(204).send(downloadStrategy.target);
+    return res.status(204).send(downloadStrategy.target);
+  }
 
-    // A redirect strategy will invoke a redirect to the target
-  } else if (downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_REDIRECT) {
-    // We can't guarantee that the backend won't want to update some details about the target over time. e.g., update some tracking
-    // variables over time for analytics or additional security. Therefore, we do a temporary redirect (302)
-    res.setHeader('Location', downloadStrategy.target);
-    return res.status(302).end();
+  // In all other cases we respond with a 404
+  res.status(404).end();
+};
 
-    // The app server will send the file to the client. This should *NOT* be used in production and is only really here for easier unit
-    // testing purposes
-  } else if (downloadStrategy.strategy === ContentConstants.backend.DOWNLOAD_STRATEGY_TEST) {
-    return res.download(downloadStrategy.target);
+/**
+ * Stream a file from the app server to the client. A file that is not on the app server is retrieved from its storage
+ * backend into a temporary file first. `Range`, `If-Range` and conditional requests are answered using the `ETag` and
+ * `Last-Modified` headers that have already been set on the response, or ones derived from the file if those are missing
+ *
+ * @param  {Request}            req                     The Express Request object
+ * @param  {Response}           res                     The Express Response object
+ * @param  {Object}             downloadInfo            An object that represents an item that can be downloaded from the application
+ * @param  {String}             downloadInfo.filename   The file name of the download
+ * @param  {DownloadStrategy}   downloadInfo.strategy   The download strategy whose target is the absolute path or the storage URI of the file
+ * @api private
+ */
+const _streamDownload = function(req, res, downloadInfo) {
+  const { target } = downloadInfo.strategy;
+  if (Path.isAbsolute(target)) {
+    return _sendFile(res, target, downloadInfo.filename);
+  }
 
-    // In all other cases we respond with a 404
-  } else {
-    res.status(404).end();
+  // There's no need to retrieve a file the client already has
+  if (req.fresh) {
+    return res.status(304).end();
   }
+
+  ContentUtil.getStorageBackend(req.ctx, target).get(req.ctx.tenant().alias, target, (err, file) => {
+    if (err) {
+      return res.status(err.code === 404 ? 404 : 500).end();
+    }
+
+    _sendFile(res, file.path, downloadInfo.filename, () => {
+      file.remove(() => {});
+    });
+  });
+};
+
+/**
+ * Send a file on the app server to the client as an attachment
+ *
+ * @param  {Response}   res         The Express Response object
+ * @param  {String}     path        The absolute path of the file to send
+ * @param  {String}     filename    The file name of the download
+ * @param  {Function}   [callback]  Invoked when the file has been sent or sending it failed
+ * @api private
+ */
+const _sendFile = function(res, path, filename, callback) {
+  callback = callback || function() {};
+  const options = { acceptRanges: true, cacheControl: false };
+  res.download(path, filename, options, err => {
+    // Once part of the file has been sent, there's no way left to report an error
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).end();
+    }
+
+    return callback();
+  });
 };
@@ -39,6 +39,7 @@
  * @Property    {string}                profilePath                 The relative path to the collaborative document
  * @Property    {string}                resourceSubType             The content item type                           [collabdoc]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the collaborative document
  * @Property    {Tenant}                tenant                      The tenant to which this collaborative document is associated
  * @Property    {string}                visibility                  The visibility of the collaborative document    [loggedin,private,public]
  */
@@ -59,6 +60,7 @@
  * @Property    {string}                profilePath                 The relative path to the collaborative spreadsheet
  * @Property    {string}                resourceSubType             The content item type                           [collabsheet]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the collaborative spreadsheet
  * @Property    {Tenant}                tenant                      The tenant to which this collaborative spreadsheet is associated
  * @Property    {string}                visibility                  The visibility of the collaborative spreadsheet    [loggedin,private,public]
  */
@@ -76,12 +78,14 @@
  * @Property    {string}                id                          The id of the file
  * @Property    {number}                lastModified                The timestamp (millis since epoch) at which the file was last modified
  * @Property    {string}                latestRevisionId            The id of the current file revision
+ * @Property    {BasicContentLock}      lock                        The lock on the file, if it has been checked out
  * @Property    {string}                mime                        The mime type of the file
  * @Property    {Previews}              previews                    The thumbnails for the file
  * @Property    {string}                profilePath                 The relative path to the file
  * @Property    {string}                resourceSubType             The content item type                           [file]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
  * @Property    {number}                size                        The size of the file in bytes
+ * @Property    {string[]}              tags                        The tags that have been applied to the file
  * @Property    {Tenant}                tenant                      The tenant to which this file is associated
  * @Property    {string}                visibility                  The visibility of the file                      [loggedin,private,public]
  */
@@ -102,10 +106,19 @@
  * @Property    {string}                profilePath                 The relative path to the link
  * @Property    {string}                resourceSubType             The content item type                           [link]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the link
  * @Property    {Tenant}                tenant                      The tenant to which this link is associated
  * @Property    {string}                visibility                  The visibility of the link                      [loggedin,private,public]
  */
 
+/**
+ * @RESTModel BasicContentLock
+ *
+ * @Required    [expires,lockedBy]
+ * @Property    {number}                expires                     The timestamp (millis since epoch) at which the lock expires
+ * @Property    {string}                lockedBy                    The id of the user who checked out the file
+ */
+
 /**
  * @RESTModel CollabdocJoinInfo
  *
@@ -160,6 +173,7 @@
  * @Property    {string}                displayName                 The display name of the collaborative document
  * @Property    {string}                etherpadGroupId             The id of the collaborative document's corresponding Etherpad group
  * @Property    {string}                etherpadPadId               The id of the collaborative document's corresponding Etherpad pad
+ * @Property    {number}                expireAt                    The timestamp (millis since epoch) at which the collaborative document becomes private. Only available to managers
  * @Property    {string}                id                          The id of the collaborative document
  * @Property    {boolean}               isManager                   Whether the current user is a manager of the collaborative document
  * @Property    {number}                lastModified                The timestamp (millis since epoch) at which the collaborative document was last modified
@@ -167,8 +181,12 @@
  * @Property    {string}                latestRevisionId            The id of the current collaborative document revision
  * @Property    {Previews}              previews                    The thumbnails for the collaborative document
  * @Property    {string}                profilePath                 The relative path to the collaborative document
+ * @Property    {number}                publishAt                   The timestamp (millis since epoch) at which the collaborative document gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility           The visibility the collaborative document gets when it is published   [loggedin,public]
+ * @Property    {Reactions}             reactions                   The reactions on the collaborative document
  * @Property    {string}                resourceSubType             The content item type                           [collabdoc]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the collaborative document
  * @Property    {BasicTenant}           tenant                      The tenant to which this collaborative document is associated
  * @Property    {string}                visibility                  The visibility of the collaborative document    [loggedin,private,public]
  */
@@ -183,6 +201,7 @@
  * @Property    {string}                description                 A longer description for the collaborative spreadsheet
  * @Property    {string}                displayName                 The display name of the collaborative spreadsheet
  * @Property    {string}                ethercalcRoomId             The id of the collaborative spreadsheet's corresponding Ethercalc room
+ * @Property    {number}                expireAt                    The timestamp (millis since epoch) at which the collaborative spreadsheet becomes private. Only available to managers
  * @Property    {string}                id                          The id of the collaborative spreadsheet
  * @Property    {boolean}               isManager                   Whether the current user is a manager of the collaborative spreadsheet
  * @Property    {number}                lastModified                The timestamp (millis since epoch) at which the collaborative spreadsheet was last modified
@@ -190,8 +209,12 @@
  * @Property    {string}                latestRevisionId            The id of the current collaborative spreadsheet revision
  * @Property    {Previews}              previews                    The thumbnails for the collaborative spreadsheet
  * @Property    {string}                profilePath                 The relative path to the collaborative spreadsheet
+ * @Property    {number}                publishAt                   The timestamp (millis since epoch) at which the collaborative spreadsheet gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility           The visibility the collaborative spreadsheet gets when it is published   [loggedin,public]
+ * @Property    {Reactions}             reactions                   The reactions on the collaborative spreadsheet
  * @Property    {string}                resourceSubType             The content item type                           [collabsheet]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the collaborative spreadsheet
  * @Property    {BasicTenant}           tenant                      The tenant to which this collaborative spreadsheet is associated
  * @Property    {string}                visibility                  The visibility of the collaborative spreadsheet [loggedin,private,public]
  */
@@ -207,16 +230,22 @@
  * @Property    {string}                displayName                 The display name of the file
  * @Property    {string}                downloadPath                The relative path at which the file can be downloaded
  * @Property    {string}                filename                    The original file name of the uploaded file
+ * @Property    {number}                expireAt                    The timestamp (millis since epoch) at which the file becomes private. Only available to managers
  * @Property    {string}                id                          The id of the file
  * @Property    {boolean}               isManager                   Whether the current user is a manager of the file
  * @Property    {number}                lastModified                The timestamp (millis since epoch) at which the file was last modified
  * @Property    {string}                latestRevisionId            The id of the current file revision
+ * @Property    {ContentLock}           lock                        The lock on the file, if it has been checked out
  * @Property    {string}                mime                        The mime type of the file
  * @Property    {Previews}              previews                    The thumbnails for the file
  * @Property    {string}                profilePath                 The relative path to the file
+ * @Property    {number}                publishAt                   The timestamp (millis since epoch) at which the file gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility           The visibility the file gets when it is published   [loggedin,public]
+ * @Property    {Reactions}             reactions                   The reactions on the file
  * @Property    {string}                resourceSubType             The content item type                           [file]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
  * @Property    {number}                size                        The size of the file in bytes
+ * @Property    {string[]}              tags                        The tags that have been applied to the file
  * @Property    {Tenant}                tenant                      The tenant to which this file is associated
  * @Property    {string}                visibility                  The visibility of the file                      [loggedin,private,public]
  */
@@ -238,6 +267,7 @@
  * @Property    {string}                createdBy                   The id of the user who created the link
  * @Property    {string}                description                 A longer description for the link
  * @Property    {string}                displayName                 The display name of the link
+ * @Property    {number}                expireAt                    The timestamp (millis since epoch) at which the link becomes private. Only available to managers
  * @Property    {string}                id                          The id of the link
  * @Property    {boolean}               isManager                   Whether the current user is a manager of the link
  * @Property    {number}                lastModified                The timestamp (millis since epoch) at which the link was last modified
@@ -245,12 +275,24 @@
  * @Property    {string}                link                        The URL to which the link points
  * @Property    {Previews}              previews                    The thumbnails and embed information for the link
  * @Property    {string}                profilePath                 The relative path to the link
+ * @Property    {number}                publishAt                   The timestamp (millis since epoch) at which the link gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility           The visibility the link gets when it is published   [loggedin,public]
+ * @Property    {Reactions}             reactions                   The reactions on the link
  * @Property    {string}                resourceSubType             The content item type                           [link]
  * @Property    {string}                resourceType                The resource type of the content item           [content]
+ * @Property    {string[]}              tags                        The tags that have been applied to the link
  * @Property    {Tenant}                tenant                      The tenant to which this link is associated
  * @Property    {string}                visibility                  The visibility of the link                      [loggedin,private,public]
  */
 
+/**
+ * @RESTModel ContentLock
+ *
+ * @Required    [expires,lockedBy]
+ * @Property    {number}                expires                     The timestamp (millis since epoch) at which the lock expires
+ * @Property    {BasicUser}             lockedBy                    The user who checked out the file
+ */
+
 /**
  * @RESTModel ContentMembersUpdate
  *
@@ -268,6 +310,7 @@
  * @Property    {string}                downloadPath                The relative path at which the revision can be downloaded
  * @Property    {string}                largeUrl                    The relative path to the large-sized revision thumbnail
  * @Property    {string}                filename                    The original file name of the uploaded file
+ * @Property    {string}                hash                        The SHA-256 checksum of the uploaded file
  * @Property    {string}                mediumUrl                   The relative path to the medium-sized revision thumbnail
  * @Property    {string}                mime                        The mime type of the file
  * @Property    {Previews}              previews                    The thumbnails for the file
@@ -311,7 +354,11 @@
  * @RESTModel PreviewMetadata
  *
  * @Required    []
+ * @Property    {number}                duration                    The duration in seconds of the audio or video file
+ * @Property    {number}                height                      The height in pixels of the video file
+ * @Property    {boolean}               ocr                         Whether the text of the document was recognised from its images, as it had no text of its own
  * @Property    {number}                pageCount                   The number of pages in the document preview
+ * @Property    {number}                width                       The width in pixels of the video file
  */
 
 /**
@@ -319,16 +366,20 @@
  *
  * @Required    []
  * @Property    {string}                cssScopeClass               The CSS class used to scope the preview stylesheet to a particular document preview
+ * @Property    {number}                duration                    The duration in seconds of the audio or video file
  * @Property    {boolean}               embeddable                  Whether the link allows embedding
+ * @Property    {number}                height                      The height in pixels of the video file
  * @Property    {boolean}               httpsAccessible             Whether the link is accessible via
  * @Property    {string}                largeUrl                    The relative path to the large-sized preview
  * @Property    {string}                mediumUrl                   The relative path to the medium-sized preview
+ * @Property    {boolean}               ocr                         Whether the text of the document was recognised from its images, as it had no text of its own
  * @Property    {number}                pageCount                   The number of pages in the document preview
  * @Property    {string}                smallUrl                    The relative path to the small-sized preview
  * @Property    {string}                status                      The preview processing status for the preview      [done,error,ignored,pending]
  * @Property    {number}                total                       The number of properties in the preview metadata
  * @Property    {string}                thumbnailUrl                The relative path to the preview thumbnail
  * @Property    {string}                wideUrl                     The relative path to the wide-sized preview
+ * @Property    {number}                width                       The width in pixels of the video file
  */
 
 /**
@@ -356,6 +407,35 @@
  * @Property    {LinkRevision}          (linkRevision)              Used when the revision is a link revision
  */
 
+/**
+ * @RESTModel RevisionCellChange
+ *
+ * @Required    [cell]
+ * @Property    {string}                after                       The value of the cell in the newer revision, if any
+ * @Property    {string}                before                      The value of the cell in the older revision, if any
+ * @Property    {string}                cell                        The coordinate of the cell, e.g. `A1`
+ */
+
+/**
+ * @RESTModel RevisionDiff
+ *
+ * @Required    [contentId,from,to]
+ * @Property    {RevisionCellChange[]}  cells                       The cells that changed between the collaborative spreadsheet revisions
+ * @Property    {string}                contentId                   The id of the content item the revisions belong to
+ * @Property    {string}                from                        The id of the older revision, or `null` when comparing the first revision
+ * @Property    {string}                html                        The differences between the collaborative document revisions rendered as HTML
+ * @Property    {RevisionLineChange[]}  lines                       The line by line differences between the file revisions
+ * @Property    {string}                to                          The id of the newer revision
+ */
+
+/**
+ * @RESTModel RevisionLineChange
+ *
+ * @Required    [type,value]
+ * @Property    {string}                type                        The type of change                              [added,equal,removed]
+ * @Property    {string}                value                       The content of the line
+ */
+
 /**
  * @RESTModel Revisions
  *
@@ -372,6 +452,31 @@
  * @Property    {string}                signature                   The access control signature
  */
 
+/**
+ * @RESTModel StorageMigration
+ *
+ * @Required    [backend,failed,failures,files,revisions,status,tenantAlias]
+ * @Property    {string}                backend                     The storage backend to which the files of the tenant are migrated
+ * @Property    {number}                failed                      The number of files that could not be migrated
+ * @Property    {StorageMigrationFailure[]}  failures               The files that could not be migrated. Only the first 100 failures are kept
+ * @Property    {number}                files                       The number of files that have been migrated
+ * @Property    {number}                finished                    The timestamp (millis since epoch) at which the migration finished
+ * @Property    {number}                revisions                   The number of revisions whose files have been migrated
+ * @Property    {number}                started                     The timestamp (millis since epoch) at which the migration started
+ * @Property    {string}                status                      The status of the migration                                         [done,failed,queued,running]
+ * @Property    {string}                tenantAlias                 The alias of the tenant whose storage is migrated
+ * @Property    {number}                updated                     The timestamp (millis since epoch) at which the migration last made progress
+ */
+
+/**
+ * @RESTModel StorageMigrationFailure
+ *
+ * @Required    [msg]
+ * @Property    {string}                msg                         The reason the file could not be migrated
+ * @Property    {string}                revisionId                  The id of the revision to which the file belongs
+ * @Property    {string}                uri                         The storage URI of the file that could not be migrated
+ */
+
 /**
  * @RESTModel UpdatedContent
  *
@@ -380,6 +485,20 @@
  * @Property    {string}                displayName                 Updated display name for the content item
  */
 
+/**
+ * @RESTModel Upload
+ *
+ * @Required    [created,createdBy,filename,id,offset,size,tenantAlias]
+ * @Property    {string}                contentId                   The id of the file for which the upload is a new version, if any
+ * @Property    {number}                created                     The timestamp (millis since epoch) at which the upload was started
+ * @Property    {string}                createdBy                   The id of the user who started the upload
+ * @Property    {string}                filename                    The name of the file that is uploaded
+ * @Property    {string}                id                          The id of the upload
+ * @Property    {number}                offset                      The number of bytes that have been received, which is where the next chunk should start
+ * @Property    {number}                size                        The size of the file in bytes
+ * @Property    {string}                tenantAlias                 The alias of the tenant to which the file is uploaded
+ */
+
 /**
  * @RESTModel UpdatedPreview
  *
@@ -43,6 +43,8 @@ export const init = function(callback) {
   const contentBodyChildSearchDocumentOptions = {
     resourceTypes: ['content'],
     schema: contentBodySchema,
+    // eslint-disable-next-line camelcase
+    renamedFields: { content_body: 'body' },
     producer(resources, callback) {
       return _produceContentBodyDocuments(resources.slice(), callback);
     }
@@ -159,9 +161,16 @@ ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj)
 });
 
 /*!
- * When a comment is created for a content item, we must index the child message document
+ * When a content item is restored from the trash, we must index its resource document and all its children again
  */
-ContentAPI.emitter.on(ContentConstants.events.CREATED_COMMENT, (ctx, comment, content) => {
+ContentAPI.emitter.on(ContentConstants.events.RESTORED_CONTENT, (ctx, contentObj) => {
+  SearchAPI.postIndexTask('content', [{ id: contentObj.id }], { resource: true, children: true });
+});
+
+/*!
+ * When a comment is created or edited for a content item, we must (re)index the child message document
+ */
+const _indexContentComment = function(ctx, comment, content) {
   const resource = {
     id: content.id,
     comments: [comment]
@@ -173,7 +182,10 @@ ContentAPI.emitter.on(ContentConstants.events.CREATED_COMMENT, (ctx, comment, co
       content_comment: true
     }
   });
-});
+};
+
+ContentAPI.emitter.on(ContentConstants.events.CREATED_COMMENT, _indexContentComment);
+ContentAPI.emitter.on(ContentConstants.events.UPDATED_COMMENT, _indexContentComment);
 
 /*!
  * when a comment is deleted on a content item, we must delete the child message document
@@ -251,18 +263,22 @@ const _produceContentBodyDocuments = function(resources, callback, _documents, _
 
     const revision = revisions[0];
 
-    // Skip revisions that don't have (html) previews
-    if (
-      !revision.previews ||
-      revision.previews.status !== ContentConstants.previews.DONE ||
-      !revision.previews.pageCount
-    ) {
+    // Skip revisions whose previews haven't been generated yet
+    if (!revision.previews || revision.previews.status !== ContentConstants.previews.DONE) {
       log().trace({ id: resource.id, previews: revision.previews }, 'No text to index');
 
       // Move on to the next resource
       return _produceContentBodyDocuments(resources, callback, _documents, _errs);
     }
 
+    // Revisions without (html) previews or recognised text have no text. We still index an empty
+    // body so the text of an earlier revision doesn't keep matching
+    if (!revision.previews.pageCount && !revision.previews.ocr) {
+      log().trace({ id: resource.id, previews: revision.previews }, 'No text to index');
+      _documents.push(_createContentBodyDocument(resource.id, ''));
+      return _produceContentBodyDocuments(resources, callback, _documents, _errs);
+    }
+
     ContentDAO.Previews.getContentPreview(revision.previewsId, 'plain.txt', (err, preview) => {
       if (err) {
         _errs = _.union(_errs, [err]);
@@ -278,13 +294,7 @@ const _produceContentBodyDocuments = function(resources, callback, _documents, _
 
         fs.readFile(file.path, (err, data) => {
           if (!err) {
-            const childDoc = SearchUtil.createChildSearchDocument(
-              ContentConstants.search.MAPPING_CONTENT_BODY,
-              resource.id,
-              // eslint-disable-next-line camelcase
-              { content_body: data.toString('utf8') }
-            );
-            _documents.push(childDoc);
+            _documents.push(_createContentBodyDocument(resource.id, data.toString('utf8')));
           }
 
           // In all cases, the file should be removed again
@@ -302,6 +312,21 @@ const _produceContentBodyDocuments = function(resources, callback, _documents, _
   });
 };
 
+/**
+ * Create the content body search document for a content item
+ *
+ * @param  {String}     contentId   The id of the content item whose body should be indexed
+ * @param  {String}     text        The plain text of the latest revision of the content item
+ * @return {Object}                 The content body child search document
+ * @api private
+ */
+const _createContentBodyDocument = function(contentId, text) {
+  return SearchUtil.createChildSearchDocument(ContentConstants.search.MAPPING_CONTENT_BODY, contentId, {
+    // eslint-disable-next-line camelcase
+    content_body: text
+  });
+};
+
 /**
  * Produces search documents for 'content' resources.
  *
@@ -451,8 +476,10 @@ const _produceContentSearchDocument = function(content, revision) {
     dateCreated: content.created,
     lastModified: content.lastModified,
     createdBy: content.createdBy,
+    tags: content.tags,
     _extra: {
-      lastModified: content.lastModified
+      lastModified: content.lastModified,
+      tags: content.tags
     }
   };
 
@@ -500,8 +527,8 @@ const _transformContentDocuments = function(ctx, docs, callback) {
       result[name] = _.first(value);
     });
 
-    // Take just the `mime` and `lastModified` from the extra fields, if specified
-    _.extend(result, _.pick(extra, 'mime', 'lastModified'));
+    // Take just the `mime`, `lastModified` and `tags` from the extra fields, if specified
+    _.extend(result, _.pick(extra, 'mime', 'lastModified', 'tags'));
 
     // Add the full tenant object and profile path
     _.extend(result, {
@@ -515,12 +542,31 @@ const _transformContentDocuments = function(ctx, docs, callback) {
       result.thumbnailUrl = ContentUtil.getSignedDownloadUrl(ctx, thumbnailUrl);
     }
 
+    // When the search matched the text of the content item, add the highlighted snippets of that text
+    const highlights = _getContentBodyHighlights(doc);
+    if (!_.isEmpty(highlights)) {
+      result.highlights = highlights;
+    }
+
     transformedDocs[docId] = result;
   });
 
   return callback(null, transformedDocs);
 };
 
+/**
+ * Get the highlighted snippets of the content body that matched a search, if any
+ *
+ * @param  {Object}     doc     The content search document as returned by ElasticSearch
+ * @return {String[]}           The HTML-escaped snippets of the content body, in which the matched terms are wrapped in `em` tags
+ * @api private
+ */
+const _getContentBodyHighlights = function(doc) {
+  const innerHits = doc.inner_hits && doc.inner_hits[ContentConstants.search.MAPPING_CONTENT_BODY];
+  const hit = innerHits && _.first(innerHits.hits.hits);
+  return (hit && hit.highlight && hit.highlight.content_body) || [];
+};
+
 // Bind the transformer to the search API
 SearchAPI.registerSearchDocumentTransformer('content', _transformContentDocuments);
 
@@ -18,13 +18,15 @@
  * whose parent is the central content document. This relationship allows for a content body index to be updated without
  * having to re-index anything else about the content
  *
- * @return {Object}     schema          The contentBody child document schema
- *         {String}     schema.body     A free-text string representing the body of the content
+ * @return {Object}     schema                  The contentBody child document schema
+ *         {String}     schema.content_body     A free-text string representing the body of the content
  */
-/* eslint-disable unicorn/filename-case */
-export const body = {
+/* eslint-disable unicorn/filename-case, camelcase */
+export const content_body = {
   type: 'string',
   store: 'no',
   index: 'analyzed',
-  analyzer: 'text_content'
+  analyzer: 'text_content',
+  // Store the term offsets so matched snippets can be highlighted without re-analyzing large document bodies
+  term_vector: 'with_positions_offsets'
 };
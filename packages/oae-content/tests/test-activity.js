@@ -1985,6 +1985,51 @@ describe('Content Activity', () => {
     });
   });
 
+  describe('Mentions', () => {
+    /**
+     * Test that verifies users mentioned in a content comment are stored on the comment and notified, even when they
+     * are not a member of the content item
+     */
+    it('verify users mentioned in a content comment are notified', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, jack, jane) => {
+        assert.ok(!err);
+
+        RestAPI.Content.createLink(
+          jack.restContext,
+          'Google',
+          'Google',
+          'public',
+          'http://www.google.ca',
+          [],
+          [],
+          [],
+          (err, link) => {
+            assert.ok(!err);
+
+            const body = util.format('What do you think, @[Jane](%s)?', jane.user.profilePath);
+            RestAPI.Content.createComment(jack.restContext, link.id, body, null, (err, comment) => {
+              assert.ok(!err);
+              assert.deepStrictEqual(comment.mentions, [jane.user.id]);
+
+              RestAPI.Content.getComments(jane.restContext, link.id, null, null, (err, comments) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(comments.results[0].mentions, [jane.user.id]);
+
+                // Jane is notified, even though she is not a member of the content item
+                ActivityTestsUtil.collectAndGetNotificationStream(jane.restContext, null, (err, notificationStream) => {
+                  assert.ok(!err);
+                  const mention = _.findWhere(notificationStream.items, { 'oae:activityType': 'mention' });
+                  ActivityTestsUtil.assertActivity(mention, 'mention', 'mention', jack.user.id, comment.id, jane.user.id);
+                  return callback();
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
   describe('Activity Aggregation', () => {
     /// /////////////////
     // CONTENT CREATE //
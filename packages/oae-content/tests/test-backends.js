@@ -14,9 +14,21 @@
  */
 
 import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
 import _ from 'underscore';
 
+import * as ConfigTestsUtil from 'oae-config/lib/test/util';
+import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
+import * as TempFile from 'oae-util/lib/tempfile';
+import * as TenantsTestUtil from 'oae-tenants/lib/test/util';
+import * as TestsUtil from 'oae-tests';
+
 import * as BackendsUtil from 'oae-content/lib/backends/util';
+import { ContentConstants } from 'oae-content/lib/constants';
+import * as ContentDAO from 'oae-content/lib/internal/dao';
 import * as LocalBackend from 'oae-content/lib/backends/local';
 import * as RemoteBackend from 'oae-content/lib/backends/remote';
 
@@ -140,36 +152,296 @@ describe('Content Backends', () => {
       return callback();
     });
 
-    /**
-     * Test that verifies that storing content items is not implemented
-     */
-    it('verify storing content items is not implemented', callback => {
-      RemoteBackend.store(null, { name: 'foo' }, null, err => {
-        assert.strictEqual(err.code, 501);
+    describe('Remote storage', () => {
+      let globalAdminRestContext = null;
+      let server = null;
+      let storageUrl = null;
+      // The files and collections our WebDAV stand-in holds, keyed by their path
+      let stored = null;
+      // The authorization headers of the requests the WebDAV stand-in received
+      let authorizations = null;
 
-        return callback();
+      /**
+       * Start a WebDAV stand-in and point the remote storage of the cambridge tenant to it
+       */
+      before(callback => {
+        globalAdminRestContext = TestsUtil.createGlobalAdminRestContext();
+        TestsUtil.createTestServer((app, _server, port) => {
+          server = _server;
+          storageUrl = util.format('http://localhost:%s/dav/', port);
+
+          app.use((req, res) => {
+            authorizations.push(req.headers.authorization);
+            const parentPath = req.path.replace(/[^/]+\/?$/, '');
+            if (req.method === 'MKCOL') {
+              if (stored[req.path]) {
+                return res.sendStatus(405);
+              }
+
+              if (parentPath !== '/dav/' && !stored[parentPath]) {
+                return res.sendStatus(409);
+              }
+
+              stored[req.path] = true;
+              return res.sendStatus(201);
+            }
+
+            if (req.method === 'PUT') {
+              if (!stored[parentPath]) {
+                return res.sendStatus(409);
+              }
+
+              const chunks = [];
+              req.on('data', chunk => chunks.push(chunk));
+              req.on('end', () => {
+                stored[req.path] = Buffer.concat(chunks);
+                return res.sendStatus(201);
+              });
+              return;
+            }
+
+            if (!stored[req.path]) {
+              return res.sendStatus(404);
+            }
+
+            if (req.method === 'GET') {
+              return res.send(stored[req.path]);
+            }
+
+            if (req.method === 'DELETE') {
+              delete stored[req.path];
+              return res.sendStatus(204);
+            }
+
+            return res.sendStatus(405);
+          });
+
+          ConfigTestsUtil.updateConfigAndWait(
+            globalAdminRestContext,
+            global.oaeTests.tenants.cam.alias,
+            {
+              'oae-content/storage/remote-url': storageUrl,
+              'oae-content/storage/remote-username': 'oae',
+              'oae-content/storage/remote-password': 'secret'
+            },
+            err => {
+              assert.ok(!err);
+              return callback();
+            }
+          );
+        });
       });
-    });
 
-    /**
-     * Test that verifies that getting content items is not implemented
-     */
-    it('verify getting content items is not implemented', callback => {
-      RemoteBackend.get(null, 'remote#www.google.com', err => {
-        assert.strictEqual(err.code, 501);
+      beforeEach(() => {
+        stored = {};
+        authorizations = [];
+      });
 
-        return callback();
+      /**
+       * Stop the WebDAV stand-in and reset the remote storage configuration
+       */
+      after(callback => {
+        server.close();
+        ConfigTestsUtil.clearConfigAndWait(
+          globalAdminRestContext,
+          global.oaeTests.tenants.cam.alias,
+          [
+            'oae-content/storage/remote-url',
+            'oae-content/storage/remote-username',
+            'oae-content/storage/remote-password'
+          ],
+          err => {
+            assert.ok(!err);
+            return callback();
+          }
+        );
       });
-    });
 
-    /**
-     * Test that verifies that removing content items is not implemented
-     */
-    it('verify removing content items is not implemented', callback => {
-      RemoteBackend.remove(null, 'remote#www.google.com', err => {
-        assert.strictEqual(err.code, 501);
+      /**
+       * Create a temporary file that can be stored in a backend
+       *
+       * @param  {String}     body        The body of the file
+       * @return {Object}                 The file that can be passed into a backend's `store` method
+       */
+      const _createFile = function(body) {
+        const tmp = TempFile.createTempFile({ suffix: '.txt' });
+        fs.writeFileSync(tmp.path, body);
+        return { name: 'remote.txt', path: tmp.path, size: Buffer.byteLength(body) };
+      };
 
-        return callback();
+      /**
+       * Test that verifies that file bodies can be stored on, retrieved from and removed from a WebDAV server
+       */
+      it('verify files can be stored, retrieved and removed', callback => {
+        const tenantAlias = global.oaeTests.tenants.cam.alias;
+        const file = _createFile('The body of a remote file');
+        RemoteBackend.store(tenantAlias, file, { resourceId: 'c:camtest:VT9co9JRpM' }, (err, uri) => {
+          assert.ok(!err);
+          assert.strictEqual(uri.indexOf('remote:c/camtest/'), 0);
+
+          // The temporary file is removed and the collections were created before the file was stored
+          assert.ok(!fs.existsSync(file.path));
+          const location = BackendsUtil.splitUri(uri).location;
+          assert.ok(stored['/dav/c/']);
+          assert.ok(stored['/dav/c/camtest/']);
+          assert.strictEqual(stored['/dav/' + location].toString(), 'The body of a remote file');
+
+          // All requests were authenticated with the configured credentials
+          const expectedAuthorization = 'Basic ' + Buffer.from('oae:secret').toString('base64');
+          assert.ok(_.every(authorizations, authorization => authorization === expectedAuthorization));
+
+          // Stored files are retrieved and streamed by the application
+          const downloadStrategy = RemoteBackend.getDownloadStrategy(tenantAlias, uri);
+          assert.strictEqual(downloadStrategy.strategy, ContentConstants.backend.DOWNLOAD_STRATEGY_STREAM);
+          assert.strictEqual(downloadStrategy.target, uri);
+
+          RemoteBackend.get(tenantAlias, uri, (err, tmp) => {
+            assert.ok(!err);
+            assert.strictEqual(tmp.size, 25);
+            assert.strictEqual(fs.readFileSync(tmp.path, 'utf8'), 'The body of a remote file');
+            tmp.remove(() => {
+              RemoteBackend.remove(tenantAlias, uri, err => {
+                assert.ok(!err);
+                assert.ok(!stored['/dav/' + location]);
+
+                // Removing a file that is no longer there is not an error
+                RemoteBackend.remove(tenantAlias, uri, err => {
+                  assert.ok(!err);
+
+                  // Getting a file that is no longer there is
+                  RemoteBackend.get(tenantAlias, uri, (err, tmp) => {
+                    assert.strictEqual(err.code, 404);
+                    assert.ok(!tmp);
+                    return callback();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+
+      /**
+       * Test that verifies that an error is returned when the remote storage refuses to store a file
+       */
+      it('verify storing a file fails when the remote storage refuses it', callback => {
+        const tenantAlias = global.oaeTests.tenants.cam.alias;
+
+        // Without WebDAV the collections are not created, which our stand-in refuses
+        ConfigTestsUtil.updateConfigAndWait(
+          globalAdminRestContext,
+          tenantAlias,
+          { 'oae-content/storage/remote-webdav': false },
+          err => {
+            assert.ok(!err);
+
+            const file = _createFile('The body of a remote file');
+            RemoteBackend.store(tenantAlias, file, {}, (err, uri) => {
+              assert.strictEqual(err.code, 500);
+              assert.ok(!uri);
+              assert.ok(!fs.existsSync(file.path));
+              assert.ok(_.isEmpty(stored));
+
+              ConfigTestsUtil.clearConfigAndWait(
+                globalAdminRestContext,
+                tenantAlias,
+                ['oae-content/storage/remote-webdav'],
+                err => {
+                  assert.ok(!err);
+                  return callback();
+                }
+              );
+            });
+          }
+        );
+      });
+
+      /**
+       * Test that verifies that files on the remote storage are downloaded through the application
+       */
+      it('verify files on the remote storage are streamed to the user', callback => {
+        const camAdminRestContext = TestsUtil.createTenantAdminRestContext(global.oaeTests.tenants.cam.host);
+        TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, mrvisser) => {
+          assert.ok(!err);
+
+          ConfigTestsUtil.updateConfigAndWait(
+            globalAdminRestContext,
+            global.oaeTests.tenants.cam.alias,
+            { 'oae-content/storage/backend': 'remote' },
+            err => {
+              assert.ok(!err);
+
+              const getFileStream = function() {
+                return fs.createReadStream(path.join(__dirname, '/data/oae-video.png'));
+              };
+
+              RestAPI.Content.createFile(
+                mrvisser.restContext,
+                'Test Content',
+                'Test content description',
+                'private',
+                getFileStream,
+                [],
+                [],
+                [],
+                (err, contentObj) => {
+                  assert.ok(!err);
+
+                  ContentDAO.Revisions.getRevision(contentObj.latestRevisionId, (err, revision) => {
+                    assert.ok(!err);
+                    const location = BackendsUtil.splitUri(revision.uri).location;
+                    assert.ok(stored['/dav/' + location]);
+
+                    // The file is streamed by the application, which authenticates against the remote storage
+                    const download = TempFile.createTempFile({ suffix: '.png' });
+                    RestAPI.Content.download(
+                      mrvisser.restContext,
+                      contentObj.id,
+                      null,
+                      download.path,
+                      (err, response) => {
+                        assert.ok(!err);
+                        assert.strictEqual(response.statusCode, 200);
+                        assert.ok(fs.readFileSync(download.path).equals(stored['/dav/' + location]));
+                        const expectedAuthorization = 'Basic ' + Buffer.from('oae:secret').toString('base64');
+                        assert.ok(_.every(authorizations, authorization => authorization === expectedAuthorization));
+
+                        // A file that is no longer on the remote storage can't be downloaded
+                        delete stored['/dav/' + location];
+                        RestAPI.Content.download(mrvisser.restContext, contentObj.id, null, download.path, err => {
+                          assert.strictEqual(err.code, 404);
+
+                          download.remove(() => {
+                            ConfigTestsUtil.clearConfigAndWait(
+                              globalAdminRestContext,
+                              global.oaeTests.tenants.cam.alias,
+                              ['oae-content/storage/backend'],
+                              err => {
+                                assert.ok(!err);
+                                return callback();
+                              }
+                            );
+                          });
+                        });
+                      }
+                    );
+                  });
+                }
+              );
+            }
+          );
+        });
+      });
+
+      /**
+       * Test that verifies that files that were only linked to are not removed
+       */
+      it('verify files that were linked to are not removed', callback => {
+        RemoteBackend.remove(global.oaeTests.tenants.cam.alias, 'remote:' + storageUrl + 'linked.txt', err => {
+          assert.ok(!err);
+          assert.ok(_.isEmpty(authorizations));
+          return callback();
+        });
       });
     });
   });
@@ -185,7 +457,7 @@ describe('Content Backends', () => {
 
     afterEach(callback => {
       // Reset the root directory to its original value
-      LocalBackend.init(_originalRootDir, err => {
+      LocalBackend.init(_originalRootDir, false, err => {
         assert.ok(!err);
         return callback();
       });
@@ -196,7 +468,7 @@ describe('Content Backends', () => {
        * Test that verifies an error properly bubbles up the stack
        */
       it('verify error handling', callback => {
-        LocalBackend.init('\0', err => {
+        LocalBackend.init('\0', false, err => {
           assert.strictEqual(err.code, 500);
           return callback();
         });
@@ -218,5 +490,239 @@ describe('Content Backends', () => {
         });
       });
     });
+
+    describe('#getDownloadStrategy()', () => {
+      /**
+       * Test that verifies the application streams downloads itself when it is configured to do so
+       */
+      it('verify downloads can be streamed by the application', callback => {
+        const uri = 'local:c/camtest/ab/cd/ef/file.txt';
+
+        // By default, the web server serves the file
+        let strategy = LocalBackend.getDownloadStrategy('camtest', uri);
+        assert.strictEqual(strategy.strategy, ContentConstants.backend.DOWNLOAD_STRATEGY_INTERNAL);
+        assert.strictEqual(strategy.target, '/files/c/camtest/ab/cd/ef/file.txt');
+
+        LocalBackend.init(_originalRootDir, true, err => {
+          assert.ok(!err);
+
+          strategy = LocalBackend.getDownloadStrategy('camtest', uri);
+          assert.strictEqual(strategy.strategy, ContentConstants.backend.DOWNLOAD_STRATEGY_STREAM);
+          assert.strictEqual(strategy.target, path.join(_originalRootDir, 'c/camtest/ab/cd/ef/file.txt'));
+          return callback();
+        });
+      });
+    });
+  });
+
+  describe('Storage migration', () => {
+    let globalAdminRestContext = null;
+
+    before(() => {
+      globalAdminRestContext = TestsUtil.createGlobalAdminRestContext();
+    });
+
+    /**
+     * Reset the default storage backend
+     */
+    after(callback => {
+      ConfigTestsUtil.updateConfigAndWait(
+        globalAdminRestContext,
+        'admin',
+        { 'oae-content/storage/backend': 'local' },
+        err => {
+          assert.ok(!err);
+          return callback();
+        }
+      );
+    });
+
+    /**
+     * Wait until the storage migration of a tenant is no longer queued or running
+     *
+     * @param  {String}     tenantAlias         The alias of the tenant whose storage is migrated
+     * @param  {Function}   callback            Standard callback function
+     * @param  {Object}     callback.migration  The finished storage migration
+     * @throws {AssertionError}                 Thrown if the storage migration could not be retrieved
+     */
+    const _waitForStorageMigration = function(tenantAlias, callback) {
+      RestUtil.performRestRequest(
+        globalAdminRestContext,
+        '/api/content/storage/migration/' + encodeURIComponent(tenantAlias),
+        'GET',
+        null,
+        (err, migration) => {
+          assert.ok(!err);
+          if (_.contains(['queued', 'running'], migration.status)) {
+            return setTimeout(_waitForStorageMigration, 100, tenantAlias, callback);
+          }
+
+          return callback(migration);
+        }
+      );
+    };
+
+    /**
+     * Test that verifies that the files of a tenant are copied to the configured storage backend
+     */
+    it('verify files are migrated to the configured storage backend', callback => {
+      const alias = TenantsTestUtil.generateTestTenantAlias();
+      const host = TenantsTestUtil.generateTestTenantHost();
+      TestsUtil.createTenantWithAdmin(alias, host, (err, tenant, tenantAdminRestContext) => {
+        assert.ok(!err);
+
+        TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, mrvisser) => {
+          assert.ok(!err);
+
+          const getFileStream = function() {
+            return fs.createReadStream(path.join(__dirname, '/data/oae-video.png'));
+          };
+
+          RestAPI.Content.createFile(
+            mrvisser.restContext,
+            'Test Content',
+            'Test content description',
+            'private',
+            getFileStream,
+            [],
+            [],
+            [],
+            (err, contentObj) => {
+              assert.ok(!err);
+
+              ContentDAO.Revisions.getRevision(contentObj.latestRevisionId, (err, revision) => {
+                assert.ok(!err);
+                assert.strictEqual(BackendsUtil.splitUri(revision.uri).storageType, 'local');
+
+                // Only global administrators can migrate the storage of a tenant
+                RestUtil.performRestRequest(
+                  tenantAdminRestContext,
+                  '/api/content/storage/migration',
+                  'POST',
+                  { tenantAlias: alias },
+                  err => {
+                    assert.strictEqual(err.code, 401);
+
+                    RestUtil.performRestRequest(
+                      globalAdminRestContext,
+                      '/api/content/storage/migration',
+                      'POST',
+                      { tenantAlias: 'non-existing-tenant' },
+                      err => {
+                        assert.strictEqual(err.code, 404);
+
+                        ConfigTestsUtil.updateConfigAndWait(
+                          globalAdminRestContext,
+                          'admin',
+                          { 'oae-content/storage/backend': 'test' },
+                          err => {
+                            assert.ok(!err);
+
+                            RestUtil.performRestRequest(
+                              globalAdminRestContext,
+                              '/api/content/storage/migration',
+                              'POST',
+                              { tenantAlias: alias },
+                              (err, migration) => {
+                                assert.ok(!err);
+                                assert.strictEqual(migration.backend, 'test');
+
+                                _waitForStorageMigration(alias, migration => {
+                                  assert.strictEqual(migration.status, 'done');
+                                  assert.strictEqual(migration.revisions, 1);
+                                  assert.strictEqual(migration.files, 1);
+                                  assert.strictEqual(migration.failed, 0);
+                                  assert.ok(migration.finished >= migration.started);
+
+                                  // The revision and content item now point to the copied file
+                                  ContentDAO.Revisions.getRevision(revision.revisionId, (err, migratedRevision) => {
+                                    assert.ok(!err);
+                                    assert.strictEqual(migratedRevision.uri, revision.uri.replace('local:', 'test:'));
+
+                                    ContentDAO.Content.getContent(contentObj.id, (err, migratedContent) => {
+                                      assert.ok(!err);
+                                      assert.strictEqual(migratedContent.uri, migratedRevision.uri);
+
+                                      // The file is now downloaded from the test backend
+                                      const download = TempFile.createTempFile({ suffix: '.png' });
+                                      RestAPI.Content.download(
+                                        mrvisser.restContext,
+                                        contentObj.id,
+                                        null,
+                                        download.path,
+                                        (err, response) => {
+                                          assert.ok(!err);
+                                          assert.strictEqual(response.statusCode, 200);
+                                          download.remove(() => {
+                                            return callback();
+                                          });
+                                        }
+                                      );
+                                    });
+                                  });
+                                });
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              });
+            }
+          );
+        });
+      });
+    });
+
+    /**
+     * Test that verifies a new storage migration can only be started when the previous one stopped making progress
+     */
+    it('verify a storage migration that stopped making progress can be restarted', callback => {
+      const alias = TenantsTestUtil.generateTestTenantAlias();
+      const host = TenantsTestUtil.generateTestTenantHost();
+      TestsUtil.createTenantWithAdmin(alias, host, err => {
+        assert.ok(!err);
+
+        // Pretend a migration is running for the tenant
+        ContentDAO.Storage.createStorageMigration(alias, 'local', 'running', err => {
+          assert.ok(!err);
+
+          RestUtil.performRestRequest(
+            globalAdminRestContext,
+            '/api/content/storage/migration',
+            'POST',
+            { tenantAlias: alias },
+            err => {
+              assert.strictEqual(err.code, 400);
+
+              // Pretend the process that ran the migration died before it could finish the migration
+              const updated = Date.now() - ContentConstants.storageMigration.STALE_TIMEOUT * 1000 - 1000;
+              ContentDAO.Storage.updateStorageMigration(alias, { updated }, err => {
+                assert.ok(!err);
+
+                RestUtil.performRestRequest(
+                  globalAdminRestContext,
+                  '/api/content/storage/migration',
+                  'POST',
+                  { tenantAlias: alias },
+                  (err, migration) => {
+                    assert.ok(!err);
+                    assert.strictEqual(migration.status, 'queued');
+                    assert.ok(migration.updated > updated);
+
+                    _waitForStorageMigration(alias, migration => {
+                      assert.strictEqual(migration.status, 'done');
+                      return callback();
+                    });
+                  }
+                );
+              });
+            }
+          );
+        });
+      });
+    });
   });
 });
@@ -16,25 +16,34 @@
 import assert from 'assert';
 import fs from 'fs';
 import path from 'path';
+import { PassThrough } from 'stream';
 import util from 'util';
 import temp from 'temp';
 import _ from 'underscore';
 
+import * as ActivityTestUtil from 'oae-activity/lib/test/util';
 import * as AuthzAPI from 'oae-authz';
 import * as AuthzTestUtil from 'oae-authz/lib/test/util';
 import * as AuthzUtil from 'oae-authz/lib/util';
+import * as ConfigTestUtil from 'oae-config/lib/test/util';
 import { Context } from 'oae-context';
 import PreviewConstants from 'oae-preview-processor/lib/constants';
+import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
 import * as PrincipalsTestUtil from 'oae-principals/lib/test/util';
 import * as RestAPI from 'oae-rest';
 import { RestContext } from 'oae-rest/lib/model';
 import * as RestUtil from 'oae-rest/lib/util';
 import * as TenantsAPI from 'oae-tenants/lib/api';
+import * as TenantsTestUtil from 'oae-tenants/lib/test/util';
+import * as Locking from 'oae-util/lib/locking';
 import * as MQ from 'oae-util/lib/mq';
 import * as TestsUtil from 'oae-tests';
 import * as ContentAPI from 'oae-content';
+import { ContentConstants } from 'oae-content/lib/constants';
+import * as ContentDAO from 'oae-content/lib/internal/dao';
 import * as ContentTestUtil from 'oae-content/lib/test/util';
 import * as ContentUtil from 'oae-content/lib/internal/util';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
 
 const PUBLIC = 'public';
 const PRIVATE = 'private';
@@ -506,6 +515,46 @@ describe('Content', () => {
       });
     });
 
+    /**
+     * Test that verifies a client that already has a revision doesn't have to download it again
+     */
+    it('verify downloads can be revalidated with the revision entity tag', callback => {
+      setUpUsers(contexts => {
+        const { restContext } = contexts.nicolaas;
+        RestAPI.Content.createFile(
+          restContext,
+          'Test Content 1',
+          null,
+          PRIVATE,
+          getFileStream,
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            RestAPI.Content.download(restContext, contentObj.id, null, temp.path(), (err, response) => {
+              assert.ok(!err);
+              assert.strictEqual(response.statusCode, 204);
+              assert.strictEqual(response.headers.etag, '"' + contentObj.latestRevisionId + '"');
+              assert.strictEqual(response.headers['accept-ranges'], 'bytes');
+              assert.ok(response.headers['last-modified']);
+
+              // The file isn't handed off again when the client's copy is still current
+              restContext.additionalHeaders = { 'if-none-match': response.headers.etag };
+              RestAPI.Content.download(restContext, contentObj.id, null, temp.path(), (err, response) => {
+                delete restContext.additionalHeaders;
+                assert.ok(!err);
+                assert.strictEqual(response.statusCode, 304);
+                assert.ok(!response.headers['x-accel-redirect']);
+                return callback();
+              });
+            });
+          }
+        );
+      });
+    });
+
     /**
      * Simple test that verifies the uri does not contain any invalid characters
      */
@@ -2138,6 +2187,140 @@ describe('Content', () => {
         testCommentPermissions(contexts, PRIVATE, false, callback);
       });
     });
+
+    /**
+     * Edit the body of a comment on a content item through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user editing the comment
+     * @param  {String}         contentId           The id of the content item that holds the comment
+     * @param  {String}         created             The timestamp of the comment to edit
+     * @param  {String}         body                The new body of the comment
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Comment}        callback.comment    The updated comment
+     */
+    const _updateComment = function(restContext, contentId, created, body, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/messages/' + encodeURIComponent(created),
+        'PUT',
+        { body },
+        callback
+      );
+    };
+
+    /**
+     * Get the edit history of a comment on a content item through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the current user
+     * @param  {String}         contentId           The id of the content item that holds the comment
+     * @param  {String}         created             The timestamp of the comment
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {MessageEdit[]}  callback.edits      The edit history of the comment
+     */
+    const _getCommentEdits = function(restContext, contentId, created, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/messages/' + encodeURIComponent(created) + '/edits',
+        'GET',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies a user can edit their own comments and that the previous bodies are kept in the edit history
+     */
+    it('verify editing comments, edit history and permissions', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PRIVATE,
+          'http://www.oaeproject.org/',
+          [],
+          [contexts.bert.user.id],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            RestAPI.Content.createComment(contexts.bert.restContext, contentObj.id, 'alfa', null, (err, comment) => {
+              assert.ok(!err);
+
+              // Verify validation
+              _updateComment(contexts.bert.restContext, 'not-a-valid-id', comment.created, 'beta', err => {
+                assert.strictEqual(err.code, 400);
+                _updateComment(contexts.bert.restContext, contentObj.id, 'NaN', 'beta', err => {
+                  assert.strictEqual(err.code, 400);
+                  _updateComment(contexts.bert.restContext, contentObj.id, comment.created, '', err => {
+                    assert.strictEqual(err.code, 400);
+
+                    // An unknown comment can't be edited
+                    _updateComment(contexts.bert.restContext, contentObj.id, Date.now() - 1000, 'beta', err => {
+                      assert.strictEqual(err.code, 404);
+
+                      // Only the author can edit a comment, not even the manager of the content item
+                      _updateComment(anonymousRestContext, contentObj.id, comment.created, 'beta', err => {
+                        assert.strictEqual(err.code, 401);
+                        _updateComment(contexts.nicolaas.restContext, contentObj.id, comment.created, 'beta', err => {
+                          assert.strictEqual(err.code, 401);
+
+                          _updateComment(
+                            contexts.bert.restContext,
+                            contentObj.id,
+                            comment.created,
+                            'beta',
+                            (err, updatedComment) => {
+                              assert.ok(!err);
+                              assert.strictEqual(updatedComment.id, comment.id);
+                              assert.strictEqual(updatedComment.body, 'beta');
+                              assert.strictEqual(updatedComment.createdBy.id, contexts.bert.user.id);
+                              assert.ok(updatedComment.edited);
+
+                              // The edited comment is marked as such in the comment list
+                              RestAPI.Content.getComments(
+                                contexts.nicolaas.restContext,
+                                contentObj.id,
+                                null,
+                                10,
+                                (err, comments) => {
+                                  assert.ok(!err);
+                                  assert.strictEqual(comments.results.length, 1);
+                                  assert.strictEqual(comments.results[0].body, 'beta');
+                                  assert.strictEqual(comments.results[0].edited, updatedComment.edited);
+
+                                  // Only users who can see the content item can see the edit history
+                                  _getCommentEdits(contexts.simon.restContext, contentObj.id, comment.created, err => {
+                                    assert.strictEqual(err.code, 401);
+                                    _getCommentEdits(
+                                      contexts.nicolaas.restContext,
+                                      contentObj.id,
+                                      comment.created,
+                                      (err, edits) => {
+                                        assert.ok(!err);
+                                        assert.deepStrictEqual(_.pluck(edits, 'body'), ['alfa']);
+                                        assert.strictEqual(edits[0].edited, updatedComment.edited);
+                                        return callback();
+                                      }
+                                    );
+                                  });
+                                }
+                              );
+                            }
+                          );
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
   });
 
   describe('Create content', () => {
@@ -3233,6 +3416,221 @@ describe('Content', () => {
         );
       });
     });
+
+    /**
+     * Test that verifies that identical files share a single stored file body
+     */
+    it('verify identical files share their file body', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+        const bert = _.values(users)[1];
+
+        /*!
+         * Get the latest revision of a file
+         */
+        const _getLatestRevision = function(restContext, contentId, done) {
+          RestAPI.Content.getRevisions(restContext, contentId, null, 1, (err, revisions) => {
+            assert.ok(!err);
+            return done(revisions.results[0]);
+          });
+        };
+
+        RestAPI.Content.createFile(
+          nico.restContext,
+          'Test Content 1',
+          'Test content description 1',
+          PRIVATE,
+          getFileStream,
+          [],
+          [],
+          [],
+          (err, contentNico) => {
+            assert.ok(!err);
+
+            // Bert uploads the same file as a separate content item
+            RestAPI.Content.createFile(
+              bert.restContext,
+              'Test Content 2',
+              'Test content description 2',
+              PRIVATE,
+              getFileStream,
+              [],
+              [],
+              [],
+              (err, contentBert) => {
+                assert.ok(!err);
+
+                _getLatestRevision(nico.restContext, contentNico.id, revisionNico => {
+                  _getLatestRevision(bert.restContext, contentBert.id, revisionBert => {
+                    assert.ok(revisionNico.hash);
+                    assert.strictEqual(revisionBert.hash, revisionNico.hash);
+                    assert.strictEqual(revisionBert.uri, revisionNico.uri);
+
+                    // A different file gets a file body of its own
+                    RestAPI.Content.updateFileBody(bert.restContext, contentBert.id, getOAELogoStream, err => {
+                      assert.ok(!err);
+
+                      _getLatestRevision(bert.restContext, contentBert.id, revision => {
+                        assert.ok(revision.hash);
+                        assert.notStrictEqual(revision.hash, revisionNico.hash);
+                        assert.notStrictEqual(revision.uri, revisionNico.uri);
+
+                        // Both files can still be downloaded
+                        RestAPI.Content.download(
+                          nico.restContext,
+                          contentNico.id,
+                          revisionNico.revisionId,
+                          temp.path(),
+                          (err, response) => {
+                            assert.ok(!err);
+                            assert.ok(_.keys(response.headers).includes('x-accel-redirect'));
+                            return callback();
+                          }
+                        );
+                      });
+                    });
+                  });
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies that identical files that are uploaded at the same time end up sharing a single file body
+     */
+    it('verify identical files uploaded at the same time share their file body', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, nico) => {
+        assert.ok(!err);
+
+        // Use a file that has never been uploaded before
+        const filePath = temp.path({ suffix: '.txt' });
+        fs.writeFileSync(filePath, TestsUtil.generateRandomText(10));
+        const getUniqueFileStream = function() {
+          return fs.createReadStream(filePath);
+        };
+
+        const contentIds = [];
+        const _onCreated = function(err, contentObj) {
+          assert.ok(!err);
+          contentIds.push(contentObj.id);
+          if (contentIds.length < 2) {
+            return;
+          }
+
+          RestAPI.Content.getRevisions(nico.restContext, contentIds[0], null, 1, (err, revisions0) => {
+            assert.ok(!err);
+            RestAPI.Content.getRevisions(nico.restContext, contentIds[1], null, 1, (err, revisions1) => {
+              assert.ok(!err);
+              assert.ok(revisions0.results[0].hash);
+              assert.strictEqual(revisions1.results[0].hash, revisions0.results[0].hash);
+              assert.strictEqual(revisions1.results[0].uri, revisions0.results[0].uri);
+              fs.unlinkSync(filePath);
+              return callback();
+            });
+          });
+        };
+
+        RestAPI.Content.createFile(
+          nico.restContext,
+          'Test Content 1',
+          null,
+          PRIVATE,
+          getUniqueFileStream,
+          [],
+          [],
+          [],
+          _onCreated
+        );
+        RestAPI.Content.createFile(
+          nico.restContext,
+          'Test Content 2',
+          null,
+          PRIVATE,
+          getUniqueFileStream,
+          [],
+          [],
+          [],
+          _onCreated
+        );
+      });
+    });
+
+    /**
+     * Test that verifies that a file body that is being removed is not shared with an identical file that is uploaded
+     * in the meantime, but is replaced by it
+     */
+    it('verify a file body that is being removed is replaced by an identical upload', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, nico) => {
+        assert.ok(!err);
+        const tenantAlias = global.oaeTests.tenants.cam.alias;
+
+        // Use a file that has never been uploaded before
+        const filePath = temp.path({ suffix: '.txt' });
+        fs.writeFileSync(filePath, TestsUtil.generateRandomText(10));
+        const getUniqueFileStream = function() {
+          return fs.createReadStream(filePath);
+        };
+
+        RestAPI.Content.createFile(
+          nico.restContext,
+          'Test Content 1',
+          null,
+          PRIVATE,
+          getUniqueFileStream,
+          [],
+          [],
+          [],
+          (err, content1) => {
+            assert.ok(!err);
+            RestAPI.Content.getRevisions(nico.restContext, content1.id, null, 1, (err, revisions1) => {
+              assert.ok(!err);
+              const { hash, uri } = revisions1.results[0];
+
+              // Pretend the file body is being removed
+              ContentDAO.Bodies.markFileBodyRemoving(tenantAlias, hash, uri, (err, marked) => {
+                assert.ok(!err);
+                assert.ok(marked);
+
+                RestAPI.Content.createFile(
+                  nico.restContext,
+                  'Test Content 2',
+                  null,
+                  PRIVATE,
+                  getUniqueFileStream,
+                  [],
+                  [],
+                  [],
+                  (err, content2) => {
+                    assert.ok(!err);
+                    RestAPI.Content.getRevisions(nico.restContext, content2.id, null, 1, (err, revisions2) => {
+                      assert.ok(!err);
+                      assert.strictEqual(revisions2.results[0].hash, hash);
+                      assert.notStrictEqual(revisions2.results[0].uri, uri);
+
+                      // The removal can no longer remove the record of the file body that replaced it
+                      ContentDAO.Bodies.deleteFileBody(tenantAlias, hash, uri, err => {
+                        assert.ok(!err);
+                        ContentDAO.Bodies.getFileBody(tenantAlias, hash, (err, body) => {
+                          assert.ok(!err);
+                          assert.strictEqual(body.uri, revisions2.results[0].uri);
+                          assert.ok(!body.status);
+                          fs.unlinkSync(filePath);
+                          return callback();
+                        });
+                      });
+                    });
+                  }
+                );
+              });
+            });
+          }
+        );
+      });
+    });
   });
 
   describe('Update content', () => {
@@ -4391,225 +4789,1643 @@ describe('Content', () => {
     });
   });
 
-  describe('Delete content', () => {
+  describe('Comparing revisions', () => {
     /**
-     * Utitility function for the content delete assert. This function will create a piece of content, add a manager and a viewer using the setPermissions function,
-     * share the content with an additional user. After each of these, the expected access will be checked. After that, the test will attempt to delete the content
-     * as an anonymous user, a logged in user, a content member and a content manager. After that, the tests check if each of those can still access the content,
-     * whether or not all roles have deleted, whether or not all libraries have been updated and whether or not the content members list is no longer available
-     * @param  {Array<Context>}     contexts            Array of context objects that represent a request cycle and contain
-     *                                                  the current user and the current tenant
-     * @param  {User}               privacy             Privacy setting for the piece of content. Can be public, loggedin or private
-     * @param  {Function(content)}  callback            Standard callback function
+     * Compare 2 revisions of a piece of content through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user comparing the revisions
+     * @param  {String}         contentId           The id of the content item whose revisions to compare
+     * @param  {String}         revisionId          The id of the revision whose changes to get
+     * @param  {String}         [from]              The id of the revision to compare with
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {RevisionDiff}   callback.diff       The differences between both revisions
      */
-    const prepareDelete = function(contexts, privacy, callback) {
-      // Create a content item
-      RestAPI.Content.createLink(
-        contexts.nicolaas.restContext,
-        'Test Content 1',
-        'Test content description 1',
-        privacy,
-        'http://www.oaeproject.org/',
-        [],
-        [],
-        [],
-        (err, contentObj) => {
-          assert.ok(!err);
-          assert.ok(contentObj.id);
-          // Get the piece of content as the creator
-          checkPieceOfContent(
-            contexts.nicolaas.restContext,
-            contexts.nicolaas.user.id,
-            contentObj,
-            true,
-            true,
-            true,
-            true,
-            () => {
-              // Make a user a manager and make a user a member
-              const permissions = {};
-              permissions[contexts.simon.user.id] = 'manager';
-              permissions[contexts.ian.user.id] = 'viewer';
-              RestAPI.Content.updateMembers(contexts.nicolaas.restContext, contentObj.id, permissions, err => {
+    const _getRevisionDiff = function(restContext, contentId, revisionId, from, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/revisions/' + encodeURIComponent(revisionId) + '/diff',
+        'GET',
+        from ? { from } : {},
+        callback
+      );
+    };
+
+    /**
+     * Utility method that returns a function which creates a stream to a text file with the given lines
+     *
+     * @param  {String[]}   lines   The lines of the text file
+     * @return {Function}           A function that returns a stream to the text file
+     */
+    const _getTextFileStream = function(lines) {
+      const path = temp.path({ suffix: '.txt' });
+      fs.writeFileSync(path, lines.join('\n'));
+      return function() {
+        return fs.createReadStream(path);
+      };
+    };
+
+    /**
+     * Test that verifies the revisions of a text file can be compared line by line
+     */
+    it('verify comparing the revisions of a text file', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.simon.restContext,
+          'Notes',
+          'Meeting notes',
+          PRIVATE,
+          _getTextFileStream(['first', 'second', 'third']),
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+            const firstRevisionId = contentObj.latestRevisionId;
+
+            RestAPI.Content.updateFileBody(
+              contexts.simon.restContext,
+              contentObj.id,
+              _getTextFileStream(['first', 'changed', 'third', 'fourth']),
+              (err, contentObj) => {
                 assert.ok(!err);
-                checkPieceOfContent(
+                const secondRevisionId = contentObj.latestRevisionId;
+
+                // By default, a revision is compared with the revision that preceded it
+                _getRevisionDiff(contexts.simon.restContext, contentObj.id, secondRevisionId, null, (err, diff) => {
+                  assert.ok(!err);
+                  assert.strictEqual(diff.contentId, contentObj.id);
+                  assert.strictEqual(diff.from, firstRevisionId);
+                  assert.strictEqual(diff.to, secondRevisionId);
+                  assert.deepStrictEqual(diff.lines, [
+                    { type: 'equal', value: 'first' },
+                    { type: 'removed', value: 'second' },
+                    { type: 'added', value: 'changed' },
+                    { type: 'equal', value: 'third' },
+                    { type: 'added', value: 'fourth' }
+                  ]);
+
+                  // An older revision can be compared with a newer one as well
+                  _getRevisionDiff(
+                    contexts.simon.restContext,
+                    contentObj.id,
+                    firstRevisionId,
+                    secondRevisionId,
+                    (err, diff) => {
+                      assert.ok(!err);
+                      assert.strictEqual(diff.from, secondRevisionId);
+                      assert.strictEqual(diff.to, firstRevisionId);
+                      assert.deepStrictEqual(_.pluck(diff.lines, 'type'), [
+                        'equal',
+                        'removed',
+                        'added',
+                        'equal',
+                        'removed'
+                      ]);
+
+                      // The first revision has nothing to be compared with
+                      _getRevisionDiff(
+                        contexts.simon.restContext,
+                        contentObj.id,
+                        firstRevisionId,
+                        null,
+                        (err, diff) => {
+                          assert.ok(!err);
+                          assert.strictEqual(diff.from, null);
+                          assert.deepStrictEqual(_.pluck(diff.lines, 'type'), ['added', 'added', 'added']);
+
+                          // Users who cannot see the content cannot compare its revisions
+                          _getRevisionDiff(
+                            contexts.nicolaas.restContext,
+                            contentObj.id,
+                            secondRevisionId,
+                            null,
+                            err => {
+                              assert.strictEqual(err.code, 401);
+                              return callback();
+                            }
+                          );
+                        }
+                      );
+                    }
+                  );
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies the parameters are validated when comparing revisions
+     */
+    it('verify comparing revisions validation', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.simon.restContext,
+          'Test Content 1',
+          'Test content description 1',
+          PRIVATE,
+          getFileStream,
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            RestAPI.Content.createFile(
+              contexts.simon.restContext,
+              'Notes',
+              'Meeting notes',
+              PRIVATE,
+              _getTextFileStream(['first']),
+              [],
+              [],
+              [],
+              (err, textContentObj) => {
+                assert.ok(!err);
+
+                _getRevisionDiff(contexts.simon.restContext, textContentObj.id, 'not-a-revision-id', null, err => {
+                  assert.strictEqual(err.code, 400);
+
+                  _getRevisionDiff(
+                    contexts.simon.restContext,
+                    textContentObj.id,
+                    textContentObj.latestRevisionId,
+                    'not-a-revision-id',
+                    err => {
+                      assert.strictEqual(err.code, 400);
+
+                      // A revision of another content item cannot be compared with
+                      _getRevisionDiff(
+                        contexts.simon.restContext,
+                        textContentObj.id,
+                        textContentObj.latestRevisionId,
+                        contentObj.latestRevisionId,
+                        err => {
+                          assert.strictEqual(err.code, 400);
+
+                          // Images cannot be compared line by line
+                          _getRevisionDiff(
+                            contexts.simon.restContext,
+                            contentObj.id,
+                            contentObj.latestRevisionId,
+                            null,
+                            err => {
+                              assert.strictEqual(err.code, 400);
+                              return callback();
+                            }
+                          );
+                        }
+                      );
+                    }
+                  );
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+
+  describe('Checking out files', () => {
+    /**
+     * Check out a file through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user checking out the file
+     * @param  {String}         contentId           The id of the file to check out
+     * @param  {Number}         [duration]          The number of minutes for which to check out the file
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Content}        callback.content    The checked out file
+     */
+    const _lockContent = function(restContext, contentId, duration, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/lock',
+        'POST',
+        duration ? { duration } : {},
+        callback
+      );
+    };
+
+    /**
+     * Check in a file through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user checking in the file
+     * @param  {String}         contentId           The id of the file to check in
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Content}        callback.content    The checked in file
+     */
+    const _unlockContent = function(restContext, contentId, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/lock',
+        'DELETE',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies only the user who checked out a file can upload new versions of it, and that managers can
+     * override the lock
+     */
+    it('verify checking out and checking in a file', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.simon.restContext,
+          'Test Content 1',
+          'Test content description 1',
+          PRIVATE,
+          getFileStream,
+          [contexts.nicolaas.user.id],
+          [contexts.stuart.user.id],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+            assert.ok(!contentObj.lock);
+
+            // Viewers can't check out the file and the duration is validated
+            _lockContent(contexts.stuart.restContext, contentObj.id, null, err => {
+              assert.strictEqual(err.code, 401);
+              _lockContent(contexts.nicolaas.restContext, contentObj.id, 'not-a-number', err => {
+                assert.strictEqual(err.code, 400);
+
+                _lockContent(contexts.nicolaas.restContext, contentObj.id, 60, (err, lockedContentObj) => {
+                  assert.ok(!err);
+                  assert.strictEqual(lockedContentObj.lock.lockedBy.id, contexts.nicolaas.user.id);
+                  assert.ok(lockedContentObj.lock.expires > Date.now());
+
+                  // The lock is part of the content profile
+                  RestAPI.Content.getContent(contexts.simon.restContext, contentObj.id, (err, contentObj) => {
+                    assert.ok(!err);
+                    assert.strictEqual(contentObj.lock.lockedBy.id, contexts.nicolaas.user.id);
+
+                    // Other managers can no longer check out the file or upload new versions
+                    _lockContent(contexts.simon.restContext, contentObj.id, null, err => {
+                      assert.strictEqual(err.code, 401);
+                      RestAPI.Content.updateFileBody(
+                        contexts.simon.restContext,
+                        contentObj.id,
+                        getOAELogoStream,
+                        err => {
+                          assert.strictEqual(err.code, 401);
+
+                          // The user who checked out the file can still upload new versions
+                          RestAPI.Content.updateFileBody(
+                            contexts.nicolaas.restContext,
+                            contentObj.id,
+                            getOAELogoStream,
+                            err => {
+                              assert.ok(!err);
+
+                              // Viewers can't check in the file, but managers can override the lock
+                              _unlockContent(contexts.stuart.restContext, contentObj.id, err => {
+                                assert.strictEqual(err.code, 401);
+                                _unlockContent(contexts.simon.restContext, contentObj.id, (err, unlockedContentObj) => {
+                                  assert.ok(!err);
+                                  assert.ok(!unlockedContentObj.lock);
+
+                                  RestAPI.Content.updateFileBody(
+                                    contexts.simon.restContext,
+                                    contentObj.id,
+                                    getOAELogoStream,
+                                    err => {
+                                      assert.ok(!err);
+                                      return callback();
+                                    }
+                                  );
+                                });
+                              });
+                            }
+                          );
+                        }
+                      );
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies a new version of a file waits for a check out or check in that is in progress, rather than
+     * failing
+     */
+    it('verify a new version waits for a check out that is in progress', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.simon.restContext,
+          'Test Content 1',
+          'Test content description 1',
+          PRIVATE,
+          getFileStream,
+          [contexts.nicolaas.user.id],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            // Hold the short-lived lock that is held while a file is checked out
+            Locking.acquire('oae-content:lock:' + contentObj.id, 15, (err, lock) => {
+              assert.ok(!err);
+
+              RestAPI.Content.updateFileBody(contexts.simon.restContext, contentObj.id, getOAELogoStream, err => {
+                assert.ok(!err);
+
+                RestAPI.Content.getRevisions(
                   contexts.simon.restContext,
-                  contexts.simon.user.id,
-                  contentObj,
-                  true,
-                  true,
-                  true,
-                  true,
-                  () => {
-                    checkPieceOfContent(
-                      contexts.ian.restContext,
-                      contexts.ian.user.id,
-                      contentObj,
-                      true,
-                      false,
-                      true,
-                      privacy !== PRIVATE,
-                      () => {
-                        // Share the content with another user
-                        RestAPI.Content.shareContent(
-                          contexts.simon.restContext,
+                  contentObj.id,
+                  null,
+                  null,
+                  (err, revisions) => {
+                    assert.ok(!err);
+                    assert.strictEqual(revisions.results.length, 2);
+                    return callback();
+                  }
+                );
+              });
+
+              // Finish the check out while the new version is waiting
+              setTimeout(Locking.release, 500, lock, err => {
+                assert.ok(!err);
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies a new version of a file is not recorded, and that a revision can't be restored, when the file
+     * gets checked out by someone else before the new version is recorded
+     */
+    it('verify a new version is not recorded when the file is checked out while it is being stored', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.simon.restContext,
+          'Test Content 1',
+          'Test content description 1',
+          PRIVATE,
+          getFileStream,
+          [contexts.nicolaas.user.id],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            // Hold the short-lived lock so the new version can't be recorded yet
+            Locking.acquire('oae-content:lock:' + contentObj.id, 15, (err, lock) => {
+              assert.ok(!err);
+
+              RestAPI.Content.updateFileBody(contexts.simon.restContext, contentObj.id, getOAELogoStream, err => {
+                assert.strictEqual(err.code, 401);
+
+                RestAPI.Content.getRevisions(
+                  contexts.simon.restContext,
+                  contentObj.id,
+                  null,
+                  null,
+                  (err, revisions) => {
+                    assert.ok(!err);
+                    assert.strictEqual(revisions.results.length, 1);
+
+                    // Restoring a revision is checked in the same way
+                    RestAPI.Content.restoreRevision(
+                      contexts.simon.restContext,
+                      contentObj.id,
+                      revisions.results[0].revisionId,
+                      err => {
+                        assert.strictEqual(err.code, 401);
+                        return callback();
+                      }
+                    );
+                  }
+                );
+              });
+
+              // Someone else checks out the file while the new version is waiting to be recorded
+              setTimeout(() => {
+                ContentDAO.Content.lockContent(
+                  contentObj.id,
+                  contexts.nicolaas.user.id,
+                  Date.now() + 60 * 1000,
+                  err => {
+                    assert.ok(!err);
+                    Locking.release(lock, err => {
+                      assert.ok(!err);
+                    });
+                  }
+                );
+              }, 500);
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Resumable uploads', () => {
+    /**
+     * Utility method that returns a stream over part of the OAE animation thumbnail
+     *
+     * @param  {Number}     start   The offset of the first byte to read
+     * @param  {Number}     [end]   The offset of the last byte to read. Defaults to the end of the file
+     * @return {Stream}             A stream that holds the requested part of the OAE animation thumbnail
+     */
+    const getChunkStream = function(start, end) {
+      const file = path.join(__dirname, '/data/oae-video.png');
+      return fs.createReadStream(file, { start, end });
+    };
+
+    /**
+     * Test that verifies that a file can be uploaded in chunks and completed into a new file or a new version
+     */
+    it('verify a file can be uploaded in chunks', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+        const bert = _.values(users)[1];
+        const size = fs.statSync(path.join(__dirname, '/data/oae-video.png')).size;
+
+        PrincipalsDAO.getPrincipal(nico.user.id, (err, user) => {
+          assert.ok(!err);
+          const ctx = new Context(global.oaeTests.tenants.cam, user);
+
+          RestUtil.performRestRequest(
+            nico.restContext,
+            '/api/content/uploads',
+            'POST',
+            { filename: 'oae-video.png', size },
+            (err, upload) => {
+              assert.ok(!err);
+              assert.strictEqual(upload.offset, 0);
+              assert.strictEqual(upload.size, size);
+
+              // A chunk that does not start at the offset of the upload is refused
+              ContentAPI.appendUploadChunk(ctx, upload.id, 100, getChunkStream(100, 199), err => {
+                assert.strictEqual(err.code, 409);
+
+                ContentAPI.appendUploadChunk(ctx, upload.id, 0, getChunkStream(0, 99), (err, upload) => {
+                  assert.ok(!err);
+                  assert.strictEqual(upload.offset, 100);
+
+                  // Only the user who started the upload can see it
+                  RestUtil.performRestRequest(
+                    bert.restContext,
+                    '/api/content/uploads/' + upload.id,
+                    'GET',
+                    null,
+                    err => {
+                      assert.strictEqual(err.code, 401);
+
+                      RestUtil.performRestRequest(
+                        nico.restContext,
+                        '/api/content/uploads/' + upload.id,
+                        'GET',
+                        null,
+                        (err, upload, response) => {
+                          assert.ok(!err);
+                          assert.strictEqual(upload.offset, 100);
+                          assert.strictEqual(response.headers['upload-offset'], '100');
+
+                          // The upload can't be completed before all of its chunks have been received
+                          RestUtil.performRestRequest(
+                            nico.restContext,
+                            '/api/content/uploads/' + upload.id + '/complete',
+                            'POST',
+                            { displayName: 'Uploaded in chunks' },
+                            err => {
+                              assert.strictEqual(err.code, 400);
+
+                              // A chunk that is larger than the rest of the file is refused
+                              ContentAPI.appendUploadChunk(ctx, upload.id, 100, getChunkStream(0), err => {
+                                assert.strictEqual(err.code, 413);
+
+                                ContentAPI.appendUploadChunk(
+                                  ctx,
+                                  upload.id,
+                                  100,
+                                  getChunkStream(100),
+                                  (err, upload) => {
+                                    assert.ok(!err);
+                                    assert.strictEqual(upload.offset, size);
+
+                                    RestUtil.performRestRequest(
+                                      nico.restContext,
+                                      '/api/content/uploads/' + upload.id + '/complete',
+                                      'POST',
+                                      { displayName: 'Uploaded in chunks', visibility: PRIVATE },
+                                      (err, contentObj) => {
+                                        assert.ok(!err);
+                                        assert.strictEqual(contentObj.displayName, 'Uploaded in chunks');
+                                        assert.strictEqual(contentObj.filename, 'oae-video.png');
+                                        assert.strictEqual(contentObj.size, size);
+
+                                        // The upload is gone once it has been completed
+                                        RestUtil.performRestRequest(
+                                          nico.restContext,
+                                          '/api/content/uploads/' + upload.id,
+                                          'GET',
+                                          null,
+                                          err => {
+                                            assert.strictEqual(err.code, 404);
+
+                                            // An upload for an existing file becomes a new version of it
+                                            ContentAPI.createUpload(
+                                              ctx,
+                                              'oae-video.png',
+                                              size,
+                                              contentObj.id,
+                                              (err, upload) => {
+                                                assert.ok(!err);
+
+                                                ContentAPI.appendUploadChunk(
+                                                  ctx,
+                                                  upload.id,
+                                                  0,
+                                                  getChunkStream(0),
+                                                  err => {
+                                                    assert.ok(!err);
+
+                                                    ContentAPI.completeUpload(
+                                                      ctx,
+                                                      upload.id,
+                                                      null,
+                                                      null,
+                                                      null,
+                                                      null,
+                                                      null,
+                                                      null,
+                                                      null,
+                                                      err => {
+                                                        assert.ok(!err);
+
+                                                        RestAPI.Content.getRevisions(
+                                                          nico.restContext,
+                                                          contentObj.id,
+                                                          null,
+                                                          null,
+                                                          (err, revisions) => {
+                                                            assert.ok(!err);
+                                                            assert.strictEqual(revisions.results.length, 2);
+                                                            return callback();
+                                                          }
+                                                        );
+                                                      }
+                                                    );
+                                                  }
+                                                );
+                                              }
+                                            );
+                                          }
+                                        );
+                                      }
+                                    );
+                                  }
+                                );
+                              });
+                            }
+                          );
+                        }
+                      );
+                    }
+                  );
+                });
+              });
+            }
+          );
+        });
+      });
+    });
+
+    /**
+     * Test that verifies the validation of starting an upload
+     */
+    it('verify starting an upload is validated', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+
+        const _createUpload = function(restContext, data, done) {
+          RestUtil.performRestRequest(restContext, '/api/content/uploads', 'POST', data, done);
+        };
+
+        _createUpload(anonymousRestContext, { filename: 'file.txt', size: 10 }, err => {
+          assert.strictEqual(err.code, 401);
+
+          _createUpload(nico.restContext, { size: 10 }, err => {
+            assert.strictEqual(err.code, 400);
+
+            _createUpload(nico.restContext, { filename: 'file.txt', size: 0 }, err => {
+              assert.strictEqual(err.code, 400);
+
+              _createUpload(nico.restContext, { filename: 'file.txt', size: 10, contentId: 'not-an-id' }, err => {
+                assert.strictEqual(err.code, 400);
+
+                // Uploads can't be larger than the maximum size of the tenant
+                ConfigTestUtil.updateConfigAndWait(
+                  globalAdminRestContext,
+                  global.oaeTests.tenants.cam.alias,
+                  { 'oae-content/uploads/maxSize': '1' },
+                  err => {
+                    assert.ok(!err);
+
+                    _createUpload(nico.restContext, { filename: 'file.txt', size: 2 * 1024 * 1024 }, err => {
+                      assert.strictEqual(err.code, 413);
+
+                      _createUpload(nico.restContext, { filename: 'file.txt', size: 1024 * 1024 }, (err, upload) => {
+                        assert.ok(!err);
+
+                        // The upload can be abandoned
+                        RestUtil.performRestRequest(
+                          nico.restContext,
+                          '/api/content/uploads/' + upload.id,
+                          'DELETE',
+                          null,
+                          err => {
+                            assert.ok(!err);
+
+                            ConfigTestUtil.clearConfigAndWait(
+                              globalAdminRestContext,
+                              global.oaeTests.tenants.cam.alias,
+                              ['oae-content/uploads/maxSize'],
+                              err => {
+                                assert.ok(!err);
+                                return callback();
+                              }
+                            );
+                          }
+                        );
+                      });
+                    });
+                  }
+                );
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies an upload can only be continued on an app server that shares the storage of its chunks
+     */
+    it('verify an upload can only be continued where its chunks are stored', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+
+        PrincipalsDAO.getPrincipal(nico.user.id, (err, user) => {
+          assert.ok(!err);
+          const ctx = new Context(global.oaeTests.tenants.cam, user);
+
+          ContentAPI.createUpload(ctx, 'oae-video.png', 200, null, (err, upload) => {
+            assert.ok(!err);
+            assert.ok(upload.storageId);
+
+            // Pretend the upload was started on an app server with another directory for its chunks
+            ContentDAO.Uploads.storeUpload({ ...upload, storageId: 'elsewhere' }, 60, err => {
+              assert.ok(!err);
+
+              ContentAPI.appendUploadChunk(ctx, upload.id, 0, getChunkStream(0, 99), err => {
+                assert.strictEqual(err.code, 421);
+
+                // The upload can still be abandoned
+                ContentAPI.deleteUpload(ctx, upload.id, err => {
+                  assert.ok(!err);
+                  return callback();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies an upload can't be completed while a chunk is being written to it
+     */
+    it('verify an upload can not be completed while it is being written to', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+
+        PrincipalsDAO.getPrincipal(nico.user.id, (err, user) => {
+          assert.ok(!err);
+          const ctx = new Context(global.oaeTests.tenants.cam, user);
+
+          ContentAPI.createUpload(ctx, 'oae-video.png', 100, null, (err, upload) => {
+            assert.ok(!err);
+
+            ContentAPI.appendUploadChunk(ctx, upload.id, 0, getChunkStream(0, 99), err => {
+              assert.ok(!err);
+
+              // Hold the lock that is taken while a chunk is written
+              Locking.acquire('oae-content:upload:' + upload.id, 60, (err, lock) => {
+                assert.ok(!err);
+
+                ContentAPI.completeUpload(
+                  ctx,
+                  upload.id,
+                  'Uploaded in chunks',
+                  null,
+                  null,
+                  null,
+                  null,
+                  null,
+                  null,
+                  err => {
+                    assert.strictEqual(err.code, 409);
+
+                    Locking.release(lock, err => {
+                      assert.ok(!err);
+
+                      ContentAPI.completeUpload(
+                        ctx,
+                        upload.id,
+                        'Uploaded in chunks',
+                        null,
+                        null,
+                        null,
+                        null,
+                        null,
+                        null,
+                        (err, contentObj) => {
+                          assert.ok(!err);
+                          assert.strictEqual(contentObj.size, 100);
+                          return callback();
+                        }
+                      );
+                    });
+                  }
+                );
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies a chunk that is not received completely releases the lock on the upload straight away, so the
+     * chunk can be sent again
+     */
+    it('verify a chunk can be sent again straight after it was aborted', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+
+        PrincipalsDAO.getPrincipal(nico.user.id, (err, user) => {
+          assert.ok(!err);
+          const ctx = new Context(global.oaeTests.tenants.cam, user);
+
+          ContentAPI.createUpload(ctx, 'oae-video.png', 100, null, (err, upload) => {
+            assert.ok(!err);
+
+            // Abort the chunk after part of it has been sent, like a closed request does
+            const abortedChunk = new PassThrough();
+            ContentAPI.appendUploadChunk(ctx, upload.id, 0, abortedChunk, err => {
+              assert.strictEqual(err.code, 400);
+
+              ContentAPI.appendUploadChunk(ctx, upload.id, 0, getChunkStream(0, 99), (err, upload) => {
+                assert.ok(!err);
+                assert.strictEqual(upload.offset, 100);
+                return callback();
+              });
+            });
+            abortedChunk.write(Buffer.alloc(50));
+            setTimeout(() => abortedChunk.destroy(new Error('aborted')), 100);
+          });
+        });
+      });
+    });
+  });
+
+  describe('Storage quotas', () => {
+    /**
+     * Test that verifies that uploaded files count towards the storage quota of the uploader
+     */
+    it('verify uploads are limited by the storage quota', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users) => {
+        assert.ok(!err);
+        const nico = _.values(users)[0];
+        const size = fs.statSync(path.join(__dirname, '/data/oae-video.png')).size;
+        const tenantAlias = global.oaeTests.tenants.cam.alias;
+
+        RestAPI.Content.createFile(nico.restContext, 'Test Content', null, PRIVATE, getFileStream, [], [], [], err => {
+          assert.ok(!err);
+
+          // The size of the file is added to the storage usage of the user
+          RestAPI.User.getMe(nico.restContext, (err, me) => {
+            assert.ok(!err);
+            assert.strictEqual(me.storage.used, size);
+            assert.strictEqual(me.storage.quota, null);
+
+            ConfigTestUtil.updateConfigAndWait(
+              globalAdminRestContext,
+              tenantAlias,
+              { 'oae-principals/quota/user': '1' },
+              err => {
+                assert.ok(!err);
+
+                // Uploads that don't fit in the remaining quota are refused
+                RestUtil.performRestRequest(
+                  nico.restContext,
+                  '/api/content/uploads',
+                  'POST',
+                  { filename: 'file.txt', size: 1024 * 1024 },
+                  err => {
+                    assert.strictEqual(err.code, 413);
+
+                    // Only administrators can see which principals use the most storage
+                    RestUtil.performRestRequest(
+                      nico.restContext,
+                      '/api/tenants/' + tenantAlias + '/storage',
+                      'GET',
+                      null,
+                      err => {
+                        assert.strictEqual(err.code, 401);
+
+                        RestUtil.performRestRequest(
+                          camAdminRestContext,
+                          '/api/tenants/' + tenantAlias + '/storage',
+                          'GET',
+                          { limit: 250 },
+                          (err, data) => {
+                            assert.ok(!err);
+                            const result = _.find(data.results, result => result.principal.id === nico.user.id);
+                            assert.strictEqual(result.used, size);
+                            assert.strictEqual(result.quota, 1024 * 1024);
+
+                            ConfigTestUtil.clearConfigAndWait(
+                              globalAdminRestContext,
+                              tenantAlias,
+                              ['oae-principals/quota/user'],
+                              err => {
+                                assert.ok(!err);
+                                return callback();
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies that files that are uploaded at the same time can't exceed the storage quota together
+     */
+    it('verify concurrent uploads can not exceed the storage quota together', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, nico) => {
+        assert.ok(!err);
+        const tenantAlias = global.oaeTests.tenants.cam.alias;
+
+        // Each file fits in the quota, but the two of them together don't
+        const size = 600 * 1024;
+        const filePaths = [temp.path({ suffix: '.txt' }), temp.path({ suffix: '.txt' })];
+        _.each(filePaths, (filePath, i) => {
+          fs.writeFileSync(filePath, Buffer.alloc(size, i));
+        });
+
+        ConfigTestUtil.updateConfigAndWait(
+          globalAdminRestContext,
+          tenantAlias,
+          { 'oae-principals/quota/user': '1' },
+          err => {
+            assert.ok(!err);
+
+            const results = [];
+            const _onUploaded = function(err) {
+              results.push(err);
+              if (results.length < 2) {
+                return;
+              }
+
+              // At most one of the files was stored, and refused files are not counted
+              const nStored = _.filter(results, err => !err).length;
+              assert.ok(nStored <= 1);
+              _.each(_.compact(results), err => {
+                assert.strictEqual(err.code, 413);
+              });
+
+              RestAPI.User.getMe(nico.restContext, (err, me) => {
+                assert.ok(!err);
+                assert.strictEqual(me.storage.used, nStored * size);
+
+                _.each(filePaths, filePath => fs.unlinkSync(filePath));
+                ConfigTestUtil.clearConfigAndWait(
+                  globalAdminRestContext,
+                  tenantAlias,
+                  ['oae-principals/quota/user'],
+                  err => {
+                    assert.ok(!err);
+                    return callback();
+                  }
+                );
+              });
+            };
+
+            _.each(filePaths, filePath => {
+              RestAPI.Content.createFile(
+                nico.restContext,
+                'Test Content',
+                null,
+                PRIVATE,
+                () => fs.createReadStream(filePath),
+                [],
+                [],
+                [],
+                _onUploaded
+              );
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Delete content', () => {
+    /**
+     * Utitility function for the content delete assert. This function will create a piece of content, add a manager and a viewer using the setPermissions function,
+     * share the content with an additional user. After each of these, the expected access will be checked. After that, the test will attempt to delete the content
+     * as an anonymous user, a logged in user, a content member and a content manager. After that, the tests check if each of those can still access the content,
+     * whether or not the members kept their role, whether or not all libraries have been updated and whether or not the content members list is no longer available
+     * @param  {Array<Context>}     contexts            Array of context objects that represent a request cycle and contain
+     *                                                  the current user and the current tenant
+     * @param  {User}               privacy             Privacy setting for the piece of content. Can be public, loggedin or private
+     * @param  {Function(content)}  callback            Standard callback function
+     */
+    const prepareDelete = function(contexts, privacy, callback) {
+      // Create a content item
+      RestAPI.Content.createLink(
+        contexts.nicolaas.restContext,
+        'Test Content 1',
+        'Test content description 1',
+        privacy,
+        'http://www.oaeproject.org/',
+        [],
+        [],
+        [],
+        (err, contentObj) => {
+          assert.ok(!err);
+          assert.ok(contentObj.id);
+          // Get the piece of content as the creator
+          checkPieceOfContent(
+            contexts.nicolaas.restContext,
+            contexts.nicolaas.user.id,
+            contentObj,
+            true,
+            true,
+            true,
+            true,
+            () => {
+              // Make a user a manager and make a user a member
+              const permissions = {};
+              permissions[contexts.simon.user.id] = 'manager';
+              permissions[contexts.ian.user.id] = 'viewer';
+              RestAPI.Content.updateMembers(contexts.nicolaas.restContext, contentObj.id, permissions, err => {
+                assert.ok(!err);
+                checkPieceOfContent(
+                  contexts.simon.restContext,
+                  contexts.simon.user.id,
+                  contentObj,
+                  true,
+                  true,
+                  true,
+                  true,
+                  () => {
+                    checkPieceOfContent(
+                      contexts.ian.restContext,
+                      contexts.ian.user.id,
+                      contentObj,
+                      true,
+                      false,
+                      true,
+                      privacy !== PRIVATE,
+                      () => {
+                        // Share the content with another user
+                        RestAPI.Content.shareContent(
+                          contexts.simon.restContext,
+                          contentObj.id,
+                          [contexts.stuart.user.id],
+                          err => {
+                            assert.ok(!err);
+                            checkPieceOfContent(
+                              contexts.stuart.restContext,
+                              contexts.stuart.user.id,
+                              contentObj,
+                              true,
+                              false,
+                              true,
+                              privacy !== PRIVATE,
+                              () => {
+                                // Try to delete the content as an anonymous user
+                                RestAPI.Content.deleteContent(anonymousRestContext, contentObj.id, err => {
+                                  assert.ok(err);
+                                  // Check that it is still around
+                                  checkPieceOfContent(
+                                    contexts.nicolaas.restContext,
+                                    contexts.nicolaas.user.id,
+                                    contentObj,
+                                    true,
+                                    true,
+                                    true,
+                                    true,
+                                    () => {
+                                      // Try to delete the content as a logged in user
+                                      RestAPI.Content.deleteContent(
+                                        contexts.anthony.restContext,
+                                        contentObj.id,
+                                        err => {
+                                          assert.ok(err);
+                                          // Check that it is still around
+                                          checkPieceOfContent(
+                                            contexts.nicolaas.restContext,
+                                            contexts.nicolaas.user.id,
+                                            contentObj,
+                                            true,
+                                            true,
+                                            true,
+                                            true,
+                                            () => {
+                                              // Try to delete the content as a content member
+                                              RestAPI.Content.deleteContent(
+                                                contexts.stuart.restContext,
+                                                contentObj.id,
+                                                err => {
+                                                  assert.ok(err);
+                                                  // Check that it is still around
+                                                  checkPieceOfContent(
+                                                    contexts.nicolaas.restContext,
+                                                    contexts.nicolaas.user.id,
+                                                    contentObj,
+                                                    true,
+                                                    true,
+                                                    true,
+                                                    true,
+                                                    () => {
+                                                      // Try to delete the content as a content manager
+                                                      RestAPI.Content.deleteContent(
+                                                        contexts.nicolaas.restContext,
+                                                        contentObj.id,
+                                                        err => {
+                                                          assert.ok(!err);
+                                                          // Check to see if the manager, a member, a logged in user and the anonymous user still have access
+                                                          checkPieceOfContent(
+                                                            contexts.nicolaas.restContext,
+                                                            contexts.nicolaas.user.id,
+                                                            contentObj,
+                                                            false,
+                                                            false,
+                                                            false,
+                                                            false,
+                                                            () => {
+                                                              checkPieceOfContent(
+                                                                contexts.ian.restContext,
+                                                                contexts.ian.user.id,
+                                                                contentObj,
+                                                                false,
+                                                                false,
+                                                                false,
+                                                                false,
+                                                                () => {
+                                                                  checkPieceOfContent(
+                                                                    contexts.anthony.restContext,
+                                                                    contexts.anthony.user.id,
+                                                                    contentObj,
+                                                                    false,
+                                                                    false,
+                                                                    false,
+                                                                    false,
+                                                                    () => {
+                                                                      checkPieceOfContent(
+                                                                        anonymousRestContext,
+                                                                        contexts.nicolaas.user.id,
+                                                                        contentObj,
+                                                                        false,
+                                                                        false,
+                                                                        false,
+                                                                        false,
+                                                                        () => {
+                                                                          // Check roles api for the role on the content for a manager, a member and a logged in user.
+                                                                          // The members keep their role while the content item is in the trash
+                                                                          AuthzAPI.getAllRoles(
+                                                                            contexts.nicolaas.user.id,
+                                                                            contentObj.id,
+                                                                            (err, roles) => {
+                                                                              assert.deepStrictEqual(roles, [
+                                                                                'manager'
+                                                                              ]);
+                                                                              AuthzAPI.getAllRoles(
+                                                                                contexts.ian.user.id,
+                                                                                contentObj.id,
+                                                                                (err, roles) => {
+                                                                                  assert.deepStrictEqual(roles, [
+                                                                                    'viewer'
+                                                                                  ]);
+                                                                                  AuthzAPI.getAllRoles(
+                                                                                    contexts.anthony.user.id,
+                                                                                    contentObj.id,
+                                                                                    (err, roles) => {
+                                                                                      assert.strictEqual(
+                                                                                        roles.length,
+                                                                                        0
+                                                                                      );
+
+                                                                                      // Ensure list of members is no longer accessible
+                                                                                      return ContentTestUtil.assertGetContentMembersFails(
+                                                                                        contexts.nicolaas.restContext,
+                                                                                        contentObj.id,
+                                                                                        null,
+                                                                                        null,
+                                                                                        404,
+                                                                                        callback
+                                                                                      );
+                                                                                    }
+                                                                                  );
+                                                                                }
+                                                                              );
+                                                                            }
+                                                                          );
+                                                                        }
+                                                                      );
+                                                                    }
+                                                                  );
+                                                                }
+                                                              );
+                                                            }
+                                                          );
+                                                        }
+                                                      );
+                                                    }
+                                                  );
+                                                }
+                                              );
+                                            }
+                                          );
+                                        }
+                                      );
+                                    }
+                                  );
+                                });
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              });
+            }
+          );
+        }
+      );
+    };
+
+    /**
+     * Test that will attempt to create a public piece of content and delete it
+     */
+    it('verify public delete', callback => {
+      setUpUsers(contexts => {
+        prepareDelete(contexts, PUBLIC, callback);
+      });
+    });
+
+    /**
+     * Test that will attempt to create a logged in piece of content and delete it
+     */
+    it('verify logged in delete', callback => {
+      setUpUsers(contexts => {
+        prepareDelete(contexts, LOGGEDIN, callback);
+      });
+    });
+
+    /**
+     * Test that will attempt to create a private piece of content and delete it
+     */
+    it('verify private delete', callback => {
+      setUpUsers(contexts => {
+        prepareDelete(contexts, PRIVATE, callback);
+      });
+    });
+
+    /**
+     * Verify file deletion
+     */
+    it('verify file delete', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createFile(
+          contexts.nicolaas.restContext,
+          'Test Content 2',
+          'Test content description 2',
+          PUBLIC,
+          getFileStream,
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+            assert.ok(contentObj.id);
+
+            // Get the last revision.
+            RestAPI.Content.getRevisions(contexts.nicolaas.restContext, contentObj.id, null, 1000, (err, revisions) => {
+              assert.ok(!err);
+
+              RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, err => {
+                assert.ok(!err);
+
+                // Get the last revision.
+                RestAPI.Content.getRevisions(
+                  contexts.nicolaas.restContext,
+                  contentObj.id,
+                  null,
+                  1000,
+                  (err, revisions) => {
+                    assert.strictEqual(err.code, 404);
+                    callback();
+                  }
+                );
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Trash', () => {
+    /**
+     * Restore a content item from the trash
+     *
+     * @param  {RestContext}    restContext         The context with which to restore the content item
+     * @param  {String}         contentId           The id of the content item to restore
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Content}        callback.content    The restored content item
+     */
+    const _restoreContent = function(restContext, contentId, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/content/' + encodeURIComponent(contentId) + '/restore',
+        'POST',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Get the trash of a principal
+     *
+     * @param  {RestContext}    restContext         The context with which to get the trash
+     * @param  {String}         principalId         The id of the principal whose trash to get
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.trash      The trash, holding the deleted resources in `results`
+     */
+    const _getTrash = function(restContext, principalId, callback) {
+      RestUtil.performRestRequest(restContext, '/api/trash/' + encodeURIComponent(principalId), 'GET', null, callback);
+    };
+
+    /**
+     * Test that verifies that a deleted content item ends up in the trash of its managers and can be restored by them
+     */
+    it('verify deleted content can be restored from the trash', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PUBLIC,
+          'http://www.oaeproject.org/',
+          [],
+          [contexts.ian.user.id],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, err => {
+              assert.ok(!err);
+
+              // The content item is in the trash of the manager
+              _getTrash(contexts.nicolaas.restContext, contexts.nicolaas.user.id, (err, trash) => {
+                assert.ok(!err);
+                assert.strictEqual(trash.results.length, 1);
+                assert.strictEqual(trash.results[0].id, contentObj.id);
+                assert.strictEqual(trash.results[0].resourceType, 'content');
+                assert.strictEqual(trash.results[0].displayName, 'Test Content');
+                assert.strictEqual(trash.results[0].deletedBy.id, contexts.nicolaas.user.id);
+                assert.ok(trash.results[0].expires > trash.results[0].deleted);
+
+                // Viewers don't get the content item in their trash and can't see someone else's trash
+                _getTrash(contexts.ian.restContext, contexts.ian.user.id, (err, trash) => {
+                  assert.ok(!err);
+                  assert.strictEqual(trash.results.length, 0);
+                  _getTrash(contexts.ian.restContext, contexts.nicolaas.user.id, err => {
+                    assert.strictEqual(err.code, 401);
+
+                    // Only managers can restore the content item
+                    _restoreContent(contexts.ian.restContext, contentObj.id, err => {
+                      assert.strictEqual(err.code, 401);
+                      _restoreContent(contexts.nicolaas.restContext, contentObj.id, (err, restoredContent) => {
+                        assert.ok(!err);
+                        assert.strictEqual(restoredContent.id, contentObj.id);
+
+                        // The content item is accessible again and is back in the library of its members
+                        RestAPI.Content.getContent(contexts.ian.restContext, contentObj.id, (err, content) => {
+                          assert.ok(!err);
+                          assert.strictEqual(content.displayName, 'Test Content');
+                          RestAPI.Content.getLibrary(
+                            contexts.ian.restContext,
+                            contexts.ian.user.id,
+                            null,
+                            10,
+                            (err, items) => {
+                              assert.ok(!err);
+                              assert.ok(_.findWhere(items.results, { id: contentObj.id }));
+
+                              // The trash is empty again and the content item can't be restored twice
+                              _getTrash(contexts.nicolaas.restContext, contexts.nicolaas.user.id, (err, trash) => {
+                                assert.ok(!err);
+                                assert.strictEqual(trash.results.length, 0);
+                                _restoreContent(contexts.nicolaas.restContext, contentObj.id, err => {
+                                  assert.strictEqual(err.code, 404);
+                                  return callback();
+                                });
+                              });
+                            }
+                          );
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies the validation of restoring a content item
+     */
+    it('verify restore content validation', callback => {
+      setUpUsers(contexts => {
+        _restoreContent(contexts.nicolaas.restContext, 'invalid-id', err => {
+          assert.strictEqual(err.code, 400);
+          _restoreContent(anonymousRestContext, 'c:camtest:nonexisting', err => {
+            assert.strictEqual(err.code, 401);
+
+            // Content items that have not been deleted can't be restored
+            RestAPI.Content.createLink(
+              contexts.nicolaas.restContext,
+              'Test Content',
+              'Test content description',
+              PUBLIC,
+              'http://www.oaeproject.org/',
+              [],
+              [],
+              [],
+              (err, contentObj) => {
+                assert.ok(!err);
+                _restoreContent(contexts.nicolaas.restContext, contentObj.id, err => {
+                  assert.strictEqual(err.code, 404);
+                  return callback();
+                });
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
+  /**
+   * Verify collabdoc or collabsheet editors can't delete
+   */
+  it("verify collabdoc or collabsheet editors can't delete", callback => {
+    setUpUsers(contexts => {
+      RestAPI.Content.createCollabDoc(
+        contexts.nicolaas.restContext,
+        'Test CollabDoc',
+        'Doc description',
+        PUBLIC,
+        [],
+        [contexts.stuart.user.id],
+        [],
+        [],
+        (err, contentObj) => {
+          assert.ok(!err);
+          RestAPI.Content.deleteContent(contexts.stuart.restContext, contentObj.id, err => {
+            assert.strictEqual(err.code, 401);
+
+            RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, err => {
+              assert.ok(!err);
+              RestAPI.Content.createCollabsheet(
+                contexts.nicolaas.restContext,
+                'Test collabsheet',
+                'Description',
+                PUBLIC,
+                [],
+                [contexts.stuart.user.id],
+                [],
+                [],
+                function(err, contentObj) {
+                  assert.ok(!err);
+                  RestAPI.Content.deleteContent(contexts.stuart.restContext, contentObj.id, function(err) {
+                    assert.strictEqual(err.code, 401);
+
+                    RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, function(err) {
+                      assert.ok(!err);
+                      return callback();
+                    });
+                  });
+                }
+              );
+            });
+          });
+        }
+      );
+    });
+  });
+
+  describe('Scheduled publication', () => {
+    /**
+     * Test that verifies that a content item is private until it is published and becomes private again once it expires
+     */
+    it('verify content is published and expires at the scheduled dates', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PUBLIC,
+          'http://www.oaeproject.org/',
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            const publishAt = Date.now() + 1000;
+            const expireAt = publishAt + 1000;
+            RestAPI.Content.updateContent(
+              contexts.nicolaas.restContext,
+              contentObj.id,
+              { publishAt, expireAt },
+              (err, updatedContent) => {
+                assert.ok(!err);
+
+                // The content item is hidden until it is published with its current visibility
+                assert.strictEqual(updatedContent.visibility, PRIVATE);
+                assert.strictEqual(updatedContent.publishAt, publishAt);
+                assert.strictEqual(updatedContent.publishVisibility, PUBLIC);
+                assert.strictEqual(updatedContent.expireAt, expireAt);
+                RestAPI.Content.getContent(anonymousRestContext, contentObj.id, err => {
+                  assert.strictEqual(err.code, 401);
+
+                  // Apply the visibility change once the publication date has passed
+                  setTimeout(() => {
+                    ResourceSchedule.applyScheduledChanges(err => {
+                      assert.ok(!err);
+                      RestAPI.Content.getContent(anonymousRestContext, contentObj.id, (err, content) => {
+                        assert.ok(!err);
+                        assert.strictEqual(content.visibility, PUBLIC);
+
+                        // The content item becomes private again once it expires
+                        setTimeout(() => {
+                          ResourceSchedule.applyScheduledChanges(err => {
+                            assert.ok(!err);
+                            RestAPI.Content.getContent(anonymousRestContext, contentObj.id, err => {
+                              assert.strictEqual(err.code, 401);
+                              RestAPI.Content.getContent(
+                                contexts.nicolaas.restContext,
+                                contentObj.id,
+                                (err, content) => {
+                                  assert.ok(!err);
+                                  assert.strictEqual(content.visibility, PRIVATE);
+                                  assert.ok(!content.publishAt);
+                                  assert.ok(!content.expireAt);
+                                  return callback();
+                                }
+                              );
+                            });
+                          });
+                        }, expireAt - Date.now() + 100);
+                      });
+                    });
+                  }, publishAt - Date.now() + 100);
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies the validation of the publication and expiry dates of a content item
+     */
+    it('verify scheduling validation', callback => {
+      setUpUsers(contexts => {
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PRIVATE,
+          'http://www.oaeproject.org/',
+          [],
+          [contexts.ian.user.id],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            const inAnHour = Date.now() + 60 * 60 * 1000;
+            RestAPI.Content.updateContent(
+              contexts.nicolaas.restContext,
+              contentObj.id,
+              { publishAt: 'tomorrow' },
+              err => {
+                assert.strictEqual(err.code, 400);
+                RestAPI.Content.updateContent(
+                  contexts.nicolaas.restContext,
+                  contentObj.id,
+                  { publishAt: Date.now() - 1000 },
+                  err => {
+                    assert.strictEqual(err.code, 400);
+
+                    // A content item should expire after it has been published
+                    RestAPI.Content.updateContent(
+                      contexts.nicolaas.restContext,
+                      contentObj.id,
+                      { publishAt: inAnHour, expireAt: inAnHour - 1000, visibility: PUBLIC },
+                      err => {
+                        assert.strictEqual(err.code, 400);
+
+                        // A private content item can't be published without a visibility to publish it with
+                        RestAPI.Content.updateContent(
+                          contexts.nicolaas.restContext,
                           contentObj.id,
-                          [contexts.stuart.user.id],
+                          { publishAt: inAnHour },
                           err => {
-                            assert.ok(!err);
-                            checkPieceOfContent(
-                              contexts.stuart.restContext,
-                              contexts.stuart.user.id,
-                              contentObj,
-                              true,
-                              false,
-                              true,
-                              privacy !== PRIVATE,
-                              () => {
-                                // Try to delete the content as an anonymous user
-                                RestAPI.Content.deleteContent(anonymousRestContext, contentObj.id, err => {
-                                  assert.ok(err);
-                                  // Check that it is still around
-                                  checkPieceOfContent(
-                                    contexts.nicolaas.restContext,
-                                    contexts.nicolaas.user.id,
-                                    contentObj,
-                                    true,
-                                    true,
-                                    true,
-                                    true,
-                                    () => {
-                                      // Try to delete the content as a logged in user
-                                      RestAPI.Content.deleteContent(
-                                        contexts.anthony.restContext,
-                                        contentObj.id,
-                                        err => {
-                                          assert.ok(err);
-                                          // Check that it is still around
-                                          checkPieceOfContent(
-                                            contexts.nicolaas.restContext,
-                                            contexts.nicolaas.user.id,
-                                            contentObj,
-                                            true,
-                                            true,
-                                            true,
-                                            true,
-                                            () => {
-                                              // Try to delete the content as a content member
-                                              RestAPI.Content.deleteContent(
-                                                contexts.stuart.restContext,
-                                                contentObj.id,
-                                                err => {
-                                                  assert.ok(err);
-                                                  // Check that it is still around
-                                                  checkPieceOfContent(
-                                                    contexts.nicolaas.restContext,
-                                                    contexts.nicolaas.user.id,
-                                                    contentObj,
-                                                    true,
-                                                    true,
-                                                    true,
-                                                    true,
-                                                    () => {
-                                                      // Try to delete the content as a content manager
-                                                      RestAPI.Content.deleteContent(
-                                                        contexts.nicolaas.restContext,
-                                                        contentObj.id,
-                                                        err => {
-                                                          assert.ok(!err);
-                                                          // Check to see if the manager, a member, a logged in user and the anonymous user still have access
-                                                          checkPieceOfContent(
-                                                            contexts.nicolaas.restContext,
-                                                            contexts.nicolaas.user.id,
-                                                            contentObj,
-                                                            false,
-                                                            false,
-                                                            false,
-                                                            false,
-                                                            () => {
-                                                              checkPieceOfContent(
-                                                                contexts.ian.restContext,
-                                                                contexts.ian.user.id,
-                                                                contentObj,
-                                                                false,
-                                                                false,
-                                                                false,
-                                                                false,
-                                                                () => {
-                                                                  checkPieceOfContent(
-                                                                    contexts.anthony.restContext,
-                                                                    contexts.anthony.user.id,
-                                                                    contentObj,
-                                                                    false,
-                                                                    false,
-                                                                    false,
-                                                                    false,
-                                                                    () => {
-                                                                      checkPieceOfContent(
-                                                                        anonymousRestContext,
-                                                                        contexts.nicolaas.user.id,
-                                                                        contentObj,
-                                                                        false,
-                                                                        false,
-                                                                        false,
-                                                                        false,
-                                                                        () => {
-                                                                          // Check roles api for the role on the content for a manager, a member and a logged in user
-                                                                          AuthzAPI.getAllRoles(
-                                                                            contexts.nicolaas.user.id,
-                                                                            contentObj.id,
-                                                                            (err, roles) => {
-                                                                              assert.strictEqual(roles.length, 0);
-                                                                              AuthzAPI.getAllRoles(
-                                                                                contexts.ian.user.id,
-                                                                                contentObj.id,
-                                                                                (err, roles) => {
-                                                                                  assert.strictEqual(roles.length, 0);
-                                                                                  AuthzAPI.getAllRoles(
-                                                                                    contexts.anthony.user.id,
-                                                                                    contentObj.id,
-                                                                                    (err, roles) => {
-                                                                                      assert.strictEqual(
-                                                                                        roles.length,
-                                                                                        0
-                                                                                      );
+                            assert.strictEqual(err.code, 400);
 
-                                                                                      // Ensure list of members is no longer accessible
-                                                                                      return ContentTestUtil.assertGetContentMembersFails(
-                                                                                        contexts.nicolaas.restContext,
-                                                                                        contentObj.id,
-                                                                                        null,
-                                                                                        null,
-                                                                                        404,
-                                                                                        callback
-                                                                                      );
-                                                                                    }
-                                                                                  );
-                                                                                }
-                                                                              );
-                                                                            }
-                                                                          );
-                                                                        }
-                                                                      );
-                                                                    }
-                                                                  );
-                                                                }
-                                                              );
-                                                            }
-                                                          );
-                                                        }
-                                                      );
-                                                    }
-                                                  );
-                                                }
-                                              );
-                                            }
-                                          );
-                                        }
-                                      );
-                                    }
-                                  );
-                                });
+                            // Only managers can schedule the publication
+                            RestAPI.Content.updateContent(
+                              contexts.ian.restContext,
+                              contentObj.id,
+                              { publishAt: inAnHour, visibility: LOGGEDIN },
+                              err => {
+                                assert.strictEqual(err.code, 401);
+                                RestAPI.Content.updateContent(
+                                  contexts.nicolaas.restContext,
+                                  contentObj.id,
+                                  { publishAt: inAnHour, visibility: LOGGEDIN },
+                                  (err, updatedContent) => {
+                                    assert.ok(!err);
+                                    assert.strictEqual(updatedContent.visibility, PRIVATE);
+                                    assert.strictEqual(updatedContent.publishVisibility, LOGGEDIN);
+
+                                    // Viewers don't see when the content item will be published
+                                    RestAPI.Content.getContent(
+                                      contexts.ian.restContext,
+                                      contentObj.id,
+                                      (err, content) => {
+                                        assert.ok(!err);
+                                        assert.ok(!content.publishAt);
+
+                                        // Clearing the publication date removes the schedule
+                                        RestAPI.Content.updateContent(
+                                          contexts.nicolaas.restContext,
+                                          contentObj.id,
+                                          { publishAt: '' },
+                                          (err, updatedContent) => {
+                                            assert.ok(!err);
+                                            assert.ok(!updatedContent.publishAt);
+                                            assert.ok(!updatedContent.publishVisibility);
+                                            return callback();
+                                          }
+                                        );
+                                      }
+                                    );
+                                  }
+                                );
                               }
                             );
                           }
@@ -4618,76 +6434,309 @@ describe('Content', () => {
                     );
                   }
                 );
-              });
-            }
-          );
-        }
-      );
+              }
+            );
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies a content item can be scheduled when it is created
+     */
+    it('verify content can be scheduled when it is created', callback => {
+      setUpUsers(contexts => {
+        const inAnHour = Date.now() + 60 * 60 * 1000;
+        const params = {
+          resourceSubType: 'link',
+          displayName: 'Test Content',
+          link: 'http://www.oaeproject.org/',
+          visibility: PUBLIC,
+          publishAt: inAnHour
+        };
+        RestUtil.performRestRequest(
+          contexts.nicolaas.restContext,
+          '/api/content/create',
+          'POST',
+          _.extend({}, params, { publishAt: Date.now() - 1000 }),
+          err => {
+            assert.strictEqual(err.code, 400);
+            RestUtil.performRestRequest(
+              contexts.nicolaas.restContext,
+              '/api/content/create',
+              'POST',
+              params,
+              (err, contentObj) => {
+                assert.ok(!err);
+                assert.strictEqual(contentObj.visibility, PRIVATE);
+                assert.strictEqual(contentObj.publishAt, inAnHour);
+                assert.strictEqual(contentObj.publishVisibility, PUBLIC);
+
+                // The content item is hidden until it is published
+                RestAPI.Content.getContent(anonymousRestContext, contentObj.id, err => {
+                  assert.strictEqual(err.code, 401);
+                  return callback();
+                });
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+
+  describe('Reactions', () => {
+    /**
+     * Add a reaction to a content item, or to one of its comments, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user reacting
+     * @param  {String}         contentId           The id of the content item to react to
+     * @param  {String}         [created]           The timestamp of the comment to react to
+     * @param  {String}         reaction            The reaction to add
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the content item or comment
+     */
+    const _addReaction = function(restContext, contentId, created, reaction, callback) {
+      let url = '/api/content/' + encodeURIComponent(contentId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(restContext, url + '/reactions', 'POST', { reaction }, callback);
     };
 
     /**
-     * Test that will attempt to create a public piece of content and delete it
+     * Remove a reaction from a content item, or from one of its comments, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user removing the reaction
+     * @param  {String}         contentId           The id of the content item
+     * @param  {String}         [created]           The timestamp of the comment
+     * @param  {String}         reaction            The reaction to remove
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the content item or comment
      */
-    it('verify public delete', callback => {
-      setUpUsers(contexts => {
-        prepareDelete(contexts, PUBLIC, callback);
-      });
-    });
+    const _removeReaction = function(restContext, contentId, created, reaction, callback) {
+      let url = '/api/content/' + encodeURIComponent(contentId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(
+        restContext,
+        url + '/reactions/' + encodeURIComponent(reaction),
+        'DELETE',
+        null,
+        callback
+      );
+    };
 
     /**
-     * Test that will attempt to create a logged in piece of content and delete it
+     * Test that verifies reactions can be added to and removed from content items, and that they are counted in the
+     * full content profile
      */
-    it('verify logged in delete', callback => {
+    it('verify reacting to a content item', callback => {
       setUpUsers(contexts => {
-        prepareDelete(contexts, LOGGEDIN, callback);
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PUBLIC,
+          'http://www.oaeproject.org/',
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+
+            // Verify validation and permissions
+            _addReaction(contexts.bert.restContext, contentObj.id, null, 'not-a-reaction', err => {
+              assert.strictEqual(err.code, 400);
+              _addReaction(anonymousRestContext, contentObj.id, null, 'like', err => {
+                assert.strictEqual(err.code, 401);
+
+                _addReaction(contexts.bert.restContext, contentObj.id, null, 'like', (err, reactions) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(reactions, { like: { count: 1, reacted: true } });
+
+                  // Reacting twice with the same reaction doesn't count twice
+                  _addReaction(contexts.bert.restContext, contentObj.id, null, 'like', (err, reactions) => {
+                    assert.ok(!err);
+                    assert.strictEqual(reactions.like.count, 1);
+
+                    _addReaction(contexts.simon.restContext, contentObj.id, null, 'like', err => {
+                      assert.ok(!err);
+
+                      // The counts are part of the full content profile
+                      RestAPI.Content.getContent(contexts.nicolaas.restContext, contentObj.id, (err, content) => {
+                        assert.ok(!err);
+                        assert.deepStrictEqual(content.reactions, { like: { count: 2, reacted: false } });
+
+                        // The author gets a single, aggregated notification
+                        ActivityTestUtil.collectAndGetNotificationStream(
+                          contexts.nicolaas.restContext,
+                          null,
+                          (err, notificationStream) => {
+                            assert.ok(!err);
+                            const notifications = _.where(notificationStream.items, {
+                              'oae:activityType': 'content-reaction'
+                            });
+                            assert.strictEqual(notifications.length, 1);
+                            ActivityTestUtil.assertActivity(
+                              notifications[0],
+                              'content-reaction',
+                              'react',
+                              [contexts.bert.user.id, contexts.simon.user.id],
+                              contentObj.id,
+                              contexts.nicolaas.user.id
+                            );
+
+                            _removeReaction(
+                              contexts.bert.restContext,
+                              contentObj.id,
+                              null,
+                              'like',
+                              (err, reactions) => {
+                                assert.ok(!err);
+                                assert.deepStrictEqual(reactions, { like: { count: 1, reacted: false } });
+                                return callback();
+                              }
+                            );
+                          }
+                        );
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
       });
     });
 
     /**
-     * Test that will attempt to create a private piece of content and delete it
+     * Test that verifies reactions can be added to comments and are returned when listing the comments
      */
-    it('verify private delete', callback => {
+    it('verify reacting to a comment', callback => {
       setUpUsers(contexts => {
-        prepareDelete(contexts, PRIVATE, callback);
+        RestAPI.Content.createLink(
+          contexts.nicolaas.restContext,
+          'Test Content',
+          'Test content description',
+          PUBLIC,
+          'http://www.oaeproject.org/',
+          [],
+          [],
+          [],
+          (err, contentObj) => {
+            assert.ok(!err);
+            RestAPI.Content.createComment(
+              contexts.nicolaas.restContext,
+              contentObj.id,
+              'alfa',
+              null,
+              (err, comment) => {
+                assert.ok(!err);
+
+                // Unknown comments can't be reacted to
+                _addReaction(contexts.bert.restContext, contentObj.id, Date.now() - 1000, 'thanks', err => {
+                  assert.strictEqual(err.code, 404);
+
+                  _addReaction(
+                    contexts.bert.restContext,
+                    contentObj.id,
+                    comment.created,
+                    'thanks',
+                    (err, reactions) => {
+                      assert.ok(!err);
+                      assert.deepStrictEqual(reactions, { thanks: { count: 1, reacted: true } });
+
+                      // Reacting to a comment doesn't react to the content item
+                      RestAPI.Content.getComments(
+                        contexts.bert.restContext,
+                        contentObj.id,
+                        null,
+                        10,
+                        (err, comments) => {
+                          assert.ok(!err);
+                          assert.strictEqual(comments.results.length, 1);
+                          assert.deepStrictEqual(comments.results[0].reactions, {
+                            thanks: { count: 1, reacted: true }
+                          });
+                          RestAPI.Content.getContent(contexts.bert.restContext, contentObj.id, (err, content) => {
+                            assert.ok(!err);
+                            assert.deepStrictEqual(content.reactions, {});
+
+                            _removeReaction(
+                              contexts.bert.restContext,
+                              contentObj.id,
+                              comment.created,
+                              'thanks',
+                              (err, reactions) => {
+                                assert.ok(!err);
+                                assert.deepStrictEqual(reactions, {});
+                                return callback();
+                              }
+                            );
+                          });
+                        }
+                      );
+                    }
+                  );
+                });
+              }
+            );
+          }
+        );
       });
     });
 
     /**
-     * Verify file deletion
+     * Test that verifies that when a user reacts with the same reaction several times at once, the reaction is only
+     * added and announced once
      */
-    it('verify file delete', callback => {
+    it('verify reacting several times at once only adds the reaction once', callback => {
       setUpUsers(contexts => {
-        RestAPI.Content.createFile(
+        RestAPI.Content.createLink(
           contexts.nicolaas.restContext,
-          'Test Content 2',
-          'Test content description 2',
+          'Test Content',
+          'Test content description',
           PUBLIC,
-          getFileStream,
+          'http://www.oaeproject.org/',
           [],
           [],
           [],
           (err, contentObj) => {
             assert.ok(!err);
-            assert.ok(contentObj.id);
 
-            // Get the last revision.
-            RestAPI.Content.getRevisions(contexts.nicolaas.restContext, contentObj.id, null, 1000, (err, revisions) => {
-              assert.ok(!err);
+            // Count how many times the reaction is announced
+            let nAdded = 0;
+            const onAddedReaction = function(ctx, content) {
+              if (content.id === contentObj.id) {
+                nAdded++;
+              }
+            };
 
-              RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, err => {
+            ContentAPI.emitter.on(ContentConstants.events.ADDED_REACTION, onAddedReaction);
+
+            const nReactions = 5;
+            const reactionAdded = _.after(nReactions, () => {
+              ContentAPI.emitter.removeListener(ContentConstants.events.ADDED_REACTION, onAddedReaction);
+              assert.strictEqual(nAdded, 1);
+
+              RestAPI.Content.getContent(contexts.nicolaas.restContext, contentObj.id, (err, content) => {
                 assert.ok(!err);
+                assert.deepStrictEqual(content.reactions, { like: { count: 1, reacted: false } });
+                return callback();
+              });
+            });
 
-                // Get the last revision.
-                RestAPI.Content.getRevisions(
-                  contexts.nicolaas.restContext,
-                  contentObj.id,
-                  null,
-                  1000,
-                  (err, revisions) => {
-                    assert.strictEqual(err.code, 404);
-                    callback();
-                  }
-                );
+            _.times(nReactions, () => {
+              _addReaction(contexts.bert.restContext, contentObj.id, null, 'like', err => {
+                assert.ok(!err);
+                return reactionAdded();
               });
             });
           }
@@ -4696,55 +6745,6 @@ describe('Content', () => {
     });
   });
 
-  /**
-   * Verify collabdoc or collabsheet editors can't delete
-   */
-  it("verify collabdoc or collabsheet editors can't delete", callback => {
-    setUpUsers(contexts => {
-      RestAPI.Content.createCollabDoc(
-        contexts.nicolaas.restContext,
-        'Test CollabDoc',
-        'Doc description',
-        PUBLIC,
-        [],
-        [contexts.stuart.user.id],
-        [],
-        [],
-        (err, contentObj) => {
-          assert.ok(!err);
-          RestAPI.Content.deleteContent(contexts.stuart.restContext, contentObj.id, err => {
-            assert.strictEqual(err.code, 401);
-
-            RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, err => {
-              assert.ok(!err);
-              RestAPI.Content.createCollabsheet(
-                contexts.nicolaas.restContext,
-                'Test collabsheet',
-                'Description',
-                PUBLIC,
-                [],
-                [contexts.stuart.user.id],
-                [],
-                [],
-                function(err, contentObj) {
-                  assert.ok(!err);
-                  RestAPI.Content.deleteContent(contexts.stuart.restContext, contentObj.id, function(err) {
-                    assert.strictEqual(err.code, 401);
-
-                    RestAPI.Content.deleteContent(contexts.nicolaas.restContext, contentObj.id, function(err) {
-                      assert.ok(!err);
-                      return callback();
-                    });
-                  });
-                }
-              );
-            });
-          });
-        }
-      );
-    });
-  });
-
   describe('Content permissions', () => {
     /**
      * Utility function that creates a piece of content, make a user a manager, make a user a viewer and test access for all of these as
@@ -6422,4 +8422,105 @@ describe('Content', () => {
       });
     });
   });
+
+  describe('Content tags', () => {
+    /**
+     * Test that verifies tags can be applied when creating and updating content, and that they get normalized
+     */
+    it('verify tags can be applied to content', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, bert) => {
+        assert.ok(!err);
+
+        RestUtil.performRestRequest(
+          bert.restContext,
+          '/api/content/create',
+          'POST',
+          {
+            resourceSubType: 'link',
+            displayName: 'Tagged link',
+            visibility: PUBLIC,
+            link: 'http://www.oaeproject.org/',
+            tags: ['Biology', '  biology ', 'Cell   Biology']
+          },
+          (err, link) => {
+            assert.ok(!err);
+            assert.deepStrictEqual(link.tags, ['biology', 'cell biology']);
+
+            // Ensure the tags are persisted
+            RestAPI.Content.getContent(bert.restContext, link.id, (err, content) => {
+              assert.ok(!err);
+              assert.deepStrictEqual(content.tags, ['biology', 'cell biology']);
+
+              // Replace the tags
+              RestAPI.Content.updateContent(bert.restContext, link.id, { tags: ['Chemistry'] }, (err, content) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(content.tags, ['chemistry']);
+
+                RestAPI.Content.getContent(bert.restContext, link.id, (err, content) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(content.tags, ['chemistry']);
+                  return callback();
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies a tenant can restrict the tags to its controlled vocabulary
+     */
+    it('verify tags can be restricted to the controlled vocabulary', callback => {
+      const tenantAlias = TenantsTestUtil.generateTestTenantAlias();
+      const tenantHost = TenantsTestUtil.generateTestTenantHost();
+      TestsUtil.createTenantWithAdmin(tenantAlias, tenantHost, (err, tenant, tenantAdminRestContext) => {
+        assert.ok(!err);
+
+        ConfigTestUtil.updateConfigAndWait(
+          tenantAdminRestContext,
+          null,
+          {
+            'oae-resource/tags/vocabulary': 'Biology, Chemistry',
+            'oae-resource/tags/restricted': true
+          },
+          err => {
+            assert.ok(!err);
+
+            TestsUtil.generateTestUsers(tenantAdminRestContext, 1, (err, users, bert) => {
+              assert.ok(!err);
+
+              const params = {
+                resourceSubType: 'link',
+                displayName: 'Tagged link',
+                visibility: PUBLIC,
+                link: 'http://www.oaeproject.org/',
+                tags: ['biology', 'physics']
+              };
+
+              // Ensure a tag outside of the vocabulary is rejected
+              RestUtil.performRestRequest(bert.restContext, '/api/content/create', 'POST', params, err => {
+                assert.ok(err);
+                assert.strictEqual(err.code, 400);
+
+                // Ensure the tags of the vocabulary are accepted
+                params.tags = ['biology', 'chemistry'];
+                RestUtil.performRestRequest(bert.restContext, '/api/content/create', 'POST', params, (err, link) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(link.tags, ['biology', 'chemistry']);
+
+                  // Ensure the vocabulary is also enforced when updating
+                  RestAPI.Content.updateContent(bert.restContext, link.id, { tags: ['physics'] }, err => {
+                    assert.ok(err);
+                    assert.strictEqual(err.code, 400);
+                    return callback();
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
 });
@@ -19,6 +19,7 @@ import _ from 'underscore';
 
 import * as Cassandra from 'oae-util/lib/cassandra';
 import * as ConfigTestUtil from 'oae-config/lib/test/util';
+import * as ContentBodySchema from 'oae-content/lib/search/schema/contentBodySchema';
 import * as ElasticSearch from 'oae-search/lib/internal/elasticsearch';
 import * as MQTestUtil from 'oae-util/lib/test/mq-util';
 import * as PreviewAPI from 'oae-preview-processor/lib/api';
@@ -328,7 +329,12 @@ describe('Search', () => {
                 { resourceTypes: 'content', q: 'b4c3f09e74f58b0aeee34d9c3cd9333a' },
                 (err, results) => {
                   assert.ok(!err);
-                  assert.ok(_getDocById(results, content.id));
+                  const doc = _getDocById(results, content.id);
+                  assert.ok(doc);
+
+                  // Verify the matched text of the PDF is highlighted
+                  assert.ok(_.isArray(doc.highlights));
+                  assert.ok(doc.highlights[0].includes('<em>b4c3f09e74f58b0aeee34d9c3cd9333a</em>'));
 
                   // Verify we can find the content from the PDF in library searches
                   SearchTestsUtil.searchAll(
@@ -338,7 +344,9 @@ describe('Search', () => {
                     { q: 'b4c3f09e74f58b0aeee34d9c3cd9333a' },
                     (err, results) => {
                       assert.ok(!err);
-                      assert.ok(_getDocById(results, content.id));
+                      const doc = _getDocById(results, content.id);
+                      assert.ok(doc);
+                      assert.ok(doc.highlights[0].includes('<em>b4c3f09e74f58b0aeee34d9c3cd9333a</em>'));
                       return callback();
                     }
                   );
@@ -430,5 +438,40 @@ describe('Search', () => {
         );
       });
     });
+
+    /**
+     * Test that verifies a content body mapping from before the body was renamed to `content_body`, or from before its
+     * term offsets were stored, is reported as outdated so the search index gets rebuilt on startup
+     */
+    it('verify previous content body mappings are outdated', callback => {
+      const currentSchema = { content_body: ContentBodySchema.content_body };
+      const renamedFields = { content_body: 'body' };
+
+      const renamedTypeName = TestsUtil.generateTestElasticSearchName('oaetest-outdated-contentbody-renamed');
+      const renamedSchema = { body: _.omit(ContentBodySchema.content_body, 'term_vector') };
+      ElasticSearch.putMapping(renamedTypeName, renamedSchema, null, err => {
+        assert.ok(!err);
+        ElasticSearch.getOutdatedMappingFields(renamedTypeName, currentSchema, renamedFields, (err, outdatedFields) => {
+          assert.ok(!err);
+          assert.deepStrictEqual(outdatedFields, ['content_body']);
+
+          const termVectorTypeName = TestsUtil.generateTestElasticSearchName('oaetest-outdated-contentbody-termvector');
+          const termVectorSchema = { content_body: _.omit(ContentBodySchema.content_body, 'term_vector') };
+          ElasticSearch.putMapping(termVectorTypeName, termVectorSchema, null, err => {
+            assert.ok(!err);
+            ElasticSearch.getOutdatedMappingFields(
+              termVectorTypeName,
+              currentSchema,
+              renamedFields,
+              (err, outdatedFields) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(outdatedFields, ['content_body']);
+                return callback();
+              }
+            );
+          });
+        });
+      });
+    });
   });
 });
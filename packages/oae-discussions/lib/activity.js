@@ -19,6 +19,7 @@ import * as ActivityAPI from 'oae-activity';
 import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivityUtil from 'oae-activity/lib/util';
 import * as AuthzUtil from 'oae-authz/lib/util';
+import * as MessageBoxActivity from 'oae-messagebox/lib/activity';
 import * as MessageBoxAPI from 'oae-messagebox';
 import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
@@ -183,7 +184,8 @@ ActivityAPI.registerActivityType(DiscussionsConstants.activity.ACTIVITY_DISCUSSI
 });
 
 /*!
- * Post a discussion-message activity when a user comments on a discussion
+ * Post a discussion-message activity when a user comments on a discussion, and a mention activity for each
+ * user that is mentioned in the message
  */
 DiscussionsAPI.on(DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE, (ctx, message, discussion) => {
   const millis = Date.now();
@@ -206,6 +208,108 @@ DiscussionsAPI.on(DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE, (ctx,
     targetResource
   );
   ActivityAPI.postActivity(ctx, activitySeed);
+  MessageBoxActivity.postMentionActivities(ctx, message, objectResource);
+});
+
+/// ////////////////////////////
+// DISCUSSION-MESSAGE-UPDATE //
+/// ////////////////////////////
+
+ActivityAPI.registerActivityType(DiscussionsConstants.activity.ACTIVITY_DISCUSSION_MESSAGE_UPDATE, {
+  groupBy: [{ target: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self']
+      }
+    },
+    message: {
+      transient: true,
+      router: {
+        // Route the activity to the discussion so the edit shows up for anyone viewing it
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a discussion-message-update activity when a user edits their message in a discussion
+ */
+DiscussionsAPI.on(DiscussionsConstants.events.UPDATED_DISCUSSION_MESSAGE, (ctx, message, discussion) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('discussion-message', message.id, {
+    discussionId: discussion.id,
+    message
+  });
+  const targetResource = new ActivityModel.ActivitySeedResource('discussion', discussion.id, {
+    discussion
+  });
+  const activitySeed = new ActivityModel.ActivitySeed(
+    DiscussionsConstants.activity.ACTIVITY_DISCUSSION_MESSAGE_UPDATE,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
+});
+
+/// //////////////////////
+// DISCUSSION-REACTION //
+/// //////////////////////
+
+ActivityAPI.registerActivityType(DiscussionsConstants.activity.ACTIVITY_DISCUSSION_REACTION, {
+  // "Branden Visser and 3 others reacted to your discussion"
+  groupBy: [{ object: true, target: true }],
+  streams: {
+    notification: {
+      router: {
+        // Notify the author of the discussion or message that was reacted to
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a discussion-reaction activity when a user reacts to a discussion or one of its messages
+ */
+DiscussionsAPI.on(DiscussionsConstants.events.ADDED_DISCUSSION_REACTION, (ctx, discussion, message /* reaction */) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+
+  let objectResource = null;
+  let authorId = null;
+  if (message) {
+    objectResource = new ActivityModel.ActivitySeedResource('discussion-message', message.id, {
+      discussionId: discussion.id,
+      message
+    });
+    authorId = message.createdBy.id;
+  } else {
+    objectResource = new ActivityModel.ActivitySeedResource('discussion', discussion.id, {
+      discussion
+    });
+    authorId = discussion.createdBy;
+  }
+
+  const targetResource = new ActivityModel.ActivitySeedResource('user', authorId);
+  const activitySeed = new ActivityModel.ActivitySeed(
+    DiscussionsConstants.activity.ACTIVITY_DISCUSSION_REACTION,
+    millis,
+    ActivityConstants.verbs.REACT,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
 });
 
 /// ////////////////////////////////////////////////////////////////////////////////
@@ -515,6 +619,7 @@ ActivityAPI.registerActivityEntityType('discussion', {
     activitystreams: _discussionTransformer,
     internal: _discussionInternalTransformer
   },
+  activityStreams2Type: 'Article',
   propagation(associationsCtx, entity, callback) {
     ActivityUtil.getStandardResourcePropagation(entity.discussion.visibility, AuthzConstants.joinable.NO, callback);
   }
@@ -526,6 +631,7 @@ ActivityAPI.registerActivityEntityType('discussion-message', {
     activitystreams: _discussionMessageTransformer,
     internal: _discussionMessageInternalTransformer
   },
+  activityStreams2Type: 'Note',
   propagation(associationsCtx, entity, callback) {
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
   }
@@ -19,13 +19,19 @@ import DiscussionsAPI from 'oae-discussions';
 import * as AuthzAPI from 'oae-authz';
 import * as AuthzInvitations from 'oae-authz/lib/invitations';
 import * as AuthzPermissions from 'oae-authz/lib/permissions';
+import * as AuthzUtil from 'oae-authz/lib/util';
 import * as LibraryAPI from 'oae-library';
 import { logger } from 'oae-logger';
 import * as MessageBoxAPI from 'oae-messagebox';
+import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
 import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
 import * as ResourceActions from 'oae-resource/lib/actions';
+import * as ResourceReactions from 'oae-resource/lib/reactions';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
+import * as ResourceTags from 'oae-resource/lib/tags';
+import * as ResourceTrash from 'oae-resource/lib/trash';
 import * as Signature from 'oae-util/lib/signature';
 import { setUpConfig } from 'oae-config';
 
@@ -62,7 +68,10 @@ const DiscussionsConfig = setUpConfig('oae-discussions');
 const VISIBILITY = 'visibility';
 const DISPLAY_NAME = 'displayName';
 const DESCRIPTION = 'description';
-const DISCUSSION_UPDATE_FIELDS = [DISPLAY_NAME, DESCRIPTION, VISIBILITY];
+const TAGS = 'tags';
+const PUBLISH_AT = 'publishAt';
+const EXPIRE_AT = 'expireAt';
+const DISCUSSION_UPDATE_FIELDS = [DISPLAY_NAME, DESCRIPTION, VISIBILITY, TAGS, PUBLISH_AT, EXPIRE_AT];
 
 /**
  * Create a new discussion
@@ -73,6 +82,9 @@ const DISCUSSION_UPDATE_FIELDS = [DISPLAY_NAME, DESCRIPTION, VISIBILITY];
  * @param  {String}     [visibility]        The visibility of the discussion. One of public, loggedin, private. Defaults to the configured tenant default
  * @param  {Object}     [roles]             The initial membership of the discussion (the user in context will be a manager regardless of this parameter)
  * @param  {Object}     [opts]              Additional optional parameters
+ * @param  {String[]}   [opts.tags]         The tags to apply to the discussion
+ * @param  {Number}     [opts.publishAt]    The timestamp in milliseconds at which the discussion gets its visibility. The discussion is private until then
+ * @param  {Number}     [opts.expireAt]     The timestamp in milliseconds at which the discussion becomes private
  * @param  {Function}   callback            Standard callback function
  * @param  {Object}     callback.err        An error that occurred, if any
  * @param  {Discussion} callback.discussion The discussion object that was created
@@ -81,10 +93,12 @@ const createDiscussion = function(ctx, displayName, description, visibility, rol
   visibility = visibility || DiscussionsConfig.getValue(ctx.tenant().alias, 'visibility', 'discussion');
   roles = roles || {};
   opts = opts || {};
+  opts.tags = ResourceTags.sanitizeTags(opts.tags);
 
   const allVisibilities = _.values(AuthzConstants.visibility);
 
   // Verify basic properties
+  let creationSchedule = null;
   try {
     unless(isLoggedInUser, {
       code: 401,
@@ -123,6 +137,11 @@ const createDiscussion = function(ctx, displayName, description, visibility, rol
         msg: 'The role: ' + role + ' is not a valid member role for a discussion'
       })(role, DiscussionsConstants.role.ALL_PRIORITY);
     }, roles);
+
+    ResourceTags.validateTags(ctx.tenant().alias, opts.tags);
+
+    // A discussion that will be published later on is created privately
+    creationSchedule = ResourceSchedule.extractCreationSchedule(visibility, opts);
   } catch (error) {
     return callback(error);
   }
@@ -135,20 +154,28 @@ const createDiscussion = function(ctx, displayName, description, visibility, rol
     ctx.user().id,
     displayName,
     description,
-    visibility,
-    null
+    creationSchedule.visibility,
+    { tags: opts.tags }
   );
   ResourceActions.create(ctx, roles, createFn, (err, discussion, memberChangeInfo) => {
     if (err) {
       return callback(err);
     }
 
-    DiscussionsAPI.emit(DiscussionsConstants.events.CREATED_DISCUSSION, ctx, discussion, memberChangeInfo, errs => {
-      if (errs) {
-        return callback(_.first(errs));
+    ResourceSchedule.setSchedule(ctx, discussion, creationSchedule.schedule, err => {
+      if (err) {
+        return callback(err);
       }
 
-      return callback(null, discussion);
+      _.extend(discussion, creationSchedule.schedule);
+
+      DiscussionsAPI.emit(DiscussionsConstants.events.CREATED_DISCUSSION, ctx, discussion, memberChangeInfo, errs => {
+        if (errs) {
+          return callback(_.first(errs));
+        }
+
+        return callback(null, discussion);
+      });
     });
   });
 };
@@ -158,13 +185,16 @@ const createDiscussion = function(ctx, displayName, description, visibility, rol
  *
  * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
  * @param  {String}     discussionId        The id of the discussion to update
- * @param  {Object}     profileFields       An object whose keys are profile field names, and the value is the value to which you wish the field to change. Keys must be one of: displayName, visibility, discription
+ * @param  {Object}     profileFields       An object whose keys are profile field names, and the value is the value to which you wish the field to change. Keys must be one of: displayName, visibility, discription, tags, publishAt, expireAt
  * @param  {Function}   callback            Standard callback function
  * @param  {Object}     callback.err        An error that occurred, if any
  * @param  {Discussion} callback.discussion The updated discussion object
  */
 const updateDiscussion = function(ctx, discussionId, profileFields, callback) {
   const allVisibilities = _.values(AuthzConstants.visibility);
+  if (_.has(profileFields, TAGS)) {
+    profileFields.tags = ResourceTags.sanitizeTags(profileFields.tags);
+  }
 
   try {
     unless(isResourceId, {
@@ -211,7 +241,13 @@ const updateDiscussion = function(ctx, discussionId, profileFields, callback) {
         code: 400,
         msg: 'A description can only be 10000 characters long'
       })(value);
+
+      if (equals(field, TAGS)) {
+        ResourceTags.validateTags(AuthzUtil.getResourceFromId(discussionId).tenantAlias, value);
+      }
     }, profileFields);
+
+    ResourceSchedule.validateSchedule(profileFields);
   } catch (error) {
     return callback(error);
   }
@@ -226,36 +262,53 @@ const updateDiscussion = function(ctx, discussionId, profileFields, callback) {
         return callback(err);
       }
 
-      DiscussionsDAO.updateDiscussion(discussion, profileFields, (err, updatedDiscussion) => {
+      // Take the publication and expiry dates out of the fields that are stored on the discussion
+      let scheduleUpdate = null;
+      try {
+        scheduleUpdate = ResourceSchedule.extractSchedule(discussion, profileFields);
+      } catch (error) {
+        return callback(error);
+      }
+
+      DiscussionsDAO.updateDiscussion(discussion, scheduleUpdate.profileFields, (err, updatedDiscussion) => {
         if (err) {
           return callback(err);
         }
 
-        // Fill in the full profile, the user has to have been a manager, so these are all true
-        updatedDiscussion.isManager = true;
-        updatedDiscussion.canPost = true;
-        updatedDiscussion.canShare = true;
-
-        DiscussionsAPI.emit(
-          DiscussionsConstants.events.UPDATED_DISCUSSION,
-          ctx,
-          updatedDiscussion,
-          discussion,
-          errs => {
-            if (errs) {
-              return callback(_.first(errs));
-            }
-
-            return callback(null, updatedDiscussion);
+        ResourceSchedule.setSchedule(ctx, updatedDiscussion, scheduleUpdate.schedule, err => {
+          if (err) {
+            return callback(err);
           }
-        );
+
+          // Fill in the full profile, the user has to have been a manager, so these are all true
+          updatedDiscussion.isManager = true;
+          updatedDiscussion.canPost = true;
+          updatedDiscussion.canShare = true;
+
+          DiscussionsAPI.emit(
+            DiscussionsConstants.events.UPDATED_DISCUSSION,
+            ctx,
+            updatedDiscussion,
+            discussion,
+            errs => {
+              if (errs) {
+                return callback(_.first(errs));
+              }
+
+              return ResourceSchedule.augmentWithSchedule(updatedDiscussion, err => {
+                return callback(err, updatedDiscussion);
+              });
+            }
+          );
+        });
       });
     });
   });
 };
 
 /**
- * Deletes the specified discussion.
+ * Deletes the specified discussion. The discussion is put in the trash, from which its managers can restore it until it
+ * is permanently removed
  *
  * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
  * @param  {String}     discussionId        The id of the discussion to delete
@@ -287,28 +340,23 @@ const deleteDiscussion = function(ctx, discussionId, callback) {
         return callback(err);
       }
 
-      // TODO: Use a "mark as deleted" approach for deleting discussions instead of hard
-      // deleting it from the database. This approach wouldn't require accessing and deleting
-      // all authz member roles from the discussion
       AuthzAPI.getAllAuthzMembers(discussion.id, (err, memberIdRoles) => {
         if (err) {
           return callback(err);
         }
 
-        const roleChanges = {};
         const removedMemberIds = _.pluck(memberIdRoles, 'id');
-        _.each(removedMemberIds, memberId => {
-          roleChanges[memberId] = false;
-        });
-
-        // Update the authz associations
-        AuthzAPI.updateRoles(discussion.id, roleChanges, err => {
+        const managerIds = _.chain(memberIdRoles)
+          .where({ role: AuthzConstants.role.MANAGER })
+          .pluck('id')
+          .value();
+        ResourceTrash.addToTrash(ctx, discussion, managerIds, null, err => {
           if (err) {
             return callback(err);
           }
 
-          // Remove the actual discussion profile
-          DiscussionsDAO.deleteDiscussion(discussion.id, err => {
+          // Hide the discussion. The members keep their role, so the discussion can be restored
+          DiscussionsDAO.markDiscussionDeleted(discussion.id, err => {
             if (err) {
               return callback(err);
             }
@@ -333,6 +381,111 @@ const deleteDiscussion = function(ctx, discussionId, callback) {
   });
 };
 
+/**
+ * Restore a discussion from the trash
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     discussionId        The id of the discussion to restore
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Discussion} callback.discussion The full profile of the restored discussion
+ */
+const restoreDiscussion = function(ctx, discussionId, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A discussion id must be provided'
+    })(discussionId);
+
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to restore a discussion'
+    })(ctx);
+  } catch (error) {
+    return callback(error);
+  }
+
+  DiscussionsDAO.getDeletedDiscussion(discussionId, (err, discussion) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!discussion) {
+      return callback({ code: 404, msg: 'Could not find deleted discussion: ' + discussionId });
+    }
+
+    // The members kept their role while the discussion was in the trash, so its managers can restore it
+    AuthzPermissions.canManage(ctx, discussion, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      AuthzAPI.getAllAuthzMembers(discussion.id, (err, memberIdRoles) => {
+        if (err) {
+          return callback(err);
+        }
+
+        DiscussionsDAO.restoreDiscussion(discussion.id, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          ResourceTrash.removeFromTrash(discussion.id, err => {
+            if (err) {
+              return callback(err);
+            }
+
+            DiscussionsAPI.emit(
+              DiscussionsConstants.events.RESTORED_DISCUSSION,
+              ctx,
+              discussion,
+              _.pluck(memberIdRoles, 'id'),
+              errs => {
+                if (errs) {
+                  return callback(_.first(errs));
+                }
+
+                return getFullDiscussionProfile(ctx, discussion.id, callback);
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Permanently remove a discussion that has been in the trash for longer than the retention period
+ *
+ * @param  {String}     discussionId        The id of the discussion to remove
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _purgeDiscussion = function(discussionId, callback) {
+  AuthzAPI.getAllAuthzMembers(discussionId, (err, memberIdRoles) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const roleChanges = {};
+    _.each(memberIdRoles, member => {
+      roleChanges[member.id] = false;
+    });
+
+    // Update the authz associations
+    AuthzAPI.updateRoles(discussionId, roleChanges, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Remove the actual discussion profile
+      return DiscussionsDAO.deleteDiscussion(discussionId, callback);
+    });
+  });
+};
+
 /**
  * Get the discussions library items for a user or group. Depending on the access of the principal in context,
  * either a library of public, loggedin, or all items will be returned.
@@ -458,6 +611,7 @@ const getDiscussion = function(ctx, discussionId, callback) {
  * @param  {Boolean}    callback.discussion.isManager   Specifies if the current user in context is a manager of the discussion
  * @param  {Boolean}    callback.discussion.canShare    Specifies if the current user in context is allowed to share the discussion
  * @param  {Boolean}    callback.discussion.canPost     Specifies if the current user in context is allowed to post messages to the discussion
+ * @param  {Object}     callback.discussion.reactions   The reactions on the discussion
  */
 const getFullDiscussionProfile = function(ctx, discussionId, callback) {
   try {
@@ -511,8 +665,22 @@ const getFullDiscussionProfile = function(ctx, discussionId, callback) {
           discussion.createdBy = creator;
         }
 
-        DiscussionsAPI.emit(DiscussionsConstants.events.GET_DISCUSSION_PROFILE, ctx, discussion);
-        return callback(null, discussion);
+        // Add the reactions on the discussion
+        ResourceReactions.augmentWithReactions(ctx, [discussion], err => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Managers can see when the discussion will be published or will expire
+          OaeUtil.invokeIfNecessary(discussion.isManager, ResourceSchedule.augmentWithSchedule, discussion, err => {
+            if (err) {
+              return callback(err);
+            }
+
+            DiscussionsAPI.emit(DiscussionsConstants.events.GET_DISCUSSION_PROFILE, ctx, discussion);
+            return callback(null, discussion);
+          });
+        });
       });
     });
   });
@@ -893,42 +1061,49 @@ const createMessage = function(ctx, discussionId, body, replyToCreatedTimestamp,
         return callback(err);
       }
 
-      // Create the message
-      MessageBoxAPI.createMessage(
-        discussionId,
-        ctx.user().id,
-        body,
-        { replyToCreated: replyToCreatedTimestamp },
-        (err, message) => {
-          if (err) {
-            return callback(err);
-          }
+      // Resolve the users that are mentioned in the message, so they can be notified
+      MessageBoxUtil.getMentionedUsers(ctx, body, (err, mentionedUsers) => {
+        if (err) {
+          return callback(err);
+        }
 
-          // Get a UI-appropriate representation of the current user
-          PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+        // Create the message
+        MessageBoxAPI.createMessage(
+          discussionId,
+          ctx.user().id,
+          body,
+          { replyToCreated: replyToCreatedTimestamp, mentions: _.pluck(mentionedUsers, 'id') },
+          (err, message) => {
             if (err) {
               return callback(err);
             }
 
-            message.createdBy = createdBy;
+            // Get a UI-appropriate representation of the current user
+            PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+              if (err) {
+                return callback(err);
+              }
 
-            // The message has been created in the database so we can emit the `created-message` event
-            DiscussionsAPI.emit(
-              DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE,
-              ctx,
-              message,
-              discussion,
-              errs => {
-                if (errs) {
-                  return callback(_.first(errs));
-                }
+              message.createdBy = createdBy;
 
-                return callback(null, message);
-              }
-            );
-          });
-        }
-      );
+              // The message has been created in the database so we can emit the `created-message` event
+              DiscussionsAPI.emit(
+                DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE,
+                ctx,
+                message,
+                discussion,
+                errs => {
+                  if (errs) {
+                    return callback(_.first(errs));
+                  }
+
+                  return callback(null, message);
+                }
+              );
+            });
+          }
+        );
+      });
     });
   });
 };
@@ -1017,6 +1192,134 @@ const deleteMessage = function(ctx, discussionId, messageCreatedDate, callback)
   });
 };
 
+/**
+ * Edit the body of a message in a discussion. Only the author of a message can edit it. The previous body of the
+ * message is kept in its edit history.
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         discussionId            The id of the discussion that holds the message
+ * @param  {String|Number}  messageCreatedDate      The timestamp of the message that should be edited
+ * @param  {String}         body                    The new body of the message
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {Message}        callback.message        The updated message
+ */
+const updateMessage = function(ctx, discussionId, messageCreatedDate, body, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can edit messages'
+    })(ctx);
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A discussion id must be provided'
+    })(discussionId);
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A discussion body must be provided'
+    })(body);
+    unless(isLongString, {
+      code: 400,
+      msg: 'A discussion body can only be 100000 characters long'
+    })(body);
+  } catch (error) {
+    return callback(error);
+  }
+
+  _getDiscussion(discussionId, (err, discussion) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The author of the message needs to still be able to post messages to the discussion
+    AuthzPermissions.canInteract(ctx, discussion, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      MessageBoxAPI.getMessages(discussionId, [messageCreatedDate], { scrubDeleted: false }, (err, messages) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!messages[0] || messages[0].deleted) {
+          return callback({ code: 404, msg: 'The specified message does not exist' });
+        }
+
+        if (messages[0].createdBy !== ctx.user().id) {
+          return callback({ code: 401, msg: 'You can only edit your own messages' });
+        }
+
+        MessageBoxAPI.updateMessageBody(discussionId, messages[0].created, body, (err, message) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Get a UI-appropriate representation of the current user
+          PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+            if (err) {
+              return callback(err);
+            }
+
+            message.createdBy = createdBy;
+
+            DiscussionsAPI.emit(DiscussionsConstants.events.UPDATED_DISCUSSION_MESSAGE, ctx, message, discussion);
+            return callback(null, message);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get the edit history of a message in a discussion
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         discussionId            The id of the discussion that holds the message
+ * @param  {String|Number}  messageCreatedDate      The timestamp of the message whose edit history to get
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {MessageEdit[]}  callback.edits          The previous versions of the body of the message, from the oldest to the most recent edit
+ */
+const getMessageEdits = function(ctx, discussionId, messageCreatedDate, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A discussion id must be provided'
+    })(discussionId);
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the discussion, throwing an error if the user in context doesn't have view access or if it doesn't exist
+  getDiscussion(ctx, discussionId, (err /* , discussion */) => {
+    if (err) {
+      return callback(err);
+    }
+
+    MessageBoxAPI.getMessages(discussionId, [messageCreatedDate], null, (err, messages) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!messages[0] || messages[0].deleted) {
+        return callback({ code: 404, msg: 'The specified message does not exist' });
+      }
+
+      return MessageBoxAPI.getMessageEdits(discussionId, messages[0].created, callback);
+    });
+  });
+};
+
 /**
  * Get the messages in a discussion
  *
@@ -1077,12 +1380,145 @@ const getMessages = function(ctx, discussionId, start, limit, callback) {
           }
         });
 
-        return callback(err, messages, nextToken);
+        // Add the reactions on each message
+        ResourceReactions.augmentWithReactions(ctx, messages, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          return callback(null, messages, nextToken);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Add a reaction of the current user to a discussion or, when a message timestamp is specified, to one of the messages
+ * in the discussion. The author of the discussion or message will be notified
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     discussionId            The id of the discussion to react to
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message to react to. Not specifying this will react to the discussion itself
+ * @param  {String}     reaction                The reaction to add. One of `ResourceConstants.reactions.TYPES`
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the discussion or message after the reaction was added
+ */
+const addReaction = function(ctx, discussionId, messageCreatedDate, reaction, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to discussions'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A discussion id must be provided'
+    })(discussionId);
+
+    unless(bothCheck(Boolean(messageCreatedDate), isInt), {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the discussion, throwing an error if it doesn't exist, avoiding permission checks for now
+  _getDiscussion(discussionId, (err, discussion) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Determine if the current user can react to this discussion
+    AuthzPermissions.canInteract(ctx, discussion, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      _getReactionMessage(ctx, discussionId, messageCreatedDate, (err, message) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const targetId = message ? message.id : discussion.id;
+        ResourceReactions.addReaction(ctx, targetId, reaction, (err, reactions, added) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Only notify the author the first time a user reacts with this reaction
+          if (added) {
+            DiscussionsAPI.emit(
+              DiscussionsConstants.events.ADDED_DISCUSSION_REACTION,
+              ctx,
+              discussion,
+              message,
+              reaction
+            );
+          }
+
+          return callback(null, reactions);
+        });
       });
     });
   });
 };
 
+/**
+ * Remove a reaction of the current user from a discussion or, when a message timestamp is specified, from one of the
+ * messages in the discussion
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     discussionId            The id of the discussion from which to remove the reaction
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message from which to remove the reaction. Not specifying this will remove the reaction from the discussion itself
+ * @param  {String}     reaction                The reaction to remove
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the discussion or message after the reaction was removed
+ */
+const removeReaction = function(ctx, discussionId, messageCreatedDate, reaction, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to discussions'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A discussion id must be provided'
+    })(discussionId);
+
+    unless(bothCheck(Boolean(messageCreatedDate), isInt), {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Users that can no longer interact with the discussion can still take back their reactions
+  getDiscussion(ctx, discussionId, (err, discussion) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _getReactionMessage(ctx, discussionId, messageCreatedDate, (err, message) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const targetId = message ? message.id : discussion.id;
+      return ResourceReactions.removeReaction(ctx, targetId, reaction, callback);
+    });
+  });
+};
+
 /**
  * Get the discussion with the specified id. If it doesn't exist, a 404 error will be thrown. No permission checks
  * will be performed.
@@ -1108,10 +1544,60 @@ const _getDiscussion = function(discussionId, callback) {
   });
 };
 
+/**
+ * Get the message that is being reacted to, with the profile of its author set as `createdBy`
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     discussionId            The id of the discussion that holds the message
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message. If not specified, no message is returned
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Message}    [callback.message]      The message that is being reacted to
+ * @api private
+ */
+const _getReactionMessage = function(ctx, discussionId, messageCreatedDate, callback) {
+  if (!messageCreatedDate) {
+    return callback();
+  }
+
+  MessageBoxAPI.getMessages(discussionId, [messageCreatedDate], { scrubDeleted: false }, (err, messages) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!messages[0] || messages[0].deleted) {
+      return callback({ code: 404, msg: 'The specified message does not exist' });
+    }
+
+    const message = messages[0];
+    PrincipalsUtil.getPrincipal(ctx, message.createdBy, (err, createdBy) => {
+      if (err) {
+        return callback(err);
+      }
+
+      message.createdBy = createdBy;
+      return callback(null, message);
+    });
+  });
+};
+
+// Discussions that have been in the trash for longer than the retention period are permanently removed
+ResourceTrash.registerResourceType('discussion', { purge: _purgeDiscussion });
+
+// Discussions can be published and expire at a scheduled date
+ResourceSchedule.registerResourceType('discussion', {
+  setVisibility(ctx, discussionId, visibility, callback) {
+    updateDiscussion(ctx, discussionId, { visibility }, err => {
+      return callback(err);
+    });
+  }
+});
+
 export {
   createDiscussion,
   updateDiscussion,
   deleteDiscussion,
+  restoreDiscussion,
   getDiscussionsLibrary,
   getDiscussion,
   getFullDiscussionProfile,
@@ -1122,6 +1608,10 @@ export {
   setDiscussionPermissions,
   removeDiscussionFromLibrary,
   createMessage,
+  updateMessage,
+  getMessageEdits,
+  addReaction,
+  removeReaction,
   deleteMessage,
   getMessages
 };
@@ -22,14 +22,17 @@ import * as Discussions from './api.discussions';
  *
  * The `DiscussionsAPI`, as enumerated in `DiscussionsConstants.events`, emits the following events:
  *
+ * * `addedDiscussionReaction(ctx, discussion, message, reaction)`: A user reacted to a discussion or to one of its messages.
  * * `createdDiscussion(ctx, discussion, members)`: A new discussion was created.
  * * `createdDiscussionMessage(ctx, message, discussion)`: A new message was posted to a discussion.
  * * `deletedDiscussion(ctx, discussion)`: A discussion has been deleted.
  * * `deletedDiscussionMessage(ctx, message, discussion, deleteType)`: A message was removed from a discussion.
  * * `getDiscussionLibrary(ctx, principalId, visibility, start, limit, discussions)`: A discussion library was retrieved.
  * * `getDiscussionProfile(ctx, discussion)`: A discussion profile was retrieved.
+ * * `restoredDiscussion(ctx, discussion, memberIds)`: A deleted discussion was restored from the trash.
  * * `updatedDiscussion(ctx, oldDiscussion, newDiscussion)`: An existing discussion's metadata has been updated.
  * * `updatedDiscussionMembers(ctx, discussion, memberUpdates, newMemberIds, updatedMemberIds, removedMemberIds)`: The members and/or managers for a discussion have been altered.
+ * * `updatedDiscussionMessage(ctx, message, discussion)`: The body of a message in a discussion was edited.
  */
 const DiscussionsAPI = new EmitterAPI.EventEmitter();
 export default DiscussionsAPI;
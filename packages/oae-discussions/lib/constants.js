@@ -24,14 +24,17 @@ DiscussionsConstants.role = {
 };
 
 DiscussionsConstants.events = {
+  ADDED_DISCUSSION_REACTION: 'addedDiscussionReaction',
   CREATED_DISCUSSION: 'createdDiscussion',
   CREATED_DISCUSSION_MESSAGE: 'createdDiscussionMessage',
   DELETED_DISCUSSION: 'deletedDiscussion',
   DELETED_DISCUSSION_MESSAGE: 'deletedDiscussionMessage',
   GET_DISCUSSION_LIBRARY: 'getDiscussionLibrary',
   GET_DISCUSSION_PROFILE: 'getDiscussionProfile',
+  RESTORED_DISCUSSION: 'restoredDiscussion',
   UPDATED_DISCUSSION: 'updatedDiscussion',
-  UPDATED_DISCUSSION_MEMBERS: 'updatedDiscussionMembers'
+  UPDATED_DISCUSSION_MEMBERS: 'updatedDiscussionMembers',
+  UPDATED_DISCUSSION_MESSAGE: 'updatedDiscussionMessage'
 };
 
 DiscussionsConstants.activity = {
@@ -42,6 +45,8 @@ DiscussionsConstants.activity = {
   ACTIVITY_DISCUSSION_SHARE: 'discussion-share',
   ACTIVITY_DISCUSSION_ADD_TO_LIBRARY: 'discussion-add-to-library',
   ACTIVITY_DISCUSSION_MESSAGE: 'discussion-message',
+  ACTIVITY_DISCUSSION_MESSAGE_UPDATE: 'discussion-message-update',
+  ACTIVITY_DISCUSSION_REACTION: 'discussion-reaction',
 
   PROP_OAE_COMMENT_REPLY_TO: 'oae:replyTo',
   PROP_OAE_COMMENT_THREAD_KEY: 'oae:commentThreadKey',
@@ -21,6 +21,7 @@ import * as AuthzUtil from 'oae-authz/lib/util';
 import * as Cassandra from 'oae-util/lib/cassandra';
 import { logger } from 'oae-logger';
 import * as OaeUtil from 'oae-util/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
 import * as TenantsAPI from 'oae-tenants';
 
 import { Discussion } from 'oae-discussions/lib/model';
@@ -36,6 +37,7 @@ const log = logger('discussions-dao');
  * @param  {String}     [visibility]        The visibility of the discussion. One of public, loggedin, private. Defaults to the configured tenant default.
  * @param  {Object}     [opts]              Additional optional parameters
  * @param  {Number}     [opts.created]      When the discussion was created. If unspecified, will use the current timestamp
+ * @param  {String[]}   [opts.tags]         The tags to apply to the discussion
  * @param  {Function}   callback            Standard callback function
  * @param  {Object}     callback.err        An error that occurred, if any
  * @param  {Discussion} callback.discussion The discussion object that was created
@@ -55,7 +57,8 @@ const createDiscussion = function(createdBy, displayName, description, visibilit
     description,
     visibility,
     created,
-    lastModified: created
+    lastModified: created,
+    tags: opts.tags || []
   };
 
   const query = Cassandra.constructUpsertCQL('Discussions', 'id', discussionId, storageHash);
@@ -111,7 +114,59 @@ const getDiscussion = function(discussionId, callback) {
 };
 
 /**
- * Delete a discussion profile by its id.
+ * Get a discussion that has been deleted and is in the trash
+ *
+ * @param  {String}     discussionId        The id of the deleted discussion to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Discussion} callback.discussion The deleted discussion. If the discussion does not exist or has not been deleted, this will be `undefined`
+ */
+const getDeletedDiscussion = function(discussionId, callback) {
+  Cassandra.runQuery('SELECT * FROM "Discussions" WHERE "id" = ?', [discussionId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const hash = _.isEmpty(rows) ? {} : Cassandra.rowToHash(rows[0]);
+    if (!hash.deleted) {
+      return callback();
+    }
+
+    return callback(null, _storageHashToDiscussion(discussionId, hash));
+  });
+};
+
+/**
+ * Mark a discussion as deleted. Deleted discussions can no longer be retrieved, but their members keep their role
+ * so the discussion can be restored.
+ * This will *NOT* remove the discussion from the members their libraries.
+ *
+ * @param  {String}     discussionId        The id of the discussion to mark as deleted
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const markDiscussionDeleted = function(discussionId, callback) {
+  Cassandra.runQuery(
+    'UPDATE "Discussions" SET "deleted" = ? WHERE "id" = ?',
+    [Date.now().toString(), discussionId],
+    callback
+  );
+};
+
+/**
+ * Restore a discussion that was marked as deleted.
+ * This will *NOT* add the discussion back to the members their libraries.
+ *
+ * @param  {String}     discussionId        The id of the discussion to restore
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const restoreDiscussion = function(discussionId, callback) {
+  Cassandra.runQuery('DELETE "deleted" FROM "Discussions" WHERE "id" = ?', [discussionId], callback);
+};
+
+/**
+ * Permanently delete a discussion profile by its id.
  * This will *NOT* remove the discussion from the members their libraries.
  *
  * @param  {String}     discussionId        The id of the discussion to delete
@@ -142,7 +197,8 @@ const getDiscussionsById = function(discussionIds, fields, callback) {
 
   // If `fields` was specified, we select only the fields specified. Otherwise we select all (i.e., *)
   if (fields) {
-    const columns = _.map(fields, field => {
+    // Always fetch whether the discussion has been deleted
+    const columns = _.map(_.union(fields, ['deleted']), field => {
       return util.format('"%s"', field);
     });
 
@@ -162,6 +218,8 @@ const getDiscussionsById = function(discussionIds, fields, callback) {
     const discussions = {};
     _.chain(rows)
       .map(Cassandra.rowToHash)
+      // Discussions that are in the trash are treated as if they no longer exist
+      .reject(row => row.deleted)
       .each(row => {
         discussions[row.id] = _storageHashToDiscussion(row.id, row);
       });
@@ -227,7 +285,8 @@ const _storageHashToDiscussion = function(discussionId, hash) {
     hash.description,
     hash.visibility,
     OaeUtil.getNumberParam(hash.created),
-    OaeUtil.getNumberParam(hash.lastModified)
+    OaeUtil.getNumberParam(hash.lastModified),
+    ResourceTags.parseTags(hash.tags)
   );
 };
 
@@ -248,7 +307,8 @@ const _createUpdatedDiscussionFromStorageHash = function(discussion, hash) {
     hash.description || discussion.description,
     hash.visibility || discussion.visibility,
     OaeUtil.getNumberParam(discussion.created),
-    OaeUtil.getNumberParam(hash.lastModified || discussion.lastModified)
+    OaeUtil.getNumberParam(hash.lastModified || discussion.lastModified),
+    hash.tags || discussion.tags
   );
 };
 
@@ -263,4 +323,14 @@ const _createDiscussionId = function(tenantAlias) {
   return AuthzUtil.toId('d', tenantAlias, ShortId.generate());
 };
 
-export { createDiscussion, updateDiscussion, getDiscussion, deleteDiscussion, getDiscussionsById, iterateAll };
+export {
+  createDiscussion,
+  updateDiscussion,
+  getDiscussion,
+  getDeletedDiscussion,
+  markDiscussionDeleted,
+  restoreDiscussion,
+  deleteDiscussion,
+  getDiscussionsById,
+  iterateAll
+};
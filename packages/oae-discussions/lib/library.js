@@ -135,6 +135,25 @@ DiscussionsAPI.when(DiscussionsConstants.events.DELETED_DISCUSSION, (ctx, discus
   });
 });
 
+/**
+ * When a discussion is restored from the trash, add it back to all discussion libraries
+ */
+DiscussionsAPI.when(DiscussionsConstants.events.RESTORED_DISCUSSION, (ctx, discussion, memberIds, callback) => {
+  _insertLibrary(memberIds, discussion, err => {
+    if (err) {
+      log().warn(
+        {
+          err,
+          discussionId: discussion.id
+        },
+        'An error occurred while adding a restored discussion back to all discussion libraries'
+      );
+    }
+
+    return callback();
+  });
+});
+
 /**
  * When a discussions members are updated, pass the required updates to its members library as well
  * as all the discussions libraries that contain the discussion
@@ -28,9 +28,10 @@ import * as AuthzUtil from 'oae-authz/lib/util';
  * @param  {String}         visibility      The visibility of the discussion. Should be one of public, private, loggedin
  * @param  {Number}         created         The timestamp (millis since epoch) at which the discussion was created
  * @param  {Number}         lastModified    The timestamp (millis since epoch) at which the discussion was last modified (or received the last message)
+ * @param  {String[]}       [tags]          The tags that have been applied to the discussion
  * @return {Discussion}                     The discussion with the data provided
  */
-const Discussion = function(tenant, id, createdBy, displayName, description, visibility, created, lastModified) {
+const Discussion = function(tenant, id, createdBy, displayName, description, visibility, created, lastModified, tags) {
   const { resourceId } = AuthzUtil.getResourceFromId(id);
   const that = {};
   that.tenant = tenant;
@@ -41,6 +42,7 @@ const Discussion = function(tenant, id, createdBy, displayName, description, vis
   that.visibility = visibility;
   that.created = created;
   that.lastModified = lastModified;
+  that.tags = tags || [];
   that.profilePath = util.format('/discussion/%s/%s', tenant.alias, resourceId);
   that.resourceType = 'discussion';
   return that;
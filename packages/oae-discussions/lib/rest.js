@@ -33,6 +33,9 @@ import * as OaeUtil from 'oae-util/lib/util';
  * @FormParam   {string}            displayName         The display name of the discussion
  * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the discussion. The user creating the discussion will be added as a manager automatically
  * @FormParam   {string[]}          [members]           Unique identifier(s) for users and groups to add as members of the discussion
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the discussion becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the discussion gets its visibility. The discussion is private until then
+ * @FormParam   {string[]}          [tags]              The tags to apply to the discussion
  * @FormParam   {string}            [visibility]        The visibility of the discussion. Defaults to the configured tenant default          [loggedin,private,public]
  * @Return      {BasicDiscussion}                       The created discussion
  * @HttpResponse                    200                 Discussion created
@@ -43,6 +46,10 @@ import * as OaeUtil from 'oae-util/lib/util';
  * @HttpResponse                    400                 An invalid discussion visibility option has been provided
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this discussion
  * @HttpResponse                    400                 One or more target members being granted access do not exist
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 Anonymous users cannot create a discussion
  */
 OAE.tenantRouter.on('post', '/api/discussion/create', (req, res) => {
@@ -65,7 +72,7 @@ OAE.tenantRouter.on('post', '/api/discussion/create', (req, res) => {
     req.body.description,
     req.body.visibility,
     roles,
-    null,
+    _.extend({ tags: OaeUtil.toArray(req.body.tags) }, _.pick(req.body, 'publishAt', 'expireAt')),
     (err, discussion) => {
       if (err) {
         return res.status(err.code).send(err.msg);
@@ -87,6 +94,9 @@ OAE.tenantRouter.on('post', '/api/discussion/create', (req, res) => {
  * @PathParam   {string}            discussionId        The id of the discussion to update
  * @FormParam   {string}            [description]       Updated description for the discussion
  * @FormParam   {string}            [displayName]       Updated display name for the discussion
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the discussion becomes private. An empty value clears the expiry date
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the discussion gets its visibility. The discussion is private until then. An empty value clears the publication date
+ * @FormParam   {string[]}          [tags]              Updated tags for the discussion
  * @FormParam   {string}            [visibility]        Updated visibility for the discussion           [loggedin,private,public]
  * @Return      {BasicDiscussion}                       The updated discussion
  * @HttpResponse                    200                 Discussion updated
@@ -97,6 +107,10 @@ OAE.tenantRouter.on('post', '/api/discussion/create', (req, res) => {
  * @HttpResponse                    400                 A description can only be 10000 characters long
  * @HttpResponse                    400                 An invalid visibility was specified
  * @HttpResponse                    400                 An invalid field was specified
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    400                 You should specify at least one profile field to update
  * @HttpResponse                    401                 You are not authorized to update this discussion
  * @HttpResponse                    404                 Could not find the specified discussion
@@ -135,6 +149,31 @@ OAE.tenantRouter.on('delete', '/api/discussion/:discussionId', (req, res) => {
   });
 });
 
+/**
+ * @REST postDiscussionDiscussionIdRestore
+ *
+ * Restore a discussion from the trash
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /discussion/{discussionId}/restore
+ * @PathParam   {string}        discussionId        The id of the discussion to restore
+ * @Return      {Discussion}                        The restored discussion
+ * @HttpResponse                200                 Discussion restored
+ * @HttpResponse                400                 A discussion id must be provided
+ * @HttpResponse                401                 You are not authorized to restore this discussion
+ * @HttpResponse                404                 Could not find the specified deleted discussion
+ */
+OAE.tenantRouter.on('post', '/api/discussion/:discussionId/restore', (req, res) => {
+  DiscussionsAPI.Discussions.restoreDiscussion(req.ctx, req.params.discussionId, (err, discussion) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(discussion);
+  });
+});
+
 /**
  * @REST getDiscussionLibraryPrincipalId
  *
@@ -490,3 +529,215 @@ OAE.tenantRouter.on('delete', '/api/discussion/:discussionId/messages/:created',
     res.status(200).send(message);
   });
 });
+
+/**
+ * @REST putDiscussionDiscussionIdMessagesCreated
+ *
+ * Edit the body of a message in a discussion
+ *
+ * @Server      tenant
+ * @Method      PUT
+ * @Path        /discussion/{discussionId}/messages/{created}
+ * @PathParam   {string}                discussionId        The id of the discussion that holds the message
+ * @PathParam   {number}                created             The timestamp of the message that should be edited
+ * @FormParam   {string}                body                The new body of the message
+ * @Return      {Message}                                   The updated message
+ * @HttpResponse                        200                 Discussion message updated
+ * @HttpResponse                        400                 A discussion body can only be 100000 characters long
+ * @HttpResponse                        400                 A discussion body must be provided
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 Only authenticated users can edit messages
+ * @HttpResponse                        401                 You can only edit your own messages
+ * @HttpResponse                        404                 Could not find the specified discussion
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('put', '/api/discussion/:discussionId/messages/:created', (req, res) => {
+  DiscussionsAPI.Discussions.updateMessage(
+    req.ctx,
+    req.params.discussionId,
+    req.params.created,
+    req.body.body,
+    (err, message) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(message);
+    }
+  );
+});
+
+/**
+ * @REST getDiscussionDiscussionIdMessagesCreatedEdits
+ *
+ * Get the edit history of a message in a discussion
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /discussion/{discussionId}/messages/{created}/edits
+ * @PathParam   {string}                discussionId        The id of the discussion that holds the message
+ * @PathParam   {number}                created             The timestamp of the message whose edit history to get
+ * @Return      {MessageEdit[]}                             The previous versions of the body of the message, from the oldest to the most recent edit
+ * @HttpResponse                        200                 Edit history available
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 You are not authorized to view this discussion
+ * @HttpResponse                        404                 Could not find the specified discussion
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('get', '/api/discussion/:discussionId/messages/:created/edits', (req, res) => {
+  DiscussionsAPI.Discussions.getMessageEdits(req.ctx, req.params.discussionId, req.params.created, (err, edits) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(edits);
+  });
+});
+
+/**
+ * @REST postDiscussionDiscussionIdReactions
+ *
+ * React to a discussion
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /discussion/{discussionId}/reactions
+ * @PathParam   {string}                discussionId        The id of the discussion to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the discussion
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to discussions
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Could not find the specified discussion
+ */
+OAE.tenantRouter.on('post', '/api/discussion/:discussionId/reactions', (req, res) => {
+  DiscussionsAPI.Discussions.addReaction(
+    req.ctx,
+    req.params.discussionId,
+    null,
+    req.body.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
+/**
+ * @REST deleteDiscussionDiscussionIdReactionsReaction
+ *
+ * Remove a reaction from a discussion
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /discussion/{discussionId}/reactions/{reaction}
+ * @PathParam   {string}                discussionId        The id of the discussion from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the discussion
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to discussions
+ * @HttpResponse                        401                 You are not authorized to view this discussion
+ * @HttpResponse                        404                 Could not find the specified discussion
+ */
+OAE.tenantRouter.on('delete', '/api/discussion/:discussionId/reactions/:reaction', (req, res) => {
+  DiscussionsAPI.Discussions.removeReaction(
+    req.ctx,
+    req.params.discussionId,
+    null,
+    req.params.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
+/**
+ * @REST postDiscussionDiscussionIdMessagesCreatedReactions
+ *
+ * React to a message on a discussion
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /discussion/{discussionId}/messages/{created}/reactions
+ * @PathParam   {string}                discussionId        The id of the discussion that holds the message
+ * @PathParam   {number}                created             The timestamp of the message to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the message
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to discussions
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Could not find the specified discussion
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('post', '/api/discussion/:discussionId/messages/:created/reactions', (req, res) => {
+  DiscussionsAPI.Discussions.addReaction(
+    req.ctx,
+    req.params.discussionId,
+    req.params.created,
+    req.body.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
+/**
+ * @REST deleteDiscussionDiscussionIdMessagesCreatedReactionsReaction
+ *
+ * Remove a reaction from a message on a discussion
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /discussion/{discussionId}/messages/{created}/reactions/{reaction}
+ * @PathParam   {string}                discussionId        The id of the discussion that holds the message
+ * @PathParam   {number}                created             The timestamp of the message from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the message
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A discussion id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to discussions
+ * @HttpResponse                        401                 You are not authorized to view this discussion
+ * @HttpResponse                        404                 Could not find the specified discussion
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('delete', '/api/discussion/:discussionId/messages/:created/reactions/:reaction', (req, res) => {
+  DiscussionsAPI.Discussions.removeReaction(
+    req.ctx,
+    req.params.discussionId,
+    req.params.created,
+    req.params.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
@@ -25,6 +25,7 @@
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the discussion was last modified (or received the last message)
  * @Property    {string}                profilePath         The relative path to the discussion profile
  * @Property    {string}                resourceType        The resource type of the discussion     [discussion]
+ * @Property    {string[]}              tags                The tags that have been applied to the discussion
  * @Property    {BasicTenant}           tenant              The tenant to which this discussion is associated
  * @Property    {string}                visibility          The visibility of the discussion        [loggedin,private,public]
  */
@@ -39,11 +40,16 @@
  * @Property    {BasicUser}             createdBy           The user who created the discussion
  * @Property    {string}                description         A longer description for the discussion
  * @Property    {string}                displayName         The display name of the discussion
+ * @Property    {number}                expireAt            The timestamp (millis since epoch) at which the discussion becomes private. Only available to managers
  * @Property    {string}                id                  The id of the discussion
  * @Property    {boolean}               isManager           Whether the current user is a manager of the discussion
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the discussion was last modified (or received the last message)
  * @Property    {string}                profilePath         The relative path to the discussion profile
+ * @Property    {number}                publishAt           The timestamp (millis since epoch) at which the discussion gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility   The visibility the discussion gets when it is published     [loggedin,public]
+ * @Property    {Reactions}             reactions           The reactions on the discussion
  * @Property    {string}                resourceType        The resource type of the discussion     [discussion]
+ * @Property    {string[]}              tags                The tags that have been applied to the discussion
  * @Property    {BasicTenant}           tenant              The tenant to which this discussion is associated
  * @Property    {string}                visibility          The visibility of the discussion        [loggedin,private,public]
  */
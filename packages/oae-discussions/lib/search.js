@@ -90,9 +90,16 @@ DiscussionsAPI.on(DiscussionsConstants.events.DELETED_DISCUSSION, (ctx, discussi
 });
 
 /*!
- * When a message is added to a discussion, we must index the child message document
+ * When a discussion is restored from the trash, we must index its resource document and all its children again
  */
-DiscussionsAPI.on(DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE, (ctx, message, discussion) => {
+DiscussionsAPI.on(DiscussionsConstants.events.RESTORED_DISCUSSION, (ctx, discussion) => {
+  SearchAPI.postIndexTask('discussion', [{ id: discussion.id }], { resource: true, children: true });
+});
+
+/*!
+ * When a message is added to a discussion or edited, we must (re)index the child message document
+ */
+const _indexDiscussionMessage = function(ctx, message, discussion) {
   const resource = {
     id: discussion.id,
     messages: [message]
@@ -104,7 +111,10 @@ DiscussionsAPI.on(DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE, (ctx,
       discussion_message: true
     }
   });
-});
+};
+
+DiscussionsAPI.on(DiscussionsConstants.events.CREATED_DISCUSSION_MESSAGE, _indexDiscussionMessage);
+DiscussionsAPI.on(DiscussionsConstants.events.UPDATED_DISCUSSION_MESSAGE, _indexDiscussionMessage);
 
 /*!
  * When a discussion message is deleted, we must delete the child message document
@@ -235,8 +245,10 @@ const _produceDiscussionSearchDocument = function(discussion) {
     dateCreated: discussion.created,
     lastModified: discussion.lastModified,
     createdBy: discussion.createdBy,
+    tags: discussion.tags,
     _extra: {
-      lastModified: discussion.lastModified
+      lastModified: discussion.lastModified,
+      tags: discussion.tags
     }
   };
 
@@ -277,8 +289,8 @@ const _transformDiscussionDocuments = function(ctx, docs, callback) {
       result[name] = _.first(value);
     });
 
-    // Take just the `lastModified` from the extra fields, if specified
-    _.extend(result, _.pick(extra, 'lastModified'));
+    // Take just the `lastModified` and `tags` from the extra fields, if specified
+    _.extend(result, _.pick(extra, 'lastModified', 'tags'));
 
     // Add the full tenant object and profile path
     _.extend(result, {
@@ -18,10 +18,13 @@ import fs from 'fs';
 import path from 'path';
 import _ from 'underscore';
 
+import * as ActivityTestUtil from 'oae-activity/lib/test/util';
 import * as ConfigTestsUtil from 'oae-config/lib/test/util';
 import * as LibraryAPI from 'oae-library';
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
 import * as DiscussionsDAO from 'oae-discussions/lib/internal/dao';
 import * as DiscussionsTestsUtil from 'oae-discussions/lib/test/util';
 
@@ -708,6 +711,137 @@ describe('Discussions', () => {
     });
   });
 
+  describe('Scheduled publication', () => {
+    /**
+     * Create a discussion through the REST API with a publication and expiry date
+     *
+     * @param  {RestContext}    restContext             The context of the user who creates the discussion
+     * @param  {String}         visibility              The visibility of the discussion
+     * @param  {Object}         schedule                The `publishAt` and `expireAt` timestamps of the discussion
+     * @param  {Function}       callback                Standard callback function
+     * @param  {Object}         callback.err            An error that occurred, if any
+     * @param  {Discussion}     callback.discussion     The created discussion
+     */
+    const _createScheduledDiscussion = function(restContext, visibility, schedule, callback) {
+      const params = _.extend(
+        { displayName: 'Scheduled', description: 'A scheduled discussion', visibility },
+        schedule
+      );
+      RestUtil.performRestRequest(restContext, '/api/discussion/create', 'POST', params, callback);
+    };
+
+    /**
+     * Test that verifies a discussion that is created with a schedule is private until it is published and becomes
+     * private again once it expires, even when the user who scheduled it no longer manages it
+     */
+    it('verify discussions are published and expire at the scheduled dates', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, users, simon, branden) => {
+        assert.ok(!err);
+
+        const publishAt = Date.now() + 1000;
+        const expireAt = publishAt + 1000;
+        _createScheduledDiscussion(simon.restContext, 'public', { publishAt, expireAt }, (err, discussion) => {
+          assert.ok(!err);
+          assert.strictEqual(discussion.visibility, 'private');
+          assert.strictEqual(discussion.publishAt, publishAt);
+          assert.strictEqual(discussion.publishVisibility, 'public');
+          assert.strictEqual(discussion.expireAt, expireAt);
+
+          // The user who scheduled the publication hands the discussion over to someone else
+          const permissionChanges = _.object([
+            [branden.user.id, 'manager'],
+            [simon.user.id, false]
+          ]);
+          RestAPI.Discussions.updateDiscussionMembers(simon.restContext, discussion.id, permissionChanges, err => {
+            assert.ok(!err);
+
+            RestAPI.Discussions.getDiscussion(camAnonymousRestCtx, discussion.id, err => {
+              assert.strictEqual(err.code, 401);
+
+              // Apply the visibility change once the publication date has passed
+              setTimeout(() => {
+                ResourceSchedule.applyScheduledChanges(err => {
+                  assert.ok(!err);
+                  RestAPI.Discussions.getDiscussion(camAnonymousRestCtx, discussion.id, (err, publishedDiscussion) => {
+                    assert.ok(!err);
+                    assert.strictEqual(publishedDiscussion.visibility, 'public');
+
+                    // The discussion becomes private again once it expires
+                    setTimeout(() => {
+                      ResourceSchedule.applyScheduledChanges(err => {
+                        assert.ok(!err);
+                        RestAPI.Discussions.getDiscussion(camAnonymousRestCtx, discussion.id, err => {
+                          assert.strictEqual(err.code, 401);
+                          RestAPI.Discussions.getDiscussion(
+                            branden.restContext,
+                            discussion.id,
+                            (err, expiredDiscussion) => {
+                              assert.ok(!err);
+                              assert.strictEqual(expiredDiscussion.visibility, 'private');
+                              assert.ok(!expiredDiscussion.publishAt);
+                              assert.ok(!expiredDiscussion.expireAt);
+                              return callback();
+                            }
+                          );
+                        });
+                      });
+                    }, expireAt - Date.now() + 100);
+                  });
+                });
+              }, publishAt - Date.now() + 100);
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies the validation of the publication and expiry dates of a discussion that is created
+     */
+    it('verify scheduling validation when creating a discussion', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 1, (err, users, simon) => {
+        assert.ok(!err);
+
+        const inAnHour = Date.now() + 60 * 60 * 1000;
+        _createScheduledDiscussion(simon.restContext, 'public', { publishAt: 'tomorrow' }, err => {
+          assert.strictEqual(err.code, 400);
+          _createScheduledDiscussion(simon.restContext, 'public', { publishAt: Date.now() - 1000 }, err => {
+            assert.strictEqual(err.code, 400);
+
+            // A discussion should expire after it has been published
+            _createScheduledDiscussion(
+              simon.restContext,
+              'public',
+              { publishAt: inAnHour, expireAt: inAnHour - 1000 },
+              err => {
+                assert.strictEqual(err.code, 400);
+
+                // A private discussion can't be published
+                _createScheduledDiscussion(simon.restContext, 'private', { publishAt: inAnHour }, err => {
+                  assert.strictEqual(err.code, 400);
+
+                  // A discussion that only expires keeps its visibility until then
+                  _createScheduledDiscussion(
+                    simon.restContext,
+                    'loggedin',
+                    { expireAt: inAnHour },
+                    (err, discussion) => {
+                      assert.ok(!err);
+                      assert.strictEqual(discussion.visibility, 'loggedin');
+                      assert.strictEqual(discussion.expireAt, inAnHour);
+                      assert.ok(!discussion.publishAt);
+                      return callback();
+                    }
+                  );
+                });
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
   describe('Deleting Discussions', () => {
     /**
      * Test that verifies deleting a discussion properly cleans up library and authz
@@ -891,6 +1025,77 @@ describe('Discussions', () => {
         });
       });
     });
+
+    /**
+     * Test that verifies that a deleted discussion can be restored by its managers
+     */
+    it('verify restoring a deleted discussion', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, users, branden, simon) => {
+        assert.ok(!err);
+
+        const restoreDiscussion = function(restContext, discussionId, callback) {
+          RestUtil.performRestRequest(
+            restContext,
+            '/api/discussion/' + encodeURIComponent(discussionId) + '/restore',
+            'POST',
+            null,
+            callback
+          );
+        };
+
+        RestAPI.Discussions.createDiscussion(
+          branden.restContext,
+          'name',
+          'descr',
+          'public',
+          null,
+          [simon.user.id],
+          (err, discussion) => {
+            assert.ok(!err);
+
+            // An invalid discussion id should result in a 400 and a discussion that is not in the trash in a 404
+            restoreDiscussion(branden.restContext, 'invalid id', err => {
+              assert.strictEqual(err.code, 400);
+              restoreDiscussion(branden.restContext, discussion.id, err => {
+                assert.strictEqual(err.code, 404);
+
+                RestAPI.Discussions.deleteDiscussion(branden.restContext, discussion.id, err => {
+                  assert.ok(!err);
+
+                  // Verify Simon cannot restore the discussion as he's not a manager
+                  restoreDiscussion(simon.restContext, discussion.id, err => {
+                    assert.strictEqual(err.code, 401);
+
+                    restoreDiscussion(branden.restContext, discussion.id, (err, restoredDiscussion) => {
+                      assert.ok(!err);
+                      assert.strictEqual(restoredDiscussion.id, discussion.id);
+
+                      // Ensure the discussion can be fetched again and is back in the library of its members
+                      RestAPI.Discussions.getDiscussion(simon.restContext, discussion.id, (err, fetchedDiscussion) => {
+                        assert.ok(!err);
+                        assert.strictEqual(fetchedDiscussion.id, discussion.id);
+                        RestAPI.Discussions.getDiscussionsLibrary(
+                          simon.restContext,
+                          simon.user.id,
+                          null,
+                          null,
+                          (err, items) => {
+                            assert.ok(!err);
+                            assert.strictEqual(items.results.length, 1);
+                            assert.strictEqual(items.results[0].id, discussion.id);
+                            return callback();
+                          }
+                        );
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
   });
 
   describe('Discussions Model', () => {
@@ -4237,4 +4442,428 @@ describe('Discussions', () => {
       );
     });
   });
+
+  describe('Editing messages', () => {
+    /**
+     * Edit the body of a message in a discussion through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user editing the message
+     * @param  {String}         discussionId        The id of the discussion that holds the message
+     * @param  {String}         created             The timestamp of the message to edit
+     * @param  {String}         body                The new body of the message
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Message}        callback.message    The updated message
+     */
+    const _updateMessage = function(restContext, discussionId, created, body, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/discussion/' + encodeURIComponent(discussionId) + '/messages/' + encodeURIComponent(created),
+        'PUT',
+        { body },
+        callback
+      );
+    };
+
+    /**
+     * Get the edit history of a message in a discussion through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the current user
+     * @param  {String}         discussionId        The id of the discussion that holds the message
+     * @param  {String}         created             The timestamp of the message
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {MessageEdit[]}  callback.edits      The edit history of the message
+     */
+    const _getMessageEdits = function(restContext, discussionId, created, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/discussion/' + encodeURIComponent(discussionId) + '/messages/' + encodeURIComponent(created) + '/edits',
+        'GET',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies a user can edit their own messages and that the previous bodies are kept in the edit history
+     */
+    it('verify editing messages, edit history and permissions', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        RestAPI.Discussions.createDiscussion(
+          simong.restContext,
+          'displayName',
+          'description',
+          'public',
+          null,
+          null,
+          (err, discussion) => {
+            assert.ok(!err);
+
+            RestAPI.Discussions.createMessage(simong.restContext, discussion.id, 'alfa', null, (err, message) => {
+              assert.ok(!err);
+
+              // Verify validation
+              _updateMessage(simong.restContext, 'not-a-valid-id', message.created, 'beta', err => {
+                assert.strictEqual(err.code, 400);
+                _updateMessage(simong.restContext, discussion.id, 'NaN', 'beta', err => {
+                  assert.strictEqual(err.code, 400);
+                  _updateMessage(simong.restContext, discussion.id, message.created, '', err => {
+                    assert.strictEqual(err.code, 400);
+
+                    // An unknown message can't be edited
+                    _updateMessage(simong.restContext, discussion.id, Date.now() - 1000, 'beta', err => {
+                      assert.strictEqual(err.code, 404);
+
+                      // Only the author can edit a message
+                      _updateMessage(camAnonymousRestCtx, discussion.id, message.created, 'beta', err => {
+                        assert.strictEqual(err.code, 401);
+                        _updateMessage(nico.restContext, discussion.id, message.created, 'beta', err => {
+                          assert.strictEqual(err.code, 401);
+
+                          _updateMessage(simong.restContext, discussion.id, message.created, 'beta', err => {
+                            assert.ok(!err);
+                            _updateMessage(
+                              simong.restContext,
+                              discussion.id,
+                              message.created,
+                              'charlie',
+                              (err, updatedMessage) => {
+                                assert.ok(!err);
+                                assert.strictEqual(updatedMessage.id, message.id);
+                                assert.strictEqual(updatedMessage.body, 'charlie');
+                                assert.strictEqual(updatedMessage.createdBy.id, simong.user.id);
+                                assert.ok(updatedMessage.edited);
+
+                                // The edited message is marked as such in the message list
+                                RestAPI.Discussions.getMessages(
+                                  simong.restContext,
+                                  discussion.id,
+                                  null,
+                                  10,
+                                  (err, messages) => {
+                                    assert.ok(!err);
+                                    assert.strictEqual(messages.results.length, 1);
+                                    assert.strictEqual(messages.results[0].body, 'charlie');
+                                    assert.strictEqual(messages.results[0].edited, updatedMessage.edited);
+
+                                    // Anyone who can see the discussion can see the edit history, from the oldest edit
+                                    _getMessageEdits(
+                                      camAnonymousRestCtx,
+                                      discussion.id,
+                                      message.created,
+                                      (err, edits) => {
+                                        assert.ok(!err);
+                                        assert.deepStrictEqual(_.pluck(edits, 'body'), ['alfa', 'beta']);
+                                        assert.strictEqual(edits[1].edited, updatedMessage.edited);
+                                        return callback();
+                                      }
+                                    );
+                                  }
+                                );
+                              }
+                            );
+                          });
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies the edit history of a message in a private discussion is only available to its members
+     */
+    it('verify the edit history of a message is only available to users who can see the discussion', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        RestAPI.Discussions.createDiscussion(
+          simong.restContext,
+          'displayName',
+          'description',
+          'private',
+          null,
+          null,
+          (err, discussion) => {
+            assert.ok(!err);
+
+            RestAPI.Discussions.createMessage(simong.restContext, discussion.id, 'alfa', null, (err, message) => {
+              assert.ok(!err);
+              _updateMessage(simong.restContext, discussion.id, message.created, 'beta', err => {
+                assert.ok(!err);
+
+                _getMessageEdits(nico.restContext, discussion.id, message.created, err => {
+                  assert.strictEqual(err.code, 401);
+                  _getMessageEdits(simong.restContext, discussion.id, Date.now() - 1000, err => {
+                    assert.strictEqual(err.code, 404);
+                    _getMessageEdits(simong.restContext, discussion.id, message.created, (err, edits) => {
+                      assert.ok(!err);
+                      assert.deepStrictEqual(_.pluck(edits, 'body'), ['alfa']);
+                      return callback();
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Reactions', () => {
+    /**
+     * Add a reaction to a discussion, or to one of its messages, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user reacting
+     * @param  {String}         discussionId        The id of the discussion to react to
+     * @param  {String}         [created]           The timestamp of the message to react to
+     * @param  {String}         reaction            The reaction to add
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the discussion or message
+     */
+    const _addReaction = function(restContext, discussionId, created, reaction, callback) {
+      let url = '/api/discussion/' + encodeURIComponent(discussionId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(restContext, url + '/reactions', 'POST', { reaction }, callback);
+    };
+
+    /**
+     * Remove a reaction from a discussion, or from one of its messages, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user removing the reaction
+     * @param  {String}         discussionId        The id of the discussion
+     * @param  {String}         [created]           The timestamp of the message
+     * @param  {String}         reaction            The reaction to remove
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the discussion or message
+     */
+    const _removeReaction = function(restContext, discussionId, created, reaction, callback) {
+      let url = '/api/discussion/' + encodeURIComponent(discussionId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(
+        restContext,
+        url + '/reactions/' + encodeURIComponent(reaction),
+        'DELETE',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies reactions can be added to and removed from discussions, and that they are counted in the full
+     * discussion profile
+     */
+    it('verify reacting to a discussion', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 3, (err, users, simong, nico, branden) => {
+        assert.ok(!err);
+
+        RestAPI.Discussions.createDiscussion(
+          simong.restContext,
+          'displayName',
+          'description',
+          'public',
+          null,
+          null,
+          (err, discussion) => {
+            assert.ok(!err);
+
+            // Verify validation and permissions
+            _addReaction(nico.restContext, discussion.id, null, 'not-a-reaction', err => {
+              assert.strictEqual(err.code, 400);
+              _addReaction(camAnonymousRestCtx, discussion.id, null, 'like', err => {
+                assert.strictEqual(err.code, 401);
+
+                _addReaction(nico.restContext, discussion.id, null, 'like', (err, reactions) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(reactions, { like: { count: 1, reacted: true } });
+
+                  // Reacting twice with the same reaction doesn't count twice
+                  _addReaction(nico.restContext, discussion.id, null, 'like', (err, reactions) => {
+                    assert.ok(!err);
+                    assert.strictEqual(reactions.like.count, 1);
+
+                    _addReaction(branden.restContext, discussion.id, null, 'like', err => {
+                      assert.ok(!err);
+
+                      // The counts are part of the full discussion profile
+                      RestAPI.Discussions.getDiscussion(simong.restContext, discussion.id, (err, discussion) => {
+                        assert.ok(!err);
+                        assert.deepStrictEqual(discussion.reactions, { like: { count: 2, reacted: false } });
+
+                        // The author gets a single, aggregated notification
+                        ActivityTestUtil.collectAndGetNotificationStream(
+                          simong.restContext,
+                          null,
+                          (err, notificationStream) => {
+                            assert.ok(!err);
+                            assert.strictEqual(notificationStream.items.length, 1);
+                            ActivityTestUtil.assertActivity(
+                              notificationStream.items[0],
+                              'discussion-reaction',
+                              'react',
+                              [nico.user.id, branden.user.id],
+                              discussion.id,
+                              simong.user.id
+                            );
+
+                            _removeReaction(nico.restContext, discussion.id, null, 'like', (err, reactions) => {
+                              assert.ok(!err);
+                              assert.deepStrictEqual(reactions, { like: { count: 1, reacted: false } });
+                              return callback();
+                            });
+                          }
+                        );
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    /**
+     * Test that verifies reactions can be added to messages and are returned when listing the messages
+     */
+    it('verify reacting to a message', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        RestAPI.Discussions.createDiscussion(
+          simong.restContext,
+          'displayName',
+          'description',
+          'public',
+          null,
+          null,
+          (err, discussion) => {
+            assert.ok(!err);
+            RestAPI.Discussions.createMessage(simong.restContext, discussion.id, 'alfa', null, (err, message) => {
+              assert.ok(!err);
+
+              // Unknown messages can't be reacted to
+              _addReaction(nico.restContext, discussion.id, Date.now() - 1000, 'thanks', err => {
+                assert.strictEqual(err.code, 404);
+
+                _addReaction(nico.restContext, discussion.id, message.created, 'thanks', (err, reactions) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(reactions, { thanks: { count: 1, reacted: true } });
+
+                  // Reacting to a message doesn't react to the discussion
+                  RestAPI.Discussions.getMessages(nico.restContext, discussion.id, null, null, (err, messages) => {
+                    assert.ok(!err);
+                    assert.strictEqual(messages.results.length, 1);
+                    assert.deepStrictEqual(messages.results[0].reactions, { thanks: { count: 1, reacted: true } });
+                    RestAPI.Discussions.getDiscussion(nico.restContext, discussion.id, (err, discussion) => {
+                      assert.ok(!err);
+                      assert.deepStrictEqual(discussion.reactions, {});
+
+                      _removeReaction(nico.restContext, discussion.id, message.created, 'thanks', (err, reactions) => {
+                        assert.ok(!err);
+                        assert.deepStrictEqual(reactions, {});
+                        return callback();
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Mentions', () => {
+    /**
+     * Test that verifies users mentioned in a message are stored on the message and notified, even when they are not a
+     * member of the discussion, while users whose profile can't be seen are not
+     */
+    it('verify mentioned users are notified', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 3, (err, users, simong, nico, branden) => {
+        assert.ok(!err);
+
+        RestAPI.User.updateUser(branden.restContext, branden.user.id, { visibility: 'private' }, err => {
+          assert.ok(!err);
+
+          RestAPI.Discussions.createDiscussion(
+            simong.restContext,
+            'displayName',
+            'description',
+            'public',
+            null,
+            null,
+            (err, discussion) => {
+              assert.ok(!err);
+
+              const body = util.format(
+                'Hey @[Nico](%s) and @[Branden](%s), thoughts? Also @[Nico](%s)',
+                nico.user.profilePath,
+                branden.user.profilePath,
+                nico.user.profilePath
+              );
+              RestAPI.Discussions.createMessage(simong.restContext, discussion.id, body, null, (err, message) => {
+                assert.ok(!err);
+
+                // The private user is not resolved and duplicate mentions are only stored once
+                assert.deepStrictEqual(message.mentions, [nico.user.id]);
+                RestAPI.Discussions.getMessages(nico.restContext, discussion.id, null, null, (err, messages) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(messages.results[0].mentions, [nico.user.id]);
+
+                  // Nico is notified, even though he is not a member of the discussion
+                  ActivityTestUtil.collectAndGetNotificationStream(
+                    nico.restContext,
+                    null,
+                    (err, notificationStream) => {
+                      assert.ok(!err);
+                      const mention = _.findWhere(notificationStream.items, { 'oae:activityType': 'mention' });
+                      ActivityTestUtil.assertActivity(
+                        mention,
+                        'mention',
+                        'mention',
+                        simong.user.id,
+                        message.id,
+                        nico.user.id
+                      );
+
+                      // Branden could not be mentioned so he does not receive a notification
+                      ActivityTestUtil.collectAndGetNotificationStream(
+                        branden.restContext,
+                        null,
+                        (err, notificationStream) => {
+                          assert.ok(!err);
+                          assert.ok(!_.findWhere(notificationStream.items, { 'oae:activityType': 'mention' }));
+                          return callback();
+                        }
+                      );
+                    }
+                  );
+                });
+              });
+            }
+          );
+        });
+      });
+    });
+  });
 });
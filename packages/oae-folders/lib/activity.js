@@ -20,6 +20,7 @@ import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivityUtil from 'oae-activity/lib/util';
 import * as AuthzUtil from 'oae-authz/lib/util';
 import * as ContentUtil from 'oae-content/lib/internal/util';
+import * as MessageBoxActivity from 'oae-messagebox/lib/activity';
 import * as MessageBoxAPI from 'oae-messagebox';
 import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import PreviewConstants from 'oae-preview-processor/lib/constants';
@@ -264,7 +265,8 @@ ActivityAPI.registerActivityType(FoldersConstants.activity.ACTIVITY_FOLDER_COMME
 });
 
 /*!
- * Post a folder-comment activity when a user comments on a folder
+ * Post a folder-comment activity when a user comments on a folder, and a mention activity for each
+ * user that is mentioned in the comment
  */
 FoldersAPI.emitter.on(FoldersConstants.events.CREATED_COMMENT, (ctx, message, folder) => {
   const millis = Date.now();
@@ -285,6 +287,53 @@ FoldersAPI.emitter.on(FoldersConstants.events.CREATED_COMMENT, (ctx, message, fo
     targetResource
   );
   ActivityAPI.postActivity(ctx, activitySeed);
+  MessageBoxActivity.postMentionActivities(ctx, message, objectResource);
+});
+
+/// ////////////////////////
+// FOLDER-COMMENT-UPDATE //
+/// ////////////////////////
+
+ActivityAPI.registerActivityType(FoldersConstants.activity.ACTIVITY_FOLDER_COMMENT_UPDATE, {
+  groupBy: [{ target: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self']
+      }
+    },
+    message: {
+      transient: true,
+      router: {
+        // Route the activity to the folder so the edit shows up for anyone viewing it
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a folder-comment-update activity when a user edits their comment on a folder
+ */
+FoldersAPI.emitter.on(FoldersConstants.events.UPDATED_COMMENT, (ctx, message, folder) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('folder-comment', message.id, {
+    folderId: folder.id,
+    message
+  });
+  const targetResource = new ActivityModel.ActivitySeedResource('folder', folder.id, { folder });
+  const activitySeed = new ActivityModel.ActivitySeed(
+    FoldersConstants.activity.ACTIVITY_FOLDER_COMMENT_UPDATE,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+  ActivityAPI.postActivity(ctx, activitySeed);
 });
 
 /// /////////////////////////////////////////////
@@ -551,6 +600,7 @@ ActivityAPI.registerActivityEntityType('folder', {
     activitystreams: _folderTransformer,
     internal: _folderTransformer
   },
+  activityStreams2Type: 'Collection',
   propagation(associationsCtx, entity, callback) {
     ActivityUtil.getStandardResourcePropagation(entity.folder.visibility, AuthzConstants.joinable.NO, callback);
   }
@@ -562,6 +612,7 @@ ActivityAPI.registerActivityEntityType('folder-comment', {
     activitystreams: _folderCommentTransformer,
     internal: _folderCommentInternalTransformer
   },
+  activityStreams2Type: 'Note',
   propagation(associationsCtx, entity, callback) {
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
   }
@@ -21,6 +21,7 @@ import { setUpConfig } from 'oae-config';
 import * as AuthzAPI from 'oae-authz';
 import * as AuthzInvitations from 'oae-authz/lib/invitations';
 import * as AuthzPermissions from 'oae-authz/lib/permissions';
+import * as AuthzUtil from 'oae-authz/lib/util';
 import * as ContentAPI from 'oae-content';
 import * as ContentDAO from 'oae-content/lib/internal/dao';
 import * as ContentUtil from 'oae-content/lib/internal/util';
@@ -28,11 +29,15 @@ import * as EmitterAPI from 'oae-emitter';
 import * as LibraryAPI from 'oae-library';
 
 import * as MessageBoxAPI from 'oae-messagebox';
+import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as GroupAPI from 'oae-principals/lib/api.group';
 import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
 import * as ResourceActions from 'oae-resource/lib/actions';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
+import * as ResourceTags from 'oae-resource/lib/tags';
+import * as ResourceTrash from 'oae-resource/lib/trash';
 import * as SearchAPI from 'oae-search';
 import * as Signature from 'oae-util/lib/signature';
 import { MessageBoxConstants } from 'oae-messagebox/lib/constants';
@@ -71,6 +76,9 @@ const FoldersConfig = setUpConfig('oae-folders');
 const DISPLAY_NAME = 'displayName';
 const DESCRIPTION = 'description';
 const VISIBILITY = 'visibility';
+const TAGS = 'tags';
+const PUBLISH_AT = 'publishAt';
+const EXPIRE_AT = 'expireAt';
 /*!
  * ### Events
  *
@@ -78,11 +86,13 @@ const VISIBILITY = 'visibility';
  * * `createdFolder(ctx, folder, members)`: A new folder was created
  * * `updatedFolder(ctx, oldFolder, newFolder)`: A folder was updated
  * * `deletedFolder(ctx, folder, memberIds)`: A folder was deleted
+ * * `restoredFolder(ctx, folder, memberIds)`: A folder was restored from the trash
  * * `updatedFolderMembers(ctx, folder, memberUpdates, addedMemberIds, updatedMemberIds, removedMemberIds)`: The members of a folder have been updated
  * * `updatedFolderVisibility(ctx, folder, visibility, affectedContentItems, failedContentItems)`: The content items in a folder their visibility have been updated
  * * `addedContentItems(ctx, actionContext, folder, contentItems)`: One or more content items were added to a folder
  * * `removedContentItems(ctx, folder, contentIds)`: One or more content items were removed from a folder
  * * `createdComment(ctx, folder, message)`: A comment was placed on a folder
+ * * `updatedComment(ctx, message, folder)`: The body of a comment on a folder was edited
  */
 const FoldersAPI = new EmitterAPI.EventEmitter();
 
@@ -94,17 +104,21 @@ const FoldersAPI = new EmitterAPI.EventEmitter();
  * @param  {String}         [description]           The description of the folder. By default, a folder will have no description
  * @param  {String}         [visibility]            The visibility of the folder. One of `AuthzConstants.visibility`. This will default to a value configured for the tenant
  * @param  {Object}         [roles]                 An object whose keys are principal ids and values are the role they should have on the folder. By default only the creator of the folder will be a manager
+ * @param  {String[]}       [tags]                  The tags to apply to the folder
+ * @param  {Object}         [schedule]              The `publishAt` and `expireAt` timestamps in milliseconds at which the folder gets its visibility and becomes private. The folder is private until it is published
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Folder}         callback.folder         The folder that was created
  */
-const createFolder = function(ctx, displayName, description, visibility, roles, callback) {
+const createFolder = function(ctx, displayName, description, visibility, roles, tags, schedule, callback) {
   visibility = visibility || FoldersConfig.getValue(ctx.tenant().alias, 'visibility', 'folder');
   roles = roles || {};
+  tags = ResourceTags.sanitizeTags(tags);
 
   const allVisibilities = _.values(AuthzConstants.visibility);
 
   // Verify basic properties
+  let creationSchedule = null;
   try {
     unless(isLoggedInUser, {
       code: 401,
@@ -139,6 +153,11 @@ const createFolder = function(ctx, displayName, description, visibility, roles,
         msg: util.format('The role "%s" is not a valid member role for a folder', role)
       })(role, FoldersConstants.role.ALL_PRIORITY);
     }, roles);
+
+    ResourceTags.validateTags(ctx.tenant().alias, tags);
+
+    // A folder that will be published later on is created privately
+    creationSchedule = ResourceSchedule.extractCreationSchedule(visibility, schedule);
   } catch (error) {
     return callback(error);
   }
@@ -165,18 +184,33 @@ const createFolder = function(ctx, displayName, description, visibility, roles,
       roles[ctx.user().id] = AuthzConstants.role.MANAGER;
     }
 
-    const createFn = _.partial(FoldersDAO.createFolder, ctx.user().id, displayName, description, visibility);
+    const createFn = _.partial(
+      FoldersDAO.createFolder,
+      ctx.user().id,
+      displayName,
+      description,
+      creationSchedule.visibility,
+      tags
+    );
     ResourceActions.create(ctx, roles, createFn, (err, folder, memberChangeInfo) => {
       if (err) {
         return callback(err);
       }
 
-      FoldersAPI.emit(FoldersConstants.events.CREATED_FOLDER, ctx, folder, memberChangeInfo, errs => {
-        if (errs) {
-          return callback(_.first(errs));
+      ResourceSchedule.setSchedule(ctx, folder, creationSchedule.schedule, err => {
+        if (err) {
+          return callback(err);
         }
 
-        return callback(null, folder);
+        _.extend(folder, creationSchedule.schedule);
+
+        FoldersAPI.emit(FoldersConstants.events.CREATED_FOLDER, ctx, folder, memberChangeInfo, errs => {
+          if (errs) {
+            return callback(_.first(errs));
+          }
+
+          return callback(null, folder);
+        });
       });
     });
   });
@@ -191,12 +225,18 @@ const createFolder = function(ctx, displayName, description, visibility, roles,
  * @param  {String}         [updates.displayName]           The new display name for the folder
  * @param  {String}         [updates.description]           The new description for the folder
  * @param  {String}         [updates.visibility]            The new visibility for the folder
+ * @param  {String[]}       [updates.tags]                  The new tags for the folder
+ * @param  {Number}         [updates.publishAt]             The timestamp at which the folder gets its visibility. The folder is private until then
+ * @param  {Number}         [updates.expireAt]              The timestamp at which the folder becomes private
  * @param  {Function}       callback                        Standard callback function
  * @param  {Object}         callback.err                    An error that occurred, if any
  * @param  {Folder}         callback.folder                 The updated folder
  */
 const updateFolder = function(ctx, folderId, updates, callback) {
   const allVisibilities = _.values(AuthzConstants.visibility);
+  if (_.has(updates, TAGS)) {
+    updates.tags = ResourceTags.sanitizeTags(updates.tags);
+  }
 
   try {
     unless(isLoggedInUser, {
@@ -216,7 +256,7 @@ const updateFolder = function(ctx, folderId, updates, callback) {
 
     // Ensure that at least one valid update field was provided
     const updateFields = _.keys(updates);
-    const legalUpdateFields = [DISPLAY_NAME, DESCRIPTION, VISIBILITY];
+    const legalUpdateFields = [DISPLAY_NAME, DESCRIPTION, VISIBILITY, TAGS, PUBLISH_AT, EXPIRE_AT];
 
     unless(isArrayNotEmpty, {
       code: 400,
@@ -247,6 +287,12 @@ const updateFolder = function(ctx, folderId, updates, callback) {
       code: 400,
       msg: 'An invalid folder visibility option has been provided. Must be one of: ' + allVisibilities.join(', ')
     })(updates.visibility, allVisibilities);
+
+    if (_.has(updates, TAGS)) {
+      ResourceTags.validateTags(AuthzUtil.getResourceFromId(folderId).tenantAlias, updates.tags);
+    }
+
+    ResourceSchedule.validateSchedule(updates);
   } catch (error) {
     return callback(error);
   }
@@ -263,16 +309,30 @@ const updateFolder = function(ctx, folderId, updates, callback) {
         return callback(err);
       }
 
+      // Take the publication and expiry dates out of the fields that are stored on the folder
+      let scheduleUpdate = null;
+      try {
+        scheduleUpdate = ResourceSchedule.extractSchedule(folder, updates);
+      } catch (error) {
+        return callback(error);
+      }
+
       // Update the folder's metadata
-      FoldersDAO.updateFolder(folder, updates, (err, updatedFolder) => {
+      FoldersDAO.updateFolder(folder, scheduleUpdate.profileFields, (err, updatedFolder) => {
         if (err) {
           return callback(err);
         }
 
-        FoldersAPI.emit(FoldersConstants.events.UPDATED_FOLDER, ctx, updatedFolder, folder);
+        ResourceSchedule.setSchedule(ctx, updatedFolder, scheduleUpdate.schedule, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          FoldersAPI.emit(FoldersConstants.events.UPDATED_FOLDER, ctx, updatedFolder, folder);
 
-        // Get the full folder profile for the updated folder
-        return _getFullFolderProfile(ctx, updatedFolder, callback);
+          // Get the full folder profile for the updated folder
+          return _getFullFolderProfile(ctx, updatedFolder, callback);
+        });
       });
     });
   });
@@ -608,14 +668,21 @@ const _getFullFolderProfile = function(ctx, folder, callback) {
         folder.createdBy = creator;
       }
 
-      FoldersAPI.emit(FoldersConstants.events.GET_FOLDER_PROFILE, ctx, folder);
-      return callback(null, folder);
+      // Managers can see when the folder will be published or will expire
+      OaeUtil.invokeIfNecessary(folder.canManage, ResourceSchedule.augmentWithSchedule, folder, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        FoldersAPI.emit(FoldersConstants.events.GET_FOLDER_PROFILE, ctx, folder);
+        return callback(null, folder);
+      });
     });
   });
 };
 
 /**
- * Delete a folder
+ * Delete a folder. The folder is put in the trash, from which its managers can restore it until it is permanently removed
  *
  * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
  * @param  {String}         folderId                    The id of the folder to delete
@@ -646,20 +713,23 @@ const deleteFolder = function(ctx, folderId, deleteContent, callback) {
         return callback(err);
       }
 
-      _deleteFolder(folder, (err, memberIds) => {
+      // Get all the content items that are in this folder so we can either
+      // remove the content items or remove the authz link
+      FoldersAuthz.getContentInFolder(folder, (err, contentIds) => {
         if (err) {
           return callback(err);
         }
 
-        // eslint-disable-next-line no-unused-vars
-        FoldersAPI.emit(FoldersConstants.events.DELETED_FOLDER, ctx, folder, memberIds, errs => {
-          // Get all the content items that were in this folder so we can either
-          // remove the content items or remove the authz link
-          FoldersAuthz.getContentInFolder(folder, (err, contentIds) => {
-            if (err) {
-              return callback(err);
-            }
+        // When the content items are kept, remember which ones were in the folder so they can be
+        // added back when the folder is restored
+        const trashedContentIds = deleteContent ? [] : contentIds.slice();
+        _deleteFolder(ctx, folder, trashedContentIds, (err, memberIds) => {
+          if (err) {
+            return callback(err);
+          }
 
+          // eslint-disable-next-line no-unused-vars
+          FoldersAPI.emit(FoldersConstants.events.DELETED_FOLDER, ctx, folder, memberIds, errs => {
             // Delete the content if we were instructed to do so
             if (deleteContent) {
               _deleteContent(ctx, contentIds, failedContent => {
@@ -699,41 +769,167 @@ const deleteFolder = function(ctx, folderId, deleteContent, callback) {
 };
 
 /**
- * Delete a folder. This function will not perform any access checks.
+ * Move a folder to the trash. The members of the folder keep their role so the folder can be restored. This function
+ * will not perform any access checks.
  *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
  * @param  {Folder}         folder                  The folder that should be removed
+ * @param  {String[]}       contentIds              The ids of the content items that should be added back to the folder when it is restored
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error object, if any
  * @param  {String[]}       callback.memberIds      The ids of the principals who were members of this folder
  * @api private
  */
-const _deleteFolder = function(folder, callback) {
+const _deleteFolder = function(ctx, folder, contentIds, callback) {
   // Get all the principal ids who are a member of this folder
   AuthzAPI.getAllAuthzMembers(folder.groupId, (err, memberRoles) => {
     if (err) {
       return callback(err);
     }
 
-    // Remove each principal from this folder
     const memberIds = _.pluck(memberRoles, 'id');
-    const roleChanges = {};
-    _.each(memberIds, memberId => {
-      roleChanges[memberId] = false;
+    const managerIds = _.chain(memberRoles)
+      .where({ role: AuthzConstants.role.MANAGER })
+      .pluck('id')
+      .value();
+    ResourceTrash.addToTrash(ctx, folder, managerIds, { contentIds }, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Hide the folder
+      FoldersDAO.markFolderDeleted(folder.id, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(null, memberIds);
+      });
+    });
+  });
+};
+
+/**
+ * Restore a folder from the trash. The content items that were in the folder when it was deleted and that still exist
+ * are added back to it
+ *
+ * @param  {Context}        ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}         folderId            The id of the folder to restore
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Folder}         callback.folder     The full profile of the restored folder
+ */
+const restoreFolder = function(ctx, folderId, callback) {
+  try {
+    unless(isResourceId, { code: 400, msg: 'a folder id must be provided' })(folderId);
+
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to restore a folder'
+    })(ctx);
+  } catch (error) {
+    return callback(error);
+  }
+
+  FoldersDAO.getDeletedFolder(folderId, (err, folder) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The members kept their role while the folder was in the trash, so its managers can restore it
+    AuthzPermissions.canManage(ctx, folder, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      AuthzAPI.getAllAuthzMembers(folder.groupId, (err, memberRoles) => {
+        if (err) {
+          return callback(err);
+        }
+
+        ResourceTrash.getTrashItem(folder.id, (err, trashItem) => {
+          if (err && err.code !== 404) {
+            return callback(err);
+          }
+
+          const contentIds = (trashItem && trashItem.data.contentIds) || [];
+          ContentDAO.Content.getMultipleContentItems(contentIds, null, (err, contentItems) => {
+            if (err) {
+              return callback(err);
+            }
+
+            // Content items that have been deleted in the meantime are not added back
+            _addContentItemsToAuthzFolder(folder, _.compact(contentItems), err => {
+              if (err) {
+                return callback(err);
+              }
+
+              FoldersDAO.restoreFolder(folder.id, err => {
+                if (err) {
+                  return callback(err);
+                }
+
+                ResourceTrash.removeFromTrash(folder.id, err => {
+                  if (err) {
+                    return callback(err);
+                  }
+
+                  FoldersAPI.emit(
+                    FoldersConstants.events.RESTORED_FOLDER,
+                    ctx,
+                    folder,
+                    _.pluck(memberRoles, 'id'),
+                    errs => {
+                      if (errs) {
+                        return callback(_.first(errs));
+                      }
+
+                      return getFullFolderProfile(ctx, folder.id, callback);
+                    }
+                  );
+                });
+              });
+            });
+          });
+        });
+      });
     });
+  });
+};
+
+/**
+ * Permanently remove a folder that has been in the trash for longer than the retention period
+ *
+ * @param  {String}     folderId            The id of the folder to remove
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _purgeFolder = function(folderId, callback) {
+  FoldersDAO.getDeletedFolder(folderId, (err, folder) => {
+    if (err) {
+      return callback(err);
+    }
 
-    // Update the authz associations
-    AuthzAPI.updateRoles(folder.groupId, roleChanges, err => {
+    AuthzAPI.getAllAuthzMembers(folder.groupId, (err, memberRoles) => {
       if (err) {
         return callback(err);
       }
 
-      // Remove the actual folder
-      FoldersDAO.deleteFolder(folder.id, err => {
+      // Remove each principal from this folder
+      const roleChanges = {};
+      _.each(memberRoles, member => {
+        roleChanges[member.id] = false;
+      });
+
+      // Update the authz associations
+      AuthzAPI.updateRoles(folder.groupId, roleChanges, err => {
         if (err) {
           return callback(err);
         }
 
-        return callback(null, memberIds);
+        // Remove the actual folder
+        return FoldersDAO.deleteFolder(folder.id, callback);
       });
     });
   });
@@ -1607,36 +1803,43 @@ const createMessage = function(ctx, folderId, body, replyToCreatedTimestamp, cal
         return callback(err);
       }
 
-      // Create the message
-      MessageBoxAPI.createMessage(
-        folderId,
-        ctx.user().id,
-        body,
-        { replyToCreated: replyToCreatedTimestamp },
-        (err, message) => {
-          if (err) {
-            return callback(err);
-          }
+      // Resolve the users that are mentioned in the message, so they can be notified
+      MessageBoxUtil.getMentionedUsers(ctx, body, (err, mentionedUsers) => {
+        if (err) {
+          return callback(err);
+        }
 
-          // Get a UI-appropriate representation of the current user
-          PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+        // Create the message
+        MessageBoxAPI.createMessage(
+          folderId,
+          ctx.user().id,
+          body,
+          { replyToCreated: replyToCreatedTimestamp, mentions: _.pluck(mentionedUsers, 'id') },
+          (err, message) => {
             if (err) {
               return callback(err);
             }
 
-            message.createdBy = createdBy;
-
-            // The message has been created in the database so we can emit the `createdComment` event
-            FoldersAPI.emit(FoldersConstants.events.CREATED_COMMENT, ctx, message, folder, errs => {
-              if (errs) {
-                return callback(_.first(errs));
+            // Get a UI-appropriate representation of the current user
+            PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+              if (err) {
+                return callback(err);
               }
 
-              return callback(null, message);
+              message.createdBy = createdBy;
+
+              // The message has been created in the database so we can emit the `createdComment` event
+              FoldersAPI.emit(FoldersConstants.events.CREATED_COMMENT, ctx, message, folder, errs => {
+                if (errs) {
+                  return callback(_.first(errs));
+                }
+
+                return callback(null, message);
+              });
             });
-          });
-        }
-      );
+          }
+        );
+      });
     });
   });
 };
@@ -1721,6 +1924,147 @@ const deleteMessage = function(ctx, folderId, messageCreatedDate, callback) {
   });
 };
 
+/**
+ * Edit the body of a message in a folder. Only the author of a message can edit it. The previous body of the
+ * message is kept in its edit history.
+ *
+ * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
+ * @param  {String}         folderId                    The id of the folder that holds the message
+ * @param  {String|Number}  messageCreatedDate          The timestamp of the message that should be edited
+ * @param  {String}         body                        The new body of the message
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ * @param  {Message}        callback.message            The updated message
+ */
+const updateMessage = function(ctx, folderId, messageCreatedDate, body, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can edit messages'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A folder id must be provided'
+    })(folderId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A message body must be provided'
+    })(body);
+
+    unless(isLongString, {
+      code: 400,
+      msg: 'A message body can only be 100000 characters long'
+    })(body);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the folder from storage to use for permission checks
+  FoldersDAO.getFolder(folderId, (err, folder) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The author of the message needs to still be able to post messages to the folder
+    AuthzPermissions.canInteract(ctx, folder, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      MessageBoxAPI.getMessages(folderId, [messageCreatedDate], { scrubDeleted: false }, (err, messages) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!messages[0] || messages[0].deleted) {
+          return callback({ code: 404, msg: 'The specified message does not exist' });
+        }
+
+        if (messages[0].createdBy !== ctx.user().id) {
+          return callback({ code: 401, msg: 'You can only edit your own messages' });
+        }
+
+        MessageBoxAPI.updateMessageBody(folderId, messages[0].created, body, (err, message) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Get a UI-appropriate representation of the current user
+          PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+            if (err) {
+              return callback(err);
+            }
+
+            message.createdBy = createdBy;
+
+            FoldersAPI.emit(FoldersConstants.events.UPDATED_COMMENT, ctx, message, folder);
+            return callback(null, message);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get the edit history of a message in a folder
+ *
+ * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
+ * @param  {String}         folderId                    The id of the folder that holds the message
+ * @param  {String|Number}  messageCreatedDate          The timestamp of the message whose edit history to get
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ * @param  {MessageEdit[]}  callback.edits              The previous versions of the body of the message, from the oldest to the most recent edit
+ */
+const getMessageEdits = function(ctx, folderId, messageCreatedDate, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A folder id must be provided'
+    })(folderId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the folder from storage to use for permission checks
+  FoldersDAO.getFolder(folderId, (err, folder) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Ensure the current user can view the folder
+    AuthzPermissions.canView(ctx, folder, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      MessageBoxAPI.getMessages(folderId, [messageCreatedDate], null, (err, messages) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!messages[0] || messages[0].deleted) {
+          return callback({ code: 404, msg: 'The specified message does not exist' });
+        }
+
+        return MessageBoxAPI.getMessageEdits(folderId, messages[0].created, callback);
+      });
+    });
+  });
+};
+
 /**
  * Get the messages in a folder
  *
@@ -1873,6 +2217,18 @@ const _augmentFolder = function(ctx, folder) {
   return folder;
 };
 
+// Folders that have been in the trash for longer than the retention period are permanently removed
+ResourceTrash.registerResourceType('folder', { purge: _purgeFolder });
+
+// Folders can be published and expire at a scheduled date
+ResourceSchedule.registerResourceType('folder', {
+  setVisibility(ctx, folderId, visibility, callback) {
+    updateFolder(ctx, folderId, { visibility }, err => {
+      return callback(err);
+    });
+  }
+});
+
 export {
   createFolder,
   updateFolder,
@@ -1880,6 +2236,7 @@ export {
   getFolder,
   getFullFolderProfile,
   deleteFolder,
+  restoreFolder,
   getFolderMembers,
   getFolderInvitations,
   resendFolderInvitation,
@@ -1893,6 +2250,8 @@ export {
   removeFolderFromLibrary,
   getFolderContentLibrary,
   createMessage,
+  updateMessage,
+  getMessageEdits,
   deleteMessage,
   getMessages,
   FoldersAPI as emitter
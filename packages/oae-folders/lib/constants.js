@@ -30,6 +30,8 @@ FoldersConstants.events = {
   GET_FOLDER_PROFILE: 'getFolderProfile',
   GET_FOLDERS_LIBRARY: 'getFoldersLibrary',
   REMOVED_CONTENT_ITEMS: 'removedContentItems',
+  RESTORED_FOLDER: 'restoredFolder',
+  UPDATED_COMMENT: 'updatedFolderComment',
   UPDATED_FOLDER_MEMBERS: 'updatedFolderMembers',
   UPDATED_FOLDER: 'updatedFolder',
   UPDATED_FOLDER_VISIBILITY: 'updatedFolderVisibility',
@@ -50,6 +52,7 @@ FoldersConstants.activity = {
   ACTIVITY_FOLDER_UPDATE_MEMBER_ROLE: 'folder-update-member-role',
   ACTIVITY_FOLDER_UPDATE_VISIBILITY: 'folder-update-visibility',
   ACTIVITY_FOLDER_COMMENT: 'folder-comment',
+  ACTIVITY_FOLDER_COMMENT_UPDATE: 'folder-comment-update',
 
   PROP_OAE_FOLDER_ID: 'oae:folderId',
   PROP_OAE_GROUP_ID: 'oae:groupId'
@@ -22,6 +22,7 @@ import * as AuthzUtil from 'oae-authz/lib/util';
 import * as Cassandra from 'oae-util/lib/cassandra';
 import * as ContentDAO from 'oae-content/lib/internal/dao';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
 import * as TenantsAPI from 'oae-tenants';
 
 import { Folder } from 'oae-folders/lib/model';
@@ -33,11 +34,12 @@ import { Folder } from 'oae-folders/lib/model';
  * @param  {String}         displayName             The display name of the folder
  * @param  {String}         description             The description of the folder
  * @param  {String}         visibility              The visibility of the folder
+ * @param  {String[]}       tags                    The tags to apply to the folder
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {Folder}         callback.folder         The folder that was created
  */
-const createFolder = function(createdBy, displayName, description, visibility, callback) {
+const createFolder = function(createdBy, displayName, description, visibility, tags, callback) {
   const { tenantAlias } = AuthzUtil.getPrincipalFromId(createdBy);
   const folderId = _createFolderId(tenantAlias);
   const groupId = PrincipalsUtil.createGroupId(tenantAlias);
@@ -50,7 +52,8 @@ const createFolder = function(createdBy, displayName, description, visibility, c
     description,
     visibility,
     created,
-    lastModified: created
+    lastModified: created,
+    tags
   };
 
   // Create the queries to insert both the folder and the record that indexes it with its surrogate group id
@@ -87,6 +90,8 @@ const getFoldersByIds = function(folderIds, callback) {
 
     // Assemble the folders array, ensuring it is in the same order as the original ids
     const foldersById = _.chain(rows)
+      // Folders that are in the trash are treated as if they no longer exist
+      .reject(row => row.get('deleted'))
       .map(_rowToFolder)
       .indexBy('id')
       .value();
@@ -162,7 +167,55 @@ const getFolder = function(folderId, callback) {
 };
 
 /**
- * Delete a folder
+ * Get a folder that has been deleted and is in the trash
+ *
+ * @param  {String}     folderId            The id of the deleted folder to retrieve
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Folder}     callback.folder     The deleted folder object
+ */
+const getDeletedFolder = function(folderId, callback) {
+  Cassandra.runQuery('SELECT * FROM "Folders" WHERE "id" = ?', [folderId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows) || !rows[0].get('deleted')) {
+      return callback({
+        code: 404,
+        msg: util.format('A deleted folder with the id "%s" could not be found', folderId)
+      });
+    }
+
+    return callback(null, _rowToFolder(rows[0]));
+  });
+};
+
+/**
+ * Mark a folder as deleted. Deleted folders can no longer be retrieved, but their members keep their role so the
+ * folder can be restored
+ *
+ * @param  {String}     folderId            The id of the folder to mark as deleted
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const markFolderDeleted = function(folderId, callback) {
+  Cassandra.runQuery('UPDATE "Folders" SET "deleted" = ? WHERE "id" = ?', [Date.now().toString(), folderId], callback);
+};
+
+/**
+ * Restore a folder that was marked as deleted
+ *
+ * @param  {String}     folderId            The id of the folder to restore
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const restoreFolder = function(folderId, callback) {
+  Cassandra.runQuery('DELETE "deleted" FROM "Folders" WHERE "id" = ?', [folderId], callback);
+};
+
+/**
+ * Permanently delete a folder
  *
  * @param  {String}     folderId            The id of the folder to delete
  * @param  {Function}   callback            Standard callback function
@@ -308,7 +361,8 @@ const _createUpdatedFolderFromStorageHash = function(folder, updatedStorageHash)
     updatedStorageHash.visibility || folder.visibility,
     folder.created,
     updatedStorageHash.lastModified || folder.lastModified,
-    updatedStorageHash.previews || folder.previews
+    updatedStorageHash.previews || folder.previews,
+    updatedStorageHash.tags || folder.tags
   );
 };
 
@@ -343,7 +397,8 @@ const _storageHashToFolder = function(folderId, storageHash) {
     storageHash.visibility,
     storageHash.created,
     storageHash.lastModified,
-    storageHash.previews
+    storageHash.previews,
+    ResourceTags.parseTags(storageHash.tags)
   );
 };
 
@@ -365,6 +420,9 @@ export {
   updateFolder,
   deleteFolder,
   getFolder,
+  getDeletedFolder,
+  markFolderDeleted,
+  restoreFolder,
   getFoldersByGroupIds,
   getFoldersByIds,
   createFolder
@@ -227,6 +227,30 @@ FoldersAPI.emitter.when(FoldersConstants.events.DELETED_FOLDER, (ctx, folder, re
   });
 });
 
+/*!
+ * When a folder is restored from the trash, insert it back into the folder libraries of its members
+ */
+FoldersAPI.emitter.when(FoldersConstants.events.RESTORED_FOLDER, (ctx, folder, memberIds, callback) => {
+  // Keep track of the async operation
+  purgeCounter.incr();
+
+  FoldersFoldersLibrary.insert(memberIds, folder, err => {
+    if (err) {
+      log().warn(
+        {
+          err,
+          folderId: folder.id,
+          memberIds
+        },
+        'An error occurred while inserting a folder into folder libraries after restore'
+      );
+    }
+
+    purgeCounter.decr();
+    return callback();
+  });
+});
+
 /**
  * When a folder members are updated, pass the required updates to its members library as well
  * as all the folder libraries that contain the discussion
@@ -397,33 +421,65 @@ ContentAPI.emitter.on(ContentConstants.events.UPDATED_CONTENT, (ctx, newContentO
 });
 
 /*!
- * When a content item is removed, we need to remove it from the folders it's in
+ * When a content item is removed, we need to remove it from the folders it's in. The content item is removed before
+ * the deletion completes, so restoring it right after can't be undone by a removal that is still in progress
+ */
+ContentAPI.emitter.when(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj, members, callback) => {
+  _updateFoldersOfContent(contentObj, members, FoldersContentLibrary.remove, callback);
+});
+
+/*!
+ * When a content item is restored from the trash, we need to add it back to the folders it was in before the restore
+ * completes
  */
-ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj, members) => {
+ContentAPI.emitter.when(ContentConstants.events.RESTORED_CONTENT, (ctx, contentObj, members, callback) => {
+  _updateFoldersOfContent(contentObj, members, FoldersContentLibrary.insert, callback);
+});
+
+/**
+ * Remove a content item from, or add it back to, the content libraries of the folders it's in
+ *
+ * @param  {Content}    contentObj          The content item to remove or add back
+ * @param  {Object[]}   members             The members of the content item. Each member has an `id` and a `role`
+ * @param  {Function}   update              Either `FoldersContentLibrary.remove` or `FoldersContentLibrary.insert`
+ * @param  {Function}   callback            Invoked when the content libraries of all the folders have been updated
+ * @api private
+ */
+const _updateFoldersOfContent = function(contentObj, members, update, callback) {
   // Keep track of the async operation
   purgeCounter.incr();
 
-  // Get all the folder that contained this piece of content
+  // Get all the folders that contain this piece of content
   const groupIds = AuthzUtil.getGroupIds(members);
   FoldersDAO.getFoldersByGroupIds(groupIds, (err, folders) => {
     if (err) {
+      log().error({ err, contentId: contentObj.id }, 'Unable to update the folders of a content item');
       purgeCounter.decr();
-      log().error({ err, contentId: contentObj.id }, 'Unable to remove content from a folder');
-      return;
+      return callback();
+    }
+
+    const done = _.after(folders.length, () => {
+      purgeCounter.decr();
+      return callback();
+    });
+    if (_.isEmpty(folders)) {
+      return done();
     }
 
-    // Remove the piece of content from each folder
     _.each(folders, folder => {
-      purgeCounter.incr();
+      update(folder, [contentObj], err => {
+        if (err) {
+          log().error(
+            { err, folderId: folder.id, contentId: contentObj.id },
+            "Unable to update a folder's content library"
+          );
+        }
 
-      FoldersContentLibrary.remove(folder, [contentObj], () => {
-        purgeCounter.decr();
+        return done();
       });
     });
-
-    purgeCounter.decr();
   });
-});
+};
 
 /**
  * Get all members of the specified group id
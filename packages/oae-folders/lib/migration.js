@@ -14,7 +14,18 @@ const ensureSchema = function(callback) {
         'CREATE TABLE "Folders" ("id" text PRIMARY KEY, "tenantAlias" text, "groupId" text, "displayName" text, "visibility" text, "description" text, "createdBy" text, "created" bigint, "lastModified" bigint, "previews" text)',
       FoldersGroupId: 'CREATE TABLE "FoldersGroupId" ("groupId" text PRIMARY KEY, "folderId" text)'
     },
-    callback
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Adding a column that already exists fails, which can safely be ignored
+      Cassandra.runQuery('ALTER TABLE "Folders" ADD "tags" text;', [], () => {
+        Cassandra.runQuery('ALTER TABLE "Folders" ADD "deleted" text;', [], () => {
+          callback();
+        });
+      });
+    }
   );
 };
 
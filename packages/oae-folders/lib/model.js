@@ -30,6 +30,7 @@ import * as AuthzUtil from 'oae-authz/lib/util';
  * @param  {Number}     created         The timestamp (millis since epoch) that the folder was created
  * @param  {Number}     lastModified    The timestamp (millis since epoch) that the folder was last modified
  * @param  {Object}     previews        The previews object for this folder
+ * @param  {String[]}   [tags]          The tags that have been applied to the folder
  */
 const Folder = function(
   tenant,
@@ -41,7 +42,8 @@ const Folder = function(
   visibility,
   created,
   lastModified,
-  previews
+  previews,
+  tags
 ) {
   const { resourceId } = AuthzUtil.getResourceFromId(id);
   const that = {};
@@ -55,6 +57,7 @@ const Folder = function(
   that.created = created;
   that.lastModified = lastModified;
   that.previews = previews;
+  that.tags = tags || [];
   that.profilePath = util.format('/folder/%s/%s', tenant.alias, resourceId);
   that.resourceType = 'folder';
   return that;
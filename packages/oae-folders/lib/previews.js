@@ -103,9 +103,10 @@ ContentAPI.emitter.on(ContentConstants.events.UPDATED_CONTENT_PREVIEW, content =
 });
 
 /*!
- * If a piece of content is removed from the system we need to regenerate previews for the folders it was located in
+ * If a piece of content is removed from the system or restored from the trash we need to regenerate previews for the
+ * folders it was located in
  */
-ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj, members) => {
+const _reprocessFoldersOfMembers = function(ctx, contentObj, members) {
   previewCounter.incr();
 
   const groupIds = AuthzUtil.getGroupIds(members);
@@ -113,7 +114,7 @@ ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj,
     if (err) {
       log().error(
         { err, contentId: contentObj.id },
-        'Unable to regenerate folder preview after removing a piece of content'
+        'Unable to regenerate folder preview after removing or restoring a piece of content'
       );
       return;
     }
@@ -125,7 +126,10 @@ ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, (ctx, contentObj,
 
     previewCounter.decr();
   });
-});
+};
+
+ContentAPI.emitter.on(ContentConstants.events.DELETED_CONTENT, _reprocessFoldersOfMembers);
+ContentAPI.emitter.on(ContentConstants.events.RESTORED_CONTENT, _reprocessFoldersOfMembers);
 
 /*!
  * If a content item's visibility setting changes we need to regenerate the preview items for those folders that contain the content item
@@ -34,12 +34,19 @@ import * as FoldersAPI from 'oae-folders';
  * @FormParam   {string}            [visibility]        The visibility of the folder. Defaults to the configured tenant default     [loggedin,private,public]
  * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the folder. The user creating the folder will be added as a manager automatically
  * @FormParam   {string[]}          [viewers]           Unique identifier(s) for users and groups to add as viewers of the folder
+ * @FormParam   {string[]}          [tags]              The tags to apply to the folder
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the folder becomes private
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the folder gets its visibility. The folder is private until then
  * @Return      {BasicFolder}                           The created folder
  * @HttpResponse                    201                 The folder was created
  * @HttpResponse                    400                 A display name must be provided and can be at most 1000 characters long
  * @HttpResponse                    400                 A description can be at most 10000 characters long
  * @HttpResponse                    400                 An invalid visibility was provided
  * @HttpResponse                    400                 One or more of the members you're trying to add can not be added due to tenant/visibility boundaries
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 Anonymous users cannot create folders
  */
 OAE.tenantRouter.on('post', '/api/folder', (req, res) => {
@@ -65,6 +72,8 @@ OAE.tenantRouter.on('post', '/api/folder', (req, res) => {
     req.body.description,
     req.body.visibility,
     roles,
+    OaeUtil.toArray(req.body.tags),
+    _.pick(req.body, 'publishAt', 'expireAt'),
     (err, folder) => {
       if (err) {
         return res.status(err.code).send(err.msg);
@@ -132,13 +141,20 @@ OAE.tenantRouter.on('get', '/api/folder/:folderId', (req, res) => {
  * @PathParam   {string}            folderId            The id of the folder to update
  * @FormParam   {string}            [description]       Updated description for the folder
  * @FormParam   {string}            [displayName]       Updated display name for the folder
+ * @FormParam   {number}            [expireAt]          The timestamp in milliseconds at which the folder becomes private. An empty value clears the expiry date
+ * @FormParam   {number}            [publishAt]         The timestamp in milliseconds at which the folder gets its visibility. The folder is private until then. An empty value clears the publication date
  * @FormParam   {string}            [visibility]        Updated visibility for the folder           [loggedin,private,public]
+ * @FormParam   {string[]}          [tags]              Updated tags for the folder
  * @Return      {Folder}                                Full folder profile
  * @HttpResponse                    200                 The folder is updated and its full profile is returned
  * @HttpResponse                    400                 An invalid folder id was provided
  * @HttpResponse                    400                 An invalid display name was provided
  * @HttpResponse                    400                 An invalid description was provided
  * @HttpResponse                    400                 An invalid visibility was provided
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
+ * @HttpResponse                    400                 publishAt should be a date in the future
+ * @HttpResponse                    400                 A resource should expire after it has been published
+ * @HttpResponse                    400                 A resource can only be scheduled for publication with a loggedin or public visibility
  * @HttpResponse                    401                 You're not allowed to update this folder
  */
 OAE.tenantRouter.on('post', '/api/folder/:folderId', (req, res) => {
@@ -206,6 +222,31 @@ OAE.tenantRouter.on('delete', '/api/folder/:folderId', (req, res) => {
   });
 });
 
+/**
+ * @REST postFolderFolderIdRestore
+ *
+ * Restore a folder from the trash
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /folder/{folderId}/restore
+ * @PathParam   {string}            folderId            The id of the folder to restore
+ * @Return      {Folder}                                The restored folder
+ * @HttpResponse                    200                 The folder has been restored
+ * @HttpResponse                    400                 An invalid folder id has been specified
+ * @HttpResponse                    401                 You're not allowed to restore this folder
+ * @HttpResponse                    404                 The folder is not in the trash
+ */
+OAE.tenantRouter.on('post', '/api/folder/:folderId/restore', (req, res) => {
+  FoldersAPI.restoreFolder(req.ctx, req.params.folderId, (err, folder) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(folder);
+  });
+});
+
 /**
  * @REST postFolderFolderIdShare
  *
@@ -579,3 +620,63 @@ OAE.tenantRouter.on('delete', '/api/folder/:folderId/messages/:created', (req, r
     return res.status(200).send(message);
   });
 });
+
+/**
+ * @REST putFolderFolderIdMessagesCreated
+ *
+ * Edit the body of a message in a folder
+ *
+ * @Server      tenant
+ * @Method      PUT
+ * @Path        /folder/{folderId}/messages/{created}
+ * @PathParam   {string}                folderId            The id of the folder that holds the message
+ * @PathParam   {number}                created             The timestamp of the message that should be edited
+ * @FormParam   {string}                body                The new body of the message
+ * @Return      {Message}                                   The updated message
+ * @HttpResponse                        200                 Folder message updated
+ * @HttpResponse                        400                 A folder id must be provided
+ * @HttpResponse                        400                 A message body can only be 100000 characters long
+ * @HttpResponse                        400                 A message body must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 Only authenticated users can edit messages
+ * @HttpResponse                        401                 You can only edit your own messages
+ * @HttpResponse                        404                 Could not find the specified folder
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('put', '/api/folder/:folderId/messages/:created', (req, res) => {
+  FoldersAPI.updateMessage(req.ctx, req.params.folderId, req.params.created, req.body.body, (err, message) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(message);
+  });
+});
+
+/**
+ * @REST getFolderFolderIdMessagesCreatedEdits
+ *
+ * Get the edit history of a message in a folder
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /folder/{folderId}/messages/{created}/edits
+ * @PathParam   {string}                folderId            The id of the folder that holds the message
+ * @PathParam   {number}                created             The timestamp of the message whose edit history to get
+ * @Return      {MessageEdit[]}                             The previous versions of the body of the message, from the oldest to the most recent edit
+ * @HttpResponse                        200                 Edit history available
+ * @HttpResponse                        400                 A folder id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 You are not authorized to view this folder
+ * @HttpResponse                        404                 Could not find the specified folder
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('get', '/api/folder/:folderId/messages/:created/edits', (req, res) => {
+  FoldersAPI.getMessageEdits(req.ctx, req.params.folderId, req.params.created, (err, edits) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(edits);
+  });
+});
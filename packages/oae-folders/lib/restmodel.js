@@ -25,6 +25,7 @@
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the folder was last modified
  * @Property    {string}                profilePath         The relative path to the folder profile
  * @Property    {string}                resourceType        The resource type of the folder     [folder]
+ * @Property    {string[]}              tags                The tags that have been applied to the folder
  * @Property    {BasicTenant}           tenant              The tenant to which this folder is associated
  * @Property    {string}                visibility          The visibility of the folder        [loggedin,private,public]
  */
@@ -40,11 +41,15 @@
  * @Property    {BasicUser}             createdBy           The user who created the folder
  * @Property    {string}                description         A longer description for the folder
  * @Property    {string}                displayName         The display name of the folder
+ * @Property    {number}                expireAt            The timestamp (millis since epoch) at which the folder becomes private. Only available to managers
  * @Property    {string}                id                  The id of the folder
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the folder was last modified (or received the last message)
  * @Property    {Previews}              previews            The thumbnails for the folder
  * @Property    {string}                profilePath         The relative path to the folder profile
+ * @Property    {number}                publishAt           The timestamp (millis since epoch) at which the folder gets its publication visibility. Only available to managers
+ * @Property    {string}                publishVisibility   The visibility the folder gets when it is published     [loggedin,public]
  * @Property    {string}                resourceType        The resource type of the folder     [folder]
+ * @Property    {string[]}              tags                The tags that have been applied to the folder
  * @Property    {BasicTenant}           tenant              The tenant to which this folder is associated
  * @Property    {string}                visibility          The visibility of the folder        [loggedin,private,public]
  */
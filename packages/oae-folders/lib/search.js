@@ -87,6 +87,16 @@ FoldersAPI.emitter.on(FoldersConstants.events.DELETED_FOLDER, (ctx, folder) => {
   SearchAPI.postDeleteTask(folder.groupId);
 });
 
+/*!
+ * When a folder is restored from the trash we index it again
+ */
+FoldersAPI.emitter.on(FoldersConstants.events.RESTORED_FOLDER, (ctx, folder) => {
+  SearchAPI.postIndexTask('folder', [{ id: folder.groupId, folderId: folder.id }], {
+    resource: true,
+    children: true
+  });
+});
+
 /*!
  * When the previews for a folder are updated we reindex its metadata
  */
@@ -154,9 +164,9 @@ FoldersAPI.emitter.on(FoldersConstants.events.ADDED_CONTENT_ITEMS, (ctx, actionC
 FoldersAPI.emitter.on(FoldersConstants.events.REMOVED_CONTENT_ITEMS, _indexContentResourceMembers);
 
 /*!
- * When a message is added to a folder, we must index the child message document
+ * When a message is added to a folder or edited, we must (re)index the child message document
  */
-FoldersAPI.emitter.on(FoldersConstants.events.CREATED_COMMENT, (ctx, message, folder) => {
+const _indexFolderMessage = function(ctx, message, folder) {
   const resource = {
     id: folder.groupId,
     messages: [message]
@@ -167,7 +177,10 @@ FoldersAPI.emitter.on(FoldersConstants.events.CREATED_COMMENT, (ctx, message, fo
       folder_message: true
     }
   });
-});
+};
+
+FoldersAPI.emitter.on(FoldersConstants.events.CREATED_COMMENT, _indexFolderMessage);
+FoldersAPI.emitter.on(FoldersConstants.events.UPDATED_COMMENT, _indexFolderMessage);
 
 /*!
  * When a folder message is deleted, we must delete the child message document
@@ -276,8 +289,10 @@ const _produceFolderSearchDocument = function(folder) {
     dateCreated: folder.created,
     lastModified: folder.lastModified,
     createdBy: folder.createdBy,
+    tags: folder.tags,
     _extra: {
-      folderId: folder.id
+      folderId: folder.id,
+      tags: folder.tags
     }
   };
 
@@ -325,6 +340,9 @@ const _transformFolderDocuments = function(ctx, docs, callback) {
       result[name] = _.first(value);
     });
 
+    // Take just the `tags` from the extra fields, if specified
+    _.extend(result, _.pick(extra, 'tags'));
+
     // Add the full tenant object and profile path
     _.extend(result, {
       tenant: TenantsAPI.getTenant(result.tenantAlias).compact(),
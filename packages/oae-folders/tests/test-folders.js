@@ -24,7 +24,9 @@ import * as AuthzTestUtil from 'oae-authz/lib/test/util';
 import * as ConfigTestUtil from 'oae-config/lib/test/util';
 import * as ContentTestUtil from 'oae-content/lib/test/util';
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
 import * as FoldersContentLibrary from 'oae-folders/lib/internal/contentLibrary';
 import * as FoldersFolderLibrary from 'oae-folders/lib/internal/foldersLibrary';
 import * as FoldersLibrary from 'oae-folders/lib/library';
@@ -1294,6 +1296,120 @@ describe('Folders', () => {
     });
   });
 
+  describe('Scheduled publication', () => {
+    /**
+     * Create a folder through the REST API with a publication and expiry date
+     *
+     * @param  {RestContext}    restContext         The context of the user who creates the folder
+     * @param  {String}         visibility          The visibility of the folder
+     * @param  {Object}         schedule            The `publishAt` and `expireAt` timestamps of the folder
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Folder}         callback.folder     The created folder
+     */
+    const _createScheduledFolder = function(restContext, visibility, schedule, callback) {
+      const params = _.extend({ displayName: 'Scheduled', description: 'A scheduled folder', visibility }, schedule);
+      RestUtil.performRestRequest(restContext, '/api/folder', 'POST', params, callback);
+    };
+
+    /**
+     * Test that verifies a folder that is created with a schedule is private until it is published and becomes
+     * private again once it expires, even when the user who scheduled it no longer manages it
+     */
+    it('verify folders are published and expire at the scheduled dates', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, mrvisser, stuartf) => {
+        assert.ok(!err);
+
+        const publishAt = Date.now() + 1000;
+        const expireAt = publishAt + 1000;
+        _createScheduledFolder(mrvisser.restContext, 'public', { publishAt, expireAt }, (err, folder) => {
+          assert.ok(!err);
+          assert.strictEqual(folder.visibility, 'private');
+          assert.strictEqual(folder.publishAt, publishAt);
+          assert.strictEqual(folder.publishVisibility, 'public');
+          assert.strictEqual(folder.expireAt, expireAt);
+
+          // The user who scheduled the publication hands the folder over to someone else
+          const permissionChanges = _.object([
+            [stuartf.user.id, 'manager'],
+            [mrvisser.user.id, false]
+          ]);
+          RestAPI.Folders.updateFolderMembers(mrvisser.restContext, folder.id, permissionChanges, err => {
+            assert.ok(!err);
+
+            FoldersTestUtil.assertGetFolderFails(camAnonymousRestContext, folder.id, 401, () => {
+              // Apply the visibility change once the publication date has passed
+              setTimeout(() => {
+                ResourceSchedule.applyScheduledChanges(err => {
+                  assert.ok(!err);
+                  FoldersTestUtil.assertGetFolderSucceeds(camAnonymousRestContext, folder.id, publishedFolder => {
+                    assert.strictEqual(publishedFolder.visibility, 'public');
+
+                    // The folder becomes private again once it expires
+                    setTimeout(() => {
+                      ResourceSchedule.applyScheduledChanges(err => {
+                        assert.ok(!err);
+                        FoldersTestUtil.assertGetFolderFails(camAnonymousRestContext, folder.id, 401, () => {
+                          FoldersTestUtil.assertGetFolderSucceeds(stuartf.restContext, folder.id, expiredFolder => {
+                            assert.strictEqual(expiredFolder.visibility, 'private');
+                            assert.ok(!expiredFolder.publishAt);
+                            assert.ok(!expiredFolder.expireAt);
+                            return callback();
+                          });
+                        });
+                      });
+                    }, expireAt - Date.now() + 100);
+                  });
+                });
+              }, publishAt - Date.now() + 100);
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies the validation of the publication and expiry dates of a folder that is created
+     */
+    it('verify scheduling validation when creating a folder', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, mrvisser) => {
+        assert.ok(!err);
+
+        const inAnHour = Date.now() + 60 * 60 * 1000;
+        _createScheduledFolder(mrvisser.restContext, 'public', { publishAt: 'tomorrow' }, err => {
+          assert.strictEqual(err.code, 400);
+          _createScheduledFolder(mrvisser.restContext, 'public', { publishAt: Date.now() - 1000 }, err => {
+            assert.strictEqual(err.code, 400);
+
+            // A folder should expire after it has been published
+            _createScheduledFolder(
+              mrvisser.restContext,
+              'public',
+              { publishAt: inAnHour, expireAt: inAnHour - 1000 },
+              err => {
+                assert.strictEqual(err.code, 400);
+
+                // A private folder can't be published
+                _createScheduledFolder(mrvisser.restContext, 'private', { publishAt: inAnHour }, err => {
+                  assert.strictEqual(err.code, 400);
+
+                  // A folder that only expires keeps its visibility until then
+                  _createScheduledFolder(mrvisser.restContext, 'loggedin', { expireAt: inAnHour }, (err, folder) => {
+                    assert.ok(!err);
+                    assert.strictEqual(folder.visibility, 'loggedin');
+                    assert.strictEqual(folder.expireAt, inAnHour);
+                    assert.ok(!folder.publishAt);
+                    return callback();
+                  });
+                });
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
   describe('Get Folder', () => {
     /**
      * Test that verifies validation of getting a folder
@@ -1746,6 +1862,98 @@ describe('Folders', () => {
       });
     });
 
+    /**
+     * Test that verifies that a deleted folder can be restored by its managers, which adds its content items back to it
+     */
+    it('verify restore folder adds the folder authz group back to the content items', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        const restoreFolder = function(restContext, folderId, callback) {
+          RestUtil.performRestRequest(
+            restContext,
+            '/api/folder/' + encodeURIComponent(folderId) + '/restore',
+            'POST',
+            null,
+            callback
+          );
+        };
+
+        FoldersTestUtil.generateTestFolders(simong.restContext, 1, folder => {
+          ContentTestUtil.generateTestLinks(simong.restContext, 5, function(...args) {
+            const contentIds = _.pluck(args, 'id');
+            FoldersTestUtil.assertAddContentItemsToFolderSucceeds(simong.restContext, folder.id, contentIds, () => {
+              FoldersTestUtil.assertDeleteFolderSucceeds(simong.restContext, folder.id, false, () => {
+                FoldersTestUtil.assertGetFolderFails(simong.restContext, folder.id, 404, () => {
+                  // Only managers of the folder can restore it
+                  restoreFolder(nico.restContext, folder.id, err => {
+                    assert.strictEqual(err.code, 401);
+                    restoreFolder(simong.restContext, folder.id, (err, restoredFolder) => {
+                      assert.ok(!err);
+                      assert.strictEqual(restoredFolder.id, folder.id);
+
+                      // The folder is accessible again and is an authz member of its content items again
+                      FoldersTestUtil.assertGetFolderSucceeds(simong.restContext, folder.id, () => {
+                        checkContentMembers(contentIds, [simong.user.id, folder.groupId], () => {
+                          // A folder that is not in the trash can't be restored
+                          restoreFolder(simong.restContext, folder.id, err => {
+                            assert.strictEqual(err.code, 404);
+                            return callback();
+                          });
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies that a content item that is restored from the trash is back in the folders it was in as soon
+     * as it has been restored
+     */
+    it('verify restoring a content item adds it back to its folders', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, simong) => {
+        assert.ok(!err);
+
+        FoldersTestUtil.generateTestFolders(simong.restContext, 2, (folder1, folder2) => {
+          ContentTestUtil.generateTestLinks(simong.restContext, 2, (link1, link2) => {
+            const contentIds = [link1.id, link2.id];
+            FoldersTestUtil.assertAddContentItemsToFolderSucceeds(simong.restContext, folder1.id, contentIds, () => {
+              FoldersTestUtil.assertAddContentItemsToFolderSucceeds(simong.restContext, folder2.id, [link1.id], () => {
+                // The deleted content item is no longer in any of its folders
+                RestAPI.Content.deleteContent(simong.restContext, link1.id, err => {
+                  assert.ok(!err);
+                  FoldersTestUtil.assertFolderEquals(simong.restContext, folder1.id, [link2.id], () => {
+                    FoldersTestUtil.assertFolderEquals(simong.restContext, folder2.id, [], () => {
+                      RestUtil.performRestRequest(
+                        simong.restContext,
+                        '/api/content/' + encodeURIComponent(link1.id) + '/restore',
+                        'POST',
+                        null,
+                        err => {
+                          assert.ok(!err);
+
+                          // The restored content item is back in both folders
+                          FoldersTestUtil.assertFolderEquals(simong.restContext, folder1.id, contentIds, () => {
+                            FoldersTestUtil.assertFolderEquals(simong.restContext, folder2.id, [link1.id], callback);
+                          });
+                        }
+                      );
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
     /**
      * Test that verifies that the delete folder operation can remove content items
      */
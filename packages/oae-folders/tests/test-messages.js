@@ -19,6 +19,7 @@ import path from 'path';
 import _ from 'underscore';
 
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
 import * as FoldersDAO from 'oae-folders/lib/internal/dao';
 import * as FoldersTestUtil from 'oae-folders/lib/test/util';
@@ -937,4 +938,107 @@ describe('Folders', () => {
       });
     });
   });
+
+  describe('Editing messages', () => {
+    /**
+     * Edit the body of a message in a folder through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user editing the message
+     * @param  {String}         folderId            The id of the folder that holds the message
+     * @param  {String}         created             The timestamp of the message to edit
+     * @param  {String}         body                The new body of the message
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Message}        callback.message    The updated message
+     */
+    const _updateMessage = function(restContext, folderId, created, body, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/folder/' + encodeURIComponent(folderId) + '/messages/' + encodeURIComponent(created),
+        'PUT',
+        { body },
+        callback
+      );
+    };
+
+    /**
+     * Get the edit history of a message in a folder through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the current user
+     * @param  {String}         folderId            The id of the folder that holds the message
+     * @param  {String}         created             The timestamp of the message
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {MessageEdit[]}  callback.edits      The edit history of the message
+     */
+    const _getMessageEdits = function(restContext, folderId, created, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/folder/' + encodeURIComponent(folderId) + '/messages/' + encodeURIComponent(created) + '/edits',
+        'GET',
+        null,
+        callback
+      );
+    };
+
+    /**
+     * Test that verifies a user can edit their own messages and that the previous bodies are kept in the edit history
+     */
+    it('verify editing messages, edit history and permissions', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simong, nico) => {
+        assert.ok(!err);
+
+        FoldersTestUtil.assertCreateFolderSucceeds(
+          simong.restContext,
+          'test displayName',
+          'test description',
+          'public',
+          [],
+          [],
+          folder => {
+            FoldersTestUtil.assertCreateMessageSucceeds(simong.restContext, folder.id, 'alfa', null, message => {
+              // An empty body is not allowed
+              _updateMessage(simong.restContext, folder.id, message.created, '', err => {
+                assert.strictEqual(err.code, 400);
+
+                // An unknown message can't be edited
+                _updateMessage(simong.restContext, folder.id, Date.now() - 1000, 'beta', err => {
+                  assert.strictEqual(err.code, 404);
+
+                  // Only the author can edit a message
+                  _updateMessage(nico.restContext, folder.id, message.created, 'beta', err => {
+                    assert.strictEqual(err.code, 401);
+
+                    _updateMessage(simong.restContext, folder.id, message.created, 'beta', (err, updatedMessage) => {
+                      assert.ok(!err);
+                      assert.strictEqual(updatedMessage.id, message.id);
+                      assert.strictEqual(updatedMessage.body, 'beta');
+                      assert.strictEqual(updatedMessage.createdBy.id, simong.user.id);
+                      assert.ok(updatedMessage.edited);
+
+                      // The edited message is marked as such in the message list
+                      FoldersTestUtil.assertGetMessagesSucceeds(simong.restContext, folder.id, null, 10, messages => {
+                        assert.strictEqual(messages.results.length, 1);
+                        assert.strictEqual(messages.results[0].body, 'beta');
+                        assert.strictEqual(messages.results[0].edited, updatedMessage.edited);
+
+                        // Anyone who can see the folder can see the edit history
+                        _getMessageEdits(nico.restContext, folder.id, message.created, (err, edits) => {
+                          assert.ok(!err);
+                          assert.strictEqual(edits.length, 1);
+                          assert.strictEqual(edits[0].body, 'alfa');
+                          assert.strictEqual(edits[0].edited, updatedMessage.edited);
+                          return callback();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
 });
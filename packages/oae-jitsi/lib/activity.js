@@ -20,6 +20,7 @@ import * as ActivityAPI from 'oae-activity';
 import * as ActivityModel from 'oae-activity/lib/model';
 import * as ActivityUtil from 'oae-activity/lib/util';
 import * as AuthzUtil from 'oae-authz/lib/util';
+import * as MessageBoxActivity from 'oae-messagebox/lib/activity';
 import * as MessageBoxAPI from 'oae-messagebox';
 import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
@@ -332,7 +333,8 @@ ActivityAPI.registerActivityType(MeetingsConstants.activity.ACTIVITY_MEETING_MES
 });
 
 /**
- * Post a meeting-jitsi-message activity when an user comments on a meeting
+ * Post a meeting-jitsi-message activity when an user comments on a meeting, and a mention activity for each
+ * user that is mentioned in the message
  */
 MeetingsAPI.emitter.on(MeetingsConstants.events.CREATED_MEETING_MESSAGE, (ctx, message, meeting) => {
   const millis = Date.now();
@@ -355,6 +357,110 @@ MeetingsAPI.emitter.on(MeetingsConstants.events.CREATED_MEETING_MESSAGE, (ctx, m
     targetResource
   );
 
+  ActivityAPI.postActivity(ctx, activitySeed);
+  MessageBoxActivity.postMentionActivities(ctx, message, objectResource);
+});
+
+/// /////////////////////////
+// MEETING-MESSAGE-UPDATE //
+/// /////////////////////////
+
+ActivityAPI.registerActivityType(MeetingsConstants.activity.ACTIVITY_MEETING_MESSAGE_UPDATE, {
+  groupBy: [{ target: true }],
+  streams: {
+    activity: {
+      router: {
+        actor: ['self']
+      }
+    },
+    message: {
+      transient: true,
+      router: {
+        // Route the activity to the meeting so the edit shows up for anyone viewing it
+        target: ['self']
+      }
+    }
+  }
+});
+
+/**
+ * Post a meeting-jitsi-message-update activity when an user edits their message in a meeting
+ */
+MeetingsAPI.emitter.on(MeetingsConstants.events.UPDATED_MEETING_MESSAGE, (ctx, message, meeting) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+  const objectResource = new ActivityModel.ActivitySeedResource('meeting-jitsi-message', message.id, {
+    meetingId: meeting.id,
+    message
+  });
+  const targetResource = new ActivityModel.ActivitySeedResource('meeting-jitsi', meeting.id, {
+    'meeting-jitsi': meeting
+  });
+  const activitySeed = new ActivityModel.ActivitySeed(
+    MeetingsConstants.activity.ACTIVITY_MEETING_MESSAGE_UPDATE,
+    millis,
+    ActivityConstants.verbs.UPDATE,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+
+  ActivityAPI.postActivity(ctx, activitySeed);
+});
+
+/// ///////////////////
+// MEETING-REACTION //
+/// ///////////////////
+
+ActivityAPI.registerActivityType(MeetingsConstants.activity.ACTIVITY_MEETING_REACTION, {
+  // "Branden Visser and 3 others reacted to your meeting"
+  groupBy: [{ object: true, target: true }],
+  streams: {
+    notification: {
+      router: {
+        // Notify the author of the meeting or message that was reacted to
+        target: ['self']
+      }
+    }
+  }
+});
+
+/**
+ * Post a meeting-jitsi-reaction activity when an user reacts to a meeting or one of its messages
+ */
+MeetingsAPI.emitter.on(MeetingsConstants.events.ADDED_MEETING_REACTION, (ctx, meeting, message /* reaction */) => {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+
+  let objectResource = null;
+  let authorId = null;
+  if (message) {
+    objectResource = new ActivityModel.ActivitySeedResource('meeting-jitsi-message', message.id, {
+      meetingId: meeting.id,
+      message
+    });
+    authorId = message.createdBy.id;
+  } else {
+    objectResource = new ActivityModel.ActivitySeedResource('meeting-jitsi', meeting.id, {
+      'meeting-jitsi': meeting
+    });
+    authorId = meeting.createdBy;
+  }
+
+  const targetResource = new ActivityModel.ActivitySeedResource('user', authorId);
+  const activitySeed = new ActivityModel.ActivitySeed(
+    MeetingsConstants.activity.ACTIVITY_MEETING_REACTION,
+    millis,
+    ActivityConstants.verbs.REACT,
+    actorResource,
+    objectResource,
+    targetResource
+  );
+
   ActivityAPI.postActivity(ctx, activitySeed);
 });
 
@@ -538,6 +644,7 @@ ActivityAPI.registerActivityEntityType('meeting-jitsi', {
     activitystreams: _meetingTransformer,
     internal: _meetingInternalTransformer
   },
+  activityStreams2Type: 'Event',
   propagation(associationsCtx, entity, callback) {
     ActivityUtil.getStandardResourcePropagation(
       entity['meeting-jitsi'].visibility,
@@ -553,6 +660,7 @@ ActivityAPI.registerActivityEntityType('meeting-jitsi-message', {
     activitystreams: _meetingMessageTransformer,
     internal: _meetingMessageInternalTransformer
   },
+  activityStreams2Type: 'Note',
   propagation(associationsCtx, entity, callback) {
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
   }
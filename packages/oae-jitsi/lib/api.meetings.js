@@ -3,12 +3,17 @@ import _ from 'underscore';
 import * as AuthzAPI from 'oae-authz';
 import * as AuthzInvitations from 'oae-authz/lib/invitations';
 import * as AuthzPermissions from 'oae-authz/lib/permissions';
+import * as AuthzUtil from 'oae-authz/lib/util';
 import * as LibraryAPI from 'oae-library';
 import * as MessageBoxAPI from 'oae-messagebox';
+import * as MessageBoxUtil from 'oae-messagebox/lib/util';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
 import * as ResourceActions from 'oae-resource/lib/actions';
+import * as ResourceReactions from 'oae-resource/lib/reactions';
+import * as ResourceTags from 'oae-resource/lib/tags';
+import * as ResourceTrash from 'oae-resource/lib/trash';
 import * as Signature from 'oae-util/lib/signature';
 import { setUpConfig } from 'oae-config';
 import * as MeetingsAPI from 'oae-jitsi';
@@ -62,6 +67,7 @@ const FALSE = 'false';
  * @param {Boolean}    [contactList]           A boolean declaring whether or not Jitsi contact list should be enabled
  * @param {String}     [visibility]            The visibility of the meeting. One of `public`, `loggedin`, `private`
  * @param {Object}     [additionalMembers]     Object where the keys represent principal ids that need to be added to the meeting upon creation and the values represent the role that principal will have. Possible values are "viewer" and "manager"
+ * @param {String[]}   [tags]                  The tags to apply to the meeting
  * @param {Function}   callback                Standard callback function
  * @param {Object}     callback.err            An error that occurred, if any
  * @param {Meeting}    callback.meeting        The created meeting
@@ -74,9 +80,11 @@ const createMeeting = function(
   contactList,
   visibility,
   additionalMembers,
+  tags,
   callback
 ) {
   callback = callback || function() {};
+  tags = ResourceTags.sanitizeTags(tags);
 
   // Setting content to default if no visibility setting is provided
   visibility = visibility || Config.getValue(ctx.tenant().alias, 'visibility', 'meeting');
@@ -122,6 +130,8 @@ const createMeeting = function(
         msg: 'The role: ' + role + ' is not a valid member role for a meeting'
       })(role, MeetingsConstants.roles.ALL_PRIORITY);
     }, additionalMembers);
+
+    ResourceTags.validateTags(ctx.tenant().alias, tags);
   } catch (error) {
     return callback(error);
   }
@@ -136,7 +146,8 @@ const createMeeting = function(
     description,
     chat,
     contactList,
-    visibility
+    visibility,
+    tags
   );
   ResourceActions.create(ctx, additionalMembers, createFn, (err, meeting, memberChangeInfo) => {
     if (err) {
@@ -213,8 +224,15 @@ const getFullMeetingProfile = function(ctx, meetingId, callback) {
           meeting.createdBy = creator;
         }
 
-        MeetingsAPI.emitter.emit(MeetingsConstants.events.GET_MEETING_PROFILE, ctx, meeting);
-        return callback(null, meeting);
+        // Add the reactions on the meeting
+        ResourceReactions.augmentWithReactions(ctx, [meeting], err => {
+          if (err) {
+            return callback(err);
+          }
+
+          MeetingsAPI.emitter.emit(MeetingsConstants.events.GET_MEETING_PROFILE, ctx, meeting);
+          return callback(null, meeting);
+        });
       });
     });
   });
@@ -337,7 +355,7 @@ const getMeetingMembers = function(ctx, meetingId, start, limit, callback) {
  *
  * @param  {Context}   ctx                 Standard context object containing the current user and the current tenant
  * @param  {String}    meetingId           The ID of the meeting
- * @param  {Object}    profileFields       An object whose keys are profile field names, and the value is the value to which you wish the field to change. Keys must be one of: displayName, visibility, discription
+ * @param  {Object}    profileFields       An object whose keys are profile field names, and the value is the value to which you wish the field to change. Keys must be one of: displayName, visibility, discription, chat, contactList, tags
  * @param  {Function}  callback            Standard callback function
  */
 const updateMeeting = function(ctx, meetingId, profileFields, callback) {
@@ -351,6 +369,7 @@ const updateMeeting = function(ctx, meetingId, profileFields, callback) {
   const CONTACT_LIST = 'contactList';
   if (isDefined(CHAT)) profileFields.chat = _convertToBoolean(getAttribute([CHAT]));
   if (isDefined(CONTACT_LIST)) profileFields.contactList = _convertToBoolean(getAttribute([CONTACT_LIST]));
+  if (_.has(profileFields, 'tags')) profileFields.tags = ResourceTags.sanitizeTags(profileFields.tags);
 
   try {
     unless(isResourceId, {
@@ -380,6 +399,7 @@ const updateMeeting = function(ctx, meetingId, profileFields, callback) {
       const DESCRIPTION = 'description';
       const CHAT = 'chat';
       const CONTACT_LIST = 'contactList';
+      const TAGS = 'tags';
       const ifFieldIs = attr => equals(field, attr);
 
       unless(bothCheck(ifFieldIs(VISIBILITY), isIn), {
@@ -411,6 +431,10 @@ const updateMeeting = function(ctx, meetingId, profileFields, callback) {
         code: 400,
         msg: 'An invalid contactList value was specified, must be boolean'
       })(value);
+
+      if (ifFieldIs(TAGS)) {
+        ResourceTags.validateTags(AuthzUtil.getResourceFromId(meetingId).tenantAlias, value);
+      }
     }, profileFields);
   } catch (error) {
     return callback(error);
@@ -449,7 +473,8 @@ const updateMeeting = function(ctx, meetingId, profileFields, callback) {
 };
 
 /**
- * Delete the specified meeting
+ * Delete the specified meeting. The meeting is put in the trash, from which its managers can restore it until it is
+ * permanently removed
  *
  * @param {Context}     ctx                 Standard context object containing the current user and the current tenant
  * @param {String}      meetingId           The id of the meeting to delete
@@ -486,20 +511,18 @@ const deleteMeeting = function(ctx, meetingId, callback) {
           return callback(err);
         }
 
-        const roleChanges = {};
         const memberIds = _.pluck(members, 'id');
-        _.each(memberIds, memberId => {
-          roleChanges[memberId] = false;
-        });
-
-        // Remove the meeting members
-        AuthzAPI.updateRoles(meeting.id, roleChanges, err => {
+        const managerIds = _.chain(members)
+          .where({ role: MeetingsConstants.roles.MANAGER })
+          .pluck('id')
+          .value();
+        ResourceTrash.addToTrash(ctx, meeting, managerIds, null, err => {
           if (err) {
             return callback(err);
           }
 
-          // Delete the meeting itself
-          MeetingsDAO.deleteMeeting(meeting.id, err => {
+          // Hide the meeting. The members keep their role, so the meeting can be restored
+          MeetingsDAO.markMeetingDeleted(meeting.id, err => {
             if (err) {
               return callback(err);
             }
@@ -518,6 +541,106 @@ const deleteMeeting = function(ctx, meetingId, callback) {
   });
 };
 
+/**
+ * Restore a meeting from the trash
+ *
+ * @param {Context}     ctx                 Standard context object containing the current user and the current tenant
+ * @param {String}      meetingId           The id of the meeting to restore
+ * @param {Function}    callback            Standard callback function
+ * @param {Object}      callback.err        An error that occured, if any
+ * @param {Meeting}     callback.meeting    The full profile of the restored meeting
+ */
+const restoreMeeting = function(ctx, meetingId, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A valid resource id must be specified'
+    })(meetingId);
+
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to restore a meeting'
+    })(ctx);
+  } catch (error) {
+    return callback(error);
+  }
+
+  MeetingsDAO.getDeletedMeeting(meetingId, (err, meeting) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!meeting) {
+      return callback({ code: 404, msg: 'Could not find deleted meeting : ' + meetingId });
+    }
+
+    // The members kept their role while the meeting was in the trash, so its managers can restore it
+    AuthzPermissions.canManage(ctx, meeting, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      AuthzAPI.getAllAuthzMembers(meeting.id, (err, members) => {
+        if (err) {
+          return callback(err);
+        }
+
+        MeetingsDAO.restoreMeeting(meeting.id, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          ResourceTrash.removeFromTrash(meeting.id, err => {
+            if (err) {
+              return callback(err);
+            }
+
+            const memberIds = _.pluck(members, 'id');
+            MeetingsAPI.emitter.emit(MeetingsConstants.events.RESTORED_MEETING, ctx, meeting, memberIds, errs => {
+              if (errs) {
+                return callback(_.first(errs));
+              }
+
+              return getFullMeetingProfile(ctx, meeting.id, callback);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Permanently remove a meeting that has been in the trash for longer than the retention period
+ *
+ * @param {String}      meetingId           The id of the meeting to remove
+ * @param {Function}    callback            Standard callback function
+ * @param {Object}      callback.err        An error that occured, if any
+ * @api private
+ */
+const _purgeMeeting = function(meetingId, callback) {
+  AuthzAPI.getAllAuthzMembers(meetingId, (err, members) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const roleChanges = {};
+    _.each(members, member => {
+      roleChanges[member.id] = false;
+    });
+
+    // Remove the meeting members
+    AuthzAPI.updateRoles(meetingId, roleChanges, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Delete the meeting itself
+      return MeetingsDAO.deleteMeeting(meetingId, callback);
+    });
+  });
+};
+
 /**
  * Update the members of a meeting
  *
@@ -649,7 +772,14 @@ const getMessages = function(ctx, meetingId, start, limit, callback) {
           }
         });
 
-        return callback(err, messages, nextToken);
+        // Add the reactions on each message
+        ResourceReactions.augmentWithReactions(ctx, messages, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          return callback(null, messages, nextToken);
+        });
       });
     });
   });
@@ -710,13 +840,121 @@ const createMessage = function(ctx, meetingId, body, replyToCreatedTimestamp, ca
         return callback(err);
       }
 
-      // Create the message
-      MessageBoxAPI.createMessage(
-        meetingId,
-        ctx.user().id,
-        body,
-        { replyToCreated: replyToCreatedTimestamp },
-        (err, message) => {
+      // Resolve the users that are mentioned in the message, so they can be notified
+      MessageBoxUtil.getMentionedUsers(ctx, body, (err, mentionedUsers) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // Create the message
+        MessageBoxAPI.createMessage(
+          meetingId,
+          ctx.user().id,
+          body,
+          { replyToCreated: replyToCreatedTimestamp, mentions: _.pluck(mentionedUsers, 'id') },
+          (err, message) => {
+            if (err) {
+              return callback(err);
+            }
+
+            // Get a UI-appropriate representation of the current user
+            PrincipalsUtil.getPrincipal(ctx, ctx.user().id, (err, createdBy) => {
+              if (err) {
+                return callback(err);
+              }
+
+              message.createdBy = createdBy;
+
+              // The message has been created in the database so we can emit the `created-message` event
+              MeetingsAPI.emitter.emit(
+                MeetingsConstants.events.CREATED_MEETING_MESSAGE,
+                ctx,
+                message,
+                meeting,
+                errs => {
+                  if (errs) {
+                    return callback(_.first(errs));
+                  }
+
+                  return callback(null, message);
+                }
+              );
+            });
+          }
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Edit the body of a message in a meeting. Only the author of a message can edit it. The previous body of the
+ * message is kept in its edit history.
+ *
+ * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
+ * @param  {String}         meetingId                   The id of the meeting that holds the message
+ * @param  {String|Number}  messageCreatedDate          The timestamp of the message that should be edited
+ * @param  {String}         body                        The new body of the message
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ * @param  {Message}        callback.message            The updated message
+ */
+const updateMessage = function(ctx, meetingId, messageCreatedDate, body, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can edit messages'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A meeting id must be provided'
+    })(meetingId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'A message body must be provided'
+    })(body);
+
+    unless(isLongString, {
+      code: 400,
+      msg: 'A message body can only be 100000 characters long'
+    })(body);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the meeting, throwing an error if it doesn't exist, avoiding permission checks for now
+  _getMeeting(meetingId, (err, meeting) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // The author of the message needs to still be able to post messages to the meeting
+    AuthzPermissions.canInteract(ctx, meeting, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      MessageBoxAPI.getMessages(meetingId, [messageCreatedDate], { scrubDeleted: false }, (err, messages) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!messages[0] || messages[0].deleted) {
+          return callback({ code: 404, msg: 'The specified message does not exist' });
+        }
+
+        if (messages[0].createdBy !== ctx.user().id) {
+          return callback({ code: 401, msg: 'You can only edit your own messages' });
+        }
+
+        MessageBoxAPI.updateMessageBody(meetingId, messages[0].created, body, (err, message) => {
           if (err) {
             return callback(err);
           }
@@ -729,17 +967,57 @@ const createMessage = function(ctx, meetingId, body, replyToCreatedTimestamp, ca
 
             message.createdBy = createdBy;
 
-            // The message has been created in the database so we can emit the `created-message` event
-            MeetingsAPI.emitter.emit(MeetingsConstants.events.CREATED_MEETING_MESSAGE, ctx, message, meeting, errs => {
-              if (errs) {
-                return callback(_.first(errs));
-              }
-
-              return callback(null, message);
-            });
+            MeetingsAPI.emitter.emit(MeetingsConstants.events.UPDATED_MEETING_MESSAGE, ctx, message, meeting);
+            return callback(null, message);
           });
-        }
-      );
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get the edit history of a message in a meeting
+ *
+ * @param  {Context}        ctx                         Standard context object containing the current user and the current tenant
+ * @param  {String}         meetingId                   The id of the meeting that holds the message
+ * @param  {String|Number}  messageCreatedDate          The timestamp of the message whose edit history to get
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ * @param  {MessageEdit[]}  callback.edits              The previous versions of the body of the message, from the oldest to the most recent edit
+ */
+const getMessageEdits = function(ctx, meetingId, messageCreatedDate, callback) {
+  try {
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A meeting id must be provided'
+    })(meetingId);
+
+    unless(isInt, {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Ensure the current user can view the meeting
+  // eslint-disable-next-line no-unused-vars
+  getMeeting(ctx, meetingId, (err, meeting) => {
+    if (err) {
+      return callback(err);
+    }
+
+    MessageBoxAPI.getMessages(meetingId, [messageCreatedDate], null, (err, messages) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!messages[0] || messages[0].deleted) {
+        return callback({ code: 404, msg: 'The specified message does not exist' });
+      }
+
+      return MessageBoxAPI.getMessageEdits(meetingId, messages[0].created, callback);
     });
   });
 };
@@ -830,6 +1108,126 @@ const deleteMessage = function(ctx, meetingId, messageCreatedDate, callback) {
   });
 };
 
+/**
+ * Add a reaction of the current user to a meeting or, when a message timestamp is specified, to one of the messages
+ * in the meeting. The author of the meeting or message will be notified
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     meetingId               The id of the meeting to react to
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message to react to. Not specifying this will react to the meeting itself
+ * @param  {String}     reaction                The reaction to add. One of `ResourceConstants.reactions.TYPES`
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the meeting or message after the reaction was added
+ */
+const addReaction = function(ctx, meetingId, messageCreatedDate, reaction, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to meetings'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A meeting id must be provided'
+    })(meetingId);
+
+    unless(bothCheck(Boolean(messageCreatedDate), isInt), {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Get the meeting, throwing an error if it doesn't exist, avoiding permission checks for now
+  _getMeeting(meetingId, (err, meeting) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Determine if the current user can react to this meeting
+    AuthzPermissions.canInteract(ctx, meeting, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      _getReactionMessage(ctx, meetingId, messageCreatedDate, (err, message) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const targetId = message ? message.id : meeting.id;
+        ResourceReactions.addReaction(ctx, targetId, reaction, (err, reactions, added) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Only notify the author the first time a user reacts with this reaction
+          if (added) {
+            MeetingsAPI.emitter.emit(MeetingsConstants.events.ADDED_MEETING_REACTION, ctx, meeting, message, reaction);
+          }
+
+          return callback(null, reactions);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Remove a reaction of the current user from a meeting or, when a message timestamp is specified, from one of the
+ * messages in the meeting
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     meetingId               The id of the meeting from which to remove the reaction
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message from which to remove the reaction. Not specifying this will remove the reaction from the meeting itself
+ * @param  {String}     reaction                The reaction to remove
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.reactions      The reactions on the meeting or message after the reaction was removed
+ */
+const removeReaction = function(ctx, meetingId, messageCreatedDate, reaction, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'Only authenticated users can react to meetings'
+    })(ctx);
+
+    unless(isResourceId, {
+      code: 400,
+      msg: 'A meeting id must be provided'
+    })(meetingId);
+
+    unless(bothCheck(Boolean(messageCreatedDate), isInt), {
+      code: 400,
+      msg: 'A valid integer message created timestamp must be specified'
+    })(messageCreatedDate);
+
+    ResourceReactions.validateReaction(reaction);
+  } catch (error) {
+    return callback(error);
+  }
+
+  // Users that can no longer interact with the meeting can still take back their reactions
+  getMeeting(ctx, meetingId, (err, meeting) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _getReactionMessage(ctx, meetingId, messageCreatedDate, (err, message) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const targetId = message ? message.id : meeting.id;
+      return ResourceReactions.removeReaction(ctx, targetId, reaction, callback);
+    });
+  });
+};
+
 /**
  * Get the meetings library items for a user or group. Depending on the access of the principal in context,
  * either a library of public, loggedin, or all items will be returned.
@@ -1008,11 +1406,51 @@ const _getMeeting = function(meetingId, callback) {
   });
 };
 
+/**
+ * Get the message that is being reacted to, with the profile of its author set as `createdBy`
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     meetingId               The id of the meeting that holds the message
+ * @param  {String}     [messageCreatedDate]    The timestamp of the message. If not specified, no message is returned
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Message}    [callback.message]      The message that is being reacted to
+ * @api private
+ */
+const _getReactionMessage = function(ctx, meetingId, messageCreatedDate, callback) {
+  if (!messageCreatedDate) {
+    return callback();
+  }
+
+  MessageBoxAPI.getMessages(meetingId, [messageCreatedDate], { scrubDeleted: false }, (err, messages) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!messages[0] || messages[0].deleted) {
+      return callback({ code: 404, msg: 'The specified message does not exist' });
+    }
+
+    const message = messages[0];
+    PrincipalsUtil.getPrincipal(ctx, message.createdBy, (err, createdBy) => {
+      if (err) {
+        return callback(err);
+      }
+
+      message.createdBy = createdBy;
+      return callback(null, message);
+    });
+  });
+};
+
 const _convertToBoolean = attr => {
   if (equals(attr, TRUE)) return true;
   if (equals(attr, FALSE)) return false;
 };
 
+// Meetings that have been in the trash for longer than the retention period are permanently removed
+ResourceTrash.registerResourceType('meeting-jitsi', { purge: _purgeMeeting });
+
 export {
   createMeeting,
   getFullMeetingProfile,
@@ -1020,9 +1458,14 @@ export {
   getMeetingMembers,
   updateMeeting,
   deleteMeeting,
+  restoreMeeting,
   setMeetingMembers,
   getMessages,
   createMessage,
+  updateMessage,
+  getMessageEdits,
+  addReaction,
+  removeReaction,
   deleteMessage,
   getMeetingsLibrary,
   removeMeetingFromLibrary,
@@ -25,12 +25,15 @@ MeetingsConstants.roles = {
 };
 
 MeetingsConstants.events = {
+  ADDED_MEETING_REACTION: 'addedMeetingReaction',
   CREATED_MEETING: 'createdMeeting',
   GET_MEETING_PROFILE: 'getMeetingProfile',
   UPDATED_MEETING: 'updatedMeeting',
   DELETED_MEETING: 'deletedMeeting',
+  RESTORED_MEETING: 'restoredMeeting',
   UPDATED_MEETING_MEMBERS: 'updatedMeetingMembers',
   CREATED_MEETING_MESSAGE: 'createdMeetingMessage',
+  UPDATED_MEETING_MESSAGE: 'updatedMeetingMessage',
   DELETED_MEETING_MESSAGE: 'deletedMeetingMessage',
   GET_MEETING_LIBRARY: 'getMeetingLibrary'
 };
@@ -42,10 +45,12 @@ MeetingsConstants.activity = {
   ACTIVITY_MEETING_UPDATE_VISIBILITY: 'meeting-jitsi-update-visibility',
   ACTIVITY_MEETING_ADD_TO_LIBRARY: 'meeting-jitsi-add-to-library',
   ACTIVITY_MEETING_UPDATE_MEMBER_ROLE: 'meeting-jitsi-update-member-role',
-  ACTIVITY_MEETING_MESSAGE: 'meeting-jitsi-message'
+  ACTIVITY_MEETING_MESSAGE: 'meeting-jitsi-message',
+  ACTIVITY_MEETING_MESSAGE_UPDATE: 'meeting-jitsi-message-update',
+  ACTIVITY_MEETING_REACTION: 'meeting-jitsi-reaction'
 };
 
-MeetingsConstants.updateFields = ['displayName', 'description', 'chat', 'contactList', 'visibility'];
+MeetingsConstants.updateFields = ['displayName', 'description', 'chat', 'contactList', 'visibility', 'tags'];
 
 MeetingsConstants.library = {
   MEETINGS_LIBRARY_INDEX_NAME: 'meetings-jitsi:meetings-jitsi'
@@ -5,6 +5,7 @@ import { Meeting } from 'oae-jitsi/lib/model';
 import * as AuthzUtil from 'oae-authz/lib/util';
 import * as Cassandra from 'oae-util/lib/cassandra';
 import * as OaeUtil from 'oae-util/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
 import * as TenantsAPI from 'oae-tenants';
 
 /**
@@ -14,7 +15,7 @@ import * as TenantsAPI from 'oae-tenants';
 /**
  * Create a new meeting.
  */
-const createMeeting = function(createdBy, displayName, description, chat, contactList, visibility, callback) {
+const createMeeting = function(createdBy, displayName, description, chat, contactList, visibility, tags, callback) {
   const created = Date.now().toString();
 
   const { tenantAlias } = AuthzUtil.getPrincipalFromId(createdBy);
@@ -28,7 +29,8 @@ const createMeeting = function(createdBy, displayName, description, chat, contac
     contactList,
     visibility,
     created,
-    lastModified: created
+    lastModified: created,
+    tags
   };
 
   const query = Cassandra.constructUpsertCQL('MeetingsJitsi', 'id', meetingId, storageHash);
@@ -81,6 +83,8 @@ const getMeetingsById = function(meetingIds, callback) {
     const meetings = {};
     _.chain(rows)
       .map(Cassandra.rowToHash)
+      // Meetings that are in the trash are treated as if they no longer exist
+      .reject(row => row.deleted)
       .each(row => {
         meetings[row.id] = _storageHashToMeeting(row.id, row);
       });
@@ -117,7 +121,59 @@ const updateMeeting = function(meeting, profileFields, callback) {
 };
 
 /**
- * Delete a meeting
+ * Get a meeting that has been deleted and is in the trash
+ *
+ * @param {String}      meetingId           The id of the deleted meeting
+ * @param {Function}    callback            Standard callback function
+ * @param {Object}      callback.err        An error that occured, if any
+ * @param {Meeting}     callback.meeting    The deleted meeting. If the meeting does not exist or has not been deleted, this will be `undefined`
+ */
+const getDeletedMeeting = function(meetingId, callback) {
+  Cassandra.runQuery('SELECT * FROM "MeetingsJitsi" WHERE id = ?', [meetingId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const hash = _.isEmpty(rows) ? {} : Cassandra.rowToHash(rows[0]);
+    if (!hash.deleted) {
+      return callback();
+    }
+
+    return callback(null, _storageHashToMeeting(meetingId, hash));
+  });
+};
+
+/**
+ * Mark a meeting as deleted. Deleted meetings can no longer be retrieved, but their members keep their role
+ * so the meeting can be restored.
+ * This does not remove the meeting from its members's libraries.
+ *
+ * @param {String}      meetingId           The id of the meeting to mark as deleted
+ * @param {Function}    callback            Standard callback function
+ * @param {Object}      callback.err        An error that occured, if any
+ */
+const markMeetingDeleted = function(meetingId, callback) {
+  Cassandra.runQuery(
+    'UPDATE "MeetingsJitsi" SET "deleted" = ? WHERE id = ?',
+    [Date.now().toString(), meetingId],
+    callback
+  );
+};
+
+/**
+ * Restore a meeting that was marked as deleted.
+ * This does not add the meeting back to its members's libraries.
+ *
+ * @param {String}      meetingId           The id of the meeting to restore
+ * @param {Function}    callback            Standard callback function
+ * @param {Object}      callback.err        An error that occured, if any
+ */
+const restoreMeeting = function(meetingId, callback) {
+  Cassandra.runQuery('DELETE "deleted" FROM "MeetingsJitsi" WHERE id = ?', [meetingId], callback);
+};
+
+/**
+ * Permanently delete a meeting
  * This does not remove the meeting from its members's libraries.
  *
  * @param {String}      meetingId           The id of the meeting to delete
@@ -195,7 +251,8 @@ const _storageHashToMeeting = function(meetingId, hash) {
     hash.contactList,
     hash.visibility,
     OaeUtil.getNumberParam(hash.created),
-    OaeUtil.getNumberParam(hash.lastModified)
+    OaeUtil.getNumberParam(hash.lastModified),
+    ResourceTags.parseTags(hash.tags)
   );
 };
 
@@ -242,8 +299,19 @@ const _createUpdatedMeetingFromStorageHash = function(meeting, hash) {
     contactList,
     hash.visibility || meeting.visibility,
     OaeUtil.getNumberParam(meeting.created),
-    OaeUtil.getNumberParam(hash.lastModified || meeting.lastModified)
+    OaeUtil.getNumberParam(hash.lastModified || meeting.lastModified),
+    hash.tags || meeting.tags
   );
 };
 
-export { createMeeting, getMeeting, getMeetingsById, updateMeeting, deleteMeeting, iterateAll };
+export {
+  createMeeting,
+  getMeeting,
+  getDeletedMeeting,
+  getMeetingsById,
+  updateMeeting,
+  markMeetingDeleted,
+  restoreMeeting,
+  deleteMeeting,
+  iterateAll
+};
@@ -120,6 +120,26 @@ MeetingsAPI.emitter.when(MeetingsConstants.events.DELETED_MEETING, (ctx, meeting
   });
 });
 
+/**
+ * When a meeting is restored from the trash, add it back to the meeting libraries of its members
+ */
+MeetingsAPI.emitter.when(MeetingsConstants.events.RESTORED_MEETING, (ctx, meeting, memberIds, callback) => {
+  _insertLibrary(memberIds, meeting, err => {
+    if (err) {
+      log().warn(
+        {
+          err,
+          meetingId: meeting.id,
+          memberIds
+        },
+        'An error occurred inserting meeting into meeting libraries after restore'
+      );
+    }
+
+    return callback();
+  });
+});
+
 /**
  * When meeting members are updated, pass the required updated to its members library
  */
@@ -1,4 +1,4 @@
-import { createColumnFamilies } from 'oae-util/lib/cassandra';
+import { createColumnFamilies, runQuery } from 'oae-util/lib/cassandra';
 
 /**
  * Ensure that all of the meeting-related schemas are created. If they already exist, this method will not do anything.
@@ -13,7 +13,18 @@ const ensureSchema = function(callback) {
       MeetingsJitsi:
         'CREATE TABLE "MeetingsJitsi" ("id" text PRIMARY KEY, "tenantAlias" text, "displayName" text, "visibility" text, "description" text, "createdBy" text, "created" text, "lastModified" text, "chat" boolean, "contactList" boolean)'
     },
-    callback
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Adding a column that already exists fails, which can safely be ignored
+      runQuery('ALTER TABLE "MeetingsJitsi" ADD "tags" text;', [], () => {
+        runQuery('ALTER TABLE "MeetingsJitsi" ADD "deleted" text;', [], () => {
+          callback();
+        });
+      });
+    }
   );
 };
 
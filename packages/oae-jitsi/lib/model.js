@@ -27,7 +27,8 @@ const Meeting = function(
   contactList,
   visibility,
   created,
-  lastModified
+  lastModified,
+  tags
 ) {
   const { resourceId } = AuthzUtil.getResourceFromId(id);
   const that = {};
@@ -41,6 +42,7 @@ const Meeting = function(
   that.visibility = visibility;
   that.created = created;
   that.lastModified = lastModified;
+  that.tags = tags || [];
   that.profilePath = util.format('/meeting-jitsi/%s/%s', tenant.alias, resourceId);
   that.resourceType = 'meeting-jitsi';
 
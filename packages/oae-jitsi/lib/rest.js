@@ -35,6 +35,7 @@ import * as MeetingsAPI from 'oae-jitsi';
  * @FormParam   {string[]}          [managers]          Unique identifier(s) for users and groups to add as managers of the meeting. The user creating the meeting will be added as a manager automatically
  * @FormParam   {string[]}          [members]           Unique identifier(s) for users and groups to add as members of the meeting
  * @FormParam   {string}            [visibility]        The visibility of the meeting. Defaults to the configured tenant default          [loggedin,private,public]
+ * @FormParam   {string[]}          [tags]              The tags to apply to the meeting
  * @Return      {BasicMeeting}                          The created meeting
  * @HttpResponse                    200                 Meeting created
  * @HttpResponse                    400                 Must provide a display name for the meeting
@@ -44,6 +45,7 @@ import * as MeetingsAPI from 'oae-jitsi';
  * @HttpResponse                    400                 An invalid meeting visibility option has been provided
  * @HttpResponse                    400                 One or more target members being granted access are not authorized to become members on this meeting
  * @HttpResponse                    400                 One or more target members being granted access do not exist
+ * @HttpResponse                    400                 The tag "..." is not part of the controlled vocabulary
  * @HttpResponse                    401                 Anonymous users cannot create a meeting
  */
 OAE.tenantRouter.on('post', '/api/meeting-jitsi/create', (req, res) => {
@@ -68,6 +70,7 @@ OAE.tenantRouter.on('post', '/api/meeting-jitsi/create', (req, res) => {
     req.body.contactList,
     req.body.visibility,
     additionalMembers,
+    OaeUtil.toArray(req.body.tags),
     (err, meeting) => {
       if (err) {
         return res.status(err.code).send(err.msg);
@@ -174,6 +177,7 @@ OAE.tenantRouter.on('get', '/api/meeting-jitsi/:meetingId/members', (req, res) =
  * @FormParam   {string}            description         Updated description for the meeting
  * @FormParam   {string}            displayName         Updated display name for the meeting
  * @FormParam   {string}            visibility          Updated visibility for the meeting           [loggedin,private,public]
+ * @FormParam   {string[]}          tags                Updated tags for the meeting
  * @Return      {BasicMeeting}                          The updated meeting
  * @HttpResponse                    200                 Meeting updated
  * @HttpResponse                    400                 A valid meeting id must be provided
@@ -221,6 +225,31 @@ OAE.tenantRouter.on('delete', '/api/meeting-jitsi/:meetingId', (req, res) => {
   });
 });
 
+/**
+ * @REST postMeetingMeetingIdRestore
+ *
+ * Restore a meeting from the trash
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /meeting/{meetingId}/restore
+ * @PathParam   {string}        meetingId           The id of the meeting to restore
+ * @Return      {Meeting}                           The restored meeting
+ * @HttpResponse                200                 Meeting restored
+ * @HttpResponse                400                 A valid meeting id must be provided
+ * @HttpResponse                401                 You are not authorized to restore this meeting
+ * @HttpResponse                404                 Could not find the specified deleted meeting
+ */
+OAE.tenantRouter.on('post', '/api/meeting-jitsi/:meetingId/restore', (req, res) => {
+  MeetingsAPI.Meetings.restoreMeeting(req.ctx, req.params.meetingId, (err, meeting) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(meeting);
+  });
+});
+
 /**
  * @REST postMeetingMeetingIdMembers
  *
@@ -359,6 +388,206 @@ OAE.tenantRouter.on('delete', '/api/meeting-jitsi/:meetingId/messages/:created',
   });
 });
 
+/**
+ * @REST putMeetingMeetingIdMessagesCreated
+ *
+ * Edit the body of a message in a meeting
+ *
+ * @Server      tenant
+ * @Method      PUT
+ * @Path        /meeting/{meetingId}/messages/{created}
+ * @PathParam   {string}                meetingId           The id of the meeting that holds the message
+ * @PathParam   {number}                created             The timestamp of the message that should be edited
+ * @FormParam   {string}                body                The new body of the message
+ * @Return      {Message}                                   The updated message
+ * @HttpResponse                        200                 Meeting message updated
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A message body can only be 100000 characters long
+ * @HttpResponse                        400                 A message body must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 Only authenticated users can edit messages
+ * @HttpResponse                        401                 You can only edit your own messages
+ * @HttpResponse                        404                 Could not find the specified meeting
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('put', '/api/meeting-jitsi/:meetingId/messages/:created', (req, res) => {
+  MeetingsAPI.Meetings.updateMessage(
+    req.ctx,
+    req.params.meetingId,
+    req.params.created,
+    req.body.body,
+    (err, message) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(message);
+    }
+  );
+});
+
+/**
+ * @REST getMeetingMeetingIdMessagesCreatedEdits
+ *
+ * Get the edit history of a message in a meeting
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /meeting/{meetingId}/messages/{created}/edits
+ * @PathParam   {string}                meetingId           The id of the meeting that holds the message
+ * @PathParam   {number}                created             The timestamp of the message whose edit history to get
+ * @Return      {MessageEdit[]}                             The previous versions of the body of the message, from the oldest to the most recent edit
+ * @HttpResponse                        200                 Edit history available
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        401                 You are not authorized to view this meeting
+ * @HttpResponse                        404                 Could not find the specified meeting
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('get', '/api/meeting-jitsi/:meetingId/messages/:created/edits', (req, res) => {
+  MeetingsAPI.Meetings.getMessageEdits(req.ctx, req.params.meetingId, req.params.created, (err, edits) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(edits);
+  });
+});
+
+/**
+ * @REST postMeetingMeetingIdReactions
+ *
+ * React to a meeting
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /meeting/{meetingId}/reactions
+ * @PathParam   {string}                meetingId           The id of the meeting to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the meeting
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to meetings
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Could not find the specified meeting
+ */
+OAE.tenantRouter.on('post', '/api/meeting-jitsi/:meetingId/reactions', (req, res) => {
+  MeetingsAPI.Meetings.addReaction(req.ctx, req.params.meetingId, null, req.body.reaction, (err, reactions) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(reactions);
+  });
+});
+
+/**
+ * @REST deleteMeetingMeetingIdReactionsReaction
+ *
+ * Remove a reaction from a meeting
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /meeting/{meetingId}/reactions/{reaction}
+ * @PathParam   {string}                meetingId           The id of the meeting from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the meeting
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to meetings
+ * @HttpResponse                        401                 You are not authorized to view this meeting
+ * @HttpResponse                        404                 Could not find the specified meeting
+ */
+OAE.tenantRouter.on('delete', '/api/meeting-jitsi/:meetingId/reactions/:reaction', (req, res) => {
+  MeetingsAPI.Meetings.removeReaction(req.ctx, req.params.meetingId, null, req.params.reaction, (err, reactions) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    res.status(200).send(reactions);
+  });
+});
+
+/**
+ * @REST postMeetingMeetingIdMessagesCreatedReactions
+ *
+ * React to a message on a meeting
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /meeting/{meetingId}/messages/{created}/reactions
+ * @PathParam   {string}                meetingId           The id of the meeting that holds the message
+ * @PathParam   {number}                created             The timestamp of the message to react to
+ * @FormParam   {string}                reaction            The reaction to add                 [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the message
+ * @HttpResponse                        200                 Reaction added
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to meetings
+ * @HttpResponse                        401                 The current user does not have access to interact with this resource
+ * @HttpResponse                        404                 Could not find the specified meeting
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('post', '/api/meeting-jitsi/:meetingId/messages/:created/reactions', (req, res) => {
+  MeetingsAPI.Meetings.addReaction(
+    req.ctx,
+    req.params.meetingId,
+    req.params.created,
+    req.body.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
+/**
+ * @REST deleteMeetingMeetingIdMessagesCreatedReactionsReaction
+ *
+ * Remove a reaction from a message on a meeting
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /meeting/{meetingId}/messages/{created}/reactions/{reaction}
+ * @PathParam   {string}                meetingId           The id of the meeting that holds the message
+ * @PathParam   {number}                created             The timestamp of the message from which to remove the reaction
+ * @PathParam   {string}                reaction            The reaction to remove              [celebrate,insightful,laugh,like,love,thanks]
+ * @Return      {Reactions}                                 The reactions on the message
+ * @HttpResponse                        200                 Reaction removed
+ * @HttpResponse                        400                 A meeting id must be provided
+ * @HttpResponse                        400                 A valid integer message created timestamp must be specified
+ * @HttpResponse                        400                 A reaction must be provided
+ * @HttpResponse                        400                 An unknown reaction was provided
+ * @HttpResponse                        401                 Only authenticated users can react to meetings
+ * @HttpResponse                        401                 You are not authorized to view this meeting
+ * @HttpResponse                        404                 Could not find the specified meeting
+ * @HttpResponse                        404                 The specified message does not exist
+ */
+OAE.tenantRouter.on('delete', '/api/meeting-jitsi/:meetingId/messages/:created/reactions/:reaction', (req, res) => {
+  MeetingsAPI.Meetings.removeReaction(
+    req.ctx,
+    req.params.meetingId,
+    req.params.created,
+    req.params.reaction,
+    (err, reactions) => {
+      if (err) {
+        return res.status(err.code).send(err.msg);
+      }
+
+      res.status(200).send(reactions);
+    }
+  );
+});
+
 /**
  * @REST getMeetingLibraryPrincipalId
  *
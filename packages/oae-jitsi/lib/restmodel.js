@@ -25,6 +25,7 @@
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the meeting was last modified (or received the last message)
  * @Property    {string}                profilePath         The relative path to the meeting profile
  * @Property    {string}                resourceType        The resource type of the meeting     [meeting]
+ * @Property    {string[]}              tags                The tags that have been applied to the meeting
  * @Property    {BasicTenant}           tenant              The tenant to which this meeting is associated
  * @Property    {string}                visibility          The visibility of the meeting        [loggedin,private,public]
  */
@@ -43,7 +44,9 @@
  * @Property    {boolean}               isManager           Whether the current user is a manager of the meeting
  * @Property    {number}                lastModified        The timestamp (millis since epoch) at which the meeting was last modified (or received the last message)
  * @Property    {string}                profilePath         The relative path to the meeting profile
+ * @Property    {Reactions}             reactions           The reactions on the meeting
  * @Property    {string}                resourceType        The resource type of the meeting     [meeting]
+ * @Property    {string[]}              tags                The tags that have been applied to the meeting
  * @Property    {BasicTenant}           tenant              The tenant to which this meeting is associated
  * @Property    {string}                visibility          The visibility of the meeting        [loggedin,private,public]
  */
@@ -175,8 +175,10 @@ const _produceMeetingSearchDocument = function(meeting) {
     dateCreated: meeting.created,
     lastModified: meeting.lastModified,
     createdBy: meeting.createdBy,
+    tags: meeting.tags,
     _extra: {
-      lastModified: meeting.lastModified
+      lastModified: meeting.lastModified,
+      tags: meeting.tags
     }
   };
 
@@ -216,8 +218,8 @@ const _transformMeetingDocuments = function(ctx, docs, callback) {
       result[name] = _.first(value);
     });
 
-    // Take just the `lastModified` from the extra fields, if specified
-    _.extend(result, _.pick(extra, 'lastModified'));
+    // Take just the `lastModified` and `tags` from the extra fields, if specified
+    _.extend(result, _.pick(extra, 'lastModified', 'tags'));
 
     // Add the full tenant object and profile path
     _.extend(result, {
@@ -283,9 +285,19 @@ MeetingsAPI.emitter.on(MeetingsConstants.events.DELETED_MEETING, (ctx, meeting)
 });
 
 /**
- * When a message is added to a meeting, we must index the child message document
+ * When a meeting is restored from the trash, we must index it and its children again
  */
-MeetingsAPI.emitter.on(MeetingsConstants.events.CREATED_MEETING_MESSAGE, (ctx, message, meeting) => {
+MeetingsAPI.emitter.on(MeetingsConstants.events.RESTORED_MEETING, (ctx, meeting) => {
+  SearchAPI.postIndexTask('meeting-jitsi', [{ id: meeting.id }], {
+    resource: true,
+    children: true
+  });
+});
+
+/**
+ * When a message is added to a meeting or edited, we must (re)index the child message document
+ */
+const _indexMeetingMessage = function(ctx, message, meeting) {
   const resource = {
     id: meeting.id,
     messages: [message]
@@ -296,7 +308,10 @@ MeetingsAPI.emitter.on(MeetingsConstants.events.CREATED_MEETING_MESSAGE, (ctx, m
       'meeting-jitsi_message': true
     }
   });
-});
+};
+
+MeetingsAPI.emitter.on(MeetingsConstants.events.CREATED_MEETING_MESSAGE, _indexMeetingMessage);
+MeetingsAPI.emitter.on(MeetingsConstants.events.UPDATED_MEETING_MESSAGE, _indexMeetingMessage);
 
 /**
  * When a meeting message is deleted, we must delete the child message document
@@ -3,8 +3,11 @@ import _ from 'underscore';
 import async from 'async';
 
 import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
 import * as TestsUtil from 'oae-tests';
+import * as MeetingsAPI from 'oae-jitsi';
 import * as MeetingsDAO from 'oae-jitsi/lib/internal/dao';
+import { MeetingsConstants } from 'oae-jitsi/lib/constants';
 
 describe('Meeting Jitsi', () => {
   let camAnonymousRestCtx = null;
@@ -2061,4 +2064,377 @@ describe('Meeting Jitsi', () => {
       });
     });
   });
+
+  describe('Edit meeting comment', () => {
+    /**
+     * Edit a comment in a meeting through the REST API
+     *
+     * @param  {RestContext}    restContext         The REST context with which to edit the comment
+     * @param  {String}         meetingId           The id of the meeting that holds the comment
+     * @param  {Number}         created             The timestamp of the comment to edit
+     * @param  {String}         body                The new body of the comment
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Comment}        callback.comment    The edited comment
+     */
+    const _updateComment = function(restContext, meetingId, created, body, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/meeting-jitsi/' + encodeURIComponent(meetingId) + '/messages/' + encodeURIComponent(created),
+        'PUT',
+        { body },
+        callback
+      );
+    };
+
+    /**
+     * Get the edit history of a comment in a meeting through the REST API
+     *
+     * @param  {RestContext}    restContext         The REST context with which to get the edit history
+     * @param  {String}         meetingId           The id of the meeting that holds the comment
+     * @param  {Number}         created             The timestamp of the comment whose edit history to get
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object[]}       callback.edits      The previous versions of the body of the comment
+     */
+    const _getCommentEdits = function(restContext, meetingId, created, callback) {
+      RestUtil.performRestRequest(
+        restContext,
+        '/api/meeting-jitsi/' + encodeURIComponent(meetingId) + '/messages/' + encodeURIComponent(created) + '/edits',
+        'GET',
+        null,
+        callback
+      );
+    };
+
+    it('should successfully edit a comment and keep its previous bodies in the edit history', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, user) => {
+        assert.ok(!err);
+
+        const riri = _.values(user)[0];
+        const fifi = _.values(user)[1];
+
+        // Create a public meeting
+        RestAPI.MeetingsJitsi.createMeeting(
+          riri.restContext,
+          'my-meeting-display-name',
+          'my-meeting-description',
+          true,
+          false,
+          'public',
+          null,
+          null,
+          (err, meeting) => {
+            assert.ok(!err);
+
+            RestAPI.MeetingsJitsi.createComment(riri.restContext, meeting.id, 'alfa', null, (err, comment) => {
+              assert.ok(!err);
+
+              // Verify validation
+              _updateComment(riri.restContext, 'not-a-valid-id', comment.created, 'beta', err => {
+                assert.strictEqual(err.code, 400);
+                _updateComment(riri.restContext, meeting.id, 'NaN', 'beta', err => {
+                  assert.strictEqual(err.code, 400);
+                  _updateComment(riri.restContext, meeting.id, comment.created, '', err => {
+                    assert.strictEqual(err.code, 400);
+
+                    // An unknown comment can't be edited
+                    _updateComment(riri.restContext, meeting.id, Date.now() - 1000, 'beta', err => {
+                      assert.strictEqual(err.code, 404);
+
+                      // Only the author can edit a comment
+                      _updateComment(camAnonymousRestCtx, meeting.id, comment.created, 'beta', err => {
+                        assert.strictEqual(err.code, 401);
+                        _updateComment(fifi.restContext, meeting.id, comment.created, 'beta', err => {
+                          assert.strictEqual(err.code, 401);
+
+                          _updateComment(riri.restContext, meeting.id, comment.created, 'beta', err => {
+                            assert.ok(!err);
+                            _updateComment(
+                              riri.restContext,
+                              meeting.id,
+                              comment.created,
+                              'charlie',
+                              (err, updatedComment) => {
+                                assert.ok(!err);
+                                assert.strictEqual(updatedComment.id, comment.id);
+                                assert.strictEqual(updatedComment.body, 'charlie');
+                                assert.strictEqual(updatedComment.createdBy.id, riri.user.id);
+                                assert.ok(updatedComment.edited);
+
+                                // Anyone who can see the meeting can see the edit history, from the oldest edit
+                                _getCommentEdits(camAnonymousRestCtx, meeting.id, comment.created, (err, edits) => {
+                                  assert.ok(!err);
+                                  assert.deepStrictEqual(_.pluck(edits, 'body'), ['alfa', 'beta']);
+                                  assert.strictEqual(edits[1].edited, updatedComment.edited);
+                                  return callback();
+                                });
+                              }
+                            );
+                          });
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    it('should only return the edit history of a comment to users who can see the meeting', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, user) => {
+        assert.ok(!err);
+
+        const riri = _.values(user)[0];
+        const fifi = _.values(user)[1];
+
+        // Create a private meeting
+        RestAPI.MeetingsJitsi.createMeeting(
+          riri.restContext,
+          'my-meeting-display-name',
+          'my-meeting-description',
+          true,
+          false,
+          'private',
+          null,
+          null,
+          (err, meeting) => {
+            assert.ok(!err);
+
+            RestAPI.MeetingsJitsi.createComment(riri.restContext, meeting.id, 'alfa', null, (err, comment) => {
+              assert.ok(!err);
+              _updateComment(riri.restContext, meeting.id, comment.created, 'beta', err => {
+                assert.ok(!err);
+
+                _getCommentEdits(fifi.restContext, meeting.id, comment.created, err => {
+                  assert.strictEqual(err.code, 401);
+                  _getCommentEdits(riri.restContext, meeting.id, Date.now() - 1000, err => {
+                    assert.strictEqual(err.code, 404);
+                    _getCommentEdits(riri.restContext, meeting.id, comment.created, (err, edits) => {
+                      assert.ok(!err);
+                      assert.deepStrictEqual(_.pluck(edits, 'body'), ['alfa']);
+                      return callback();
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
+  describe('Meeting reactions', () => {
+    /**
+     * Add a reaction to a meeting, or to one of its comments, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user reacting
+     * @param  {String}         meetingId           The id of the meeting to react to
+     * @param  {Number}         [created]           The timestamp of the comment to react to
+     * @param  {String}         reaction            The reaction to add
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the meeting or comment
+     */
+    const _addReaction = function(restContext, meetingId, created, reaction, callback) {
+      let url = '/api/meeting-jitsi/' + encodeURIComponent(meetingId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(restContext, url + '/reactions', 'POST', { reaction }, callback);
+    };
+
+    /**
+     * Remove a reaction from a meeting, or from one of its comments, through the REST API
+     *
+     * @param  {RestContext}    restContext         The context of the user removing the reaction
+     * @param  {String}         meetingId           The id of the meeting
+     * @param  {Number}         [created]           The timestamp of the comment
+     * @param  {String}         reaction            The reaction to remove
+     * @param  {Function}       callback            Standard callback function
+     * @param  {Object}         callback.err        An error that occurred, if any
+     * @param  {Object}         callback.reactions  The reactions on the meeting or comment
+     */
+    const _removeReaction = function(restContext, meetingId, created, reaction, callback) {
+      let url = '/api/meeting-jitsi/' + encodeURIComponent(meetingId);
+      if (created) {
+        url += '/messages/' + encodeURIComponent(created);
+      }
+
+      RestUtil.performRestRequest(
+        restContext,
+        url + '/reactions/' + encodeURIComponent(reaction),
+        'DELETE',
+        null,
+        callback
+      );
+    };
+
+    it('should successfully react to a meeting and count the reactions in the meeting profile', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 3, (err, user) => {
+        assert.ok(!err);
+
+        const riri = _.values(user)[0];
+        const fifi = _.values(user)[1];
+        const loulou = _.values(user)[2];
+
+        // Create a public meeting
+        RestAPI.MeetingsJitsi.createMeeting(
+          riri.restContext,
+          'my-meeting-display-name',
+          'my-meeting-description',
+          true,
+          false,
+          'public',
+          null,
+          null,
+          (err, meeting) => {
+            assert.ok(!err);
+
+            // Verify validation and permissions
+            _addReaction(fifi.restContext, meeting.id, null, 'not-a-reaction', err => {
+              assert.strictEqual(err.code, 400);
+              _addReaction(camAnonymousRestCtx, meeting.id, null, 'like', err => {
+                assert.strictEqual(err.code, 401);
+
+                _addReaction(fifi.restContext, meeting.id, null, 'like', (err, reactions) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(reactions, { like: { count: 1, reacted: true } });
+
+                  // Reacting twice with the same reaction doesn't count twice
+                  _addReaction(fifi.restContext, meeting.id, null, 'like', (err, reactions) => {
+                    assert.ok(!err);
+                    assert.strictEqual(reactions.like.count, 1);
+
+                    _addReaction(loulou.restContext, meeting.id, null, 'like', err => {
+                      assert.ok(!err);
+
+                      // The counts are part of the meeting profile
+                      RestAPI.MeetingsJitsi.getMeeting(riri.restContext, meeting.id, (err, meeting) => {
+                        assert.ok(!err);
+                        assert.deepStrictEqual(meeting.reactions, { like: { count: 2, reacted: false } });
+
+                        _removeReaction(fifi.restContext, meeting.id, null, 'like', (err, reactions) => {
+                          assert.ok(!err);
+                          assert.deepStrictEqual(reactions, { like: { count: 1, reacted: false } });
+                          return callback();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    it('should successfully react to a comment without reacting to the meeting', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, user) => {
+        assert.ok(!err);
+
+        const riri = _.values(user)[0];
+        const fifi = _.values(user)[1];
+
+        // Create a public meeting
+        RestAPI.MeetingsJitsi.createMeeting(
+          riri.restContext,
+          'my-meeting-display-name',
+          'my-meeting-description',
+          true,
+          false,
+          'public',
+          null,
+          null,
+          (err, meeting) => {
+            assert.ok(!err);
+
+            RestAPI.MeetingsJitsi.createComment(riri.restContext, meeting.id, 'alfa', null, (err, comment) => {
+              assert.ok(!err);
+
+              // Unknown comments can't be reacted to
+              _addReaction(fifi.restContext, meeting.id, Date.now() - 1000, 'thanks', err => {
+                assert.strictEqual(err.code, 404);
+
+                _addReaction(fifi.restContext, meeting.id, comment.created, 'thanks', (err, reactions) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(reactions, { thanks: { count: 1, reacted: true } });
+
+                  RestAPI.MeetingsJitsi.getMeeting(fifi.restContext, meeting.id, (err, meeting) => {
+                    assert.ok(!err);
+                    assert.deepStrictEqual(meeting.reactions, {});
+
+                    _removeReaction(fifi.restContext, meeting.id, comment.created, 'thanks', (err, reactions) => {
+                      assert.ok(!err);
+                      assert.deepStrictEqual(reactions, {});
+                      return callback();
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+
+    it('should only add and announce a reaction once when a user reacts several times at once', callback => {
+      TestsUtil.generateTestUsers(camAdminRestCtx, 2, (err, user) => {
+        assert.ok(!err);
+
+        const riri = _.values(user)[0];
+        const fifi = _.values(user)[1];
+
+        // Create a public meeting
+        RestAPI.MeetingsJitsi.createMeeting(
+          riri.restContext,
+          'my-meeting-display-name',
+          'my-meeting-description',
+          true,
+          false,
+          'public',
+          null,
+          null,
+          (err, meeting) => {
+            assert.ok(!err);
+
+            // Count how many times the reaction is announced
+            let nAdded = 0;
+            const onAddedReaction = function(ctx, reactedMeeting) {
+              if (reactedMeeting.id === meeting.id) {
+                nAdded++;
+              }
+            };
+
+            MeetingsAPI.emitter.on(MeetingsConstants.events.ADDED_MEETING_REACTION, onAddedReaction);
+
+            const nReactions = 5;
+            const reactionAdded = _.after(nReactions, () => {
+              MeetingsAPI.emitter.removeListener(MeetingsConstants.events.ADDED_MEETING_REACTION, onAddedReaction);
+              assert.strictEqual(nAdded, 1);
+
+              RestAPI.MeetingsJitsi.getMeeting(riri.restContext, meeting.id, (err, meeting) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(meeting.reactions, { like: { count: 1, reacted: false } });
+                return callback();
+              });
+            });
+
+            _.times(nReactions, () => {
+              _addReaction(fifi.restContext, meeting.id, null, 'like', err => {
+                assert.ok(!err);
+                return reactionAdded();
+              });
+            });
+          }
+        );
+      });
+    });
+  });
 });
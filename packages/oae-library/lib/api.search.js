@@ -62,6 +62,7 @@ export const registerLibrarySearch = function(searchName, resourceTypes, options
     opts = opts || {};
     opts.libraryOwnerId = opts.pathParams[0];
     opts.limit = OaeUtil.getNumberParam(opts.limit, 12, 1, 25);
+    opts.tags = SearchUtil.getArrayParam(opts.tags);
 
     try {
       unless(isResourceId, {
@@ -110,7 +111,8 @@ export const registerLibrarySearch = function(searchName, resourceTypes, options
             }
           };
 
-          // If we're searching for content items we also try to match on content comments and bodies
+          // If we're searching for content items we also try to match on content comments and bodies. The
+          // matched snippets of the bodies are highlighted so they can be shown with the results
           if (_.contains(resourceTypes, 'content')) {
             query.bool.should.push(
               SearchUtil.createHasChildQuery(
@@ -124,7 +126,8 @@ export const registerLibrarySearch = function(searchName, resourceTypes, options
                 ContentConstants.search.MAPPING_CONTENT_BODY,
                 SearchUtil.createQueryStringQuery(opts.q, ['content_body']),
                 'max',
-                2
+                2,
+                SearchUtil.createHighlightInnerHits(['content_body'])
               )
             );
 
@@ -147,6 +150,8 @@ export const registerLibrarySearch = function(searchName, resourceTypes, options
               return callback(err);
             }
 
+            // Only keep the library items that have been tagged with all of the requested tags
+            filter = SearchUtil.filterAnd(filter, SearchUtil.filterTags(opts.tags));
             return callback(null, SearchUtil.createQuery(query, filter, opts));
           });
         }
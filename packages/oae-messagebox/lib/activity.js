@@ -0,0 +1,78 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import * as ActivityAPI from 'oae-activity';
+import * as ActivityModel from 'oae-activity/lib/model';
+import { ActivityConstants } from 'oae-activity/lib/constants';
+
+import { MessageBoxConstants } from './constants';
+
+/// //////////
+// MENTION //
+/// //////////
+
+ActivityAPI.registerActivityType(MessageBoxConstants.activity.ACTIVITY_MENTION, {
+  // "Branden Visser mentioned you in 3 messages"
+  groupBy: [{ actor: true, target: true }],
+  streams: {
+    notification: {
+      router: {
+        // Notify the mentioned user, regardless of whether they are a member of the resource
+        target: ['self']
+      }
+    },
+    email: {
+      router: {
+        target: ['self']
+      }
+    }
+  }
+});
+
+/**
+ * Post a mention activity for each user that is mentioned in a message
+ *
+ * @param  {Context}                ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Message}                message             The message in which the users were mentioned
+ * @param  {ActivitySeedResource}   objectResource      The activity seed resource that represents the message
+ */
+const postMentionActivities = function(ctx, message, objectResource) {
+  const millis = Date.now();
+  const actorResource = new ActivityModel.ActivitySeedResource('user', ctx.user().id, {
+    user: ctx.user()
+  });
+
+  _.each(message.mentions, userId => {
+    // Mentioning yourself does not result in a notification
+    if (userId === ctx.user().id) {
+      return;
+    }
+
+    const targetResource = new ActivityModel.ActivitySeedResource('user', userId);
+    const activitySeed = new ActivityModel.ActivitySeed(
+      MessageBoxConstants.activity.ACTIVITY_MENTION,
+      millis,
+      ActivityConstants.verbs.MENTION,
+      actorResource,
+      objectResource,
+      targetResource
+    );
+    ActivityAPI.postActivity(ctx, activitySeed);
+  });
+};
+
+export { postMentionActivities };
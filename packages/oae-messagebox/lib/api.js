@@ -143,6 +143,7 @@ const replaceLinks = function(body) {
  * @param  {String}     body                    The body of the message
  * @param  {Object}     [opts]                  Additional optional message attributes
  * @param  {String}     [opts.replyToCreated]   The timestamp (millis since the epoch) that the message to which this is a reply (if applicable) was created
+ * @param  {String[]}   [opts.mentions]         The ids of the users that are mentioned in the message, as resolved by `MessageBoxUtil.getMentionedUsers`
  * @param  {Function}   [callback]              Invoked when the process completes
  * @param  {Object}     [callback.err]          An error that occurred, if any
  * @param  {Message}    [callback.message]      The message model object that was persisted
@@ -186,6 +187,13 @@ const createMessage = function(messageBoxId, createdBy, body, opts, callback) {
       code: 400,
       msg: 'If the replyToCreated optional parameter is specified, it cannot be in the future.'
     })(new Date(parseInt(opts.replyToCreated, 10)));
+
+    _.each(opts.mentions, userId => {
+      unless(isUserId, {
+        code: 400,
+        msg: 'A mentioned user must be identified by a valid user id.'
+      })(userId);
+    });
   } catch (error) {
     return callback(error);
   }
@@ -232,6 +240,9 @@ const createMessage = function(messageBoxId, createdBy, body, opts, callback) {
         body: bodyWithLinks,
         threadKey
       };
+      if (!_.isEmpty(opts.mentions)) {
+        messageStorageHash.mentions = JSON.stringify(_.uniq(opts.mentions));
+      }
 
       // Create the query that creates the message object
       const createMessageQuery = Cassandra.constructUpsertCQL('Messages', 'id', messageId, messageStorageHash);
@@ -310,13 +321,15 @@ const _lockUniqueTimestamp = function(id, timestamp, callback) {
 };
 
 /**
- * Update the content body of a message.
+ * Update the content body of a message. The body that is being replaced is kept in the edit history of the
+ * message, @see #getMessageEdits
  *
- * @param  {String}         messageBoxId    The id message whose body we will update
- * @param  {String|Number}  created         The created timestamp (in millis since epoch) that we wish to update
- * @param  {String}         newBody         The new message content to push to the body
- * @param  {Function}       callback        Standard callback function
- * @param  {Object}         callback.err    An error that occurred, if any
+ * @param  {String}         messageBoxId        The id message whose body we will update
+ * @param  {String|Number}  created             The created timestamp (in millis since epoch) that we wish to update
+ * @param  {String}         newBody             The new message content to push to the body
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Message}        callback.message    The updated message
  */
 const updateMessageBody = function(messageBoxId, created, newBody, callback) {
   try {
@@ -354,18 +367,88 @@ const updateMessageBody = function(messageBoxId, created, newBody, callback) {
   }
 
   const messageId = _createMessageId(messageBoxId, created);
+  getMessagesById([messageId], { scrubDeleted: false }, (err, messages) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const message = messages[0];
+    if (!message) {
+      return callback({ code: 404, msg: 'The specified message does not exist' });
+    }
+
+    if (message.deleted) {
+      return callback({ code: 400, msg: 'A deleted message cannot be updated' });
+    }
+
+    // Replace absolute OAE links with relative ones to avoid cross-tenant
+    // permission issues
+    const body = replaceLinks(newBody);
+    const edited = Date.now().toString();
+
+    // Keep the body that is being replaced in the edit history of the message
+    const queries = [
+      {
+        query: 'INSERT INTO "MessageEdits" ("messageId", "edited", "body") VALUES (?, ?, ?)',
+        parameters: [messageId, edited, message.body]
+      },
+      {
+        query: 'UPDATE "Messages" SET "body" = ?, "edited" = ? WHERE "id" = ?',
+        parameters: [body, edited, messageId]
+      }
+    ];
+    Cassandra.runBatchQuery(queries, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      const updatedMessage = _.extend({}, message, { body, edited });
+      MessageBoxAPI.emit(MessageBoxConstants.events.UPDATED_MESSAGE, messageId, newBody);
+      return callback(null, updatedMessage);
+    });
+  });
+};
 
-  // Replace absolute OAE links with relative ones to avoid cross-tenant
-  // permission issues
-  const body = replaceLinks(newBody);
+/**
+ * Get the edit history of a message. The history contains every body the message had before it was
+ * edited, ordered from the oldest to the most recent edit. The current body of the message is not
+ * part of its edit history.
+ *
+ * It's up to the caller to perform the necessary permission checks.
+ *
+ * @param  {String}         messageBoxId        The id of the message box that holds the message
+ * @param  {String|Number}  created             The timestamp (millis since the epoch) of the message whose edit history to get
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {MessageEdit[]}  callback.edits      The previous versions of the body of the message
+ */
+const getMessageEdits = function(messageBoxId, created, callback) {
+  try {
+    unless(isNotNull, {
+      code: 400,
+      msg: 'A messageBoxId must be specified.'
+    })(messageBoxId);
 
-  Cassandra.runQuery('UPDATE "Messages" SET "body" = ? WHERE "id" = ?', [body, messageId], err => {
+    unless(compose(isANumber, toInt, String), {
+      code: 400,
+      msg: 'The created parameter must be a valid timestamp (integer).'
+    })(created);
+  } catch (error) {
+    return callback(error);
+  }
+
+  const messageId = _createMessageId(messageBoxId, created);
+  Cassandra.runQuery('SELECT "edited", "body" FROM "MessageEdits" WHERE "messageId" = ?', [messageId], (err, rows) => {
     if (err) {
       return callback(err);
     }
 
-    MessageBoxAPI.emit(MessageBoxConstants.events.UPDATED_MESSAGE, messageId, newBody);
-    callback();
+    const edits = _.map(rows, row => {
+      row = Cassandra.rowToHash(row);
+      return new MessageBoxModel.MessageEdit(messageId, row.body, row.edited);
+    });
+
+    return callback(null, edits);
   });
 };
 
@@ -817,8 +900,12 @@ const _softDelete = function(message, callback) {
   const messageId = message.id;
   const deletedTimestamp = Date.now().toString();
 
-  // Set the deleted flag to the current timestamp
-  Cassandra.runQuery('UPDATE "Messages" SET "deleted" = ? WHERE "id" = ?', [deletedTimestamp, messageId], err => {
+  // Set the deleted flag to the current timestamp and drop the previous versions of the body, so they don't outlive it
+  const queries = [
+    { query: 'UPDATE "Messages" SET "deleted" = ? WHERE "id" = ?', parameters: [deletedTimestamp, messageId] },
+    { query: 'DELETE FROM "MessageEdits" WHERE "messageId" = ?', parameters: [messageId] }
+  ];
+  Cassandra.runBatchQuery(queries, err => {
     if (err) {
       return callback(err);
     }
@@ -881,7 +968,8 @@ const _storageHashToMessage = function(messageId, hash) {
   // Use threadKey as a slug column to ensure that this hash was an existing message
   if (hash.threadKey) {
     const messageBoxId = _parseMessageBoxIdFromMessageId(messageId);
-    const { threadKey, deleted, body, createdBy } = hash;
+    const { threadKey, deleted, body, createdBy, edited } = hash;
+    const mentions = hash.mentions ? JSON.parse(hash.mentions) : [];
     const created = _parseCreatedFromThreadKey(threadKey);
     const level = _getLevelFromThreadKey(threadKey);
     const replyTo = _parseReplyToTimestampFromThreadKey(threadKey);
@@ -894,7 +982,9 @@ const _storageHashToMessage = function(messageId, hash) {
       created,
       level,
       replyTo,
-      deleted
+      deleted,
+      edited,
+      mentions
     );
   }
 
@@ -1014,6 +1104,7 @@ export {
   replaceLinks,
   createMessage,
   updateMessageBody,
+  getMessageEdits,
   getMessagesFromMessageBox,
   getMessages,
   getMessagesById,
@@ -37,9 +37,15 @@ MessageBoxConstants.events = {
  * Constants that get used in activity entities
  */
 MessageBoxConstants.activity = {
+  ACTIVITY_MENTION: 'mention',
   PROP_OAE_MESSAGE_BOX_ID: 'oae:messageBoxId',
   PROP_OAE_THREAD_KEY: 'oae:threadKey',
   IN_REPLY_TO: 'inReplyTo'
 };
 
+MessageBoxConstants.mentions = {
+  // The maximum number of users that can be mentioned in a single message
+  MAX_MENTIONS: 25
+};
+
 export { MessageBoxConstants };
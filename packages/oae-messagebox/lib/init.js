@@ -13,6 +13,9 @@
  * permissions and limitations under the License.
  */
 
+// eslint-disable-next-line no-unused-vars
+import * as MessageBoxActivity from './activity';
+
 export function init(config, callback) {
   return callback();
 }
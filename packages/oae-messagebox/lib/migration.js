@@ -1,4 +1,4 @@
-import { createColumnFamilies } from 'oae-util/lib/cassandra';
+import { createColumnFamilies, runQuery } from 'oae-util/lib/cassandra';
 
 /*
  * Ensure that the all of the messages column families are created. If they already exist, this method will not do anything
@@ -17,9 +17,22 @@ const ensureSchema = function(callback) {
       MessageBoxMessagesDeleted:
         'CREATE TABLE "MessageBoxMessagesDeleted" ("messageBoxId" text, "createdTimestamp" text, "value" text, PRIMARY KEY ("messageBoxId", "createdTimestamp")) WITH COMPACT STORAGE',
       MessageBoxRecentContributions:
-        'CREATE TABLE "MessageBoxRecentContributions" ("messageBoxId" text, "contributorId" text, "value" text, PRIMARY KEY ("messageBoxId", "contributorId")) WITH COMPACT STORAGE'
+        'CREATE TABLE "MessageBoxRecentContributions" ("messageBoxId" text, "contributorId" text, "value" text, PRIMARY KEY ("messageBoxId", "contributorId")) WITH COMPACT STORAGE',
+      MessageEdits:
+        'CREATE TABLE "MessageEdits" ("messageId" text, "edited" text, "body" text, PRIMARY KEY ("messageId", "edited"))'
     },
-    callback
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Adding a column that already exists fails, which can safely be ignored
+      runQuery('ALTER TABLE "Messages" ADD "edited" text;', [], () => {
+        runQuery('ALTER TABLE "Messages" ADD "mentions" text;', [], () => {
+          callback();
+        });
+      });
+    }
   );
 };
 
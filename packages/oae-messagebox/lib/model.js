@@ -50,8 +50,22 @@
  * @param  {Number}         level           The depth of the message (e.g., top-level message is 0, reply to a top-level message is 1, etc...)
  * @param  {String}         [replyTo]       The id of the message to which this message is a reply, if any
  * @param  {Number}         [deleted]       If the message is soft-deleted, this value will hold the timestamp (millis since the epoch) that it was deleted
+ * @param  {String|Number}  [edited]        If the body of the message has been edited, this value will hold the timestamp (millis since the epoch) of the last edit
+ * @param  {String[]}       [mentions]      The ids of the users that are mentioned in the message
  */
-const Message = function(id, messageBoxId, threadKey, body, createdBy, created, level, replyTo, deleted) {
+const Message = function(
+  id,
+  messageBoxId,
+  threadKey,
+  body,
+  createdBy,
+  created,
+  level,
+  replyTo,
+  deleted,
+  edited,
+  mentions
+) {
   const that = {};
   that.id = id;
   that.messageBoxId = messageBoxId;
@@ -62,7 +76,24 @@ const Message = function(id, messageBoxId, threadKey, body, createdBy, created,
   that.level = level;
   that.replyTo = replyTo;
   that.deleted = deleted;
+  that.edited = edited;
+  that.mentions = mentions;
   return that;
 };
 
-export { Message };
+/**
+ * A previous version of the body of a message, kept when the body of the message was edited
+ *
+ * @param  {String}         messageId       The id of the message that was edited
+ * @param  {String}         body            The body of the message before it was edited
+ * @param  {String|Number}  edited          The timestamp (millis since the epoch) at which this body was replaced
+ */
+const MessageEdit = function(messageId, body, edited) {
+  const that = {};
+  that.messageId = messageId;
+  that.body = body;
+  that.edited = edited;
+  return that;
+};
+
+export { Message, MessageEdit };
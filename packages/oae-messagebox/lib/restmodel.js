@@ -23,7 +23,10 @@
  * @Property    {number}        level                   The depth of the message. The top level is `0`
  * @Property    {BasicUser}     createdBy               The user who created the message
  * @Property    {string}        deleted                 The timestamp (millis since epoch) at which the message was soft deleted
+ * @Property    {string}        edited                  The timestamp (millis since epoch) at which the body of the message was last edited
  * @Property    {string}        messageBoxId            The id of the message box in which this message is contained
+ * @Property    {string[]}      mentions                The ids of the users that are mentioned in the message
+ * @Property    {Reactions}     reactions               The reactions on the message
  * @Property    {string}        replyTo                 The timestamp of the message to which this message is a reply
  * @Property    {string}        threadKey               The thread key for the message
  */
@@ -35,3 +38,12 @@
  * @Property    {string}        nextToken               The message paging token needed to retrieve the next set of messages
  * @Property    {Message[]}     results                 List of messages
  */
+
+/**
+ * @RESTModel MessageEdit
+ *
+ * @Required    [body,edited,messageId]
+ * @Property    {string}        body                    The body of the message before it was edited
+ * @Property    {string}        edited                  The timestamp (millis since epoch) at which this body was replaced
+ * @Property    {string}        messageId               The id of the message that was edited
+ */
@@ -19,11 +19,89 @@ import _ from 'underscore';
 import * as ActivityModel from 'oae-activity/lib/model';
 import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
 import * as PrincipalsUtil from 'oae-principals/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+import * as TenantsUtil from 'oae-tenants/lib/util';
 import { ActivityConstants } from 'oae-activity/lib/constants';
 import * as MessageBoxAPI from './api';
 
 import { MessageBoxConstants } from './constants';
 
+// A regex that will find user mentions in a body. A mention is a markdown link to the profile
+// of a user prefixed with an `@`, e.g., `@[Branden Visser](/user/cam/abc123)`
+const REGEXP_MENTION = /@\[[^\]\r\n]*\]\(\/user\/([^/\s()]+)\/([^/\s()]+)\)/g;
+
+/**
+ * Parse the ids of the users that are mentioned in a message body. Absolute links to the profile
+ * of a user are converted to relative links first, so both `@[Name](https://tenant/user/cam/abc123)`
+ * and `@[Name](/user/cam/abc123)` will result in a mention of the user `u:cam:abc123`
+ *
+ * @param  {String}     body    The body of the message in which to look for mentions
+ * @return {String[]}           The unique ids of the users that are mentioned in the body, in order of appearance
+ */
+const parseMentions = function(body) {
+  const userIds = [];
+  const bodyWithLinks = MessageBoxAPI.replaceLinks(body);
+
+  let match = REGEXP_MENTION.exec(bodyWithLinks);
+  while (match) {
+    userIds.push(util.format('u:%s:%s', match[1], match[2]));
+    match = REGEXP_MENTION.exec(bodyWithLinks);
+  }
+
+  return _.first(_.uniq(userIds), MessageBoxConstants.mentions.MAX_MENTIONS);
+};
+
+/**
+ * Resolve the users that are mentioned in a message body. Mentions of users that don't exist, have
+ * been deleted, live on a tenant the current user cannot interact with or have a profile the current
+ * user cannot see are silently dropped
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     body                The body of the message in which to look for mentions
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {User[]}     callback.users      The mentioned users, in order of appearance
+ */
+const getMentionedUsers = function(ctx, body, callback) {
+  const userIds = parseMentions(body);
+  if (_.isEmpty(userIds)) {
+    return callback(null, []);
+  }
+
+  PrincipalsUtil.getPrincipals(ctx, userIds, (err, principals) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const tenantAlias = ctx.tenant().alias;
+    const nonInteractingTenants = TenantsAPI.getNonInteractingTenants();
+    const users = _.chain(userIds)
+      .map(userId => {
+        return principals[userId];
+      })
+      .filter(user => {
+        if (!user || !PrincipalsUtil.isUser(user.id) || user.deleted) {
+          return false;
+        }
+
+        // Users on a tenant we can't interact with can't be mentioned
+        const userTenantAlias = user.tenant.alias;
+        if (
+          userTenantAlias !== tenantAlias &&
+          (nonInteractingTenants[userTenantAlias] || !TenantsUtil.canInteract(tenantAlias, userTenantAlias))
+        ) {
+          return false;
+        }
+
+        // The profile path is scrubbed from users whose profile the current user is not allowed to see
+        return Boolean(user.profilePath);
+      })
+      .value();
+
+    return callback(null, users);
+  });
+};
+
 /**
  * Creates a bare activity entity that is appropriate for a message.
  * It's up to the caller to specify the `objectType` or any other data that needs to be specified.
@@ -173,6 +251,8 @@ const transformPersistentMessageActivityEntityToInternal = function(ctx, message
 };
 
 export {
+  parseMentions,
+  getMentionedUsers,
   createPersistentMessageActivityEntity,
   transformPersistentMessageActivityEntity,
   transformPersistentMessageActivityEntityToInternal
@@ -511,6 +511,88 @@ describe('Messagebox', () => {
     });
   });
 
+  describe('#getMessageEdits', () => {
+    /**
+     * Test that verifies the previous bodies of a message are kept in its edit history
+     */
+    it('verify edits are kept in the edit history of a message', callback => {
+      const messageBoxId = util.format('msg-box-test-%s', ShortId.generate());
+      MessageBoxAPI.createMessage(messageBoxId, 'u:camtest:foo', 'alfa', {}, (err, message) => {
+        assert.ok(!err);
+        assert.ok(!message.edited);
+
+        // A message that was never edited has no edit history
+        MessageBoxAPI.getMessageEdits(messageBoxId, message.created, (err, edits) => {
+          assert.ok(!err);
+          assert.strictEqual(edits.length, 0);
+
+          MessageBoxAPI.updateMessageBody(messageBoxId, message.created, 'beta', (err, updatedMessage) => {
+            assert.ok(!err);
+            assert.strictEqual(updatedMessage.body, 'beta');
+            assert.ok(updatedMessage.edited);
+
+            MessageBoxAPI.updateMessageBody(messageBoxId, message.created, 'charlie', err => {
+              assert.ok(!err);
+
+              // The edited marker is persisted on the message
+              MessageBoxAPI.getMessagesFromMessageBox(messageBoxId, null, null, null, (err, messages) => {
+                assert.ok(!err);
+                verifyMessage(message.id, 'charlie', null, messages);
+                assert.ok(messages[0].edited);
+
+                // The edit history holds the previous bodies, oldest first
+                MessageBoxAPI.getMessageEdits(messageBoxId, message.created, (err, edits) => {
+                  assert.ok(!err);
+                  assert.strictEqual(edits.length, 2);
+                  assert.strictEqual(edits[0].messageId, message.id);
+                  assert.strictEqual(edits[0].body, 'alfa');
+                  assert.strictEqual(edits[1].body, 'beta');
+                  assert.ok(edits[0].edited <= edits[1].edited);
+                  return callback();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies deleted messages can't be edited and lose their edit history
+     */
+    it('verify deleted messages cannot be edited', callback => {
+      const messageBoxId = util.format('msg-box-test-%s', ShortId.generate());
+      MessageBoxAPI.createMessage(messageBoxId, 'u:camtest:foo', 'alfa', {}, (err, message) => {
+        assert.ok(!err);
+        MessageBoxAPI.createMessage(
+          messageBoxId,
+          'u:camtest:foo',
+          'reply',
+          { replyToCreated: message.created },
+          err => {
+            assert.ok(!err);
+            MessageBoxAPI.updateMessageBody(messageBoxId, message.created, 'beta', err => {
+              assert.ok(!err);
+
+              // Soft delete the message, which scrubs its body
+              MessageBoxAPI.deleteMessage(messageBoxId, message.created, { deleteType: 'soft' }, err => {
+                assert.ok(!err);
+                MessageBoxAPI.updateMessageBody(messageBoxId, message.created, 'charlie', err => {
+                  assert.strictEqual(err.code, 400);
+                  MessageBoxAPI.getMessageEdits(messageBoxId, message.created, (err, edits) => {
+                    assert.ok(!err);
+                    assert.strictEqual(edits.length, 0);
+                    return callback();
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+
   describe('#getMessagesFromMessageBox', () => {
     /**
      * Simple parameter validation test case.
@@ -16,6 +16,22 @@
 import * as Fields from 'oae-config/lib/fields';
 
 export const title = 'OAE Preview Processor Module';
+export const ocr = {
+  name: 'Text recognition',
+  description: 'Recognise the text of scanned PDF files and images so they can be searched and read by screen readers',
+  elements: {
+    enabled: new Fields.Bool(
+      'Enabled',
+      'Whether or not the text of PDF files without a text layer and of images should be recognised',
+      false
+    ),
+    languages: new Fields.Text(
+      'Languages',
+      'The tesseract codes of the languages to recognise, separated by a "+" (e.g., "eng+fra")',
+      'eng'
+    )
+  }
+};
 export const slideshare = {
   name: 'SlideShare configuration',
   description: 'Configuration for the SlideShare retriever',
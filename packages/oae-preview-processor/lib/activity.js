@@ -63,6 +63,7 @@ ActivityAPI.registerActivityEntityType('system', {
       return callback(null, activityEntities);
     }
   },
+  activityStreams2Type: 'Application',
   propagation(associationsCtx, entity, callback) {
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
   }
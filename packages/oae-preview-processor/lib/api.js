@@ -23,10 +23,14 @@ import * as MQ from 'oae-util/lib/mq';
 
 import { telemetry } from 'oae-telemetry';
 
+import * as OCR from 'oae-preview-processor/lib/internal/ocr';
+
 // OAE Processors
 import * as ImagesProcessor from 'oae-preview-processor/lib/processors/file/images';
+import * as MediaProcessor from 'oae-preview-processor/lib/processors/file/media';
 import * as OfficeProcessor from 'oae-preview-processor/lib/processors/file/office';
 import * as PDFProcessor from 'oae-preview-processor/lib/processors/file/pdf';
+import * as TextProcessor from 'oae-preview-processor/lib/processors/file/text';
 import * as DefaultLinkProcessor from 'oae-preview-processor/lib/processors/link/default';
 import * as FlickrLinkProcessor from 'oae-preview-processor/lib/processors/link/flickr';
 import * as SlideShareLinkProcessor from 'oae-preview-processor/lib/processors/link/slideshare';
@@ -759,7 +763,19 @@ const _initializeDefaultProcessors = function(callback) {
             return callback(err);
           }
 
-          return callback();
+          MediaProcessor.init(config.previews.media, err => {
+            if (err) {
+              return callback(err);
+            }
+
+            TextProcessor.init(config.previews, err => {
+              if (err) {
+                return callback(err);
+              }
+
+              return OCR.init(config.previews.ocr, callback);
+            });
+          });
         });
       });
     });
@@ -773,8 +789,10 @@ const _initializeDefaultProcessors = function(callback) {
  */
 const _registerDefaultProcessors = function() {
   registerProcessor('oae-file-images', ImagesProcessor);
+  registerProcessor('oae-file-media', MediaProcessor);
   registerProcessor('oae-file-office', OfficeProcessor);
   registerProcessor('oae-file-pdf', PDFProcessor);
+  registerProcessor('oae-file-text', TextProcessor);
 
   registerProcessor('oae-link-default', DefaultLinkProcessor);
   registerProcessor('oae-link-flickr', FlickrLinkProcessor);
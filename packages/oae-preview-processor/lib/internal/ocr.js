@@ -0,0 +1,160 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { exec } from 'child_process';
+import util from 'util';
+import gm from 'gm';
+import _ from 'underscore';
+
+import { setUpConfig } from 'oae-config';
+import { logger } from 'oae-logger';
+
+const log = logger('oae-preview-processor');
+
+const PreviewConfig = setUpConfig('oae-preview-processor');
+
+// The maximum number of pages of a PDF file whose text is recognised
+const MAX_PAGES = 50;
+
+// The resolution at which the pages of a PDF file are rendered for recognition
+const PDF_DENSITY = 300;
+
+let _binary = null;
+let _timeout = null;
+
+/**
+ * Inits the optical character recognition. This method will check if the tesseract binary can be executed. As
+ * tenants have to enable the recognition explicitly, a missing binary is not considered to be an error. Instead,
+ * no text will be recognised for any of the tenants.
+ *
+ * @param  {Object}     config              The config object containing the path to the tesseract binary and the maximum duration for when the process should be killed
+ * @param  {String}     config.binary       The path to the tesseract executable. This should either be a direct path or the filename that's on the `PATH` environment
+ * @param  {Number}     config.timeout      Specifies the time (in ms) when the process is considered to be hanging and should be killed
+ * @param  {Function}   callback            Standard callback function
+ */
+const init = function(config, callback) {
+  _binary = null;
+  if (!config || !config.binary || !config.timeout) {
+    log().warn('Missing configuration for the optical character recognition, no text will be recognised');
+    return callback();
+  }
+
+  const cmd = util.format('"%s" --version', config.binary);
+  exec(cmd, { timeout: config.timeout }, (err, stdout, stderr) => {
+    if (err) {
+      log().warn({ err, stdout, stderr }, 'Could not execute %s, no text will be recognised', cmd);
+      return callback();
+    }
+
+    _binary = config.binary;
+    _timeout = config.timeout;
+    return callback();
+  });
+};
+
+/**
+ * Whether or not the text of scanned documents and images should be recognised for a tenant
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant to which the content item belongs
+ * @return {Boolean}                    `true` if the text should be recognised
+ */
+const isEnabled = function(tenantAlias) {
+  return Boolean(_binary) && PreviewConfig.getValue(tenantAlias, 'ocr', 'enabled');
+};
+
+/**
+ * Recognise the text in an image
+ *
+ * @param  {PreviewContext}     ctx             The preview context associated to the file
+ * @param  {String}             path            The path to the image
+ * @param  {Function}           callback        Standard callback function
+ * @param  {Object}             callback.err    An error that occurred, if any
+ * @param  {String}             callback.text   The recognised text, with the whitespace collapsed
+ */
+const recognizeImage = function(ctx, path, callback) {
+  const languages = _getLanguages(ctx.content.tenant.alias);
+  const cmd = util.format('"%s" "%s" stdout -l %s', _binary, path, languages);
+  log().trace({ contentId: ctx.contentId }, 'Executing %s', cmd);
+  exec(cmd, { timeout: _timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+    if (err) {
+      log().error({ err, contentId: ctx.contentId, stderr }, 'Could not recognise the text in an image');
+      return callback({ code: 500, msg: 'Could not recognise the text in an image' });
+    }
+
+    return callback(null, stdout.replace(/\s+/g, ' ').trim());
+  });
+};
+
+/**
+ * Recognise the text on the pages of a PDF file. Only the first 50 pages are recognised.
+ *
+ * @param  {PreviewContext}     ctx                 The preview context associated to the file
+ * @param  {String}             pdfPath             The path to the PDF file
+ * @param  {String}             pagesDir            The directory in which the pages can be rendered
+ * @param  {Number}             numPages            The number of pages in the PDF file
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {String[]}           callback.pageTexts  The recognised text of each page
+ */
+const recognizePdf = function(ctx, pdfPath, pagesDir, numPages, callback, _pageTexts) {
+  _pageTexts = _pageTexts || [];
+  if (_pageTexts.length >= Math.min(numPages, MAX_PAGES)) {
+    return callback(null, _pageTexts);
+  }
+
+  // Render the page as a grayscale image, which is what tesseract works best with
+  const pageNum = _pageTexts.length + 1;
+  const imagePath = util.format('%s/ocr.%s.png', pagesDir, pageNum);
+  gm(util.format('%s[%s]', pdfPath, pageNum - 1))
+    .define('pdf:use-cropbox=true')
+    .density(PDF_DENSITY, PDF_DENSITY)
+    .type('Grayscale')
+    .write(imagePath, err => {
+      if (err) {
+        log().error({ err, contentId: ctx.contentId }, 'Could not convert a PDF page to a PNG for recognition');
+        return callback({ code: 500, msg: 'Could not convert a PDF page to a PNG for recognition' });
+      }
+
+      recognizeImage(ctx, imagePath, (err, text) => {
+        if (err) {
+          return callback(err);
+        }
+
+        _pageTexts.push(text);
+        return recognizePdf(ctx, pdfPath, pagesDir, numPages, callback, _pageTexts);
+      });
+    });
+};
+
+/**
+ * Get the tesseract languages that are configured for a tenant
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant
+ * @return {String}                     The languages, joined by a `+` (e.g., `eng+fra`). If the configured value is invalid, `eng` is returned
+ * @api private
+ */
+const _getLanguages = function(tenantAlias) {
+  const languages = _.compact((PreviewConfig.getValue(tenantAlias, 'ocr', 'languages') || '').split(/[\s,+]+/));
+  const valid = _.every(languages, language => {
+    return /^[a-z_]+$/i.test(language);
+  });
+  if (_.isEmpty(languages) || !valid) {
+    return 'eng';
+  }
+
+  return languages.join('+');
+};
+
+export { init, isEnabled, recognizeImage, recognizePdf };
@@ -13,9 +13,17 @@
  * permissions and limitations under the License.
  */
 
+import fs from 'fs';
+import { logger } from 'oae-logger';
+
 import PreviewConstants from 'oae-preview-processor/lib/constants';
+import * as OCR from 'oae-preview-processor/lib/internal/ocr';
 import * as PreviewUtil from 'oae-preview-processor/lib/util';
 
+const log = logger('oae-preview-processor');
+
+const TXT_CONTENT_FILENAME = 'plain.txt';
+
 /**
  * @borrows Interface.test as Images.test
  */
@@ -34,7 +42,42 @@ const generatePreviews = function(ctx, contentObj, callback) {
       return callback(err);
     }
 
-    PreviewUtil.generatePreviewsFromImage(ctx, path, {}, callback);
+    _recognizeText(ctx, path, () => {
+      PreviewUtil.generatePreviewsFromImage(ctx, path, {}, callback);
+    });
+  });
+};
+
+/**
+ * Recognise the text in an image and store it as the plain text of the revision, if the tenant enabled text
+ * recognition. As the text is a nice-to-have, a failed recognition is logged but does not fail the preview generation.
+ *
+ * @param  {PreviewContext}     ctx         The preview context associated to this file
+ * @param  {String}             path        The path to the image
+ * @param  {Function}           callback    Standard callback function
+ * @api private
+ */
+const _recognizeText = function(ctx, path, callback) {
+  if (!OCR.isEnabled(ctx.content.tenant.alias)) {
+    return callback();
+  }
+
+  OCR.recognizeImage(ctx, path, (err, text) => {
+    if (err || !text) {
+      return callback();
+    }
+
+    const output = ctx.baseDir + '/' + TXT_CONTENT_FILENAME;
+    fs.writeFile(output, text, err => {
+      if (err) {
+        log().error({ err, contentId: ctx.contentId }, 'Could not store the recognised text of an image');
+        return callback();
+      }
+
+      ctx.addPreview(output, 'txt');
+      ctx.addPreviewMetadata('ocr', true);
+      return callback();
+    });
   });
 };
 
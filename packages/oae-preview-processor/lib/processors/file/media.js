@@ -0,0 +1,361 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { exec } from 'child_process';
+import util from 'util';
+import _ from 'underscore';
+import PreviewConstants from 'oae-preview-processor/lib/constants';
+import * as PreviewUtil from 'oae-preview-processor/lib/util';
+
+import { logger } from 'oae-logger';
+
+const log = logger('oae-preview-processor');
+
+// The maximum width of the web-playable video rendition
+const RENDITION_MAX_WIDTH = 1280;
+
+// The dimensions of the waveform image that is generated for files with an audio track
+const WAVEFORM_WIDTH = 1200;
+const WAVEFORM_HEIGHT = 400;
+
+let _ffmpegBinary = null;
+let _ffprobeBinary = null;
+let _timeout = null;
+
+/**
+ * Inits the Media Processor.
+ * This method will check if the ffmpeg and ffprobe binaries can be executed.
+ *
+ * @param  {Object}     config                  The config object containing the paths to the ffmpeg binaries and the maximum duration for when the process should be killed
+ * @param  {String}     config.ffmpegBinary     The path to the ffmpeg executable. This should either be a direct path or the filename that's on the `PATH` environment
+ * @param  {String}     config.ffprobeBinary    The path to the ffprobe executable. This should either be a direct path or the filename that's on the `PATH` environment
+ * @param  {Number}     config.timeout          Specifies the time (in ms) when a transcoding process is considered to be hanging and should be killed
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ */
+const init = function(config, callback) {
+  if (!config || !config.ffmpegBinary || !config.ffprobeBinary || !config.timeout) {
+    return callback({
+      code: 400,
+      msg:
+        'Missing configuration for the Media Preview Processor, required fields are `ffmpegBinary`, `ffprobeBinary` and `timeout`.'
+    });
+  }
+
+  _verifyBinary(config.ffmpegBinary, config.timeout, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    _verifyBinary(config.ffprobeBinary, config.timeout, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      _ffmpegBinary = config.ffmpegBinary;
+      _ffprobeBinary = config.ffprobeBinary;
+      _timeout = config.timeout;
+
+      return callback();
+    });
+  });
+};
+
+/**
+ * @borrows Interface.test as Media.test
+ */
+const test = function(ctx, contentObj, callback) {
+  const { mime } = ctx.revision;
+  const mediaTypeIsValid = PreviewConstants.TYPES.VIDEO.includes(mime) || PreviewConstants.TYPES.AUDIO.includes(mime);
+  callback(null, PreviewUtil.test(contentObj, mediaTypeIsValid));
+};
+
+/**
+ * Generates the previews for an audio or video file. The following items are generated:
+ *
+ *  - A web-playable rendition. Video files are transcoded to an H.264/AAC MP4 file, audio files to an AAC M4A file
+ *  - A waveform image of the audio track, if there is one
+ *  - A poster frame for video files. The poster frame (or the waveform for audio files) is used to generate the thumbnail and the regular image previews
+ *
+ * The duration (in seconds) and, for video files, the resolution are stored in the preview metadata.
+ *
+ * @borrows Interface.generatePreviews as Media.generatePreviews
+ */
+const generatePreviews = function(ctx, contentObj, callback) {
+  log().trace({ contentId: ctx.contentId }, 'Processing as media file.');
+
+  // Download the file
+  ctx.download((err, path) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _probe(ctx, path, (err, info) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!info.hasVideo && !info.hasAudio) {
+        log().warn({ contentId: ctx.contentId }, 'The media file has no audio or video stream.');
+        return callback({ code: 500, msg: 'The media file has no audio or video stream' });
+      }
+
+      if (info.duration) {
+        ctx.addPreviewMetadata('duration', info.duration);
+      }
+
+      if (info.hasVideo) {
+        ctx.addPreviewMetadata('width', info.width);
+        ctx.addPreviewMetadata('height', info.height);
+      }
+
+      _generateWaveform(ctx, path, info, (err, waveformPath) => {
+        if (err) {
+          return callback(err);
+        }
+
+        _generateRendition(ctx, path, info, err => {
+          if (err) {
+            return callback(err);
+          }
+
+          // Audio files have no frames, so their waveform doubles as the image the thumbnail is generated from
+          if (!info.hasVideo) {
+            return PreviewUtil.generatePreviewsFromImage(ctx, waveformPath, null, callback);
+          }
+
+          _extractPosterFrame(ctx, path, info, (err, posterPath) => {
+            if (err) {
+              return callback(err);
+            }
+
+            return PreviewUtil.generatePreviewsFromImage(ctx, posterPath, null, callback);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Verify that a binary can be executed by asking it for its version
+ *
+ * @param  {String}     binary          The path to the binary to verify
+ * @param  {Number}     timeout         The time (in ms) after which the process should be killed
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const _verifyBinary = function(binary, timeout, callback) {
+  const cmd = util.format('"%s" -version', binary);
+  log().info('Executing %s to verify if the path to the media binary is correct.', cmd);
+  exec(cmd, { timeout }, (err, stdout, stderr) => {
+    if (err) {
+      log().error({ err, stdout, stderr }, 'Could not execute %s, please ensure ffmpeg is installed properly', cmd);
+      return callback({ code: 500, msg: 'The path for the ffmpeg or ffprobe binary is misconfigured' });
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Retrieve the duration and the streams of a media file
+ *
+ * @param  {PreviewContext}     ctx                     The preview context associated to this file
+ * @param  {String}             path                    The path to the media file
+ * @param  {Function}           callback                Standard callback function
+ * @param  {Object}             callback.err            An error that occurred, if any
+ * @param  {Object}             callback.info           Information about the media file
+ * @param  {Number}             callback.info.duration  The duration of the media file in seconds, if it could be determined
+ * @param  {Boolean}            callback.info.hasAudio  Whether or not the media file has an audio stream
+ * @param  {Boolean}            callback.info.hasVideo  Whether or not the media file has a video stream
+ * @param  {Number}             callback.info.width     The width of the video stream, if any
+ * @param  {Number}             callback.info.height    The height of the video stream, if any
+ * @api private
+ */
+const _probe = function(ctx, path, callback) {
+  const cmd = util.format('"%s" -v error -print_format json -show_format -show_streams "%s"', _ffprobeBinary, path);
+  log().trace({ contentId: ctx.contentId }, 'Executing %s', cmd);
+  exec(cmd, { timeout: _timeout }, (err, stdout, stderr) => {
+    if (err) {
+      log().error({ err, contentId: ctx.contentId, stderr }, 'Could not probe the media file.');
+      return callback({ code: 500, msg: 'Could not probe the media file' });
+    }
+
+    let probe = null;
+    try {
+      probe = JSON.parse(stdout);
+    } catch (error) {
+      log().error({ err: error, contentId: ctx.contentId }, 'Could not parse the output of ffprobe.');
+      return callback({ code: 500, msg: 'Could not probe the media file' });
+    }
+
+    const streams = probe.streams || [];
+    const audioStream = _.find(streams, stream => {
+      return stream.codec_type === 'audio';
+    });
+
+    // Embedded cover art shows up as a video stream with a single frame, it should not turn an audio file into a video
+    const videoStream = _.find(streams, stream => {
+      return stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic);
+    });
+
+    const info = {
+      duration: _parseDuration(probe.format && probe.format.duration),
+      hasAudio: Boolean(audioStream),
+      hasVideo: Boolean(videoStream)
+    };
+    if (videoStream) {
+      info.width = videoStream.width;
+      info.height = videoStream.height;
+    }
+
+    return callback(null, info);
+  });
+};
+
+/**
+ * Generate a waveform image of the audio track of a media file and add it as a preview
+ *
+ * @param  {PreviewContext}     ctx                     The preview context associated to this file
+ * @param  {String}             path                    The path to the media file
+ * @param  {Object}             info                    The information about the media file as returned by `_probe`
+ * @param  {Function}           callback                Standard callback function
+ * @param  {Object}             callback.err            An error that occurred, if any
+ * @param  {String}             callback.waveformPath   The path to the waveform image. `undefined` if the file has no audio track
+ * @api private
+ */
+const _generateWaveform = function(ctx, path, info, callback) {
+  if (!info.hasAudio) {
+    return callback();
+  }
+
+  const waveformPath = ctx.baseDir + '/waveform.png';
+  const filter = util.format('showwavespic=s=%dx%d:colors=0x2a6fa8', WAVEFORM_WIDTH, WAVEFORM_HEIGHT);
+  const args = util.format('-i "%s" -filter_complex "%s" -frames:v 1 "%s"', path, filter, waveformPath);
+  _ffmpeg(ctx, args, 'Could not generate a waveform for the media file', err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ctx.addPreview(waveformPath, 'waveform');
+    return callback(null, waveformPath);
+  });
+};
+
+/**
+ * Transcode a media file into a rendition that can be played by browsers and add it as a preview
+ *
+ * @param  {PreviewContext}     ctx             The preview context associated to this file
+ * @param  {String}             path            The path to the media file
+ * @param  {Object}             info            The information about the media file as returned by `_probe`
+ * @param  {Function}           callback        Standard callback function
+ * @param  {Object}             callback.err    An error that occurred, if any
+ * @api private
+ */
+const _generateRendition = function(ctx, path, info, callback) {
+  let renditionPath = null;
+  let args = null;
+  if (info.hasVideo) {
+    // Keep the dimensions even as H.264 requires them to be, and never upscale
+    renditionPath = ctx.baseDir + '/rendition.mp4';
+    const scale = util.format("scale='trunc(min(%d,iw)/2)*2':-2", RENDITION_MAX_WIDTH);
+    args = util.format(
+      '-i "%s" -map 0:v:0 -map "0:a:0?" -vf "%s" -c:v libx264 -preset veryfast -crf 23 -pix_fmt yuv420p -c:a aac -b:a 128k -movflags +faststart "%s"',
+      path,
+      scale,
+      renditionPath
+    );
+  } else {
+    renditionPath = ctx.baseDir + '/rendition.m4a';
+    args = util.format('-i "%s" -vn -c:a aac -b:a 128k -movflags +faststart "%s"', path, renditionPath);
+  }
+
+  _ffmpeg(ctx, args, 'Could not transcode the media file', err => {
+    if (err) {
+      return callback(err);
+    }
+
+    ctx.addPreview(renditionPath, 'rendition');
+    return callback();
+  });
+};
+
+/**
+ * Extract a single frame of a video that can be used as its poster. The frame is taken a little into the video
+ * so that black or faded-in opening frames are avoided.
+ *
+ * @param  {PreviewContext}     ctx                     The preview context associated to this file
+ * @param  {String}             path                    The path to the video file
+ * @param  {Object}             info                    The information about the video file as returned by `_probe`
+ * @param  {Function}           callback                Standard callback function
+ * @param  {Object}             callback.err            An error that occurred, if any
+ * @param  {String}             callback.posterPath     The path to the extracted frame
+ * @api private
+ */
+const _extractPosterFrame = function(ctx, path, info, callback) {
+  const posterPath = ctx.baseDir + '/poster.png';
+  const offset = info.duration ? Math.min(info.duration / 10, 10) : 0;
+  const args = util.format('-ss %s -i "%s" -map 0:v:0 -frames:v 1 "%s"', offset.toFixed(3), path, posterPath);
+  _ffmpeg(ctx, args, 'Could not extract a poster frame from the video', err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, posterPath);
+  });
+};
+
+/**
+ * Execute ffmpeg with a set of arguments. Existing output files are always overwritten.
+ *
+ * @param  {PreviewContext}     ctx             The preview context associated to this file
+ * @param  {String}             args            The arguments to pass to ffmpeg
+ * @param  {String}             errorMessage    The message that should be returned when ffmpeg fails
+ * @param  {Function}           callback        Standard callback function
+ * @param  {Object}             callback.err    An error that occurred, if any
+ * @api private
+ */
+const _ffmpeg = function(ctx, args, errorMessage, callback) {
+  const cmd = util.format('"%s" -y -v error %s', _ffmpegBinary, args);
+  log().trace({ contentId: ctx.contentId }, 'Executing %s', cmd);
+  exec(cmd, { timeout: _timeout }, (err, stdout, stderr) => {
+    if (err) {
+      log().error({ err, contentId: ctx.contentId, stdout, stderr }, errorMessage);
+      return callback({ code: 500, msg: errorMessage });
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Parse the duration ffprobe reports for a media file
+ *
+ * @param  {String}     duration    The duration in seconds as reported by ffprobe
+ * @return {Number}                 The duration in seconds, rounded to the millisecond. `null` if the duration is unknown
+ * @api private
+ */
+const _parseDuration = function(duration) {
+  duration = parseFloat(duration);
+  if (!_.isFinite(duration) || duration <= 0) {
+    return null;
+  }
+
+  return Math.round(duration * 1000) / 1000;
+};
+
+export { init, test, generatePreviews };
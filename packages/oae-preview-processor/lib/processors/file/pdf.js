@@ -23,11 +23,13 @@ import pdfjsLib from 'pdfjs-dist';
 import _ from 'underscore';
 import { logger } from 'oae-logger';
 import * as OaeUtil from 'oae-util/lib/util';
+import * as OCR from 'oae-preview-processor/lib/internal/ocr';
 import * as PreviewUtil from 'oae-preview-processor/lib/util';
 import domStubs from './domstubs';
 
 const fsWriteFile = util.promisify(fs.writeFile);
 const fsMakeDir = util.promisify(fs.mkdir);
+const recognizePdf = util.promisify(OCR.recognizePdf);
 
 const log = logger('oae-preview-processor');
 
@@ -35,7 +37,6 @@ const PAGES_SUBDIRECTORY = 'pages';
 const TXT_CONTENT_FILENAME = 'plain.txt';
 const RESOURCE_SUBTYPE = 'file';
 let viewportScale = 1.5;
-const pdfContents = [];
 
 // Implements https://nodejs.org/api/stream.html#stream_readable_read_size_1
 ReadableSVGStream.prototype._read = function() {
@@ -131,8 +132,10 @@ const previewPDF = async function(ctx, pdfPath, callback) {
     ctx.addPreview(output, 'txt');
     ctx.addPreviewMetadata('pageCount', numPages);
 
-    await processAllPages(ctx, pagesDir, numPages, doc);
-    await fsWriteFile(output, pdfContents.join(' '));
+    // The text of all pages is stored as a single file so it can be indexed for the revision
+    const pageContents = await processAllPages(ctx, pagesDir, numPages, doc);
+    await _recognizeTextIfScanned(ctx, pdfPath, pagesDir, pageContents);
+    await fsWriteFile(output, pageContents.join('\n'));
 
     _generateThumbnail(ctx, pdfPath, pagesDir, callback);
   } catch (error) {
@@ -142,6 +145,39 @@ const previewPDF = async function(ctx, pdfPath, callback) {
   }
 };
 
+/**
+ * Recognise the text on the pages of a PDF file that has no text layer, if the tenant enabled text recognition.
+ * The recognised text replaces the (empty) text of the pages. As the text is a nice-to-have, a failed
+ * recognition is logged but does not fail the preview generation.
+ *
+ * @param  {PreviewContext}      ctx             The preview context associated to this file
+ * @param  {String}              pdfPath         The path where the PDF file is stored
+ * @param  {String}              pagesDir        The directory where the pages can be stored in
+ * @param  {String[]}            pageContents    The text of each page as found in the text layer. Recognised text is written into this array
+ * @api private
+ */
+const _recognizeTextIfScanned = async function(ctx, pdfPath, pagesDir, pageContents) {
+  const hasTextLayer = _.some(pageContents, pageContent => {
+    return Boolean(pageContent);
+  });
+  if (hasTextLayer || !OCR.isEnabled(ctx.content.tenant.alias)) {
+    return;
+  }
+
+  try {
+    const pageTexts = await recognizePdf(ctx, pdfPath, pagesDir, pageContents.length);
+    for (const [i, pageText] of pageTexts.entries()) {
+      pageContents[i] = pageText;
+      // eslint-disable-next-line no-await-in-loop
+      await fsWriteFile(getFilePathForPage(pagesDir, i + 1, 'txt'), pageText);
+    }
+
+    ctx.addPreviewMetadata('ocr', true);
+  } catch (error) {
+    log().error({ err: error, contentId: ctx.contentId }, 'Could not recognise the text of a scanned PDF');
+  }
+};
+
 /**
  * Generate a thumbnail for the PDF file. This works by converting the first page
  * of the PDF to an image and then cropping a thumbnail out of it
@@ -233,6 +269,7 @@ function writeSvgToFile(svgElement, filePath) {
  * @param  {pagesDir} pagesDir   The direcotry holding the svg previews on disk
  * @param  {Number} pageNum     The page number we're dealing with
  * @param  {Object} doc          Object representing the PDF
+ * @return {String}              The plain text of the page
  */
 const previewAndIndexEachPage = async function(ctx, pagesDir, pageNum, doc) {
   try {
@@ -253,14 +290,17 @@ const previewAndIndexEachPage = async function(ctx, pagesDir, pageNum, doc) {
 
     // Content contains lots of information about the text layout and
     // styles, but we need only strings at the moment
-    const pageContents = _.pluck(content.items, 'str').join(' ');
+    const pageContents = _.pluck(content.items, 'str')
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
     const pageName = util.format('page.%s.txt', pageNum);
     const pagePath = util.format('%s/%s', pagesDir, pageName);
 
-    pdfContents.push(pageContents);
     ctx.addPreview(pagePath, pageName);
 
-    return fsWriteFile(pagePath, pageContents);
+    await fsWriteFile(pagePath, pageContents);
+    return pageContents;
   } catch (error) {
     const errorMessage = `Preview processing for pdf page ${pageNum} file failed`;
     log().error({ error }, errorMessage);
@@ -276,12 +316,16 @@ const previewAndIndexEachPage = async function(ctx, pagesDir, pageNum, doc) {
  * @param  {pagesDir} pagesDir   The direcotry holding the svg previews on disk
  * @param  {Number} pageNum     The page number we're dealing with
  * @param  {Object} doc          Object representing the PDF
+ * @return {String[]}            The plain text of each page
  */
 const processAllPages = async function(ctx, pagesDir, numPages, doc) {
+  const pageContents = [];
   for (let i = 1; i <= numPages; i++) {
     // eslint-disable-next-line no-await-in-loop
-    await previewAndIndexEachPage(ctx, pagesDir, i, doc);
+    pageContents.push(await previewAndIndexEachPage(ctx, pagesDir, i, doc));
   }
+
+  return pageContents;
 };
 
 export { init, test, generatePreviews, previewPDF };
@@ -0,0 +1,524 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import Path from 'path';
+import csv from 'csv';
+import createDOMPurify from 'dompurify';
+import hljs from 'highlight.js';
+import { JSDOM } from 'jsdom';
+import marked from 'marked';
+import _ from 'underscore';
+
+import { logger } from 'oae-logger';
+import * as OaeUtil from 'oae-util/lib/util';
+
+import PreviewConstants from 'oae-preview-processor/lib/constants';
+import * as puppeteerHelper from 'oae-preview-processor/lib/internal/puppeteer';
+import * as PreviewUtil from 'oae-preview-processor/lib/util';
+
+const log = logger('oae-preview-processor');
+
+// The office processor also claims plain text files (by converting them to PDF). Text files
+// get a higher score so they are rendered as text instead
+const TEXT_SCORE = 20;
+
+// The maximum number of bytes of a file that are rendered. Larger files are truncated
+const MAX_SIZE = 256 * 1024;
+
+// The maximum number of rows of a CSV file that are rendered
+const MAX_ROWS = 500;
+
+const HTML_FILENAME = 'text.html';
+
+const TYPE_CODE = 'code';
+const TYPE_CSV = 'csv';
+const TYPE_MARKDOWN = 'markdown';
+const TYPE_PLAIN = 'plain';
+
+const MARKDOWN_EXTENSIONS = ['markdown', 'md', 'mdown', 'mkd'];
+const MARKDOWN_MIMETYPES = ['text/markdown', 'text/x-markdown'];
+
+// The delimiters of the CSV files, keyed by their extension or mime type
+const CSV_DELIMITERS = {
+  csv: ',',
+  tab: '\t',
+  tsv: '\t',
+  'text/comma-separated-values': ',',
+  'text/csv': ',',
+  'text/tab-separated-values': '\t'
+};
+
+// The highlight.js languages of common source files, keyed by their extension
+const CODE_LANGUAGES = {
+  bash: 'bash',
+  bat: 'dos',
+  c: 'cpp',
+  cc: 'cpp',
+  cfg: 'ini',
+  cjs: 'javascript',
+  clj: 'clojure',
+  cmd: 'dos',
+  conf: 'ini',
+  cpp: 'cpp',
+  cs: 'cs',
+  css: 'css',
+  cxx: 'cpp',
+  diff: 'diff',
+  erl: 'erlang',
+  ex: 'elixir',
+  exs: 'elixir',
+  go: 'go',
+  gradle: 'gradle',
+  groovy: 'groovy',
+  h: 'cpp',
+  hpp: 'cpp',
+  hs: 'haskell',
+  htm: 'xml',
+  html: 'xml',
+  ini: 'ini',
+  java: 'java',
+  js: 'javascript',
+  json: 'json',
+  jsx: 'javascript',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  less: 'less',
+  lua: 'lua',
+  mjs: 'javascript',
+  patch: 'diff',
+  php: 'php',
+  pl: 'perl',
+  pm: 'perl',
+  properties: 'properties',
+  ps1: 'powershell',
+  py: 'python',
+  r: 'r',
+  rb: 'ruby',
+  rs: 'rust',
+  scala: 'scala',
+  scss: 'scss',
+  sh: 'bash',
+  sql: 'sql',
+  swift: 'swift',
+  tex: 'tex',
+  ts: 'typescript',
+  tsx: 'typescript',
+  xhtml: 'xml',
+  xml: 'xml',
+  xsl: 'xml',
+  yaml: 'yaml',
+  yml: 'yaml',
+  zsh: 'bash'
+};
+
+// Files with these mime types are handled by the other processors, regardless of their extension (e.g., a `.ts`
+// file can be an MPEG transport stream rather than TypeScript)
+const OTHER_MIMETYPES = _.without(
+  _.union(
+    PreviewConstants.TYPES.AUDIO,
+    PreviewConstants.TYPES.IMAGE,
+    PreviewConstants.TYPES.OFFICE,
+    PreviewConstants.TYPES.PDF,
+    PreviewConstants.TYPES.VIDEO
+  ),
+  'text/plain'
+);
+
+const screenShottingOptions = {
+  viewport: {
+    width: PreviewConstants.SIZES.IMAGE.WIDE_WIDTH,
+    height: PreviewConstants.SIZES.IMAGE.WIDE_WIDTH
+  }
+};
+
+// The absolute path to the html & css files
+const basePath = Path.normalize(Path.join(__dirname, '/../../../static/text/'));
+const HTML_FILE = Path.join(basePath, 'text.html');
+const CSS_FILE = Path.join(basePath, 'text.css');
+const FILE_URI = 'file://';
+
+// Variables that will be used to lazy-load the template and the sanitizer
+let wrapperTemplate = null;
+let DOMPurify = null;
+
+/**
+ * Initializes the Text Processor
+ *
+ * @param  {Object}     config                              The config object containing the timeouts for generating an image from a webpage. See the `config.previews` object in the base `./config.js` for more information
+ * @param  {Object}     config.screenShotting               The configuration for generating an image from a webpage
+ * @param  {Function}   callback                            Standard callback function
+ * @param  {Object}     callback.err                        An error that occurred, if any
+ */
+const init = function(config, callback) {
+  const screenShotting = (config && config.screenShotting) || {};
+
+  screenShottingOptions.timeout = OaeUtil.getNumberParam(screenShotting.timeout, screenShottingOptions.timeout);
+  if (screenShotting.binary) {
+    screenShottingOptions.executablePath = screenShotting.binary;
+  }
+
+  if (screenShotting.sandbox) {
+    screenShottingOptions.args = [screenShotting.sandbox];
+  }
+
+  return callback();
+};
+
+/**
+ * @borrows Interface.test as Text.test
+ */
+const test = function(ctx, contentObj, callback) {
+  if (contentObj.resourceSubType === 'file' && _getTextType(ctx.revision)) {
+    callback(null, TEXT_SCORE);
+  } else {
+    callback(null, -1);
+  }
+};
+
+/**
+ * Generates the previews for a text file. Markdown files are rendered as sanitized HTML, source files are
+ * syntax-highlighted and CSV files are rendered as a table. Any other text is rendered as is. The rendered
+ * HTML is stored as a preview and a screenshot of it is used to generate the thumbnail and image previews.
+ *
+ * @borrows Interface.generatePreviews as Text.generatePreviews
+ */
+const generatePreviews = function(ctx, contentObj, callback) {
+  log().trace({ contentId: ctx.contentId }, 'Processing as text file.');
+
+  const textType = _getTextType(ctx.revision);
+
+  // Download the file
+  ctx.download((err, path) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _readText(ctx, path, (err, text, truncated) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (truncated) {
+        ctx.addPreviewMetadata('truncated', true);
+      }
+
+      _render(text, textType, (err, htmlFragment) => {
+        if (err) {
+          log().warn({ err, contentId: ctx.contentId }, 'Could not render the text file, rendering it as plain text');
+          htmlFragment = _renderPlain(text);
+          textType.type = TYPE_PLAIN;
+        }
+
+        _writeHtml(ctx, htmlFragment, textType.type, (err, htmlPath) => {
+          if (err) {
+            return callback(err);
+          }
+
+          ctx.addPreview(htmlPath, 'html');
+
+          // Take a screenshot of the rendered text to generate the thumbnail and image previews from
+          const imgPath = Path.join(ctx.baseDir, '/text.png');
+          puppeteerHelper.getImage(FILE_URI + htmlPath, imgPath, screenShottingOptions, err => {
+            if (err) {
+              log().error({ err, contentId: ctx.contentId }, 'Could not generate an image');
+              return callback(err);
+            }
+
+            return PreviewUtil.generatePreviewsFromImage(ctx, imgPath, { cropMode: 'TOP' }, callback);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Determine how a file should be rendered as text
+ *
+ * @param  {Revision}   revision                The revision of the file
+ * @return {Object}                             An object that describes how the file should be rendered. `null` if the file can't be rendered as text
+ * @return {String}     return.type             One of `code`, `csv`, `markdown` or `plain`
+ * @return {String}     [return.language]       The highlight.js language of a `code` file
+ * @return {String}     [return.delimiter]      The delimiter of a `csv` file
+ * @api private
+ */
+const _getTextType = function(revision) {
+  const mime = revision.mime || '';
+  if (_.contains(OTHER_MIMETYPES, mime)) {
+    return null;
+  }
+
+  const extension = Path.extname(revision.filename || '')
+    .slice(1)
+    .toLowerCase();
+  if (_.contains(MARKDOWN_EXTENSIONS, extension) || _.contains(MARKDOWN_MIMETYPES, mime)) {
+    return { type: TYPE_MARKDOWN };
+  }
+
+  const delimiter = CSV_DELIMITERS[extension] || CSV_DELIMITERS[mime];
+  if (delimiter) {
+    return { type: TYPE_CSV, delimiter };
+  }
+
+  if (CODE_LANGUAGES[extension]) {
+    return { type: TYPE_CODE, language: CODE_LANGUAGES[extension] };
+  }
+
+  if (mime.startsWith('text/')) {
+    return { type: TYPE_PLAIN };
+  }
+
+  return null;
+};
+
+/**
+ * Read the text of a file. Only the first 256KB of the file are read.
+ *
+ * @param  {PreviewContext}     ctx                     The preview context associated to this file
+ * @param  {String}             path                    The path to the file
+ * @param  {Function}           callback                Standard callback function
+ * @param  {Object}             callback.err            An error that occurred, if any
+ * @param  {String}             callback.text           The text of the file
+ * @param  {Boolean}            callback.truncated      Whether or not the file was larger than the text that was read
+ * @api private
+ */
+const _readText = function(ctx, path, callback) {
+  const buffers = [];
+
+  // Read one byte more than we need so we know whether the text was truncated
+  fs.createReadStream(path, { start: 0, end: MAX_SIZE })
+    .on('data', buffer => {
+      buffers.push(buffer);
+    })
+    .on('error', err => {
+      log().error({ err, contentId: ctx.contentId }, 'Could not read the text file');
+      return callback({ code: 500, msg: 'Could not read the text file' });
+    })
+    .on('end', () => {
+      const buffer = Buffer.concat(buffers);
+
+      // Text files don't contain null bytes, binary files almost always do
+      if (buffer.includes(0)) {
+        log().warn({ contentId: ctx.contentId }, 'The file does not contain text');
+        return callback({ code: 500, msg: 'The file does not contain text' });
+      }
+
+      const truncated = buffer.length > MAX_SIZE;
+      return callback(null, buffer.slice(0, MAX_SIZE).toString('utf8'), truncated);
+    });
+};
+
+/**
+ * Render text as an HTML fragment
+ *
+ * @param  {String}     text                The text to render
+ * @param  {Object}     textType            How the text should be rendered, as returned by `_getTextType`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.html       The rendered HTML fragment
+ * @api private
+ */
+const _render = function(text, textType, callback) {
+  if (textType.type === TYPE_CSV) {
+    return _renderCsv(text, textType.delimiter, callback);
+  }
+
+  try {
+    if (textType.type === TYPE_MARKDOWN) {
+      return callback(null, _renderMarkdown(text));
+    }
+
+    if (textType.type === TYPE_CODE) {
+      return callback(null, _renderCode(text, textType.language));
+    }
+  } catch (error) {
+    return callback({ code: 500, msg: error.message });
+  }
+
+  return callback(null, _renderPlain(text));
+};
+
+/**
+ * Render markdown as sanitized HTML. Code blocks are syntax-highlighted when their language is specified.
+ *
+ * @param  {String}     text    The markdown to render
+ * @return {String}             The sanitized HTML
+ * @api private
+ */
+const _renderMarkdown = function(text) {
+  const html = marked(text, {
+    gfm: true,
+    highlight(code, language) {
+      if (!language || !hljs.getLanguage(language)) {
+        return null;
+      }
+
+      return hljs.highlight(language, code, true).value;
+    }
+  });
+
+  if (!DOMPurify) {
+    DOMPurify = createDOMPurify(new JSDOM('').window);
+  }
+
+  // Embedded media and inline styles are removed, as they would make the server that takes the
+  // screenshot of the preview load arbitrary (possibly internal) URLs
+  return DOMPurify.sanitize(html, {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ['audio', 'img', 'picture', 'source', 'track', 'video'],
+    FORBID_ATTR: ['srcset', 'style']
+  });
+};
+
+/**
+ * Render source code as syntax-highlighted HTML
+ *
+ * @param  {String}     text        The source code to render
+ * @param  {String}     language    The highlight.js language of the source code
+ * @return {String}                 The highlighted HTML
+ * @api private
+ */
+const _renderCode = function(text, language) {
+  if (!hljs.getLanguage(language)) {
+    return _renderPlain(text);
+  }
+
+  const html = hljs.highlight(language, text, true).value;
+  return '<pre><code class="hljs">' + html + '</code></pre>';
+};
+
+/**
+ * Render a CSV file as a table. Only the first 500 rows are rendered.
+ *
+ * @param  {String}     text                The CSV text to render
+ * @param  {String}     delimiter           The delimiter of the fields
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.html       The HTML table
+ * @api private
+ */
+const _renderCsv = function(text, delimiter, callback) {
+  const options = {
+    delimiter,
+    to: MAX_ROWS,
+    // eslint-disable-next-line camelcase
+    relax_column_count: true,
+    // eslint-disable-next-line camelcase
+    skip_empty_lines: true
+  };
+  csv.parse(text, options, (err, rows) => {
+    if (err) {
+      return callback({ code: 500, msg: err.message });
+    }
+
+    const renderRow = function(row, tag) {
+      const cells = _.map(row, cell => {
+        return '<' + tag + '>' + _.escape(cell) + '</' + tag + '>';
+      });
+      return '<tr>' + cells.join('') + '</tr>';
+    };
+
+    // The first row is considered to be the header row
+    let html = '<table>';
+    if (!_.isEmpty(rows)) {
+      html += '<thead>' + renderRow(_.first(rows), 'th') + '</thead>';
+      html += '<tbody>' + _.map(_.rest(rows), row => renderRow(row, 'td')).join('') + '</tbody>';
+    }
+
+    html += '</table>';
+    return callback(null, html);
+  });
+};
+
+/**
+ * Render plain text as HTML
+ *
+ * @param  {String}     text    The text to render
+ * @return {String}             The escaped text, wrapped in a `pre` element
+ * @api private
+ */
+const _renderPlain = function(text) {
+  return '<pre>' + _.escape(text) + '</pre>';
+};
+
+/**
+ * Wrap a rendered HTML fragment into the preview template and store it to disk
+ *
+ * @param  {PreviewContext}     ctx             The preview context associated to this file
+ * @param  {String}             htmlFragment    The HTML fragment to wrap into the preview template
+ * @param  {String}             type            How the text was rendered. One of `code`, `csv`, `markdown` or `plain`
+ * @param  {Function}           callback        Standard callback function
+ * @param  {Object}             callback.err    An error that occurred, if any
+ * @param  {String}             callback.path   The path the file has been written to
+ * @api private
+ */
+const _writeHtml = function(ctx, htmlFragment, type, callback) {
+  _getWrapperTemplate(ctx, (err, template) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const htmlPath = Path.join(ctx.baseDir, HTML_FILENAME);
+    fs.writeFile(htmlPath, template({ htmlFragment, type }), err => {
+      if (err) {
+        log().error({ err, contentId: ctx.contentId }, 'Could not write the text preview HTML to disk');
+        return callback({ code: 500, msg: 'Could not write the text preview HTML to disk' });
+      }
+
+      return callback(null, htmlPath);
+    });
+  });
+};
+
+/**
+ * Get the template that wraps the rendered text. The stylesheet is inlined so the stored preview can be
+ * displayed on its own.
+ *
+ * @param  {PreviewContext}     ctx                 The preview context associated to this file
+ * @param  {Function}           callback            Standard callback function
+ * @param  {Object}             callback.err        An error that occurred, if any
+ * @param  {Function}           callback.template   The template, which takes the `htmlFragment` and `type` as its data
+ * @api private
+ */
+const _getWrapperTemplate = function(ctx, callback) {
+  // Check if the template has already been loaded to avoid loading it twice
+  if (wrapperTemplate) {
+    return callback(null, wrapperTemplate);
+  }
+
+  fs.readFile(HTML_FILE, 'utf8', (err, html) => {
+    if (err) {
+      log().error({ err, contentId: ctx.contentId }, 'Could not read the text preview wrapper HTML');
+      return callback({ code: 500, msg: 'Could not read the text preview wrapper HTML' });
+    }
+
+    fs.readFile(CSS_FILE, 'utf8', (err, css) => {
+      if (err) {
+        log().error({ err, contentId: ctx.contentId }, 'Could not read the text preview stylesheet');
+        return callback({ code: 500, msg: 'Could not read the text preview stylesheet' });
+      }
+
+      const template = _.template(html);
+      wrapperTemplate = function(data) {
+        return template(_.extend({ css }, data));
+      };
+
+      return callback(null, wrapperTemplate);
+    });
+  });
+};
+
+export { init, test, generatePreviews };
@@ -41,11 +41,14 @@ import * as Tempfile from 'oae-util/lib/tempfile';
 import * as TestsUtil from 'oae-tests/lib/util';
 import * as PreviewAPI from 'oae-preview-processor/lib/api';
 import PreviewConstants from 'oae-preview-processor/lib/constants';
+import * as PreviewOCR from 'oae-preview-processor/lib/internal/ocr';
 import * as PreviewDefaultLinks from 'oae-preview-processor/lib/processors/link/default';
 import * as PreviewFlickr from 'oae-preview-processor/lib/processors/link/flickr';
+import * as PreviewMedia from 'oae-preview-processor/lib/processors/file/media';
 import * as PreviewOffice from 'oae-preview-processor/lib/processors/file/office';
 import * as PreviewPDF from 'oae-preview-processor/lib/processors/file/pdf';
 import * as PreviewSlideShare from 'oae-preview-processor/lib/processors/link/slideshare';
+import * as PreviewText from 'oae-preview-processor/lib/processors/file/text';
 import * as PreviewTestUtil from 'oae-preview-processor/lib/test/util';
 import * as PreviewUtil from 'oae-preview-processor/lib/util';
 import { flush } from 'oae-util/lib/redis';
@@ -134,6 +137,20 @@ describe('Preview processor', () => {
     return fs.createReadStream(path.join(__dirname, '/data/two-pages.pdf'));
   };
 
+  /**
+   * @return {Stream} Returns a stream that points to an audio file
+   */
+  const getAudioStream = function() {
+    return fs.createReadStream(path.join(__dirname, '/data/audio.wav'));
+  };
+
+  /**
+   * @return {Stream} Returns a stream that points to a Markdown file
+   */
+  const getMarkdownStream = function() {
+    return fs.createReadStream(path.join(__dirname, '/data/markdown.md'));
+  };
+
   /**
    * @return {Stream} Returns a stream that points to a ZIP file
    */
@@ -207,6 +224,56 @@ describe('Preview processor', () => {
       });
     });
 
+    /**
+     * Test that verifies that text files are claimed by the text processor rather than the office processor, and that
+     * files of other processors are not claimed because of their extension
+     */
+    it('verify text files are claimed by the text processor', callback => {
+      const contentObj = { resourceSubType: 'file' };
+      const textCtx = { revision: { filename: 'notes.txt', mime: 'text/plain' } };
+      PreviewText.test(textCtx, contentObj, (err, textScore) => {
+        assert.ok(!err);
+        PreviewOffice.test(textCtx, contentObj, (err, officeScore) => {
+          assert.ok(!err);
+          assert.ok(officeScore > 0);
+          assert.ok(textScore > officeScore);
+
+          // Markdown, CSV and source files are claimed by their extension
+          const markdownCtx = { revision: { filename: 'README.md', mime: 'text/markdown' } };
+          PreviewText.test(markdownCtx, contentObj, (err, score) => {
+            assert.ok(!err);
+            assert.ok(score > 0);
+
+            const csvCtx = { revision: { filename: 'grades.csv', mime: 'text/csv' } };
+            PreviewText.test(csvCtx, contentObj, (err, score) => {
+              assert.ok(!err);
+              assert.ok(score > 0);
+
+              const codeCtx = { revision: { filename: 'script.py', mime: null } };
+              PreviewText.test(codeCtx, contentObj, (err, score) => {
+                assert.ok(!err);
+                assert.ok(score > 0);
+
+                // An MPEG transport stream is not TypeScript
+                const videoCtx = { revision: { filename: 'recording.ts', mime: 'video/mp2t' } };
+                PreviewText.test(videoCtx, contentObj, (err, score) => {
+                  assert.ok(!err);
+                  assert.strictEqual(score, -1);
+
+                  // Links are never claimed
+                  PreviewText.test(textCtx, { resourceSubType: 'link' }, (err, score) => {
+                    assert.ok(!err);
+                    assert.strictEqual(score, -1);
+                    return callback();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
     /**
      * Test that verifies that all required parameters are validated when (un)registering a processor.
      */
@@ -273,6 +340,51 @@ describe('Preview processor', () => {
       });
     });
 
+    /**
+     * Test that verifies that the Media PP can detect if it is configured correctly
+     */
+    it('verify the Media PP can detect if it is configured correctly', callback => {
+      const config = {
+        ffmpegBinary: 'some-none-existinant-binary',
+        ffprobeBinary: 'ffprobe',
+        timeout: 120000
+      };
+      PreviewMedia.init(config, err => {
+        assert.ok(err);
+        assert.strictEqual(err.code, 500);
+        return callback();
+      });
+    });
+
+    /**
+     * Test that verifies that a misconfigured text recognition does not prevent the PP from starting, but disables the recognition
+     */
+    it('verify a misconfigured text recognition disables the recognition', callback => {
+      const config = {
+        binary: 'some-none-existinant-binary',
+        timeout: 120000
+      };
+      const tenantAlias = global.oaeTests.tenants.cam.alias;
+      const update = { 'oae-preview-processor/ocr/enabled': true };
+      ConfigTestUtil.updateConfigAndWait(globalAdminRestContext, tenantAlias, update, err => {
+        assert.ok(!err);
+
+        PreviewOCR.init(config, err => {
+          assert.ok(!err);
+          assert.strictEqual(PreviewOCR.isEnabled(tenantAlias), false);
+
+          // Restore the configured text recognition
+          PreviewOCR.init(defaultConfig.previews.ocr, err => {
+            assert.ok(!err);
+            ConfigTestUtil.clearConfigAndWait(globalAdminRestContext, tenantAlias, _.keys(update), err => {
+              assert.ok(!err);
+              return callback();
+            });
+          });
+        });
+      });
+    });
+
     /**
      * Test that verifies that the PDF PP can detect if it is configured correctly
      */
@@ -569,6 +681,74 @@ describe('Preview processor', () => {
       });
     });
 
+    /**
+     * Test that verifies the media processor generates a playable rendition, a waveform and the duration of an audio file
+     */
+    it('verify audio processing works', function(callback) {
+      // Ignore this test if the PP is disabled
+      if (!defaultConfig.previews.enabled) {
+        return callback();
+      }
+
+      this.timeout(30000);
+
+      _createContentAndWait('file', null, getAudioStream, (restCtx, content) => {
+        assert.strictEqual(content.previews.status, 'done');
+        assert.strictEqual(content.previews.duration, 1);
+        assert.ok(!content.previews.width);
+
+        // The waveform is used to generate the thumbnail
+        assert.ok(content.previews.thumbnailUrl);
+        _verifySignedUriDownload(restCtx, content.previews.thumbnailUrl, () => {
+          RestAPI.Content.getPreviewItems(restCtx, content.id, content.latestRevisionId, (err, previews) => {
+            assert.ok(!err);
+            assert.ok(
+              _.find(previews.files, file => {
+                return file.filename === 'rendition.m4a';
+              })
+            );
+            assert.ok(
+              _.find(previews.files, file => {
+                return file.filename === 'waveform.png';
+              })
+            );
+            return callback();
+          });
+        });
+      });
+    });
+
+    /**
+     * Test that verifies the text processor renders Markdown files and generates thumbnails for them
+     */
+    it('verify markdown processing works', function(callback) {
+      // Ignore this test if the PP is disabled
+      if (!defaultConfig.previews.enabled) {
+        return callback();
+      }
+
+      this.timeout(30000);
+
+      _createContentAndWait('file', null, getMarkdownStream, (restCtx, content) => {
+        assert.strictEqual(content.previews.status, 'done');
+        assert.ok(!content.previews.truncated);
+
+        // Ensure we have a thumbnail url
+        assert.ok(content.previews.thumbnailUrl);
+        _verifySignedUriDownload(restCtx, content.previews.thumbnailUrl, () => {
+          RestAPI.Content.getPreviewItems(restCtx, content.id, content.latestRevisionId, (err, previews) => {
+            assert.ok(!err);
+            assert.ok(
+              _.find(previews.files, file => {
+                return file.filename === 'text.html';
+              })
+            );
+            return callback();
+          });
+        });
+      });
+    });
+
     /**
      * Test that verifies the PDF processor
      */
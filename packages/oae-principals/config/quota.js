@@ -0,0 +1,34 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Fields from 'oae-config/lib/fields';
+
+export const title = 'OAE Principals Module';
+export const quota = {
+  name: 'Storage Quotas',
+  description: 'The amount of files that can be uploaded on behalf of users and groups',
+  elements: {
+    user: new Fields.Text(
+      'User quota',
+      'The maximum number of megabytes a user can upload. Use 0 for an unlimited amount',
+      '0'
+    ),
+    group: new Fields.Text(
+      'Group quota',
+      'The maximum number of megabytes that can be uploaded for files managed by a group. Use 0 for an unlimited amount',
+      '0'
+    )
+  }
+};
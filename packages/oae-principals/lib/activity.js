@@ -479,6 +479,7 @@ ActivityAPI.registerActivityEntityType('user', {
     activitystreams: _userTransformer,
     internal: _userInternalTransformer
   },
+  activityStreams2Type: 'Person',
   propagation(associationsCtx, entity, callback) {
     // We propagate private users everywhere as the transformer will scrub sensitive information where necessary
     return callback(null, [{ type: ActivityConstants.entityPropagation.ALL }]);
@@ -491,6 +492,7 @@ ActivityAPI.registerActivityEntityType('group', {
     activitystreams: _groupTransformer,
     internal: _groupInternalTransformer
   },
+  activityStreams2Type: 'Group',
   propagation(associationsCtx, entity, callback) {
     ActivityUtil.getStandardResourcePropagation(entity.group.visibility, entity.group.joinable, (err, propagation) => {
       if (err) {
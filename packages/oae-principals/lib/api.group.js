@@ -48,6 +48,7 @@ import { both, forEachObjIndexed, equals } from 'ramda';
 import * as PrincipalsDAO from './internal/dao';
 import * as PrincipalsMembersLibrary from './libraries/members';
 import PrincipalsEmitter from './internal/emitter';
+import * as PrincipalsQuotaAPI from './api.quota';
 import * as PrincipalsUtil from './util';
 
 import { PrincipalsConstants } from './constants';
@@ -87,6 +88,7 @@ const getGroup = function(ctx, groupId, callback) {
  *  `isManager`: Whether or not the user in context can manage the group
  *  `isMember`: Whether or not the user in context is a member of the group
  *  `canJoin`: Whether or not the user in context can join the group
+ *  `storage`: How much storage the group uses and how much it is allowed to use. This is only included for managers of the group
  *
  * This also differs from `getGroup` in that if the current user is not allowed to access the group, rather than "scrubbing" sensitive information from the group, it will send back a 401 error.
  *
@@ -160,20 +162,36 @@ const getFullGroupProfile = function(ctx, groupId, callback) {
                 if (member.profile) return member.profile.profilePath;
               });
 
-              PrincipalsEmitter.emit(PrincipalsConstants.events.GET_GROUP_PROFILE, ctx, group);
-
-              if (currentUser && PrincipalsUtil.isUser(currentUserId)) {
-                // eslint-disable-next-line no-unused-vars
-                PrincipalsDAO.setLatestVisit(currentUser, group, new Date(), (err, results) => {
+              // Only the managers of the group get to see how much storage it uses
+              OaeUtil.invokeIfNecessary(
+                group.isManager,
+                PrincipalsQuotaAPI.getStorageUsage,
+                [group.id],
+                (err, usage) => {
                   if (err) {
                     return callback(err);
                   }
 
-                  return callback(null, group);
-                });
-              } else {
-                return callback(null, group);
-              }
+                  if (usage) {
+                    group.storage = usage[group.id];
+                  }
+
+                  PrincipalsEmitter.emit(PrincipalsConstants.events.GET_GROUP_PROFILE, ctx, group);
+
+                  if (currentUser && PrincipalsUtil.isUser(currentUserId)) {
+                    // eslint-disable-next-line no-unused-vars
+                    PrincipalsDAO.setLatestVisit(currentUser, group, new Date(), (err, results) => {
+                      if (err) {
+                        return callback(err);
+                      }
+
+                      return callback(null, group);
+                    });
+                  } else {
+                    return callback(null, group);
+                  }
+                }
+              );
             });
           }
         );
@@ -17,6 +17,7 @@ import _ from 'underscore';
 
 import * as GroupAPI from './api.group';
 import * as PictureAPI from './api.picture';
+import * as QuotaAPI from './api.quota';
 import * as TermsAndConditionsAPI from './api.termsAndConditions';
 import * as UserAPI from './api.user';
 
@@ -43,5 +44,5 @@ import PrincipalsAPI from './internal/emitter';
 const allExports = {};
 // This file would become unmaintainable if all the logic would be placed here.
 // That's why we split them up in a couple of files of which the api logic gets exported.
-export default _.extend(allExports, GroupAPI, PictureAPI, TermsAndConditionsAPI, UserAPI);
+export default _.extend(allExports, GroupAPI, PictureAPI, QuotaAPI, TermsAndConditionsAPI, UserAPI);
 export { PrincipalsAPI as emitter };
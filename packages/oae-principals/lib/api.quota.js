@@ -0,0 +1,289 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import util from 'util';
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+
+import { logger } from 'oae-logger';
+import { setUpConfig } from 'oae-config';
+
+import * as AuthzUtil from 'oae-authz/lib/util';
+import * as OaeUtil from 'oae-util/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+import * as PrincipalsDAO from './internal/dao';
+import * as PrincipalsUtil from './util';
+
+const log = logger('oae-principals-quota');
+
+const PrincipalsConfig = setUpConfig('oae-principals');
+
+// The number of principals that are returned by the storage report when no limit is specified
+const DEFAULT_REPORT_LIMIT = 25;
+
+// The maximum number of principals that can be returned by the storage report
+const MAX_REPORT_LIMIT = 250;
+
+/**
+ * Get how much storage a set of principals use and how much they are allowed to use
+ *
+ * @param  {String[]}   principalIds            The ids of the principals whose storage usage to get
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object}     callback.usage          The storage usage of each principal, keyed by principal id. Each value has a `used` property with the number of bytes the principal uses and a `quota` property with the number of bytes it is allowed to use, or `null` if it can upload an unlimited amount
+ */
+const getStorageUsage = function(principalIds, callback) {
+  PrincipalsDAO.getStorageUsage(principalIds, (err, bytesByPrincipalId) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const usage = {};
+    _.each(bytesByPrincipalId, (bytes, principalId) => {
+      usage[principalId] = { used: bytes, quota: _getQuota(principalId) };
+    });
+
+    return callback(null, usage);
+  });
+};
+
+/**
+ * Check whether a number of bytes can be uploaded on behalf of a set of principals without exceeding their quotas.
+ * This does not reserve any storage, so files that are stored should reserve it through `reserveStorage`
+ *
+ * @param  {String[]}   principalIds            The ids of the principals on whose behalf the bytes will be uploaded
+ * @param  {Number}     bytes                   The number of bytes that will be uploaded
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            A 413 error if the upload would exceed the quota of one of the principals
+ */
+const checkStorageQuota = function(principalIds, bytes, callback) {
+  getStorageUsage(principalIds, (err, usage) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const exceededId = _findExceededPrincipalId(principalIds, usage, bytes);
+    if (exceededId) {
+      return callback(_createQuotaExceededError(exceededId));
+    }
+
+    return callback();
+  });
+};
+
+/**
+ * Reserve storage for a file that is about to be stored on behalf of a set of principals. The storage usage of the
+ * principals is increased before it is checked against their quotas, so files that are stored at the same time can't
+ * exceed a quota together. When the file doesn't fit in the quota of one of the principals the reservation is undone
+ *
+ * @param  {String}     resourceId              The id of the resource the file is uploaded for
+ * @param  {String[]}   principalIds            The ids of the principals on whose behalf the file is uploaded
+ * @param  {Number}     bytes                   The size of the file
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any. A 413 error if the file exceeds the quota of one of the principals
+ */
+const reserveStorage = function(resourceId, principalIds, bytes, callback) {
+  PrincipalsDAO.updateStorageUsage(resourceId, principalIds, bytes, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    getStorageUsage(principalIds, (err, usage) => {
+      if (err) {
+        return cancelStorageReservation(resourceId, principalIds, bytes, () => {
+          return callback(err);
+        });
+      }
+
+      const exceededId = _findExceededPrincipalId(principalIds, usage, 0);
+      if (!exceededId) {
+        return callback();
+      }
+
+      cancelStorageReservation(resourceId, principalIds, bytes, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        return callback(_createQuotaExceededError(exceededId));
+      });
+    });
+  });
+};
+
+/**
+ * Give back the storage that was reserved for a file that could not be stored
+ *
+ * @param  {String}     resourceId              The id of the resource the file was uploaded for
+ * @param  {String[]}   principalIds            The ids of the principals for whom the storage was reserved
+ * @param  {Number}     bytes                   The size of the file
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ */
+const cancelStorageReservation = function(resourceId, principalIds, bytes, callback) {
+  PrincipalsDAO.updateStorageUsage(resourceId, principalIds, -bytes, callback);
+};
+
+/**
+ * Remove the files of a resource from the storage usage of the principals on whose behalf they were uploaded. This
+ * should be called when the resource and its files are removed permanently
+ *
+ * @param  {String}     resourceId              The id of the resource whose files were removed
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ */
+const releaseStorage = function(resourceId, callback) {
+  PrincipalsDAO.getStorageUsageForResource(resourceId, (err, bytesByPrincipalId) => {
+    if (err) {
+      return callback(err);
+    }
+
+    eachSeries(
+      _.keys(bytesByPrincipalId),
+      (principalId, done) => {
+        PrincipalsDAO.updateStorageUsage(resourceId, [principalId], -bytesByPrincipalId[principalId], done);
+      },
+      err => {
+        if (err) {
+          return callback(err);
+        }
+
+        PrincipalsDAO.deleteStorageUsageForResource(resourceId, callback);
+      }
+    );
+  });
+};
+
+/**
+ * Get the principals of a tenant that use the most storage. Only administrators of the tenant can get this report
+ *
+ * @param  {Context}    ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}     tenantAlias             The alias of the tenant for which to get the report
+ * @param  {Number}     [limit]                 The maximum number of principals to return. Defaults to 25, with a maximum of 250
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Object[]}   callback.results        The principals that use the most storage, ordered from the largest consumer down. Each result has a `principal` property with the basic profile of the principal and `used` and `quota` properties as returned by `getStorageUsage`
+ */
+const getLargestStorageConsumers = function(ctx, tenantAlias, limit, callback) {
+  limit = OaeUtil.getNumberParam(limit, DEFAULT_REPORT_LIMIT, 1, MAX_REPORT_LIMIT);
+
+  if (!ctx.user() || !ctx.user().isAdmin(tenantAlias)) {
+    return callback({ code: 401, msg: 'Only authorized admins can get the storage usage of a tenant' });
+  }
+
+  if (!TenantsAPI.getTenant(tenantAlias)) {
+    return callback({ code: 404, msg: 'No tenant was found for this alias' });
+  }
+
+  PrincipalsDAO.getStorageUsageForTenant(tenantAlias, (err, bytesByPrincipalId) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const principalIds = _.chain(bytesByPrincipalId)
+      .keys()
+      .filter(principalId => bytesByPrincipalId[principalId] > 0)
+      .sortBy(principalId => -bytesByPrincipalId[principalId])
+      .first(limit)
+      .value();
+
+    PrincipalsUtil.getPrincipals(ctx, principalIds, (err, principals) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const results = _.chain(principalIds)
+        .filter(principalId => {
+          if (!principals[principalId]) {
+            log().warn({ principalId, tenantAlias }, 'Found storage usage for a principal that does not exist');
+            return false;
+          }
+
+          return true;
+        })
+        .map(principalId => {
+          return {
+            principal: principals[principalId],
+            used: bytesByPrincipalId[principalId],
+            quota: _getQuota(principalId)
+          };
+        })
+        .value();
+
+      return callback(null, results);
+    });
+  });
+};
+
+/**
+ * Find the first principal whose quota is exceeded when a number of bytes is added to its storage usage
+ *
+ * @param  {String[]}   principalIds    The ids of the principals to check
+ * @param  {Object}     usage           The storage usage of the principals, as returned by `getStorageUsage`
+ * @param  {Number}     bytes           The number of bytes to add to the storage usage of each principal
+ * @return {String}                     The id of the first principal whose quota is exceeded, if any
+ * @api private
+ */
+const _findExceededPrincipalId = function(principalIds, usage, bytes) {
+  return _.find(principalIds, principalId => {
+    const { used, quota } = usage[principalId];
+    return quota !== null && used + bytes > quota;
+  });
+};
+
+/**
+ * Create the error that is returned when a file does not fit in the storage quota of a principal
+ *
+ * @param  {String}     principalId     The id of the principal whose quota would be exceeded
+ * @return {Object}                     A 413 error
+ * @api private
+ */
+const _createQuotaExceededError = function(principalId) {
+  if (PrincipalsUtil.isGroup(principalId)) {
+    return {
+      code: 413,
+      msg: util.format('The group %s does not have enough storage space left for this file', principalId)
+    };
+  }
+
+  return { code: 413, msg: 'You do not have enough storage space left for this file' };
+};
+
+/**
+ * Get the number of bytes a principal is allowed to upload, as configured for its tenant
+ *
+ * @param  {String}     principalId     The id of the principal whose quota to get
+ * @return {Number}                     The number of bytes the principal can upload, or `null` if it can upload an unlimited amount
+ * @api private
+ */
+const _getQuota = function(principalId) {
+  const { tenantAlias } = AuthzUtil.getResourceFromId(principalId);
+  const key = PrincipalsUtil.isGroup(principalId) ? 'group' : 'user';
+  const megabytes = OaeUtil.getNumberParam(PrincipalsConfig.getValue(tenantAlias, 'quota', key), 0, 0);
+  if (!megabytes) {
+    return null;
+  }
+
+  return megabytes * 1024 * 1024;
+};
+
+export {
+  getStorageUsage,
+  checkStorageQuota,
+  reserveStorage,
+  cancelStorageReservation,
+  releaseStorage,
+  getLargestStorageConsumers
+};
@@ -64,6 +64,7 @@ import { AuthzConstants } from 'oae-authz/lib/constants';
 import * as UserDeletionUtil from 'oae-principals/lib/definitive-deletion';
 import * as PrincipalsDAO from './internal/dao';
 import PrincipalsEmitter from './internal/emitter';
+import * as PrincipalsQuotaAPI from './api.quota';
 import * as PrincipalsTermsAndConditionsAPI from './api.termsAndConditions';
 import * as PrincipalsUtil from './util';
 import { PrincipalsConstants } from './constants';
@@ -1114,6 +1115,7 @@ const getFullUserProfile = function(ctx, userId, callback) {
  *         "isGlobalAdmin": false,
  *         "resourceType": "user"
  *         "locale": "en_GB"
+ *         "storage": {"used": 1048576, "quota": 104857600}
  *     }
  *
  * If error returns error object
@@ -1170,7 +1172,13 @@ const getMe = function(ctx, callback) {
     // Return the name of the strategy that the user used to log into the system
     data.authenticationStrategy = ctx.authenticationStrategy();
 
-    return callback(null, data);
+    // Return how much storage the user uses and how much they are allowed to use
+    PrincipalsQuotaAPI.getStorageUsage([data.id], (err, usage) => {
+      if (err) return callback(err);
+
+      data.storage = usage[data.id];
+      return callback(null, data);
+    });
   });
 };
 
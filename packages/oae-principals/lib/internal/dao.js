@@ -15,6 +15,7 @@
 
 import util from 'util';
 import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
 import { logger } from 'oae-logger';
 import { setUpConfig } from 'oae-config';
 
@@ -1352,6 +1353,159 @@ const updateUserArchiveFlag = function(principalId, callback) {
   );
 };
 
+/**
+ * Get the number of bytes that have been uploaded on behalf of a set of principals
+ *
+ * @param  {String[]}       principalIds        The ids of the principals whose storage usage to get
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object}         callback.usage      The number of bytes each principal uses, keyed by principal id. Principals that have never uploaded anything use `0` bytes
+ */
+const getStorageUsage = function(principalIds, callback) {
+  const usage = {};
+  _.each(principalIds, principalId => {
+    usage[principalId] = 0;
+  });
+
+  // The usage is partitioned by tenant, so we query the principals of each tenant in one go
+  const principalIdsByTenant = _.groupBy(principalIds, principalId => {
+    return AuthzUtil.getResourceFromId(principalId).tenantAlias;
+  });
+
+  eachSeries(
+    _.keys(principalIdsByTenant),
+    (tenantAlias, done) => {
+      Cassandra.runQuery(
+        'SELECT "principalId", "bytes" FROM "StorageUsage" WHERE "tenantAlias" = ? AND "principalId" IN ?',
+        [tenantAlias, principalIdsByTenant[tenantAlias]],
+        (err, rows) => {
+          if (err) {
+            return done(err);
+          }
+
+          _.extend(usage, _rowsToStorageUsage(rows));
+          return done();
+        }
+      );
+    },
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, usage);
+    }
+  );
+};
+
+/**
+ * Get the number of bytes that have been uploaded on behalf of each principal of a tenant. Principals that have never
+ * uploaded anything will not be included
+ *
+ * @param  {String}         tenantAlias         The alias of the tenant whose storage usage to get
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object}         callback.usage      The number of bytes each principal uses, keyed by principal id
+ */
+const getStorageUsageForTenant = function(tenantAlias, callback) {
+  Cassandra.runAutoPagedQuery(
+    'SELECT "principalId", "bytes" FROM "StorageUsage" WHERE "tenantAlias" = ?',
+    [tenantAlias],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, _rowsToStorageUsage(rows));
+    }
+  );
+};
+
+/**
+ * Change the storage usage of a set of principals and record how much of it can be attributed to a resource, so the
+ * usage can be released again when the resource is removed
+ *
+ * @param  {String}         resourceId          The id of the resource whose files cause the change in storage usage
+ * @param  {String[]}       principalIds        The ids of the principals whose storage usage changes
+ * @param  {Number}         bytes               The number of bytes by which the usage changes. Use a negative number to decrease the usage
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ */
+const updateStorageUsage = function(resourceId, principalIds, bytes, callback) {
+  // Counter updates can't be mixed with regular updates in a batch, so each counter is updated on its own
+  eachSeries(
+    principalIds,
+    (principalId, done) => {
+      const { tenantAlias } = AuthzUtil.getResourceFromId(principalId);
+      Cassandra.runQuery(
+        'UPDATE "StorageUsage" SET "bytes" = "bytes" + ? WHERE "tenantAlias" = ? AND "principalId" = ?',
+        [bytes, tenantAlias, principalId],
+        err => {
+          if (err) {
+            return done(err);
+          }
+
+          Cassandra.runQuery(
+            'UPDATE "StorageUsageByResource" SET "bytes" = "bytes" + ? WHERE "resourceId" = ? AND "principalId" = ?',
+            [bytes, resourceId, principalId],
+            done
+          );
+        }
+      );
+    },
+    callback
+  );
+};
+
+/**
+ * Get the number of bytes that were charged to each principal for the files of a resource
+ *
+ * @param  {String}         resourceId          The id of the resource whose charges to get
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {Object}         callback.usage      The number of bytes charged to each principal, keyed by principal id
+ */
+const getStorageUsageForResource = function(resourceId, callback) {
+  Cassandra.runQuery(
+    'SELECT "principalId", "bytes" FROM "StorageUsageByResource" WHERE "resourceId" = ?',
+    [resourceId],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return callback(null, _rowsToStorageUsage(rows));
+    }
+  );
+};
+
+/**
+ * Remove the record of how many bytes were charged to each principal for the files of a resource
+ *
+ * @param  {String}         resourceId          The id of the resource whose charges to remove
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ */
+const deleteStorageUsageForResource = function(resourceId, callback) {
+  Cassandra.runQuery('DELETE FROM "StorageUsageByResource" WHERE "resourceId" = ?', [resourceId], callback);
+};
+
+/**
+ * Convert the rows of a storage usage table into a hash of bytes keyed by principal id
+ *
+ * @param  {Row[]}      rows    The Cassandra rows to convert
+ * @return {Object}             The number of bytes, keyed by principal id
+ * @api private
+ */
+const _rowsToStorageUsage = function(rows) {
+  const usage = {};
+  _.each(rows, row => {
+    // Counters are returned as 64-bit integers
+    usage[row.get('principalId')] = row.get('bytes').toNumber();
+  });
+  return usage;
+};
+
 export {
   fullyDeletePrincipal,
   createUser,
@@ -1388,5 +1542,10 @@ export {
   removePrincipalFromDataArchive,
   getArchivedUser,
   getExpiredUser,
-  updateUserArchiveFlag
+  updateUserArchiveFlag,
+  getStorageUsage,
+  getStorageUsageForTenant,
+  updateStorageUsage,
+  getStorageUsageForResource,
+  deleteStorageUsageForResource
 };
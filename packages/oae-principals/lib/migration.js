@@ -35,7 +35,15 @@ const ensureSchema = function(callback) {
 
       // Map the archive id, principal id and the resource id belonging to the principal
       DataArchive:
-        'CREATE TABLE "DataArchive" ("archiveId" text, "principalId" text, "resourceId" text, "deletionDate" text, PRIMARY KEY ("archiveId", "principalId"))'
+        'CREATE TABLE "DataArchive" ("archiveId" text, "principalId" text, "resourceId" text, "deletionDate" text, PRIMARY KEY ("archiveId", "principalId"))',
+
+      // Track the number of bytes that have been uploaded on behalf of each principal of a tenant
+      StorageUsage:
+        'CREATE TABLE "StorageUsage" ("tenantAlias" text, "principalId" text, "bytes" counter, PRIMARY KEY ("tenantAlias", "principalId"))',
+
+      // Track how many of those bytes were uploaded for each resource, so they can be released when the resource is removed
+      StorageUsageByResource:
+        'CREATE TABLE "StorageUsageByResource" ("resourceId" text, "principalId" text, "bytes" counter, PRIMARY KEY ("resourceId", "principalId"))'
     },
     () => {
       runQuery('CREATE INDEX IF NOT EXISTS ON "Principals" ("tenantAlias")', [], () => {
@@ -124,3 +124,31 @@ OAE.tenantRouter.on('post', '/api/crop', (req, res) => {
     return res.status(200).send(data);
   });
 });
+
+/**
+ * @REST getTenantStorageUsage
+ *
+ * Get the principals of a tenant that use the most storage
+ *
+ * @Server      admin,tenant
+ * @Method      GET
+ * @Path        /tenants/{tenantAlias}/storage
+ * @PathParam   {string}                    tenantAlias             The alias of the tenant for which to get the storage usage
+ * @QueryParam  {number}                    [limit]                 The maximum number of principals to return. Defaults to 25
+ * @Return      {StorageConsumersResponse}                          The principals that use the most storage
+ * @HttpResponse                            200                     Storage usage available
+ * @HttpResponse                            401                     Only authorized admins can get the storage usage of a tenant
+ * @HttpResponse                            404                     No tenant was found for this alias
+ */
+const _getTenantStorageUsage = function(req, res) {
+  PrincipalsAPI.getLargestStorageConsumers(req.ctx, req.params.tenantAlias, req.query.limit, (err, results) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send({ results });
+  });
+};
+
+OAE.globalAdminRouter.on('get', '/api/tenants/:tenantAlias/storage', _getTenantStorageUsage);
+OAE.tenantRouter.on('get', '/api/tenants/:tenantAlias/storage', _getTenantStorageUsage);
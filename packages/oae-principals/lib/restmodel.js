@@ -75,6 +75,7 @@
  * @Property    {PrincipalPicture}  picture                 The thumbnail for the group
  * @Property    {string}            profilePath             The relative path to the group profile
  * @Property    {string}            resourceType            The resource type of the group            [group]
+ * @Property    {StorageUsage}      storage                 How much storage the group uses. Only included for managers of the group
  * @Property    {BasicTenant}       tenant                  The tenant to which this group is associated
  * @Property    {string}            visibility              The visibility of the group               [loggedin,private,public]
  */
@@ -108,6 +109,7 @@
  * @Property    {string}            profilePath             The relative path to the user profile
  * @Property    {string}            publicAlias             The name to show when the user is inaccessible to a user
  * @Property    {string}            resourceType            The resource type of the user            [user]
+ * @Property    {StorageUsage}      storage                 How much storage the user uses
  * @Property    {BasicTenant}       tenant                  The tenant to which this user is associated
  * @Property    {string}            visibility              The visibility of the user               [loggedin,private,public]
  */
@@ -152,6 +154,30 @@
  * @Property    {string}            small                   The path for the small principal thumbnail
  */
 
+/**
+ * @RESTModel StorageConsumer
+ *
+ * @Required    [principal,used]
+ * @Property    {BasicPrincipal}    principal               The principal that uses the storage
+ * @Property    {number}            quota                   The number of bytes the principal is allowed to use. `null` if the principal can use an unlimited amount
+ * @Property    {number}            used                    The number of bytes the principal uses
+ */
+
+/**
+ * @RESTModel StorageConsumersResponse
+ *
+ * @Required    [results]
+ * @Property    {StorageConsumer[]} results                 The principals that use the most storage, ordered from the largest consumer down
+ */
+
+/**
+ * @RESTModel StorageUsage
+ *
+ * @Required    [used]
+ * @Property    {number}            quota                   The number of bytes the principal is allowed to use. `null` if the principal can use an unlimited amount
+ * @Property    {number}            used                    The number of bytes the principal uses
+ */
+
 /**
  * @RESTModel TermsAndConditions
  *
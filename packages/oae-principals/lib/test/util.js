@@ -2414,7 +2414,7 @@ const generateMeetings = function(restCtx, manager, privacy, numToCreate, callba
     return manager;
   };
 
-  MeetingAPI.createMeeting(restCtx, 'name', 'description', true, false, privacy, {}, function(err, meeting) {
+  MeetingAPI.createMeeting(restCtx, 'name', 'description', true, false, privacy, {}, null, function(err, meeting) {
     assert.ok(!err);
     _created.push(meeting);
     return generateMeetings(restCtx, manager, privacy, numToCreate, callback, _created);
@@ -0,0 +1,34 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Fields from 'oae-config/lib/fields';
+
+export const title = 'OAE Resource Module';
+export const tags = {
+  name: 'Tags',
+  description: 'Tagging of content items, discussions, folders and meetings',
+  elements: {
+    vocabulary: new Fields.Text(
+      'Controlled vocabulary',
+      'A comma-separated list of the tags that are managed by the tenant (e.g., "biology, chemistry, physics")',
+      ''
+    ),
+    restricted: new Fields.Bool(
+      'Restrict to vocabulary',
+      'Whether or not resources can only be tagged with terms from the controlled vocabulary',
+      false
+    )
+  }
+};
@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Fields from 'oae-config/lib/fields';
+
+export const title = 'OAE Resource Module';
+export const trash = {
+  name: 'Trash',
+  description: 'Deleted content items, discussions, folders and meetings',
+  elements: {
+    retention: new Fields.Text(
+      'Days before purge',
+      'The number of days a deleted resource is kept in the trash before it is permanently removed',
+      '30'
+    )
+  }
+};
@@ -20,4 +20,18 @@ ResourceConstants.events = {
   INVITED: 'invited'
 };
 
+ResourceConstants.tags = {
+  MAX_TAGS: 50,
+  MAX_TAG_LENGTH: 100
+};
+
+ResourceConstants.reactions = {
+  TYPES: ['like', 'love', 'laugh', 'celebrate', 'insightful', 'thanks']
+};
+
+ResourceConstants.trash = {
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 25
+};
+
 export { ResourceConstants };
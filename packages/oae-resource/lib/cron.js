@@ -0,0 +1,81 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { CronJob } from 'cron';
+
+import { logger } from 'oae-logger';
+
+import * as ResourceSchedule from 'oae-resource/lib/schedule';
+import * as ResourceTrash from 'oae-resource/lib/trash';
+
+const log = logger('oae-resource-cron');
+
+/**
+ * Program the task that permanently removes the resources that have been in the trash for longer than the retention
+ * period of their tenant. The task runs every night at 03:00
+ *
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @param  {CronJob}    callback.job    The programmed job
+ */
+const programTrashPurgeTask = function(callback) {
+  const job = new CronJob(
+    '00 00 03 * * *',
+    () => {
+      ResourceTrash.purgeExpiredItems((err, purged) => {
+        if (err) {
+          return log().error({ err }, 'An error occurred while purging the trash');
+        }
+
+        log().info({ purged }, 'Purged the expired resources from the trash');
+      });
+    },
+    null,
+    true,
+    'Etc/UTC'
+  );
+  return callback(null, job);
+};
+
+/**
+ * Program the task that changes the visibility of the resources whose publication or expiry date has passed. The task
+ * runs every minute
+ *
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @param  {CronJob}    callback.job    The programmed job
+ */
+const programScheduleTask = function(callback) {
+  const job = new CronJob(
+    '00 * * * * *',
+    () => {
+      ResourceSchedule.applyScheduledChanges((err, applied) => {
+        if (err) {
+          return log().error({ err }, 'An error occurred while applying the scheduled visibility changes');
+        }
+
+        if (applied > 0) {
+          log().info({ applied }, 'Applied the scheduled visibility changes');
+        }
+      });
+    },
+    null,
+    true,
+    'Etc/UTC'
+  );
+  return callback(null, job);
+};
+
+export { programTrashPurgeTask, programScheduleTask };
@@ -0,0 +1,31 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Cron from './cron';
+import * as ResourceSchedule from './schedule';
+
+export function init(config, callback) {
+  ResourceSchedule.init(config.servers.globalAdminAlias);
+
+  Cron.programTrashPurgeTask(err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return Cron.programScheduleTask(err => {
+      return callback(err);
+    });
+  });
+}
@@ -0,0 +1,41 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { createColumnFamilies } from 'oae-util/lib/cassandra';
+
+/**
+ * Create the reactions, trash and schedules database schema
+ *
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const ensureSchema = function(callback) {
+  createColumnFamilies(
+    {
+      Reactions:
+        'CREATE TABLE "Reactions" ("targetId" text, "reaction" text, "principalId" text, "created" text, PRIMARY KEY ("targetId", "reaction", "principalId"))',
+      Trash:
+        'CREATE TABLE "Trash" ("resourceId" text PRIMARY KEY, "resourceType" text, "resourceSubType" text, "tenantAlias" text, "displayName" text, "visibility" text, "deleted" text, "deletedBy" text, "managerIds" text, "data" text)',
+      TrashByPrincipal:
+        'CREATE TABLE "TrashByPrincipal" ("principalId" text, "trashKey" text, "resourceId" text, PRIMARY KEY ("principalId", "trashKey"))',
+      ResourceSchedules:
+        'CREATE TABLE "ResourceSchedules" ("resourceId" text PRIMARY KEY, "resourceType" text, "tenantAlias" text, "scheduledBy" text, "publishAt" text, "publishVisibility" text, "expireAt" text)'
+    },
+    callback
+  );
+};
+
+export { ensureSchema };
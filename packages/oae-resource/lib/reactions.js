@@ -0,0 +1,187 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import isIn from 'validator/lib/isIn';
+
+import * as Cassandra from 'oae-util/lib/cassandra';
+import { Validator as validator } from 'oae-util/lib/validator';
+import { ResourceConstants } from 'oae-resource/lib/constants';
+
+const { unless, isString } = validator;
+
+/**
+ * Validate a reaction that is about to be added or removed. This function is meant to be invoked within the `try`
+ * block that validates the parameters of an API call
+ *
+ * @param  {String}     reaction    The reaction to validate
+ * @throws {Object}                 A validation error with a `code` and `msg` if the reaction is not valid
+ */
+const validateReaction = function(reaction) {
+  unless(isString, {
+    code: 400,
+    msg: 'A reaction must be provided'
+  })(reaction);
+
+  unless(isIn, {
+    code: 400,
+    msg: 'An unknown reaction was provided. Must be one of: ' + ResourceConstants.reactions.TYPES.join(', ')
+  })(reaction, ResourceConstants.reactions.TYPES);
+};
+
+/**
+ * Add a reaction of the user in context to a resource or message. It's up to the caller to validate the reaction and
+ * to perform the necessary permission checks
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     targetId            The id of the resource or message to react to
+ * @param  {String}     reaction            The reaction to add
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.reactions  The reactions on the target after the reaction was added, @see #getReactions
+ * @param  {Boolean}    callback.added      Whether or not the reaction was added. This is `false` if the user had already reacted with this reaction
+ */
+const addReaction = function(ctx, targetId, reaction, callback) {
+  // Use a conditional insert so only one of several simultaneous requests for the same reaction is reported as added
+  Cassandra.runQuery(
+    'INSERT INTO "Reactions" ("targetId", "reaction", "principalId", "created") VALUES (?, ?, ?, ?) IF NOT EXISTS',
+    [targetId, reaction, ctx.user().id, Date.now().toString()],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      return _getTargetReactions(ctx, targetId, rows[0].get('[applied]'), callback);
+    }
+  );
+};
+
+/**
+ * Remove a reaction of the user in context from a resource or message. It's up to the caller to validate the reaction
+ * and to perform the necessary permission checks
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     targetId            The id of the resource or message from which to remove the reaction
+ * @param  {String}     reaction            The reaction to remove
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.reactions  The reactions on the target after the reaction was removed, @see #getReactions
+ */
+const removeReaction = function(ctx, targetId, reaction, callback) {
+  // Reactions are added with a conditional insert, so they are removed with a conditional delete as well
+  Cassandra.runQuery(
+    'DELETE FROM "Reactions" WHERE "targetId" = ? AND "reaction" = ? AND "principalId" = ? IF EXISTS',
+    [targetId, reaction, ctx.user().id],
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return _getTargetReactions(ctx, targetId, false, callback);
+    }
+  );
+};
+
+/**
+ * Get the reactions on a set of resources or messages. The reactions on a target are summarized in an object keyed by
+ * the reaction, which holds how many principals reacted with it and whether the user in context is one of them:
+ *
+ *  `{ like: { count: 3, reacted: true }, thanks: { count: 1, reacted: false } }`
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String[]}   targetIds           The ids of the resources or messages for which to get the reactions
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.reactions  An object keyed by target id, holding the reactions summary of each target
+ */
+const getReactions = function(ctx, targetIds, callback) {
+  targetIds = _.uniq(_.compact(targetIds));
+  const reactions = _.object(
+    targetIds,
+    _.map(targetIds, () => ({}))
+  );
+  if (_.isEmpty(targetIds)) {
+    return callback(null, reactions);
+  }
+
+  const userId = ctx.user() ? ctx.user().id : null;
+  Cassandra.runQuery(
+    'SELECT "targetId", "reaction", "principalId" FROM "Reactions" WHERE "targetId" IN ?',
+    [targetIds],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      _.each(rows, row => {
+        row = Cassandra.rowToHash(row);
+        const targetReactions = reactions[row.targetId];
+        targetReactions[row.reaction] = targetReactions[row.reaction] || { count: 0, reacted: false };
+        targetReactions[row.reaction].count++;
+        if (row.principalId === userId) {
+          targetReactions[row.reaction].reacted = true;
+        }
+      });
+
+      return callback(null, reactions);
+    }
+  );
+};
+
+/**
+ * Set the summary of their reactions as the `reactions` property on each of the given resources or messages
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Object[]}   targets             The resources or messages on which to set the reactions. Each object should have an `id`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const augmentWithReactions = function(ctx, targets, callback) {
+  getReactions(ctx, _.pluck(targets, 'id'), (err, reactions) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _.each(targets, target => {
+      target.reactions = reactions[target.id] || {};
+    });
+
+    return callback();
+  });
+};
+
+/**
+ * Get the reactions summary of a single target
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}     targetId            The id of the resource or message
+ * @param  {Boolean}    added               Whether or not a reaction was added to the target, passed on to the callback
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object}     callback.reactions  The reactions summary of the target
+ * @param  {Boolean}    callback.added      The value of the `added` parameter
+ * @api private
+ */
+const _getTargetReactions = function(ctx, targetId, added, callback) {
+  getReactions(ctx, [targetId], (err, reactions) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, reactions[targetId], added);
+  });
+};
+
+export { validateReaction, addReaction, removeReaction, getReactions, augmentWithReactions };
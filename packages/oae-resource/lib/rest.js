@@ -16,6 +16,7 @@
 import * as OAE from 'oae-util/lib/oae';
 
 import * as ResourceActions from 'oae-resource/lib/actions';
+import * as ResourceTrash from 'oae-resource/lib/trash';
 
 /**
  * @REST postInvitationAccept
@@ -41,3 +42,32 @@ OAE.tenantRouter.on('post', '/api/invitation/accept', (req, res) => {
     return res.status(200).send({ email, resources });
   });
 });
+
+/**
+ * @REST getTrashPrincipalId
+ *
+ * Get the content items, discussions, folders and meetings a user or group managed that have been deleted and can
+ * still be restored
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /trash/{principalId}
+ * @PathParam   {string}                principalId         The id of the user or group whose trash to get
+ * @QueryParam  {number}                [limit]             The maximum number of results to return. Default: 10
+ * @QueryParam  {string}                [start]             The trash paging token from which to start fetching items
+ * @Return      {Trash}                                     The deleted resources, most recently deleted first
+ * @HttpResponse                        200                 Trash available
+ * @HttpResponse                        400                 A valid user or group id must be provided
+ * @HttpResponse                        401                 You must be authenticated to see a trash
+ * @HttpResponse                        401                 You are not authorized to see this trash
+ * @HttpResponse                        404                 The user or group could not be found
+ */
+OAE.tenantRouter.on('get', '/api/trash/:principalId', (req, res) => {
+  ResourceTrash.getTrash(req.ctx, req.params.principalId, req.query.start, req.query.limit, (err, items, nextToken) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send({ results: items, nextToken });
+  });
+});
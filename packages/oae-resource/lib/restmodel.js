@@ -38,3 +38,46 @@
  * @Required  [results]
  * @Property  {Invitation[]}        results     The list of invitations
  */
+
+/**
+ * @RESTModel Reaction
+ *
+ * @Required  [count,reacted]
+ * @Property  {number}              count       The number of users that reacted with this reaction
+ * @Property  {boolean}             reacted     Whether the current user reacted with this reaction
+ */
+
+/**
+ * @RESTModel Reactions
+ *
+ * @Required  []
+ * @Property  {Reaction}            celebrate   The `celebrate` reactions
+ * @Property  {Reaction}            insightful  The `insightful` reactions
+ * @Property  {Reaction}            laugh       The `laugh` reactions
+ * @Property  {Reaction}            like        The `like` reactions
+ * @Property  {Reaction}            love        The `love` reactions
+ * @Property  {Reaction}            thanks      The `thanks` reactions
+ */
+
+/**
+ * @RESTModel Trash
+ *
+ * @Required  [nextToken,results]
+ * @Property  {string}              nextToken       The trash paging token needed to retrieve the next set of items
+ * @Property  {TrashItem[]}         results         The deleted resources
+ */
+
+/**
+ * @RESTModel TrashItem
+ *
+ * @Required  [deleted,deletedBy,displayName,expires,id,resourceType,tenant,visibility]
+ * @Property  {number}              deleted         The timestamp (millis since epoch) at which the resource was deleted
+ * @Property  {BasicUser}           deletedBy       The user who deleted the resource
+ * @Property  {string}              displayName     The display name of the resource
+ * @Property  {number}              expires         The timestamp (millis since epoch) at which the resource will be permanently removed
+ * @Property  {string}              id              The id of the resource
+ * @Property  {string}              resourceSubType The sub type of the resource, if any                        [collabdoc,collabsheet,file,link]
+ * @Property  {string}              resourceType    The type of the resource                                    [content,discussion,folder,meeting-jitsi]
+ * @Property  {BasicTenant}         tenant          The tenant to which the resource belongs
+ * @Property  {string}              visibility      The visibility of the resource                              [loggedin,private,public]
+ */
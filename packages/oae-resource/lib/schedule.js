@@ -0,0 +1,440 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import util from 'util';
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+import isInt from 'validator/lib/isInt';
+
+import { logger } from 'oae-logger';
+
+import * as Cassandra from 'oae-util/lib/cassandra';
+import * as Locking from 'oae-util/lib/locking';
+import * as OaeUtil from 'oae-util/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+
+import { AuthzConstants } from 'oae-authz/lib/constants';
+import { Context } from 'oae-context';
+import { User } from 'oae-principals/lib/model';
+import { Validator as validator } from 'oae-util/lib/validator';
+
+const { unless } = validator;
+
+const log = logger('oae-resource-schedule');
+
+// The profile fields with which the publication and expiry of a resource can be scheduled
+const PUBLISH_AT = 'publishAt';
+const EXPIRE_AT = 'expireAt';
+
+// The lock that ensures only one app server at a time applies the scheduled changes
+const SCHEDULE_LOCK_KEY = 'oae-resource:schedule';
+const SCHEDULE_LOCK_DURATION = 5 * 60;
+
+// The resource types whose visibility can be scheduled, keyed by resource type
+const _resourceTypes = {};
+
+// The alias of the global administration tenant, on behalf of whose administrator the scheduled changes are applied
+let globalTenantAlias = null;
+
+/**
+ * Initialize the scheduling of resource visibility changes
+ *
+ * @param  {String}     _globalTenantAlias      The alias of the global administration tenant
+ */
+const init = function(_globalTenantAlias) {
+  globalTenantAlias = _globalTenantAlias;
+};
+
+/**
+ * Register a type of resource whose publication and expiry can be scheduled. When a scheduled date is reached, the
+ * `setVisibility` function of its resource type is invoked on behalf of the global administrator, so the regular
+ * update flow takes care of the libraries, the search index and the activities. The change is applied even when the
+ * user who scheduled it can no longer manage the resource
+ *
+ * @param  {String}     resourceType                        The type of resource, e.g. `content`
+ * @param  {Object}     options                             The options of the resource type
+ * @param  {Function}   options.setVisibility               The function that changes the visibility of a resource of this type
+ * @param  {Context}    options.setVisibility.ctx           The context of the global administrator
+ * @param  {String}     options.setVisibility.resourceId    The id of the resource whose visibility should change
+ * @param  {String}     options.setVisibility.visibility    The new visibility of the resource
+ * @param  {Function}   options.setVisibility.callback      Standard callback function that should be invoked once the visibility has changed
+ * @throws {Error}                                          An error that is thrown if the resource type has already been registered
+ */
+const registerResourceType = function(resourceType, options) {
+  if (_resourceTypes[resourceType]) {
+    throw new Error('Attempted to register a scheduled resource type that already exists: ' + resourceType);
+  }
+
+  _resourceTypes[resourceType] = options;
+};
+
+/**
+ * Whether or not a set of profile fields holds a publication or expiry date
+ *
+ * @param  {Object}     profileFields       The profile fields of a resource update
+ * @return {Boolean}                        `true` if the update changes the schedule of the resource
+ */
+const isScheduleUpdate = function(profileFields) {
+  return _.has(profileFields, PUBLISH_AT) || _.has(profileFields, EXPIRE_AT);
+};
+
+/**
+ * Validate the publication and expiry dates in a set of profile fields. A date is a timestamp in milliseconds that
+ * should lie in the future, or an empty string to clear it. This function is meant to be invoked within the `try`
+ * block that validates the parameters of an API call
+ *
+ * @param  {Object}     profileFields       The profile fields of a resource update
+ * @throws {Object}                         A validation error with a `code` and `msg` if the dates are not valid
+ */
+const validateSchedule = function(profileFields) {
+  const now = Date.now();
+  _.each([PUBLISH_AT, EXPIRE_AT], fieldName => {
+    const value = profileFields[fieldName];
+    if (_.isUndefined(value) || value === '') {
+      return;
+    }
+
+    unless(isInt, {
+      code: 400,
+      msg: fieldName + ' should be a timestamp in milliseconds'
+    })(String(value));
+
+    unless(timestamp => timestamp > now, {
+      code: 400,
+      msg: fieldName + ' should be a date in the future'
+    })(OaeUtil.getNumberParam(value));
+  });
+
+  if (profileFields[PUBLISH_AT] && profileFields[EXPIRE_AT]) {
+    unless(expireAt => expireAt > OaeUtil.getNumberParam(profileFields[PUBLISH_AT]), {
+      code: 400,
+      msg: 'A resource should expire after it has been published'
+    })(OaeUtil.getNumberParam(profileFields[EXPIRE_AT]));
+  }
+};
+
+/**
+ * Take the publication and expiry dates out of the profile fields of a resource update. When a publication date is
+ * set, the resource is made private until that date and gets the requested (or its current) visibility once it is
+ * published. This function is meant to be invoked within a `try` block
+ *
+ * @param  {Resource}   resource                The resource that is being updated
+ * @param  {Object}     profileFields           The validated profile fields of the update
+ * @return {Object}                             An object with the remaining `profileFields` and the `schedule` that should be passed into `setSchedule`
+ * @throws {Object}                             A validation error with a `code` and `msg` if the resource can not be scheduled for publication
+ */
+const extractSchedule = function(resource, profileFields) {
+  const schedule = {};
+  _.each([PUBLISH_AT, EXPIRE_AT], fieldName => {
+    const value = profileFields[fieldName];
+    if (!_.isUndefined(value)) {
+      schedule[fieldName] = value === '' ? null : OaeUtil.getNumberParam(value);
+    }
+  });
+
+  const remainingFields = _.omit(profileFields, PUBLISH_AT, EXPIRE_AT);
+  if (schedule.publishAt) {
+    schedule.publishVisibility = remainingFields.visibility || resource.visibility;
+    unless(visibility => visibility !== AuthzConstants.visibility.PRIVATE, {
+      code: 400,
+      msg: 'A resource can only be scheduled for publication with a loggedin or public visibility'
+    })(schedule.publishVisibility);
+
+    // Hide the resource until it is published
+    remainingFields.visibility = AuthzConstants.visibility.PRIVATE;
+  } else if (schedule.publishAt === null) {
+    schedule.publishVisibility = null;
+  }
+
+  return { profileFields: remainingFields, schedule };
+};
+
+/**
+ * Validate the publication and expiry dates of a resource that is being created and take them out of its creation
+ * parameters. When a publication date is set, the resource is created privately and gets the requested visibility
+ * once it is published. This function is meant to be invoked within the `try` block that validates the parameters of
+ * an API call
+ *
+ * @param  {String}     visibility                  The requested visibility of the new resource
+ * @param  {Object}     [scheduleFields]            The `publishAt` and `expireAt` timestamps of the new resource, if any
+ * @return {Object}                                 An object with the `visibility` with which the resource should be created and the `schedule` that should be passed into `setSchedule` once it has been created
+ * @throws {Object}                                 A validation error with a `code` and `msg` if the dates are not valid
+ */
+const extractCreationSchedule = function(visibility, scheduleFields) {
+  const profileFields = _.extend(_.pick(scheduleFields, PUBLISH_AT, EXPIRE_AT), { visibility });
+  validateSchedule(profileFields);
+
+  const creation = extractSchedule({ visibility }, profileFields);
+  return { visibility: creation.profileFields.visibility, schedule: _.omit(creation.schedule, _.isNull) };
+};
+
+/**
+ * Get the publication and expiry dates of a resource
+ *
+ * @param  {String}     resourceId                  The id of the resource
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ * @param  {Object}     callback.schedule           The schedule of the resource. It holds the `publishAt`, `publishVisibility` and `expireAt` properties when they have been set
+ */
+const getSchedule = function(resourceId, callback) {
+  Cassandra.runQuery('SELECT * FROM "ResourceSchedules" WHERE "resourceId" = ?', [resourceId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows)) {
+      return callback(null, {});
+    }
+
+    const schedule = _.pick(_rowToSchedule(rows[0]), PUBLISH_AT, 'publishVisibility', EXPIRE_AT);
+    return callback(null, _.omit(schedule, _.isUndefined));
+  });
+};
+
+/**
+ * Add the publication and expiry dates of a resource to it, so its managers can see when its visibility will change
+ *
+ * @param  {Resource}   resource                    The resource to augment
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ */
+const augmentWithSchedule = function(resource, callback) {
+  getSchedule(resource.id, (err, schedule) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _.extend(resource, schedule);
+    return callback();
+  });
+};
+
+/**
+ * Change the publication and expiry dates of a resource. A date that is not specified is left untouched and a date
+ * that is `null` is cleared. It's up to the caller to perform the necessary permission checks
+ *
+ * @param  {Context}    ctx                         Standard context object containing the current user and the current tenant
+ * @param  {Resource}   resource                    The resource whose schedule to change
+ * @param  {Object}     schedule                    The schedule as returned by `extractSchedule`
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ */
+const setSchedule = function(ctx, resource, schedule, callback) {
+  if (_.isEmpty(schedule)) {
+    return callback();
+  }
+
+  getSchedule(resource.id, (err, currentSchedule) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const newSchedule = _.chain(currentSchedule)
+      .extend(schedule)
+      .omit(_.isNull)
+      .value();
+    if (!newSchedule.publishAt && !newSchedule.expireAt) {
+      return Cassandra.runQuery('DELETE FROM "ResourceSchedules" WHERE "resourceId" = ?', [resource.id], callback);
+    }
+
+    // Null values clear the dates that are no longer scheduled
+    Cassandra.runQuery(
+      'UPDATE "ResourceSchedules" SET "resourceType" = ?, "tenantAlias" = ?, "scheduledBy" = ?, "publishAt" = ?, "publishVisibility" = ?, "expireAt" = ? WHERE "resourceId" = ?',
+      [
+        resource.resourceType,
+        resource.tenant.alias,
+        ctx.user().id,
+        newSchedule.publishAt ? String(newSchedule.publishAt) : null,
+        newSchedule.publishVisibility || null,
+        newSchedule.expireAt ? String(newSchedule.expireAt) : null,
+        resource.id
+      ],
+      callback
+    );
+  });
+};
+
+/**
+ * Apply the visibility changes of all the resources whose publication or expiry date has passed. A resource that has
+ * expired is made private, a resource that has been published gets the visibility that was requested when it was
+ * scheduled. The task runs on every app server, so the changes are only applied by the one that holds the lock
+ *
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Number}     callback.applied        The number of visibility changes that were applied
+ */
+const applyScheduledChanges = function(callback) {
+  Locking.acquire(SCHEDULE_LOCK_KEY, SCHEDULE_LOCK_DURATION, (err, lock) => {
+    if (err) {
+      // Another app server is already applying the scheduled changes
+      return callback(null, 0);
+    }
+
+    _applyScheduledChanges((err, applied) => {
+      Locking.release(lock, () => {
+        return callback(err, applied);
+      });
+    });
+  });
+};
+
+/**
+ * Apply the visibility changes of all the resources whose publication or expiry date has passed
+ *
+ * @param  {Function}   callback                Standard callback function
+ * @param  {Object}     callback.err            An error that occurred, if any
+ * @param  {Number}     callback.applied        The number of visibility changes that were applied
+ * @api private
+ */
+const _applyScheduledChanges = function(callback) {
+  let applied = 0;
+  const now = Date.now();
+
+  /*!
+   * Apply the visibility changes that are due in a batch of schedule rows
+   *
+   * @see Cassandra#iterateAll
+   */
+  const _onEach = function(rows, done) {
+    const dueSchedules = _.chain(rows)
+      .map(_rowToSchedule)
+      .filter(schedule => {
+        return (schedule.publishAt && schedule.publishAt <= now) || (schedule.expireAt && schedule.expireAt <= now);
+      })
+      .value();
+
+    eachSeries(
+      dueSchedules,
+      (schedule, next) => {
+        _applyScheduledChange(schedule, now, err => {
+          if (err) {
+            log().error(
+              { err, resourceId: schedule.id },
+              'An error occurred while applying a scheduled visibility change'
+            );
+          } else {
+            applied++;
+          }
+
+          return next();
+        });
+      },
+      () => {
+        return done();
+      }
+    );
+  };
+
+  Cassandra.iterateAll(null, 'ResourceSchedules', 'resourceId', { batchSize: 30 }, _onEach, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, applied);
+  });
+};
+
+/**
+ * Apply the visibility change that is due for a resource. The due date is only cleared from the schedule once the
+ * visibility has changed, so a change that fails is retried the next time the scheduled changes are applied. The
+ * schedule of a resource that no longer exists is removed
+ *
+ * @param  {Object}     schedule            The schedule of the resource
+ * @param  {Number}     now                 The timestamp against which to check the dates of the schedule
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _applyScheduledChange = function(schedule, now, callback) {
+  const resourceType = _resourceTypes[schedule.resourceType];
+  if (!resourceType) {
+    return callback({ code: 500, msg: 'Cannot apply a scheduled change to an unknown resource type' });
+  }
+
+  // An expired resource is made private, even if its publication date passed in the meantime
+  const expired = schedule.expireAt && schedule.expireAt <= now;
+  const visibility = expired ? AuthzConstants.visibility.PRIVATE : schedule.publishVisibility;
+
+  resourceType.setVisibility(_createGlobalAdminContext(), schedule.id, visibility, err => {
+    if (err && err.code !== 404) {
+      return callback(err);
+    }
+
+    if (err) {
+      log().warn({ resourceId: schedule.id }, 'Removing the schedule of a resource that no longer exists');
+    }
+
+    // Only the expiry date remains when a resource that will expire later on is published
+    const query =
+      err || expired || !schedule.expireAt
+        ? 'DELETE FROM "ResourceSchedules" WHERE "resourceId" = ?'
+        : 'DELETE "publishAt", "publishVisibility" FROM "ResourceSchedules" WHERE "resourceId" = ?';
+    return Cassandra.runQuery(query, [schedule.id], callback);
+  });
+};
+
+/**
+ * Create the context of the global administrator, on whose behalf the scheduled changes are applied
+ *
+ * @return {Context}        The context of the global administrator
+ * @api private
+ */
+const _createGlobalAdminContext = function() {
+  const globalTenant = TenantsAPI.getTenant(globalTenantAlias);
+  const globalAdmin = new User(
+    globalTenant.alias,
+    util.format('u:%s:admin', globalTenant.alias),
+    'Global Administrator',
+    null,
+    {
+      visibility: AuthzConstants.visibility.PRIVATE,
+      isGlobalAdmin: true
+    }
+  );
+  return new Context(globalTenant, globalAdmin);
+};
+
+/**
+ * Convert a Cassandra row into a schedule
+ *
+ * @param  {Row}        row         The Cassandra row to convert
+ * @return {Object}                 The schedule represented by the row
+ * @api private
+ */
+const _rowToSchedule = function(row) {
+  const hash = Cassandra.rowToHash(row);
+  return {
+    id: hash.resourceId,
+    resourceType: hash.resourceType,
+    tenantAlias: hash.tenantAlias,
+    scheduledBy: hash.scheduledBy,
+    publishAt: OaeUtil.getNumberParam(hash.publishAt),
+    publishVisibility: hash.publishVisibility,
+    expireAt: OaeUtil.getNumberParam(hash.expireAt)
+  };
+};
+
+export {
+  init,
+  registerResourceType,
+  isScheduleUpdate,
+  validateSchedule,
+  extractSchedule,
+  extractCreationSchedule,
+  getSchedule,
+  augmentWithSchedule,
+  setSchedule,
+  applyScheduledChanges
+};
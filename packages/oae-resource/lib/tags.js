@@ -0,0 +1,127 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import util from 'util';
+import _ from 'underscore';
+import isIn from 'validator/lib/isIn';
+import isLength from 'validator/lib/isLength';
+
+import { setUpConfig } from 'oae-config';
+import { logger } from 'oae-logger';
+import * as OaeUtil from 'oae-util/lib/util';
+import { Validator as validator } from 'oae-util/lib/validator';
+import { ResourceConstants } from 'oae-resource/lib/constants';
+
+const { unless, isArray } = validator;
+
+const log = logger('oae-resource-tags');
+
+const Config = setUpConfig('oae-resource');
+
+/**
+ * Sanitize a set of tags so they can be stored on a resource. Every tag is trimmed and lower-cased, whitespace
+ * inside of a tag is collapsed, empty tags are dropped and duplicates are removed
+ *
+ * @param  {String|String[]}    [tags]      The tag or tags to sanitize
+ * @return {String[]}                       The sanitized tags
+ */
+const sanitizeTags = function(tags) {
+  return _.chain(OaeUtil.toArray(tags))
+    .filter(_.isString)
+    .map(tag => {
+      return tag
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+    })
+    .compact()
+    .uniq()
+    .value();
+};
+
+/**
+ * Get the controlled vocabulary that has been configured for a tenant
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant for which to get the controlled vocabulary
+ * @return {String[]}                   The (sanitized) terms of the controlled vocabulary
+ */
+const getVocabulary = function(tenantAlias) {
+  const vocabulary = Config.getValue(tenantAlias, 'tags', 'vocabulary') || '';
+  return sanitizeTags(vocabulary.split(','));
+};
+
+/**
+ * Validate a set of sanitized tags for a resource that belongs to the given tenant. When the tenant has restricted
+ * tagging to its controlled vocabulary, each tag needs to be a term of that vocabulary. This function is meant to be
+ * invoked within the `try` block that validates the parameters of an API call
+ *
+ * @param  {String}     tenantAlias     The alias of the tenant to which the tagged resource belongs
+ * @param  {String[]}   tags            The tags to validate, as returned by `sanitizeTags`
+ * @throws {Object}                     A validation error with a `code` and `msg` if the tags are not valid
+ */
+const validateTags = function(tenantAlias, tags) {
+  unless(isArray, {
+    code: 400,
+    msg: 'The tags should be specified as an array'
+  })(tags);
+
+  unless(tags => tags.length <= ResourceConstants.tags.MAX_TAGS, {
+    code: 400,
+    msg: util.format('A resource can have at most %s tags', ResourceConstants.tags.MAX_TAGS)
+  })(tags);
+
+  _.each(tags, tag => {
+    unless(isLength, {
+      code: 400,
+      msg: util.format('A tag can be at most %s characters long', ResourceConstants.tags.MAX_TAG_LENGTH)
+    })(tag, { min: 1, max: ResourceConstants.tags.MAX_TAG_LENGTH });
+  });
+
+  if (Config.getValue(tenantAlias, 'tags', 'restricted')) {
+    const vocabulary = getVocabulary(tenantAlias);
+    _.each(tags, tag => {
+      unless(isIn, {
+        code: 400,
+        msg: util.format('The tag "%s" is not part of the controlled vocabulary', tag)
+      })(tag, vocabulary);
+    });
+  }
+};
+
+/**
+ * Parse the tags of a resource as they were stored in Cassandra
+ *
+ * @param  {String}     [storedTags]    The stringified array of tags
+ * @return {String[]}                   The tags of the resource. If no (valid) tags were stored, an empty array is returned
+ */
+const parseTags = function(storedTags) {
+  if (_.isArray(storedTags)) {
+    return storedTags;
+  }
+
+  if (!storedTags) {
+    return [];
+  }
+
+  try {
+    const tags = JSON.parse(storedTags);
+    return _.isArray(tags) ? tags : [];
+  } catch {
+    log().warn({ storedTags }, 'Could not parse the tags of a resource');
+    return [];
+  }
+};
+
+export { sanitizeTags, getVocabulary, validateTags, parseTags };
@@ -0,0 +1,429 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import eachSeries from 'async/eachSeries';
+
+import { logger } from 'oae-logger';
+import { setUpConfig } from 'oae-config';
+
+import * as AuthzDelete from 'oae-authz/lib/delete';
+import * as AuthzPermissions from 'oae-authz/lib/permissions';
+import * as Cassandra from 'oae-util/lib/cassandra';
+import * as OaeUtil from 'oae-util/lib/util';
+import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
+import * as PrincipalsUtil from 'oae-principals/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+
+import { Validator as validator } from 'oae-authz/lib/validator';
+import { ResourceConstants } from 'oae-resource/lib/constants';
+
+const { unless, isLoggedInUser, isPrincipalId } = validator;
+
+const log = logger('oae-resource-trash');
+
+const ResourceConfig = setUpConfig('oae-resource');
+
+// The number of milliseconds in a day
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// The resource types whose deleted resources can be purged from the trash, keyed by resource type
+const _resourceTypes = {};
+
+/**
+ * Register a type of resource that can be put in the trash. Once a resource has been in the trash for longer than the
+ * retention period of its tenant, the `purge` function of its resource type is invoked to permanently remove it
+ *
+ * @param  {String}     resourceType                The type of resource, e.g. `content`
+ * @param  {Object}     options                     The options of the resource type
+ * @param  {Function}   options.purge               The function that permanently removes a resource of this type
+ * @param  {String}     options.purge.resourceId    The id of the resource to permanently remove
+ * @param  {Function}   options.purge.callback      Standard callback function that should be invoked once the resource has been removed
+ * @throws {Error}                                  An error that is thrown if the resource type has already been registered
+ */
+const registerResourceType = function(resourceType, options) {
+  if (_resourceTypes[resourceType]) {
+    throw new Error('Attempted to register a trash resource type that already exists: ' + resourceType);
+  }
+
+  _resourceTypes[resourceType] = options;
+};
+
+/**
+ * Put a resource in the trash. The resource will be marked as deleted and will show up in the trash of each of the
+ * given managers. It's up to the caller to perform the necessary permission checks and to hide the resource from
+ * its members
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Resource}   resource            The resource to put in the trash
+ * @param  {String[]}   managerIds          The ids of the principals who managed the resource when it was deleted
+ * @param  {Object}     [data]              Additional data the resource type needs to restore the resource
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const addToTrash = function(ctx, resource, managerIds, data, callback) {
+  const deleted = Date.now().toString();
+  const values = {
+    resourceType: resource.resourceType,
+    resourceSubType: resource.resourceSubType,
+    tenantAlias: resource.tenant.alias,
+    displayName: resource.displayName,
+    visibility: resource.visibility,
+    deleted,
+    deletedBy: ctx.user().id,
+    managerIds: JSON.stringify(managerIds),
+    data: JSON.stringify(data || {})
+  };
+
+  const queries = [Cassandra.constructUpsertCQL('Trash', 'resourceId', resource.id, values)];
+  _.each(managerIds, managerId => {
+    queries.push({
+      query: 'INSERT INTO "TrashByPrincipal" ("principalId", "trashKey", "resourceId") VALUES (?, ?, ?)',
+      parameters: [managerId, _getTrashKey(deleted, resource.id), resource.id]
+    });
+  });
+
+  Cassandra.runBatchQuery(queries, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return AuthzDelete.setDeleted(resource.id, callback);
+  });
+};
+
+/**
+ * Get a resource that is in the trash
+ *
+ * @param  {String}     resourceId          The id of the resource to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any. A 404 error is returned if the resource is not in the trash
+ * @param  {Object}     callback.item       The trash item. It holds the `data` that was passed in when the resource was put in the trash
+ */
+const getTrashItem = function(resourceId, callback) {
+  Cassandra.runQuery('SELECT * FROM "Trash" WHERE "resourceId" = ?', [resourceId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(rows)) {
+      return callback({ code: 404, msg: 'The resource could not be found in the trash' });
+    }
+
+    return callback(null, _rowToTrashItem(rows[0]));
+  });
+};
+
+/**
+ * Take a resource out of the trash, either because it has been restored or because it has been permanently removed
+ *
+ * @param  {String}     resourceId          The id of the resource to take out of the trash
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ */
+const removeFromTrash = function(resourceId, callback) {
+  getTrashItem(resourceId, (err, item) => {
+    // A resource that is no longer in the trash should still no longer be marked as deleted
+    if (err && err.code !== 404) {
+      return callback(err);
+    }
+
+    const managerIds = item ? item.managerIds : [];
+    const queries = [{ query: 'DELETE FROM "Trash" WHERE "resourceId" = ?', parameters: [resourceId] }];
+    _.each(managerIds, managerId => {
+      queries.push({
+        query: 'DELETE FROM "TrashByPrincipal" WHERE "principalId" = ? AND "trashKey" = ?',
+        parameters: [managerId, _getTrashKey(item.deleted, resourceId)]
+      });
+    });
+
+    Cassandra.runBatchQuery(queries, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      return AuthzDelete.unsetDeleted(resourceId, callback);
+    });
+  });
+};
+
+/**
+ * Get the trash of a user or group. It holds the resources the principal managed at the time they were deleted, most
+ * recently deleted first
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         principalId             The id of the user or group whose trash to get
+ * @param  {String}         [start]                 The token from which to start returning items. Use the `nextToken` of a previous page to get the next page
+ * @param  {Number}         [limit]                 The maximum number of items to return. Default: 10
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {Object[]}       callback.items          The resources in the trash
+ * @param  {String}         callback.nextToken      The token to use to get the next page of items. If `null`, there are no more items
+ */
+const getTrash = function(ctx, principalId, start, limit, callback) {
+  limit = OaeUtil.getNumberParam(limit, ResourceConstants.trash.DEFAULT_LIMIT, 1, ResourceConstants.trash.MAX_LIMIT);
+
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to see a trash'
+    })(ctx);
+
+    unless(isPrincipalId, {
+      code: 400,
+      msg: 'A valid user or group id must be provided'
+    })(principalId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  PrincipalsDAO.getPrincipal(principalId, (err, principal) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Only the principal itself, its managers and administrators can see what it has deleted
+    AuthzPermissions.canManage(ctx, principal, err => {
+      if (err) {
+        return callback({ code: 401, msg: 'You are not authorized to see this trash' });
+      }
+
+      Cassandra.runPagedQuery(
+        'TrashByPrincipal',
+        'principalId',
+        principalId,
+        'trashKey',
+        start,
+        limit,
+        { reversed: true },
+        (err, rows, nextToken) => {
+          if (err) {
+            return callback(err);
+          }
+
+          const resourceIds = _.map(rows, row => row.get('resourceId'));
+          _getTrashItems(resourceIds, (err, items) => {
+            if (err) {
+              return callback(err);
+            }
+
+            _augmentTrashItems(ctx, items, err => {
+              if (err) {
+                return callback(err);
+              }
+
+              return callback(null, items, nextToken);
+            });
+          });
+        }
+      );
+    });
+  });
+};
+
+/**
+ * Permanently remove all the resources that have been in the trash for longer than the retention period of their tenant
+ *
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Number}     callback.purged     The number of resources that were permanently removed
+ */
+const purgeExpiredItems = function(callback) {
+  let purged = 0;
+  const now = Date.now();
+
+  /*!
+   * Permanently remove the expired resources in a batch of trash rows
+   *
+   * @see Cassandra#iterateAll
+   */
+  const _onEach = function(rows, done) {
+    const expiredItems = _.chain(rows)
+      .map(_rowToTrashItem)
+      .filter(item => _getExpires(item) <= now)
+      .value();
+
+    eachSeries(
+      expiredItems,
+      (item, next) => {
+        const resourceType = _resourceTypes[item.resourceType];
+        if (!resourceType) {
+          log().warn({ resourceId: item.id, resourceType: item.resourceType }, 'Cannot purge an unknown resource type');
+          return next();
+        }
+
+        resourceType.purge(item.id, err => {
+          if (err) {
+            // Leave the resource in the trash so it can be purged again on the next run
+            log().error({ err, resourceId: item.id }, 'An error occurred while purging a resource from the trash');
+            return next();
+          }
+
+          removeFromTrash(item.id, err => {
+            if (err) {
+              log().error(
+                { err, resourceId: item.id },
+                'An error occurred while taking a purged resource out of the trash'
+              );
+            }
+
+            purged++;
+            return next();
+          });
+        });
+      },
+      () => {
+        return done();
+      }
+    );
+  };
+
+  Cassandra.iterateAll(null, 'Trash', 'resourceId', { batchSize: 30 }, _onEach, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, purged);
+  });
+};
+
+/**
+ * Get the items in the trash with the given resource ids, in the same order. Resources that are no longer in the trash
+ * are left out
+ *
+ * @param  {String[]}   resourceIds         The ids of the resources to get
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Object[]}   callback.items      The trash items
+ * @api private
+ */
+const _getTrashItems = function(resourceIds, callback) {
+  if (_.isEmpty(resourceIds)) {
+    return callback(null, []);
+  }
+
+  Cassandra.runQuery('SELECT * FROM "Trash" WHERE "resourceId" IN ?', [resourceIds], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const itemsById = _.indexBy(_.map(rows, _rowToTrashItem), 'id');
+    const items = _.chain(resourceIds)
+      .map(resourceId => itemsById[resourceId])
+      .compact()
+      .value();
+
+    return callback(null, items);
+  });
+};
+
+/**
+ * Prepare trash items to be returned to the user in context. The internal fields are removed, the basic profile of
+ * the user who deleted the resource is added and the date at which the resource will be purged is set
+ *
+ * @param  {Context}    ctx                 Standard context object containing the current user and the current tenant
+ * @param  {Object[]}   items               The trash items to prepare
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _augmentTrashItems = function(ctx, items, callback) {
+  PrincipalsUtil.getPrincipals(ctx, _.uniq(_.pluck(items, 'deletedBy')), (err, principals) => {
+    if (err) {
+      return callback(err);
+    }
+
+    _.each(items, item => {
+      item.expires = _getExpires(item);
+      item.deletedBy = principals[item.deletedBy] || { id: item.deletedBy };
+      item.tenant = TenantsAPI.getTenant(item.tenantAlias).compact();
+      delete item.tenantAlias;
+      delete item.managerIds;
+      delete item.data;
+    });
+
+    return callback();
+  });
+};
+
+/**
+ * Get the timestamp (millis since epoch) at which a trash item should be permanently removed
+ *
+ * @param  {Object}     item    The trash item
+ * @return {Number}             The timestamp at which the item expires
+ * @api private
+ */
+const _getExpires = function(item) {
+  const retention = OaeUtil.getNumberParam(ResourceConfig.getValue(item.tenantAlias, 'trash', 'retention'), 30, 0);
+  return item.deleted + retention * DAY_IN_MS;
+};
+
+/**
+ * Get the key under which a deleted resource is stored in a trash. The key orders the trash on deletion date
+ *
+ * @param  {String|Number}  deleted         The timestamp (millis since epoch) at which the resource was deleted
+ * @param  {String}         resourceId      The id of the deleted resource
+ * @return {String}                         The trash key
+ * @api private
+ */
+const _getTrashKey = function(deleted, resourceId) {
+  return deleted + '#' + resourceId;
+};
+
+/**
+ * Convert a Cassandra row of the `Trash` table into a trash item
+ *
+ * @param  {Row}        row         The Cassandra row
+ * @return {Object}                 The trash item
+ * @api private
+ */
+const _rowToTrashItem = function(row) {
+  const hash = Cassandra.rowToHash(row);
+  return {
+    id: hash.resourceId,
+    resourceType: hash.resourceType,
+    resourceSubType: hash.resourceSubType,
+    tenantAlias: hash.tenantAlias,
+    displayName: hash.displayName,
+    visibility: hash.visibility,
+    deleted: OaeUtil.getNumberParam(hash.deleted),
+    deletedBy: hash.deletedBy,
+    managerIds: _parseJSON(hash.managerIds, []),
+    data: _parseJSON(hash.data, {})
+  };
+};
+
+/**
+ * Parse a JSON value that was stored in the trash
+ *
+ * @param  {String}     value           The stored value
+ * @param  {Object}     defaultValue    The value to return when nothing was stored
+ * @return {Object}                     The parsed value
+ * @api private
+ */
+const _parseJSON = function(value, defaultValue) {
+  if (!value) {
+    return defaultValue;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    log().warn({ err: error, value }, 'Failed to parse a value stored in the trash');
+    return defaultValue;
+  }
+};
+
+export { registerResourceType, addToTrash, getTrashItem, removeFromTrash, getTrash, purgeExpiredItems };
@@ -0,0 +1,135 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+
+import * as ActivityAPI from 'oae-activity';
+import * as ActivityModel from 'oae-activity/lib/model';
+import * as SearchAPI from 'oae-search';
+import * as TenantsUtil from 'oae-tenants/lib/util';
+
+import { ActivityConstants } from 'oae-activity/lib/constants';
+import { SearchConstants } from 'oae-search/lib/constants';
+
+/// ///////////////////////////////
+// SEARCH-SAVED-SEARCH-MATCH //
+/// ///////////////////////////////
+
+ActivityAPI.registerActivityType(SearchConstants.activity.ACTIVITY_SAVED_SEARCH_MATCH, {
+  groupBy: [
+    // 5 new items match your saved search "Climate change"
+    { target: true }
+  ],
+  streams: {
+    notification: {
+      router: {
+        target: ['self']
+      }
+    },
+    email: {
+      router: {
+        target: ['self']
+      }
+    }
+  }
+});
+
+/*!
+ * Post a search-saved-search-match activity for each newly indexed item that matches a saved search
+ */
+SearchAPI.emitter.on(SearchConstants.events.SAVED_SEARCH_MATCHED, (ctx, savedSearch, docs) => {
+  const millis = Date.now();
+  const targetResource = new ActivityModel.ActivitySeedResource('savedsearch', savedSearch.id, { savedSearch });
+  _.each(docs, doc => {
+    const actorResource = new ActivityModel.ActivitySeedResource('user', doc.createdBy);
+    const objectResource = new ActivityModel.ActivitySeedResource(doc.resourceType, doc.id);
+    const activitySeed = new ActivityModel.ActivitySeed(
+      SearchConstants.activity.ACTIVITY_SAVED_SEARCH_MATCH,
+      millis,
+      ActivityConstants.verbs.CREATE,
+      actorResource,
+      objectResource,
+      targetResource
+    );
+    ActivityAPI.postActivity(ctx, activitySeed);
+  });
+});
+
+/// //////////////////////////
+// SAVED SEARCH ENTITY TYPE //
+/// //////////////////////////
+
+/*!
+ * Produce a persistent saved search activity entity
+ * @see ActivityAPI#registerActivityEntityType
+ */
+const _savedSearchProducer = function(resource, callback) {
+  const { savedSearch } = resource.resourceData;
+  return callback(null, {
+    savedSearch: _.pick(savedSearch, 'id', 'userId', 'name', 'q', 'scope', 'resourceTypes', 'createdBy')
+  });
+};
+
+/*!
+ * Transform the saved search persistent activity entities into UI-friendly ones
+ * @see ActivityAPI#registerActivityEntityType
+ */
+const _savedSearchTransformer = function(ctx, activityEntities, callback) {
+  const transformedActivityEntities = _.mapObject(activityEntities, entities => {
+    return _.mapObject(entities, entity => {
+      const { savedSearch } = entity;
+      const globalId = TenantsUtil.getBaseUrl(ctx.tenant()) + '/api/savedsearch/' + savedSearch.id;
+
+      const opts = {};
+      opts.displayName = savedSearch.name;
+      opts.ext = {};
+      opts.ext[ActivityConstants.properties.OAE_ID] = savedSearch.id;
+      return new ActivityModel.ActivityEntity('savedsearch', globalId, null, opts);
+    });
+  });
+  return callback(null, transformedActivityEntities);
+};
+
+/*!
+ * Transform the saved search persistent activity entities into their OAE models
+ * @see ActivityAPI#registerActivityEntityType
+ */
+const _savedSearchInternalTransformer = function(ctx, activityEntities, callback) {
+  const transformedActivityEntities = _.mapObject(activityEntities, entities => {
+    return _.mapObject(entities, entity => {
+      return entity.savedSearch;
+    });
+  });
+  return callback(null, transformedActivityEntities);
+};
+
+ActivityAPI.registerActivityEntityType('savedsearch', {
+  producer: _savedSearchProducer,
+  transformer: {
+    activitystreams: _savedSearchTransformer,
+    internal: _savedSearchInternalTransformer
+  },
+  propagation(associationsCtx, entity, callback) {
+    // A saved search is private to the user who saved it
+    return callback(null, [{ type: ActivityConstants.entityPropagation.SELF }]);
+  }
+});
+
+/*!
+ * Register the "self" association for a saved search, which specifies the user who saved the search
+ */
+ActivityAPI.registerActivityEntityAssociation('savedsearch', 'self', (associationsCtx, entity, callback) => {
+  return callback(null, [entity.savedSearch.userId]);
+});
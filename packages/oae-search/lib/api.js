@@ -23,6 +23,7 @@ import { Validator as validator } from 'oae-util/lib/validator';
 const { unless, isNotEmpty, isArray, isObject, isArrayNotEmpty } = validator;
 import { SearchConstants } from 'oae-search/lib/constants';
 import { SearchResult } from 'oae-search/lib/model';
+import * as Locking from 'oae-util/lib/locking';
 import * as MQ from 'oae-util/lib/mq';
 import * as client from './internal/elasticsearch';
 
@@ -57,6 +58,10 @@ const searchDocumentTransformers = {
  *
  * The `SearchAPI`, as enumerated in `SearchConstants.events`, emits the following events:
  *
+ * * `createdSavedSearch(ctx, savedSearch)`: A user saved a search
+ * * `deletedSavedSearch(ctx, savedSearch)`: A user deleted one of their saved searches
+ * * `indexedDocuments(docs)`: Top-level resource documents were successfully indexed
+ * * `savedSearchMatched(ctx, savedSearch, docs)`: Newly indexed documents matched a saved search. The `ctx` is the one of the owner of the saved search
  * * `search(ctx, searchType, opts, results)`: A search request was made
  */
 const SearchAPI = new EmitterAPI.EventEmitter();
@@ -219,6 +224,7 @@ const registerReindexAllHandler = function(handlerId, handler) {
  * @param  {Object}     options.producer.callback.errs      Any errors that occurred while creating the documents, if any
  * @param  {Object[]}   options.producer.callback.docs      The documents to be indexed
  * @param  {Object}     options.schema                      The elasticsearch mapping object that defines the child search document fields
+ * @param  {Object}     [options.renamedFields]             The previous names of the fields of the schema that have been renamed, keyed by their current name. An existing mapping that still has a field by its previous name causes the search index to be rebuilt
  * @param  {Function}   [callback]                          Standard callback function, invoked when the child search document mapping has been created
  * @param  {Object}     [callback.err]                      An error that occurred, if any
  */
@@ -240,6 +246,7 @@ const registerChildSearchDocument = function(name, options, callback) {
 
   childSearchDocuments[name] = {
     schema: options.schema,
+    renamedFields: options.renamedFields,
     producer: options.producer,
     resourceTypes
   };
@@ -253,7 +260,7 @@ const registerChildSearchDocument = function(name, options, callback) {
       }
     };
 
-  return _createChildSearchDocumentMapping(name, options.schema, callback);
+  return _createChildSearchDocumentMapping(name, options.schema, options.renamedFields, callback);
 };
 
 /**
@@ -371,6 +378,11 @@ const search = function(ctx, searchType, opts, callback) {
             delete doc._extra;
           });
 
+          // Searches that asked for aggregations get the facet counts alongside their results
+          if (elasticSearchResponse.aggregations) {
+            transformedResults.facets = SearchUtil.transformFacetAggregations(elasticSearchResponse.aggregations);
+          }
+
           SearchAPI.emit(SearchConstants.events.SEARCH, ctx, searchType, opts, transformedResults);
 
           // Perform post-processing (if any)
@@ -513,7 +525,7 @@ const _ensureIndex = function(indexName, indexSettings, destroy, callback) {
  */
 const _ensureSearchSchema = function(callback, _names) {
   if (!_names) {
-    return client.putMapping(SearchConstants.search.MAPPING_RESOURCE, require('./schema/resourceSchema'), null, err => {
+    return _putMapping(SearchConstants.search.MAPPING_RESOURCE, require('./schema/resourceSchema'), null, null, err => {
       if (err) {
         return callback(err);
       }
@@ -527,7 +539,8 @@ const _ensureSearchSchema = function(callback, _names) {
   }
 
   const name = _names.shift();
-  return _createChildSearchDocumentMapping(name, childSearchDocuments[name].schema, err => {
+  const { schema, renamedFields } = childSearchDocuments[name];
+  return _createChildSearchDocumentMapping(name, schema, renamedFields, err => {
     if (err) {
       return callback(err);
     }
@@ -540,13 +553,14 @@ const _ensureSearchSchema = function(callback, _names) {
 /**
  * Create a search document mapping that is a child of the resource search document mapping.
  *
- * @param  {String}     name            The name of the search document mapping
- * @param  {Object}     schema          The schema object, as per the elasticsearch mapping schema
- * @param  {Function}   callback        Standard callback function
- * @param  {Object}     callback.err    An error that occurred, if any
+ * @param  {String}     name                The name of the search document mapping
+ * @param  {Object}     schema              The schema object, as per the elasticsearch mapping schema
+ * @param  {Object}     [renamedFields]     The previous names of the fields of the schema that have been renamed, keyed by their current name
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
  * @api private
  */
-const _createChildSearchDocumentMapping = function(name, schema, callback) {
+const _createChildSearchDocumentMapping = function(name, schema, renamedFields, callback) {
   /*!
    * The below elastic search options mean:
    *
@@ -557,7 +571,101 @@ const _createChildSearchDocumentMapping = function(name, schema, callback) {
    */
   const opts = { _parent: SearchConstants.search.MAPPING_RESOURCE };
 
-  client.putMapping(name, schema, opts, callback);
+  _putMapping(name, schema, renamedFields, opts, callback);
+};
+
+/**
+ * Create a search document mapping if it doesn't exist yet, or add the fields it doesn't have yet. ElasticSearch cannot
+ * change how the fields of an existing mapping are indexed, so when the existing mapping is outdated (e.g., because a
+ * field of the schema changed from `no` to `not_analyzed` or was renamed in an upgrade), the search index is rebuilt with
+ * the current schemas and all resources are reindexed. Search results will be incomplete until the reindex has completed
+ *
+ * @param  {String}     name                The name of the search document mapping
+ * @param  {Object}     schema              The schema object, as per the elasticsearch mapping schema
+ * @param  {Object}     [renamedFields]     The previous names of the fields of the schema that have been renamed, keyed by their current name
+ * @param  {Object}     [opts]              Advanced mapping options, as per `ElasticSearch.putMapping`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @api private
+ */
+const _putMapping = function(name, schema, renamedFields, opts, callback) {
+  client.getOutdatedMappingFields(name, schema, renamedFields, (err, outdatedFields) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(outdatedFields)) {
+      return client.putMapping(name, schema, opts, callback);
+    }
+
+    log().warn(
+      { name, outdatedFields },
+      'The search document mapping is outdated, the search index will be rebuilt and all resources reindexed'
+    );
+    return _rebuildIndex(name, schema, renamedFields, opts, callback);
+  });
+};
+
+/**
+ * Destroy and recreate the search index with the current search schema, and submit a task to reindex all resources. When
+ * multiple app servers start up at the same time, only one of them will rebuild the index. The others wait until it is
+ * done, after which their mapping will be up-to-date
+ *
+ * @param  {String}     name                The name of the outdated search document mapping
+ * @param  {Object}     schema              The schema object, as per the elasticsearch mapping schema
+ * @param  {Object}     [renamedFields]     The previous names of the fields of the schema that have been renamed, keyed by their current name
+ * @param  {Object}     [opts]              Advanced mapping options, as per `ElasticSearch.putMapping`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {Number}     [_waited]           The number of milliseconds this app server has already waited for another app server to rebuild the index
+ * @api private
+ */
+const _rebuildIndex = function(name, schema, renamedFields, opts, callback, _waited) {
+  _waited = _waited || 0;
+
+  const lockDuration = SearchConstants.search.REBUILD_INDEX_LOCK_DURATION;
+  Locking.acquire('oae-search:rebuild-index', lockDuration, (err, lock) => {
+    if (err) {
+      if (_waited >= lockDuration * 1000) {
+        log().error({ err, name }, 'Timed out waiting for another app server to rebuild the search index');
+        return callback({ code: 500, msg: 'Timed out waiting for another app server to rebuild the search index' });
+      }
+
+      // Another app server is rebuilding the index, try again once it's done
+      log().info({ name }, 'The search index is being rebuilt by another app server, waiting for it to finish');
+      const interval = SearchConstants.search.REBUILD_INDEX_WAIT_INTERVAL;
+      return setTimeout(_rebuildIndex, interval, name, schema, renamedFields, opts, callback, _waited + interval);
+    }
+
+    // Another app server could have rebuilt the index while this one was waiting for the lock
+    client.getOutdatedMappingFields(name, schema, renamedFields, (err, outdatedFields) => {
+      if (err) {
+        return Locking.release(lock, () => callback(err));
+      }
+
+      if (_.isEmpty(outdatedFields)) {
+        return Locking.release(lock, () => client.putMapping(name, schema, opts, callback));
+      }
+
+      _ensureIndex(index.name, index.settings, true, err => {
+        if (err) {
+          return Locking.release(lock, () => callback(err));
+        }
+
+        // Create the resource mapping and the child document mappings that have been registered so far. Those that
+        // get registered later will simply be created as the index is now empty
+        _ensureSearchSchema(err => {
+          if (err) {
+            return Locking.release(lock, () => callback(err));
+          }
+
+          MQ.submit(SearchConstants.mq.TASK_REINDEX_ALL, JSON.stringify({}), err => {
+            Locking.release(lock, () => callback(err));
+          });
+        });
+      });
+    });
+  });
 };
 
 /**
@@ -788,39 +896,59 @@ const _handleIndexDocumentTask = function(data, callback) {
         client.bulk(ops, err => {
           if (err) {
             log().error({ err, ops }, 'Error indexing %s documents', allDocs.length);
-          } else {
-            log().debug('Successfully indexed %s documents', allDocs.length);
+            return callback(err);
           }
 
-          return callback(err);
+          log().debug('Successfully indexed %s documents', allDocs.length);
+          return _emitIndexedDocuments(resourceDocs, callback);
         });
       } else {
-        const doc = allDocs[0];
-        const { id } = doc;
+        const { id } = allDocs[0];
         const opts = {};
 
-        if (doc._parent) {
-          opts.parent = doc._parent;
+        if (allDocs[0]._parent) {
+          opts.parent = allDocs[0]._parent;
         }
 
         // These properties go in the request metadata, not the actual document
-        delete doc.id;
-        delete doc._parent;
+        const doc = _.omit(allDocs[0], 'id', '_parent');
 
         client.runIndex(doc._type, id, doc, opts, err => {
           if (err) {
             log().error({ err, id, doc, opts }, 'Error indexing a document');
-          } else {
-            log().debug('Successfully indexed a document');
+            return callback(err);
           }
 
-          return callback(err);
+          log().debug('Successfully indexed a document');
+          return _emitIndexedDocuments(resourceDocs, callback);
         });
       }
     });
   });
 };
 
+/**
+ * Notify listeners of the top-level resource documents that have just been indexed, if any. Errors
+ * that occur while the listeners process the documents are logged, but do not fail the indexing task
+ *
+ * @param  {Object[]}   resourceDocs    The resource search documents that were indexed
+ * @param  {Function}   callback        Invoked when all listeners have processed the documents
+ * @api private
+ */
+const _emitIndexedDocuments = function(resourceDocs, callback) {
+  if (_.isEmpty(resourceDocs)) {
+    return callback();
+  }
+
+  SearchAPI.emit(SearchConstants.events.INDEXED_DOCUMENTS, resourceDocs, errs => {
+    if (errs) {
+      log().error({ errs }, 'An error occurred while processing indexed documents');
+    }
+
+    return callback();
+  });
+};
+
 /**
  * Produce all resource search documents defined within `resourcesToIndex`
  *
@@ -0,0 +1,535 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import { logger } from 'oae-logger';
+
+import * as MQ from 'oae-util/lib/mq';
+import * as PrincipalsDAO from 'oae-principals/lib/internal/dao';
+import * as SearchAPI from 'oae-search';
+import * as SearchDAO from 'oae-search/lib/internal/dao';
+import * as SearchUtil from 'oae-search/lib/util';
+import * as TenantsAPI from 'oae-tenants';
+import * as TenantsUtil from 'oae-tenants/lib/util';
+import * as client from './internal/elasticsearch';
+
+import { Context } from 'oae-context';
+import { Validator as validator } from 'oae-util/lib/validator';
+import { SearchConstants } from 'oae-search/lib/constants';
+
+const { unless, isLoggedInUser, isNotEmpty, isShortString, isMediumString, isArray } = validator;
+
+const log = logger('oae-search');
+
+// Whether or not this app server matches newly indexed documents against the saved searches
+let boundMatchWorker = false;
+
+/**
+ * Refresh the configuration of the saved searches. Newly indexed documents are only matched against the saved searches
+ * by the app servers that process index jobs
+ *
+ * @param  {Object}     searchConfig    The search configuration object, as per `config.js`
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ */
+const refreshConfiguration = function(searchConfig, callback) {
+  const processIndexJobs = searchConfig.processIndexJobs !== false;
+  if (processIndexJobs && !boundMatchWorker) {
+    boundMatchWorker = true;
+    return MQ.subscribe(SearchConstants.mq.TASK_MATCH_SAVED_SEARCHES, _handleMatchSavedSearchesTask, callback);
+  }
+
+  if (!processIndexJobs && boundMatchWorker) {
+    boundMatchWorker = false;
+    return MQ.unsubscribe(SearchConstants.mq.TASK_MATCH_SAVED_SEARCHES, callback);
+  }
+
+  return callback();
+};
+
+/**
+ * Save a search so the current user gets notified when new items that match it get indexed
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {String}         name                    The name of the saved search
+ * @param  {Object}         [opts]                  The search that should be saved
+ * @param  {String}         [opts.q]                The search query. Defaults to matching all items
+ * @param  {String}         [opts.scope]            The scope of the search (One of `SearchConstants.general.SCOPE_*` or a tenant alias)
+ * @param  {String[]}       [opts.resourceTypes]    The resource types to which the search should be limited. Defaults to all resource types
+ * @param  {String[]}       [opts.createdBy]        The creators to which the search should be limited, as per the `createdBy` option of the general search
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {SavedSearch}    callback.savedSearch    The saved search that was created
+ */
+const createSavedSearch = function(ctx, name, opts, callback) {
+  opts = opts || {};
+  const search = {
+    q: opts.q || SearchConstants.query.ALL,
+    scope: opts.scope || null,
+    resourceTypes: opts.resourceTypes || [],
+    createdBy: opts.createdBy || []
+  };
+
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to save a search'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'You must provide a name for the saved search'
+    })(name);
+
+    unless(isShortString, {
+      code: 400,
+      msg: 'The name of a saved search can only be 1000 characters long'
+    })(name);
+
+    unless(isMediumString, {
+      code: 400,
+      msg: 'The query of a saved search can only be 10000 characters long'
+    })(search.q);
+
+    unless(isArray, {
+      code: 400,
+      msg: 'The resource types of a saved search must be an array'
+    })(search.resourceTypes);
+
+    unless(isArray, {
+      code: 400,
+      msg: 'The creators of a saved search must be an array'
+    })(search.createdBy);
+
+    if (search.scope) {
+      unless(isShortString, {
+        code: 400,
+        msg: 'The scope of a saved search can only be 1000 characters long'
+      })(search.scope);
+
+      unless(_isValidScope, {
+        code: 400,
+        msg: 'The scope of a saved search must be one of the search scopes or the alias of a tenant'
+      })(search.scope);
+    }
+  } catch (error) {
+    return callback(error);
+  }
+
+  search.resourceTypes = _.compact(search.resourceTypes);
+  search.createdBy = _.compact(search.createdBy);
+
+  SearchDAO.getSavedSearchIdsForUser(ctx.user().id, (err, savedSearchIds) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (savedSearchIds.length >= SearchConstants.savedSearches.MAX_PER_USER) {
+      return callback({
+        code: 400,
+        msg: 'You can only have ' + SearchConstants.savedSearches.MAX_PER_USER + ' saved searches'
+      });
+    }
+
+    SearchDAO.createSavedSearch(ctx.user().id, name, search, (err, savedSearch) => {
+      if (err) {
+        return callback(err);
+      }
+
+      SearchAPI.emitter.emit(SearchConstants.events.CREATED_SAVED_SEARCH, ctx, savedSearch);
+      return callback(null, savedSearch);
+    });
+  });
+};
+
+/**
+ * Get the saved searches of the current user
+ *
+ * @param  {Context}        ctx                     Standard context object containing the current user and the current tenant
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {SavedSearch[]}  callback.savedSearches  The saved searches of the current user
+ */
+const getSavedSearches = function(ctx, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to list your saved searches'
+    })(ctx);
+  } catch (error) {
+    return callback(error);
+  }
+
+  SearchDAO.getSavedSearchIdsForUser(ctx.user().id, (err, savedSearchIds) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return SearchDAO.getSavedSearchesById(savedSearchIds, callback);
+  });
+};
+
+/**
+ * Delete a saved search of the current user
+ *
+ * @param  {Context}        ctx                 Standard context object containing the current user and the current tenant
+ * @param  {String}         savedSearchId       The id of the saved search to delete
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ */
+const deleteSavedSearch = function(ctx, savedSearchId, callback) {
+  try {
+    unless(isLoggedInUser, {
+      code: 401,
+      msg: 'You must be authenticated to delete a saved search'
+    })(ctx);
+
+    unless(isNotEmpty, {
+      code: 400,
+      msg: 'You must specify the id of the saved search to delete'
+    })(savedSearchId);
+  } catch (error) {
+    return callback(error);
+  }
+
+  SearchDAO.getSavedSearch(savedSearchId, (err, savedSearch) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!savedSearch) {
+      return callback({ code: 404, msg: 'The specified saved search could not be found' });
+    }
+
+    if (savedSearch.userId !== ctx.user().id) {
+      return callback({ code: 401, msg: 'You can only delete your own saved searches' });
+    }
+
+    SearchDAO.deleteSavedSearch(savedSearch, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      SearchAPI.emitter.emit(SearchConstants.events.DELETED_SAVED_SEARCH, ctx, savedSearch);
+      return callback();
+    });
+  });
+};
+
+/**
+ * Whether a scope is one of `SearchConstants.general.SCOPE_*` or the alias of a tenant
+ *
+ * @param  {String}     scope   The scope to check
+ * @return {Boolean}            `true` if the scope can be searched
+ * @api private
+ */
+const _isValidScope = function(scope) {
+  return SearchUtil.getScopeParam(scope) === scope;
+};
+
+/*!
+ * When resource documents have been indexed, queue the ones that represent newly created items so they can be
+ * matched against the saved searches. Queueing them ensures they are still matched when an app server restarts
+ */
+SearchAPI.emitter.when(SearchConstants.events.INDEXED_DOCUMENTS, (docs, callback) => {
+  const now = Date.now();
+  const newDocs = _.chain(docs)
+    .filter(doc => {
+      return (
+        doc.createdBy &&
+        doc.tenantAlias &&
+        doc.dateCreated &&
+        now - doc.dateCreated <= SearchConstants.savedSearches.MATCH_WINDOW
+      );
+    })
+    .map(doc => {
+      return _.pick(doc, 'id', 'resourceType', 'tenantAlias', 'createdBy', 'dateCreated');
+    })
+    .value();
+  if (_.isEmpty(newDocs)) {
+    return callback();
+  }
+
+  MQ.submit(SearchConstants.mq.TASK_MATCH_SAVED_SEARCHES, JSON.stringify({ docs: newDocs }), callback);
+});
+
+/**
+ * Match newly indexed documents against the saved searches that could include them. These are the saved searches of
+ * the users of the tenants that can interact with the tenants of the documents. The search index is refreshed at most
+ * once for all the documents
+ *
+ * @param  {Object}         data                The task data
+ * @param  {Object[]}       data.docs           The newly indexed resource documents
+ * @param  {Function}       [callback]          Standard callback function
+ * @param  {Object}         [callback.err]      An error that occurred, if any
+ * @api private
+ */
+const _handleMatchSavedSearchesTask = function(data, callback) {
+  callback =
+    callback ||
+    function(err) {
+      if (err) {
+        log().error({ err, data }, 'Error handling saved search match task');
+      }
+    };
+
+  const docs = data.docs || [];
+  const docTenantAliases = _.chain(docs)
+    .pluck('tenantAlias')
+    .uniq()
+    .value();
+  const tenantAliases = _.filter(_.keys(TenantsAPI.getTenants(true)), tenantAlias => {
+    return _.some(docTenantAliases, docTenantAlias => {
+      return TenantsUtil.canInteract(tenantAlias, docTenantAlias);
+    });
+  });
+
+  // Newly indexed documents only become searchable once the index has been refreshed, which only
+  // needs to happen once for all the saved searches the documents might match
+  let refreshed = false;
+  const _ensureRefreshed = function(callback) {
+    if (refreshed) {
+      return callback();
+    }
+
+    client.refresh(err => {
+      if (err) {
+        return callback(err);
+      }
+
+      refreshed = true;
+      return callback();
+    });
+  };
+
+  _matchTenants(tenantAliases, docs, _ensureRefreshed, err => {
+    if (err) {
+      log().error({ err }, 'An error occurred while matching newly indexed documents against the saved searches');
+    }
+
+    return callback(err);
+  });
+};
+
+/**
+ * Match newly indexed documents against the saved searches of the users of tenants, one tenant at a time
+ *
+ * @param  {String[]}       tenantAliases       The aliases of the tenants whose saved searches to match
+ * @param  {Object[]}       docs                The newly indexed documents
+ * @param  {Function}       ensureRefreshed     Invoked before running the first search to ensure the documents are searchable
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @api private
+ */
+const _matchTenants = function(tenantAliases, docs, ensureRefreshed, callback) {
+  if (_.isEmpty(tenantAliases)) {
+    return callback();
+  }
+
+  _matchTenant(tenantAliases[0], docs, ensureRefreshed, null, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return _matchTenants(tenantAliases.slice(1), docs, ensureRefreshed, callback);
+  });
+};
+
+/**
+ * Match newly indexed documents against the saved searches of the users of a tenant, one page of saved searches at
+ * a time
+ *
+ * @param  {String}         tenantAlias         The alias of the tenant whose saved searches to match
+ * @param  {Object[]}       docs                The newly indexed documents
+ * @param  {Function}       ensureRefreshed     Invoked before running the first search to ensure the documents are searchable
+ * @param  {String}         [start]             The id of the saved search from which to start (exclusive)
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @api private
+ */
+const _matchTenant = function(tenantAlias, docs, ensureRefreshed, start, callback) {
+  SearchDAO.getSavedSearchIdsForTenant(tenantAlias, start, 100, (err, savedSearchIds, nextToken) => {
+    if (err) {
+      return callback(err);
+    }
+
+    SearchDAO.getSavedSearchesById(savedSearchIds, (err, savedSearches) => {
+      if (err) {
+        return callback(err);
+      }
+
+      _matchSavedSearches(savedSearches, docs, ensureRefreshed, () => {
+        if (!nextToken) {
+          return callback();
+        }
+
+        return _matchTenant(tenantAlias, docs, ensureRefreshed, nextToken, callback);
+      });
+    });
+  });
+};
+
+/**
+ * Match the provided saved searches one by one against newly indexed resource documents
+ *
+ * @param  {SavedSearch[]}  savedSearches       The saved searches to match
+ * @param  {Object[]}       docs                The newly indexed resource documents
+ * @param  {Function}       ensureRefreshed     Invoked before running the first search to ensure the documents are searchable
+ * @param  {Function}       callback            Standard callback function
+ * @api private
+ */
+const _matchSavedSearches = function(savedSearches, docs, ensureRefreshed, callback) {
+  if (_.isEmpty(savedSearches)) {
+    return callback();
+  }
+
+  const savedSearch = savedSearches.shift();
+  _matchSavedSearch(savedSearch, docs, ensureRefreshed, err => {
+    if (err) {
+      log().warn(
+        { err, savedSearchId: savedSearch.id },
+        'Failed to match newly indexed documents against a saved search'
+      );
+    }
+
+    return _matchSavedSearches(savedSearches, docs, ensureRefreshed, callback);
+  });
+};
+
+/**
+ * Match a saved search against newly indexed resource documents. Documents that match the search and that have not
+ * matched it before will be emitted so the owner of the saved search can be notified
+ *
+ * @param  {SavedSearch}    savedSearch         The saved search to match
+ * @param  {Object[]}       docs                The newly indexed resource documents
+ * @param  {Function}       ensureRefreshed     Invoked before running the search to ensure the documents are searchable
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @api private
+ */
+const _matchSavedSearch = function(savedSearch, docs, ensureRefreshed, callback) {
+  // Only documents that were created after the search was saved, by someone other than its owner, are candidates
+  const candidateDocs = _.filter(docs, doc => {
+    return (
+      doc.createdBy !== savedSearch.userId &&
+      doc.dateCreated >= savedSearch.created &&
+      (_.isEmpty(savedSearch.resourceTypes) || _.contains(savedSearch.resourceTypes, doc.resourceType)) &&
+      _isInScope(savedSearch, doc)
+    );
+  });
+  if (_.isEmpty(candidateDocs)) {
+    return callback();
+  }
+
+  PrincipalsDAO.getPrincipal(savedSearch.userId, (err, user) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (user.deleted) {
+      return callback();
+    }
+
+    ensureRefreshed(err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Run the saved search as its owner, so only the documents they have access to can match
+      return _matchCandidateDocs(Context.fromUser(user), savedSearch, candidateDocs, callback);
+    });
+  });
+};
+
+/**
+ * Whether a document could be part of the results of a saved search, given the scope of the saved search. A saved
+ * search that is scoped to a tenant only includes the documents of that tenant. Any saved search only includes the
+ * documents of the tenants the tenant of its owner can interact with. Whether its owner has access to the document is
+ * left to the search itself
+ *
+ * @param  {SavedSearch}    savedSearch     The saved search
+ * @param  {Object}         doc             The newly indexed resource document
+ * @return {Boolean}                        `true` if the document could be part of the results of the saved search
+ * @api private
+ */
+const _isInScope = function(savedSearch, doc) {
+  const scope = SearchUtil.getScopeParam(savedSearch.scope);
+  if (!_.contains(SearchConstants.general.SCOPES_ALL, scope) && scope !== doc.tenantAlias) {
+    return false;
+  }
+
+  return TenantsUtil.canInteract(savedSearch.tenant.alias, doc.tenantAlias);
+};
+
+/**
+ * Run a saved search against candidate documents, `SearchConstants.savedSearches.MATCH_BATCH_SIZE` documents at a time
+ *
+ * @param  {Context}        ctx                 The context of the owner of the saved search
+ * @param  {SavedSearch}    savedSearch         The saved search to run
+ * @param  {Object[]}       candidateDocs       The newly indexed resource documents that could match the saved search
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @api private
+ */
+const _matchCandidateDocs = function(ctx, savedSearch, candidateDocs, callback) {
+  if (_.isEmpty(candidateDocs)) {
+    return callback();
+  }
+
+  const batchDocs = candidateDocs.slice(0, SearchConstants.savedSearches.MATCH_BATCH_SIZE);
+  const opts = {
+    q: savedSearch.q,
+    scope: savedSearch.scope,
+    resourceTypes: savedSearch.resourceTypes,
+    createdBy: savedSearch.createdBy,
+    ids: _.pluck(batchDocs, 'id'),
+    limit: SearchConstants.savedSearches.MATCH_BATCH_SIZE
+  };
+  SearchAPI.search(ctx, 'general', opts, (err, result) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const matchedIds = _.pluck(result.results, 'id');
+    SearchDAO.getMatchedResourceIds(savedSearch.id, matchedIds, (err, previouslyMatchedIds) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const newlyMatchedIds = _.difference(matchedIds, previouslyMatchedIds);
+      SearchDAO.saveMatchedResourceIds(savedSearch.id, newlyMatchedIds, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!_.isEmpty(newlyMatchedIds)) {
+          const matchedDocs = _.filter(batchDocs, doc => {
+            return _.contains(newlyMatchedIds, doc.id);
+          });
+          SearchAPI.emitter.emit(SearchConstants.events.SAVED_SEARCH_MATCHED, ctx, savedSearch, matchedDocs);
+        }
+
+        return _matchCandidateDocs(
+          ctx,
+          savedSearch,
+          candidateDocs.slice(SearchConstants.savedSearches.MATCH_BATCH_SIZE),
+          callback
+        );
+      });
+    });
+  });
+};
+
+export { refreshConfiguration, createSavedSearch, getSavedSearches, deleteSavedSearch };
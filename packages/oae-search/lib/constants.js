@@ -71,8 +71,46 @@ SearchConstants.general = {
   SCOPES_ALL: ['_all', '_network', '_interact', '_my']
 };
 
+SearchConstants.facets = {
+  // The facets that count the search results per distinct value of a document field, keyed by the name
+  // of the facet and valued by the field that is aggregated on
+  TERMS: {
+    resourceType: 'resourceType',
+    resourceSubType: 'resourceSubType',
+    tenantAlias: 'tenantAlias',
+    createdBy: 'createdBy'
+  },
+
+  // The maximum number of distinct values that are returned for a terms facet
+  TERMS_SIZE: 10,
+
+  // The facet that counts the search results per time bucket, keyed by the name of the bucket and
+  // valued by how far back in time (in milliseconds) the bucket reaches
+  CREATED: 'created',
+  CREATED_BUCKETS: {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+  }
+};
+
+SearchConstants.highlight = {
+  // The maximum number of characters in a highlighted snippet of a matched field
+  FRAGMENT_SIZE: 150,
+  // The maximum number of highlighted snippets that are returned per matched field
+  NUMBER_OF_FRAGMENTS: 3
+};
+
 SearchConstants.search = {
-  MAPPING_RESOURCE: 'resource'
+  MAPPING_RESOURCE: 'resource',
+
+  // The maximum number of seconds it can take an app server to rebuild the search index when its mapping is outdated
+  REBUILD_INDEX_LOCK_DURATION: 15 * 60,
+
+  // The number of milliseconds an app server waits before checking whether another one has finished rebuilding the
+  // search index
+  REBUILD_INDEX_WAIT_INTERVAL: 5 * 1000
 };
 
 SearchConstants.mq = {
@@ -81,11 +119,33 @@ SearchConstants.mq = {
   TASK_DELETE_DOCUMENT: 'oae-search/delete',
   TASK_DELETE_DOCUMENT_PROCESSING: 'oae-search/delete-processing',
   TASK_REINDEX_ALL: 'oae-search/reindex',
-  TASK_REINDEX_ALL_PROCESSING: 'oae-search/reindex-processing'
+  TASK_REINDEX_ALL_PROCESSING: 'oae-search/reindex-processing',
+  TASK_MATCH_SAVED_SEARCHES: 'oae-search/match-saved-searches',
+  TASK_MATCH_SAVED_SEARCHES_PROCESSING: 'oae-search/match-saved-searches-processing'
 };
 
 SearchConstants.events = {
+  CREATED_SAVED_SEARCH: 'createdSavedSearch',
+  DELETED_SAVED_SEARCH: 'deletedSavedSearch',
+  INDEXED_DOCUMENTS: 'indexedDocuments',
+  SAVED_SEARCH_MATCHED: 'savedSearchMatched',
   SEARCH: 'search'
 };
 
+SearchConstants.savedSearches = {
+  // The maximum number of saved searches a user can have
+  MAX_PER_USER: 50,
+
+  // Only documents that have been created within this amount of milliseconds before being indexed are
+  // considered new items for the saved searches. This avoids notifying users when old resources get reindexed
+  MATCH_WINDOW: 24 * 60 * 60 * 1000,
+
+  // The maximum number of newly indexed documents that are matched against a saved search at once
+  MATCH_BATCH_SIZE: 25
+};
+
+SearchConstants.activity = {
+  ACTIVITY_SAVED_SEARCH_MATCH: 'search-saved-search-match'
+};
+
 export { SearchConstants };
@@ -18,6 +18,10 @@ import generalSearch from './searches/general';
 import deletedSearch from './searches/deleted';
 import { queryBuilder, postProcessor } from './searches/email';
 
+// eslint-disable-next-line no-unused-vars, import/namespace
+import * as activity from 'oae-search/lib/activity';
+import * as SavedSearchesAPI from 'oae-search/lib/api.savedsearches';
+
 export function init(config, callback) {
   // Const { index, hosts } = config.search;
   const destroy = config.search.index.destroyOnStartup === true;
@@ -33,7 +37,13 @@ export function init(config, callback) {
       return callback(err);
     }
 
-    // Build the index and seed the search schema
-    return SearchAPI.buildIndex(destroy, callback);
+    SavedSearchesAPI.refreshConfiguration(config.search, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // Build the index and seed the search schema
+      return SearchAPI.buildIndex(destroy, callback);
+    });
   });
 }
@@ -0,0 +1,297 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import _ from 'underscore';
+import ShortId from 'shortid';
+
+import * as AuthzUtil from 'oae-authz/lib/util';
+import * as Cassandra from 'oae-util/lib/cassandra';
+import * as OaeUtil from 'oae-util/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
+import * as TenantsAPI from 'oae-tenants';
+
+import { logger } from 'oae-logger';
+import { SavedSearch } from 'oae-search/lib/model';
+
+const log = logger('search-dao');
+
+/**
+ * Create a new saved search
+ *
+ * @param  {String}         userId                  The id of the user saving the search
+ * @param  {String}         name                    The name of the saved search
+ * @param  {Object}         search                  The search that is saved
+ * @param  {String}         search.q                The search query
+ * @param  {String}         [search.scope]          The scope of the search
+ * @param  {String[]}       search.resourceTypes    The resource types the search is limited to
+ * @param  {String[]}       search.createdBy        The creators the search is limited to
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {SavedSearch}    callback.savedSearch    The saved search that was created
+ */
+const createSavedSearch = function(userId, name, search, callback) {
+  const { tenantAlias } = AuthzUtil.getPrincipalFromId(userId);
+  const savedSearchId = AuthzUtil.toId('ss', tenantAlias, ShortId.generate());
+  const storageHash = {
+    userId,
+    name,
+    q: search.q,
+    resourceTypes: search.resourceTypes,
+    createdBy: search.createdBy,
+    created: Date.now().toString()
+  };
+  if (search.scope) {
+    storageHash.scope = search.scope;
+  }
+
+  const queries = [
+    Cassandra.constructUpsertCQL('SavedSearches', 'id', savedSearchId, storageHash),
+    {
+      query: 'INSERT INTO "SavedSearchesByUser" ("userId", "savedSearchId", "value") VALUES (?, ?, ?)',
+      parameters: [userId, savedSearchId, '1']
+    },
+    {
+      query: 'INSERT INTO "SavedSearchesByTenant" ("tenantAlias", "savedSearchId", "value") VALUES (?, ?, ?)',
+      parameters: [tenantAlias, savedSearchId, '1']
+    }
+  ];
+  Cassandra.runBatchQuery(queries, err => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, _storageHashToSavedSearch(savedSearchId, storageHash));
+  });
+};
+
+/**
+ * Get a saved search by its id
+ *
+ * @param  {String}         savedSearchId           The id of the saved search to get
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {SavedSearch}    callback.savedSearch    The saved search. `undefined` if it does not exist
+ */
+const getSavedSearch = function(savedSearchId, callback) {
+  getSavedSearchesById([savedSearchId], (err, savedSearches) => {
+    if (err) {
+      return callback(err);
+    }
+
+    return callback(null, savedSearches[0]);
+  });
+};
+
+/**
+ * Get multiple saved searches by their ids
+ *
+ * @param  {String[]}       savedSearchIds          The ids of the saved searches to get
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {SavedSearch[]}  callback.savedSearches  The saved searches, in the same order as the ids. Saved searches that do not exist are omitted
+ */
+const getSavedSearchesById = function(savedSearchIds, callback) {
+  if (_.isEmpty(savedSearchIds)) {
+    return callback(null, []);
+  }
+
+  Cassandra.runQuery('SELECT * FROM "SavedSearches" WHERE "id" IN ?', [savedSearchIds], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const savedSearches = {};
+    _.chain(rows)
+      .map(Cassandra.rowToHash)
+      .each(row => {
+        savedSearches[row.id] = _storageHashToSavedSearch(row.id, row);
+      });
+
+    const orderedSavedSearches = _.chain(savedSearchIds)
+      .map(savedSearchId => {
+        return savedSearches[savedSearchId];
+      })
+      .compact()
+      .value();
+
+    return callback(null, orderedSavedSearches);
+  });
+};
+
+/**
+ * Get the ids of all the saved searches of a user
+ *
+ * @param  {String}         userId                  The id of the user whose saved search ids to get
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {String[]}       callback.savedSearchIds The ids of the saved searches of the user
+ */
+const getSavedSearchIdsForUser = function(userId, callback) {
+  Cassandra.runQuery('SELECT "savedSearchId" FROM "SavedSearchesByUser" WHERE "userId" = ?', [userId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const savedSearchIds = _.map(rows, row => {
+      return row.get('savedSearchId');
+    });
+
+    return callback(null, savedSearchIds);
+  });
+};
+
+/**
+ * Get a page of the ids of the saved searches of the users of a tenant
+ *
+ * @param  {String}         tenantAlias             The alias of the tenant whose saved search ids to get
+ * @param  {String}         [start]                 The id of the saved search from which to start (exclusive). If unspecified, will start from the beginning
+ * @param  {Number}         [limit]                 The maximum number of saved search ids to get. Defaults to 25
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {String[]}       callback.savedSearchIds The ids of the saved searches of the users of the tenant
+ * @param  {String}         callback.nextToken      The value to use for the `start` parameter to get the next page of saved search ids. If `null`, there are no more saved searches
+ */
+const getSavedSearchIdsForTenant = function(tenantAlias, start, limit, callback) {
+  Cassandra.runPagedQuery(
+    'SavedSearchesByTenant',
+    'tenantAlias',
+    tenantAlias,
+    'savedSearchId',
+    start,
+    limit,
+    null,
+    (err, rows, nextToken) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const savedSearchIds = _.map(rows, row => {
+        return row.get('savedSearchId');
+      });
+
+      return callback(null, savedSearchIds, nextToken);
+    }
+  );
+};
+
+/**
+ * Delete a saved search, along with the record of the resources that matched it
+ *
+ * @param  {SavedSearch}    savedSearch         The saved search to delete
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ */
+const deleteSavedSearch = function(savedSearch, callback) {
+  log().info({ savedSearchId: savedSearch.id }, 'Saved search deleted');
+  const queries = [
+    { query: 'DELETE FROM "SavedSearches" WHERE "id" = ?', parameters: [savedSearch.id] },
+    {
+      query: 'DELETE FROM "SavedSearchesByUser" WHERE "userId" = ? AND "savedSearchId" = ?',
+      parameters: [savedSearch.userId, savedSearch.id]
+    },
+    {
+      query: 'DELETE FROM "SavedSearchesByTenant" WHERE "tenantAlias" = ? AND "savedSearchId" = ?',
+      parameters: [savedSearch.tenant.alias, savedSearch.id]
+    },
+    { query: 'DELETE FROM "SavedSearchMatches" WHERE "savedSearchId" = ?', parameters: [savedSearch.id] }
+  ];
+  Cassandra.runBatchQuery(queries, callback);
+};
+
+/**
+ * Given a list of resource ids, determine which of them have already matched the provided saved search
+ *
+ * @param  {String}         savedSearchId           The id of the saved search
+ * @param  {String[]}       resourceIds             The ids of the resources to check
+ * @param  {Function}       callback                Standard callback function
+ * @param  {Object}         callback.err            An error that occurred, if any
+ * @param  {String[]}       callback.matchedIds     The ids of the resources that have already matched the saved search
+ */
+const getMatchedResourceIds = function(savedSearchId, resourceIds, callback) {
+  if (_.isEmpty(resourceIds)) {
+    return callback(null, []);
+  }
+
+  Cassandra.runQuery(
+    'SELECT "resourceId" FROM "SavedSearchMatches" WHERE "savedSearchId" = ? AND "resourceId" IN ?',
+    [savedSearchId, resourceIds],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const matchedIds = _.map(rows, row => {
+        return row.get('resourceId');
+      });
+
+      return callback(null, matchedIds);
+    }
+  );
+};
+
+/**
+ * Record that the provided resources have matched a saved search, so the user does not get notified about them again
+ *
+ * @param  {String}         savedSearchId       The id of the saved search
+ * @param  {String[]}       resourceIds         The ids of the resources that matched the saved search
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ */
+const saveMatchedResourceIds = function(savedSearchId, resourceIds, callback) {
+  if (_.isEmpty(resourceIds)) {
+    return callback();
+  }
+
+  const queries = _.map(resourceIds, resourceId => {
+    return {
+      query: 'INSERT INTO "SavedSearchMatches" ("savedSearchId", "resourceId", "value") VALUES (?, ?, ?)',
+      parameters: [savedSearchId, resourceId, '1']
+    };
+  });
+  Cassandra.runBatchQuery(queries, callback);
+};
+
+/**
+ * Create a saved search model object from its id and the storage hash
+ *
+ * @param  {String}         savedSearchId   The id of the saved search
+ * @param  {Object}         hash            A simple object that represents the stored saved search
+ * @return {SavedSearch}                    The saved search model object
+ * @api private
+ */
+const _storageHashToSavedSearch = function(savedSearchId, hash) {
+  return new SavedSearch(
+    TenantsAPI.getTenant(AuthzUtil.getResourceFromId(savedSearchId).tenantAlias),
+    savedSearchId,
+    hash.userId,
+    hash.name,
+    hash.q,
+    hash.scope || null,
+    ResourceTags.parseTags(hash.resourceTypes),
+    ResourceTags.parseTags(hash.createdBy),
+    OaeUtil.getNumberParam(hash.created)
+  );
+};
+
+export {
+  createSavedSearch,
+  getSavedSearch,
+  getSavedSearchesById,
+  getSavedSearchIdsForUser,
+  getSavedSearchIdsForTenant,
+  deleteSavedSearch,
+  getMatchedResourceIds,
+  saveMatchedResourceIds
+};
@@ -139,6 +139,9 @@ const refresh = function(callback) {
  * Create a type mapping that can be searched. The type mappings use the elastic search type mapping specification, as described
  * in the ElasticSearch documentation: http://www.elasticsearch.org/guide/reference/api/admin-indices-put-mapping.html
  *
+ * If the type mapping already exists, the fields it doesn't have yet are added to it. The fields it already has are left
+ * untouched, as ElasticSearch cannot change how an existing field is indexed
+ *
  * @param  {String}    typeName            The name of the type. Should be unique across the application.
  * @param  {Object}    fieldProperties     The field schema properties for the type, as per ElasticSearch mapping spec.
  * @param  {Object}    [opts]              Advanced mapping options
@@ -151,16 +154,23 @@ const putMapping = function(typeName, fieldProperties, opts, callback) {
   opts = opts || {};
   opts._source = opts._source !== true;
 
-  mappingExists(typeName, (err, exists) => {
+  _getMappingProperties(typeName, (err, existingProperties) => {
     if (err) {
       return callback(err);
     }
 
-    if (exists) {
-      return callback();
+    const data = {};
+    if (existingProperties) {
+      const newProperties = _.omit(fieldProperties, _.keys(existingProperties));
+      if (_.isEmpty(newProperties)) {
+        return callback();
+      }
+
+      data[typeName] = { properties: newProperties };
+      log().info({ typeData: data }, 'Adding new fields to search type mapping');
+      return _exec('putMapping', client.putMapping(index, typeName, data), callback);
     }
 
-    const data = {};
     data[typeName] = {
       _source: {
         enabled: opts._source
@@ -195,6 +205,34 @@ const mappingExists = function(typeName, callback) {
   });
 };
 
+/**
+ * Get the names of the fields of an existing mapping that no longer match the given field schema properties. ElasticSearch
+ * cannot change how an existing field is indexed, so a mapping with outdated fields can only be fixed by rebuilding the
+ * index. A field is outdated when it is indexed differently than the schema specifies, or when the mapping still has it
+ * by the name it was renamed from. Fields the mapping doesn't have yet are not outdated, as `putMapping` can add them. If
+ * the mapping does not exist yet, no fields are considered outdated.
+ *
+ * @param  {String}    typeName                The name of the type
+ * @param  {Object}    fieldProperties         The field schema properties for the type, as per ElasticSearch mapping spec
+ * @param  {Object}    [renamedFields]         The previous names of the fields that have been renamed, keyed by their current name
+ * @param  {Function}  callback                Standard callback function
+ * @param  {Object}    callback.err            An error that occurred, if any
+ * @param  {String[]}  callback.outdatedFields The names of the fields whose existing mapping is outdated
+ */
+const getOutdatedMappingFields = function(typeName, fieldProperties, renamedFields, callback) {
+  _getMappingProperties(typeName, (err, existingProperties) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!existingProperties) {
+      return callback(null, []);
+    }
+
+    return callback(null, _getOutdatedFields(fieldProperties, existingProperties, renamedFields || {}));
+  });
+};
+
 /**
  * Search ElasticSearch using the given query.
  *
@@ -327,6 +365,76 @@ const _exec = function(name, call, callback) {
   call.exec();
 };
 
+/**
+ * Get the field schema properties of an existing type mapping
+ *
+ * @param  {String}     typeName                    The name of the type
+ * @param  {Function}   callback                    Standard callback function
+ * @param  {Object}     callback.err                An error that occurred, if any
+ * @param  {Object}     callback.properties         The field schema properties of the type mapping, or `null` if the type mapping does not exist
+ * @api private
+ */
+const _getMappingProperties = function(typeName, callback) {
+  _exec('getMapping', client.getMapping(index, typeName, null), (err, data) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (_.isEmpty(data)) {
+      return callback(null, null);
+    }
+
+    // Depending on the version of ElasticSearch, the mapping is either keyed by the index or by the type directly
+    let mapping = data[typeName];
+    if (data[index] && data[index].mappings) {
+      mapping = data[index].mappings[typeName];
+    }
+
+    return callback(null, (mapping && mapping.properties) || {});
+  });
+};
+
+/**
+ * Compare the expected field schema properties with the existing ones and get the names of the fields that differ in how
+ * they are indexed or that the existing ones still have by their previous name. Only the properties that cannot be
+ * changed on an existing field are compared
+ *
+ * @param  {Object}     expectedProperties  The field schema properties as they should be
+ * @param  {Object}     existingProperties  The field schema properties as they are stored in ElasticSearch
+ * @param  {Object}     renamedFields       The previous names of the fields that have been renamed, keyed by their current name
+ * @param  {String}     [prefix]            The prefix of the field names, used for nested object fields
+ * @return {String[]}                       The names of the outdated fields
+ * @api private
+ */
+const _getOutdatedFields = function(expectedProperties, existingProperties, renamedFields, prefix) {
+  prefix = prefix || '';
+
+  return _.chain(expectedProperties)
+    .map((expected, name) => {
+      const existing = existingProperties[name];
+      if (!existing) {
+        // A new field can simply be added to the mapping, unless the mapping still has it by its previous name
+        const previousName = renamedFields[prefix + name];
+        return previousName && existingProperties[previousName] ? [prefix + name] : [];
+      }
+
+      if (expected.properties) {
+        return _getOutdatedFields(expected.properties, existing.properties || {}, renamedFields, prefix + name + '.');
+      }
+
+      if (expected.type !== 'string') {
+        return [];
+      }
+
+      // ElasticSearch leaves out the properties that have their default value
+      const indexChanged = (expected.index || 'analyzed') !== (existing.index || 'analyzed');
+      const termVectorChanged = (expected.term_vector || 'no') !== (existing.term_vector || 'no');
+      return indexChanged || termVectorChanged ? [prefix + name] : [];
+    })
+    .flatten()
+    .value();
+};
+
 /**
  * Logs the given error and applies telemetry udpates.
  *
@@ -347,6 +455,7 @@ export {
   refresh,
   putMapping,
   mappingExists,
+  getOutdatedMappingFields,
   search,
   runIndex,
   bulk,
@@ -0,0 +1,41 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { createColumnFamilies } from 'oae-util/lib/cassandra';
+
+/**
+ * Create the saved searches database schema
+ *
+ * @param  {Function}   callback        Standard callback function
+ * @param  {Object}     callback.err    An error that occurred, if any
+ * @api private
+ */
+const ensureSchema = function(callback) {
+  createColumnFamilies(
+    {
+      SavedSearches:
+        'CREATE TABLE "SavedSearches" ("id" text PRIMARY KEY, "userId" text, "name" text, "q" text, "scope" text, "resourceTypes" text, "createdBy" text, "created" text)',
+      SavedSearchesByUser:
+        'CREATE TABLE "SavedSearchesByUser" ("userId" text, "savedSearchId" text, "value" text, PRIMARY KEY ("userId", "savedSearchId")) WITH COMPACT STORAGE',
+      SavedSearchesByTenant:
+        'CREATE TABLE "SavedSearchesByTenant" ("tenantAlias" text, "savedSearchId" text, "value" text, PRIMARY KEY ("tenantAlias", "savedSearchId")) WITH COMPACT STORAGE',
+      SavedSearchMatches:
+        'CREATE TABLE "SavedSearchMatches" ("savedSearchId" text, "resourceId" text, "value" text, PRIMARY KEY ("savedSearchId", "resourceId")) WITH COMPACT STORAGE'
+    },
+    callback
+  );
+};
+
+export { ensureSchema };
@@ -20,11 +20,13 @@
  *
  * {
  *      "total": 27233,
- *      "results": [{ ... }, { ... }, ...]
+ *      "results": [{ ... }, { ... }, ...],
+ *      "facets": { ... }
  * }
  *
  * Note that "total" is the complete number of results in the search, and not the number of results in the `results` property
- * of the result object. The `results` property only represents the current page of results.
+ * of the result object. The `results` property only represents the current page of results. The `facets` property is only
+ * available for searches that requested facet counts, @see SearchUtil#transformFacetAggregations.
  *
  * @param  {Number}        total       The total number of results that match the request (not just in this page, in storage)
  * @param  {Object[]}      results     An array of documents that were returned from the search
@@ -37,4 +39,32 @@ const SearchResult = function(total, results) {
   return that;
 };
 
-export { SearchResult };
+/**
+ * A model object that represents a search a user has saved in order to be notified when new items match it
+ *
+ * @param  {Tenant}         tenant              The tenant to which the saved search belongs
+ * @param  {String}         id                  The id of the saved search
+ * @param  {String}         userId              The id of the user who saved the search
+ * @param  {String}         name                The name the user gave to the saved search
+ * @param  {String}         q                   The search query
+ * @param  {String}         [scope]             The scope of the search (One of `SearchConstants.general.SCOPE_*` or a tenant alias)
+ * @param  {String[]}       resourceTypes       The resource types the search is limited to. An empty array means all resource types
+ * @param  {String[]}       createdBy           The creators the search is limited to, as per the `createdBy` option of the general search
+ * @param  {Number}         created             The timestamp (millis since epoch) at which the search was saved
+ * @return {SavedSearch}                        An object that represents this saved search
+ */
+const SavedSearch = function(tenant, id, userId, name, q, scope, resourceTypes, createdBy, created) {
+  const that = {};
+  that.tenant = tenant;
+  that.id = id;
+  that.userId = userId;
+  that.name = name;
+  that.q = q;
+  that.scope = scope;
+  that.resourceTypes = resourceTypes;
+  that.createdBy = createdBy;
+  that.created = created;
+  return that;
+};
+
+export { SearchResult, SavedSearch };
@@ -19,6 +19,7 @@ import * as OAE from 'oae-util/lib/oae';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as TenantsAPI from 'oae-tenants/lib/api';
 import * as SearchAPI from 'oae-search';
+import * as SavedSearchesAPI from 'oae-search/lib/api.savedsearches';
 import * as SearchUtil from 'oae-search/lib/util';
 
 const REGEX_SEARCH_ENDPOINT = /\/api\/search\/([^/]+)(\/.*)?/;
@@ -80,10 +81,17 @@ OAE.globalAdminRouter.on('get', '/api/search/tenants', _handleSearchTenants);
  * @Method      GET
  * @Path        /search/{searchType}
  * @PathParam   {string}                searchType          The type of search being performed                          [content-library,followers,following,general,members-library,memberships-library]
+ * @QueryParam  {string}                [created]           Only return the results created within this time bucket. Supported by the general search       [day,week,month,year]
+ * @QueryParam  {string[]}              [creators]          Only return the results created by these users. Supported by the general search
+ * @QueryParam  {boolean}               [facets]            Whether the facet counts should be returned. Supported by the general search. Defaults to false
+ * @QueryParam  {string[]}              [ids]               Only return the results with these resource ids. Supported by the general search
  * @QueryParam  {number}                [limit]             The maximum number of search results to return
  * @QueryParam  {string}                [q]                 The search query
+ * @QueryParam  {string[]}              [resourceSubTypes]  Only return the results of these resource sub types. Supported by the general search
  * @QueryParam  {string}                [sort]              The sort direction. Defaults to asc                         [asc,desc]
  * @QueryParam  {number}                [start]             The document index from which to start. Defaults to 0
+ * @QueryParam  {string[]}              [tags]              Only return the results that have been tagged with all of these tags. Supported by the general and library searches
+ * @QueryParam  {string[]}              [tenantAliases]     Only return the results that belong to these tenants. Supported by the general search
  * @Return      {SearchResponse}                            The retrieved search results
  * @HttpResponse                        200                 Search results available
  * @HttpResponse                        400                 An invalid or unknown search type was specified
@@ -107,3 +115,87 @@ const _handleSearchRequest = function(req, res) {
 
 OAE.tenantRouter.on('get', REGEX_SEARCH_ENDPOINT, _handleSearchRequest, '/api/search');
 OAE.globalAdminRouter.on('get', REGEX_SEARCH_ENDPOINT, _handleSearchRequest, '/api/search');
+
+/**
+ * @REST postSavedsearchCreate
+ *
+ * Save a search to get notified when new items that match it appear
+ *
+ * @Server      tenant
+ * @Method      POST
+ * @Path        /savedsearch/create
+ * @FormParam   {string[]}              [createdBy]         Only match the items created by these users
+ * @FormParam   {string}                name                The name of the saved search
+ * @FormParam   {string}                [q]                 The search query. Defaults to matching all items
+ * @FormParam   {string[]}              [resourceTypes]     Only match the items of these resource types. Defaults to all resource types
+ * @FormParam   {string}                [scope]             The scope of the search                                    [_all,_interact,_my,_network,{tenantAlias}]
+ * @Return      {SavedSearch}                               The created saved search
+ * @HttpResponse                        200                 Search saved
+ * @HttpResponse                        400                 You must provide a name for the saved search
+ * @HttpResponse                        400                 The name of a saved search can only be 1000 characters long
+ * @HttpResponse                        400                 The query of a saved search can only be 10000 characters long
+ * @HttpResponse                        400                 The scope of a saved search must be one of the search scopes or the alias of a tenant
+ * @HttpResponse                        400                 You can only have 50 saved searches
+ * @HttpResponse                        401                 You must be authenticated to save a search
+ */
+OAE.tenantRouter.on('post', '/api/savedsearch/create', (req, res) => {
+  const opts = {
+    q: req.body.q,
+    scope: req.body.scope,
+    resourceTypes: OaeUtil.toArray(req.body.resourceTypes),
+    createdBy: OaeUtil.toArray(req.body.createdBy)
+  };
+  SavedSearchesAPI.createSavedSearch(req.ctx, req.body.name, opts, (err, savedSearch) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(savedSearch);
+  });
+});
+
+/**
+ * @REST getSavedsearch
+ *
+ * Get the saved searches of the current user
+ *
+ * @Server      tenant
+ * @Method      GET
+ * @Path        /savedsearch
+ * @Return      {SavedSearch[]}                             The saved searches of the current user
+ * @HttpResponse                        200                 Saved searches available
+ * @HttpResponse                        401                 You must be authenticated to list your saved searches
+ */
+OAE.tenantRouter.on('get', '/api/savedsearch', (req, res) => {
+  SavedSearchesAPI.getSavedSearches(req.ctx, (err, savedSearches) => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).send(savedSearches);
+  });
+});
+
+/**
+ * @REST deleteSavedsearchSavedSearchId
+ *
+ * Delete a saved search
+ *
+ * @Server      tenant
+ * @Method      DELETE
+ * @Path        /savedsearch/{savedSearchId}
+ * @PathParam   {string}                savedSearchId       The id of the saved search to delete
+ * @HttpResponse                        200                 Saved search deleted
+ * @HttpResponse                        401                 You can only delete your own saved searches
+ * @HttpResponse                        401                 You must be authenticated to delete a saved search
+ * @HttpResponse                        404                 The specified saved search could not be found
+ */
+OAE.tenantRouter.on('delete', '/api/savedsearch/:savedSearchId', (req, res) => {
+  SavedSearchesAPI.deleteSavedSearch(req.ctx, req.params.savedSearchId, err => {
+    if (err) {
+      return res.status(err.code).send(err.msg);
+    }
+
+    return res.status(200).end();
+  });
+});
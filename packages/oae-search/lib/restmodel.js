@@ -19,6 +19,7 @@
  * @Required  [displayName,id,lastModified,profilePath,resourceSubType,resourceType,tenant,tenantAlias,visibility]
  * @Property  {string}              description         A longer description for the content item
  * @Property  {string}              displayName         The display name of the content item
+ * @Property  {string[]}            highlights          Snippets of the text of the content item that matched the search query, in which the matched terms are wrapped in `em` tags. Only available when the text matched
  * @Property  {string}              id                  The id of the content item
  * @Property  {number}              lastModified        The timestamp (millis since epoch) at which the content item was last modified
  * @Property  {string}              mime                The mime type of the content item
@@ -67,6 +68,26 @@
  * @Required  [total, results]
  * @Property  {number}              total               The total number of search results
  * @Property  {SearchResult[]}      results             List of search results
+ * @Property  {SearchFacets}        facets              The number of search results per facet value. Only available when the facets were requested
+ */
+
+/**
+ * @RESTModel SearchFacets
+ *
+ * @Required  [created,createdBy,resourceSubType,resourceType,tenantAlias]
+ * @Property  {SearchFacetValue[]}  created             The number of search results created within the last day, week, month and year
+ * @Property  {SearchFacetValue[]}  createdBy           The number of search results per creator
+ * @Property  {SearchFacetValue[]}  resourceSubType     The number of search results per resource sub type
+ * @Property  {SearchFacetValue[]}  resourceType        The number of search results per resource type
+ * @Property  {SearchFacetValue[]}  tenantAlias         The number of search results per tenant
+ */
+
+/**
+ * @RESTModel SearchFacetValue
+ *
+ * @Required  [count,value]
+ * @Property  {number}              count               The number of search results that have this value
+ * @Property  {string}              value               The value of the facet
  */
 
 /**
@@ -92,3 +113,18 @@
  * @Property  {string}              thumbnailUrl        The relative path to the thumbnail image of the user
  * @Property  {string}              visibility          The visibility of the user                      [loggedin,private,public]
  */
+
+/**
+ * @RESTModel SavedSearch
+ *
+ * @Required  [created,createdBy,id,name,q,resourceTypes,tenant,userId]
+ * @Property  {number}              created             The timestamp (millis since epoch) at which the search was saved
+ * @Property  {string[]}            createdBy           The users the matching items should be created by
+ * @Property  {string}              id                  The id of the saved search
+ * @Property  {string}              name                The name of the saved search
+ * @Property  {string}              q                   The search query
+ * @Property  {string[]}            resourceTypes       The resource types of the matching items. Empty when all resource types match
+ * @Property  {string}              scope               The scope of the search
+ * @Property  {BasicTenant}         tenant              The tenant to which the saved search belongs
+ * @Property  {string}              userId              The id of the user who saved the search
+ */
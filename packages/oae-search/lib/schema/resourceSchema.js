@@ -52,6 +52,7 @@
  *         {Number}     schema.dateCreated      The date a particular item was created. Used for sorting.
  *         {Number}     schema.lastModified     When a particular item was last modified. Used for sorting.
  *         {String}     schema.created          Id of the user who created the item. This is used to limit to items created by current user only.
+ *         {String[]}   schema.tags             The tags that have been applied to the resource. This is not stored, only indexed. Used to filter resources by tag.
  */
 /* eslint-disable unicorn/filename-case, camelcase */
 const schema = {
@@ -73,7 +74,7 @@ const schema = {
   resourceSubType: {
     type: 'string',
     store: 'yes',
-    index: 'no'
+    index: 'not_analyzed'
   },
   thumbnailUrl: {
     type: 'string',
@@ -147,6 +148,11 @@ const schema = {
     type: 'string',
     store: 'yes',
     index: 'not_analyzed'
+  },
+  tags: {
+    type: 'string',
+    store: 'no',
+    index: 'not_analyzed'
   }
 };
 export const {
@@ -167,5 +173,6 @@ export const {
   sort,
   dateCreated,
   lastModified,
-  createdBy
+  createdBy,
+  tags
 } = schema;
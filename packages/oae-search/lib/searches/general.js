@@ -43,6 +43,13 @@ const RESOURCE_TYPES_ACCESS_SCOPED = [
  * @param  {String}         [opts.scope]            The scope of the query (One of `SearchConstants.general.SCOPE_*`)
  * @param  {String[]}       [opts.resourceTypes]    An array of resource types to search (e.g., content, user). If not specified, then the search will not filter on resource type at all. Possible resource types are those that have registered producers in SearchAPI#registerSearchDocumentProducer.
  * @param  {String[]}       [opts.createdBy]        An array representing who the results should be created by
+ * @param  {String[]}       [opts.tags]             An array of tags the results should all have been tagged with
+ * @param  {String[]}       [opts.resourceSubTypes] An array of resource sub types (e.g., file, link) the results should have
+ * @param  {String[]}       [opts.tenantAliases]    An array of aliases of the tenants the results should belong to
+ * @param  {String[]}       [opts.creators]         An array of ids of the users that should have created the results
+ * @param  {String}         [opts.created]          The time bucket in which the results should have been created. One of the keys of `SearchConstants.facets.CREATED_BUCKETS`
+ * @param  {Boolean}        [opts.facets]           Whether the facet counts should be returned along with the results. Defaults to `false`
+ * @param  {String[]}       [opts.ids]              An array of resource ids to which the results should be limited
  * @param  {Function}       callback                Standard callback function
  * @param  {Object}         callback.err            An error that occurred, if any
  * @param  {SearchResult}   callback.results        An object that represents the results of the query
@@ -54,6 +61,12 @@ export default function(ctx, opts, callback) {
   opts.q = SearchUtil.getQueryParam(opts.q);
   opts.resourceTypes = SearchUtil.getArrayParam(opts.resourceTypes);
   opts.createdBy = SearchUtil.getArrayParam(opts.createdBy);
+  opts.tags = SearchUtil.getArrayParam(opts.tags);
+  opts.resourceSubTypes = SearchUtil.getArrayParam(opts.resourceSubTypes);
+  opts.tenantAliases = SearchUtil.getArrayParam(opts.tenantAliases);
+  opts.creators = SearchUtil.getArrayParam(opts.creators);
+  opts.ids = SearchUtil.getArrayParam(opts.ids);
+  opts.facets = OaeUtil.castToBoolean(opts.facets) === true;
   opts.searchAllResourceTypes = _.isEmpty(opts.resourceTypes);
 
   return _search(ctx, opts, callback);
@@ -85,8 +98,18 @@ const _search = function(ctx, opts, callback) {
       // Filter by created if needed
       const filterCreatedBy = SearchUtil.filterCreatedBy(ctx, opts.createdBy);
 
+      // Filter by the tags and the facets that were applied, if any
+      const filterFacets = SearchUtil.filterAnd(
+        SearchUtil.filterTags(opts.tags),
+        SearchUtil.filterTerms('resourceSubType', opts.resourceSubTypes),
+        SearchUtil.filterTerms('tenantAlias', opts.tenantAliases),
+        SearchUtil.filterTerms('createdBy', opts.creators),
+        SearchUtil.filterCreatedWithin(opts.created),
+        _.isEmpty(opts.ids) ? null : SearchUtil.filterIds(opts.ids)
+      );
+
       // Create the filtered query
-      const filter = SearchUtil.filterAnd(filterResources, filterScopeAndAccess, filterCreatedBy);
+      const filter = SearchUtil.filterAnd(filterResources, filterScopeAndAccess, filterCreatedBy, filterFacets);
 
       const filteredQuery = SearchUtil.createFilteredQuery(query, filter);
 
@@ -110,7 +133,12 @@ const _search = function(ctx, opts, callback) {
       };
 
       // Wrap the query and filter into the top-level Query DSL "query" object
-      return callback(null, SearchUtil.createQuery(boostingQuery, null, opts));
+      const queryData = SearchUtil.createQuery(boostingQuery, null, opts);
+      if (opts.facets) {
+        queryData.aggs = SearchUtil.createFacetAggregations();
+      }
+
+      return callback(null, queryData);
     }
   );
 };
@@ -151,13 +179,15 @@ const _createQuery = function(ctx, opts) {
         'max'
       )
     );
-    // If the content_body matches that should be boosted over a comment match
+    // If the content_body matches that should be boosted over a comment match. The matched
+    // snippets of the body are highlighted so they can be shown with the result
     query.bool.should.push(
       SearchUtil.createHasChildQuery(
         ContentConstants.search.MAPPING_CONTENT_BODY,
         SearchUtil.createQueryStringQuery(opts.q, ['content_body']),
         'max',
-        2
+        2,
+        SearchUtil.createHighlightInnerHits(['content_body'])
       )
     );
   }
@@ -246,6 +246,20 @@ const whenIndexingComplete = function(callback) {
   });
 };
 
+/**
+ * Invoke the provided function when all search indexing tasks are completed and the newly indexed documents have
+ * been matched against the saved searches
+ *
+ * @param  {Function}   callback    Invoked when the newly indexed documents have been matched against the saved searches
+ */
+const whenSavedSearchesMatched = function(callback) {
+  whenIndexingComplete(() => {
+    MqTestsUtil.whenTasksEmpty(SearchConstants.mq.TASK_MATCH_SAVED_SEARCHES, () => {
+      MqTestsUtil.whenTasksEmpty(SearchConstants.mq.TASK_MATCH_SAVED_SEARCHES_PROCESSING, callback);
+    });
+  });
+};
+
 /**
  * Perform a search with the given parameters, but first perform a delay and then a `SearchAPI.Search.refresh`. This is
  * useful for tests, where we need to allow time for an indexing event to take place before performing a validation.
@@ -268,5 +282,6 @@ export {
   assertSearchFails,
   searchAll,
   whenIndexingComplete,
+  whenSavedSearchesMatched,
   searchRefreshed
 };
@@ -23,6 +23,7 @@ import * as AuthzAPI from 'oae-authz';
 import * as OaeUtil from 'oae-util/lib/util';
 import * as TenantsAPI from 'oae-tenants';
 import * as TenantsUtil from 'oae-tenants/lib/util';
+import * as ResourceTags from 'oae-resource/lib/tags';
 import * as SearchModel from 'oae-search/lib/model';
 
 import { SearchConstants } from 'oae-search/lib/constants';
@@ -311,6 +312,53 @@ const createFilteredQuery = function(query, filter) {
   return filteredQuery;
 };
 
+/**
+ * Create the ElasticSearch aggregations that count the search results for each of the facets in
+ * `SearchConstants.facets`. The returned object can be set as the `aggs` property of a query
+ *
+ * @return {Object}     The ElasticSearch aggregations, keyed by the name of the facet
+ */
+const createFacetAggregations = function() {
+  const aggregations = _.mapObject(SearchConstants.facets.TERMS, field => {
+    return { terms: { field, size: SearchConstants.facets.TERMS_SIZE } };
+  });
+
+  // The time buckets overlap, they all reach from a point in the past up to now
+  const now = Date.now();
+  aggregations[SearchConstants.facets.CREATED] = {
+    range: {
+      field: 'dateCreated',
+      ranges: _.map(SearchConstants.facets.CREATED_BUCKETS, (duration, key) => {
+        return { key, from: now - duration };
+      })
+    }
+  };
+
+  return aggregations;
+};
+
+/**
+ * Transform the aggregations that were returned by ElasticSearch into the facets that can be returned to the client.
+ *
+ * For example:
+ *
+ * {
+ *      "resourceType": [{ "value": "content", "count": 12 }, { "value": "user", "count": 3 }],
+ *      "created": [{ "value": "day", "count": 1 }, { "value": "week", "count": 4 }, ...],
+ *      ...
+ * }
+ *
+ * @param  {Object}     aggregations    The aggregations as returned by ElasticSearch
+ * @return {Object}                     The facets, keyed by the name of the facet. Each facet holds the values that were found along with the number of matching results
+ */
+const transformFacetAggregations = function(aggregations) {
+  return _.mapObject(aggregations, aggregation => {
+    return _.map(aggregation.buckets, bucket => {
+      return { value: bucket.key, count: bucket.doc_count };
+    });
+  });
+};
+
 /**
  * Create an ElasticSearch bulk index operation from the given array of documents. This splits up the documents automatically into the
  * meta / document sub-parts, and returns the array of documents that can be sent to the elasticsearchclient to be indexed. This does
@@ -335,12 +383,8 @@ const createBulkIndexOperations = function(docs) {
     }
 
     // These meta attributes have been promoted and shouldn't be on the core doc anymore
-    delete doc.id;
-    delete doc._type;
-    delete doc._parent;
-
     cmds.push(meta);
-    cmds.push(doc);
+    cmds.push(_.omit(doc, 'id', '_type', '_parent'));
   });
 
   return cmds;
@@ -759,6 +803,35 @@ const filterCreatedBy = function(ctx, createdBy) {
   return null;
 };
 
+/**
+ * Create an ElasticSearch filter that will only match the items that were created within the given time bucket
+ *
+ * @param  {String}     [createdWithin]     The time bucket in which the items should have been created. One of the keys of `SearchConstants.facets.CREATED_BUCKETS`
+ * @return {Object}                         The filter that filters to the recently created items. `null` if no valid time bucket was provided
+ */
+const filterCreatedWithin = function(createdWithin) {
+  if (!_.has(SearchConstants.facets.CREATED_BUCKETS, createdWithin)) {
+    return null;
+  }
+
+  return { range: { dateCreated: { gte: Date.now() - SearchConstants.facets.CREATED_BUCKETS[createdWithin] } } };
+};
+
+/**
+ * Create an ElasticSearch filter that will only match the items that have been tagged with all of the provided tags
+ *
+ * @param  {String[]}   [tags]              The tags the items should have been tagged with
+ * @return {Object}                         The filter that filters to the tagged items. `null` if no tags were provided
+ */
+const filterTags = function(tags) {
+  tags = ResourceTags.sanitizeTags(tags);
+  if (_.isEmpty(tags)) {
+    return null;
+  }
+
+  return filterAnd(..._.map(tags, tag => filterTerm('tags', tag)));
+};
+
 /**
  * Create a full-text query object (just the query portion, not filter) for ElasticSearch from the provided
  * user input. This ensures that the query will be a safe keyword search that supports both "everything" (e.g., *)
@@ -824,9 +897,10 @@ const createEmailQuery = function(email) {
  * @param  {Object}     childQuery      A Query object that will filter the children
  * @param  {String}     [scoreType]     The supported score types are max, sum, avg or none. If not specified, the score_type parameter won't be set in the query, so the query can be used in filters. If the score type is set to another value than none, the scores of all the matching child documents are aggregated into the associated parent documents.
  * @param  {Number}     [boost]         The amount of boost that elasticsearch should apply to this query
+ * @param  {Object}     [innerHits]     The inner hits options. When specified, the matching children (e.g., their highlighted fields) are returned with each parent document under `inner_hits.<type>`
  * @return {Object}                     A Query object that can be used in the query portion of the ElasticSearch Query DSL
  */
-const createHasChildQuery = function(type, childQuery, scoreType, boost) {
+const createHasChildQuery = function(type, childQuery, scoreType, boost, innerHits) {
   if (!childQuery) {
     return null;
   }
@@ -849,9 +923,40 @@ const createHasChildQuery = function(type, childQuery, scoreType, boost) {
     query.has_child.boost = boost;
   }
 
+  if (innerHits) {
+    query.has_child.inner_hits = innerHits;
+  }
+
   return query;
 };
 
+/**
+ * Creates the inner hits options for a has_child query that return the best matching child with the
+ * matched snippets of the given fields highlighted. The snippets are HTML-escaped and the matched
+ * terms are wrapped in `em` tags.
+ *
+ * @param  {String[]}   fields      The fields of the child document that should be highlighted
+ * @return {Object}                 The inner hits options that can be passed into `createHasChildQuery`
+ */
+const createHighlightInnerHits = function(fields) {
+  const highlightFields = {};
+  _.each(fields, field => {
+    highlightFields[field] = {
+      fragment_size: SearchConstants.highlight.FRAGMENT_SIZE,
+      number_of_fragments: SearchConstants.highlight.NUMBER_OF_FRAGMENTS
+    };
+  });
+
+  return {
+    size: 1,
+    _source: false,
+    highlight: {
+      encoder: 'html',
+      fields: highlightFields
+    }
+  };
+};
+
 /**
  * Create a more-like-this query object (just the query portion, not filter) for ElasticSearch from the provided
  * user input.
@@ -921,6 +1026,8 @@ export {
   transformSearchResults,
   createQuery,
   createFilteredQuery,
+  createFacetAggregations,
+  transformFacetAggregations,
   createBulkIndexOperations,
   filterIds,
   filterExists,
@@ -935,9 +1042,12 @@ export {
   filterImplicitAccess,
   filterExplicitAccess,
   filterCreatedBy,
+  filterCreatedWithin,
+  filterTags,
   createQueryStringQuery,
   createEmailQuery,
   createHasChildQuery,
+  createHighlightInnerHits,
   createMoreLikeThisQuery,
   createChildSearchDocument,
   getChildSearchDocumentId
@@ -18,6 +18,8 @@ import assert from 'assert';
 import * as TestsUtil from 'oae-tests/lib/util';
 import * as ElasticSearch from 'oae-search/lib/internal/elasticsearch';
 
+import * as ResourceSchema from 'oae-search/lib/schema/resourceSchema';
+
 describe('ElasticSearch', function() {
   /**
    * Test that verifies the ability to create, verify (check "exists") and delete an ElasticSearch index
@@ -129,4 +131,106 @@ describe('ElasticSearch', function() {
       });
     });
   });
+
+  /**
+   * Test that verifies the fields of an existing mapping that are no longer indexed as per the schema are reported as outdated
+   */
+  it('verify outdated mapping fields are detected', function(callback) {
+    const typeName = TestsUtil.generateTestElasticSearchName('oaetest-outdated-mapping-fields');
+    const currentSchema = { tags: ResourceSchema.tags };
+
+    // A mapping that doesn't exist yet has no outdated fields
+    ElasticSearch.getOutdatedMappingFields(typeName, currentSchema, null, function(err, outdatedFields) {
+      assert.ok(!err);
+      assert.deepStrictEqual(outdatedFields, []);
+
+      // Create the mapping as it was before the tags were indexed
+      ElasticSearch.putMapping(typeName, { tags: { type: 'string', store: 'no', index: 'no' } }, null, function(err) {
+        assert.ok(!err);
+
+        ElasticSearch.getOutdatedMappingFields(typeName, currentSchema, null, function(err, outdatedFields) {
+          assert.ok(!err);
+          assert.deepStrictEqual(outdatedFields, ['tags']);
+
+          // Fields that are missing from the existing mapping are not outdated, as they can be added to it
+          const extendedSchema = { ...currentSchema, testField: { type: 'string' } };
+          ElasticSearch.getOutdatedMappingFields(typeName, extendedSchema, null, function(err, outdatedFields) {
+            assert.ok(!err);
+            assert.deepStrictEqual(outdatedFields, ['tags']);
+
+            // Unless the existing mapping still has them by the name they were renamed from
+            const renamedSchema = { testField: { type: 'string' } };
+            ElasticSearch.getOutdatedMappingFields(typeName, renamedSchema, { testField: 'tags' }, function(
+              err,
+              outdatedFields
+            ) {
+              assert.ok(!err);
+              assert.deepStrictEqual(outdatedFields, ['testField']);
+              return callback();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  /**
+   * Test that verifies a mapping that matches the schema has no outdated fields
+   */
+  it('verify up-to-date mapping fields are not reported as outdated', function(callback) {
+    const typeName = TestsUtil.generateTestElasticSearchName('oaetest-uptodate-mapping-fields');
+    const currentSchema = { tags: ResourceSchema.tags, testField: { type: 'string' } };
+    ElasticSearch.putMapping(typeName, currentSchema, null, function(err) {
+      assert.ok(!err);
+
+      ElasticSearch.getOutdatedMappingFields(typeName, currentSchema, null, function(err, outdatedFields) {
+        assert.ok(!err);
+        assert.deepStrictEqual(outdatedFields, []);
+        return callback();
+      });
+    });
+  });
+
+  /**
+   * Test that verifies a resource mapping from before resource sub types could be filtered on is reported as outdated
+   */
+  it('verify a resource sub type mapping that is not indexed is outdated', function(callback) {
+    const typeName = TestsUtil.generateTestElasticSearchName('oaetest-outdated-resourcesubtype');
+    const previousSchema = { resourceSubType: { type: 'string', store: 'yes', index: 'no' } };
+    ElasticSearch.putMapping(typeName, previousSchema, null, function(err) {
+      assert.ok(!err);
+
+      const currentSchema = { resourceSubType: ResourceSchema.resourceSubType };
+      ElasticSearch.getOutdatedMappingFields(typeName, currentSchema, null, function(err, outdatedFields) {
+        assert.ok(!err);
+        assert.deepStrictEqual(outdatedFields, ['resourceSubType']);
+        return callback();
+      });
+    });
+  });
+
+  /**
+   * Test that verifies the fields an existing mapping doesn't have yet are added to it
+   */
+  it('verify new fields are added to an existing mapping', function(callback) {
+    const typeName = TestsUtil.generateTestElasticSearchName('oaetest-new-mapping-fields');
+    ElasticSearch.putMapping(typeName, { testField: { type: 'string' } }, null, function(err) {
+      assert.ok(!err);
+
+      const extendedSchema = { testField: { type: 'string' }, newField: { type: 'string', index: 'not_analyzed' } };
+      ElasticSearch.putMapping(typeName, extendedSchema, null, function(err) {
+        assert.ok(!err);
+
+        // Now that the new field has been added, the mapping matches the schema
+        ElasticSearch.getOutdatedMappingFields(typeName, { newField: extendedSchema.newField }, null, function(
+          err,
+          outdatedFields
+        ) {
+          assert.ok(!err);
+          assert.deepStrictEqual(outdatedFields, []);
+          return callback();
+        });
+      });
+    });
+  });
 });
@@ -25,6 +25,7 @@ import * as TenantsTestUtil from 'oae-tenants/lib/test/util';
 import * as TestsUtil from 'oae-tests';
 import * as SearchTestsUtil from 'oae-search/lib/test/util';
 
+import * as RestUtil from 'oae-rest/lib/util';
 import { RestContext } from 'oae-rest/lib/model';
 
 describe('General Search', () => {
@@ -1060,6 +1061,177 @@ describe('General Search', () => {
         );
       });
     });
+
+    /**
+     * Test that verifies the tags parameter only returns the items that have been tagged with all of the tags
+     */
+    it('verify the tags parameter filters the results', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, jack) => {
+        assert.ok(!err);
+
+        /*!
+         * Create a public link with the given tags
+         *
+         * @param  {String[]}   tags        The tags to apply to the link
+         * @param  {Function}   callback    Standard callback function
+         */
+        const _createTaggedLink = function(tags, callback) {
+          RestUtil.performRestRequest(
+            jack.restContext,
+            '/api/content/create',
+            'POST',
+            {
+              resourceSubType: 'link',
+              displayName: jack.user.displayName,
+              visibility: 'public',
+              link: 'http://www.apereo.org',
+              tags
+            },
+            (err, link) => {
+              assert.ok(!err);
+              return callback(link);
+            }
+          );
+        };
+
+        _createTaggedLink(['biology', 'chemistry'], both => {
+          _createTaggedLink(['biology'], biology => {
+            // Verify a single tag returns all items tagged with it
+            SearchTestsUtil.searchRefreshed(
+              jack.restContext,
+              'general',
+              null,
+              { q: jack.user.displayName, resourceTypes: 'content', tags: 'Biology' },
+              (err, results) => {
+                assert.ok(!err);
+                assert.deepStrictEqual(_.pluck(results.results, 'id').sort(), [both.id, biology.id].sort());
+                assert.ok(_.findWhere(results.results, { id: both.id }).tags.includes('chemistry'));
+
+                // Verify multiple tags only return the items tagged with all of them
+                RestAPI.Search.search(
+                  jack.restContext,
+                  'general',
+                  null,
+                  { q: jack.user.displayName, resourceTypes: 'content', tags: ['biology', 'chemistry'] },
+                  (err, results) => {
+                    assert.ok(!err);
+                    assert.deepStrictEqual(_.pluck(results.results, 'id'), [both.id]);
+                    return callback();
+                  }
+                );
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
+  describe('Search Facets', () => {
+    /**
+     * Test that verifies the facet counts are only returned when requested, and that the facets can be applied as filters
+     */
+    it('verify facet counts and facet filters', callback => {
+      TestsUtil.generateTestUsers(camAdminRestContext, 1, (err, users, jack) => {
+        assert.ok(!err);
+
+        RestAPI.Content.createLink(
+          jack.restContext,
+          jack.user.displayName,
+          jack.user.displayName,
+          'public',
+          'http://www.apereo.org',
+          [],
+          [],
+          [],
+          (err, link) => {
+            assert.ok(!err);
+
+            RestAPI.Content.createCollabDoc(
+              jack.restContext,
+              jack.user.displayName,
+              jack.user.displayName,
+              'public',
+              [],
+              [],
+              [],
+              [],
+              (err, collabdoc) => {
+                assert.ok(!err);
+
+                // Verify no facets are returned by default
+                SearchTestsUtil.searchRefreshed(
+                  jack.restContext,
+                  'general',
+                  null,
+                  { q: jack.user.displayName, resourceTypes: 'content' },
+                  (err, results) => {
+                    assert.ok(!err);
+                    assert.strictEqual(results.results.length, 2);
+                    assert.ok(!results.facets);
+
+                    // Verify the facet counts when they are requested
+                    RestAPI.Search.search(
+                      jack.restContext,
+                      'general',
+                      null,
+                      { q: jack.user.displayName, resourceTypes: 'content', facets: true },
+                      (err, results) => {
+                        assert.ok(!err);
+                        assert.deepStrictEqual(results.facets.resourceType, [{ value: 'content', count: 2 }]);
+                        assert.deepStrictEqual(_.sortBy(results.facets.resourceSubType, 'value'), [
+                          { value: 'collabdoc', count: 1 },
+                          { value: 'link', count: 1 }
+                        ]);
+                        assert.deepStrictEqual(results.facets.tenantAlias, [
+                          { value: global.oaeTests.tenants.cam.alias, count: 2 }
+                        ]);
+                        assert.deepStrictEqual(results.facets.createdBy, [{ value: jack.user.id, count: 2 }]);
+                        assert.deepStrictEqual(_.findWhere(results.facets.created, { value: 'day' }), {
+                          value: 'day',
+                          count: 2
+                        });
+
+                        // Verify a facet can be applied as a filter
+                        RestAPI.Search.search(
+                          jack.restContext,
+                          'general',
+                          null,
+                          {
+                            q: jack.user.displayName,
+                            resourceSubTypes: 'link',
+                            creators: jack.user.id,
+                            created: 'day'
+                          },
+                          (err, results) => {
+                            assert.ok(!err);
+                            assert.deepStrictEqual(_.pluck(results.results, 'id'), [link.id]);
+
+                            // Verify the content of another tenant is filtered out
+                            RestAPI.Search.search(
+                              jack.restContext,
+                              'general',
+                              null,
+                              { q: jack.user.displayName, tenantAliases: global.oaeTests.tenants.gt.alias },
+                              (err, results) => {
+                                assert.ok(!err);
+                                assert.ok(!_.findWhere(results.results, { id: collabdoc.id }));
+                                assert.ok(!_.findWhere(results.results, { id: link.id }));
+                                return callback();
+                              }
+                            );
+                          }
+                        );
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          }
+        );
+      });
+    });
   });
 
   describe('Search Paging', () => {
@@ -0,0 +1,282 @@
+/*!
+ * Copyright 2019 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import assert from 'assert';
+import _ from 'underscore';
+
+import * as ActivityTestsUtil from 'oae-activity/lib/test/util';
+import * as RestAPI from 'oae-rest';
+import * as RestUtil from 'oae-rest/lib/util';
+import * as SearchTestsUtil from 'oae-search/lib/test/util';
+import * as TestsUtil from 'oae-tests';
+
+import { SearchConstants } from 'oae-search/lib/constants';
+
+describe('Saved Searches', () => {
+  // Rest context that can be used every time we need to make a request as an anonymous user
+  let anonymousRestContext = null;
+  // Rest context that can be used every time we need to make a request as a tenant admin
+  let camAdminRestContext = null;
+  // Rest context that can be used every time we need to make a request as a tenant admin of another tenant
+  let gtAdminRestContext = null;
+
+  /**
+   * Function that will fill up the anonymous and tenant admin REST context
+   */
+  before(callback => {
+    anonymousRestContext = TestsUtil.createTenantRestContext(global.oaeTests.tenants.cam.host);
+    camAdminRestContext = TestsUtil.createTenantAdminRestContext(global.oaeTests.tenants.cam.host);
+    gtAdminRestContext = TestsUtil.createTenantAdminRestContext(global.oaeTests.tenants.gt.host);
+    return callback();
+  });
+
+  /**
+   * Save a search through the REST API
+   *
+   * @param  {RestContext}    restContext         The context of the user saving the search
+   * @param  {Object}         data                The form data describing the saved search
+   * @param  {Function}       callback            Standard callback function
+   * @param  {Object}         callback.err        An error that occurred, if any
+   * @param  {SavedSearch}    callback.savedSearch The saved search that was created
+   */
+  const _createSavedSearch = function(restContext, data, callback) {
+    RestUtil.performRestRequest(restContext, '/api/savedsearch/create', 'POST', data, callback);
+  };
+
+  /**
+   * Get the saved searches of the current user through the REST API
+   *
+   * @param  {RestContext}    restContext             The context of the current user
+   * @param  {Function}       callback                Standard callback function
+   * @param  {Object}         callback.err            An error that occurred, if any
+   * @param  {SavedSearch[]}  callback.savedSearches  The saved searches of the current user
+   */
+  const _getSavedSearches = function(restContext, callback) {
+    RestUtil.performRestRequest(restContext, '/api/savedsearch', 'GET', null, callback);
+  };
+
+  /**
+   * Delete a saved search through the REST API
+   *
+   * @param  {RestContext}    restContext         The context of the current user
+   * @param  {String}         savedSearchId       The id of the saved search to delete
+   * @param  {Function}       callback            Standard callback function
+   * @param  {Object}         callback.err        An error that occurred, if any
+   */
+  const _deleteSavedSearch = function(restContext, savedSearchId, callback) {
+    RestUtil.performRestRequest(
+      restContext,
+      '/api/savedsearch/' + encodeURIComponent(savedSearchId),
+      'DELETE',
+      null,
+      callback
+    );
+  };
+
+  /**
+   * Test that verifies a search can be saved, listed and deleted
+   */
+  it('verify saving, listing and deleting saved searches', callback => {
+    TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simon, branden) => {
+      assert.ok(!err);
+
+      // Anonymous users cannot save searches
+      _createSavedSearch(anonymousRestContext, { name: 'Anonymous' }, err => {
+        assert.strictEqual(err.code, 401);
+
+        // A name is required
+        _createSavedSearch(simon.restContext, { q: 'apereo' }, err => {
+          assert.strictEqual(err.code, 400);
+
+          // Only known scopes can be searched
+          _createSavedSearch(simon.restContext, { name: 'Unknown scope', scope: 'not-a-scope' }, err => {
+            assert.strictEqual(err.code, 400);
+
+            _createSavedSearch(
+              simon.restContext,
+              { name: 'Apereo links', q: 'apereo', resourceTypes: ['content'] },
+              (err, savedSearch) => {
+                assert.ok(!err);
+                assert.ok(savedSearch.id);
+                assert.strictEqual(savedSearch.name, 'Apereo links');
+                assert.strictEqual(savedSearch.q, 'apereo');
+                assert.deepStrictEqual(savedSearch.resourceTypes, ['content']);
+                assert.strictEqual(savedSearch.userId, simon.user.id);
+
+                // Only the owner sees their saved searches
+                _getSavedSearches(simon.restContext, (err, savedSearches) => {
+                  assert.ok(!err);
+                  assert.deepStrictEqual(_.pluck(savedSearches, 'id'), [savedSearch.id]);
+
+                  _getSavedSearches(branden.restContext, (err, savedSearches) => {
+                    assert.ok(!err);
+                    assert.strictEqual(savedSearches.length, 0);
+
+                    // Only the owner can delete a saved search
+                    _deleteSavedSearch(branden.restContext, savedSearch.id, err => {
+                      assert.strictEqual(err.code, 401);
+
+                      _deleteSavedSearch(simon.restContext, savedSearch.id, err => {
+                        assert.ok(!err);
+
+                        _getSavedSearches(simon.restContext, (err, savedSearches) => {
+                          assert.ok(!err);
+                          assert.strictEqual(savedSearches.length, 0);
+
+                          // Deleting it again results in a 404
+                          _deleteSavedSearch(simon.restContext, savedSearch.id, err => {
+                            assert.strictEqual(err.code, 404);
+                            return callback();
+                          });
+                        });
+                      });
+                    });
+                  });
+                });
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+
+  /**
+   * Test that verifies a user gets notified when a newly created item matches their saved search
+   */
+  it('verify a notification is sent when a new item matches a saved search', callback => {
+    TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simon, branden) => {
+      assert.ok(!err);
+
+      const keyword = TestsUtil.generateRandomText(1);
+      _createSavedSearch(
+        simon.restContext,
+        { name: 'Keyword', q: keyword, resourceTypes: ['content'] },
+        (err, savedSearch) => {
+          assert.ok(!err);
+
+          // Create one link that matches the saved search and one that does not
+          RestAPI.Content.createLink(
+            branden.restContext,
+            'Link about ' + keyword,
+            'A matching link',
+            'public',
+            'http://www.apereo.org',
+            [],
+            [],
+            [],
+            (err, matchingLink) => {
+              assert.ok(!err);
+
+              RestAPI.Content.createLink(
+                branden.restContext,
+                'Unrelated link',
+                'A link that does not match',
+                'public',
+                'http://www.apereo.org',
+                [],
+                [],
+                [],
+                err => {
+                  assert.ok(!err);
+
+                  SearchTestsUtil.whenSavedSearchesMatched(() => {
+                    ActivityTestsUtil.collectAndGetNotificationStream(simon.restContext, null, (err, result) => {
+                      assert.ok(!err);
+
+                      const activities = _.filter(result.items, activity => {
+                        return activity['oae:activityType'] === SearchConstants.activity.ACTIVITY_SAVED_SEARCH_MATCH;
+                      });
+                      assert.strictEqual(activities.length, 1);
+                      assert.strictEqual(activities[0].object['oae:id'], matchingLink.id);
+                      assert.strictEqual(activities[0].target['oae:id'], savedSearch.id);
+                      assert.strictEqual(activities[0].target.displayName, 'Keyword');
+                      return callback();
+                    });
+                  });
+                }
+              );
+            }
+          );
+        }
+      );
+    });
+  });
+
+  /**
+   * Test that verifies saved searches are matched against new items of other tenants, unless they are scoped to
+   * another tenant
+   */
+  it('verify saved searches are matched against items of the tenants in their scope', callback => {
+    TestsUtil.generateTestUsers(camAdminRestContext, 2, (err, users, simon, branden) => {
+      assert.ok(!err);
+      TestsUtil.generateTestUsers(gtAdminRestContext, 1, (err, users, gtUser) => {
+        assert.ok(!err);
+
+        const keyword = TestsUtil.generateRandomText(1);
+        _createSavedSearch(simon.restContext, { name: 'Everywhere', q: keyword, scope: '_all' }, (err, allSearch) => {
+          assert.ok(!err);
+          _createSavedSearch(
+            branden.restContext,
+            { name: 'Cambridge', q: keyword, scope: global.oaeTests.tenants.cam.alias },
+            err => {
+              assert.ok(!err);
+
+              RestAPI.Content.createLink(
+                gtUser.restContext,
+                'Link about ' + keyword,
+                'A matching link of another tenant',
+                'public',
+                'http://www.apereo.org',
+                [],
+                [],
+                [],
+                (err, link) => {
+                  assert.ok(!err);
+
+                  SearchTestsUtil.whenSavedSearchesMatched(() => {
+                    // The link of the other tenant matches the search of all tenants
+                    ActivityTestsUtil.collectAndGetNotificationStream(simon.restContext, null, (err, result) => {
+                      assert.ok(!err);
+                      const activities = _.filter(result.items, activity => {
+                        return activity['oae:activityType'] === SearchConstants.activity.ACTIVITY_SAVED_SEARCH_MATCH;
+                      });
+                      assert.strictEqual(activities.length, 1);
+                      assert.strictEqual(activities[0].object['oae:id'], link.id);
+                      assert.strictEqual(activities[0].target['oae:id'], allSearch.id);
+
+                      // It does not match the search that is scoped to the tenant of its owner
+                      ActivityTestsUtil.collectAndGetNotificationStream(branden.restContext, null, (err, result) => {
+                        assert.ok(!err);
+                        assert.ok(
+                          !_.find(result.items, activity => {
+                            return (
+                              activity['oae:activityType'] === SearchConstants.activity.ACTIVITY_SAVED_SEARCH_MATCH
+                            );
+                          })
+                        );
+                        return callback();
+                      });
+                    });
+                  });
+                }
+              );
+            }
+          );
+        });
+      });
+    });
+  });
+});
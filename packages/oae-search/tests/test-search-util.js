@@ -429,4 +429,62 @@ describe('Search Util', () => {
       return callback();
     });
   });
+
+  describe('#facets', () => {
+    /**
+     * Test that verifies the facet aggregations are created for all facets
+     */
+    it('verify createFacetAggregations', callback => {
+      const aggregations = SearchUtil.createFacetAggregations();
+      assert.deepStrictEqual(aggregations.resourceType, {
+        terms: { field: 'resourceType', size: SearchConstants.facets.TERMS_SIZE }
+      });
+      assert.strictEqual(aggregations.resourceSubType.terms.field, 'resourceSubType');
+      assert.strictEqual(aggregations.tenantAlias.terms.field, 'tenantAlias');
+      assert.strictEqual(aggregations.createdBy.terms.field, 'createdBy');
+      assert.strictEqual(aggregations.created.range.field, 'dateCreated');
+      assert.deepStrictEqual(_.pluck(aggregations.created.range.ranges, 'key'), ['day', 'week', 'month', 'year']);
+      return callback();
+    });
+
+    /**
+     * Test that verifies ElasticSearch aggregations are transformed into facets
+     */
+    it('verify transformFacetAggregations', callback => {
+      const facets = SearchUtil.transformFacetAggregations({
+        resourceType: {
+          buckets: [
+            { key: 'content', doc_count: 3 },
+            { key: 'user', doc_count: 1 }
+          ]
+        },
+        created: { buckets: [{ key: 'day', from: 0, doc_count: 2 }] },
+        createdBy: { buckets: [] }
+      });
+      assert.deepStrictEqual(facets, {
+        resourceType: [
+          { value: 'content', count: 3 },
+          { value: 'user', count: 1 }
+        ],
+        created: [{ value: 'day', count: 2 }],
+        createdBy: []
+      });
+      return callback();
+    });
+
+    /**
+     * Test that verifies only valid time buckets result in a filter
+     */
+    it('verify filterCreatedWithin', callback => {
+      assert.strictEqual(SearchUtil.filterCreatedWithin(), null);
+      assert.strictEqual(SearchUtil.filterCreatedWithin('invalid'), null);
+      assert.strictEqual(SearchUtil.filterCreatedWithin('toString'), null);
+
+      const before = Date.now();
+      const filter = SearchUtil.filterCreatedWithin('week');
+      assert.ok(filter.range.dateCreated.gte >= before - SearchConstants.facets.CREATED_BUCKETS.week);
+      assert.ok(filter.range.dateCreated.gte <= Date.now() - SearchConstants.facets.CREATED_BUCKETS.week);
+      return callback();
+    });
+  });
 });
@@ -1151,6 +1151,7 @@ const createInitialTestConfig = function() {
 
   // In order to speed up some of the tests and to avoid mocha timeouts, we reduce the default time outs
   mergedConfig.previews.office.timeout = 30000;
+  mergedConfig.previews.media.timeout = 30000;
   mergedConfig.previews.screenShotting.timeout = 30000;
 
   mergedConfig.search.index.name = 'oaetest';
@@ -1161,9 +1162,10 @@ const createInitialTestConfig = function() {
   mergedConfig.search.index.settings.store = { type: 'memory' };
   mergedConfig.search.index.destroyOnStartup = true;
 
-  // Disable the poller so it only collects manually
+  // Disable the pollers so they only collect manually
   mergedConfig.activity.collectionPollingFrequency = -1;
   mergedConfig.activity.mail.pollingFrequency = 3600;
+  mergedConfig.activity.webhooks.pollingFrequency = -1;
   mergedConfig.activity.numberOfProcessingBuckets = 1;
 
   mergedConfig.servers.serverInternalAddress = null;
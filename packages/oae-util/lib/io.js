@@ -13,6 +13,7 @@
  * permissions and limitations under the License.
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 
 import { logger } from 'oae-logger';
@@ -161,4 +162,28 @@ const exists = function(path, callback) {
   });
 };
 
-export { getFileListForFolder, copyFile, moveFile, destroyStream, exists };
+/**
+ * Calculate the SHA-256 checksum of a file
+ *
+ * @param  {String}     path                The path of the file
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Object}     callback.err        An error that occurred, if any
+ * @param  {String}     callback.checksum   The hex encoded checksum of the file
+ */
+const getChecksum = function(path, callback) {
+  const hash = crypto.createHash('sha256');
+  const stream = fs.createReadStream(path);
+  stream.once('error', err => {
+    destroyStream(stream);
+    log().error({ err, path }, 'Unable to read a file to calculate its checksum');
+    return callback({ code: 500, msg: 'Could not calculate the checksum of a file' });
+  });
+  stream.on('data', chunk => {
+    hash.update(chunk);
+  });
+  stream.on('end', () => {
+    return callback(null, hash.digest('hex'));
+  });
+};
+
+export { getFileListForFolder, copyFile, moveFile, destroyStream, exists, getChecksum };
@@ -95,6 +95,42 @@ const acquire = function(lockKey, expiresIn, callback) {
   });
 };
 
+/**
+ * Refresh a lock that is still held so it expires the specified number of seconds from now. This allows a lock to be
+ * acquired for a short duration, which is refreshed for as long as the work it protects is in progress. When the
+ * process that holds the lock dies, the lock then expires soon after
+ *
+ * @param  {Object}    lock            The lock to refresh, as returned by `acquire`
+ * @param  {Number}    expiresIn       Number of seconds from now after which the lock should expire
+ * @param  {Function}  callback        Standard callback function
+ * @param  {Object}    callback.err    An error that occurred, if any. The lock may no longer be held when an error occurs
+ * @returns {Function}                 Returns a callback
+ */
+const refresh = function(lock, expiresIn, callback) {
+  try {
+    unless(isNotNull, {
+      code: 400,
+      msg: 'The lock to refresh needs to be specified'
+    })(lock);
+
+    unless(compose(isInt, String), {
+      code: 400,
+      msg: 'The number of seconds after which the lock should expire needs to be an integer'
+    })(expiresIn);
+  } catch (error) {
+    return callback(error);
+  }
+
+  lock.extend(expiresIn * 1000, err => {
+    if (err) {
+      log().warn({ err }, 'Unable to refresh the lock ' + lock.value);
+      return callback(err);
+    }
+
+    return callback();
+  });
+};
+
 /**
  * Release a lock
  *
@@ -126,4 +162,4 @@ const release = function(lock, callback) {
   });
 };
 
-export { init, acquire, release };
+export { init, acquire, refresh, release };
@@ -50,6 +50,7 @@ const ES6Modules = [
   'oae-messagebox',
   'oae-tincanapi',
   'oae-preview-processor',
+  'oae-resource',
   'oae-search',
   'oae-tenants',
   'oae-util',
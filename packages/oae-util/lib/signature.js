@@ -72,6 +72,36 @@ const verify = function(data, signature) {
   return sign(data) === signature;
 };
 
+/**
+ * Sign a payload with a secret that is shared with the party that receives it, rather than with the signing key of
+ * this server. This allows parties outside of OAE to verify that a payload was sent by us by computing the same
+ * HMAC-SHA256 signature
+ *
+ * @param  {String}     secret      The secret that is shared with the receiving party
+ * @param  {String}     payload     The payload to sign
+ * @return {String}                 The hex-encoded HMAC-SHA256 signature of the payload
+ */
+const signWithSecret = function(secret, payload) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+};
+
+/**
+ * Verify that a payload matches a signature that was created with a shared secret
+ *
+ * @param  {String}     secret      The secret that is shared with the sending party
+ * @param  {String}     payload     The payload to verify as provided in the `signWithSecret` function
+ * @param  {String}     signature   The expected signature of the payload
+ * @return {Boolean}                Whether or not the payload signature matched the provided signature
+ */
+const verifyWithSecret = function(secret, payload, signature) {
+  const expected = Buffer.from(signWithSecret(secret, payload));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
 /**
  * Creates a signature that is valid for an approximate amount of time. This signature method trades off a precise
  * expiry time to allow for a signature that is "stable" within a range of time and produces signatures that are
@@ -207,6 +237,8 @@ export {
   init,
   sign,
   verify,
+  signWithSecret,
+  verifyWithSecret,
   createExpiringSignature,
   verifyExpiringSignature,
   createExpiringResourceSignature,
@@ -170,4 +170,38 @@ describe('Locking', () => {
       });
     });
   });
+
+  /**
+   * Verifies that refreshing a lock keeps it from expiring
+   */
+  it('verify refreshing a lock keeps others from stealing it', callback => {
+    Locking.acquire(LOCK_KEY, 1, (err, lock) => {
+      assert.ok(!err);
+      assert.ok(lock);
+
+      // Parameter validation
+      Locking.refresh(null, 5, err => {
+        assert.strictEqual(err.code, 400);
+        Locking.refresh(lock, 'Not an int', err => {
+          assert.strictEqual(err.code, 400);
+
+          // Refresh the lock so it no longer expires after 1 second
+          Locking.refresh(lock, 5, err => {
+            assert.ok(!err);
+
+            // Wait until the lock would have expired, and make sure it can't be stolen
+            setTimeout(Locking.acquire, 1100, LOCK_KEY, 5, (err, noLock) => {
+              assert.ok(err);
+              assert.ok(!noLock);
+
+              Locking.release(lock, err => {
+                assert.ok(!err);
+                callback();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
 });
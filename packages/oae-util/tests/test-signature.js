@@ -66,6 +66,19 @@ describe('Signature', () => {
 
       return callback();
     });
+
+    /**
+     * Test that verifies payloads signed with a shared secret can only be verified with the same secret and payload
+     */
+    it('verify payloads signed with a shared secret can only be verified with that secret', callback => {
+      const signature = Signature.signWithSecret('a shared secret', '{"id":"abc"}');
+      assert.ok(/^[\da-f]{64}$/.test(signature));
+      assert.ok(Signature.verifyWithSecret('a shared secret', '{"id":"abc"}', signature));
+      assert.ok(!Signature.verifyWithSecret('another secret', '{"id":"abc"}', signature));
+      assert.ok(!Signature.verifyWithSecret('a shared secret', '{"id":"abd"}', signature));
+      assert.ok(!Signature.verifyWithSecret('a shared secret', '{"id":"abc"}', signature.slice(1)));
+      return callback();
+    });
   });
 
   describe('Expiring Signatures', callback => {